@@ -138,9 +138,16 @@ class ProductHistory extends Originator {
       return null;
     }
 
-    const fromState = fromMemento.getState();
-    const toState = toMemento.getState();
+    return ProductHistory.diffStates(fromMemento.getState(), toMemento.getState());
+  }
 
+  /**
+   * Diferenças entre dois estados de produto (também usado nas versões persistidas)
+   * @param {Object} fromState - Estado inicial
+   * @param {Object} toState - Estado final
+   * @returns {Object} { campo: { from, to } } dos campos modificados
+   */
+  static diffStates(fromState = {}, toState = {}) {
     const diff = {};
 
     // Encontra campos modificados
@@ -0,0 +1,281 @@
+/**
+ * SERVICE LAYER - Campanhas de arrecadação
+ * Campanhas seguem o ciclo de vida de ProjectState; o progresso da meta vem das doações
+ * aprovadas (únicas e parcelas recorrentes) e nunca é gravado na campanha.
+ */
+const ProjectState = require('../../domain/state/ProjectState');
+
+// Estados que aparecem nas listagens e páginas públicas
+const PUBLIC_STATUSES = [
+  ProjectState.STATES.PUBLISHED,
+  ProjectState.STATES.IN_PROGRESS,
+  ProjectState.STATES.COMPLETED,
+];
+
+// Ação -> método de ProjectState (argumentos: ator/motivo e metadados)
+const ACTIONS = ['publish', 'start', 'hold', 'complete', 'archive', 'cancel'];
+
+const EDITABLE_FIELDS = ['title', 'story', 'goalAmount', 'startDate', 'endDate'];
+
+class CampaignService {
+  /**
+   * @param {Object} campaignRepository - Repository das campanhas
+   * @param {Object} donationRepository - Fornece getCampaignTotals(campaignId)
+   * @param {IStorageBridge|null} storageBridge - Armazena a imagem de capa (sem ele não há upload)
+   * @param {Object|null} fundraisingPageRepository - Páginas pessoais que arrecadam para a campanha
+   */
+  constructor(
+    campaignRepository,
+    donationRepository,
+    storageBridge = null,
+    fundraisingPageRepository = null
+  ) {
+    this.campaignRepository = campaignRepository;
+    this.donationRepository = donationRepository;
+    this.storageBridge = storageBridge;
+    this.fundraisingPageRepository = fundraisingPageRepository;
+
+    console.log('[CAMPAIGN SERVICE] Inicializado com sucesso');
+  }
+
+  async createCampaign(organizationId, data) {
+    const campaign = await this.campaignRepository.create({
+      organizationId,
+      ...this.pickCampaignFields(data),
+      status: ProjectState.STATES.DRAFT,
+      statusHistory: [],
+    });
+
+    console.log('[CAMPAIGN SERVICE] Campanha criada:', campaign.id, organizationId);
+    return campaign;
+  }
+
+  /**
+   * Conteúdo só muda em rascunho ou pausada (isEditable de ProjectState)
+   */
+  async updateCampaign(campaignId, organizationId, data) {
+    const campaign = await this.getOwnedCampaign(campaignId, organizationId);
+    if (!new ProjectState(campaign.status).isEditable()) {
+      throw new Error(`Campanha não pode ser editada no status ${campaign.status}`);
+    }
+
+    const fields = this.pickCampaignFields({ ...campaign, ...data });
+    return this.campaignRepository.update(campaign.id, fields);
+  }
+
+  /**
+   * Aplica uma transição do ciclo de vida (publish, start, hold, complete, archive, cancel)
+   */
+  async changeStatus(campaignId, organizationId, action, { reason = null } = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Ação inválida. Use: ${ACTIONS.join(', ')}`);
+    }
+
+    const campaign = await this.getOwnedCampaign(campaignId, organizationId);
+    const state = new ProjectState(campaign.status);
+    const next =
+      action === 'cancel'
+        ? state.cancel(reason, organizationId)
+        : state[action](action === 'hold' ? reason : organizationId);
+    const [transition] = next.getHistory();
+
+    const updated = await this.campaignRepository.update(campaign.id, {
+      status: next.getState(),
+      statusHistory: [...(campaign.statusHistory || []), transition],
+    });
+
+    console.log(
+      '[CAMPAIGN SERVICE] Status da campanha:',
+      campaign.id,
+      transition.from,
+      '->',
+      transition.to
+    );
+    return updated;
+  }
+
+  /**
+   * Troca a imagem de capa; a anterior é removida do storage
+   * @param {Object} file - Arquivo do Multer (memoryStorage)
+   */
+  async uploadCover(campaignId, organizationId, file) {
+    if (!this.storageBridge) {
+      throw new Error('Armazenamento de imagens não configurado');
+    }
+    if (!file) {
+      throw new Error('Imagem de capa é obrigatória');
+    }
+
+    const campaign = await this.getOwnedCampaign(campaignId, organizationId);
+    const result = await this.storageBridge.uploadFile(file, { folder: 'campanhas' });
+    if (!result || result.success === false) {
+      throw new Error(result?.error || 'Falha no upload da capa');
+    }
+
+    if (campaign.coverImageId) {
+      try {
+        await this.storageBridge.deleteFile(campaign.coverImageId);
+      } catch (error) {
+        console.warn('[CAMPAIGN SERVICE] Capa anterior não removida:', error.message);
+      }
+    }
+
+    return this.campaignRepository.update(campaign.id, {
+      coverImageUrl: result.url,
+      coverImageId: result.fileId || null,
+    });
+  }
+
+  async listOrganizationCampaigns(organizationId, filters = {}) {
+    return this.campaignRepository.findAll({ ...filters, organizationId });
+  }
+
+  /**
+   * Campanhas visíveis ao público, com o progresso de cada uma
+   */
+  async listPublicCampaigns({ organizationId, status, skip, limit } = {}) {
+    const statuses = PUBLIC_STATUSES.includes(status) ? [status] : PUBLIC_STATUSES;
+    const result = await this.campaignRepository.findAll({ organizationId, statuses, skip, limit });
+
+    return {
+      ...result,
+      data: await Promise.all(result.data.map((campaign) => this.withProgress(campaign))),
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Campanha pública com progresso; null se não existir ou não for pública
+   */
+  async getPublicCampaign(campaignId) {
+    const campaign = await this.campaignRepository.findById(campaignId);
+    if (!campaign || !PUBLIC_STATUSES.includes(campaign.status)) {
+      return null;
+    }
+    return this.withProgress(campaign);
+  }
+
+  /**
+   * O valor dobrado pelas empresas apoiadoras conta para a meta, mas aparece separado
+   */
+  async getProgress(campaign) {
+    const {
+      raisedAmount,
+      donorCount,
+      matchedAmount = 0,
+    } = await this.donationRepository.getCampaignTotals(campaign.id);
+    const totalAmount = Math.round((raisedAmount + matchedAmount) * 100) / 100;
+    const percentage =
+      campaign.goalAmount > 0 ? Math.round((totalAmount / campaign.goalAmount) * 1000) / 10 : 0;
+
+    return {
+      goalAmount: campaign.goalAmount,
+      raisedAmount,
+      matchedAmount,
+      totalAmount,
+      donorCount,
+      percentage,
+      goalReached: totalAmount >= campaign.goalAmount,
+      acceptingDonations: this.acceptsDonations(campaign),
+    };
+  }
+
+  async withProgress(campaign) {
+    return { ...campaign, progress: await this.getProgress(campaign) };
+  }
+
+  /**
+   * Chamado pelo DonationService antes de criar a cobrança. Doação por uma página de arrecadação
+   * conta para a página e para a campanha dela.
+   * @param {Object} donationData - { organizationId, campaignId, fundraisingPageId }
+   * @returns {Promise<{campaignId?: string, fundraisingPageId?: string}>}
+   */
+  async resolveDonationTarget({ organizationId, campaignId, fundraisingPageId }) {
+    if (!fundraisingPageId) {
+      const campaign = await this.assertAcceptsDonations(campaignId, organizationId);
+      return { campaignId: String(campaign.id) };
+    }
+
+    const page = this.fundraisingPageRepository
+      ? await this.fundraisingPageRepository.findById(fundraisingPageId)
+      : null;
+    if (!page || page.status !== 'active') {
+      throw new Error('Página de arrecadação não está recebendo doações');
+    }
+    if (campaignId && String(campaignId) !== String(page.campaignId)) {
+      throw new Error('Página de arrecadação não pertence à campanha informada');
+    }
+
+    const campaign = await this.assertAcceptsDonations(page.campaignId, organizationId);
+    return { campaignId: String(campaign.id), fundraisingPageId: String(page.id) };
+  }
+
+  /**
+   * @param {string|null} organizationId - null dispensa a checagem da organização
+   * @returns {Promise<Object>} Campanha que recebe a doação
+   */
+  async assertAcceptsDonations(campaignId, organizationId = null) {
+    const campaign = await this.campaignRepository.findById(campaignId);
+    if (
+      !campaign ||
+      (organizationId !== null && String(campaign.organizationId) !== String(organizationId))
+    ) {
+      throw new Error('Campanha não encontrada para esta organização');
+    }
+    if (!this.acceptsDonations(campaign)) {
+      throw new Error('Campanha não está recebendo doações');
+    }
+    return campaign;
+  }
+
+  /**
+   * canReceiveDonations() do ciclo de vida, dentro do período da campanha
+   */
+  acceptsDonations(campaign, now = new Date()) {
+    if (!new ProjectState(campaign.status).canReceiveDonations()) {
+      return false;
+    }
+    if (campaign.startDate && new Date(campaign.startDate) > now) {
+      return false;
+    }
+    return !campaign.endDate || new Date(campaign.endDate) >= now;
+  }
+
+  async getOwnedCampaign(campaignId, organizationId) {
+    const campaign = await this.campaignRepository.findById(campaignId);
+    if (!campaign) {
+      throw new Error('Campanha não encontrada');
+    }
+    if (String(campaign.organizationId) !== String(organizationId)) {
+      throw new Error('Campanha pertence a outra organização');
+    }
+    return campaign;
+  }
+
+  pickCampaignFields(data) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    }
+
+    if (!fields.title || !fields.story) {
+      throw new Error('Título e história da campanha são obrigatórios');
+    }
+    fields.goalAmount = Number(fields.goalAmount);
+    if (!(fields.goalAmount > 0)) {
+      throw new Error('Meta da campanha deve ser maior que zero');
+    }
+    fields.startDate = fields.startDate ? new Date(fields.startDate) : null;
+    fields.endDate = fields.endDate ? new Date(fields.endDate) : null;
+    if (fields.startDate && fields.endDate && fields.endDate <= fields.startDate) {
+      throw new Error('Data de término deve ser posterior à data de início');
+    }
+    return fields;
+  }
+}
+
+CampaignService.ACTIONS = ACTIONS;
+CampaignService.PUBLIC_STATUSES = PUBLIC_STATUSES;
+
+module.exports = CampaignService;
@@ -0,0 +1,210 @@
+/**
+ * SERVICE LAYER - Recibos de doação
+ * Um recibo por pagamento: doação única aprovada ou parcela recorrente paga.
+ * A doação recorrente (mãe) não recebe recibo próprio, só as parcelas.
+ */
+class DonationReceiptService {
+  /**
+   * @param {Object} receiptRepository - Repository dos recibos (numeração por organização/ano)
+   * @param {Object} donationRepository - Repository de doações
+   * @param {Object} pdfRenderer - Gera o PDF do recibo ({ render(receipt) => Buffer })
+   * @param {Object} emailService - EmailService (opcional; sem ele os recibos não são enviados)
+   */
+  constructor(receiptRepository, donationRepository, pdfRenderer, emailService = null) {
+    this.receiptRepository = receiptRepository;
+    this.donationRepository = donationRepository;
+    this.pdfRenderer = pdfRenderer;
+    this.emailService = emailService;
+
+    console.log('[DONATION RECEIPT SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Emite e envia o recibo de uma doação única aprovada
+   * @param {string} donationId
+   */
+  async handleDonationApproved(donationId) {
+    const receipt = await this.issueForDonation(donationId);
+    return receipt ? await this.sendReceipt(receipt) : null;
+  }
+
+  /**
+   * Emite e envia o recibo de uma parcela recorrente paga
+   * @param {Object} chargeData - { donationId, chargeId, amount, chargedAt }
+   */
+  async handleInstallmentPaid(chargeData) {
+    const receipt = await this.issueForCharge(chargeData);
+    return receipt ? await this.sendReceipt(receipt) : null;
+  }
+
+  async issueForDonation(donationId) {
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation) {
+      console.warn('[DONATION RECEIPT SERVICE] Doação não encontrada:', donationId);
+      return null;
+    }
+
+    if (donation.type === 'recurring' || donation.paymentStatus !== 'approved') {
+      return null;
+    }
+
+    return await this.issue(donation, {
+      sourceKey: `donation:${donation.id}`,
+      amount: donation.amount,
+      paidAt: this.getApprovedAt(donation),
+    });
+  }
+
+  async issueForCharge({ donationId, chargeId, amount, chargedAt }) {
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation) {
+      console.warn('[DONATION RECEIPT SERVICE] Doação da parcela não encontrada:', donationId);
+      return null;
+    }
+
+    return await this.issue(donation, {
+      sourceKey: `charge:${chargeId}`,
+      chargeId,
+      amount: amount || donation.amount,
+      paidAt: chargedAt ? new Date(chargedAt) : new Date(),
+    });
+  }
+
+  /**
+   * Grava o recibo com os dados da organização no momento da emissão
+   */
+  async issue(donation, { sourceKey, chargeId = null, amount, paidAt }) {
+    const issuer = await this.getIssuer(donation);
+
+    const receipt = await this.receiptRepository.issue({
+      organizationId: String(donation.organizationId),
+      year: this.getReceiptYear(paidAt),
+      sourceKey,
+      donationId: String(donation.id),
+      chargeId,
+      amount,
+      currency: donation.currency || 'BRL',
+      paidAt,
+      donorName: donation.donorName,
+      donorEmail: donation.donorEmail,
+      donorDocument: donation.donorDocument || null,
+      issuer,
+    });
+
+    console.log('[DONATION RECEIPT SERVICE] Recibo emitido:', {
+      receiptNumber: receipt.receiptNumber,
+      sourceKey,
+    });
+
+    return receipt;
+  }
+
+  /**
+   * Envia o recibo em PDF por email (uma vez); falha de envio não desfaz a emissão
+   */
+  async sendReceipt(receipt) {
+    if (!this.emailService || receipt.emailedAt || !receipt.donorEmail) {
+      return receipt;
+    }
+
+    try {
+      const pdf = await this.pdfRenderer.render(receipt);
+      await this.emailService.sendEmail({
+        to: receipt.donorEmail,
+        subject:
+          `Recibo de doação nº ${receipt.receiptNumber} - ${receipt.issuer?.name || ''}`.trim(),
+        html: this.buildEmailHtml(receipt),
+        attachments: [
+          { filename: this.getFilename(receipt), content: pdf, contentType: 'application/pdf' },
+        ],
+      });
+
+      return await this.receiptRepository.markEmailed(receipt.id);
+    } catch (error) {
+      console.error('[DONATION RECEIPT SERVICE] Erro ao enviar recibo:', error.message);
+      return receipt;
+    }
+  }
+
+  async listForDonation(donationId) {
+    return await this.receiptRepository.findByDonationId(donationId);
+  }
+
+  async listForDonor(donorEmail) {
+    return await this.receiptRepository.findByDonorEmail(donorEmail);
+  }
+
+  async getReceipt(receiptId) {
+    return await this.receiptRepository.findById(receiptId);
+  }
+
+  /**
+   * @returns {Promise<{filename: string, content: Buffer}>}
+   */
+  async renderReceipt(receipt) {
+    return {
+      filename: this.getFilename(receipt),
+      content: await this.pdfRenderer.render(receipt),
+    };
+  }
+
+  async getIssuer(donation) {
+    let profile = null;
+    try {
+      profile = await this.receiptRepository.findIssuerProfile(String(donation.organizationId));
+    } catch (error) {
+      console.warn('[DONATION RECEIPT SERVICE] Dados da organização indisponíveis:', error.message);
+    }
+
+    return {
+      name: profile?.name || donation.organizationName,
+      email: profile?.email || null,
+      address: profile?.address || null,
+      cnpj: profile?.cnpj || null,
+      pixKey: profile?.pixKey || null,
+    };
+  }
+
+  /**
+   * Momento da aprovação registrado no histórico de status
+   */
+  getApprovedAt(donation) {
+    const history = Array.isArray(donation.statusHistory) ? donation.statusHistory : [];
+    const approved = [...history].reverse().find((entry) => entry.to === 'approved');
+    return approved?.timestamp ? new Date(approved.timestamp) : new Date();
+  }
+
+  /**
+   * Ano do pagamento no fuso de Brasília (define a série da numeração)
+   */
+  getReceiptYear(paidAt) {
+    return parseInt(
+      new Intl.DateTimeFormat('en-US', { year: 'numeric', timeZone: 'America/Sao_Paulo' }).format(
+        new Date(paidAt)
+      ),
+      10
+    );
+  }
+
+  getFilename(receipt) {
+    return `recibo-${receipt.receiptNumber.replace('/', '-')}.pdf`;
+  }
+
+  buildEmailHtml(receipt) {
+    const amount = new Intl.NumberFormat('pt-BR', {
+      style: 'currency',
+      currency: receipt.currency || 'BRL',
+    }).format(receipt.amount);
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Obrigado pela sua doação!</h2>
+        <p>Olá ${receipt.donorName},</p>
+        <p>Segue em anexo o recibo nº <strong>${receipt.receiptNumber}</strong> referente à sua doação de <strong>${amount}</strong> para ${receipt.issuer?.name || 'a organização'}.</p>
+        <p style="color: #7f8c8d; font-size: 12px;">Guarde este recibo para sua declaração de imposto de renda.</p>
+      </div>
+    `;
+  }
+}
+
+module.exports = DonationReceiptService;
@@ -3,15 +3,40 @@
  * Implementa regras de negócio para doações via Mercado Pago
  */
 const PaymentState = require('../../domain/state/PaymentState');
+const EnhancedPaymentState = require('../../domain/state/EnhancedPaymentState');
 const { TemplateExamples } = require('../templates');
 const { logger } = require('../../infra/logger');
 const { getInstance: getEventManager } = require('../../infra/events/EventManager');
 
+// Resultado da reserva de uma notificação de webhook (replay protection)
+const WEBHOOK_CLAIM = {
+  CLAIMED: 'claimed',
+  DUPLICATE: 'duplicate',
+  SKIPPED: 'skipped',
+};
+
 class DonationService {
-  constructor(donationRepository, userRepository, paymentAdapter) {
+  constructor(
+    donationRepository,
+    userRepository,
+    paymentAdapter,
+    processedWebhookRepository = null,
+    donationChargeRepository = null,
+    paymentProviderService = null,
+    campaignService = null,
+    orderService = null
+  ) {
     this.donationRepository = donationRepository;
     this.userRepository = userRepository;
     this.paymentAdapter = paymentAdapter;
+    this.processedWebhookRepository = processedWebhookRepository;
+    this.donationChargeRepository = donationChargeRepository;
+    // Resolve o provedor (Mercado Pago/Pagar.me) escolhido por cada organização
+    this.paymentProviderService = paymentProviderService;
+    // Valida a campanha escolhida pelo doador (ciclo de vida e período)
+    this.campaignService = campaignService;
+    // Pagamentos dos pedidos do bazar chegam pelo mesmo webhook
+    this.orderService = orderService;
     this.eventManager = getEventManager();
 
     console.log('[DONATION SERVICE] Inicializado com sucesso');
@@ -26,9 +51,16 @@ class DonationService {
 
       // 1. Validar dados
       this.validateDonationData(donationData);
+      const target = await this.resolveDonationTarget(donationData);
+      const paymentProvider = await this.resolveProvider(donationData.organizationId);
+      const paymentAdapter = await this.resolvePaymentAdapter(
+        paymentProvider,
+        donationData.organizationId
+      );
+      this.assertPaymentAdapter(paymentAdapter);
 
-      // 2. Criar preferência no Mercado Pago
-      const paymentPreference = await this.paymentAdapter.createPaymentPreference({
+      // 2. Criar preferência no provedor da organização
+      const paymentPreference = await paymentAdapter.createPaymentPreference({
         amount: donationData.amount,
         title: `Doação`,
         description: donationData.message || `Doação`,
@@ -62,6 +94,8 @@ class DonationService {
       const donation = await this.donationRepository.create({
         organizationId: donationData.organizationId,
         organizationName: donationData.organizationName,
+        campaignId: target.campaignId,
+        fundraisingPageId: target.fundraisingPageId,
         amount: donationData.amount,
         currency: 'BRL',
         type: 'single',
@@ -77,9 +111,12 @@ class DonationService {
         isAnonymous: donationData.isAnonymous || false,
         showInPublicList: donationData.showInPublicList !== false,
         mercadoPagoId: paymentPreference.id,
+        paymentProvider,
         paymentStatus: new PaymentState('pending').toDomain(),
+        statusHistory: [this.buildInitialStatusEntry()],
         metadata: {
           externalReference: paymentPreference.externalReference,
+          paymentAccountId: paymentAdapter.accountId || undefined,
         },
       });
 
@@ -93,6 +130,8 @@ class DonationService {
           amount: donation.amount,
           organizationId: donation.organizationId,
           organizationName: donation.organizationName,
+          campaignId: donation.campaignId,
+          fundraisingPageId: donation.fundraisingPageId,
           donorEmail: donation.donorEmail,
         },
         { source: 'DonationService' }
@@ -119,9 +158,16 @@ class DonationService {
       // 1. Validar dados
       this.validateDonationData(donationData);
       this.validateRecurringData(donationData);
+      const target = await this.resolveDonationTarget(donationData);
+      const paymentProvider = await this.resolveProvider(donationData.organizationId);
+      const paymentAdapter = await this.resolvePaymentAdapter(
+        paymentProvider,
+        donationData.organizationId
+      );
+      this.assertPaymentAdapter(paymentAdapter);
 
-      // 2. Criar assinatura no Mercado Pago
-      const subscription = await this.paymentAdapter.createSubscription({
+      // 2. Criar assinatura no provedor da organização
+      const subscription = await paymentAdapter.createSubscription({
         amount: donationData.amount,
         frequency: donationData.frequency || 'monthly',
         title: `Doação Recorrente`,
@@ -133,6 +179,8 @@ class DonationService {
           document: donationData.donorDocument,
         },
         externalReference: `recurring-donation-${Date.now()}`,
+        // Pagar.me cobra a assinatura direto no cartão tokenizado no front
+        cardToken: donationData.cardToken,
       });
 
       // 3. Idempotency: se já existir uma doação com esta assinatura, retorna existente
@@ -154,6 +202,8 @@ class DonationService {
       const donation = await this.donationRepository.create({
         organizationId: donationData.organizationId,
         organizationName: donationData.organizationName,
+        campaignId: target.campaignId,
+        fundraisingPageId: target.fundraisingPageId,
         amount: donationData.amount,
         currency: 'BRL',
         type: 'recurring',
@@ -170,10 +220,13 @@ class DonationService {
         isAnonymous: donationData.isAnonymous || false,
         showInPublicList: donationData.showInPublicList !== false,
         subscriptionId: subscription.id,
+        paymentProvider,
         paymentStatus: new PaymentState('pending').toDomain(),
+        statusHistory: [this.buildInitialStatusEntry()],
         metadata: {
           externalReference: subscription.externalReference,
           subscriptionUrl: subscription.subscriptionUrl,
+          paymentAccountId: paymentAdapter.accountId || undefined,
         },
       });
 
@@ -187,6 +240,8 @@ class DonationService {
           frequency: donation.frequency,
           amount: donation.amount,
           organizationId: donation.organizationId,
+          campaignId: donation.campaignId,
+          fundraisingPageId: donation.fundraisingPageId,
         },
         { source: 'DonationService' }
       );
@@ -203,79 +258,580 @@ class DonationService {
   }
 
   /**
-   * Processa webhook do Mercado Pago
+   * Processa webhook do provedor de pagamento (delivery.provider; padrão Mercado Pago)
    */
-  async processPaymentWebhook(webhookData) {
+  async processPaymentWebhook(webhookData, delivery = {}) {
+    const notificationId = delivery && delivery.notificationId;
+    let claim = WEBHOOK_CLAIM.SKIPPED;
+
     try {
       console.log('[DONATION SERVICE] Processando webhook:', webhookData);
 
-      const processedData = await this.paymentAdapter.processWebhook(webhookData);
+      const provider = (delivery && delivery.provider) || 'mercadopago';
+
+      // Reserva antes de processar: entregas simultâneas da mesma notificação não passam juntas
+      claim = await this.claimWebhook(notificationId, { ...delivery, provider });
+      if (claim === WEBHOOK_CLAIM.DUPLICATE) {
+        console.warn('[DONATION SERVICE] Webhook já processado, ignorando replay:', notificationId);
+
+        await this.eventManager.emit(
+          'system.security.alert',
+          {
+            alertType: 'webhook_replay',
+            severity: 'medium',
+            details: {
+              provider,
+              notificationId,
+              requestId: delivery.requestId,
+              resourceId: delivery.resourceId,
+              signatureVerified: !!delivery.signatureVerified,
+            },
+          },
+          { source: 'DonationService', ip: delivery.ip, userAgent: delivery.userAgent }
+        );
+
+        return { type: 'duplicate', notificationId, duplicate: true };
+      }
+
+      const paymentAdapter = await this.getWebhookAdapter(provider, webhookData);
+      const processedData = await paymentAdapter.processWebhook(webhookData);
 
       if (processedData.type === 'payment') {
-        // Atualizar status de doação única
-        await this.updateDonationStatus(processedData.paymentId, processedData.status);
+        // Pagamentos de pedidos do bazar não são doações
+        let order = null;
+        if (this.orderService) {
+          order = await this.orderService.applyPaymentStatus(processedData, {
+            source: `${provider}_webhook`,
+          });
+        }
+        if (!order) {
+          // Atualizar status de doação única
+          await this.updateDonationStatus(processedData.paymentId, processedData.status, {
+            source: `${provider}_webhook`,
+            externalReference: processedData.externalReference,
+          });
+        }
       } else if (processedData.type === 'subscription') {
         // Atualizar status de doação recorrente
-        await this.updateSubscriptionStatus(processedData.subscriptionId, processedData.status);
+        await this.updateSubscriptionStatus(processedData.subscriptionId, processedData.status, {
+          source: `${provider}_webhook`,
+        });
+      } else if (processedData.type === 'authorized_payment') {
+        // Cobrança de uma parcela da doação recorrente
+        await this.registerRecurringCharge(processedData, { source: `${provider}_webhook` });
+      } else if (processedData.type === 'chargeback') {
+        // Contestação aberta pelo portador do cartão
+        await this.registerChargeback(processedData, { source: `${provider}_chargeback` });
       }
 
       return processedData;
     } catch (error) {
       console.error('[DONATION SERVICE] Erro ao processar webhook:', error);
+      if (claim === WEBHOOK_CLAIM.CLAIMED) {
+        await this.releaseWebhookClaim(notificationId);
+      }
       throw error;
     }
   }
 
   /**
-   * Atualiza status de uma doação
+   * Reserva a notificação de webhook (insert único em processed_webhooks)
+   * Falhas na reserva não bloqueiam o processamento (o update de status é idempotente)
+   * @returns {Promise<string>} WEBHOOK_CLAIM.CLAIMED, DUPLICATE (replay) ou SKIPPED (sem reserva)
+   */
+  async claimWebhook(notificationId, delivery) {
+    if (!notificationId || !this.processedWebhookRepository) {
+      return WEBHOOK_CLAIM.SKIPPED;
+    }
+
+    try {
+      const claimed = await this.processedWebhookRepository.claim({
+        notificationId,
+        provider: delivery.provider,
+        topic: delivery.topic,
+        resourceId: delivery.resourceId,
+        requestId: delivery.requestId,
+      });
+      return claimed ? WEBHOOK_CLAIM.CLAIMED : WEBHOOK_CLAIM.DUPLICATE;
+    } catch (error) {
+      console.error('[DONATION SERVICE] Erro ao reservar webhook:', error.message);
+      return WEBHOOK_CLAIM.SKIPPED;
+    }
+  }
+
+  /**
+   * Processamento falhou: libera a notificação para que o reenvio do provedor seja aceito
+   */
+  async releaseWebhookClaim(notificationId) {
+    try {
+      await this.processedWebhookRepository.release(notificationId);
+    } catch (error) {
+      console.error('[DONATION SERVICE] Erro ao liberar webhook:', error.message);
+    }
+  }
+
+  /**
+   * Entrada inicial do statusHistory de uma doação recém-criada
+   */
+  buildInitialStatusEntry() {
+    return {
+      from: null,
+      to: EnhancedPaymentState.STATES.PENDING,
+      source: 'DonationService',
+      timestamp: new Date(),
+      metadata: { action: 'create' },
+    };
+  }
+
+  /**
+   * Status de pagamento atual (registros antigos do Mongo usam o campo `status`)
+   */
+  getDonationStatus(donation) {
+    return donation.paymentStatus || donation.status || EnhancedPaymentState.STATES.PENDING;
+  }
+
+  /**
+   * Aplica uma mudança de status respeitando a FSM de EnhancedPaymentState
+   * Transições ilegais (ex: webhook fora de ordem approved -> pending) não são gravadas
+   * @param {Object} donation - Doação atual
+   * @param {string} targetStatus - Status de domínio desejado
+   * @param {Object} context - { source, metadata, data } (data: campos gravados junto com o status)
+   * @returns {Promise<{changed: boolean, rejected: boolean, from: string, to: string, donation: Object}>}
+   */
+  async transitionDonationStatus(
+    donation,
+    targetStatus,
+    { source, metadata = {}, data = {} } = {}
+  ) {
+    const from = this.getDonationStatus(donation);
+    const to = targetStatus;
+
+    if (from === to) {
+      return { changed: false, rejected: false, from, to, donation };
+    }
+
+    const state = new EnhancedPaymentState(from);
+    if (!state.canTransitionTo(to)) {
+      console.warn(
+        `[DONATION SERVICE] Transição inválida ignorada para doação ${donation.id}: ${from} -> ${to}`
+      );
+
+      await this.eventManager.emit(
+        'system.warning',
+        {
+          warning: `Transição de status inválida: ${from} -> ${to}`,
+          component: 'DonationService',
+          donationId: donation.id,
+          source,
+        },
+        { source: 'DonationService' }
+      );
+
+      return { changed: false, rejected: true, from, to, donation };
+    }
+
+    const transition = state
+      .transitionTo(to, { source, ...metadata })
+      .getHistory()
+      .pop();
+    const historyEntry = {
+      from: transition.from,
+      to: transition.to,
+      source,
+      timestamp: new Date(transition.timestamp),
+      metadata,
+    };
+
+    const updated = await this.donationRepository.transitionStatus(
+      donation.id,
+      from,
+      to,
+      historyEntry,
+      data
+    );
+
+    if (!updated) {
+      // Outro processo alterou o status entre a leitura e a escrita
+      throw new Error(`Status da doação ${donation.id} foi alterado durante a atualização`);
+    }
+
+    console.log('[DONATION SERVICE] Status da doação atualizado:', donation.id, `${from} -> ${to}`);
+    return { changed: true, rejected: false, from, to, donation: updated };
+  }
+
+  /**
+   * Garante que a transição é permitida antes de acionar o provedor de pagamento
    */
-  async updateDonationStatus(mercadoPagoId, status) {
+  assertCanTransition(donation, targetStatus) {
+    const from = this.getDonationStatus(donation);
+    if (from !== targetStatus && !new EnhancedPaymentState(from).canTransitionTo(targetStatus)) {
+      throw new Error(`Não é possível alterar o status da doação de ${from} para ${targetStatus}`);
+    }
+  }
+
+  /**
+   * Atualiza status de uma doação a partir de um pagamento do provedor
+   * @param {string} paymentId - ID do pagamento (não da preferência de checkout)
+   * @param {string} status - Status do pagamento no provedor
+   * @param {Object} context - { source, externalReference }
+   */
+  async updateDonationStatus(
+    paymentId,
+    status,
+    { source = 'mercadopago_webhook', externalReference = null } = {}
+  ) {
     try {
-      const donation = await this.donationRepository.findByMercadoPagoId(mercadoPagoId);
+      const donation = await this.findDonationForPayment(paymentId, externalReference);
+
+      if (donation) {
+        return await this.applyPaymentStatus(donation, status, { source, paymentId });
+      }
+
+      return null;
+    } catch (error) {
+      // Propaga para que a caixa de entrada de webhooks agende nova tentativa
+      console.error('[DONATION SERVICE] Erro ao atualizar status da doação:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Doação de um pagamento: pelo paymentId já gravado, pela external_reference do checkout
+   * (o pagamento tem id diferente da preferência) ou pelo mercadoPagoId, que no PIX do
+   * Mercado Pago já é o próprio pagamento
+   */
+  async findDonationForPayment(paymentId, externalReference = null) {
+    if (paymentId && this.donationRepository.findByPaymentId) {
+      const donation = await this.donationRepository.findByPaymentId(paymentId);
+      if (donation) {
+        return donation;
+      }
+    }
 
+    if (externalReference && this.donationRepository.findByExternalReference) {
+      const donation = await this.donationRepository.findByExternalReference(externalReference);
       if (donation) {
-        await this.donationRepository.update(donation.id, {
-          paymentStatus: PaymentState.fromMercadoPago(status).toDomain(),
-          updatedAt: new Date(),
+        return donation;
+      }
+    }
+
+    return paymentId ? this.donationRepository.findByMercadoPagoId(paymentId) : null;
+  }
+
+  /**
+   * Aplica à doação o status de pagamento informado pelo Mercado Pago e emite os eventos
+   * Usado pelo webhook e pela reconciliação
+   * @param {Object} donation - Doação atual
+   * @param {string} status - Status do pagamento no Mercado Pago
+   * @param {Object} context - { source, paymentId } (paymentId é gravado na doação para estornos)
+   */
+  async applyPaymentStatus(donation, status, { source, paymentId = null }) {
+    const mercadoPagoId = donation.mercadoPagoId;
+    const mappedStatus = EnhancedPaymentState.fromMercadoPago(status).getState();
+    const savePaymentId =
+      !!paymentId &&
+      mappedStatus === EnhancedPaymentState.STATES.APPROVED &&
+      donation.paymentId !== String(paymentId);
+    const transition = await this.transitionDonationStatus(donation, mappedStatus, {
+      source,
+      metadata: { mercadoPagoId, paymentId, mercadoPagoStatus: status },
+      data: savePaymentId ? { paymentId: String(paymentId) } : {},
+    });
+
+    if (!transition.changed) {
+      // Doação aprovada antes de o paymentId ser gravado (ex: webhook repetido)
+      if (savePaymentId && transition.from === mappedStatus) {
+        const updated = await this.donationRepository.update(donation.id, {
+          paymentId: String(paymentId),
         });
+        return { ...transition, donation: updated || donation };
+      }
+      return transition;
+    }
 
-        console.log('[DONATION SERVICE] Status da doação atualizado:', donation.id, status);
-
-        // Emit status events
-        const mappedStatus = PaymentState.fromMercadoPago(status).toDomain();
-        if (mappedStatus === 'approved') {
-          await this.eventManager.emit(
-            'donation.payment.approved',
-            {
-              donationId: donation.id,
-              amount: donation.amount,
-              mercadoPagoId,
-            },
-            { source: 'DonationService' }
-          );
-        } else if (mappedStatus === 'rejected') {
-          await this.eventManager.emit(
-            'donation.payment.rejected',
-            {
-              donationId: donation.id,
-              reason: status,
-            },
-            { source: 'DonationService' }
-          );
-        } else if (mappedStatus === 'pending') {
-          await this.eventManager.emit(
-            'donation.payment.pending',
-            {
-              donationId: donation.id,
-              paymentMethod: donation.paymentMethod,
-            },
-            { source: 'DonationService' }
-          );
-        }
+    // Emit status events
+    if (mappedStatus === 'approved') {
+      await this.eventManager.emit(
+        'donation.payment.approved',
+        {
+          donationId: donation.id,
+          amount: donation.amount,
+          mercadoPagoId,
+        },
+        { source: 'DonationService' }
+      );
+    } else if (mappedStatus === 'rejected') {
+      await this.eventManager.emit(
+        'donation.payment.rejected',
+        {
+          donationId: donation.id,
+          reason: status,
+        },
+        { source: 'DonationService' }
+      );
+    } else if (mappedStatus === 'pending' || mappedStatus === 'in_process') {
+      await this.eventManager.emit(
+        'donation.payment.pending',
+        {
+          donationId: donation.id,
+          paymentMethod: donation.paymentMethod,
+        },
+        { source: 'DonationService' }
+      );
+    } else if (mappedStatus === 'refunded') {
+      // Estorno feito fora da API (ex: painel do Mercado Pago): registra o saldo restante
+      const remaining = this.roundCurrency(donation.amount - (donation.refundedAmount || 0));
+      const refund = {
+        refundId: null,
+        amount: remaining,
+        reason: 'Estorno informado pelo Mercado Pago',
+        requestedBy: 'mercadopago',
+        status: 'approved',
+        createdAt: new Date(),
+      };
+      const refunded =
+        remaining > 0
+          ? await this.donationRepository.registerRefund(donation.id, refund)
+          : transition.donation;
+
+      await this.emitRefundEvent(refunded || donation, refund, { partial: false, source });
+    } else if (mappedStatus === 'charged_back') {
+      await this.emitChargebackEvent(donation, { mercadoPagoId });
+    }
+
+    return transition;
+  }
+
+  /**
+   * Estorna uma doação aprovada, total ou parcialmente
+   * Estorno parcial mantém a doação approved e acumula refundedAmount;
+   * quando o saldo zera a doação passa para refunded
+   * @param {string} donationId - ID da doação
+   * @param {Object} options - { amount, reason, requestedBy, organizationId }
+   */
+  async refundDonation(
+    donationId,
+    { amount = null, reason = null, requestedBy = null, organizationId = null } = {}
+  ) {
+    try {
+      console.log('[DONATION SERVICE] Estornando doação:', donationId, { amount, requestedBy });
+
+      const donation = await this.donationRepository.findById(donationId);
+
+      if (!donation) {
+        throw new Error('Doação não encontrada');
       }
+
+      if (organizationId && donation.organizationId !== organizationId) {
+        throw new Error('Não autorizado a estornar esta doação');
+      }
+
+      const status = this.getDonationStatus(donation);
+      if (status !== EnhancedPaymentState.STATES.APPROVED) {
+        throw new Error(`Apenas doações aprovadas podem ser estornadas (status atual: ${status})`);
+      }
+
+      const paymentId = this.getProviderPaymentId(donation);
+      if (!paymentId) {
+        throw new Error('Doação sem pagamento associado no Mercado Pago');
+      }
+
+      const alreadyRefunded = donation.refundedAmount || 0;
+      const remaining = this.roundCurrency(donation.amount - alreadyRefunded);
+      const refundAmount =
+        amount === null || amount === undefined ? remaining : this.roundCurrency(amount);
+
+      if (refundAmount <= 0) {
+        throw new Error('Valor do estorno deve ser maior que zero');
+      }
+
+      if (refundAmount > remaining) {
+        throw new Error(`Valor do estorno excede o saldo disponível (R$ ${remaining.toFixed(2)})`);
+      }
+
+      const isFullRefund = refundAmount === remaining;
+
+      // Sem valor o Mercado Pago estorna o pagamento inteiro
+      const paymentAdapter = await this.getDonationAdapter(donation);
+      const providerRefund = await paymentAdapter.refundPayment(
+        paymentId,
+        isFullRefund && alreadyRefunded === 0 ? null : refundAmount
+      );
+
+      const refund = {
+        refundId: providerRefund.id ? String(providerRefund.id) : null,
+        amount: refundAmount,
+        reason,
+        requestedBy,
+        status: providerRefund.status || 'approved',
+        createdAt: new Date(),
+      };
+
+      let updated = await this.donationRepository.registerRefund(donation.id, refund);
+
+      if (isFullRefund) {
+        const transition = await this.transitionDonationStatus(
+          updated || donation,
+          EnhancedPaymentState.STATES.REFUNDED,
+          {
+            source: 'admin_refund',
+            metadata: { refundId: refund.refundId, requestedBy },
+          }
+        );
+        updated = transition.donation;
+      }
+
+      await this.emitRefundEvent(updated || donation, refund, {
+        partial: !isFullRefund,
+        source: 'admin_refund',
+      });
+
+      console.log('[DONATION SERVICE] Doação estornada:', donationId, refundAmount);
+
+      return { donation: updated, refund, partial: !isFullRefund };
     } catch (error) {
-      console.error('[DONATION SERVICE] Erro ao atualizar status da doação:', error);
+      console.error('[DONATION SERVICE] Erro ao estornar doação:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pagamento da doação no provedor (estornos e reconciliação): o paymentId gravado na
+   * aprovação. No checkout do Mercado Pago o mercadoPagoId é a preferência; no PIX e no
+   * Pagar.me já é o pagamento
+   * @returns {string|null} null quando o pagamento ainda não é conhecido
+   */
+  getProviderPaymentId(donation) {
+    if (donation.paymentId) {
+      return donation.paymentId;
+    }
+    const isPaymentRecord =
+      donation.paymentMethod === 'pix' || donation.paymentProvider === 'pagarme';
+    return isPaymentRecord ? donation.mercadoPagoId : null;
+  }
+
+  /**
+   * Marca como charged_back as doações e as parcelas recorrentes dos pagamentos contestados
+   */
+  async registerChargeback(chargebackData, { source = 'mercadopago_chargeback' } = {}) {
+    const results = [];
+
+    for (const paymentId of chargebackData.paymentIds || []) {
+      const donation = await this.findDonationForPayment(paymentId);
+      if (!donation) {
+        const charge = await this.registerChargeChargeback(paymentId, chargebackData, { source });
+        if (charge) {
+          results.push(charge);
+        } else {
+          console.warn('[DONATION SERVICE] Chargeback sem doação correspondente:', paymentId);
+        }
+        continue;
+      }
+
+      const transition = await this.transitionDonationStatus(
+        donation,
+        EnhancedPaymentState.STATES.CHARGED_BACK,
+        {
+          source,
+          metadata: { chargebackId: chargebackData.chargebackId, paymentId },
+        }
+      );
+
+      if (transition.changed) {
+        await this.emitChargebackEvent(donation, {
+          mercadoPagoId: paymentId,
+          chargebackId: chargebackData.chargebackId,
+        });
+      }
+
+      results.push(transition);
+    }
+
+    return results;
+  }
+
+  /**
+   * Chargeback de uma parcela recorrente: a parcela vai para charged_back e a doação-mãe
+   * (a assinatura) continua como está
+   * @returns {Promise<Object|null>} Parcela ou null quando o pagamento não é de uma parcela
+   */
+  async registerChargeChargeback(paymentId, chargebackData, { source }) {
+    if (!this.donationChargeRepository || !this.donationChargeRepository.findByPaymentId) {
+      return null;
+    }
+
+    const charge = await this.donationChargeRepository.findByPaymentId(paymentId);
+    if (!charge) {
+      return null;
+    }
+
+    const from = charge.status;
+    const to = EnhancedPaymentState.STATES.CHARGED_BACK;
+    if (from === to) {
+      return charge;
+    }
+    if (!this.canTransitionCharge(from, to)) {
+      console.warn(
+        `[DONATION SERVICE] Transição inválida ignorada para parcela ${charge.id}: ${from} -> ${to}`
+      );
+      return charge;
+    }
+
+    const updated = await this.donationChargeRepository.transitionStatus(charge.id, from, to, {
+      from,
+      to,
+      source,
+      timestamp: new Date(),
+      metadata: { chargebackId: chargebackData.chargebackId, paymentId },
+    });
+    if (!updated) {
+      throw new Error(`Status da parcela ${charge.id} mudou durante a atualização`);
     }
+
+    const donation = await this.donationRepository.findById(charge.donationId);
+    await this.emitChargebackEvent(donation || { id: charge.donationId }, {
+      mercadoPagoId: paymentId,
+      chargebackId: chargebackData.chargebackId,
+      charge: updated,
+    });
+
+    return updated;
+  }
+
+  async emitRefundEvent(donation, refund, { partial, source }) {
+    await this.eventManager.emit(
+      'donation.refunded',
+      {
+        donationId: donation.id,
+        organizationId: donation.organizationId,
+        amount: refund.amount,
+        refundedAmount: donation.refundedAmount || refund.amount,
+        refundId: refund.refundId,
+        reason: refund.reason,
+        partial,
+        origin: source,
+      },
+      { source: 'DonationService' }
+    );
+  }
+
+  async emitChargebackEvent(donation, { mercadoPagoId, chargebackId = null, charge = null }) {
+    await this.eventManager.emit(
+      'donation.chargeback',
+      {
+        donationId: donation.id,
+        organizationId: donation.organizationId || (charge && charge.organizationId),
+        chargeId: charge ? charge.id : null,
+        amount: charge ? charge.amount : donation.amount,
+        mercadoPagoId,
+        chargebackId,
+      },
+      { source: 'DonationService' }
+    );
+  }
+
+  roundCurrency(value) {
+    return Math.round(Number(value) * 100) / 100;
   }
 
   /**
@@ -297,16 +853,20 @@ class DonationService {
     try {
       console.log('[DONATION SERVICE] Cancelando assinatura:', subscriptionId);
 
-      // Cancelar no Mercado Pago
-      const result = await this.paymentAdapter.cancelSubscription(subscriptionId);
+      const donation = await this.donationRepository.findBySubscriptionId(subscriptionId);
+
+      // Cancelar no provedor (e na conta) da assinatura
+      const paymentAdapter = donation
+        ? await this.getDonationAdapter(donation)
+        : this.getPaymentAdapter();
+      const result = await paymentAdapter.cancelSubscription(subscriptionId);
 
       // Atualizar no banco se encontrar a doação
       try {
-        const donation = await this.donationRepository.findBySubscriptionId(subscriptionId);
         if (donation) {
-          await this.donationRepository.update(donation.id, {
-            paymentStatus: 'cancelled',
-            updatedAt: new Date(),
+          await this.transitionDonationStatus(donation, EnhancedPaymentState.STATES.CANCELLED, {
+            source: 'subscription_cancel',
+            metadata: { subscriptionId },
           });
         }
       } catch (dbError) {
@@ -329,7 +889,11 @@ class DonationService {
     try {
       console.log('[DONATION SERVICE] Consultando status da assinatura:', subscriptionId);
 
-      const result = await this.paymentAdapter.getSubscriptionStatus(subscriptionId);
+      const donation = await this.donationRepository.findBySubscriptionId(subscriptionId);
+      const paymentAdapter = donation
+        ? await this.getDonationAdapter(donation)
+        : this.getPaymentAdapter();
+      const result = await paymentAdapter.getSubscriptionStatus(subscriptionId);
 
       return result;
     } catch (error) {
@@ -357,13 +921,16 @@ class DonationService {
         throw new Error('Apenas doações recorrentes podem ser canceladas');
       }
 
-      // Cancelar no Mercado Pago
-      await this.paymentAdapter.cancelSubscription(donation.subscriptionId);
+      this.assertCanTransition(donation, EnhancedPaymentState.STATES.CANCELLED);
+
+      // Cancelar no provedor da assinatura
+      const paymentAdapter = await this.getDonationAdapter(donation);
+      await paymentAdapter.cancelSubscription(donation.subscriptionId);
 
       // Atualizar no banco
-      await this.donationRepository.update(donationId, {
-        paymentStatus: 'cancelled',
-        updatedAt: new Date(),
+      await this.transitionDonationStatus(donation, EnhancedPaymentState.STATES.CANCELLED, {
+        source: 'organization',
+        metadata: { organizationId },
       });
 
       console.log('[DONATION SERVICE] Doação recorrente cancelada:', donationId);
@@ -394,6 +961,83 @@ class DonationService {
     // Validação de email removida - aceita qualquer string no donorEmail
     // Isso permite que admins com usernames não-email façam doações
   }
+
+  /**
+   * Sem credenciais do Mercado Pago o adapter não é criado e só o PIX estático funciona
+   */
+  assertPaymentAdapter(paymentAdapter = this.paymentAdapter) {
+    if (!paymentAdapter) {
+      throw new Error('Mercado Pago não configurado: utilize a doação via PIX');
+    }
+  }
+
+  /**
+   * Adapter do provedor informado; doações antigas (sem paymentProvider) usam o Mercado Pago
+   */
+  getPaymentAdapter(provider) {
+    if (!provider || !this.paymentProviderService) {
+      return this.paymentAdapter;
+    }
+    if (provider === 'mercadopago' && !this.paymentProviderService.isAvailable(provider)) {
+      return this.paymentAdapter;
+    }
+    return this.paymentProviderService.getAdapter(provider);
+  }
+
+  /**
+   * Adapter para novas cobranças: conta conectada da organização (OAuth) ou a da plataforma
+   */
+  async resolvePaymentAdapter(provider, organizationId) {
+    const service = this.paymentProviderService;
+    if (!service || !service.isAvailable(provider || 'mercadopago')) {
+      return this.getPaymentAdapter(provider);
+    }
+    return service.getAdapterForOrganization(provider || 'mercadopago', organizationId);
+  }
+
+  /**
+   * Adapter da conta que recebeu a doação (metadata.paymentAccountId; ausente = plataforma)
+   */
+  async getDonationAdapter(donation) {
+    const accountId = donation.metadata && donation.metadata.paymentAccountId;
+    const service = this.paymentProviderService;
+    if (!accountId || !service) {
+      return this.getPaymentAdapter(donation.paymentProvider);
+    }
+    return service.getAdapterForAccount(donation.paymentProvider || 'mercadopago', accountId);
+  }
+
+  async getWebhookAdapter(provider, webhookData) {
+    const service = this.paymentProviderService;
+    if (!service || !service.isAvailable(provider)) {
+      return this.getPaymentAdapter(provider);
+    }
+    return service.getAdapterForWebhook(provider, webhookData);
+  }
+
+  /**
+   * Doação para uma campanha (direto ou por uma página de arrecadação) só é aceita enquanto
+   * a campanha pode receber doações
+   * @returns {Promise<{campaignId?: string, fundraisingPageId?: string}>}
+   */
+  async resolveDonationTarget(donationData) {
+    if (!donationData.campaignId && !donationData.fundraisingPageId) {
+      return {};
+    }
+    if (!this.campaignService) {
+      throw new Error('Campanhas não configuradas');
+    }
+
+    return this.campaignService.resolveDonationTarget(donationData);
+  }
+
+  async resolveProvider(organizationId) {
+    if (!this.paymentProviderService) {
+      return 'mercadopago';
+    }
+    return this.paymentProviderService.getProviderForOrganization(organizationId);
+  }
+
   validateRecurringData(data) {
     const validFrequencies = ['monthly', 'weekly', 'yearly'];
 
@@ -402,21 +1046,208 @@ class DonationService {
     }
   }
 
-  async updateSubscriptionStatus(subscriptionId, status) {
+  async updateSubscriptionStatus(subscriptionId, status, { source = 'mercadopago_webhook' } = {}) {
     try {
       const donation = await this.donationRepository.findBySubscriptionId(subscriptionId);
 
       if (donation) {
-        await this.donationRepository.update(donation.id, {
-          paymentStatus: PaymentState.fromMercadoPago(status).toDomain(),
-          updatedAt: new Date(),
-        });
-
-        console.log('[DONATION SERVICE] Status da assinatura atualizado:', donation.id, status);
+        return await this.applySubscriptionStatus(donation, status, { source });
       }
+
+      return null;
     } catch (error) {
       console.error('[DONATION SERVICE] Erro ao atualizar status da assinatura:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aplica à doação recorrente o status da assinatura no Mercado Pago
+   */
+  async applySubscriptionStatus(donation, status, { source }) {
+    return this.transitionDonationStatus(
+      donation,
+      EnhancedPaymentState.fromMercadoPago(status).getState(),
+      {
+        source,
+        metadata: { subscriptionId: donation.subscriptionId, mercadoPagoStatus: status },
+      }
+    );
+  }
+
+  /**
+   * Registra ou atualiza a parcela de uma doação recorrente (authorized_payment)
+   * A parcela tem status próprio; a doação-mãe continua refletindo a assinatura
+   * @param {Object} chargeData - { authorizedPaymentId, subscriptionId, paymentId, status, amount, retryAttempt, debitDate }
+   * @param {Object} context - { source }
+   * @returns {Promise<Object|null>} Parcela registrada ou null quando não há doação-mãe
+   */
+  async registerRecurringCharge(chargeData, { source }) {
+    if (!this.donationChargeRepository) {
+      console.warn('[DONATION SERVICE] Histórico de cobranças não configurado, parcela ignorada');
+      return null;
+    }
+
+    const donation = await this.donationRepository.findBySubscriptionId(chargeData.subscriptionId);
+    if (!donation) {
+      console.warn(
+        '[DONATION SERVICE] Parcela recebida para assinatura desconhecida:',
+        chargeData.subscriptionId
+      );
+      return null;
+    }
+
+    const status = EnhancedPaymentState.fromMercadoPago(chargeData.status).getState();
+    const historyEntry = {
+      to: status,
+      source,
+      timestamp: new Date(),
+      metadata: {
+        paymentId: chargeData.paymentId || null,
+        mercadoPagoStatus: chargeData.status,
+        retryAttempt: chargeData.retryAttempt || 0,
+      },
+    };
+
+    const existing = await this.donationChargeRepository.findByAuthorizedPaymentId(
+      chargeData.authorizedPaymentId
+    );
+
+    let charge;
+    if (!existing) {
+      charge = await this.donationChargeRepository.create({
+        donationId: donation.id,
+        subscriptionId: chargeData.subscriptionId,
+        organizationId: donation.organizationId || null,
+        campaignId: donation.campaignId || null,
+        fundraisingPageId: donation.fundraisingPageId || null,
+        donorEmail: donation.donorEmail || null,
+        isAnonymous: !!donation.isAnonymous,
+        authorizedPaymentId: chargeData.authorizedPaymentId,
+        paymentId: chargeData.paymentId || null,
+        amount: chargeData.amount || donation.amount,
+        status,
+        retryAttempt: chargeData.retryAttempt || 0,
+        chargedAt: chargeData.debitDate ? new Date(chargeData.debitDate) : new Date(),
+        statusHistory: [{ ...historyEntry, from: null }],
+      });
+    } else {
+      const from = existing.status;
+      const attemptData = {
+        paymentId: chargeData.paymentId || existing.paymentId,
+        retryAttempt: chargeData.retryAttempt || existing.retryAttempt,
+      };
+
+      if (from === status) {
+        charge = await this.donationChargeRepository.update(existing.id, attemptData);
+
+        // Nova tentativa do Mercado Pago recusada outra vez
+        if (
+          status === EnhancedPaymentState.STATES.REJECTED &&
+          attemptData.retryAttempt > existing.retryAttempt
+        ) {
+          await this.emitRecurringChargeFailed(donation, charge, chargeData);
+        }
+        return charge;
+      }
+
+      if (!this.canTransitionCharge(from, status)) {
+        console.warn(
+          `[DONATION SERVICE] Transição inválida ignorada para parcela ${existing.id}: ${from} -> ${status}`
+        );
+        return existing;
+      }
+
+      charge = await this.donationChargeRepository.transitionStatus(
+        existing.id,
+        from,
+        status,
+        { ...historyEntry, from },
+        attemptData
+      );
+
+      if (!charge) {
+        throw new Error(`Status da parcela ${existing.id} mudou durante a atualização`);
+      }
     }
+
+    if (status === EnhancedPaymentState.STATES.APPROVED) {
+      await this.eventManager.emit(
+        'donation.recurring.renewed',
+        {
+          donationId: donation.id,
+          chargeId: charge.id,
+          subscriptionId: chargeData.subscriptionId,
+          organizationId: donation.organizationId,
+          amount: charge.amount,
+          chargedAt: charge.chargedAt,
+        },
+        { source: 'DonationService' }
+      );
+    } else if (status === EnhancedPaymentState.STATES.REJECTED) {
+      await this.emitRecurringChargeFailed(donation, charge, chargeData);
+    }
+
+    return charge;
+  }
+
+  /**
+   * Parcela recusada: alimenta o fluxo de inadimplência (DunningService via DonationObserver)
+   */
+  async emitRecurringChargeFailed(donation, charge, chargeData) {
+    await this.eventManager.emit(
+      'donation.recurring.charge_failed',
+      {
+        donationId: donation.id,
+        chargeId: charge.id,
+        subscriptionId: chargeData.subscriptionId,
+        organizationId: donation.organizationId,
+        amount: charge.amount,
+        retryAttempt: charge.retryAttempt,
+        reason: chargeData.statusDetail || chargeData.status,
+      },
+      { source: 'DonationService' }
+    );
+  }
+
+  /**
+   * Parcela recusada volta a ser cobrada pelo Mercado Pago (recycling)
+   * e pode ir direto de rejected para o resultado da nova tentativa
+   */
+  canTransitionCharge(from, to) {
+    if (new EnhancedPaymentState(from).canTransitionTo(to)) {
+      return true;
+    }
+
+    return (
+      from === EnhancedPaymentState.STATES.REJECTED &&
+      new EnhancedPaymentState(EnhancedPaymentState.STATES.PENDING).canTransitionTo(to)
+    );
+  }
+
+  /**
+   * Histórico de cobranças de uma assinatura com totais pagos
+   */
+  async getSubscriptionCharges(subscriptionId) {
+    if (!this.donationChargeRepository) {
+      throw new Error('Histórico de cobranças não disponível');
+    }
+
+    const charges = await this.donationChargeRepository.findBySubscriptionId(subscriptionId);
+    const approved = charges.filter((c) => c.status === EnhancedPaymentState.STATES.APPROVED);
+
+    return {
+      subscriptionId,
+      charges,
+      summary: {
+        totalCharges: charges.length,
+        approvedCharges: approved.length,
+        failedCharges: charges.filter((c) => c.status === EnhancedPaymentState.STATES.REJECTED)
+          .length,
+        totalPaid: this.roundCurrency(approved.reduce((sum, c) => sum + c.amount, 0)),
+        lastChargedAt: approved.length > 0 ? approved[0].chargedAt : null,
+      },
+    };
   }
 
   mapMercadoPagoStatus(mpStatus) {
@@ -425,6 +1256,7 @@ class DonationService {
 
   /**
    * Atualiza uma assinatura (pausar/reativar/alterar valor/frequência)
+   * options.source identifica quem pediu a mudança no statusHistory (padrão: donor)
    */
   async updateSubscription(subscriptionId, options = {}) {
     try {
@@ -438,14 +1270,15 @@ class DonationService {
 
       const updateData = {};
       const adapterOptions = {};
+      let targetStatus = null;
 
       // Processar ação (pause/resume/update)
       if (options.action === 'pause') {
         adapterOptions.status = 'paused';
-        updateData.paymentStatus = 'paused';
+        targetStatus = EnhancedPaymentState.STATES.PAUSED;
       } else if (options.action === 'resume') {
         adapterOptions.status = 'authorized';
-        updateData.paymentStatus = 'approved';
+        targetStatus = EnhancedPaymentState.STATES.APPROVED;
       } else if (options.action === 'update') {
         if (options.amount) {
           adapterOptions.amount = options.amount;
@@ -457,10 +1290,22 @@ class DonationService {
         }
       }
 
-      // Atualizar no Mercado Pago
-      const result = await this.paymentAdapter.updateSubscription(subscriptionId, adapterOptions);
+      if (targetStatus) {
+        this.assertCanTransition(donation, targetStatus);
+      }
+
+      // Atualizar no provedor da assinatura
+      const paymentAdapter = await this.getDonationAdapter(donation);
+      const result = await paymentAdapter.updateSubscription(subscriptionId, adapterOptions);
 
       // Atualizar no banco de dados
+      if (targetStatus) {
+        await this.transitionDonationStatus(donation, targetStatus, {
+          source: options.source || 'donor',
+          metadata: { action: options.action, subscriptionId },
+        });
+      }
+
       if (Object.keys(updateData).length > 0) {
         updateData.updatedAt = new Date();
         await this.donationRepository.update(donation.id, updateData);
@@ -491,8 +1336,12 @@ class DonationService {
         throw new Error('Assinatura não encontrada');
       }
 
-      // Criar nova assinatura com os mesmos dados
-      const newSubscription = await this.paymentAdapter.createSubscription({
+      // Criar nova assinatura com os mesmos dados, na conta atual da organização
+      const paymentAdapter = await this.resolvePaymentAdapter(
+        donation.paymentProvider,
+        donation.organizationId
+      );
+      const newSubscription = await paymentAdapter.createSubscription({
         amount: donation.amount,
         frequency: donation.frequency || 'monthly',
         title: `Doação Recorrente - Reautorização`,
@@ -544,7 +1393,8 @@ class DonationService {
       // Buscar status atualizado no Mercado Pago
       let mpStatus = {};
       try {
-        mpStatus = await this.paymentAdapter.getSubscriptionStatus(activeDonation.subscriptionId);
+        const paymentAdapter = await this.getDonationAdapter(activeDonation);
+        mpStatus = await paymentAdapter.getSubscriptionStatus(activeDonation.subscriptionId);
       } catch (error) {
         console.warn('[DONATION SERVICE] Erro ao buscar status no MP:', error.message);
       }
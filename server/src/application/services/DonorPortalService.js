@@ -0,0 +1,333 @@
+/**
+ * SERVICE LAYER - Portal do doador
+ * Doadores não são Users: entram com código de 6 dígitos (ou o link mágico que o carrega) enviado
+ * por email via VerificationCode, e recebem um token de sessão próprio, assinado com HMAC.
+ */
+const crypto = require('crypto');
+
+const CODE_TYPE = 'donor_login';
+const CODE_TTL_MINUTES = 15;
+const MAX_CODES_PER_WINDOW = 3; // por email a cada 5 minutos
+const MAX_FAILED_ATTEMPTS = 5; // por código; depois disso é preciso pedir outro
+const SESSION_TTL_SECONDS = 2 * 60 * 60;
+
+const PROFILE_FIELDS = ['name', 'phone', 'address', 'city', 'state', 'zipCode'];
+const PRIVACY_FLAGS = ['isAnonymous', 'showInPublicList'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class DonorPortalService {
+  /**
+   * @param {Object} verificationCodeRepository - Códigos de login (tipo donor_login)
+   * @param {Object} emailService - Envio do código/link mágico
+   * @param {Object} donationRepository - Doações do doador (findForDonor/updateDonorContact)
+   * @param {Object} donorProfileRepository - Perfil do doador
+   * @param {DonationReceiptService|null} receiptService - Recibos emitidos
+   * @param {Object} options - { sessionSecret }
+   */
+  constructor(
+    verificationCodeRepository,
+    emailService,
+    donationRepository,
+    donorProfileRepository,
+    receiptService = null,
+    options = {}
+  ) {
+    this.verificationCodeRepository = verificationCodeRepository;
+    this.emailService = emailService;
+    this.donationRepository = donationRepository;
+    this.donorProfileRepository = donorProfileRepository;
+    this.receiptService = receiptService;
+    this.sessionSecret = options.sessionSecret;
+
+    console.log('[DONOR PORTAL SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Envia o código de acesso. Não revela se o email tem doações.
+   */
+  async requestLogin(rawEmail) {
+    const email = this.normalizeEmail(rawEmail);
+    const donations = await this.donationRepository.findForDonor(email);
+    if (donations.length === 0) {
+      console.warn('[DONOR PORTAL SERVICE] Login solicitado para email sem doações');
+      return { email, expiresIn: `${CODE_TTL_MINUTES} minutos` };
+    }
+
+    const recentAttempts = await this.verificationCodeRepository.countRecentAttempts(
+      email,
+      CODE_TYPE,
+      5
+    );
+    if (recentAttempts >= MAX_CODES_PER_WINDOW) {
+      throw new Error('Muitas tentativas. Aguarde 5 minutos antes de solicitar um novo código.');
+    }
+
+    await this.verificationCodeRepository.invalidatePreviousCodes(email, CODE_TYPE);
+    const code = String(crypto.randomInt(100000, 1000000));
+    await this.verificationCodeRepository.create({
+      email,
+      code,
+      type: CODE_TYPE,
+      expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+    });
+
+    await this.emailService.sendEmail({
+      to: email,
+      subject: 'Seu acesso ao portal do doador',
+      html: this.buildLoginEmailHtml(donations[0].donorName, email, code),
+    });
+
+    console.log('[DONOR PORTAL SERVICE] Código de acesso enviado');
+    return { email, expiresIn: `${CODE_TTL_MINUTES} minutos` };
+  }
+
+  /**
+   * Troca o código (digitado ou vindo do link mágico) por um token de sessão.
+   * Cada erro conta contra o código ativo do email, invalidado após MAX_FAILED_ATTEMPTS.
+   * @returns {Promise<{token: string, expiresAt: Date, profile: Object}>}
+   */
+  async verifyLogin(rawEmail, code) {
+    const email = this.normalizeEmail(rawEmail);
+    const verificationCode = await this.verificationCodeRepository.findValidCode(
+      email,
+      String(code || ''),
+      CODE_TYPE
+    );
+    if (!verificationCode) {
+      const failedAttempts = await this.verificationCodeRepository.registerFailedAttempt(
+        email,
+        CODE_TYPE,
+        MAX_FAILED_ATTEMPTS
+      );
+      if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        console.warn('[DONOR PORTAL SERVICE] Código invalidado após tentativas incorretas');
+      }
+      throw new Error('Código inválido ou expirado');
+    }
+    await this.verificationCodeRepository.markAsUsed(verificationCode.id);
+
+    const [latest] = await this.donationRepository.findForDonor(email);
+    const profile = await this.donorProfileRepository.upsert(
+      email,
+      { name: latest?.donorName || email, phone: latest?.donorPhone || null },
+      { lastLoginAt: new Date() }
+    );
+
+    const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+    return { token: this.createSessionToken(email, expiresAt), expiresAt, profile };
+  }
+
+  /**
+   * @returns {{email: string}} Doador da sessão
+   */
+  verifySession(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !this.isValidSignature(payload, signature)) {
+      throw new Error('Sessão inválida ou expirada');
+    }
+
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (session.scope !== 'donor' || session.exp < Math.floor(Date.now() / 1000)) {
+      throw new Error('Sessão inválida ou expirada');
+    }
+    return { email: session.sub };
+  }
+
+  async getProfile(email) {
+    return this.donorProfileRepository.findByEmail(email);
+  }
+
+  /**
+   * Atualiza o contato no perfil; nome e telefone também passam para as doações,
+   * que é onde as organizações veem o doador
+   */
+  async updateProfile(email, data) {
+    const changes = {};
+    for (const field of PROFILE_FIELDS) {
+      if (data[field] !== undefined) {
+        changes[field] = data[field];
+      }
+    }
+    if (changes.name !== undefined && String(changes.name).trim().length < 2) {
+      throw new Error('Nome deve ter ao menos 2 caracteres');
+    }
+
+    const profile = await this.donorProfileRepository.upsert(email, { name: email }, changes);
+
+    const contact = {};
+    if (changes.name !== undefined) {
+      contact.donorName = changes.name;
+    }
+    if (changes.phone !== undefined) {
+      contact.donorPhone = changes.phone;
+    }
+    if (Object.keys(contact).length > 0) {
+      await this.donationRepository.updateDonorContact(email, contact);
+    }
+    return profile;
+  }
+
+  async listDonations(email) {
+    const donations = await this.donationRepository.findForDonor(email);
+    return donations.map((donation) => this.toDonorView(donation));
+  }
+
+  /**
+   * Assinaturas recorrentes que ainda não foram canceladas
+   */
+  async listSubscriptions(email) {
+    const donations = await this.donationRepository.findForDonor(email);
+    return donations
+      .filter(
+        (donation) =>
+          donation.type === 'recurring' &&
+          donation.subscriptionId &&
+          this.getStatus(donation) !== 'cancelled'
+      )
+      .map((donation) => ({
+        id: String(donation.id),
+        subscriptionId: donation.subscriptionId,
+        organizationId: donation.organizationId,
+        organizationName: donation.organizationName,
+        amount: donation.amount,
+        frequency: donation.frequency,
+        status: this.getStatus(donation),
+        createdAt: donation.createdAt,
+        subscriptionUrl: donation.metadata?.subscriptionUrl || null,
+      }));
+  }
+
+  async listReceipts(email) {
+    if (!this.receiptService) {
+      return [];
+    }
+    const receipts = await this.receiptService.listForDonor(email);
+    return receipts.map((receipt) => ({
+      id: receipt.id,
+      receiptNumber: receipt.receiptNumber,
+      donationId: receipt.donationId,
+      chargeId: receipt.chargeId,
+      organizationName: receipt.issuer?.name || null,
+      amount: receipt.amount,
+      paidAt: receipt.paidAt,
+      downloadUrl: `/api/donor-portal/receipts/${receipt.id}/pdf`,
+    }));
+  }
+
+  /**
+   * @returns {Promise<{filename: string, content: Buffer}>}
+   */
+  async renderReceipt(email, receiptId) {
+    if (!this.receiptService) {
+      throw new Error('Recibos não configurados');
+    }
+    const receipt = await this.receiptService.getReceipt(receiptId);
+    if (!receipt || this.normalizeEmail(receipt.donorEmail) !== email) {
+      throw new Error('Recibo não encontrado');
+    }
+    return this.receiptService.renderReceipt(receipt);
+  }
+
+  /**
+   * Altera isAnonymous/showInPublicList de uma doação do próprio doador
+   */
+  async updatePrivacy(email, donationId, flags) {
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation || this.normalizeEmail(donation.donorEmail) !== email) {
+      throw new Error('Doação não encontrada');
+    }
+
+    const changes = {};
+    for (const flag of PRIVACY_FLAGS) {
+      if (typeof flags[flag] === 'boolean') {
+        changes[flag] = flags[flag];
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new Error('Informe isAnonymous ou showInPublicList');
+    }
+
+    const updated = await this.donationRepository.update(String(donation.id), changes);
+    console.log('[DONOR PORTAL SERVICE] Privacidade da doação alterada:', donation.id, changes);
+    return this.toDonorView(updated);
+  }
+
+  toDonorView(donation) {
+    return {
+      id: String(donation.id),
+      organizationId: donation.organizationId,
+      organizationName: donation.organizationName,
+      campaignId: donation.campaignId || null,
+      amount: donation.amount,
+      refundedAmount: donation.refundedAmount || 0,
+      type: donation.type,
+      frequency: donation.frequency || null,
+      status: this.getStatus(donation),
+      paymentMethod: donation.paymentMethod || null,
+      message: donation.message || null,
+      isAnonymous: !!donation.isAnonymous,
+      showInPublicList: donation.showInPublicList !== false,
+      createdAt: donation.createdAt,
+    };
+  }
+
+  getStatus(donation) {
+    return donation.paymentStatus || donation.status;
+  }
+
+  createSessionToken(email, expiresAt) {
+    const payload = Buffer.from(
+      JSON.stringify({
+        sub: email,
+        scope: 'donor',
+        exp: Math.floor(expiresAt.getTime() / 1000),
+      })
+    ).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(payload).digest('base64url');
+  }
+
+  isValidSignature(payload, signature) {
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  normalizeEmail(email) {
+    return String(email || '')
+      .trim()
+      .toLowerCase();
+  }
+
+  buildLoginEmailHtml(name, email, code) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const link = `${baseUrl}/portal-doador/entrar?email=${encodeURIComponent(email)}&code=${code}`;
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Olá, ${escapeHtml(name || 'doador')}!</h2>
+        <p>Use o código abaixo para acessar suas doações, recibos e assinaturas:</p>
+        <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+        <p>Ou entre direto pelo link: <a href="${link}">acessar o portal do doador</a></p>
+        <p style="color: #666;">O código expira em ${CODE_TTL_MINUTES} minutos. Se você não pediu
+        este acesso, ignore este email.</p>
+      </div>
+    `;
+  }
+}
+
+DonorPortalService.CODE_TYPE = CODE_TYPE;
+DonorPortalService.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+
+module.exports = DonorPortalService;
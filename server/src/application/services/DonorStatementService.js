@@ -0,0 +1,188 @@
+/**
+ * SERVICE LAYER - Informe anual de doações (imposto de renda)
+ * Gera o informe pelo DonorAnnualStatementTemplate e, em janeiro, envia a cada doador
+ * o informe do ano anterior. Cada organização é enviada uma vez por ano.
+ */
+const { DonorAnnualStatementTemplate } = require('../templates/ReportTemplate');
+
+class DonorStatementService {
+  /**
+   * @param {Object} repositories - { donationRepository, chargeRepository, issuerRepository,
+   *   dispatchRepository, userRepository }
+   * @param {Object} pdfRenderer - Gera o PDF do informe de um doador
+   * @param {Object} emailBridge - EmailNotificationBridge (opcional; sem ele não há envio em lote)
+   * @param {Object} options - { batchSize }
+   */
+  constructor(repositories, pdfRenderer, emailBridge = null, options = {}) {
+    this.donationRepository = repositories.donationRepository;
+    this.chargeRepository = repositories.chargeRepository || null;
+    this.issuerRepository = repositories.issuerRepository || null;
+    this.dispatchRepository = repositories.dispatchRepository || null;
+    this.userRepository = repositories.userRepository || null;
+    this.pdfRenderer = pdfRenderer;
+    this.emailBridge = emailBridge;
+
+    this.batchSize = options.batchSize || 50;
+    this.running = false;
+
+    console.log('[DONOR STATEMENT SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Gera o informe da organização no ano
+   * @param {Object} params - { organizationId, year, format, donorEmail, donorDocument, requestedBy }
+   * @returns {Promise<Object>} { organization, year, totals, statements, files? }
+   */
+  async generate({
+    organizationId,
+    year,
+    format = 'json',
+    donorEmail,
+    donorDocument,
+    requestedBy,
+  }) {
+    const template = new DonorAnnualStatementTemplate({
+      donationRepository: this.donationRepository,
+      chargeRepository: this.chargeRepository,
+      issuerRepository: this.issuerRepository,
+      pdfRenderer: this.pdfRenderer,
+      format,
+    });
+
+    const result = await template.execute(
+      { organizationId, year, donorEmail, donorDocument },
+      { userId: requestedBy }
+    );
+
+    return result.data.report;
+  }
+
+  /**
+   * Envia os informes do ano a todos os doadores (de uma organização ou de todas)
+   * @param {Object} params - { year, organizationId, trigger, requestedBy, force }
+   */
+  async sendAnnualStatements({
+    year,
+    organizationId = null,
+    trigger = 'scheduled',
+    requestedBy = null,
+    force = false,
+  }) {
+    if (!this.emailBridge) {
+      throw new Error('Envio de email não configurado');
+    }
+    if (this.running) {
+      throw new Error('Envio de informes já em andamento');
+    }
+
+    this.running = true;
+    const summary = { year, organizations: 0, skipped: 0, sent: 0, failed: 0, errors: [] };
+
+    try {
+      const organizationIds = organizationId ? [organizationId] : await this.listOrganizationIds();
+
+      for (const id of organizationIds) {
+        try {
+          const dispatch = await this.sendForOrganization(id, year, {
+            trigger,
+            requestedBy,
+            force,
+          });
+          if (!dispatch) {
+            summary.skipped++;
+            continue;
+          }
+          summary.organizations++;
+          summary.sent += dispatch.successful;
+          summary.failed += dispatch.failed;
+        } catch (error) {
+          // Organização sem registro de envio é tentada de novo na próxima rodada
+          console.error(
+            `[DONOR STATEMENT SERVICE] Erro ao enviar informes da organização ${id}:`,
+            error.message
+          );
+          summary.errors.push({ organizationId: id, error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    console.log('[DONOR STATEMENT SERVICE] Envio de informes concluído:', summary);
+    return summary;
+  }
+
+  /**
+   * Envia os informes de uma organização; null quando o ano já foi enviado
+   */
+  async sendForOrganization(organizationId, year, { trigger, requestedBy, force }) {
+    if (this.dispatchRepository && !force) {
+      const previous = await this.dispatchRepository.findByOrganizationAndYear(
+        organizationId,
+        year
+      );
+      if (previous) {
+        return null;
+      }
+    }
+
+    const report = await this.generate({ organizationId, year, format: 'pdf', requestedBy });
+    const filesByDonor = new Map((report.files || []).map((file) => [file.donorKey, file]));
+    const notification = {
+      title: `Informe de doações ${year} - ${report.organization.name || 'Plataforma ONGs'}`,
+      message: `Obrigado por apoiar ${report.organization.name || 'a organização'} em ${year}! Este é o resumo das suas doações no ano.`,
+    };
+
+    const recipients = report.statements.map((statement) => ({
+      email: statement.donorEmail,
+      name: statement.donorName,
+      statement: { donationCount: statement.donationCount, totalAmount: statement.totalAmount },
+      attachments: [filesByDonor.get(statement.donorKey)].filter(Boolean),
+    }));
+
+    const dispatch = {
+      organizationId,
+      year,
+      trigger,
+      requestedBy,
+      totalRecipients: recipients.length,
+      successful: 0,
+      failed: 0,
+      failures: [],
+      sentAt: new Date(),
+    };
+
+    for (let i = 0; i < recipients.length; i += this.batchSize) {
+      const batch = recipients.slice(i, i + this.batchSize);
+      try {
+        const result = await this.emailBridge.sendBulkNotification(notification, batch, {
+          template: 'annual_statement',
+        });
+        dispatch.successful += result.successful;
+        dispatch.failed += result.failed + (batch.length - result.validRecipients);
+        result.results
+          .filter((r) => !r.success)
+          .forEach((r) => dispatch.failures.push({ recipient: r.recipient, error: r.error }));
+      } catch (error) {
+        dispatch.failed += batch.length;
+        dispatch.failures.push({ recipient: null, error: error.message });
+      }
+    }
+
+    return this.dispatchRepository ? await this.dispatchRepository.save(dispatch) : dispatch;
+  }
+
+  async listOrganizationIds() {
+    if (!this.userRepository) {
+      return [];
+    }
+    const organizations = await this.userRepository.findByUserType('organization');
+    return organizations.map((organization) => String(organization.id || organization._id));
+  }
+
+  isRunning() {
+    return this.running;
+  }
+}
+
+module.exports = DonorStatementService;
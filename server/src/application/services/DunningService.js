@@ -0,0 +1,363 @@
+/**
+ * SERVICE LAYER - Inadimplência de doações recorrentes (dunning)
+ * Acompanha parcelas recusadas: grace -> past_due -> suspended (assinatura pausada).
+ * O Mercado Pago faz as novas tentativas de cobrança; o cronograma define quando
+ * o caso escala e o doador é avisado, com link para atualizar o cartão.
+ */
+const DUNNING_STATUS = {
+  GRACE: 'grace',
+  PAST_DUE: 'past_due',
+  SUSPENDED: 'suspended',
+  RECOVERED: 'recovered',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DunningService {
+  /**
+   * @param {Object} dunningRepository - Repository dos casos de inadimplência
+   * @param {DonationService} donationService - Busca a doação e pausa a assinatura
+   * @param {Object} notificationBridges - { email, whatsapp } (INotificationBridge, opcionais)
+   * @param {Object} options - { retryScheduleDays, updateCardUrl, batchSize }
+   */
+  constructor(dunningRepository, donationService, notificationBridges = {}, options = {}) {
+    this.dunningRepository = dunningRepository;
+    this.donationService = donationService;
+    this.emailBridge = notificationBridges.email || null;
+    this.whatsappBridge = notificationBridges.whatsapp || null;
+
+    // Dias após a primeira recusa em que o caso escala; o último suspende a assinatura
+    this.retryScheduleDays =
+      options.retryScheduleDays && options.retryScheduleDays.length > 0
+        ? options.retryScheduleDays
+        : [3, 7, 14];
+    this.updateCardUrl = options.updateCardUrl || null;
+    this.batchSize = options.batchSize || 50;
+    this.running = false;
+
+    console.log('[DUNNING SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Parcela recusada: abre um caso (grace) ou conta mais uma tentativa no caso aberto
+   * @param {Object} data - { subscriptionId, chargeId, amount, reason }
+   */
+  async handleChargeFailed({ subscriptionId, chargeId, amount, reason }) {
+    const donation =
+      await this.donationService.donationRepository.findBySubscriptionId(subscriptionId);
+    if (!donation) {
+      console.warn('[DUNNING SERVICE] Assinatura não encontrada para a recusa:', subscriptionId);
+      return null;
+    }
+
+    const open = await this.dunningRepository.findOpenBySubscriptionId(subscriptionId);
+    if (open) {
+      // Nova tentativa do Mercado Pago também recusada: o cronograma não muda
+      return await this.dunningRepository.update(open.id, {
+        failedAttempts: open.failedAttempts + 1,
+        lastChargeId: chargeId || open.lastChargeId,
+        lastFailureReason: reason || open.lastFailureReason,
+      });
+    }
+
+    const now = new Date();
+    let dunningCase = await this.dunningRepository.create({
+      donationId: donation.id,
+      subscriptionId,
+      organizationId: donation.organizationId || null,
+      status: DUNNING_STATUS.GRACE,
+      step: 0,
+      failedAttempts: 1,
+      amount: amount || donation.amount,
+      lastChargeId: chargeId || null,
+      lastFailureReason: reason || null,
+      firstFailedAt: now,
+      nextActionAt: this.getStepDate(now, 0),
+      history: [{ from: null, to: DUNNING_STATUS.GRACE, reason: 'charge_failed', timestamp: now }],
+    });
+
+    dunningCase = await this.notify(dunningCase, donation);
+
+    console.log('[DUNNING SERVICE] Caso de inadimplência aberto:', {
+      id: dunningCase.id,
+      subscriptionId,
+    });
+
+    return dunningCase;
+  }
+
+  /**
+   * Parcela paga: encerra o caso da assinatura (inclusive suspenso, se o doador reativou)
+   */
+  async handleChargeRecovered({ subscriptionId, chargeId }) {
+    const latest = await this.dunningRepository.findLatestBySubscriptionId(subscriptionId);
+    if (!latest || latest.status === DUNNING_STATUS.RECOVERED) {
+      return null;
+    }
+
+    const now = new Date();
+    const recovered = await this.dunningRepository.update(latest.id, {
+      status: DUNNING_STATUS.RECOVERED,
+      nextActionAt: null,
+      resolvedAt: now,
+      history: [
+        ...this.asArray(latest.history),
+        {
+          from: latest.status,
+          to: DUNNING_STATUS.RECOVERED,
+          reason: 'charge_approved',
+          chargeId,
+          timestamp: now,
+        },
+      ],
+    });
+
+    console.log('[DUNNING SERVICE] Caso de inadimplência encerrado:', {
+      id: latest.id,
+      subscriptionId,
+    });
+
+    return recovered;
+  }
+
+  /**
+   * Escala os casos com etapa vencida (chamado pelo DunningWorker)
+   * @returns {Promise<{processed: number, suspended: number, failed: number}>}
+   */
+  async processDueCases(now = new Date()) {
+    if (this.running) {
+      return { processed: 0, suspended: 0, failed: 0, skipped: true };
+    }
+
+    this.running = true;
+    const result = { processed: 0, suspended: 0, failed: 0 };
+
+    try {
+      const dueCases = await this.dunningRepository.findDue(now, this.batchSize);
+
+      for (const dunningCase of dueCases) {
+        try {
+          const advanced = await this.advanceCase(dunningCase, now);
+          result.processed++;
+          if (advanced && advanced.status === DUNNING_STATUS.SUSPENDED) {
+            result.suspended++;
+          }
+        } catch (error) {
+          // Caso continua vencido e é tentado de novo na próxima rodada
+          result.failed++;
+          console.error(`[DUNNING SERVICE] Erro ao escalar caso ${dunningCase.id}:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Avança o caso para a próxima etapa; a última pausa a assinatura
+   */
+  async advanceCase(dunningCase, now = new Date()) {
+    const donation = await this.donationService.donationRepository.findBySubscriptionId(
+      dunningCase.subscriptionId
+    );
+    if (!donation) {
+      throw new Error('Assinatura não encontrada');
+    }
+
+    const step = dunningCase.step + 1;
+    const isFinal = step >= this.retryScheduleDays.length;
+    const status = isFinal ? DUNNING_STATUS.SUSPENDED : DUNNING_STATUS.PAST_DUE;
+
+    if (isFinal) {
+      await this.donationService.updateSubscription(dunningCase.subscriptionId, {
+        action: 'pause',
+        source: 'dunning',
+      });
+    }
+
+    let updated = await this.dunningRepository.update(dunningCase.id, {
+      status,
+      step,
+      nextActionAt: isFinal ? null : this.getStepDate(dunningCase.firstFailedAt, step),
+      history: [
+        ...this.asArray(dunningCase.history),
+        {
+          from: dunningCase.status,
+          to: status,
+          reason: isFinal ? 'final_attempt_failed' : 'payment_overdue',
+          timestamp: now,
+        },
+      ],
+    });
+
+    updated = await this.notify(updated, donation);
+
+    console.log('[DUNNING SERVICE] Caso escalado:', {
+      id: updated.id,
+      status,
+      step,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Estado de inadimplência da assinatura para o doador (null quando em dia)
+   */
+  async getSubscriptionDunning(subscriptionId) {
+    const latest = await this.dunningRepository.findLatestBySubscriptionId(subscriptionId);
+    if (!latest || latest.status === DUNNING_STATUS.RECOVERED) {
+      return null;
+    }
+
+    return {
+      status: latest.status,
+      step: latest.step,
+      totalSteps: this.retryScheduleDays.length,
+      failedAttempts: latest.failedAttempts,
+      amount: latest.amount,
+      firstFailedAt: latest.firstFailedAt,
+      nextActionAt: latest.nextActionAt,
+      suspendsAt:
+        latest.status === DUNNING_STATUS.SUSPENDED
+          ? null
+          : this.getStepDate(latest.firstFailedAt, this.retryScheduleDays.length - 1),
+      updateCardUrl: this.buildUpdateCardUrl(subscriptionId),
+      reauthorizeEndpoint: `/api/donations/recurring/${subscriptionId}/reauthorize`,
+    };
+  }
+
+  /**
+   * Envia o aviso da etapa atual; email sempre, WhatsApp a partir de past_due
+   * Falhas de envio ficam registradas no caso e não interrompem o fluxo
+   */
+  async notify(dunningCase, donation) {
+    const notification = this.buildNotification(dunningCase, donation);
+    const recipient = {
+      email: donation.donorEmail,
+      name: donation.donorName,
+      phone: donation.donorPhone,
+    };
+
+    const channels = [];
+    if (this.emailBridge && recipient.email) {
+      channels.push(['email', this.emailBridge]);
+    }
+    if (this.whatsappBridge && recipient.phone && dunningCase.status !== DUNNING_STATUS.GRACE) {
+      channels.push(['whatsapp', this.whatsappBridge]);
+    }
+
+    if (channels.length === 0) {
+      console.warn(
+        '[DUNNING SERVICE] Nenhum canal de notificação disponível para o caso:',
+        dunningCase.id
+      );
+      return dunningCase;
+    }
+
+    const sent = [];
+    for (const [channel, bridge] of channels) {
+      const entry = {
+        step: dunningCase.step,
+        status: dunningCase.status,
+        level: notification.level,
+        channel,
+        sentAt: new Date(),
+      };
+
+      try {
+        await bridge.sendNotification(notification, recipient, { template: 'dunning' });
+        sent.push({ ...entry, success: true });
+      } catch (error) {
+        console.error(`[DUNNING SERVICE] Erro ao notificar via ${channel}:`, error.message);
+        sent.push({ ...entry, success: false, error: error.message });
+      }
+    }
+
+    return await this.dunningRepository.update(dunningCase.id, {
+      notifications: [...this.asArray(dunningCase.notifications), ...sent],
+    });
+  }
+
+  /**
+   * Conteúdo do aviso; o tom sobe a cada etapa
+   */
+  buildNotification(dunningCase, donation) {
+    const amount = this.formatCurrency(dunningCase.amount);
+    const organization = donation.organizationName || 'a organização';
+    const lastStep = this.retryScheduleDays.length - 1;
+    const suspendDate = this.getStepDate(dunningCase.firstFailedAt, lastStep).toLocaleDateString(
+      'pt-BR'
+    );
+    const base = {
+      actionUrl: this.buildUpdateCardUrl(dunningCase.subscriptionId),
+      actionLabel: 'Atualizar cartão',
+      amount: dunningCase.amount,
+      subscriptionId: dunningCase.subscriptionId,
+    };
+
+    if (dunningCase.status === DUNNING_STATUS.SUSPENDED) {
+      return {
+        ...base,
+        level: 'suspended',
+        title: 'Sua doação recorrente foi pausada',
+        message: `Não conseguimos cobrar sua doação de ${amount} para ${organization} após várias tentativas, então ela foi pausada. Atualize o cartão para voltar a doar.`,
+      };
+    }
+
+    if (dunningCase.status === DUNNING_STATUS.PAST_DUE && dunningCase.step >= lastStep) {
+      return {
+        ...base,
+        level: 'final_notice',
+        title: 'Último aviso: sua doação recorrente será pausada',
+        message: `A cobrança de ${amount} para ${organization} continua pendente. Se o cartão não for atualizado até ${suspendDate}, a doação será pausada.`,
+      };
+    }
+
+    if (dunningCase.status === DUNNING_STATUS.PAST_DUE) {
+      return {
+        ...base,
+        level: 'past_due',
+        title: 'Sua doação recorrente está em atraso',
+        message: `Ainda não conseguimos cobrar sua doação de ${amount} para ${organization}. Atualize o cartão para manter seu apoio.`,
+      };
+    }
+
+    return {
+      ...base,
+      level: 'grace',
+      title: 'Não conseguimos processar sua doação recorrente',
+      message: `A cobrança de ${amount} para ${organization} foi recusada. Vamos tentar novamente nos próximos dias; se preferir, atualize o cartão agora.`,
+    };
+  }
+
+  buildUpdateCardUrl(subscriptionId) {
+    const baseUrl =
+      this.updateCardUrl ||
+      `${process.env.FRONTEND_URL || 'http://localhost:5173'}/minha-assinatura`;
+    const separator = baseUrl.includes('?') ? '&' : '?';
+    return `${baseUrl}${separator}action=reauthorize&subscriptionId=${encodeURIComponent(subscriptionId)}`;
+  }
+
+  getStepDate(firstFailedAt, step) {
+    return new Date(new Date(firstFailedAt).getTime() + this.retryScheduleDays[step] * DAY_MS);
+  }
+
+  formatCurrency(value) {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+  }
+
+  asArray(value) {
+    return Array.isArray(value) ? value : [];
+  }
+
+  isRunning() {
+    return this.running;
+  }
+}
+
+DunningService.STATUS = DUNNING_STATUS;
+
+module.exports = DunningService;
@@ -0,0 +1,380 @@
+/**
+ * SERVICE LAYER - Detecção de fraude em doações (card testing)
+ * Cada tentativa de doação recebe uma pontuação a partir do histórico recente de IP, email e
+ * documento. Conforme a pontuação a tentativa segue, segue sinalizada, fica retida para
+ * revisão do admin ou é bloqueada. Sinalizações emitem system.security.alert.
+ */
+const { getInstance: getEventManager } = require('../../infra/events/EventManager');
+
+const MINUTE_MS = 60 * 1000;
+const HISTORY_WINDOW_MS = 24 * 60 * MINUTE_MS;
+const DEFAULT_THRESHOLDS = { flag: 30, hold: 60, block: 90 };
+
+// Tentativas anteriores permitidas na janela antes de pontuar
+const VELOCITY_RULES = [
+  { rule: 'ip_velocity', field: 'ip', windowMs: 10 * MINUTE_MS, limit: 5, points: 30 },
+  { rule: 'email_velocity', field: 'donorEmail', windowMs: 60 * MINUTE_MS, limit: 3, points: 25 },
+  {
+    rule: 'document_velocity',
+    field: 'donorDocument',
+    windowMs: 60 * MINUTE_MS,
+    limit: 3,
+    points: 25,
+  },
+];
+// Rajada de valores pequenos: padrão típico de teste de cartão
+const TINY_BURST = { maxAmount: 5, windowMs: 15 * MINUTE_MS, limit: 3, points: 40 };
+const NAME_MISMATCH_POINTS = 20;
+const DISPOSABLE_EMAIL_POINTS = 30;
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mohmal.com',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+];
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+class FraudDetectionService {
+  /**
+   * @param {Object} fraudAssessmentRepository
+   * @param {Object|null} donationService - Cria as doações únicas/recorrentes aprovadas
+   * @param {Object|null} pixService - Cria as doações PIX aprovadas
+   * @param {Object|null} emailService - Avisa o doador quando a doação é liberada
+   * @param {Object} options - { thresholds, disposableDomains, eventManager }
+   */
+  constructor(
+    fraudAssessmentRepository,
+    donationService = null,
+    pixService = null,
+    emailService = null,
+    options = {}
+  ) {
+    this.fraudAssessmentRepository = fraudAssessmentRepository;
+    this.donationService = donationService;
+    this.pixService = pixService;
+    this.emailService = emailService;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    this.disposableDomains = [...DISPOSABLE_EMAIL_DOMAINS, ...(options.disposableDomains || [])];
+    this.eventManager = options.eventManager || getEventManager();
+
+    console.log('[FRAUD DETECTION SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Avalia e registra uma tentativa de doação
+   * @param {Object} params - { kind, ip, userAgent, donationData }
+   * @returns {Promise<Object>} Avaliação com score, decision ('allow'|'flag'|'hold'|'block')
+   *   e reasons
+   */
+  async assess({ kind, ip = null, userAgent = null, donationData }) {
+    const attempt = FraudDetectionService.normalizeAttempt({ ip, ...donationData });
+    const now = new Date();
+
+    const history = await this.fraudAssessmentRepository.findRecentByIdentity(
+      attempt,
+      new Date(now.getTime() - HISTORY_WINDOW_MS)
+    );
+    const reasons = FraudDetectionService.scoreAttempt(attempt, history, now, {
+      disposableDomains: this.disposableDomains,
+    });
+    const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+    const decision = this.decide(score);
+
+    const assessment = await this.fraudAssessmentRepository.create({
+      ...attempt,
+      kind,
+      userAgent,
+      organizationId: donationData.organizationId || null,
+      score,
+      decision,
+      reasons,
+      reviewStatus: decision === 'hold' ? 'pending' : null,
+      donationData: decision === 'hold' ? FraudDetectionService.heldData(donationData) : null,
+    });
+
+    if (decision !== 'allow') {
+      console.warn(
+        `[FRAUD DETECTION SERVICE] Tentativa ${assessment.id}: ${decision} (score ${score})`
+      );
+      await this.emitAlert(assessment, { ip, userAgent });
+    }
+
+    return assessment;
+  }
+
+  decide(score) {
+    if (score >= this.thresholds.block) {
+      return 'block';
+    }
+    if (score >= this.thresholds.hold) {
+      return 'hold';
+    }
+    return score >= this.thresholds.flag ? 'flag' : 'allow';
+  }
+
+  /**
+   * Fila de revisão (pending por padrão)
+   */
+  async listReviewQueue({ status = 'pending', page, limit } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`Status inválido. Use: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    return this.fraudAssessmentRepository.findByReviewStatus(status, { page, limit });
+  }
+
+  async getAssessment(id) {
+    const assessment = await this.fraudAssessmentRepository.findById(id);
+    if (!assessment) {
+      throw new Error('Avaliação não encontrada');
+    }
+    return assessment;
+  }
+
+  /**
+   * Libera uma doação retida: cria a doação com os dados guardados e envia o link de
+   * pagamento ao doador
+   */
+  async approve(id, reviewerId, note = null) {
+    // Marca antes de criar a doação para que uma segunda aprovação não a duplique
+    const assessment = await this.claimReview(id, {
+      reviewStatus: 'approved',
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+      reviewNote: note,
+    });
+
+    let created;
+    try {
+      created = await this.createHeldDonation(assessment);
+    } catch (error) {
+      console.error('[FRAUD DETECTION SERVICE] Erro ao criar doação aprovada:', error.message);
+      await this.fraudAssessmentRepository.update(id, {
+        reviewStatus: 'pending',
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNote: null,
+      });
+      throw new Error(`Não foi possível criar a doação: ${error.message}`);
+    }
+
+    const updated = await this.fraudAssessmentRepository.update(id, {
+      donationId: String(created.donation.id),
+    });
+    await this.notifyDonor(assessment, created.paymentLink);
+
+    console.log(`[FRAUD DETECTION SERVICE] Doação retida ${id} aprovada por ${reviewerId}`);
+    return {
+      assessment: updated,
+      donationId: updated.donationId,
+      paymentLink: created.paymentLink,
+    };
+  }
+
+  async reject(id, reviewerId, note = null) {
+    await this.claimReview(id, {
+      reviewStatus: 'rejected',
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+      reviewNote: note,
+    });
+    console.log(`[FRAUD DETECTION SERVICE] Doação retida ${id} rejeitada por ${reviewerId}`);
+    return this.getAssessment(id);
+  }
+
+  /**
+   * Aplica a revisão se a avaliação ainda estiver pendente
+   * @returns {Promise<Object>} Avaliação como estava antes da revisão
+   */
+  async claimReview(id, review) {
+    const assessment = await this.getAssessment(id);
+    const claimed =
+      assessment.reviewStatus === 'pending' &&
+      (await this.fraudAssessmentRepository.updateIfPending(id, review));
+    if (!claimed) {
+      throw new Error('Apenas doações retidas aguardando revisão podem ser revisadas');
+    }
+    return assessment;
+  }
+
+  async createHeldDonation(assessment) {
+    const data = assessment.donationData || {};
+
+    if (assessment.kind === 'pix') {
+      if (!this.pixService) {
+        throw new Error('PIX indisponível');
+      }
+      const { donation, pix } = await this.pixService.createPixDonation(data);
+      return { donation, paymentLink: pix.ticketUrl || null };
+    }
+
+    if (!this.donationService) {
+      throw new Error('Serviço de doações indisponível');
+    }
+    if (assessment.kind === 'recurring') {
+      const result = await this.donationService.createRecurringDonation(data);
+      return { donation: result.donation, paymentLink: result.subscriptionUrl };
+    }
+    const result = await this.donationService.createSingleDonation(data);
+    return { donation: result.donation, paymentLink: result.paymentUrl };
+  }
+
+  async notifyDonor(assessment, paymentLink) {
+    if (!this.emailService || !assessment.donorEmail || !paymentLink) {
+      return;
+    }
+    try {
+      await this.emailService.sendEmail({
+        to: assessment.donorEmail,
+        subject: 'Sua doação foi liberada',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Olá, ${assessment.donorName || 'doador'}!</h2>
+            <p>Sua doação passou pela nossa verificação de segurança e já pode ser concluída.</p>
+            <p><a href="${paymentLink}">Concluir doação</a></p>
+          </div>
+        `,
+      });
+    } catch (error) {
+      console.error('[FRAUD DETECTION SERVICE] Erro ao avisar doador:', error.message);
+    }
+  }
+
+  async emitAlert(assessment, { ip, userAgent }) {
+    const severity = { flag: 'low', hold: 'medium', block: 'high' }[assessment.decision];
+    await this.eventManager.emit(
+      'system.security.alert',
+      {
+        alertType: 'donation_fraud_suspected',
+        severity,
+        details: {
+          assessmentId: assessment.id,
+          decision: assessment.decision,
+          score: assessment.score,
+          rules: assessment.reasons.map((reason) => reason.rule),
+          kind: assessment.kind,
+          organizationId: assessment.organizationId,
+          amount: assessment.amount,
+          donorEmail: assessment.donorEmail,
+        },
+      },
+      { source: 'FraudDetectionService', ip, userAgent }
+    );
+  }
+}
+
+/**
+ * Campos comparados entre tentativas: email minúsculo, documento só com dígitos
+ */
+FraudDetectionService.normalizeAttempt = function (data) {
+  const document = String(data.donorDocument || '').replace(/\D/g, '');
+  return {
+    ip: data.ip || null,
+    donorEmail: data.donorEmail ? String(data.donorEmail).trim().toLowerCase() : null,
+    donorDocument: document || null,
+    donorName: data.donorName ? String(data.donorName).trim() : null,
+    amount: Number(data.amount) || 0,
+  };
+};
+
+FraudDetectionService.normalizeName = function (name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Regras aplicadas à tentativa (pontuação > 0)
+ * @param {Object} attempt - Tentativa normalizada
+ * @param {Array} history - Tentativas anteriores com o mesmo IP, email ou documento
+ * @returns {Array<{rule, points, detail}>}
+ */
+FraudDetectionService.scoreAttempt = function (attempt, history, now, options = {}) {
+  const reasons = [];
+  const since = (windowMs) => (entry) => now - new Date(entry.createdAt) <= windowMs;
+  const sharesIdentity = (entry) =>
+    ['ip', 'donorEmail', 'donorDocument'].some(
+      (field) => attempt[field] && entry[field] === attempt[field]
+    );
+
+  for (const { rule, field, windowMs, limit, points } of VELOCITY_RULES) {
+    if (!attempt[field]) {
+      continue;
+    }
+    const count = history.filter((e) => e[field] === attempt[field] && since(windowMs)(e)).length;
+    if (count >= limit) {
+      reasons.push({ rule, points, detail: `${count} tentativas anteriores na janela` });
+    }
+  }
+
+  if (attempt.amount <= TINY_BURST.maxAmount) {
+    const tiny = history.filter(
+      (e) => e.amount <= TINY_BURST.maxAmount && sharesIdentity(e) && since(TINY_BURST.windowMs)(e)
+    );
+    if (tiny.length >= TINY_BURST.limit) {
+      reasons.push({
+        rule: 'tiny_amount_burst',
+        points: TINY_BURST.points,
+        detail: `${tiny.length} tentativas de até R$ ${TINY_BURST.maxAmount} em sequência`,
+      });
+    }
+  }
+
+  // O mesmo email ou documento usado com outro nome
+  const name = FraudDetectionService.normalizeName(attempt.donorName);
+  const otherNames = new Set(
+    history
+      .filter(
+        (e) =>
+          (attempt.donorEmail && e.donorEmail === attempt.donorEmail) ||
+          (attempt.donorDocument && e.donorDocument === attempt.donorDocument)
+      )
+      .map((e) => FraudDetectionService.normalizeName(e.donorName))
+      .filter((other) => other && other !== name)
+  );
+  if (name && otherNames.size > 0) {
+    reasons.push({
+      rule: 'name_mismatch',
+      points: NAME_MISMATCH_POINTS,
+      detail: `${otherNames.size} outro(s) nome(s) com o mesmo email/documento`,
+    });
+  }
+
+  const domain = attempt.donorEmail ? attempt.donorEmail.split('@')[1] : null;
+  const disposable = (options.disposableDomains || DISPOSABLE_EMAIL_DOMAINS).some(
+    (d) => domain === d || domain?.endsWith(`.${d}`)
+  );
+  if (disposable) {
+    reasons.push({
+      rule: 'disposable_email',
+      points: DISPOSABLE_EMAIL_POINTS,
+      detail: domain,
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Dados guardados para criar a doação na aprovação. Tokens de cartão expiram e não são
+ * guardados: assinaturas Pagar.me retidas precisam de uma nova tentativa do doador.
+ */
+FraudDetectionService.heldData = function (donationData) {
+  const { cardToken: _cardToken, ...data } = donationData;
+  return data;
+};
+
+module.exports = FraudDetectionService;
@@ -0,0 +1,222 @@
+/**
+ * SERVICE LAYER - Páginas de arrecadação pessoais (peer-to-peer)
+ * Apoiadores criam a própria página dentro de uma campanha (aniversário, corrida do Outubro Rosa)
+ * com slug, meta e mensagem. Apoiadores não são Users: a edição usa o token entregue na criação.
+ */
+const crypto = require('crypto');
+const TopDonorService = require('./TopDonorService');
+
+const PAGE_STATUSES = ['active', 'closed'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+class FundraisingPageService {
+  /**
+   * @param {Object} pageRepository - Repository das páginas
+   * @param {CampaignService} campaignService - Valida a campanha-mãe
+   * @param {Object} donationRepository - Fornece getFundraisingPageTotals/getFundraisingTotalsByPage
+   */
+  constructor(pageRepository, campaignService, donationRepository) {
+    this.pageRepository = pageRepository;
+    this.campaignService = campaignService;
+    this.donationRepository = donationRepository;
+
+    console.log('[FUNDRAISING PAGE SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * @returns {Promise<{page: Object, manageToken: string}>} O token só é exibido agora
+   */
+  async createPage(data) {
+    const campaign = await this.campaignService.assertAcceptsDonations(data.campaignId);
+    const goalAmount = Number(data.goalAmount);
+    if (!(goalAmount > 0)) {
+      throw new Error('Meta da página deve ser maior que zero');
+    }
+
+    const manageToken = crypto.randomBytes(24).toString('base64url');
+    const page = await this.pageRepository.create({
+      campaignId: String(campaign.id),
+      organizationId: String(campaign.organizationId),
+      slug: await this.resolveSlug(data.slug || data.title, !!data.slug),
+      title: data.title,
+      message: data.message,
+      goalAmount,
+      ownerName: data.ownerName,
+      ownerEmail: data.ownerEmail.trim().toLowerCase(),
+      manageTokenHash: this.hashToken(manageToken),
+      status: 'active',
+    });
+
+    console.log('[FUNDRAISING PAGE SERVICE] Página criada:', page.slug, campaign.id);
+    return { page: this.toPublic(page), manageToken };
+  }
+
+  /**
+   * Página pública com a campanha-mãe e o progresso da própria meta
+   */
+  async getPublicPage(slug) {
+    const page = await this.pageRepository.findBySlug(slug);
+    if (!page) {
+      return null;
+    }
+
+    const campaign = await this.campaignService.getPublicCampaign(page.campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    const { raisedAmount, donorCount } = await this.donationRepository.getFundraisingPageTotals(
+      page.id
+    );
+    return {
+      ...this.toPublic(page),
+      campaign: {
+        id: campaign.id,
+        title: campaign.title,
+        status: campaign.status,
+        coverImageUrl: campaign.coverImageUrl || null,
+      },
+      progress: {
+        goalAmount: page.goalAmount,
+        raisedAmount,
+        donorCount,
+        percentage:
+          page.goalAmount > 0 ? Math.round((raisedAmount / page.goalAmount) * 1000) / 10 : 0,
+        acceptingDonations: page.status === 'active' && campaign.progress.acceptingDonations,
+      },
+    };
+  }
+
+  /**
+   * Edição pelo apoiador (título, mensagem e meta), autorizada pelo token da criação
+   */
+  async updatePage(slug, manageToken, data) {
+    const page = await this.pageRepository.findBySlug(slug);
+    if (!page) {
+      throw new Error('Página de arrecadação não encontrada');
+    }
+    if (!this.isValidToken(page, manageToken)) {
+      throw new Error('Token de edição inválido');
+    }
+
+    const changes = {};
+    for (const field of ['title', 'message']) {
+      if (data[field] !== undefined) {
+        changes[field] = data[field];
+      }
+    }
+    if (data.goalAmount !== undefined) {
+      changes.goalAmount = Number(data.goalAmount);
+      if (!(changes.goalAmount > 0)) {
+        throw new Error('Meta da página deve ser maior que zero');
+      }
+    }
+
+    return this.toPublic(await this.pageRepository.update(page.id, changes));
+  }
+
+  /**
+   * Moderação pela organização dona da campanha: encerrar ou reabrir a página
+   */
+  async setStatus(slug, organizationId, status) {
+    if (!PAGE_STATUSES.includes(status)) {
+      throw new Error(`Status inválido. Use: ${PAGE_STATUSES.join(' ou ')}`);
+    }
+
+    const page = await this.pageRepository.findBySlug(slug);
+    if (!page) {
+      throw new Error('Página de arrecadação não encontrada');
+    }
+    if (String(page.organizationId) !== String(organizationId)) {
+      throw new Error('Página pertence a outra organização');
+    }
+
+    console.log('[FUNDRAISING PAGE SERVICE] Status da página:', slug, status);
+    return this.toPublic(await this.pageRepository.update(page.id, { status }));
+  }
+
+  /**
+   * Ranking dos arrecadadores da campanha, na mesma regra de colocação dos doadores de destaque
+   */
+  async getLeaderboard(campaignId, { limit = 10 } = {}) {
+    const [pages, totals] = await Promise.all([
+      this.pageRepository.findByCampaignId(campaignId),
+      this.donationRepository.getFundraisingTotalsByPage(campaignId),
+    ]);
+    const totalsByPage = new Map(totals.map((row) => [String(row.fundraisingPageId), row]));
+
+    const entries = pages.map((page) => {
+      const total = totalsByPage.get(String(page.id)) || { raisedAmount: 0, donorCount: 0 };
+      return {
+        slug: page.slug,
+        title: page.title,
+        ownerName: page.ownerName,
+        status: page.status,
+        goalAmount: page.goalAmount,
+        raisedAmount: total.raisedAmount,
+        donorCount: total.donorCount,
+      };
+    });
+
+    return TopDonorService.rankByAmount(entries, (entry) => entry.raisedAmount)
+      .slice(0, limit)
+      .map(({ item, position }) => ({ position, ...item }));
+  }
+
+  /**
+   * Slug informado pelo apoiador precisa estar livre; gerado a partir do título ganha sufixo
+   */
+  async resolveSlug(source, explicit) {
+    const base = this.slugify(source);
+    if (!SLUG_PATTERN.test(base) || base.length < 3) {
+      throw new Error('Slug inválido: use letras, números e hífens (mínimo 3 caracteres)');
+    }
+
+    if (!(await this.pageRepository.existsBySlug(base))) {
+      return base;
+    }
+    if (explicit) {
+      throw new Error('Slug já está em uso por outra página');
+    }
+    return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  slugify(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  isValidToken(page, token) {
+    if (!token) {
+      return false;
+    }
+    const expected = Buffer.from(page.manageTokenHash, 'hex');
+    const actual = Buffer.from(this.hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Sem e-mail do apoiador nem hash do token
+   */
+  toPublic(page) {
+    if (!page) {
+      return null;
+    }
+    const { manageTokenHash: _tokenHash, ownerEmail: _ownerEmail, ...publicPage } = page;
+    return publicPage;
+  }
+}
+
+FundraisingPageService.PAGE_STATUSES = PAGE_STATUSES;
+
+module.exports = FundraisingPageService;
@@ -0,0 +1,257 @@
+/**
+ * SERVICE LAYER - Dobra de doações por empresas apoiadoras
+ * Cada regra liga um Supporter a uma organização (opcionalmente a uma campanha) com proporção,
+ * teto por doação, orçamento total e período. A doação aprovada gera um MatchedDonation por regra.
+ */
+
+const RULE_STATUSES = ['active', 'paused'];
+const RESERVE_ATTEMPTS = 3;
+
+class MatchingService {
+  /**
+   * @param {Object} ruleRepository - Regras de dobra
+   * @param {Object} matchedDonationRepository - Valores dobrados
+   * @param {Object} donationRepository - Doações de origem
+   * @param {Object} supporterRepository - Empresas apoiadoras (Supporter)
+   */
+  constructor(ruleRepository, matchedDonationRepository, donationRepository, supporterRepository) {
+    this.ruleRepository = ruleRepository;
+    this.matchedDonationRepository = matchedDonationRepository;
+    this.donationRepository = donationRepository;
+    this.supporterRepository = supporterRepository;
+
+    console.log('[MATCHING SERVICE] Inicializado com sucesso');
+  }
+
+  async createRule(organizationId, data) {
+    const supporter = await this.supporterRepository.findById(data.supporterId);
+    if (!supporter) {
+      throw new Error('Apoiador não encontrado');
+    }
+
+    const rule = await this.ruleRepository.create({
+      supporterId: String(supporter.id),
+      organizationId: String(organizationId),
+      campaignId: data.campaignId || null,
+      ...this.validateTerms(data),
+      usedAmount: 0,
+      status: 'active',
+    });
+
+    console.log('[MATCHING SERVICE] Regra criada:', rule.id, supporter.name, organizationId);
+    return this.withBudget(rule);
+  }
+
+  /**
+   * Ajusta termos ou pausa/reativa a regra. O orçamento não pode ficar abaixo do já usado.
+   */
+  async updateRule(ruleId, organizationId, data) {
+    const rule = await this.getOwnedRule(ruleId, organizationId);
+    if (data.status !== undefined && !RULE_STATUSES.includes(data.status)) {
+      throw new Error(`Status inválido. Use: ${RULE_STATUSES.join(' ou ')}`);
+    }
+
+    const terms = this.validateTerms({ ...rule, ...data });
+    if (terms.totalBudget < rule.usedAmount) {
+      throw new Error(
+        `Orçamento total não pode ser menor que o valor já dobrado (${rule.usedAmount})`
+      );
+    }
+
+    const updated = await this.ruleRepository.update(rule.id, {
+      ...terms,
+      ...(data.status !== undefined && { status: data.status }),
+    });
+    return this.withBudget(updated);
+  }
+
+  async listRules(organizationId, filters = {}) {
+    const rules = await this.ruleRepository.findAll({ ...filters, organizationId });
+    return rules.map((rule) => this.withBudget(rule));
+  }
+
+  async listMatches(ruleId, organizationId, pagination = {}) {
+    const rule = await this.getOwnedRule(ruleId, organizationId);
+    return this.matchedDonationRepository.findByRuleId(rule.id, pagination);
+  }
+
+  /**
+   * Chamado pelo DonationObserver em donation.payment.approved
+   * @returns {Promise<Array<Object>>} Dobras criadas para a doação
+   */
+  async handleDonationApproved(donationId) {
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation) {
+      console.warn('[MATCHING SERVICE] Doação não encontrada:', donationId);
+      return [];
+    }
+    // Recorrentes: a aprovação é da assinatura, não de um pagamento
+    if (donation.type === 'recurring' || donation.paymentStatus !== 'approved') {
+      return [];
+    }
+
+    const rules = await this.ruleRepository.findActiveFor(String(donation.organizationId));
+    const matches = [];
+    for (const rule of rules) {
+      if (rule.campaignId && String(rule.campaignId) !== String(donation.campaignId || '')) {
+        continue;
+      }
+      const match = await this.applyRule(rule, donation);
+      if (match) {
+        matches.push(match);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Doação estornada por completo (ou contestada) devolve o valor dobrado ao orçamento da regra.
+   * Estornos parciais mantêm a dobra.
+   */
+  async handleDonationReversed(donationId) {
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation) {
+      return [];
+    }
+    const netAmount = donation.amount - (donation.refundedAmount || 0);
+    if (donation.paymentStatus !== 'charged_back' && netAmount > 0) {
+      return [];
+    }
+
+    const reversed = [];
+    const matches = await this.matchedDonationRepository.findByDonationId(String(donation.id));
+    for (const match of matches) {
+      if (
+        match.status !== 'matched' ||
+        !(await this.matchedDonationRepository.markReversed(match.id))
+      ) {
+        continue;
+      }
+      await this.adjustBudget(match.ruleId, -match.matchedAmount);
+      reversed.push(match);
+      console.log('[MATCHING SERVICE] Dobra estornada:', match.id, match.matchedAmount);
+    }
+    return reversed;
+  }
+
+  /**
+   * Valor dobrado = doação líquida × proporção, limitado ao teto por doação e ao saldo da regra
+   */
+  calculateMatch(rule, sourceAmount) {
+    let amount = this.round(sourceAmount * rule.ratio);
+    if (rule.perDonationCap) {
+      amount = Math.min(amount, rule.perDonationCap);
+    }
+    return Math.max(0, Math.min(amount, this.round(rule.totalBudget - rule.usedAmount)));
+  }
+
+  async applyRule(rule, donation) {
+    const donationId = String(donation.id);
+    if (await this.matchedDonationRepository.findByRuleAndDonation(rule.id, donationId)) {
+      return null;
+    }
+
+    const sourceAmount = this.round(donation.amount - (donation.refundedAmount || 0));
+    const matchedAmount = await this.adjustBudget(rule.id, (current) =>
+      this.calculateMatch(current, sourceAmount)
+    );
+    if (!matchedAmount) {
+      return null;
+    }
+
+    const match = await this.matchedDonationRepository.create({
+      ruleId: rule.id,
+      supporterId: rule.supporterId,
+      organizationId: rule.organizationId,
+      donationId,
+      campaignId: donation.campaignId || null,
+      fundraisingPageId: donation.fundraisingPageId || null,
+      sourceAmount,
+      matchedAmount,
+      status: 'matched',
+    });
+    if (!match) {
+      // Evento reprocessado em paralelo: a outra execução já registrou a dobra
+      await this.adjustBudget(rule.id, -matchedAmount);
+      return null;
+    }
+
+    console.log('[MATCHING SERVICE] Doação dobrada:', donationId, matchedAmount, rule.id);
+    return match;
+  }
+
+  /**
+   * Reserva (ou devolve, com valor negativo) orçamento da regra com compare-and-set
+   * @param {number|Function} amountOrFn - Valor fixo ou função (regra atual) => valor
+   * @returns {Promise<number>} Valor efetivamente ajustado (0 se não houve saldo)
+   */
+  async adjustBudget(ruleId, amountOrFn) {
+    for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt++) {
+      const rule = await this.ruleRepository.findById(ruleId);
+      if (!rule) {
+        return 0;
+      }
+      const amount = typeof amountOrFn === 'function' ? amountOrFn(rule) : amountOrFn;
+      if (!amount) {
+        return 0;
+      }
+      if (await this.ruleRepository.adjustUsedAmount(rule.id, rule.usedAmount, amount)) {
+        return amount;
+      }
+    }
+    throw new Error('Orçamento da regra de dobra alterado concorrentemente; tente novamente');
+  }
+
+  validateTerms(data) {
+    const terms = {
+      ratio: Number(data.ratio),
+      perDonationCap:
+        data.perDonationCap === null || data.perDonationCap === undefined
+          ? null
+          : Number(data.perDonationCap),
+      totalBudget: Number(data.totalBudget),
+      startDate: new Date(data.startDate),
+      endDate: new Date(data.endDate),
+    };
+
+    if (!(terms.ratio > 0)) {
+      throw new Error('Proporção da dobra deve ser maior que zero');
+    }
+    if (terms.perDonationCap !== null && !(terms.perDonationCap > 0)) {
+      throw new Error('Teto por doação deve ser maior que zero');
+    }
+    if (!(terms.totalBudget > 0)) {
+      throw new Error('Orçamento total deve ser maior que zero');
+    }
+    if (Number.isNaN(terms.startDate.getTime()) || Number.isNaN(terms.endDate.getTime())) {
+      throw new Error('Período da regra é obrigatório');
+    }
+    if (terms.endDate <= terms.startDate) {
+      throw new Error('Data de término deve ser posterior à data de início');
+    }
+    return terms;
+  }
+
+  async getOwnedRule(ruleId, organizationId) {
+    const rule = await this.ruleRepository.findById(ruleId);
+    if (!rule) {
+      throw new Error('Regra de dobra não encontrada');
+    }
+    if (String(rule.organizationId) !== String(organizationId)) {
+      throw new Error('Regra pertence a outra organização');
+    }
+    return rule;
+  }
+
+  withBudget(rule) {
+    return { ...rule, remainingBudget: this.round(rule.totalBudget - rule.usedAmount) };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+MatchingService.RULE_STATUSES = RULE_STATUSES;
+
+module.exports = MatchingService;
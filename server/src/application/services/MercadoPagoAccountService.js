@@ -0,0 +1,277 @@
+/**
+ * SERVICE LAYER - Contas do Mercado Pago das organizações (OAuth)
+ * A organização autoriza a aplicação na própria conta; as doações passam a usar o token dela,
+ * e o dinheiro cai direto na conta da ONG. Tokens ficam cifrados no banco e o refresh token
+ * é rotacionado a cada renovação.
+ */
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MercadoPagoAccountService {
+  /**
+   * @param {Object} settingsRepository - Repository com a conta MP da organização
+   * @param {Object} oauthAdapter - Adapter da plataforma (getOAuthAuthorizationUrl/exchangeOAuthCode/refreshOAuthToken)
+   * @param {TokenCipher} tokenCipher - Cifra dos tokens em repouso
+   * @param {Function} createAccountAdapter - (accessToken, accountId) => adapter da conta da organização
+   * @param {Object} options - { redirectUri, stateSecret, stateTtlMinutes, refreshBeforeDays }
+   */
+  constructor(settingsRepository, oauthAdapter, tokenCipher, createAccountAdapter, options = {}) {
+    this.settingsRepository = settingsRepository;
+    this.oauthAdapter = oauthAdapter;
+    this.tokenCipher = tokenCipher;
+    this.createAccountAdapter = createAccountAdapter;
+
+    if (!options.redirectUri || !options.stateSecret) {
+      throw new Error('OAuth do Mercado Pago requer redirectUri e stateSecret');
+    }
+    this.redirectUri = options.redirectUri;
+    this.stateSecret = options.stateSecret;
+    this.stateTtlMinutes = options.stateTtlMinutes || 10;
+    this.refreshBeforeDays = options.refreshBeforeDays || 15;
+
+    // organizationId -> { accessToken, adapter }
+    this.adapters = new Map();
+    // organizationId -> renovação em andamento
+    this.refreshing = new Map();
+
+    console.log('[MERCADO PAGO ACCOUNT SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * URL de autorização; o state assinado amarra o callback à organização
+   */
+  getAuthorizationUrl(organizationId) {
+    const state = this.signState(organizationId);
+    return this.oauthAdapter.getOAuthAuthorizationUrl({ state, redirectUri: this.redirectUri });
+  }
+
+  /**
+   * Callback do OAuth: troca o code pelos tokens e grava a conta da organização
+   */
+  async connect({ code, state }) {
+    if (!code) {
+      throw new Error('Code do OAuth é obrigatório');
+    }
+
+    const organizationId = this.verifyState(state);
+    const tokens = await this.oauthAdapter.exchangeOAuthCode(code, this.redirectUri);
+
+    const existing = await this.settingsRepository.findByMercadoPagoUserId(tokens.userId);
+    if (existing && String(existing.id) !== String(organizationId)) {
+      throw new Error('Conta do Mercado Pago já conectada a outra organização');
+    }
+
+    await this.saveTokens(organizationId, tokens, { mercadoPagoConnectedAt: new Date() });
+    console.log('[MERCADO PAGO ACCOUNT SERVICE] Conta conectada:', organizationId, tokens.userId);
+
+    return this.getStatus(organizationId);
+  }
+
+  async disconnect(organizationId) {
+    await this.settingsRepository.saveMercadoPagoAccount(organizationId, {
+      mercadoPagoAccessToken: null,
+      mercadoPagoRefreshToken: null,
+      mercadoPagoPublicKey: null,
+      mercadoPagoUserId: null,
+      mercadoPagoTokenExpiresAt: null,
+      mercadoPagoConnectedAt: null,
+    });
+    this.adapters.delete(String(organizationId));
+
+    console.log('[MERCADO PAGO ACCOUNT SERVICE] Conta desconectada:', organizationId);
+    return this.getStatus(organizationId);
+  }
+
+  async getStatus(organizationId) {
+    const account = await this.settingsRepository.findMercadoPagoAccount(organizationId);
+    const connected = !!(account && account.mercadoPagoAccessToken);
+
+    return {
+      connected,
+      mercadoPagoUserId: connected ? account.mercadoPagoUserId : null,
+      publicKey: connected ? account.mercadoPagoPublicKey : null,
+      tokenExpiresAt: connected ? account.mercadoPagoTokenExpiresAt : null,
+      connectedAt: connected ? account.mercadoPagoConnectedAt : null,
+    };
+  }
+
+  /**
+   * Adapter com o token da organização; null quando ela não conectou uma conta
+   */
+  async getAdapterForOrganization(organizationId) {
+    const account = await this.settingsRepository.findMercadoPagoAccount(organizationId);
+    return this.getAdapterForStoredAccount(account);
+  }
+
+  /**
+   * Adapter da conta que recebeu a doação (id do usuário no Mercado Pago)
+   */
+  async getAdapterForAccount(mercadoPagoUserId) {
+    const account = await this.settingsRepository.findByMercadoPagoUserId(mercadoPagoUserId);
+    return this.getAdapterForStoredAccount(account);
+  }
+
+  /**
+   * Notificações de pagamentos de contas conectadas trazem o user_id do vendedor
+   */
+  async getAdapterForWebhook(webhookData) {
+    const userId = webhookData && webhookData.user_id;
+    return userId ? this.getAdapterForAccount(userId) : null;
+  }
+
+  async getAdapterForStoredAccount(account) {
+    if (!account || !account.mercadoPagoAccessToken) {
+      return null;
+    }
+
+    let current = account;
+    if (this.needsRefresh(current)) {
+      current = await this.refreshAccount(current);
+    } else if (!this.tokenCipher.isEncrypted(current.mercadoPagoAccessToken)) {
+      current = await this.encryptLegacyToken(current);
+    }
+
+    const organizationId = String(current.id);
+    const accessToken = this.tokenCipher.decrypt(current.mercadoPagoAccessToken);
+    const cached = this.adapters.get(organizationId);
+    if (cached && cached.accessToken === accessToken) {
+      return cached.adapter;
+    }
+
+    const adapter = this.createAccountAdapter(accessToken, current.mercadoPagoUserId);
+    this.adapters.set(organizationId, { accessToken, adapter });
+    return adapter;
+  }
+
+  needsRefresh(account, now = new Date()) {
+    return (
+      !!account.mercadoPagoRefreshToken &&
+      !!account.mercadoPagoTokenExpiresAt &&
+      new Date(account.mercadoPagoTokenExpiresAt).getTime() - now.getTime() <
+        this.refreshBeforeDays * DAY_MS
+    );
+  }
+
+  /**
+   * Renova o token da organização; com falha, segue com o token atual enquanto ele valer
+   */
+  async refreshAccount(account) {
+    try {
+      return await this.rotateTokens(account);
+    } catch (error) {
+      console.error('[MERCADO PAGO ACCOUNT SERVICE] Erro ao renovar token:', error.message);
+      if (new Date(account.mercadoPagoTokenExpiresAt) <= new Date()) {
+        throw new Error('Conexão com o Mercado Pago expirada: reconecte a conta da organização');
+      }
+      return account;
+    }
+  }
+
+  /**
+   * Uma renovação por organização por vez: o refresh token só pode ser usado uma vez
+   */
+  rotateTokens(account) {
+    const organizationId = String(account.id);
+    if (!this.refreshing.has(organizationId)) {
+      const refresh = this.requestNewTokens(account).finally(() =>
+        this.refreshing.delete(organizationId)
+      );
+      this.refreshing.set(organizationId, refresh);
+    }
+    return this.refreshing.get(organizationId);
+  }
+
+  async requestNewTokens(account) {
+    const refreshToken = this.tokenCipher.decrypt(account.mercadoPagoRefreshToken);
+    const tokens = await this.oauthAdapter.refreshOAuthToken(refreshToken);
+
+    console.log('[MERCADO PAGO ACCOUNT SERVICE] Token renovado:', account.id);
+    return this.saveTokens(account.id, tokens);
+  }
+
+  /**
+   * Renova os tokens que vencem dentro da janela (worker diário)
+   */
+  async refreshExpiringAccounts({ limit = 50 } = {}) {
+    const threshold = new Date(Date.now() + this.refreshBeforeDays * DAY_MS);
+    const accounts = await this.settingsRepository.findMercadoPagoAccountsExpiringBefore(
+      threshold,
+      limit
+    );
+    const summary = { checked: accounts.length, refreshed: 0, failed: 0 };
+
+    for (const account of accounts) {
+      try {
+        await this.rotateTokens(account);
+        this.adapters.delete(String(account.id));
+        summary.refreshed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(
+          '[MERCADO PAGO ACCOUNT SERVICE] Falha ao renovar token:',
+          account.id,
+          error.message
+        );
+      }
+    }
+
+    return summary;
+  }
+
+  async saveTokens(organizationId, tokens, extra = {}) {
+    return this.settingsRepository.saveMercadoPagoAccount(organizationId, {
+      mercadoPagoAccessToken: this.tokenCipher.encrypt(tokens.accessToken),
+      mercadoPagoRefreshToken: this.tokenCipher.encrypt(tokens.refreshToken),
+      mercadoPagoPublicKey: tokens.publicKey || null,
+      mercadoPagoUserId: String(tokens.userId),
+      mercadoPagoTokenExpiresAt: tokens.expiresIn
+        ? new Date(Date.now() + tokens.expiresIn * 1000)
+        : null,
+      ...extra,
+    });
+  }
+
+  /**
+   * Tokens colados à mão antes do OAuth são cifrados no primeiro uso
+   */
+  async encryptLegacyToken(account) {
+    return this.settingsRepository.saveMercadoPagoAccount(account.id, {
+      mercadoPagoAccessToken: this.tokenCipher.encrypt(account.mercadoPagoAccessToken),
+    });
+  }
+
+  signState(organizationId, now = Date.now()) {
+    const payload = `${organizationId}.${now}.${crypto.randomBytes(8).toString('hex')}`;
+    return `${Buffer.from(payload).toString('base64url')}.${this.hmac(payload)}`;
+  }
+
+  /**
+   * @returns {string} organizationId do state
+   */
+  verifyState(state, now = Date.now()) {
+    const [encoded, signature] = String(state || '').split('.');
+    const payload = encoded ? Buffer.from(encoded, 'base64url').toString('utf8') : '';
+    const expected = this.hmac(payload);
+
+    if (
+      !signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new Error('State do OAuth inválido');
+    }
+
+    const [organizationId, issuedAt] = payload.split('.');
+    if (now - Number(issuedAt) > this.stateTtlMinutes * 60 * 1000) {
+      throw new Error('State do OAuth expirado: inicie a conexão novamente');
+    }
+    return organizationId;
+  }
+
+  hmac(payload) {
+    return crypto.createHmac('sha256', this.stateSecret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = MercadoPagoAccountService;
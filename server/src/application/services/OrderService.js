@@ -0,0 +1,716 @@
+/**
+ * SERVICE LAYER - Carrinho e pedidos do bazar
+ * O comprador monta o carrinho com produtos de uma organização e paga pelo PaymentAdapter da
+ * conta dela. Com o StockReservationService, o checkout reserva os itens até o pagamento; o
+ * estoque baixa quando o pagamento é aprovado e volta no estorno. Os status do pedido seguem a
+ * FSM de OrderState.
+ */
+const crypto = require('crypto');
+const Product = require('../../domain/entities/Product');
+const OrderState = require('../../domain/state/OrderState');
+const { getInstance: getEventManager } = require('../../infra/events/EventManager');
+
+const CART_TTL_MS = 72 * 60 * 60 * 1000;
+const MAX_CART_ITEMS = 30;
+const MAX_ITEM_QUANTITY = 10;
+const LOW_STOCK_THRESHOLD = 5;
+const ORDER_REFERENCE_PREFIX = 'order-';
+
+class OrderService {
+  /**
+   * @param {Object} cartRepository
+   * @param {Object} orderRepository
+   * @param {Object} productRepository - findById, decrementStock, incrementStock
+   * @param {Object|null} paymentAdapter - Adapter da plataforma (Mercado Pago)
+   * @param {Object|null} paymentProviderService - Provedor e conta conectada da organização
+   * @param {Object} options - { cartTtlMs, eventManager, stockReservationService }
+   */
+  constructor(
+    cartRepository,
+    orderRepository,
+    productRepository,
+    paymentAdapter,
+    paymentProviderService = null,
+    options = {}
+  ) {
+    this.cartRepository = cartRepository;
+    this.orderRepository = orderRepository;
+    this.productRepository = productRepository;
+    this.paymentAdapter = paymentAdapter;
+    this.paymentProviderService = paymentProviderService;
+    this.cartTtlMs = options.cartTtlMs || CART_TTL_MS;
+    this.eventManager = options.eventManager || getEventManager();
+    this.stockReservationService = options.stockReservationService || null;
+
+    console.log('[ORDER SERVICE] Inicializado com sucesso');
+  }
+
+  // ==================== CARRINHO ====================
+
+  async createCart() {
+    const cart = await this.cartRepository.create({
+      token: crypto.randomBytes(24).toString('hex'),
+      organizationId: null,
+      items: [],
+      expiresAt: this.cartExpiration(),
+    });
+    return this.describeCart(cart);
+  }
+
+  async getCart(token) {
+    return this.describeCart(await this.findCart(token));
+  }
+
+  /**
+   * Define a quantidade de um produto (ou de uma variação dele) no carrinho (0 remove)
+   * Cada variação é um item separado do carrinho.
+   */
+  async setItem(token, productId, quantity, variantId = null) {
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_ITEM_QUANTITY) {
+      throw new Error(`Quantidade deve estar entre 0 e ${MAX_ITEM_QUANTITY}`);
+    }
+
+    const cart = await this.findCart(token);
+    let items = cart.items.filter((item) => !this.isSameItem(item, productId, variantId));
+
+    if (quantity > 0) {
+      const product = await this.getSellableProduct(productId, quantity, variantId);
+      if (items.length > 0 && cart.organizationId !== product.organizationId) {
+        throw new Error('O carrinho só pode ter produtos de uma organização por pedido');
+      }
+      if (items.length >= MAX_CART_ITEMS) {
+        throw new Error(`O carrinho aceita no máximo ${MAX_CART_ITEMS} produtos`);
+      }
+      items = [
+        ...items,
+        {
+          productId: String(product.id),
+          variantId: variantId ? String(variantId) : null,
+          quantity,
+        },
+      ];
+      cart.organizationId = product.organizationId;
+    }
+
+    const updated = await this.cartRepository.update(cart.id, {
+      items,
+      organizationId: items.length > 0 ? cart.organizationId : null,
+      expiresAt: this.cartExpiration(),
+    });
+    return this.describeCart(updated);
+  }
+
+  async removeItem(token, productId, variantId = null) {
+    return this.setItem(token, productId, 0, variantId);
+  }
+
+  /**
+   * Fecha o carrinho: cria o pedido com os preços atuais e o pagamento no provedor
+   * @param {Object} buyer - { buyerName, buyerEmail, buyerPhone, buyerDocument }
+   * @returns {Promise<{order: Object, paymentUrl: string}>}
+   */
+  async checkout(token, buyer) {
+    const cart = await this.findCart(token);
+    if (cart.items.length === 0) {
+      throw new Error('O carrinho está vazio');
+    }
+
+    const items = [];
+    let organizationName = null;
+    for (const item of cart.items) {
+      const product = await this.getSellableProduct(item.productId, item.quantity, item.variantId);
+      const variant = Product.findVariant(product, item.variantId);
+      const unitPrice = Product.priceOf(product, item.variantId);
+      organizationName = organizationName || product.organizationName;
+      items.push({
+        productId: String(product.id),
+        variantId: variant ? String(variant.id) : null,
+        sku: variant ? variant.sku : null,
+        name: product.name,
+        variantLabel: Product.variantLabel(variant),
+        unitPrice,
+        quantity: item.quantity,
+        subtotal: this.roundCurrency(unitPrice * item.quantity),
+      });
+    }
+    const total = this.roundCurrency(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+    const provider = await this.resolveProvider(cart.organizationId);
+    const paymentAdapter = await this.resolvePaymentAdapter(provider, cart.organizationId);
+    if (!paymentAdapter) {
+      throw new Error('Pagamento online indisponível para esta organização');
+    }
+
+    let order = await this.orderRepository.create({
+      code: crypto.randomBytes(5).toString('hex').toUpperCase(),
+      organizationId: cart.organizationId,
+      organizationName,
+      buyerName: buyer.buyerName.trim(),
+      buyerEmail: buyer.buyerEmail.trim().toLowerCase(),
+      buyerPhone: buyer.buyerPhone || null,
+      buyerDocument: buyer.buyerDocument || null,
+      items,
+      total,
+      status: OrderState.STATES.PENDING_PAYMENT,
+      statusHistory: [
+        {
+          from: null,
+          to: OrderState.STATES.PENDING_PAYMENT,
+          source: 'OrderService',
+          timestamp: new Date(),
+          metadata: { action: 'checkout' },
+        },
+      ],
+      paymentProvider: provider,
+      paymentAccountId: paymentAdapter.accountId || null,
+    });
+
+    if (this.stockReservationService) {
+      try {
+        await this.stockReservationService.holdMany(items, {
+          source: 'checkout',
+          orderId: order.id,
+        });
+      } catch (error) {
+        await this.transitionOrder(order, OrderState.STATES.CANCELLED, {
+          source: 'OrderService',
+          metadata: { action: 'cancel', reason: 'Estoque reservado por outro comprador' },
+          data: { cancelledAt: new Date(), cancelReason: 'Estoque reservado por outro comprador' },
+        });
+        throw error;
+      }
+    }
+
+    try {
+      const preference = await paymentAdapter.createPaymentPreference({
+        amount: total,
+        title: `Pedido ${order.code} - Bazar ${organizationName || ''}`.trim(),
+        description: items.map((item) => `${item.quantity}x ${item.name}`).join(', '),
+        payer: {
+          name: order.buyerName,
+          email: order.buyerEmail,
+          phone: order.buyerPhone,
+          document: order.buyerDocument,
+        },
+        externalReference: `${ORDER_REFERENCE_PREFIX}${order.id}`,
+      });
+      order = await this.orderRepository.update(order.id, {
+        preferenceId: preference.id ? String(preference.id) : null,
+        paymentUrl: preference.paymentUrl,
+      });
+    } catch (error) {
+      console.error('[ORDER SERVICE] Erro ao criar pagamento do pedido:', error.message);
+      await this.transitionOrder(order, OrderState.STATES.CANCELLED, {
+        source: 'OrderService',
+        metadata: { action: 'cancel', reason: 'Falha ao criar o pagamento' },
+        data: { cancelledAt: new Date(), cancelReason: 'Falha ao criar o pagamento' },
+      });
+      await this.releaseReservations(order);
+      throw new Error(`Não foi possível iniciar o pagamento: ${error.message}`);
+    }
+
+    await this.cartRepository.delete(cart.id);
+    await this.emitOrderEvent('order.created', order);
+
+    console.log('[ORDER SERVICE] Pedido criado:', order.id, order.code, total);
+    return { order: this.toPublicOrder(order), paymentUrl: order.paymentUrl };
+  }
+
+  // ==================== COMPRADOR ====================
+
+  /**
+   * Pedido pelo código público; o email do comprador confirma a consulta
+   */
+  async getBuyerOrder(code, email) {
+    const order = await this.orderRepository.findByCode(String(code).toUpperCase());
+    if (!order || !email || order.buyerEmail !== String(email).trim().toLowerCase()) {
+      throw new Error('Pedido não encontrado');
+    }
+    return order;
+  }
+
+  async getOrderStatus(code, email) {
+    return this.toPublicOrder(await this.getBuyerOrder(code, email));
+  }
+
+  /**
+   * O comprador desiste de um pedido ainda não pago
+   */
+  async cancelByBuyer(code, email) {
+    const order = await this.getBuyerOrder(code, email);
+    const cancelled = await this.transitionOrder(order, OrderState.STATES.CANCELLED, {
+      source: 'buyer',
+      metadata: { action: 'cancel', reason: 'Cancelado pelo comprador' },
+      data: { cancelledAt: new Date(), cancelReason: 'Cancelado pelo comprador' },
+    });
+    await this.releaseReservations(cancelled);
+    await this.emitOrderEvent('order.cancelled', cancelled);
+    return this.toPublicOrder(cancelled);
+  }
+
+  // ==================== ORGANIZAÇÃO ====================
+
+  async listOrganizationOrders(organizationId, { status, page, limit } = {}) {
+    const statuses = Object.values(OrderState.STATES);
+    if (status && !statuses.includes(status)) {
+      throw new Error(`Status inválido. Use: ${statuses.join(', ')}`);
+    }
+    return this.orderRepository.findByOrganization(String(organizationId), {
+      status,
+      page,
+      limit,
+    });
+  }
+
+  async getOrganizationOrder(orderId, organizationId) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new Error('Pedido não encontrado');
+    }
+    if (String(order.organizationId) !== String(organizationId)) {
+      throw new Error('Pedido de outra organização');
+    }
+    return order;
+  }
+
+  async cancelOrder(orderId, organizationId, reason = null) {
+    const order = await this.getOrganizationOrder(orderId, organizationId);
+    const cancelReason = reason || 'Cancelado pela organização';
+    const cancelled = await this.transitionOrder(order, OrderState.STATES.CANCELLED, {
+      source: 'organization',
+      metadata: { action: 'cancel', reason: cancelReason },
+      data: { cancelledAt: new Date(), cancelReason },
+    });
+    await this.releaseReservations(cancelled);
+    await this.emitOrderEvent('order.cancelled', cancelled);
+    return cancelled;
+  }
+
+  /**
+   * Marca o pedido pago como entregue/retirado
+   */
+  async fulfillOrder(orderId, organizationId) {
+    const order = await this.getOrganizationOrder(orderId, organizationId);
+    return this.transitionOrder(order, OrderState.STATES.FULFILLED, {
+      source: 'organization',
+      metadata: { action: 'fulfill', fulfilledBy: String(organizationId) },
+    });
+  }
+
+  /**
+   * Estorna o pagamento no provedor e devolve os itens ao estoque
+   */
+  async refundOrder(orderId, organizationId, reason = null) {
+    const order = await this.getOrganizationOrder(orderId, organizationId);
+    if (!new OrderState(order.status).canTransitionTo(OrderState.STATES.REFUNDED)) {
+      throw new Error(`Apenas pedidos pagos podem ser estornados (status atual: ${order.status})`);
+    }
+    if (!order.paymentId) {
+      throw new Error('Pedido sem pagamento associado no provedor');
+    }
+
+    const paymentAdapter = await this.getOrderAdapter(order);
+    const refund = await paymentAdapter.refundPayment(order.paymentId);
+
+    return this.markRefunded(order, {
+      source: 'organization',
+      reason: reason || 'Estornado pela organização',
+      refundId: refund && refund.id ? String(refund.id) : null,
+    });
+  }
+
+  // ==================== PAGAMENTO ====================
+
+  /**
+   * Aplica ao pedido o status do pagamento recebido por webhook
+   * @param {Object} payment - { paymentId, status, externalReference } do PaymentAdapter
+   * @returns {Promise<Object|null>} Pedido atualizado; null se o pagamento não é de um pedido
+   */
+  async applyPaymentStatus(payment, { source = 'payment_webhook' } = {}) {
+    const order = await this.findOrderForPayment(payment);
+    if (!order) {
+      return null;
+    }
+
+    const target = OrderState.fromPaymentStatus(payment.status);
+    if (!target || target === order.status) {
+      return order;
+    }
+    if (!new OrderState(order.status).canTransitionTo(target)) {
+      console.warn(
+        `[ORDER SERVICE] Transição inválida ignorada para pedido ${order.id}: ${order.status} -> ${target}`
+      );
+      return order;
+    }
+
+    if (target === OrderState.STATES.PAID) {
+      return this.markPaid(order, payment, { source });
+    }
+    if (target === OrderState.STATES.REFUNDED) {
+      return this.markRefunded(order, { source, reason: `Pagamento ${payment.status}` });
+    }
+
+    const cancelled = await this.transitionOrder(order, target, {
+      source,
+      metadata: { action: 'cancel', paymentStatus: payment.status },
+      data: { cancelledAt: new Date(), cancelReason: 'Pagamento cancelado' },
+    });
+    await this.releaseReservations(cancelled);
+    await this.emitOrderEvent('order.cancelled', cancelled);
+    return cancelled;
+  }
+
+  async findOrderForPayment(payment) {
+    const reference = payment.externalReference ? String(payment.externalReference) : null;
+    if (reference) {
+      return OrderService.isOrderReference(reference)
+        ? this.orderRepository.findById(reference.slice(ORDER_REFERENCE_PREFIX.length))
+        : null;
+    }
+    // Alguns avisos (ex: estorno pelo painel do Pagar.me) chegam só com o ID do pagamento
+    return payment.paymentId
+      ? this.orderRepository.findByPaymentReference(String(payment.paymentId))
+      : null;
+  }
+
+  /**
+   * Pagamento aprovado: baixa o estoque; sem estoque para todos os itens o pagamento é estornado
+   */
+  async markPaid(order, payment, { source }) {
+    const paymentId = payment.paymentId ? String(payment.paymentId) : null;
+    const paid = await this.transitionOrder(order, OrderState.STATES.PAID, {
+      source,
+      metadata: { action: 'pay', paymentId },
+      data: { paymentId, paidAt: new Date() },
+    });
+
+    if (await this.applyStock(paid)) {
+      await this.emitOrderEvent('order.paid', paid);
+      console.log('[ORDER SERVICE] Pedido pago:', paid.id, paid.code);
+      return { ...paid, stockApplied: true };
+    }
+
+    console.warn('[ORDER SERVICE] Estoque insuficiente para pedido pago, estornando:', paid.id);
+    let refund;
+    try {
+      const paymentAdapter = await this.getOrderAdapter(paid);
+      refund = await paymentAdapter.refundPayment(paymentId);
+    } catch (error) {
+      // O pedido continua pago, sem baixa de estoque, até a organização estornar
+      console.error('[ORDER SERVICE] Erro ao estornar pedido sem estoque:', error.message);
+      await this.eventManager.emit(
+        'system.warning',
+        {
+          warning: `Pedido ${paid.code} pago sem estoque; estorno automático falhou`,
+          component: 'OrderService',
+          orderId: paid.id,
+          source,
+        },
+        { source: 'OrderService' }
+      );
+      return this.orderRepository.update(paid.id, {
+        cancelReason: 'Estoque insuficiente: estorne o pagamento',
+      });
+    }
+    return this.markRefunded(paid, {
+      source,
+      reason: 'Estoque insuficiente',
+      refundId: refund && refund.id ? String(refund.id) : null,
+    });
+  }
+
+  async markRefunded(order, { source, reason, refundId = null }) {
+    const refunded = await this.transitionOrder(order, OrderState.STATES.REFUNDED, {
+      source,
+      metadata: { action: 'refund', reason, refundId },
+      data: { refundedAt: new Date(), cancelReason: reason },
+    });
+    await this.restoreStock(refunded);
+    await this.emitOrderEvent('order.refunded', refunded);
+    console.log('[ORDER SERVICE] Pedido estornado:', refunded.id, reason);
+    return { ...refunded, stockApplied: false };
+  }
+
+  // ==================== ESTOQUE ====================
+
+  /**
+   * Baixa o estoque de todos os itens ou de nenhum
+   * Itens reservados no checkout saem pela reserva; o restante (reserva já expirada) precisa
+   * de estoque disponível.
+   * @returns {Promise<boolean>} false se algum produto não tinha estoque suficiente
+   */
+  async applyStock(order) {
+    if (!(await this.orderRepository.setStockApplied(order.id, true))) {
+      return true;
+    }
+
+    const applied = this.stockReservationService
+      ? await this.stockReservationService.confirmForOrder(order.id)
+      : [];
+    for (const item of order.items) {
+      const variantId = item.variantId || null;
+      const reservedQuantity = applied
+        .filter((done) => this.isSameItem(done, item.productId, variantId))
+        .reduce((sum, done) => sum + done.quantity, 0);
+      const missing = item.quantity - reservedQuantity;
+      if (missing <= 0) {
+        continue;
+      }
+
+      const product = await this.productRepository.decrementStock(
+        item.productId,
+        missing,
+        variantId
+      );
+      if (!product) {
+        for (const done of applied) {
+          await this.productRepository.incrementStock(
+            done.productId,
+            done.quantity,
+            done.variantId || null
+          );
+        }
+        await this.orderRepository.setStockApplied(order.id, false);
+        return false;
+      }
+      applied.push({ productId: item.productId, variantId, quantity: missing });
+      await this.emitLowStock(product, variantId);
+    }
+    return true;
+  }
+
+  async restoreStock(order) {
+    if (!(await this.orderRepository.setStockApplied(order.id, false))) {
+      return;
+    }
+    for (const item of order.items) {
+      await this.productRepository.incrementStock(
+        item.productId,
+        item.quantity,
+        item.variantId || null
+      );
+    }
+  }
+
+  async releaseReservations(order) {
+    if (this.stockReservationService) {
+      await this.stockReservationService.releaseForOrder(order.id);
+    }
+  }
+
+  async emitLowStock(product, variantId = null) {
+    const alert = Product.lowStockAlert(product, variantId, LOW_STOCK_THRESHOLD);
+    if (alert) {
+      await this.eventManager.emit('product.stock.low', alert, { source: 'OrderService' });
+    }
+  }
+
+  // ==================== AUXILIARES ====================
+
+  /**
+   * Muda o status respeitando a FSM de OrderState
+   * @param {Object} context - { source, metadata, data } (data: campos gravados junto)
+   */
+  async transitionOrder(order, targetStatus, { source, metadata = {}, data = {} }) {
+    const state = new OrderState(order.status);
+    if (!state.canTransitionTo(targetStatus)) {
+      throw new Error(`Não é possível alterar o pedido de ${order.status} para ${targetStatus}`);
+    }
+
+    const transition = state
+      .transitionTo(targetStatus, { source, ...metadata })
+      .getHistory()
+      .pop();
+    const updated = await this.orderRepository.transitionStatus(
+      order.id,
+      order.status,
+      targetStatus,
+      {
+        from: transition.from,
+        to: transition.to,
+        source,
+        timestamp: new Date(transition.timestamp),
+        metadata,
+      },
+      data
+    );
+    if (!updated) {
+      throw new Error(`Status do pedido ${order.id} foi alterado durante a atualização`);
+    }
+    return updated;
+  }
+
+  async findCart(token) {
+    const cart = token ? await this.cartRepository.findByToken(String(token)) : null;
+    if (!cart || new Date(cart.expiresAt) < new Date()) {
+      throw new Error('Carrinho não encontrado ou expirado');
+    }
+    return { ...cart, items: Array.isArray(cart.items) ? cart.items : [] };
+  }
+
+  /**
+   * Produto disponível e com estoque para a quantidade pedida
+   * Produtos com variações exigem a variação escolhida; o estoque conferido é o dela.
+   */
+  async getSellableProduct(productId, quantity, variantId = null) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new Error('Produto não encontrado');
+    }
+    if (!product.isAvailable) {
+      throw new Error(`Produto "${product.name}" não está disponível`);
+    }
+
+    let itemName = product.name;
+    if (Product.hasVariants(product) || variantId) {
+      if (!variantId) {
+        throw new Error(`Escolha uma variação de "${product.name}"`);
+      }
+      const variant = Product.findVariant(product, variantId);
+      if (!variant) {
+        throw new Error('Variação não encontrada');
+      }
+      itemName = `${product.name} (${Product.variantLabel(variant)})`;
+      if (!variant.isAvailable) {
+        throw new Error(`Variação de "${itemName}" não está disponível`);
+      }
+    }
+
+    const availableStock = Product.availableStock(product, variantId);
+    if (availableStock < quantity) {
+      throw new Error(`Estoque insuficiente para "${itemName}" (disponível: ${availableStock})`);
+    }
+    return product;
+  }
+
+  isSameItem(item, productId, variantId = null) {
+    return (
+      String(item.productId) === String(productId) &&
+      String(item.variantId || '') === String(variantId || '')
+    );
+  }
+
+  /**
+   * Carrinho com os dados atuais dos produtos e o total estimado
+   */
+  async describeCart(cart) {
+    const items = [];
+    for (const item of cart.items || []) {
+      const product = await this.productRepository.findById(item.productId);
+      const variantId = item.variantId || null;
+      const variant = product ? Product.findVariant(product, variantId) : null;
+      const unitPrice = product ? Product.priceOf(product, variantId) : null;
+      const variantImages = variant && variant.imageUrls && variant.imageUrls.length > 0;
+      const images = variantImages ? variant.imageUrls : product && product.imageUrls;
+      items.push({
+        productId: item.productId,
+        variantId,
+        sku: variant ? variant.sku : null,
+        variantLabel: Product.variantLabel(variant),
+        quantity: item.quantity,
+        name: product ? product.name : null,
+        unitPrice,
+        imageUrl: images ? images[0] : null,
+        available:
+          !!product &&
+          product.isAvailable &&
+          (variant ? variant.isAvailable : !variantId && !Product.hasVariants(product)) &&
+          Product.availableStock(product, variantId) >= item.quantity,
+        subtotal: product ? this.roundCurrency(unitPrice * item.quantity) : 0,
+      });
+    }
+
+    return {
+      token: cart.token,
+      organizationId: cart.organizationId || null,
+      items,
+      total: this.roundCurrency(items.reduce((sum, item) => sum + item.subtotal, 0)),
+      expiresAt: cart.expiresAt,
+    };
+  }
+
+  /**
+   * Dados do pedido exibidos ao comprador (sem histórico interno nem IDs do provedor)
+   */
+  toPublicOrder(order) {
+    return {
+      code: order.code,
+      status: order.status,
+      organizationName: order.organizationName,
+      buyerName: order.buyerName,
+      items: order.items,
+      total: order.total,
+      currency: order.currency || 'BRL',
+      paymentUrl: order.status === OrderState.STATES.PENDING_PAYMENT ? order.paymentUrl : null,
+      paidAt: order.paidAt || null,
+      cancelledAt: order.cancelledAt || null,
+      refundedAt: order.refundedAt || null,
+      createdAt: order.createdAt,
+    };
+  }
+
+  async emitOrderEvent(eventType, order) {
+    await this.eventManager.emit(
+      eventType,
+      {
+        orderId: order.id,
+        code: order.code,
+        organizationId: order.organizationId,
+        total: order.total,
+        status: order.status,
+        buyerEmail: order.buyerEmail,
+      },
+      { source: 'OrderService' }
+    );
+  }
+
+  cartExpiration() {
+    return new Date(Date.now() + this.cartTtlMs);
+  }
+
+  async resolveProvider(organizationId) {
+    if (!this.paymentProviderService) {
+      return 'mercadopago';
+    }
+    return this.paymentProviderService.getProviderForOrganization(organizationId);
+  }
+
+  /**
+   * Adapter da conta conectada da organização (OAuth) ou o da plataforma
+   */
+  async resolvePaymentAdapter(provider, organizationId) {
+    const service = this.paymentProviderService;
+    if (!service || !service.isAvailable(provider)) {
+      return provider === 'mercadopago' ? this.paymentAdapter : null;
+    }
+    return service.getAdapterForOrganization(provider, organizationId);
+  }
+
+  /**
+   * Adapter da conta que recebeu o pagamento do pedido
+   */
+  async getOrderAdapter(order) {
+    const service = this.paymentProviderService;
+    const provider = order.paymentProvider || 'mercadopago';
+    if (!service || !service.isAvailable(provider)) {
+      if (provider !== 'mercadopago' || !this.paymentAdapter) {
+        throw new Error('Provedor de pagamento do pedido indisponível');
+      }
+      return this.paymentAdapter;
+    }
+    return service.getAdapterForAccount(provider, order.paymentAccountId);
+  }
+
+  roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+/**
+ * Pagamentos de pedidos usam externalReference "order-<id>"
+ */
+OrderService.isOrderReference = function (reference) {
+  return typeof reference === 'string' && reference.startsWith(ORDER_REFERENCE_PREFIX);
+};
+
+module.exports = OrderService;
@@ -0,0 +1,127 @@
+/**
+ * SERVICE LAYER - Provedores de pagamento por organização
+ * Mantém os adapters configurados (Mercado Pago, Pagar.me) e resolve qual deles
+ * atende cada organização. Sem escolha salva, vale o provedor padrão.
+ * Com um accountResolver, a organização que conectou a própria conta usa as credenciais dela.
+ */
+
+const PROVIDERS = ['mercadopago', 'pagarme'];
+
+class PaymentProviderService {
+  /**
+   * @param {Object} adapters - Adapters por provedor ({ mercadopago, pagarme }); ausentes = não configurados
+   * @param {Object} settingsRepository - Repository das configurações de pagamento (opcional)
+   * @param {Object} options - { defaultProvider, accountResolvers: { mercadopago: MercadoPagoAccountService } }
+   */
+  constructor(adapters = {}, settingsRepository = null, options = {}) {
+    this.adapters = {};
+    for (const provider of PROVIDERS) {
+      if (adapters[provider]) {
+        this.adapters[provider] = adapters[provider];
+      }
+    }
+
+    this.settingsRepository = settingsRepository;
+    this.defaultProvider = options.defaultProvider || 'mercadopago';
+    this.accountResolvers = options.accountResolvers || {};
+
+    console.log('[PAYMENT PROVIDER SERVICE] Provedores disponíveis:', this.getAvailableProviders());
+  }
+
+  getAvailableProviders() {
+    return Object.keys(this.adapters);
+  }
+
+  isAvailable(provider) {
+    return !!this.adapters[provider];
+  }
+
+  getAdapter(provider = this.defaultProvider) {
+    const adapter = this.adapters[provider];
+    if (!adapter) {
+      throw new Error(`Provedor de pagamento ${provider} não configurado`);
+    }
+    return adapter;
+  }
+
+  getAccountResolver(provider) {
+    return this.accountResolvers[provider] || null;
+  }
+
+  /**
+   * Adapter com as credenciais da organização ou, sem conta conectada, o da plataforma
+   */
+  async getAdapterForOrganization(provider, organizationId) {
+    const resolver = this.getAccountResolver(provider);
+    const adapter =
+      resolver && organizationId ? await resolver.getAdapterForOrganization(organizationId) : null;
+    return adapter || this.getAdapter(provider);
+  }
+
+  /**
+   * Adapter da conta que recebeu a doação (accountId salvo na criação)
+   */
+  async getAdapterForAccount(provider, accountId) {
+    const resolver = this.getAccountResolver(provider);
+    const adapter = resolver && accountId ? await resolver.getAdapterForAccount(accountId) : null;
+    return adapter || this.getAdapter(provider);
+  }
+
+  async getAdapterForWebhook(provider, webhookData) {
+    const resolver = this.getAccountResolver(provider);
+    const adapter = resolver ? await resolver.getAdapterForWebhook(webhookData) : null;
+    return adapter || this.getAdapter(provider);
+  }
+
+  /**
+   * Provedor usado nas novas doações da organização
+   * Escolha salva para um provedor sem credenciais cai no padrão
+   */
+  async getProviderForOrganization(organizationId) {
+    if (!this.settingsRepository || !organizationId) {
+      return this.defaultProvider;
+    }
+
+    try {
+      const settings = await this.settingsRepository.findByOrganizationId(organizationId);
+      const provider = settings && settings.paymentProvider;
+      return provider && this.isAvailable(provider) ? provider : this.defaultProvider;
+    } catch (error) {
+      console.error('[PAYMENT PROVIDER SERVICE] Erro ao buscar provedor:', error.message);
+      return this.defaultProvider;
+    }
+  }
+
+  async getSettings(organizationId) {
+    const mercadoPagoAccounts = this.getAccountResolver('mercadopago');
+
+    return {
+      paymentProvider: await this.getProviderForOrganization(organizationId),
+      availableProviders: this.getAvailableProviders(),
+      mercadoPagoAccount: mercadoPagoAccounts
+        ? await mercadoPagoAccounts.getStatus(organizationId)
+        : null,
+    };
+  }
+
+  async setProvider(organizationId, provider) {
+    if (!PROVIDERS.includes(provider)) {
+      throw new Error(`Provedor inválido. Use: ${PROVIDERS.join(' ou ')}`);
+    }
+    if (!this.isAvailable(provider)) {
+      throw new Error(`Provedor de pagamento ${provider} não configurado`);
+    }
+    if (!this.settingsRepository) {
+      throw new Error('Configurações de pagamento indisponíveis');
+    }
+
+    await this.settingsRepository.updateProvider(organizationId, provider);
+    console.log('[PAYMENT PROVIDER SERVICE] Provedor atualizado:', organizationId, provider);
+
+    return this.getSettings(organizationId);
+  }
+}
+
+PaymentProviderService.PROVIDERS = PROVIDERS;
+
+module.exports = PaymentProviderService;
@@ -0,0 +1,281 @@
+/**
+ * SERVICE LAYER - Reconciliação de pagamentos
+ * Compara doações paradas em pending/in_process com o status no provedor de pagamento
+ * e corrige as divergências (ex: webhook perdido). Cada execução gera um relatório.
+ */
+const EnhancedPaymentState = require('../../domain/state/EnhancedPaymentState');
+
+const RECONCILABLE_STATUSES = [
+  EnhancedPaymentState.STATES.PENDING,
+  EnhancedPaymentState.STATES.IN_PROCESS,
+];
+
+class PaymentReconciliationService {
+  /**
+   * @param {Object} donationRepository - Repository de doações
+   * @param {DonationService} donationService - Aplica status e emite eventos de doação
+   * @param {Object} paymentAdapter - Adapter do provedor (getPaymentStatus/getSubscriptionStatus)
+   * @param {Object} reconciliationRepository - Repository dos relatórios (opcional)
+   * @param {Object} options - { thresholdMinutes, maxAgeDays, batchSize }
+   */
+  constructor(
+    donationRepository,
+    donationService,
+    paymentAdapter,
+    reconciliationRepository = null,
+    options = {}
+  ) {
+    this.donationRepository = donationRepository;
+    this.donationService = donationService;
+    this.paymentAdapter = paymentAdapter;
+    this.reconciliationRepository = reconciliationRepository;
+
+    this.thresholdMinutes = options.thresholdMinutes || 30;
+    this.maxAgeDays = options.maxAgeDays || 30;
+    this.batchSize = options.batchSize || 50;
+    this.running = false;
+
+    console.log('[PAYMENT RECONCILIATION SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Executa uma rodada de reconciliação
+   * @param {Object} params - { trigger, requestedBy, thresholdMinutes }
+   * @returns {Promise<Object>} Relatório da execução
+   */
+  async run({ trigger = 'scheduled', requestedBy = null, thresholdMinutes } = {}) {
+    if (this.running) {
+      throw new Error('Reconciliação já em andamento');
+    }
+
+    this.running = true;
+    const threshold = Number(thresholdMinutes) || this.thresholdMinutes;
+    const report = {
+      trigger,
+      requestedBy,
+      status: 'running',
+      thresholdMinutes: threshold,
+      checked: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      markFailed: 0,
+      changes: [],
+      errors: [],
+      startedAt: new Date(),
+    };
+
+    let record = null;
+
+    try {
+      if (this.reconciliationRepository) {
+        record = await this.reconciliationRepository.create(report);
+      }
+
+      const now = Date.now();
+      const donations = await this.donationRepository.findStaleByStatus(RECONCILABLE_STATUSES, {
+        createdBefore: new Date(now - threshold * 60 * 1000),
+        createdAfter: new Date(now - this.maxAgeDays * 24 * 60 * 60 * 1000),
+        limit: this.batchSize,
+      });
+
+      for (const donation of donations) {
+        report.checked++;
+
+        try {
+          const result = await this.reconcileDonation(donation);
+
+          if (result.changed) {
+            report.updated++;
+            report.changes.push({
+              donationId: donation.id,
+              type: donation.type,
+              from: result.from,
+              to: result.to,
+              providerStatus: result.providerStatus,
+            });
+          } else {
+            report.unchanged++;
+            if (result.rejected) {
+              report.errors.push({
+                donationId: donation.id,
+                error: `Transição inválida: ${result.from} -> ${result.to}`,
+              });
+            }
+          }
+        } catch (error) {
+          report.failed++;
+          report.errors.push({ donationId: donation.id, error: error.message });
+        }
+
+        try {
+          await this.donationRepository.markReconciled(donation.id, new Date());
+        } catch (error) {
+          // Sem lastReconciledAt a doação volta na próxima rodada; fica registrado no relatório
+          console.error(
+            '[PAYMENT RECONCILIATION SERVICE] Erro ao marcar doação como reconciliada:',
+            error.message
+          );
+          report.markFailed++;
+          report.errors.push({
+            donationId: donation.id,
+            error: `Falha ao marcar reconciliação: ${error.message}`,
+          });
+        }
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      console.error('[PAYMENT RECONCILIATION SERVICE] Erro na reconciliação:', error);
+      report.status = 'failed';
+      report.errors.push({ donationId: null, error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    report.finishedAt = new Date();
+
+    if (record) {
+      try {
+        record = await this.reconciliationRepository.update(record.id, {
+          status: report.status,
+          checked: report.checked,
+          updated: report.updated,
+          unchanged: report.unchanged,
+          failed: report.failed,
+          markFailed: report.markFailed,
+          changes: report.changes,
+          errors: report.errors,
+          finishedAt: report.finishedAt,
+        });
+      } catch (error) {
+        console.error('[PAYMENT RECONCILIATION SERVICE] Erro ao salvar relatório:', error.message);
+      }
+    }
+
+    console.log('[PAYMENT RECONCILIATION SERVICE] Reconciliação finalizada:', {
+      trigger,
+      checked: report.checked,
+      updated: report.updated,
+      failed: report.failed,
+    });
+
+    return record ? { ...report, ...record } : report;
+  }
+
+  /**
+   * Consulta o provedor e aplica o status atual de uma doação
+   * Recorrentes usam a assinatura; únicas usam o pagamento
+   */
+  async reconcileDonation(donation) {
+    const paymentAdapter = await this.getAdapterFor(donation);
+
+    if (donation.type === 'recurring' && donation.subscriptionId) {
+      const subscription = await paymentAdapter.getSubscriptionStatus(donation.subscriptionId);
+      const transition = await this.donationService.applySubscriptionStatus(
+        donation,
+        subscription.status,
+        { source: 'reconciliation' }
+      );
+      return { ...transition, providerStatus: subscription.status };
+    }
+
+    if (donation.pix && donation.pix.mode === 'static') {
+      // BR Code estático não existe no provedor: só resta expirar a cobrança vencida
+      const status = this.donationService.getDonationStatus(donation);
+      if (new Date(donation.pix.expiresAt) > new Date()) {
+        return { changed: false, rejected: false, from: status, to: status, providerStatus: null };
+      }
+      const transition = await this.donationService.applyPaymentStatus(donation, 'cancelled', {
+        source: 'pix_expiration',
+      });
+      return { ...transition, providerStatus: 'expired' };
+    }
+
+    const payment = await this.findProviderPayment(donation, paymentAdapter);
+    if (!payment) {
+      // Checkout aberto e ainda não pago: nada a corrigir
+      const status = this.donationService.getDonationStatus(donation);
+      return { changed: false, rejected: false, from: status, to: status, providerStatus: null };
+    }
+
+    const transition = await this.donationService.applyPaymentStatus(donation, payment.status, {
+      source: 'reconciliation',
+      paymentId: payment.id,
+    });
+    return { ...transition, providerStatus: payment.status };
+  }
+
+  /**
+   * Pagamento da doação no provedor. No checkout do Mercado Pago o mercadoPagoId é a
+   * preferência: sem paymentId gravado, busca os pagamentos pela external_reference
+   * (prefere o aprovado, senão o mais recente)
+   * @returns {Promise<Object|null>} null quando ainda não há pagamento para a preferência
+   */
+  async findProviderPayment(donation, paymentAdapter) {
+    const paymentId = this.donationService.getProviderPaymentId(donation);
+    if (paymentId) {
+      return paymentAdapter.getPaymentStatus(paymentId);
+    }
+
+    const externalReference = donation.metadata && donation.metadata.externalReference;
+    if (!externalReference || typeof paymentAdapter.searchPayments !== 'function') {
+      throw new Error('Doação sem pagamento associado no provedor');
+    }
+
+    const { results } = await paymentAdapter.searchPayments({ externalReference });
+    return (
+      results.find((payment) => payment.status === EnhancedPaymentState.STATES.APPROVED) ||
+      results[0] ||
+      null
+    );
+  }
+
+  /**
+   * Consulta o provedor e a conta (plataforma ou organização conectada) que criaram a doação
+   */
+  async getAdapterFor(donation) {
+    const routed =
+      donation.paymentProvider || (donation.metadata && donation.metadata.paymentAccountId);
+    if (routed && this.donationService.getDonationAdapter) {
+      return this.donationService.getDonationAdapter(donation);
+    }
+    return this.paymentAdapter;
+  }
+
+  /**
+   * Lista relatórios de reconciliação
+   */
+  async listReports(options = {}) {
+    if (!this.reconciliationRepository) {
+      return { data: [], pagination: { page: 1, limit: 0, total: 0, pages: 0 } };
+    }
+
+    try {
+      return await this.reconciliationRepository.findAll(options);
+    } catch (error) {
+      console.error('[PAYMENT RECONCILIATION SERVICE] Erro ao listar relatórios:', error);
+      throw new Error('Erro ao listar relatórios de reconciliação');
+    }
+  }
+
+  /**
+   * Busca um relatório de reconciliação
+   */
+  async getReport(id) {
+    const report = this.reconciliationRepository
+      ? await this.reconciliationRepository.findById(id)
+      : null;
+
+    if (!report) {
+      throw new Error('Relatório de reconciliação não encontrado');
+    }
+    return report;
+  }
+
+  isRunning() {
+    return this.running;
+  }
+}
+
+module.exports = PaymentReconciliationService;
@@ -0,0 +1,270 @@
+/**
+ * SERVICE LAYER - Doações via PIX
+ * Com Mercado Pago configurado gera um pagamento PIX dinâmico (confirmado pelo webhook);
+ * sem token, gera o BR Code estático da chave PIX da organização, confirmado manualmente por ela.
+ */
+const crypto = require('crypto');
+const EnhancedPaymentState = require('../../domain/state/EnhancedPaymentState');
+
+const PIX_MODES = {
+  MERCADO_PAGO: 'mercadopago',
+  STATIC: 'static',
+};
+
+class PixPaymentService {
+  /**
+   * @param {DonationService} donationService - Valida, aplica status e emite eventos de doação
+   * @param {Object} issuerRepository - Fornece o perfil da organização (findIssuerProfile)
+   * @param {PixBrCodeGenerator} brCodeGenerator - Gera o BR Code estático e o QR code
+   * @param {Object} options - { pixProvider, expirationMinutes, merchantCity }
+   */
+  constructor(donationService, issuerRepository, brCodeGenerator, options = {}) {
+    this.donationService = donationService;
+    this.donationRepository = donationService.donationRepository;
+    this.issuerRepository = issuerRepository;
+    this.brCodeGenerator = brCodeGenerator;
+
+    // Adapter com createPixPayment; null ativa o modo estático
+    this.pixProvider = options.pixProvider || null;
+    this.expirationMinutes = options.expirationMinutes || 30;
+    this.merchantCity = options.merchantCity || 'BRASIL';
+
+    console.log('[PIX PAYMENT SERVICE] Inicializado no modo', this.getMode());
+  }
+
+  getMode() {
+    return this.pixProvider ? PIX_MODES.MERCADO_PAGO : PIX_MODES.STATIC;
+  }
+
+  /**
+   * Cria uma doação única paga via PIX
+   * @returns {Promise<{donation: Object, pix: Object}>}
+   */
+  async createPixDonation(donationData) {
+    try {
+      console.log('[PIX PAYMENT SERVICE] Criando doação PIX:', {
+        organizationId: donationData.organizationId,
+        amount: donationData.amount,
+      });
+
+      this.donationService.validateDonationData(donationData);
+      const target = await this.donationService.resolveDonationTarget(donationData);
+
+      const expiresAt = new Date(Date.now() + this.expirationMinutes * 60 * 1000);
+      const externalReference = `donation-${Date.now()}`;
+      const charge =
+        this.getMode() === PIX_MODES.MERCADO_PAGO
+          ? await this.createProviderCharge(donationData, { expiresAt, externalReference })
+          : await this.createStaticCharge(donationData, { expiresAt });
+
+      const donation = await this.donationRepository.create({
+        organizationId: donationData.organizationId,
+        organizationName: donationData.organizationName,
+        campaignId: target.campaignId,
+        fundraisingPageId: target.fundraisingPageId,
+        amount: donationData.amount,
+        currency: 'BRL',
+        type: 'single',
+        message: donationData.message,
+        donorName: donationData.donorName,
+        donorEmail: donationData.donorEmail,
+        donorPhone: donationData.donorPhone,
+        donorDocument: donationData.donorDocument,
+        donorAddress: donationData.donorAddress,
+        donorCity: donationData.donorCity,
+        donorState: donationData.donorState,
+        donorZipCode: donationData.donorZipCode,
+        isAnonymous: donationData.isAnonymous || false,
+        showInPublicList: donationData.showInPublicList !== false,
+        mercadoPagoId: charge.mercadoPagoId,
+        // No PIX dinâmico a cobrança já é o pagamento (usado em estornos e chargebacks)
+        paymentId: charge.mercadoPagoId,
+        paymentMethod: 'pix',
+        pix: charge.pix,
+        paymentStatus: EnhancedPaymentState.STATES.PENDING,
+        statusHistory: [this.donationService.buildInitialStatusEntry()],
+        metadata: { externalReference, paymentAccountId: charge.accountId || undefined },
+      });
+
+      console.log('[PIX PAYMENT SERVICE] Doação PIX criada:', donation.id, charge.pix.mode);
+
+      await this.donationService.eventManager.emit(
+        'donation.created',
+        {
+          donationId: donation.id,
+          amount: donation.amount,
+          organizationId: donation.organizationId,
+          organizationName: donation.organizationName,
+          campaignId: donation.campaignId,
+          fundraisingPageId: donation.fundraisingPageId,
+          donorEmail: donation.donorEmail,
+        },
+        { source: 'PixPaymentService' }
+      );
+
+      return { donation, pix: charge.pix };
+    } catch (error) {
+      console.error('[PIX PAYMENT SERVICE] Erro ao criar doação PIX:', error.message);
+      throw error;
+    }
+  }
+
+  async createProviderCharge(donationData, { expiresAt, externalReference }) {
+    const pixProvider = await this.resolvePixProvider(donationData.organizationId);
+    const payment = await pixProvider.createPixPayment({
+      amount: donationData.amount,
+      description: `Doação - ${donationData.organizationName}`,
+      payer: {
+        name: donationData.donorName,
+        email: donationData.donorEmail,
+        document: donationData.donorDocument,
+      },
+      externalReference,
+      expiresAt,
+    });
+
+    return {
+      mercadoPagoId: payment.id,
+      accountId: pixProvider.accountId,
+      pix: {
+        mode: PIX_MODES.MERCADO_PAGO,
+        qrCode: payment.qrCode,
+        qrCodeBase64: payment.qrCodeBase64,
+        ticketUrl: payment.ticketUrl,
+        expiresAt: new Date(payment.expiresAt || expiresAt),
+      },
+    };
+  }
+
+  /**
+   * PIX cai na conta do Mercado Pago conectada pela organização, quando houver
+   */
+  async resolvePixProvider(organizationId) {
+    const adapter = await this.donationService.resolvePaymentAdapter('mercadopago', organizationId);
+    return adapter && typeof adapter.createPixPayment === 'function' ? adapter : this.pixProvider;
+  }
+
+  async createStaticCharge(donationData, { expiresAt }) {
+    const organization = this.issuerRepository
+      ? await this.issuerRepository.findIssuerProfile(donationData.organizationId)
+      : null;
+
+    if (!organization || !organization.pixKey) {
+      throw new Error('Organização não possui chave PIX cadastrada');
+    }
+
+    // txid identifica o pagamento no extrato da organização
+    const txid = crypto.randomBytes(12).toString('hex').toUpperCase();
+    const qrCode = this.brCodeGenerator.buildPayload({
+      key: organization.pixKey,
+      name: organization.name || donationData.organizationName,
+      city: this.merchantCity,
+      amount: donationData.amount,
+      txid,
+    });
+
+    return {
+      mercadoPagoId: null,
+      pix: {
+        mode: PIX_MODES.STATIC,
+        qrCode,
+        qrCodeBase64: await this.brCodeGenerator.toBase64Image(qrCode),
+        txid,
+        expiresAt,
+      },
+    };
+  }
+
+  /**
+   * Status da cobrança PIX de uma doação; cobranças estáticas vencidas são expiradas aqui
+   */
+  async getPixStatus(donationId) {
+    let donation = await this.findPixDonation(donationId);
+    const expired = await this.expireIfNeeded(donation);
+    if (expired) {
+      donation = expired;
+    }
+
+    return this.toStatus(donation);
+  }
+
+  /**
+   * Confirmação manual pela organização do recebimento de um PIX estático
+   */
+  async confirmStaticPix(donationId, organizationId) {
+    const donation = await this.findPixDonation(donationId);
+
+    if (String(donation.organizationId) !== String(organizationId)) {
+      throw new Error('Não autorizado a confirmar esta doação');
+    }
+    if (donation.pix.mode !== PIX_MODES.STATIC) {
+      throw new Error('PIX do Mercado Pago é confirmado automaticamente');
+    }
+
+    const status = this.donationService.getDonationStatus(donation);
+    if (status !== EnhancedPaymentState.STATES.PENDING) {
+      throw new Error(`Não é possível confirmar a doação com status ${status}`);
+    }
+    if (await this.expireIfNeeded(donation)) {
+      throw new Error('Cobrança PIX expirada');
+    }
+
+    const transition = await this.donationService.applyPaymentStatus(donation, 'approved', {
+      source: 'pix_manual_confirmation',
+    });
+
+    return this.toStatus(transition.donation);
+  }
+
+  /**
+   * Cancela a doação quando o BR Code estático venceu sem confirmação
+   * PIX do Mercado Pago expira no provedor e chega pelo webhook/reconciliação
+   * @returns {Promise<Object|null>} Doação expirada ou null se nada mudou
+   */
+  async expireIfNeeded(donation, now = new Date()) {
+    if (!this.isExpired(donation, now)) {
+      return null;
+    }
+
+    const transition = await this.donationService.applyPaymentStatus(donation, 'cancelled', {
+      source: 'pix_expiration',
+    });
+    return transition.changed ? transition.donation : null;
+  }
+
+  isExpired(donation, now = new Date()) {
+    return (
+      !!donation.pix &&
+      donation.pix.mode === PIX_MODES.STATIC &&
+      this.donationService.getDonationStatus(donation) === EnhancedPaymentState.STATES.PENDING &&
+      new Date(donation.pix.expiresAt) <= now
+    );
+  }
+
+  async findPixDonation(donationId) {
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation || donation.paymentMethod !== 'pix' || !donation.pix) {
+      throw new Error('Doação PIX não encontrada');
+    }
+    return donation;
+  }
+
+  toStatus(donation) {
+    return {
+      donationId: donation.id,
+      amount: donation.amount,
+      status: this.donationService.getDonationStatus(donation),
+      pix: {
+        mode: donation.pix.mode,
+        qrCode: donation.pix.qrCode,
+        qrCodeBase64: donation.pix.qrCodeBase64,
+        ticketUrl: donation.pix.ticketUrl,
+        expiresAt: donation.pix.expiresAt,
+      },
+    };
+  }
+}
+
+PixPaymentService.PIX_MODES = PIX_MODES;
+
+module.exports = PixPaymentService;
@@ -0,0 +1,201 @@
+/**
+ * SERVICE LAYER - Motor de busca do catálogo de produtos
+ * Traduz os parâmetros da API (texto, filtros, ordenação, cursor) em critérios para
+ * productRepository.search e monta a resposta com facetas e paginação por cursor.
+ * Usado pela busca pública, pela vitrine (/products) e pela lista da organização (/my-products).
+ */
+
+const SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  name: { field: 'name', direction: 1 },
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 100;
+const MAX_CATEGORIES = 20;
+
+class ProductSearchService {
+  /**
+   * @param {Object} productRepository - search({ text, scope, filters, sort, after, limit })
+   */
+  constructor(productRepository) {
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {Object} params - Query string: q, category, organizationId, minPrice, maxPrice,
+   *   available, inStock, sort, cursor, limit
+   * @param {Object} scope - Restrições da rota que o cliente não pode tirar:
+   *   { organizationId } (produtos da organização) ou { isAvailable: true } (vitrine)
+   * @returns {Promise<{items, facets, pagination}>} items são entidades Product
+   */
+  async search(params = {}, scope = {}) {
+    const criteria = this.buildCriteria(params, scope);
+    const result = await this.productRepository.search(criteria);
+
+    return {
+      items: result.items,
+      facets: result.facets,
+      pagination: {
+        limit: criteria.limit,
+        total: result.total,
+        sort: criteria.sortKey,
+        hasMore: !!result.next,
+        nextCursor: result.next ? this.encodeCursor(criteria.sortKey, result.next) : null,
+      },
+    };
+  }
+
+  buildCriteria(params, scope) {
+    const text = this.parseText(params.q);
+    // Sem texto não há pontuação de relevância: a vitrine abre pelos mais recentes
+    const sortKey = params.sort || (text ? 'relevance' : 'newest');
+    if (!SORTS[sortKey] || (sortKey === 'relevance' && !text)) {
+      throw new Error(
+        `Invalid sort "${sortKey}". Use: ${Object.keys(SORTS).join(', ')} (relevance requires q)`
+      );
+    }
+
+    const filters = {};
+    const categories = this.parseList(params.category);
+    if (categories.length > MAX_CATEGORIES) {
+      throw new Error(`Invalid category filter: at most ${MAX_CATEGORIES} categories`);
+    }
+    if (categories.length > 0) {
+      filters.categories = categories;
+    }
+    if (params.organizationId && !scope.organizationId) {
+      filters.organizationId = String(params.organizationId);
+    }
+
+    const minPrice = this.parsePrice(params.minPrice, 'minPrice');
+    const maxPrice = this.parsePrice(params.maxPrice, 'maxPrice');
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      throw new Error('Invalid price range: minPrice is greater than maxPrice');
+    }
+    if (minPrice !== null || maxPrice !== null) {
+      filters.price = { min: minPrice, max: maxPrice };
+    }
+
+    // A vitrine só mostra produtos disponíveis; a organização pode filtrar os dela
+    if (scope.isAvailable === undefined) {
+      const available = this.parseBoolean(params.available, 'available');
+      if (available !== null) {
+        filters.isAvailable = available;
+      }
+    }
+    if (this.parseBoolean(params.inStock, 'inStock')) {
+      filters.inStock = true;
+    }
+
+    const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`Invalid limit: use an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    return {
+      text,
+      scope,
+      filters,
+      sort: SORTS[sortKey],
+      sortKey,
+      after: params.cursor ? this.decodeCursor(params.cursor, sortKey) : null,
+      limit,
+    };
+  }
+
+  parseText(q) {
+    const text = typeof q === 'string' ? q.trim() : '';
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw new Error(`Invalid search: at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    return text || null;
+  }
+
+  /**
+   * Aceita ?category=a,b e ?category=a&category=b
+   */
+  parseList(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return [
+      ...new Set(
+        values
+          .filter((item) => typeof item === 'string')
+          .flatMap((item) => item.split(','))
+          .map((item) => item.trim())
+          .filter(Boolean)
+      ),
+    ];
+  }
+
+  parsePrice(value, name) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new Error(`Invalid ${name}: use a number greater than or equal to zero`);
+    }
+    return price;
+  }
+
+  parseBoolean(value, name) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    if (value === true || value === 'true') {
+      return true;
+    }
+    if (value === false || value === 'false') {
+      return false;
+    }
+    throw new Error(`Invalid ${name}: use true or false`);
+  }
+
+  /**
+   * O cursor guarda a ordenação e a chave do último item (valor do campo + id), então a página
+   * seguinte continua do ponto certo mesmo com produtos novos entrando no catálogo
+   */
+  encodeCursor(sortKey, { value, id }) {
+    const encoded = value instanceof Date ? value.toISOString() : value;
+    return Buffer.from(JSON.stringify({ s: sortKey, v: encoded, id: String(id) })).toString(
+      'base64url'
+    );
+  }
+
+  decodeCursor(cursor, sortKey) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Invalid cursor');
+    }
+    if (!decoded || !decoded.id || decoded.v === undefined || decoded.v === null) {
+      throw new Error('Invalid cursor');
+    }
+    if (decoded.s !== sortKey) {
+      throw new Error('Invalid cursor: it was created for a different sort');
+    }
+
+    const { field } = SORTS[sortKey];
+    if (field === 'createdAt') {
+      const value = new Date(decoded.v);
+      if (Number.isNaN(value.getTime())) {
+        throw new Error('Invalid cursor');
+      }
+      return { value, id: String(decoded.id) };
+    }
+    if (typeof decoded.v !== (field === 'name' ? 'string' : 'number')) {
+      throw new Error('Invalid cursor');
+    }
+    return { value: decoded.v, id: String(decoded.id) };
+  }
+}
+
+ProductSearchService.SORTS = SORTS;
+
+module.exports = ProductSearchService;
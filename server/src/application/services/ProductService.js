@@ -1,11 +1,26 @@
 const Product = require('../../domain/entities/Product');
 const { getInstance: getEventManager } = require('../../infra/events/EventManager');
+const ProductSearchService = require('./ProductSearchService');
+
+const MAX_OPTIONS = 3;
+const MAX_VARIANTS = 100;
+const LOW_STOCK_THRESHOLD = 5;
 
 class ProductService {
-  constructor(productRepository, userRepository) {
+  /**
+   * @param {Object} productRepository
+   * @param {Object} userRepository
+   * @param {ProductVersionService|null} productVersionService - Persisted change history
+   * @param {Object} options - { eventManager, productSearchService }
+   */
+  constructor(productRepository, userRepository, productVersionService = null, options = {}) {
     this.productRepository = productRepository;
     this.userRepository = userRepository;
-    this.eventManager = getEventManager();
+    this.productVersionService = productVersionService;
+    this.eventManager = options.eventManager || getEventManager();
+    // Listings and search share the same query engine
+    this.productSearchService =
+      options.productSearchService || new ProductSearchService(productRepository);
   }
 
   async createProduct(productData, organizationId) {
@@ -18,8 +33,10 @@ class ProductService {
 
       // Validate product data
       this._validateProductData(productData);
+      const variantData = this._buildVariants(productData);
+      const hasVariants = !!variantData && variantData.variants.length > 0;
 
-      // Create product
+      // Create product (with variants, stock is the sum of the variants' stock)
       const product = Product.create(
         productData.name,
         productData.description,
@@ -28,11 +45,14 @@ class ProductService {
         organizationId,
         organization.name,
         productData.category,
-        productData.stock || 1
+        hasVariants ? variantData.stock : productData.stock || 1,
+        hasVariants ? variantData.options : [],
+        hasVariants ? variantData.variants : []
       );
 
       // Save product
       const savedProduct = await this.productRepository.save(product);
+      await this._recordVersion(savedProduct, 'create', organizationId);
 
       // Emit event
       await this.eventManager.emit(
@@ -60,6 +80,10 @@ class ProductService {
         createdAt: savedProduct.createdAt,
         category: savedProduct.category,
         stock: savedProduct.stock,
+        reservedStock: savedProduct.reservedStock,
+        availableStock: Product.availableStock(savedProduct),
+        options: savedProduct.options,
+        variants: this._variantsResponse(savedProduct),
       };
     } catch (error) {
       throw new Error(`Error creating product: ${error.message}`);
@@ -81,16 +105,34 @@ class ProductService {
 
       // Validate product data
       this._validateProductData(productData);
+      const variantData = this._buildVariants(productData, existingProduct);
+      const keepsVariants = !variantData && Product.hasVariants(existingProduct);
+      if (productData.stock !== undefined && !variantData && !keepsVariants) {
+        this._validateStockAgainstReservations(productData.stock, existingProduct);
+      }
 
-      // Update product
-      const updatedProduct = await this.productRepository.update(id, {
+      const changes = {
         name: productData.name,
         description: productData.description,
         price: productData.price,
         imageUrls: productData.imageUrls,
         category: productData.category,
-        stock: productData.stock !== undefined ? productData.stock : existingProduct.stock,
-      });
+      };
+      if (variantData) {
+        // Removing every variant goes back to a single stock
+        changes.options = variantData.options;
+        changes.variants = variantData.variants;
+        changes.stock = variantData.variants.length > 0 ? variantData.stock : productData.stock;
+      } else if (!keepsVariants) {
+        changes.stock = productData.stock;
+      }
+      if (changes.stock === undefined) {
+        delete changes.stock;
+      }
+
+      // Update product
+      const updatedProduct = await this.productRepository.update(id, changes);
+      await this._recordVersion(updatedProduct, 'update', organizationId);
 
       // Emit event
       await this.eventManager.emit(
@@ -118,6 +160,10 @@ class ProductService {
         updatedAt: updatedProduct.updatedAt,
         category: updatedProduct.category,
         stock: updatedProduct.stock,
+        reservedStock: updatedProduct.reservedStock,
+        availableStock: Product.availableStock(updatedProduct),
+        options: updatedProduct.options,
+        variants: this._variantsResponse(updatedProduct),
       };
     } catch (error) {
       throw new Error(`Error updating product: ${error.message}`);
@@ -175,80 +221,46 @@ class ProductService {
         updatedAt: product.updatedAt,
         category: product.category,
         stock: product.stock,
+        reservedStock: product.reservedStock,
+        availableStock: Product.availableStock(product),
+        options: product.options,
+        variants: this._variantsResponse(product),
       };
     } catch (error) {
       throw new Error(`Error getting product: ${error.message}`);
     }
   }
 
-  async getProductsByOrganization(organizationId) {
+  /**
+   * Products of the organization, including unavailable ones
+   * @param {Object} params - Search params (q, category, available, inStock, sort, cursor, limit)
+   * @returns {Promise<{data, facets, pagination}>}
+   */
+  async getProductsByOrganization(organizationId, params = {}) {
     try {
-      const products = await this.productRepository.findByOrganizationId(organizationId);
-
-      return products.map((product) => ({
-        id: product.id,
-        name: product.name,
-        description: product.description,
-        price: product.price,
-        imageUrls: product.imageUrls,
-        organizationId: product.organizationId,
-        organizationName: product.organizationName,
-        isAvailable: product.isAvailable,
-        createdAt: product.createdAt,
-        updatedAt: product.updatedAt,
-        category: product.category,
-        stock: product.stock,
-      }));
+      return await this._searchCatalog(params, { organizationId: String(organizationId) });
     } catch (error) {
       throw new Error(`Error getting organization products: ${error.message}`);
     }
   }
 
-  async getAllAvailableProducts() {
+  async getAllAvailableProducts(params = {}) {
     try {
-      const products = await this.productRepository.findAvailable();
-
-      return products.map((product) => ({
-        id: product.id,
-        name: product.name,
-        description: product.description,
-        price: product.price,
-        imageUrls: product.imageUrls,
-        organizationId: product.organizationId,
-        organizationName: product.organizationName,
-        isAvailable: product.isAvailable,
-        createdAt: product.createdAt,
-        updatedAt: product.updatedAt,
-        category: product.category,
-        stock: product.stock,
-      }));
+      return await this._searchCatalog(params, { isAvailable: true });
     } catch (error) {
       throw new Error(`Error getting available products: ${error.message}`);
     }
   }
 
-  async searchProducts(query) {
+  /**
+   * Public catalog search over name, category and description
+   * @param {Object} params - q, category, organizationId, minPrice, maxPrice, inStock, sort,
+   *   cursor, limit
+   * @returns {Promise<{data, facets, pagination}>}
+   */
+  async searchProducts(params = {}) {
     try {
-      if (!query || query.trim().length === 0) {
-        return await this.getAllAvailableProducts();
-      }
-
-      const products = await this.productRepository.searchByName(query.trim());
-
-      return products.map((product) => ({
-        id: product.id,
-        name: product.name,
-        description: product.description,
-        price: product.price,
-        imageUrls: product.imageUrls,
-        organizationId: product.organizationId,
-        organizationName: product.organizationName,
-        isAvailable: product.isAvailable,
-        createdAt: product.createdAt,
-        updatedAt: product.updatedAt,
-        category: product.category,
-        stock: product.stock,
-      }));
+      return await this._searchCatalog(params, { isAvailable: true });
     } catch (error) {
       throw new Error(`Error searching products: ${error.message}`);
     }
@@ -272,6 +284,7 @@ class ProductService {
       const updatedProduct = await this.productRepository.update(id, {
         isAvailable: existingProduct.isAvailable,
       });
+      await this._recordVersion(updatedProduct, 'toggle', organizationId);
 
       // Emit event
       await this.eventManager.emit(
@@ -290,6 +303,10 @@ class ProductService {
         updatedAt: updatedProduct.updatedAt,
         category: updatedProduct.category,
         stock: updatedProduct.stock,
+        reservedStock: updatedProduct.reservedStock,
+        availableStock: Product.availableStock(updatedProduct),
+        options: updatedProduct.options,
+        variants: this._variantsResponse(updatedProduct),
       };
     } catch (error) {
       throw new Error(`Error toggling product availability: ${error.message}`);
@@ -313,30 +330,30 @@ class ProductService {
       if (typeof stock !== 'number' || stock < 0) {
         throw new Error('Stock must be a number greater than or equal to zero');
       }
+      if (Product.hasVariants(existingProduct)) {
+        throw new Error('This product has variants: update the stock of each variant');
+      }
 
-      // Update stock
-      const updatedProduct = await this.productRepository.update(id, {
-        stock: stock,
-      });
+      this._validateStockAgainstReservations(stock, existingProduct);
 
-      // Emit low stock event if needed
-      if (stock < 5 && stock > 0) {
-        await this.eventManager.emit(
-          'product.stock.low',
-          {
-            productId: updatedProduct.id,
-            productName: updatedProduct.name,
-            currentStock: stock,
-            threshold: 5,
-          },
-          { source: 'ProductService' }
-        );
+      // Update stock (conditional: a reservation may have been created meanwhile)
+      const updatedProduct = await this.productRepository.setStock(id, stock);
+      if (!updatedProduct) {
+        throw new Error('Stock changed while updating, please try again');
       }
+      await this._recordVersion(updatedProduct, 'stock', organizationId);
+
+      // Emit low stock event if needed (reserved units can't be sold again)
+      await this._emitLowStock(updatedProduct);
 
       return {
         id: updatedProduct.id,
         name: updatedProduct.name,
         stock: updatedProduct.stock,
+        reservedStock: updatedProduct.reservedStock,
+        availableStock: Product.availableStock(updatedProduct),
+        options: updatedProduct.options,
+        variants: this._variantsResponse(updatedProduct),
         updatedAt: updatedProduct.updatedAt,
       };
     } catch (error) {
@@ -344,6 +361,350 @@ class ProductService {
     }
   }
 
+  async updateVariantStock(id, variantId, stock, organizationId, userType = null) {
+    try {
+      const existingProduct = await this.productRepository.findById(id);
+      if (!existingProduct) {
+        throw new Error('Product not found');
+      }
+
+      // REGRA: Contas 'organization' podem editar QUALQUER produto
+      if (userType !== 'organization' && existingProduct.organizationId !== organizationId) {
+        throw new Error('You can only update your own products');
+      }
+
+      const variant = Product.findVariant(existingProduct, variantId);
+      if (!variant) {
+        throw new Error('Variant not found');
+      }
+      if (!Number.isInteger(stock) || stock < 0) {
+        throw new Error('Stock must be an integer greater than or equal to zero');
+      }
+      this._validateStockAgainstReservations(stock, variant);
+
+      const updatedProduct = await this.productRepository.setVariantStock(id, variant.id, stock);
+      if (!updatedProduct) {
+        throw new Error('Stock changed while updating, please try again');
+      }
+      await this._recordVersion(updatedProduct, 'stock', organizationId);
+      await this._emitLowStock(updatedProduct, variant.id);
+
+      return {
+        id: updatedProduct.id,
+        name: updatedProduct.name,
+        stock: updatedProduct.stock,
+        reservedStock: updatedProduct.reservedStock,
+        availableStock: Product.availableStock(updatedProduct),
+        variant: this._variantsResponse(updatedProduct).find(
+          (item) => String(item.id) === String(variant.id)
+        ),
+        updatedAt: updatedProduct.updatedAt,
+      };
+    } catch (error) {
+      throw new Error(`Error updating variant stock: ${error.message}`);
+    }
+  }
+
+  async getProductVersions(id, organizationId, { page, limit } = {}) {
+    try {
+      await this._getProductForHistory(id, organizationId);
+      return await this.productVersionService.listVersions(id, { page, limit });
+    } catch (error) {
+      throw new Error(`Error getting product versions: ${error.message}`);
+    }
+  }
+
+  async getProductVersion(id, version, organizationId) {
+    try {
+      await this._getProductForHistory(id, organizationId);
+      return await this.productVersionService.getVersion(id, version);
+    } catch (error) {
+      throw new Error(`Error getting product version: ${error.message}`);
+    }
+  }
+
+  async getProductVersionDiff(id, fromVersion, toVersion, organizationId) {
+    try {
+      await this._getProductForHistory(id, organizationId);
+      return await this.productVersionService.diffVersions(id, fromVersion, toVersion);
+    } catch (error) {
+      throw new Error(`Error comparing product versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restores name, description, price, images, category and availability of a previous
+   * version. Stock is kept: sales and reservations made since then still apply.
+   */
+  async restoreProductVersion(id, version, organizationId) {
+    try {
+      await this._getProductForHistory(id, organizationId);
+      const restore = await this.productVersionService.getRestoreData(id, version);
+
+      const updatedProduct = await this.productRepository.update(id, restore.data);
+      await this._recordVersion(updatedProduct, 'restore', organizationId, {
+        restoredFromVersion: restore.version,
+      });
+
+      await this.eventManager.emit(
+        'product.updated',
+        {
+          productId: updatedProduct.id,
+          restoredFromVersion: restore.version,
+          changes: Object.keys(restore.data),
+        },
+        { source: 'ProductService' }
+      );
+
+      return {
+        id: updatedProduct.id,
+        name: updatedProduct.name,
+        description: updatedProduct.description,
+        price: updatedProduct.price,
+        imageUrls: updatedProduct.imageUrls,
+        organizationId: updatedProduct.organizationId,
+        organizationName: updatedProduct.organizationName,
+        isAvailable: updatedProduct.isAvailable,
+        updatedAt: updatedProduct.updatedAt,
+        category: updatedProduct.category,
+        stock: updatedProduct.stock,
+        reservedStock: updatedProduct.reservedStock,
+        availableStock: Product.availableStock(updatedProduct),
+        options: updatedProduct.options,
+        variants: this._variantsResponse(updatedProduct),
+        restoredFromVersion: restore.version,
+      };
+    } catch (error) {
+      throw new Error(`Error restoring product version: ${error.message}`);
+    }
+  }
+
+  /**
+   * History is visible only to the organization that owns the product
+   */
+  async _getProductForHistory(id, organizationId) {
+    if (!this.productVersionService) {
+      throw new Error('Product history is not available');
+    }
+    const product = await this.productRepository.findById(id);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    if (String(product.organizationId) !== String(organizationId)) {
+      throw new Error('You can only access the history of your own products');
+    }
+    return product;
+  }
+
+  /**
+   * A failure to write history must not undo the change already saved
+   */
+  async _recordVersion(product, action, actorId, context = {}) {
+    if (!this.productVersionService || !product) {
+      return;
+    }
+    try {
+      await this.productVersionService.record(product, action, { actorId, ...context });
+    } catch (error) {
+      console.error('[PRODUCT SERVICE] Error recording product version:', error.message);
+    }
+  }
+
+  /**
+   * Validates options/variants and keeps ids and reserved units of existing variants
+   * (matched by id or by the same option values)
+   * @returns {{options, variants, stock}|null} null when the payload doesn't touch variants
+   */
+  _buildVariants(productData, existingProduct = null) {
+    if (productData.variants === undefined) {
+      return null;
+    }
+
+    const existing = existingProduct ? existingProduct.variants || [] : [];
+    const inputs = productData.variants || [];
+    if (inputs.length === 0) {
+      const reserved = existing.find((variant) => variant.reservedStock > 0);
+      if (reserved) {
+        throw new Error(`Variant ${reserved.sku} has reserved units and cannot be removed`);
+      }
+      return { options: [], variants: [], stock: 0 };
+    }
+    if (existingProduct && !Product.hasVariants(existingProduct) && existingProduct.reservedStock) {
+      throw new Error('Release the reserved units before adding variants');
+    }
+
+    const options = (productData.options || []).map((option) => ({
+      name: String(option.name || '').trim(),
+      values: [...new Set((option.values || []).map((value) => String(value).trim()))].filter(
+        Boolean
+      ),
+    }));
+    if (options.length === 0 || options.length > MAX_OPTIONS) {
+      throw new Error(`Products with variants need between 1 and ${MAX_OPTIONS} options`);
+    }
+    if (options.some((option) => !option.name || /[.$]/.test(option.name))) {
+      throw new Error('Option names are required and cannot contain "." or "$"');
+    }
+    if (options.some((option) => option.values.length === 0)) {
+      throw new Error('Each option needs at least one value');
+    }
+    if (new Set(options.map((option) => option.name)).size !== options.length) {
+      throw new Error('Option names must be unique');
+    }
+    if (inputs.length > MAX_VARIANTS) {
+      throw new Error(`A product can have at most ${MAX_VARIANTS} variants`);
+    }
+
+    const keyOf = (attributes = {}) => options.map((option) => attributes[option.name]).join('|');
+    const keys = new Set();
+    const skus = new Set();
+    const variants = inputs.map((input) => {
+      const attributes = {};
+      options.forEach((option) => {
+        const value = input.attributes ? input.attributes[option.name] : undefined;
+        if (!option.values.includes(value)) {
+          throw new Error(`"${option.name}" must be one of: ${option.values.join(', ')}`);
+        }
+        attributes[option.name] = value;
+      });
+      if (keys.has(keyOf(attributes))) {
+        throw new Error(`Duplicate variant: ${Product.variantLabel({ attributes })}`);
+      }
+      keys.add(keyOf(attributes));
+
+      const stock = input.stock ?? 0;
+      if (!Number.isInteger(stock) || stock < 0) {
+        throw new Error('Variant stock must be an integer greater than or equal to zero');
+      }
+      if (
+        input.price !== undefined &&
+        input.price !== null &&
+        !(typeof input.price === 'number' && input.price > 0)
+      ) {
+        throw new Error('Variant price must be greater than zero');
+      }
+
+      const previous = existing.find(
+        (variant) =>
+          (input.id && String(variant.id) === String(input.id)) ||
+          keyOf(variant.attributes) === keyOf(attributes)
+      );
+      const reservedStock = previous ? previous.reservedStock || 0 : 0;
+      this._validateStockAgainstReservations(stock, { reservedStock });
+
+      const sku = String(input.sku || this._defaultSku(productData.name, attributes))
+        .trim()
+        .toUpperCase();
+      if (skus.has(sku)) {
+        throw new Error(`Duplicate SKU: ${sku}`);
+      }
+      skus.add(sku);
+
+      return {
+        ...(previous ? { id: previous.id } : {}),
+        sku,
+        attributes,
+        price: input.price ?? null,
+        stock,
+        reservedStock,
+        imageUrls: Array.isArray(input.imageUrls) ? input.imageUrls : [],
+        isAvailable: input.isAvailable !== false,
+      };
+    });
+
+    const removed = existing.find(
+      (variant) =>
+        variant.reservedStock > 0 &&
+        !variants.some((built) => String(built.id) === String(variant.id))
+    );
+    if (removed) {
+      throw new Error(`Variant ${removed.sku} has reserved units and cannot be removed`);
+    }
+
+    return {
+      options,
+      variants,
+      stock: variants.reduce((sum, variant) => sum + variant.stock, 0),
+    };
+  }
+
+  async _searchCatalog(params, scope) {
+    const { items, facets, pagination } = await this.productSearchService.search(params, scope);
+    return {
+      data: items.map((product) => ({
+        id: product.id,
+        name: product.name,
+        description: product.description,
+        price: product.price,
+        imageUrls: product.imageUrls,
+        organizationId: product.organizationId,
+        organizationName: product.organizationName,
+        isAvailable: product.isAvailable,
+        createdAt: product.createdAt,
+        updatedAt: product.updatedAt,
+        category: product.category,
+        stock: product.stock,
+        reservedStock: product.reservedStock,
+        availableStock: Product.availableStock(product),
+        options: product.options,
+        variants: this._variantsResponse(product),
+      })),
+      facets,
+      pagination,
+    };
+  }
+
+  _defaultSku(name, attributes) {
+    return [name, ...Object.values(attributes)]
+      .map((part) =>
+        String(part)
+          .normalize('NFD')
+          .replace(/[\u0300-\u036f]/g, '')
+          .replace(/[^A-Za-z0-9]+/g, '-')
+          .replace(/^-|-$/g, '')
+      )
+      .join('-')
+      .slice(0, 64);
+  }
+
+  /**
+   * Variants as shown to buyers: final price and what can still be sold
+   */
+  _variantsResponse(product) {
+    return (product.variants || []).map((variant) => {
+      const availableStock = Product.availableStock(product, variant.id);
+      return {
+        id: variant.id,
+        sku: variant.sku,
+        attributes: variant.attributes,
+        label: Product.variantLabel(variant),
+        price: Product.priceOf(product, variant.id),
+        priceOverride: variant.price,
+        stock: variant.stock,
+        reservedStock: variant.reservedStock || 0,
+        availableStock,
+        inStock: variant.isAvailable && availableStock > 0,
+        imageUrls: variant.imageUrls,
+        isAvailable: variant.isAvailable,
+      };
+    });
+  }
+
+  async _emitLowStock(product, variantId = null) {
+    const alert = Product.lowStockAlert(product, variantId, LOW_STOCK_THRESHOLD);
+    if (alert) {
+      await this.eventManager.emit('product.stock.low', alert, { source: 'ProductService' });
+    }
+  }
+
+  _validateStockAgainstReservations(stock, product) {
+    if (stock < (product.reservedStock || 0)) {
+      throw new Error(
+        `Stock cannot be lower than the ${product.reservedStock} units currently reserved`
+      );
+    }
+  }
+
   _validateProductData(productData) {
     if (!productData.name || productData.name.trim().length === 0) {
       throw new Error('Product name is required');
@@ -0,0 +1,121 @@
+/**
+ * SERVICE LAYER - Histórico de versões de produtos
+ * Persiste um snapshot por alteração (criação, edição, disponibilidade, estoque, restauração)
+ * com a diferença para a versão anterior, calculada como no ProductHistory (Memento).
+ */
+const ProductHistory = require('../history/ProductHistory');
+
+// Campos que entram no snapshot; o resto (datas, reservas) não é versionado
+const VERSIONED_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'imageUrls',
+  'category',
+  'isAvailable',
+  'stock',
+  'options',
+  'variants',
+];
+
+// Restaurar não mexe no estoque nem nas variações (que têm estoque próprio): vendas e reservas
+// feitas depois da versão continuam valendo
+const RESTORABLE_FIELDS = VERSIONED_FIELDS.filter(
+  (field) => !['stock', 'options', 'variants'].includes(field)
+);
+
+class ProductVersionService {
+  /**
+   * @param {Object} productVersionRepository - createNext, findLatest, findByVersion, findByProduct
+   */
+  constructor(productVersionRepository) {
+    this.productVersionRepository = productVersionRepository;
+
+    console.log('[PRODUCT VERSION SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Grava uma versão do produto; alterações sem diferença não geram versão
+   * @param {Object} product - Produto após a alteração
+   * @param {string} action - 'create', 'update', 'toggle', 'stock' ou 'restore'
+   * @param {Object} context - { actorId, restoredFromVersion }
+   * @returns {Promise<Object|null>} Versão gravada ou null se nada mudou
+   */
+  async record(product, action, { actorId = null, restoredFromVersion = null } = {}) {
+    const snapshot = ProductVersionService.snapshotOf(product);
+    const latest = await this.productVersionRepository.findLatest(String(product.id));
+    const changes = ProductHistory.diffStates(latest ? latest.snapshot : {}, snapshot);
+    if (latest && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    return this.productVersionRepository.createNext({
+      productId: String(product.id),
+      organizationId: String(product.organizationId),
+      action,
+      snapshot,
+      changes,
+      actorId: actorId ? String(actorId) : null,
+      restoredFromVersion,
+    });
+  }
+
+  async listVersions(productId, { page, limit } = {}) {
+    return this.productVersionRepository.findByProduct(String(productId), { page, limit });
+  }
+
+  async getVersion(productId, version) {
+    const number = parseInt(version, 10);
+    const found = Number.isInteger(number)
+      ? await this.productVersionRepository.findByVersion(String(productId), number)
+      : null;
+    if (!found) {
+      throw new Error(`Version ${version} not found`);
+    }
+    return found;
+  }
+
+  /**
+   * Diferença entre duas versões do mesmo produto
+   */
+  async diffVersions(productId, fromVersion, toVersion) {
+    const from = await this.getVersion(productId, fromVersion);
+    const to = await this.getVersion(productId, toVersion);
+    return {
+      productId: String(productId),
+      from: from.version,
+      to: to.version,
+      changes: ProductHistory.diffStates(from.snapshot, to.snapshot),
+    };
+  }
+
+  /**
+   * Campos a gravar no produto para voltar à versão
+   */
+  async getRestoreData(productId, version) {
+    const found = await this.getVersion(productId, version);
+    const data = {};
+    RESTORABLE_FIELDS.forEach((field) => {
+      if (found.snapshot[field] !== undefined) {
+        data[field] = found.snapshot[field];
+      }
+    });
+    return { version: found.version, data };
+  }
+
+  static snapshotOf(product) {
+    const snapshot = {};
+    VERSIONED_FIELDS.forEach((field) => {
+      snapshot[field] = product[field] === undefined ? null : product[field];
+    });
+    // Reservas mudam a todo momento e não são alterações do produto
+    if (Array.isArray(snapshot.variants)) {
+      snapshot.variants = snapshot.variants.map(
+        ({ reservedStock: _reserved, ...variant }) => variant
+      );
+    }
+    return snapshot;
+  }
+}
+
+module.exports = ProductVersionService;
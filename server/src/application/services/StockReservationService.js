@@ -0,0 +1,333 @@
+/**
+ * SERVICE LAYER - Reservas de estoque
+ * Segura unidades de um produto enquanto o comprador paga (checkout do bazar) ou conversa com a
+ * organização pelo WhatsApp. A reserva expira sozinha após o TTL da origem, é liberada se a
+ * venda não acontece e vira baixa de estoque na confirmação.
+ *
+ * O produto guarda a soma das reservas ativas em reservedStock; o estoque disponível para novos
+ * compradores é stock - reservedStock.
+ */
+const Product = require('../../domain/entities/Product');
+const { getInstance: getEventManager } = require('../../infra/events/EventManager');
+
+const SOURCES = {
+  CHECKOUT: 'checkout',
+  WHATSAPP: 'whatsapp',
+};
+
+const STATUS = {
+  ACTIVE: 'active',
+  CONVERTED: 'converted',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+};
+
+const DEFAULT_TTL_MS = {
+  checkout: 30 * 60 * 1000,
+  whatsapp: 2 * 60 * 60 * 1000,
+};
+
+const LOW_STOCK_THRESHOLD = 5;
+const EXPIRED_BATCH_SIZE = 100;
+
+class StockReservationService {
+  /**
+   * @param {Object} reservationRepository
+   * @param {Object} productRepository - findById, reserveStock, releaseReservedStock,
+   *   convertReservedStock
+   * @param {Object} options - { ttlMs: { checkout, whatsapp }, eventManager }
+   */
+  constructor(reservationRepository, productRepository, options = {}) {
+    this.reservationRepository = reservationRepository;
+    this.productRepository = productRepository;
+    const ttlMs = options.ttlMs || {};
+    this.ttlMs = {
+      checkout: ttlMs.checkout || DEFAULT_TTL_MS.checkout,
+      whatsapp: ttlMs.whatsapp || DEFAULT_TTL_MS.whatsapp,
+    };
+    this.eventManager = options.eventManager || getEventManager();
+
+    console.log('[STOCK RESERVATION SERVICE] Inicializado com sucesso', this.ttlMs);
+  }
+
+  // ==================== RESERVAS ====================
+
+  /**
+   * Reserva unidades do estoque disponível
+   * Pedidos repetidos do link do WhatsApp pela mesma pessoa renovam a reserva existente.
+   * Produtos com variações reservam a variação escolhida.
+   * @param {Object} context - { source, orderId, holderKey, variantId }
+   * @returns {Promise<Object>} Reserva criada (ou renovada)
+   */
+  async hold(
+    productId,
+    quantity,
+    { source, orderId = null, holderKey = null, variantId = null } = {}
+  ) {
+    if (!Object.values(SOURCES).includes(source)) {
+      throw new Error(`Origem de reserva inválida. Use: ${Object.values(SOURCES).join(', ')}`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('Quantidade da reserva deve ser um inteiro positivo');
+    }
+
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new Error('Produto não encontrado');
+    }
+    if (!product.isAvailable) {
+      throw new Error(`Produto "${product.name}" não está disponível`);
+    }
+    const variant = this.resolveVariant(product, variantId);
+    const variantKey = variant ? variant.id : null;
+
+    // Reservas vencidas ainda contam em reservedStock até o worker passar
+    await this.releaseExpired({ productId: String(product.id) });
+
+    const expiresAt = this.expirationFor(source);
+    if (holderKey) {
+      const existing = await this.reservationRepository.findActiveByHolder(
+        String(product.id),
+        source,
+        holderKey,
+        variantKey
+      );
+      if (existing && existing.quantity >= quantity) {
+        await this.reservationRepository.extend(existing.id, expiresAt);
+        return { ...existing, expiresAt };
+      }
+    }
+
+    const reserved = await this.productRepository.reserveStock(product.id, quantity, variantKey);
+    if (!reserved) {
+      const current = (await this.productRepository.findById(product.id)) || product;
+      const itemName = variant
+        ? `${product.name} (${Product.variantLabel(variant)})`
+        : product.name;
+      throw new Error(
+        `Estoque insuficiente para "${itemName}" (disponível: ${Product.availableStock(current, variantKey)})`
+      );
+    }
+
+    let reservation;
+    try {
+      reservation = await this.reservationRepository.create({
+        productId: String(product.id),
+        variantId: variantKey,
+        quantity,
+        source,
+        orderId: orderId ? String(orderId) : null,
+        holderKey,
+        status: STATUS.ACTIVE,
+        expiresAt,
+      });
+    } catch (error) {
+      await this.productRepository.releaseReservedStock(product.id, quantity, variantKey);
+      throw error;
+    }
+
+    await this.emitLowStock(reserved, variantKey);
+    console.log(
+      '[STOCK RESERVATION SERVICE] Reserva criada:',
+      reservation.id,
+      source,
+      `${quantity}x ${product.id}${variantKey ? `/${variantKey}` : ''}`
+    );
+    return reservation;
+  }
+
+  /**
+   * Reserva vários itens de uma vez: todos ou nenhum
+   * @param {Array<{productId, variantId, quantity}>} items
+   */
+  async holdMany(items, context) {
+    const reservations = [];
+    try {
+      for (const item of items) {
+        reservations.push(
+          await this.hold(item.productId, item.quantity, {
+            ...context,
+            variantId: item.variantId || null,
+          })
+        );
+      }
+    } catch (error) {
+      for (const reservation of reservations) {
+        await this.finish(reservation, STATUS.RELEASED);
+      }
+      throw error;
+    }
+    return reservations;
+  }
+
+  async releaseForOrder(orderId) {
+    const reservations = await this.reservationRepository.findActiveByOrder(String(orderId));
+    for (const reservation of reservations) {
+      await this.finish(reservation, STATUS.RELEASED);
+    }
+    return reservations.length;
+  }
+
+  /**
+   * Converte em venda as reservas ainda ativas do pedido
+   * @returns {Promise<Array<{productId, variantId, quantity}>>} Unidades baixadas pelas reservas
+   */
+  async confirmForOrder(orderId) {
+    const reservations = await this.reservationRepository.findActiveByOrder(String(orderId));
+    const converted = [];
+    for (const reservation of reservations) {
+      if (await this.finish(reservation, STATUS.CONVERTED)) {
+        converted.push({
+          productId: reservation.productId,
+          ...(reservation.variantId && { variantId: reservation.variantId }),
+          quantity: reservation.quantity,
+        });
+      }
+    }
+    return converted;
+  }
+
+  /**
+   * Devolve ao estoque disponível as reservas com prazo vencido
+   * @param {Object} options - { productId, limit }
+   * @returns {Promise<{expired: number}>}
+   */
+  async releaseExpired({ productId = null, limit = EXPIRED_BATCH_SIZE } = {}) {
+    const reservations = await this.reservationRepository.findExpired(new Date(), limit, productId);
+    let expired = 0;
+    for (const reservation of reservations) {
+      if (await this.finish(reservation, STATUS.EXPIRED)) {
+        expired += 1;
+      }
+    }
+    return { expired };
+  }
+
+  // ==================== ORGANIZAÇÃO ====================
+
+  /**
+   * Reservas ativas de um produto da organização
+   */
+  async listForProduct(productId, organizationId) {
+    await this.getOwnedProduct(productId, organizationId);
+    const reservations = await this.reservationRepository.findActiveByProduct(String(productId));
+    const now = new Date();
+    return reservations.filter((reservation) => new Date(reservation.expiresAt) > now);
+  }
+
+  /**
+   * Confirma ou libera uma reserva de produto da organização (ex: venda combinada no WhatsApp)
+   * @param {string} action - 'confirm' ou 'release'
+   */
+  async resolveForProduct(productId, reservationId, organizationId, action) {
+    await this.getOwnedProduct(productId, organizationId);
+    const reservation = await this.getReservation(reservationId);
+    if (String(reservation.productId) !== String(productId)) {
+      throw new Error('Reserva não encontrada');
+    }
+
+    const status = action === 'confirm' ? STATUS.CONVERTED : STATUS.RELEASED;
+    if (!(await this.finish(reservation, status))) {
+      throw new Error(`Reserva já encerrada (status: ${reservation.status})`);
+    }
+    return { ...reservation, status, resolvedAt: new Date() };
+  }
+
+  // ==================== AUXILIARES ====================
+
+  /**
+   * Encerra a reserva e ajusta o produto; só quem encerra mexe no estoque
+   * Reserva vencida ainda ativa pode ser confirmada: as unidades não foram liberadas a ninguém.
+   * @returns {Promise<boolean>} false se a reserva já estava encerrada
+   */
+  async finish(reservation, status) {
+    if (!(await this.reservationRepository.resolve(reservation.id, status))) {
+      return false;
+    }
+
+    if (status === STATUS.CONVERTED) {
+      const product = await this.productRepository.convertReservedStock(
+        reservation.productId,
+        reservation.quantity,
+        reservation.variantId || null
+      );
+      if (product) {
+        await this.emitLowStock(product, reservation.variantId || null);
+      }
+    } else {
+      await this.productRepository.releaseReservedStock(
+        reservation.productId,
+        reservation.quantity,
+        reservation.variantId || null
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Variação a reservar: obrigatória em produtos com variações, proibida nos demais
+   */
+  resolveVariant(product, variantId) {
+    if (!Product.hasVariants(product)) {
+      if (variantId) {
+        throw new Error('Variação não encontrada');
+      }
+      return null;
+    }
+    if (!variantId) {
+      throw new Error(`Escolha uma variação de "${product.name}"`);
+    }
+    const variant = Product.findVariant(product, variantId);
+    if (!variant) {
+      throw new Error('Variação não encontrada');
+    }
+    if (!variant.isAvailable) {
+      throw new Error(
+        `Variação "${Product.variantLabel(variant)}" de "${product.name}" não está disponível`
+      );
+    }
+    return variant;
+  }
+
+  async getReservation(reservationId) {
+    const reservation = reservationId
+      ? await this.reservationRepository.findById(String(reservationId))
+      : null;
+    if (!reservation) {
+      throw new Error('Reserva não encontrada');
+    }
+    return reservation;
+  }
+
+  async getOwnedProduct(productId, organizationId) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new Error('Produto não encontrado');
+    }
+    if (String(product.organizationId) !== String(organizationId)) {
+      throw new Error('Produto de outra organização');
+    }
+    return product;
+  }
+
+  expirationFor(source) {
+    return new Date(Date.now() + this.ttlMs[source]);
+  }
+
+  /**
+   * Alerta de estoque baixo pelo estoque disponível (reservas não podem ser vendidas de novo)
+   */
+  async emitLowStock(product, variantId = null) {
+    const alert = Product.lowStockAlert(product, variantId, LOW_STOCK_THRESHOLD);
+    if (alert) {
+      await this.eventManager.emit('product.stock.low', alert, {
+        source: 'StockReservationService',
+      });
+    }
+  }
+}
+
+StockReservationService.SOURCES = SOURCES;
+StockReservationService.STATUS = STATUS;
+
+module.exports = StockReservationService;
@@ -1,11 +1,33 @@
 /**
  * SERVICE LAYER - Serviço de Doadores de Destaque
  * Contém a lógica de negócio para gerenciar doadores de destaque
+ * Registros manuais (admin) convivem com o ranking automático, montado a partir das
+ * doações aprovadas; um registro manual vinculado ao doador substitui o automático no mês.
  */
+const crypto = require('crypto');
+const DonorPrivacyPolicy = require('../../domain/policies/DonorPrivacyPolicy');
+
+const { ANONYMOUS_DONOR_NAME } = DonorPrivacyPolicy;
+// Meses fechados no fuso de Brasília (UTC-3), como recibos e informes
+const PERIOD_OFFSET_MS = 3 * 60 * 60 * 1000;
+const LEADERBOARD_CACHE_TTL_MS = 5 * 60 * 1000;
+// Tipos que indicam apoio recorrente no mês (auto 'total' = únicas + recorrentes)
+const STREAK_DONATION_TYPES = ['recurring', 'total'];
 
 class TopDonorService {
-  constructor(topDonorRepository) {
+  /**
+   * @param {Object} topDonorRepository
+   * @param {Object|null} donationRepository - Habilita o ranking automático
+   *   (findById, findApprovedPayments)
+   * @param {Object} options - { cacheTtl } dos rankings históricos e { keySecret } da
+   *   chave do doador (HMAC do email)
+   */
+  constructor(topDonorRepository, donationRepository = null, options = {}) {
     this.topDonorRepository = topDonorRepository;
+    this.donationRepository = donationRepository;
+    this.cacheTtl = options.cacheTtl || LEADERBOARD_CACHE_TTL_MS;
+    this.keySecret = options.keySecret || null;
+    this.leaderboardCache = new Map();
     console.log('[TOP DONOR SERVICE] Inicializado com sucesso');
   }
 
@@ -83,6 +105,10 @@ class TopDonorService {
         organizationName: data.organizationName || null,
         referenceMonth: Number(data.referenceMonth),
         referenceYear: Number(data.referenceYear),
+        source: 'manual',
+        donorKey: data.donorEmail
+          ? TopDonorService.donorKeyOf(data.donorEmail, this.keySecret)
+          : null,
         metadata: data.metadata || {},
       };
 
@@ -94,6 +120,15 @@ class TopDonorService {
 
       const topDonor = await this.topDonorRepository.create(createData);
 
+      // Registro manual vinculado ao doador substitui o automático do mês
+      if (createData.donorKey) {
+        await this._removeAutomaticEntries(
+          createData.referenceMonth,
+          createData.referenceYear,
+          createData.donorKey
+        );
+      }
+
       // Após criar, recalcula ranking do período com base no valor doado (desc)
       await this._recomputeRankingForPeriod(createData.referenceMonth, createData.referenceYear);
 
@@ -179,6 +214,14 @@ class TopDonorService {
     }
   }
 
+  /**
+   * Doadores do período para as rotas públicas (sem chave, origem e metadados)
+   */
+  async getPublicTopDonorsByPeriod(month, year) {
+    const topDonors = await this.getTopDonorsByPeriod(month, year);
+    return topDonors.map(TopDonorService.toPublicEntry);
+  }
+
   /**
    * Busca doadores de destaque por organização
    */
@@ -231,6 +274,14 @@ class TopDonorService {
     }
   }
 
+  /**
+   * Top N do período para as rotas públicas (sem chave, origem e metadados)
+   */
+  async getPublicTopN(month, year, limit = 10) {
+    const topDonors = await this.getTopN(month, year, limit);
+    return topDonors.map(TopDonorService.toPublicEntry);
+  }
+
   /**
    * Atualiza um doador de destaque
    */
@@ -311,6 +362,14 @@ class TopDonorService {
       if (data.metadata !== undefined) {
         updateData.metadata = data.metadata;
       }
+      if (data.donorEmail !== undefined) {
+        if (existing.source === 'auto') {
+          throw new Error('Doador de registros automáticos não pode ser alterado');
+        }
+        updateData.donorKey = data.donorEmail
+          ? TopDonorService.donorKeyOf(data.donorEmail, this.keySecret)
+          : null;
+      }
 
       const topDonor = await this.topDonorRepository.update(id, updateData);
 
@@ -321,6 +380,10 @@ class TopDonorService {
           : existing.referenceMonth;
       const year =
         updateData.referenceYear !== undefined ? updateData.referenceYear : existing.referenceYear;
+      const donorKey = updateData.donorKey !== undefined ? updateData.donorKey : existing.donorKey;
+      if (existing.source !== 'auto' && donorKey) {
+        await this._removeAutomaticEntries(month, year, donorKey);
+      }
       await this._recomputeRankingForPeriod(month, year);
 
       console.log('[TOP DONOR SERVICE] Doador de destaque atualizado com sucesso:', id);
@@ -354,6 +417,11 @@ class TopDonorService {
 
       await this.topDonorRepository.delete(id);
 
+      // Sem o registro manual, o doador volta a ser calculado pelas doações
+      if (existing.source !== 'auto' && existing.donorKey && this.donationRepository) {
+        await this.refreshAutomaticRanking(month, year);
+      }
+
       // Recalcula ranking após exclusão
       await this._recomputeRankingForPeriod(month, year);
 
@@ -365,6 +433,268 @@ class TopDonorService {
     }
   }
 
+  /**
+   * Desconta do ranking o valor estornado ou contestado de uma doação
+   * Só afeta registros vinculados à doação via metadata.donationId;
+   * registros que ficam sem valor são removidos
+   * @param {Object} reversal - { donationId, amount }
+   * @returns {Promise<number>} Quantidade de registros ajustados
+   */
+  async applyDonationReversal({ donationId, amount }) {
+    try {
+      if (!donationId || !amount) {
+        return 0;
+      }
+
+      const entries = await this.topDonorRepository.findByDonationId(donationId);
+      const periods = new Map();
+
+      for (const entry of entries) {
+        const remaining = Math.round((entry.donatedAmount - amount) * 100) / 100;
+
+        if (remaining <= 0) {
+          await this.topDonorRepository.delete(entry.id);
+        } else {
+          await this.topDonorRepository.update(entry.id, { donatedAmount: remaining });
+        }
+
+        periods.set(`${entry.referenceMonth}/${entry.referenceYear}`, entry);
+      }
+
+      for (const entry of periods.values()) {
+        await this._recomputeRankingForPeriod(entry.referenceMonth, entry.referenceYear);
+      }
+
+      if (entries.length > 0) {
+        console.log(
+          `[TOP DONOR SERVICE] ${entries.length} registros ajustados após estorno da doação ${donationId}`
+        );
+      }
+
+      return entries.length;
+    } catch (error) {
+      console.error('[TOP DONOR SERVICE] Erro ao aplicar estorno no ranking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconstrói os registros automáticos do mês a partir das doações aprovadas
+   * @returns {Promise<{month, year, donors, overridden, removed}>}
+   */
+  async refreshAutomaticRanking(month, year) {
+    if (!this.donationRepository) {
+      throw new Error('Ranking automático não configurado');
+    }
+    if (!month || month < 1 || month > 12) {
+      throw new Error('Mês inválido (1-12)');
+    }
+    if (!year || year < 2000) {
+      throw new Error('Ano inválido');
+    }
+
+    const payments = await this.donationRepository.findApprovedPayments(
+      TopDonorService.periodRange(month, year)
+    );
+    const aggregates = TopDonorService.aggregateByDonor(payments, this.keySecret);
+
+    const keyed = await this.topDonorRepository.findKeyedByPeriod(month, year);
+    const overriddenKeys = new Set(
+      keyed.filter((entry) => entry.source !== 'auto').map((entry) => entry.donorKey)
+    );
+    const automatic = new Map(
+      keyed.filter((entry) => entry.source === 'auto').map((entry) => [entry.donorKey, entry])
+    );
+
+    let donors = 0;
+    for (const aggregate of aggregates.values()) {
+      if (overriddenKeys.has(aggregate.donorKey)) {
+        continue;
+      }
+      await this._saveAutomaticEntry(automatic.get(aggregate.donorKey), aggregate, month, year);
+      automatic.delete(aggregate.donorKey);
+      donors++;
+    }
+    for (const stale of automatic.values()) {
+      await this.topDonorRepository.delete(stale.id);
+    }
+
+    await this._recomputeRankingForPeriod(month, year);
+
+    console.log(
+      `[TOP DONOR SERVICE] Ranking automático de ${month}/${year}: ${donors} doadores, ${automatic.size} removidos`
+    );
+    return { month, year, donors, overridden: overriddenKeys.size, removed: automatic.size };
+  }
+
+  /**
+   * Atualização incremental: recalcula só o registro automático do doador da doação,
+   * no mês do pagamento. Chamado pelo DonationObserver em aprovações, parcelas e estornos.
+   * @param {string} donationId
+   * @param {Date|string} paidAt - Data do pagamento (padrão: criação da doação)
+   */
+  async refreshForDonation(donationId, paidAt = null) {
+    if (!this.donationRepository) {
+      return null;
+    }
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation || !donation.donorEmail) {
+      return null;
+    }
+
+    const { month, year } = TopDonorService.periodOf(paidAt || donation.createdAt);
+    const donorEmail = TopDonorService.normalizeEmail(donation.donorEmail);
+    const donorKey = TopDonorService.donorKeyOf(donorEmail, this.keySecret);
+
+    const entries = await this.topDonorRepository.findByDonorKey(month, year, donorKey);
+    if (entries.some((entry) => entry.source !== 'auto')) {
+      return null;
+    }
+
+    const payments = await this.donationRepository.findApprovedPayments({
+      ...TopDonorService.periodRange(month, year),
+      donorEmail,
+    });
+    const aggregate = TopDonorService.aggregateByDonor(payments, this.keySecret).get(donorKey);
+    const current = entries.find((entry) => entry.source === 'auto');
+
+    let entry = null;
+    if (aggregate) {
+      entry = await this._saveAutomaticEntry(current, aggregate, month, year);
+    } else if (current) {
+      await this.topDonorRepository.delete(current.id);
+    }
+
+    await this._recomputeRankingForPeriod(month, year);
+    return entry;
+  }
+
+  /**
+   * Ranking do mês com a variação de posição em relação ao mês anterior
+   * @returns {Promise<Array>} Itens com previousPosition, positionChange (up/down/same/new)
+   *   e positionDelta (positivo = subiu)
+   */
+  async getMonthlyLeaderboard(month, year, limit = 10) {
+    this._validateLeaderboardParams({ month, year, limit });
+
+    return this._cached(`month:${year}-${month}:${limit}`, async () => {
+      const previous = TopDonorService.previousPeriod(month, year);
+      const [current, before] = await Promise.all([
+        this.topDonorRepository.findTopN(month, year, limit),
+        this.topDonorRepository.findByPeriod(previous.month, previous.year),
+      ]);
+      const previousPositions = new Map(
+        before.map((entry) => [TopDonorService.identityOf(entry), entry.topPosition])
+      );
+
+      return current.map((entry) => {
+        const previousPosition = previousPositions.get(TopDonorService.identityOf(entry)) || null;
+        const positionDelta = previousPosition ? previousPosition - entry.topPosition : null;
+        let positionChange = 'new';
+        if (previousPosition) {
+          positionChange = positionDelta > 0 ? 'up' : positionDelta < 0 ? 'down' : 'same';
+        }
+        return {
+          position: entry.topPosition,
+          donorName: entry.donorName,
+          donatedAmount: entry.donatedAmount,
+          donationType: entry.donationType,
+          organizationName: entry.organizationName || null,
+          previousPosition,
+          positionChange,
+          positionDelta,
+        };
+      });
+    });
+  }
+
+  /**
+   * Soma dos meses do ano por doador
+   */
+  async getYearlyLeaderboard(year, limit = 10) {
+    this._validateLeaderboardParams({ year, limit });
+    return this._cached(`year:${year}:${limit}`, async () =>
+      TopDonorService.buildLeaderboard(
+        await this.topDonorRepository.findForLeaderboard({ year }),
+        limit
+      )
+    );
+  }
+
+  /**
+   * Soma de todos os meses registrados por doador
+   */
+  async getAllTimeLeaderboard(limit = 10) {
+    this._validateLeaderboardParams({ limit });
+    return this._cached(`all-time:${limit}`, async () =>
+      TopDonorService.buildLeaderboard(await this.topDonorRepository.findForLeaderboard(), limit)
+    );
+  }
+
+  /**
+   * Doadores recorrentes com mais meses seguidos de apoio. A sequência atual continua
+   * valendo até o fim do mês seguinte ao último apoio (a parcela do mês pode não ter caído).
+   */
+  async getSupportStreaks(limit = 10) {
+    this._validateLeaderboardParams({ limit });
+
+    return this._cached(`streaks:${limit}`, async () => {
+      const entries = await this.topDonorRepository.findForLeaderboard();
+      const now = TopDonorService.periodOf(new Date());
+      const currentIndex = TopDonorService.monthIndex(now.month, now.year);
+
+      const donors = TopDonorService.groupByIdentity(
+        entries.filter((entry) => STREAK_DONATION_TYPES.includes(entry.donationType))
+      );
+
+      return donors
+        .map((donor) => {
+          const months = [
+            ...new Set(
+              donor.entries.map((e) =>
+                TopDonorService.monthIndex(e.referenceMonth, e.referenceYear)
+              )
+            ),
+          ].sort((a, b) => a - b);
+
+          let longestStreak = 0;
+          let run = 0;
+          months.forEach((index, i) => {
+            run = i > 0 && index === months[i - 1] + 1 ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+          });
+          const lastIndex = months[months.length - 1];
+          const currentStreak = lastIndex >= currentIndex - 1 ? run : 0;
+
+          return {
+            donorName: donor.donorName,
+            currentStreak,
+            longestStreak,
+            monthsSupported: months.length,
+            lastMonth: { month: (lastIndex % 12) + 1, year: Math.floor(lastIndex / 12) },
+          };
+        })
+        .sort(
+          (a, b) =>
+            b.currentStreak - a.currentStreak ||
+            b.longestStreak - a.longestStreak ||
+            b.monthsSupported - a.monthsSupported
+        )
+        .slice(0, limit)
+        .map((donor, index) => ({ position: index + 1, ...donor }));
+    });
+  }
+
+  /**
+   * Descarta os rankings históricos em cache (qualquer alteração em TopDonor)
+   */
+  invalidateLeaderboards() {
+    if (this.leaderboardCache.size > 0) {
+      console.log(`[TOP DONOR SERVICE] ${this.leaderboardCache.size} rankings removidos do cache`);
+    }
+    this.leaderboardCache.clear();
+  }
+
   /**
    * Deleta todos os doadores de um período
    */
@@ -381,6 +711,7 @@ class TopDonorService {
       }
 
       const count = await this.topDonorRepository.deleteByPeriod(month, year);
+      this.invalidateLeaderboards();
 
       console.log(`[TOP DONOR SERVICE] ${count} doadores deletados do período`);
       return { success: true, message: `${count} doadores deletados com sucesso`, count };
@@ -395,15 +726,16 @@ class TopDonorService {
  * Métodos privados auxiliares
  */
 TopDonorService.prototype._recomputeRankingForPeriod = async function (month, year) {
+  // Toda alteração de registro passa por aqui
+  this.invalidateLeaderboards();
   try {
     const list = await this.topDonorRepository.findByPeriodOrderByAmount(month, year);
-    let pos = 1;
-    for (const item of list) {
+    const ranking = TopDonorService.rankByAmount(list, (item) => item.donatedAmount);
+    for (const { item, position } of ranking) {
       // Atualiza a posição apenas se mudou
-      if (item.topPosition !== pos) {
-        await this.topDonorRepository.updatePosition(item.id, pos);
+      if (item.topPosition !== position) {
+        await this.topDonorRepository.updatePosition(item.id, position);
       }
-      pos += 1;
     }
   } catch (error) {
     console.error('[TOP DONOR SERVICE] Erro ao recalcular ranking:', error);
@@ -411,4 +743,241 @@ TopDonorService.prototype._recomputeRankingForPeriod = async function (month, ye
   }
 };
 
+TopDonorService.prototype._cached = async function (key, load) {
+  const cached = this.leaderboardCache.get(key);
+  if (cached && Date.now() - cached.timestamp < this.cacheTtl) {
+    return cached.data;
+  }
+  const data = await load();
+  this.leaderboardCache.set(key, { data, timestamp: Date.now() });
+  return data;
+};
+
+TopDonorService.prototype._validateLeaderboardParams = function ({ month, year, limit }) {
+  if (month !== undefined && (!month || month < 1 || month > 12)) {
+    throw new Error('Mês inválido (1-12)');
+  }
+  if (year !== undefined && (!year || year < 2000)) {
+    throw new Error('Ano inválido');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new Error('Limite deve estar entre 1 e 100');
+  }
+};
+
+TopDonorService.prototype._saveAutomaticEntry = async function (current, aggregate, month, year) {
+  const data = {
+    donorName: aggregate.donorName,
+    donatedAmount: aggregate.amount,
+    donationType: aggregate.donationType,
+    donationDate: aggregate.lastPaidAt,
+    organizationId: aggregate.organizationId,
+    organizationName: aggregate.organizationName,
+    metadata: { donationCount: aggregate.count, anonymous: aggregate.anonymous },
+  };
+
+  if (current) {
+    return this.topDonorRepository.update(current.id, data);
+  }
+  return this.topDonorRepository.create({
+    ...data,
+    topPosition: 9999,
+    referenceMonth: month,
+    referenceYear: year,
+    source: 'auto',
+    donorKey: aggregate.donorKey,
+  });
+};
+
+TopDonorService.prototype._removeAutomaticEntries = async function (month, year, donorKey) {
+  const entries = await this.topDonorRepository.findByDonorKey(month, year, donorKey);
+  for (const entry of entries.filter((e) => e.source === 'auto')) {
+    await this.topDonorRepository.delete(entry.id);
+  }
+};
+
+/**
+ * Agrupa pagamentos aprovados por doador (email). Pagamentos fora das listas públicas não
+ * contam; basta um pagamento anônimo para o doador aparecer como anônimo no mês.
+ * Tipo do registro: 'single' ou 'recurring' quando só há um tipo, 'total' quando mistura.
+ * @returns {Map<string, Object>} donorKey => agregado
+ */
+TopDonorService.aggregateByDonor = function (payments, keySecret) {
+  const donors = new Map();
+
+  for (const payment of payments) {
+    if (!DonorPrivacyPolicy.isListable(payment) || !payment.donorEmail || !(payment.amount > 0)) {
+      continue;
+    }
+    const donorKey = TopDonorService.donorKeyOf(payment.donorEmail, keySecret);
+    const paidAt = new Date(payment.paidAt);
+
+    if (!donors.has(donorKey)) {
+      donors.set(donorKey, {
+        donorKey,
+        donorName: payment.donorName,
+        anonymous: false,
+        amount: 0,
+        count: 0,
+        types: new Set(),
+        organizations: new Map(),
+        lastPaidAt: paidAt,
+      });
+    }
+
+    const donor = donors.get(donorKey);
+    donor.amount = Math.round((donor.amount + payment.amount) * 100) / 100;
+    donor.count++;
+    donor.anonymous = donor.anonymous || DonorPrivacyPolicy.isAnonymous(payment);
+    donor.types.add(payment.type);
+    donor.organizations.set(String(payment.organizationId), payment.organizationName);
+    if (paidAt >= donor.lastPaidAt) {
+      donor.lastPaidAt = paidAt;
+      donor.donorName = payment.donorName || donor.donorName;
+    }
+  }
+
+  for (const donor of donors.values()) {
+    const [[organizationId, organizationName]] = donor.organizations;
+    const singleOrganization = donor.organizations.size === 1;
+
+    donor.donationType = donor.types.size === 1 ? [...donor.types][0] : 'total';
+    donor.donorName = donor.anonymous ? ANONYMOUS_DONOR_NAME : donor.donorName;
+    donor.organizationId = singleOrganization ? organizationId : null;
+    donor.organizationName = singleOrganization ? organizationName : null;
+    delete donor.types;
+    delete donor.organizations;
+  }
+
+  return donors;
+};
+
+/**
+ * Mesmo doador em meses diferentes: donorKey quando vinculado, senão o nome
+ */
+TopDonorService.identityOf = function (entry) {
+  return (
+    entry.donorKey ||
+    `nome:${String(entry.donorName || '')
+      .trim()
+      .toLowerCase()}`
+  );
+};
+
+TopDonorService.isAnonymous = function (entry) {
+  return entry.metadata?.anonymous === true || entry.donorName === ANONYMOUS_DONOR_NAME;
+};
+
+/**
+ * Registro exposto nas rotas públicas: donorKey, source e metadata ficam de fora
+ */
+TopDonorService.toPublicEntry = function (entry) {
+  return {
+    id: entry.id,
+    donorName: TopDonorService.isAnonymous(entry) ? ANONYMOUS_DONOR_NAME : entry.donorName,
+    topPosition: entry.topPosition,
+    donatedAmount: entry.donatedAmount,
+    donationType: entry.donationType,
+    donationDate: entry.donationDate,
+    organizationId: entry.organizationId || null,
+    organizationName: entry.organizationName || null,
+    referenceMonth: entry.referenceMonth,
+    referenceYear: entry.referenceYear,
+  };
+};
+
+/**
+ * Agrupa registros por doador; quem foi anônimo em algum mês segue anônimo no agregado
+ * @returns {Array<{donorName, entries}>}
+ */
+TopDonorService.groupByIdentity = function (entries) {
+  const donors = new Map();
+  for (const entry of entries) {
+    const identity = TopDonorService.identityOf(entry);
+    if (!donors.has(identity)) {
+      donors.set(identity, { donorName: entry.donorName, anonymous: false, entries: [] });
+    }
+    const donor = donors.get(identity);
+    donor.entries.push(entry);
+    donor.anonymous = donor.anonymous || TopDonorService.isAnonymous(entry);
+    // Entradas chegam em ordem cronológica: o nome mais recente prevalece
+    donor.donorName = entry.donorName || donor.donorName;
+  }
+  return [...donors.values()].map((donor) => ({
+    donorName: donor.anonymous ? ANONYMOUS_DONOR_NAME : donor.donorName,
+    entries: donor.entries,
+  }));
+};
+
+TopDonorService.buildLeaderboard = function (entries, limit) {
+  const donors = TopDonorService.groupByIdentity(entries).map((donor) => ({
+    donorName: donor.donorName,
+    totalAmount:
+      Math.round(donor.entries.reduce((sum, e) => sum + (e.donatedAmount || 0), 0) * 100) / 100,
+    monthsRanked: donor.entries.length,
+    lastDonationDate: donor.entries.reduce(
+      (last, e) => (!last || new Date(e.donationDate) > last ? new Date(e.donationDate) : last),
+      null
+    ),
+  }));
+
+  return TopDonorService.rankByAmount(donors, (donor) => donor.totalAmount)
+    .slice(0, limit)
+    .map(({ item, position }) => ({ position, ...item }));
+};
+
+TopDonorService.monthIndex = function (month, year) {
+  return Number(year) * 12 + (Number(month) - 1);
+};
+
+TopDonorService.previousPeriod = function (month, year) {
+  return month === 1 ? { month: 12, year: year - 1 } : { month: month - 1, year };
+};
+
+/**
+ * Chave do doador nos registros: HMAC do email com segredo do servidor, para que não
+ * seja possível testar emails conhecidos contra a chave
+ */
+TopDonorService.donorKeyOf = function (email, keySecret) {
+  if (!keySecret) {
+    throw new Error('Segredo da chave do doador não configurado');
+  }
+  return crypto
+    .createHmac('sha256', keySecret)
+    .update(TopDonorService.normalizeEmail(email))
+    .digest('hex');
+};
+
+TopDonorService.normalizeEmail = function (email) {
+  return String(email || '')
+    .trim()
+    .toLowerCase();
+};
+
+TopDonorService.periodRange = function (month, year) {
+  return {
+    from: new Date(Date.UTC(year, month - 1, 1) + PERIOD_OFFSET_MS),
+    to: new Date(Date.UTC(year, month, 1) + PERIOD_OFFSET_MS - 1),
+  };
+};
+
+TopDonorService.periodOf = function (date) {
+  const local = new Date(new Date(date).getTime() - PERIOD_OFFSET_MS);
+  return { month: local.getUTCMonth() + 1, year: local.getUTCFullYear() };
+};
+
+/**
+ * Regra de colocação dos rankings (doadores de destaque e arrecadadores das campanhas):
+ * maior valor primeiro, posições sequenciais; empate mantém a ordem recebida
+ * @param {Array} items
+ * @param {Function} getAmount - item => valor
+ * @returns {Array<{item, position}>}
+ */
+TopDonorService.rankByAmount = function (items, getAmount) {
+  return items
+    .map((item, index) => ({ item, index, amount: Number(getAmount(item)) || 0 }))
+    .sort((a, b) => b.amount - a.amount || a.index - b.index)
+    .map(({ item }, index) => ({ item, position: index + 1 }));
+};
+
 module.exports = TopDonorService;
@@ -0,0 +1,222 @@
+/**
+ * SERVICE LAYER - Feed público de transparência
+ * Doações aprovadas recentes (consulta e stream SSE) e totais do dia, semana e mês.
+ * Nomes mascarados, anônimos consecutivos agrupados e valores opcionalmente em faixas;
+ * a privacidade segue DonorPrivacyPolicy, a mesma do ranking de destaque.
+ */
+const DonorPrivacyPolicy = require('../../domain/policies/DonorPrivacyPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Dia, semana e mês no fuso de Brasília (UTC-3), como o ranking de destaque
+const PERIOD_OFFSET_MS = 3 * 60 * 60 * 1000;
+const FEED_WINDOW_DAYS = 30;
+const MAX_FEED_LIMIT = 50;
+const MAX_SUBSCRIBERS = 500;
+// Limites inferiores das faixas de valor, em reais
+const AMOUNT_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+const formatBrl = (value) => `R$ ${value.toLocaleString('pt-BR')}`;
+
+class TransparencyFeedService {
+  /**
+   * @param {Object} donationRepository - findApprovedPayments, findById
+   * @param {Object} options - { windowDays, maxSubscribers }
+   */
+  constructor(donationRepository, options = {}) {
+    this.donationRepository = donationRepository;
+    this.windowDays = options.windowDays || FEED_WINDOW_DAYS;
+    this.maxSubscribers = options.maxSubscribers || MAX_SUBSCRIBERS;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Doações aprovadas mais recentes (janela de windowDays dias)
+   * @param {Object} filters - { limit, bucketAmounts, organizationId, campaignId }
+   */
+  async getFeed({ limit = 20, bucketAmounts = false, organizationId, campaignId } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_LIMIT) {
+      throw new Error(`Limite deve estar entre 1 e ${MAX_FEED_LIMIT}`);
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - this.windowDays * DAY_MS);
+    const payments = await this.donationRepository.findApprovedPayments({
+      from,
+      to,
+      organizationId,
+      campaignId,
+    });
+
+    const listed = payments
+      .filter((payment) => DonorPrivacyPolicy.isListable(payment) && payment.amount > 0)
+      .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+
+    return TransparencyFeedService.buildFeed(listed, { bucketAmounts }).slice(0, limit);
+  }
+
+  /**
+   * Totais arrecadados hoje, na semana (desde segunda) e no mês. Entram também as doações
+   * fora das listas públicas: o total não identifica ninguém.
+   */
+  async getTotals({ organizationId, campaignId } = {}) {
+    const now = new Date();
+    const starts = TransparencyFeedService.periodStarts(now);
+    const payments = await this.donationRepository.findApprovedPayments({
+      from: new Date(Math.min(starts.week, starts.month)),
+      to: now,
+      organizationId,
+      campaignId,
+    });
+
+    const totals = {};
+    for (const [period, start] of Object.entries(starts)) {
+      const inPeriod = payments.filter((p) => p.amount > 0 && new Date(p.paidAt) >= start);
+      totals[period] = {
+        since: start,
+        count: inPeriod.length,
+        amount: Math.round(inPeriod.reduce((sum, p) => sum + p.amount, 0) * 100) / 100,
+      };
+    }
+    return { ...totals, generatedAt: now };
+  }
+
+  /**
+   * Registra um ouvinte do stream; cada doação aprovada chega como um item do feed
+   * @param {Function} listener - Recebe o item já mascarado
+   * @param {Object} filters - { bucketAmounts, organizationId, campaignId }
+   * @returns {Function} Cancela a inscrição
+   */
+  subscribe(listener, filters = {}) {
+    if (this.subscribers.size >= this.maxSubscribers) {
+      throw new Error('Limite de conexões do feed atingido, tente novamente em instantes');
+    }
+    const subscriber = { listener, filters };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Envia aos ouvintes um pagamento recém-aprovado (doação única ou parcela recorrente)
+   * @param {string} donationId
+   * @param {Object} payment - { paymentId, amount, paidAt, type } da parcela, se houver
+   */
+  async publishPayment(donationId, payment = {}) {
+    if (this.subscribers.size === 0) {
+      return 0;
+    }
+
+    const donation = await this.donationRepository.findById(donationId);
+    if (!donation || !DonorPrivacyPolicy.isListable(donation)) {
+      return 0;
+    }
+
+    const entry = {
+      paymentId: String(payment.paymentId || donationId),
+      donorName: donation.donorName,
+      isAnonymous: !!donation.isAnonymous,
+      organizationId: donation.organizationId,
+      organizationName: donation.organizationName,
+      campaignId: donation.campaignId || null,
+      type: payment.type || (donation.type === 'recurring' ? 'recurring' : 'single'),
+      amount: Number(payment.amount ?? donation.amount),
+      paidAt: payment.paidAt ? new Date(payment.paidAt) : new Date(),
+    };
+
+    let delivered = 0;
+    for (const subscriber of this.subscribers) {
+      const { organizationId, campaignId, bucketAmounts } = subscriber.filters;
+      if (
+        (organizationId && String(entry.organizationId) !== String(organizationId)) ||
+        (campaignId && String(entry.campaignId) !== String(campaignId))
+      ) {
+        continue;
+      }
+      try {
+        subscriber.listener(TransparencyFeedService.buildFeed([entry], { bucketAmounts })[0]);
+        delivered++;
+      } catch (error) {
+        console.error('[TRANSPARENCY FEED SERVICE] Erro ao enviar para ouvinte:', error.message);
+        this.subscribers.delete(subscriber);
+      }
+    }
+    return delivered;
+  }
+}
+
+/**
+ * Converte pagamentos (mais recentes primeiro) em itens públicos. Anônimos consecutivos
+ * viram um único item com a quantidade e a soma.
+ */
+TransparencyFeedService.buildFeed = function (payments, { bucketAmounts = false } = {}) {
+  const items = [];
+
+  for (const payment of payments) {
+    const anonymous = DonorPrivacyPolicy.isAnonymous(payment);
+    const previous = items[items.length - 1];
+    const sameAs = (field) => (previous[field] === payment[field] ? previous[field] : null);
+
+    if (anonymous && previous?.anonymous) {
+      previous.count++;
+      previous.amount = Math.round((previous.amount + payment.amount) * 100) / 100;
+      previous.firstPaidAt = new Date(payment.paidAt);
+      previous.type = sameAs('type');
+      previous.organizationName = sameAs('organizationName');
+      previous.campaignId = sameAs('campaignId');
+      continue;
+    }
+
+    items.push({
+      id: payment.paymentId,
+      donorName: DonorPrivacyPolicy.maskedName(payment),
+      anonymous,
+      count: 1,
+      amount: payment.amount,
+      type: payment.type,
+      organizationName: payment.organizationName || null,
+      campaignId: payment.campaignId || null,
+      paidAt: new Date(payment.paidAt),
+      firstPaidAt: new Date(payment.paidAt),
+    });
+  }
+
+  if (!bucketAmounts) {
+    return items;
+  }
+  return items.map(({ amount, ...item }) => ({
+    ...item,
+    amountRange: TransparencyFeedService.amountRange(amount),
+  }));
+};
+
+/**
+ * Faixa de valor: { min, max, label }; a última faixa não tem max
+ */
+TransparencyFeedService.amountRange = function (amount) {
+  const index = AMOUNT_BUCKETS.findLastIndex((min) => amount >= min);
+  const min = AMOUNT_BUCKETS[Math.max(index, 0)];
+  const max = AMOUNT_BUCKETS[index + 1] ?? null;
+
+  let label = `acima de ${formatBrl(min)}`;
+  if (max !== null) {
+    label = min === 0 ? `até ${formatBrl(max)}` : `${formatBrl(min)} a ${formatBrl(max)}`;
+  }
+  return { min, max, label };
+};
+
+/**
+ * Início do dia, da semana (segunda-feira) e do mês de `date` no fuso de Brasília
+ */
+TransparencyFeedService.periodStarts = function (date) {
+  const local = new Date(date.getTime() - PERIOD_OFFSET_MS);
+  const day =
+    Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) + PERIOD_OFFSET_MS;
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+
+  return {
+    day: new Date(day),
+    week: new Date(day - daysSinceMonday * DAY_MS),
+    month: new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) + PERIOD_OFFSET_MS),
+  };
+};
+
+module.exports = TransparencyFeedService;
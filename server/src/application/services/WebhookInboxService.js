@@ -0,0 +1,224 @@
+/**
+ * SERVICE LAYER - Caixa de entrada de webhooks
+ * Persiste cada notificação antes de processá-la e reprocessa falhas com backoff exponencial.
+ * Entradas que esgotam as tentativas vão para a dead-letter e só voltam por replay manual.
+ */
+const { RetryDecorator } = require('../../domain/decorators/RetryDecorator');
+const { getInstance: getEventManager } = require('../../infra/events/EventManager');
+
+class WebhookInboxService {
+  /**
+   * @param {Object} webhookInboxRepository - Repository da caixa de entrada
+   * @param {DonationService} donationService - Service que aplica o webhook às doações
+   * @param {Object} options - { maxAttempts, retryDelay, backoffMultiplier, leaseMs, batchSize }
+   */
+  constructor(webhookInboxRepository, donationService, options = {}) {
+    this.webhookInboxRepository = webhookInboxRepository;
+    this.donationService = donationService;
+    this.eventManager = getEventManager();
+
+    this.maxAttempts = options.maxAttempts || 5;
+    this.leaseMs = options.leaseMs || 60000;
+    this.batchSize = options.batchSize || 10;
+
+    // Mesma política de backoff do RetryDecorator, mas agendada no banco em vez de sleep
+    this.retryPolicy = new RetryDecorator(donationService, {
+      maxRetries: this.maxAttempts,
+      retryDelay: options.retryDelay || 5000,
+      backoffMultiplier: options.backoffMultiplier || 2,
+    });
+
+    console.log('[WEBHOOK INBOX SERVICE] Inicializado com sucesso');
+  }
+
+  /**
+   * Guarda o webhook na caixa de entrada
+   * Notificações já recebidas (mesmo notificationId) não são duplicadas
+   */
+  async enqueue(payload, delivery = {}) {
+    try {
+      const notificationId = delivery.notificationId ? String(delivery.notificationId) : null;
+
+      if (notificationId) {
+        const existing = await this.webhookInboxRepository.findByNotificationId(notificationId);
+        if (existing && existing.status !== 'dead_letter') {
+          console.log('[WEBHOOK INBOX SERVICE] Notificação já registrada:', notificationId);
+          return { entry: existing, duplicate: true };
+        }
+      }
+
+      const entry = await this.webhookInboxRepository.create({
+        provider: delivery.provider || 'mercadopago',
+        notificationId,
+        topic: delivery.topic || payload.type || null,
+        resourceId: delivery.resourceId ? String(delivery.resourceId) : null,
+        requestId: delivery.requestId || null,
+        payload,
+        delivery: {
+          ip: delivery.ip || null,
+          userAgent: delivery.userAgent || null,
+          signatureVerified: !!delivery.signatureVerified,
+        },
+        status: 'pending',
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: new Date(),
+      });
+
+      console.log('[WEBHOOK INBOX SERVICE] Webhook registrado:', entry.id);
+      return { entry, duplicate: false };
+    } catch (error) {
+      console.error('[WEBHOOK INBOX SERVICE] Erro ao registrar webhook:', error);
+      throw new Error('Erro ao registrar webhook na caixa de entrada');
+    }
+  }
+
+  /**
+   * Processa um lote de entradas vencidas (chamado pelo worker)
+   * @returns {Promise<Object>} Resumo do lote
+   */
+  async processDue(limit = this.batchSize) {
+    const summary = { picked: 0, processed: 0, retried: 0, deadLettered: 0, skipped: 0 };
+    const entries = await this.webhookInboxRepository.findDue(limit, new Date());
+
+    for (const entry of entries) {
+      summary.picked++;
+
+      const claimed = await this.webhookInboxRepository.claim(
+        entry,
+        new Date(Date.now() + this.leaseMs)
+      );
+      if (!claimed) {
+        summary.skipped++;
+        continue;
+      }
+
+      const outcome = await this.processEntry(entry);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Aplica uma entrada já reservada e registra o resultado
+   * @returns {Promise<string>} 'processed', 'retried' ou 'deadLettered'
+   */
+  async processEntry(entry) {
+    const attempt = entry.attempts + 1;
+
+    try {
+      const result = await this.donationService.processPaymentWebhook(entry.payload, {
+        notificationId: entry.notificationId,
+        requestId: entry.requestId,
+        topic: entry.topic,
+        resourceId: entry.resourceId,
+        provider: entry.provider,
+        ...(entry.delivery || {}),
+      });
+
+      await this.webhookInboxRepository.update(entry.id, {
+        status: 'processed',
+        attempts: attempt,
+        result: result || {},
+        lastError: null,
+        processedAt: new Date(),
+      });
+
+      console.log('[WEBHOOK INBOX SERVICE] Webhook processado:', entry.id);
+      return 'processed';
+    } catch (error) {
+      const maxAttempts = entry.maxAttempts || this.maxAttempts;
+      const errorHistory = [
+        ...(Array.isArray(entry.errorHistory) ? entry.errorHistory : []),
+        { attempt, error: error.message, at: new Date().toISOString() },
+      ];
+
+      if (attempt >= maxAttempts) {
+        await this.webhookInboxRepository.update(entry.id, {
+          status: 'dead_letter',
+          attempts: attempt,
+          lastError: error.message,
+          errorHistory,
+          deadLetteredAt: new Date(),
+        });
+
+        console.error('[WEBHOOK INBOX SERVICE] Webhook movido para dead-letter:', entry.id);
+
+        await this.eventManager.emit(
+          'system.error',
+          {
+            error: 'webhook_dead_lettered',
+            message: error.message,
+            inboxId: entry.id,
+            notificationId: entry.notificationId,
+            attempts: attempt,
+          },
+          { source: 'WebhookInboxService' }
+        );
+
+        return 'deadLettered';
+      }
+
+      const delay = this.retryPolicy.getRetryDelay(attempt);
+      await this.webhookInboxRepository.update(entry.id, {
+        status: 'pending',
+        attempts: attempt,
+        lastError: error.message,
+        errorHistory,
+        nextAttemptAt: new Date(Date.now() + delay),
+      });
+
+      console.warn(
+        `[WEBHOOK INBOX SERVICE] Falha no webhook ${entry.id} (tentativa ${attempt}/${maxAttempts}), nova tentativa em ${delay}ms`
+      );
+      return 'retried';
+    }
+  }
+
+  /**
+   * Lista webhooks na dead-letter
+   */
+  async listDeadLetters(options = {}) {
+    try {
+      return await this.webhookInboxRepository.findByStatus('dead_letter', options);
+    } catch (error) {
+      console.error('[WEBHOOK INBOX SERVICE] Erro ao listar dead-letter:', error);
+      throw new Error('Erro ao listar webhooks com falha');
+    }
+  }
+
+  /**
+   * Busca uma entrada da caixa de entrada
+   */
+  async getEntry(id) {
+    const entry = await this.webhookInboxRepository.findById(id);
+    if (!entry) {
+      throw new Error('Webhook não encontrado');
+    }
+    return entry;
+  }
+
+  /**
+   * Devolve uma entrada da dead-letter para a fila com tentativas zeradas
+   */
+  async replay(id, requestedBy = null) {
+    const entry = await this.getEntry(id);
+
+    if (entry.status !== 'dead_letter') {
+      throw new Error('Apenas webhooks na dead-letter podem ser reprocessados');
+    }
+
+    const updated = await this.webhookInboxRepository.update(id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      deadLetteredAt: null,
+      replayCount: (entry.replayCount || 0) + 1,
+    });
+
+    console.log('[WEBHOOK INBOX SERVICE] Webhook reenfileirado:', id, 'por', requestedBy);
+    return updated;
+  }
+}
+
+module.exports = WebhookInboxService;
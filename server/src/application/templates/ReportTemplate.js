@@ -1,6 +1,13 @@
 const { BaseTemplate } = require('./BaseTemplate');
 const { logger } = require('../../infra/logger');
 
+// Pagamentos devolvidos ao doador (estorno total ou chargeback)
+const REVERSED_PAYMENT_STATUSES = ['refunded', 'charged_back'];
+
+// Doação criada no fim de dezembro pode ser aprovada já em janeiro (PIX/boleto)
+const APPROVAL_LOOKBACK_MS = 31 * 24 * 60 * 60 * 1000;
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
 /**
  * TEMPLATE METHOD - Template para geração de relatórios
  * Define o fluxo padrão: validar → coletar dados → processar → formatar → finalizar
@@ -353,22 +360,38 @@ class DonationReportTemplate extends ReportTemplate {
       }
     }
 
-    return await this.donationRepository.find(query);
+    const donations = await this.donationRepository.find(query);
+
+    // Valores dobrados por empresas apoiadoras (repositórios sem dobra ficam de fora)
+    const matchedDonations =
+      donations.length > 0 && this.donationRepository.findMatchedDonations
+        ? await this.donationRepository.findMatchedDonations(donations.map((d) => d.id || d._id))
+        : [];
+    this.setContextData('matchedDonations', matchedDonations);
+
+    return donations;
   }
 
   async processData(rawData, reportParams) {
     const donations = rawData;
+    const matching = this.summarizeMatching(this.getContextData('matchedDonations') || []);
 
     // Calcular estatísticas
     const stats = {
       totalDonations: donations.length,
-      totalAmount: donations.reduce((sum, d) => sum + d.amount, 0),
+      totalAmount: donations.reduce((sum, d) => sum + this.getNetAmount(d), 0),
       averageAmount: 0,
       singleDonations: donations.filter((d) => d.type === 'single').length,
       recurringDonations: donations.filter((d) => d.type === 'recurring').length,
-      approvedDonations: donations.filter((d) => d.status === 'approved').length,
-      pendingDonations: donations.filter((d) => d.status === 'pending').length,
-      rejectedDonations: donations.filter((d) => d.status === 'rejected').length,
+      approvedDonations: donations.filter((d) => this.getStatus(d) === 'approved').length,
+      pendingDonations: donations.filter((d) => this.getStatus(d) === 'pending').length,
+      rejectedDonations: donations.filter((d) => this.getStatus(d) === 'rejected').length,
+      refundedDonations: donations.filter((d) =>
+        REVERSED_PAYMENT_STATUSES.includes(this.getStatus(d))
+      ).length,
+      refundedAmount: donations.reduce((sum, d) => sum + (d.refundedAmount || 0), 0),
+      matchedDonations: matching.byDonation.size,
+      matchedAmount: matching.totalAmount,
     };
 
     stats.averageAmount = stats.totalDonations > 0 ? stats.totalAmount / stats.totalDonations : 0;
@@ -379,11 +402,14 @@ class DonationReportTemplate extends ReportTemplate {
     return {
       statistics: stats,
       groupedData,
+      matchingBySupporter: matching.bySupporter,
       donations: donations.map((d) => ({
         id: d.id || d._id,
         amount: d.amount,
+        netAmount: this.getNetAmount(d),
+        matchedAmount: matching.byDonation.get(String(d.id || d._id)) || 0,
         type: d.type,
-        status: d.status,
+        status: this.getStatus(d),
         donorName: d.donorName,
         donorEmail: d.donorEmail,
         createdAt: d.createdAt,
@@ -393,7 +419,7 @@ class DonationReportTemplate extends ReportTemplate {
   }
 
   async formatReport(processedData, reportParams) {
-    const { statistics, groupedData, donations } = processedData;
+    const { statistics, groupedData, matchingBySupporter, donations } = processedData;
 
     return {
       summary: {
@@ -403,12 +429,37 @@ class DonationReportTemplate extends ReportTemplate {
         },
         organizationId: reportParams.organizationId,
         statistics,
+        matchingBySupporter,
       },
       timeline: groupedData,
       donations: reportParams.format === 'detailed' ? donations : undefined,
     };
   }
 
+  /**
+   * Totais dobrados por doação e por empresa apoiadora
+   */
+  summarizeMatching(matchedDonations) {
+    const byDonation = new Map();
+    const bySupporter = new Map();
+    let totalAmount = 0;
+
+    for (const match of matchedDonations) {
+      const donationId = String(match.donationId);
+      byDonation.set(donationId, (byDonation.get(donationId) || 0) + match.matchedAmount);
+
+      const supporterId = String(match.supporterId);
+      const supporter = bySupporter.get(supporterId) || { supporterId, count: 0, amount: 0 };
+      supporter.count++;
+      supporter.amount += match.matchedAmount;
+      bySupporter.set(supporterId, supporter);
+
+      totalAmount += match.matchedAmount;
+    }
+
+    return { byDonation, bySupporter: [...bySupporter.values()], totalAmount };
+  }
+
   /**
    * Agrupa doações por período
    */
@@ -444,13 +495,31 @@ class DonationReportTemplate extends ReportTemplate {
       }
 
       groups[key].count++;
-      groups[key].totalAmount += donation.amount;
+      groups[key].totalAmount += this.getNetAmount(donation);
       groups[key].donations.push(donation.id || donation._id);
     });
 
     return Object.values(groups).sort((a, b) => a.period.localeCompare(b.period));
   }
 
+  /**
+   * Status de pagamento (registros antigos só têm `status`)
+   */
+  getStatus(donation) {
+    return donation.paymentStatus || donation.status;
+  }
+
+  /**
+   * Valor que efetivamente ficou com a organização
+   * Estornos parciais são descontados; estornadas e contestadas não contam
+   */
+  getNetAmount(donation) {
+    if (REVERSED_PAYMENT_STATUSES.includes(this.getStatus(donation))) {
+      return 0;
+    }
+    return donation.amount - (donation.refundedAmount || 0);
+  }
+
   /**
    * Obtém número da semana
    */
@@ -542,8 +611,301 @@ class UserReportTemplate extends ReportTemplate {
   }
 }
 
+/**
+ * Template para o informe anual de doações do doador (imposto de renda)
+ * Consolida por doador as doações aprovadas no ano calendário: doações únicas, já
+ * descontados os estornos parciais, e parcelas pagas de doações recorrentes
+ * Doador é identificado pelo CPF quando informado; sem CPF, pelo email
+ */
+class DonorAnnualStatementTemplate extends ReportTemplate {
+  constructor(options = {}) {
+    super(options);
+    this.donationRepository = options.donationRepository;
+    this.chargeRepository = options.chargeRepository || null;
+    this.issuerRepository = options.issuerRepository || null;
+    this.pdfRenderer = options.pdfRenderer || null;
+  }
+
+  getReportType() {
+    return 'donor_annual_statement';
+  }
+
+  async validateReportSpecifics() {
+    const { organizationId, year } = this.context.input;
+
+    if (!organizationId) {
+      throw new Error('ID da organização é obrigatório para o informe anual');
+    }
+
+    const numericYear = Number(year);
+    if (
+      !Number.isInteger(numericYear) ||
+      numericYear < 2000 ||
+      numericYear > new Date().getFullYear()
+    ) {
+      throw new Error('Ano do informe inválido');
+    }
+
+    if (!STATEMENT_FORMATS.includes(this.format)) {
+      throw new Error(`Formato do informe inválido: use ${STATEMENT_FORMATS.join(', ')}`);
+    }
+  }
+
+  async prepareReportSpecifics(reportParams) {
+    const year = Number(this.context.input.year);
+    const { donorEmail, donorDocument } = this.context.input;
+
+    // Ano calendário no fuso de Brasília, mesma regra da numeração dos recibos
+    reportParams.year = year;
+    reportParams.startDate = new Date(`${year}-01-01T00:00:00.000-03:00`);
+    reportParams.endDate = new Date(`${year}-12-31T23:59:59.999-03:00`);
+    reportParams.donorEmail = donorEmail ? this.normalizeEmail(donorEmail) : null;
+    reportParams.donorDocument = donorDocument ? this.normalizeDocument(donorDocument) : null;
+  }
+
+  async collectData(reportParams) {
+    if (!this.donationRepository) {
+      throw new Error('Donation repository não configurado');
+    }
+
+    const { organizationId, startDate, endDate } = reportParams;
+
+    const donations = await this.donationRepository.findApprovedSingleByOrganization(
+      organizationId,
+      { createdAfter: new Date(startDate.getTime() - APPROVAL_LOOKBACK_MS), createdBefore: endDate }
+    );
+
+    let charges = [];
+    if (this.chargeRepository) {
+      charges = await this.chargeRepository.findApprovedByOrganization(organizationId, {
+        from: startDate,
+        to: endDate,
+      });
+    }
+
+    // Dados do doador de cada parcela ficam na doação recorrente (mãe)
+    const parentIds = [...new Set(charges.map((charge) => String(charge.donationId)))];
+    const parents = parentIds.length > 0 ? await this.donationRepository.findByIds(parentIds) : [];
+
+    let issuer = null;
+    if (this.issuerRepository) {
+      try {
+        issuer = await this.issuerRepository.findIssuerProfile(organizationId);
+      } catch (error) {
+        this.requestLogger.warn('Dados da organização indisponíveis para o informe', {
+          organizationId,
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      count: donations.length + charges.length,
+      donations,
+      charges,
+      parents,
+      issuer,
+    };
+  }
+
+  async processData(rawData, reportParams) {
+    const { startDate, endDate } = reportParams;
+    const payments = [];
+
+    rawData.donations.forEach((donation) => {
+      const paidAt = this.getApprovedAt(donation);
+      const amount = donation.amount - (donation.refundedAmount || 0);
+      if (paidAt < startDate || paidAt > endDate || amount <= 0) {
+        return;
+      }
+      payments.push({
+        donor: donation,
+        paidAt,
+        amount,
+        type: 'single',
+        reference: String(donation.id || donation._id),
+      });
+    });
+
+    const parentsById = new Map(rawData.parents.map((p) => [String(p.id || p._id), p]));
+    rawData.charges.forEach((charge) => {
+      const parent = parentsById.get(String(charge.donationId));
+      if (!parent) {
+        return;
+      }
+      payments.push({
+        donor: parent,
+        paidAt: new Date(charge.chargedAt),
+        amount: charge.amount,
+        type: 'recurring',
+        reference: String(charge.id),
+      });
+    });
+
+    // Email usado junto com um CPF em qualquer doação passa a contar para esse CPF
+    const documentByEmail = new Map();
+    payments.forEach(({ donor }) => {
+      const document = this.normalizeDocument(donor.donorDocument);
+      if (document) {
+        documentByEmail.set(this.normalizeEmail(donor.donorEmail), document);
+      }
+    });
+
+    const statements = new Map();
+    payments
+      .sort((a, b) => a.paidAt - b.paidAt)
+      .forEach(({ donor, paidAt, amount, type, reference }) => {
+        const email = this.normalizeEmail(donor.donorEmail);
+        const document = this.normalizeDocument(donor.donorDocument) || documentByEmail.get(email);
+        const key = document || email;
+
+        if (!statements.has(key)) {
+          statements.set(key, {
+            donorKey: key,
+            donorName: donor.donorName,
+            donorEmail: email,
+            donorDocument: document || null,
+            emails: new Set(),
+            donationCount: 0,
+            totalAmount: 0,
+            donations: [],
+          });
+        }
+
+        const statement = statements.get(key);
+        // Nome e email mais recentes prevalecem
+        statement.donorName = donor.donorName || statement.donorName;
+        statement.donorEmail = email || statement.donorEmail;
+        statement.emails.add(email);
+        statement.donationCount++;
+        statement.totalAmount = Math.round((statement.totalAmount + amount) * 100) / 100;
+        statement.donations.push({ date: paidAt, amount, type, reference });
+      });
+
+    const filtered = [...statements.values()].filter(
+      (statement) =>
+        (!reportParams.donorDocument || statement.donorDocument === reportParams.donorDocument) &&
+        (!reportParams.donorEmail || statement.emails.has(reportParams.donorEmail))
+    );
+
+    return {
+      issuer: rawData.issuer,
+      organizationName:
+        rawData.donations[0]?.organizationName || rawData.parents[0]?.organizationName || null,
+      statements: filtered.map(({ emails: _emails, ...statement }) => statement),
+    };
+  }
+
+  async formatReport(processedData, reportParams) {
+    const { statements, issuer, organizationName } = processedData;
+    const report = {
+      organization: {
+        id: reportParams.organizationId,
+        name: issuer?.name || organizationName,
+        cnpj: issuer?.cnpj || null,
+        address: issuer?.address || null,
+      },
+      year: reportParams.year,
+      totals: {
+        donors: statements.length,
+        donations: statements.reduce((sum, s) => sum + s.donationCount, 0),
+        totalAmount: Math.round(statements.reduce((sum, s) => sum + s.totalAmount, 0) * 100) / 100,
+      },
+      statements,
+    };
+
+    if (reportParams.format === 'csv') {
+      report.files = [
+        {
+          filename: `informe-doacoes-${reportParams.year}.csv`,
+          contentType: 'text/csv; charset=utf-8',
+          content: this.buildCsv(statements),
+        },
+      ];
+    }
+
+    if (reportParams.format === 'pdf') {
+      if (!this.pdfRenderer) {
+        throw new Error('Gerador de PDF não configurado');
+      }
+
+      // Um PDF por doador, gerados em sequência para não acumular streams abertos
+      report.files = [];
+      for (const statement of statements) {
+        report.files.push({
+          donorKey: statement.donorKey,
+          filename: `informe-doacoes-${reportParams.year}-${statement.donorKey.replace(/[^\w]/g, '_')}.pdf`,
+          contentType: 'application/pdf',
+          content: await this.pdfRenderer.render({
+            organization: report.organization,
+            year: reportParams.year,
+            statement,
+          }),
+        });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Uma linha por doação; separador ";" e vírgula decimal (padrão das planilhas pt-BR)
+   */
+  buildCsv(statements) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['Doador', 'Email', 'CPF', 'Data', 'Tipo', 'Valor', 'Referência'].join(';')];
+    statements.forEach((statement) => {
+      statement.donations.forEach((donation) => {
+        lines.push(
+          [
+            statement.donorName,
+            statement.donorEmail,
+            statement.donorDocument,
+            new Date(donation.date).toLocaleDateString('pt-BR', { timeZone: this.timezone }),
+            donation.type === 'recurring' ? 'Parcela recorrente' : 'Doação única',
+            donation.amount.toFixed(2).replace('.', ','),
+            donation.reference,
+          ]
+            .map(escape)
+            .join(';')
+        );
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Momento da aprovação registrado no histórico de status (createdAt em registros antigos)
+   */
+  getApprovedAt(donation) {
+    const history = Array.isArray(donation.statusHistory) ? donation.statusHistory : [];
+    const approved = [...history].reverse().find((entry) => entry.to === 'approved');
+    return new Date(approved?.timestamp || donation.createdAt);
+  }
+
+  normalizeEmail(email) {
+    return String(email || '')
+      .trim()
+      .toLowerCase();
+  }
+
+  normalizeDocument(document) {
+    return String(document || '').replace(/\D/g, '');
+  }
+
+  getRecordCount(rawData) {
+    return rawData.count;
+  }
+}
+
 module.exports = {
   ReportTemplate,
   DonationReportTemplate,
   UserReportTemplate,
+  DonorAnnualStatementTemplate,
 };
@@ -24,7 +24,12 @@ const {
   RecurringDonationTemplate,
 } = require('./DonationProcessTemplate');
 
-const { ReportTemplate, DonationReportTemplate, UserReportTemplate } = require('./ReportTemplate');
+const {
+  ReportTemplate,
+  DonationReportTemplate,
+  UserReportTemplate,
+  DonorAnnualStatementTemplate,
+} = require('./ReportTemplate');
 
 // Register all templates in the factory
 TemplateFactory.register('upload', UploadProcessTemplate);
@@ -42,6 +47,7 @@ TemplateFactory.register('recurring-donation', RecurringDonationTemplate);
 TemplateFactory.register('report', ReportTemplate);
 TemplateFactory.register('donation-report', DonationReportTemplate);
 TemplateFactory.register('user-report', UserReportTemplate);
+TemplateFactory.register('donor-annual-statement', DonorAnnualStatementTemplate);
 
 /**
  * Helper function to create template instances with common dependencies
@@ -134,6 +140,7 @@ module.exports = {
   ReportTemplate,
   DonationReportTemplate,
   UserReportTemplate,
+  DonorAnnualStatementTemplate,
 
   // Utilities
   createTemplateWithDependencies,
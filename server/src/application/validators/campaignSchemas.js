@@ -0,0 +1,56 @@
+const { z } = require('zod');
+
+const CAMPAIGN_ACTIONS = ['publish', 'start', 'hold', 'complete', 'archive', 'cancel'];
+
+const amountSchema = z.preprocess(
+  (v) => (typeof v === 'string' ? parseFloat(v) : v),
+  z.number().positive()
+);
+// Datas ISO (2026-03-01 ou 2026-03-01T00:00:00Z)
+const dateSchema = z.string().refine((v) => !Number.isNaN(Date.parse(v)), 'Data inválida');
+
+const campaignFields = {
+  title: z.string().min(3).max(120),
+  story: z.string().min(1).max(10000),
+  goalAmount: amountSchema,
+  startDate: dateSchema.nullable().optional(),
+  endDate: dateSchema.nullable().optional(),
+};
+
+const createCampaignSchema = z.object(campaignFields);
+
+const updateCampaignSchema = z.object(campaignFields).partial();
+
+const campaignStatusSchema = z.object({
+  action: z.enum(CAMPAIGN_ACTIONS),
+  reason: z.string().max(500).optional(),
+});
+
+const fundraisingPageFields = {
+  title: z.string().min(3).max(120),
+  message: z.string().min(1).max(5000),
+  goalAmount: amountSchema,
+};
+
+const createFundraisingPageSchema = z.object({
+  ...fundraisingPageFields,
+  campaignId: z.string().min(1),
+  slug: z.string().min(3).max(60).optional(),
+  ownerName: z.string().min(2).max(120),
+  ownerEmail: z.string().email(),
+});
+
+const updateFundraisingPageSchema = z.object(fundraisingPageFields).partial();
+
+const fundraisingPageStatusSchema = z.object({
+  status: z.enum(['active', 'closed']),
+});
+
+module.exports = {
+  createCampaignSchema,
+  updateCampaignSchema,
+  campaignStatusSchema,
+  createFundraisingPageSchema,
+  updateFundraisingPageSchema,
+  fundraisingPageStatusSchema,
+};
@@ -4,6 +4,10 @@ const { z } = require('zod');
 const baseDonationSchema = {
   organizationId: z.string().min(1),
   organizationName: z.string().min(1),
+  // Campanha apoiada; precisa estar publicada ou em andamento
+  campaignId: z.string().min(1).optional(),
+  // Página de arrecadação pessoal; a doação conta para ela e para a campanha dela
+  fundraisingPageId: z.string().min(1).optional(),
   amount: z.preprocess((v) => (typeof v === 'string' ? parseFloat(v) : v), z.number().positive()),
   donorName: z.string().min(1),
   // Validação relaxada: aceita qualquer string no donorEmail (não valida formato de email)
@@ -24,9 +28,26 @@ const singleDonationSchema = z.object(baseDonationSchema);
 
 const recurringDonationSchema = singleDonationSchema.extend({
   frequency: z.enum(['monthly', 'weekly', 'yearly']).optional(),
+  // Cartão tokenizado no checkout do Pagar.me (Mercado Pago usa o link da assinatura)
+  cardToken: z.string().min(1).optional(),
+});
+
+// Estorno: sem amount estorna o saldo restante da doação
+const refundDonationSchema = z.object({
+  amount: z
+    .preprocess((v) => (typeof v === 'string' ? parseFloat(v) : v), z.number().positive())
+    .optional(),
+  reason: z.string().max(500).optional(),
+});
+
+// Provedor de pagamento escolhido pela organização
+const paymentSettingsSchema = z.object({
+  paymentProvider: z.enum(['mercadopago', 'pagarme']),
 });
 
 module.exports = {
   singleDonationSchema,
   recurringDonationSchema,
+  refundDonationSchema,
+  paymentSettingsSchema,
 };
@@ -0,0 +1,39 @@
+const { z } = require('zod');
+
+const requestDonorLoginSchema = z.object({
+  email: z.string().email('Email inválido'),
+});
+
+const verifyDonorLoginSchema = z.object({
+  email: z.string().email('Email inválido'),
+  code: z.string().regex(/^\d{6}$/, 'Código deve ter 6 dígitos'),
+});
+
+const updateDonorProfileSchema = z
+  .object({
+    name: z.string().min(2).max(120),
+    phone: z.string().max(30).nullable(),
+    address: z.string().max(200).nullable(),
+    city: z.string().max(100).nullable(),
+    state: z.string().max(50).nullable(),
+    zipCode: z.string().max(20).nullable(),
+  })
+  .partial();
+
+const donationPrivacySchema = z
+  .object({
+    isAnonymous: z.boolean(),
+    showInPublicList: z.boolean(),
+  })
+  .partial()
+  .refine(
+    (data) => data.isAnonymous !== undefined || data.showInPublicList !== undefined,
+    'Informe isAnonymous ou showInPublicList'
+  );
+
+module.exports = {
+  requestDonorLoginSchema,
+  verifyDonorLoginSchema,
+  updateDonorProfileSchema,
+  donationPrivacySchema,
+};
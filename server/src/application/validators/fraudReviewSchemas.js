@@ -0,0 +1,9 @@
+const { z } = require('zod');
+
+const fraudReviewSchema = z.object({
+  note: z.string().max(500).optional(),
+});
+
+module.exports = {
+  fraudReviewSchema,
+};
@@ -0,0 +1,33 @@
+const { z } = require('zod');
+
+const positiveNumber = z.preprocess(
+  (v) => (typeof v === 'string' ? parseFloat(v) : v),
+  z.number().positive()
+);
+const dateSchema = z.string().refine((v) => !Number.isNaN(Date.parse(v)), 'Data inválida');
+
+const ruleTerms = {
+  ratio: positiveNumber,
+  perDonationCap: positiveNumber.nullable().optional(),
+  totalBudget: positiveNumber,
+  startDate: dateSchema,
+  endDate: dateSchema,
+};
+
+const createMatchingRuleSchema = z.object({
+  ...ruleTerms,
+  supporterId: z.string().min(1),
+  campaignId: z.string().min(1).optional(),
+});
+
+const updateMatchingRuleSchema = z
+  .object({
+    ...ruleTerms,
+    status: z.enum(['active', 'paused']),
+  })
+  .partial();
+
+module.exports = {
+  createMatchingRuleSchema,
+  updateMatchingRuleSchema,
+};
@@ -0,0 +1,29 @@
+const { z } = require('zod');
+
+const cartItemSchema = z.object({
+  productId: z.string().min(1, 'Produto é obrigatório'),
+  variantId: z.string().min(1).optional(),
+  quantity: z.number().int().min(0).max(10),
+});
+
+const checkoutSchema = z.object({
+  buyerName: z.string().trim().min(2, 'Nome é obrigatório').max(120),
+  buyerEmail: z.string().email('Email inválido'),
+  buyerPhone: z.string().max(30).optional(),
+  buyerDocument: z.string().max(20).optional(),
+});
+
+const buyerOrderSchema = z.object({
+  email: z.string().email('Email inválido'),
+});
+
+const orderActionSchema = z.object({
+  reason: z.string().max(300).optional(),
+});
+
+module.exports = {
+  cartItemSchema,
+  checkoutSchema,
+  buyerOrderSchema,
+  orderActionSchema,
+};
@@ -18,6 +18,15 @@ class PaymentAdapter {
     throw new Error('createPaymentPreference method must be implemented');
   }
 
+  /**
+   * Cria um pagamento PIX com QR code dinâmico
+   * @param {Object} paymentData - { amount, description, payer, externalReference, expiresAt }
+   * @returns {Promise<Object>} { id, status, qrCode, qrCodeBase64, ticketUrl, expiresAt }
+   */
+  async createPixPayment(paymentData) {
+    throw new Error('createPixPayment method must be implemented');
+  }
+
   /**
    * Cria uma assinatura recorrente
    * @param {Object} subscriptionData - Dados da assinatura
@@ -58,8 +67,20 @@ class PaymentAdapter {
     throw new Error('cancelSubscription method must be implemented');
   }
 
+  /**
+   * Estorna um pagamento aprovado (total ou parcial)
+   * @param {string} paymentId - ID do pagamento no provedor
+   * @param {number|null} amount - Valor a estornar; null estorna o saldo restante
+   * @returns {Promise<Object>} Dados do estorno ({ id, paymentId, amount, status })
+   */
+  async refundPayment(paymentId, amount = null) {
+    throw new Error('refundPayment method must be implemented');
+  }
+
   /**
    * Processa webhook de notificação
+   * Deve retornar { type: 'payment' | 'subscription' | 'authorized_payment' | 'chargeback' | 'unknown', ... }
+   * 'authorized_payment' é a cobrança de uma parcela de assinatura
    * @param {Object} webhookData - Dados do webhook
    * @returns {Promise<Object>} Dados processados
    */
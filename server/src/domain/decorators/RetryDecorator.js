@@ -161,6 +161,15 @@ class RetryDecorator {
     throw lastError;
   }
 
+  /**
+   * Delay (ms) antes da tentativa seguinte, com o mesmo backoff exponencial + jitter
+   * Útil para quem agenda retries fora do processo (ex: filas persistidas)
+   * @param {number} attempt - Número da tentativa que falhou (1-based)
+   */
+  getRetryDelay(attempt) {
+    return this._calculateDelay(attempt);
+  }
+
   /**
    * Retorna estatísticas de retry
    */
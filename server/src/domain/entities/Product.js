@@ -11,7 +11,10 @@ class Product {
     createdAt,
     updatedAt,
     category,
-    stock
+    stock,
+    reservedStock,
+    options,
+    variants
   ) {
     this.id = id;
     this.name = name;
@@ -24,7 +27,10 @@ class Product {
     this.createdAt = createdAt || new Date();
     this.updatedAt = updatedAt || new Date();
     this.category = category;
-    this.stock = stock || 1;
+    this.stock = stock ?? 1;
+    this.reservedStock = reservedStock || 0; // Unidades em reservas ativas (checkout/WhatsApp)
+    this.options = options || []; // [{ name, values }]
+    this.variants = variants || []; // [{ id, sku, attributes, price, stock, reservedStock, ... }]
   }
 
   static create(
@@ -35,7 +41,9 @@ class Product {
     organizationId,
     organizationName,
     category,
-    stock
+    stock,
+    options,
+    variants
   ) {
     return new Product(
       null,
@@ -49,7 +57,10 @@ class Product {
       new Date(), // Explicitly set createdAt
       new Date(), // Explicitly set updatedAt
       category, // Pass category to constructor
-      stock // Pass stock to constructor
+      stock, // Pass stock to constructor
+      0,
+      options,
+      variants
     );
   }
 
@@ -69,6 +80,74 @@ class Product {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Estoque que ainda pode ser prometido: o total menos as reservas ativas
+   * Com variantId, considera só a variação. Aceita também objetos simples.
+   */
+  static availableStock(product, variantId = null) {
+    const holder = variantId ? Product.findVariant(product, variantId) : product;
+    if (!holder) {
+      return 0;
+    }
+    return Math.max(0, (holder.stock ?? 0) - (holder.reservedStock || 0));
+  }
+
+  static hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+  }
+
+  static findVariant(product, variantId) {
+    if (!variantId || !Array.isArray(product.variants)) {
+      return null;
+    }
+    return product.variants.find((variant) => String(variant.id) === String(variantId)) || null;
+  }
+
+  /**
+   * Preço da variação (quando sobrescrito) ou do produto
+   */
+  static priceOf(product, variantId = null) {
+    const variant = Product.findVariant(product, variantId);
+    return variant && typeof variant.price === 'number' ? variant.price : product.price;
+  }
+
+  /**
+   * Descrição legível da variação, ex: "Tamanho: M, Cor: Azul"
+   */
+  static variantLabel(variant) {
+    if (!variant || !variant.attributes) {
+      return null;
+    }
+    return Object.entries(variant.attributes)
+      .map(([option, value]) => `${option}: ${value}`)
+      .join(', ');
+  }
+
+  /**
+   * Dados do evento product.stock.low quando o disponível (do produto ou da variação) está
+   * abaixo do limite
+   * @returns {Object|null} null se o estoque não está baixo
+   */
+  static lowStockAlert(product, variantId = null, threshold = 5) {
+    const availableStock = Product.availableStock(product, variantId);
+    if (availableStock <= 0 || availableStock >= threshold) {
+      return null;
+    }
+    const holder = Product.findVariant(product, variantId) || product;
+    const variant = holder === product ? null : holder;
+    return {
+      productId: product.id,
+      productName: product.name,
+      variantId: variant ? String(variant.id) : null,
+      sku: variant ? variant.sku : null,
+      variantLabel: Product.variantLabel(variant),
+      currentStock: holder.stock,
+      reservedStock: holder.reservedStock || 0,
+      availableStock,
+      threshold,
+    };
+  }
+
   getWhatsAppLink(phone) {
     const message = encodeURIComponent(
       `Olá! Gostaria de saber mais sobre o produto "${this.name}" da ${this.organizationName}.`
@@ -0,0 +1,52 @@
+/**
+ * Regras de exibição pública do doador
+ *
+ * Mesma regra para o feed de transparência, o ranking de doadores de destaque e as
+ * páginas de campanha:
+ * - showInPublicList = false: a doação não aparece em nenhuma lista pública
+ *   (ainda entra nos totais, que não identificam ninguém)
+ * - isAnonymous = true: aparece, mas sem nome
+ */
+const ANONYMOUS_DONOR_NAME = 'Doador anônimo';
+
+class DonorPrivacyPolicy {
+  /**
+   * Doações antigas, sem o campo, aparecem (o padrão do cadastro é true)
+   */
+  static isListable(donation) {
+    return !!donation && donation.showInPublicList !== false;
+  }
+
+  static isAnonymous(donation) {
+    return !!donation?.isAnonymous;
+  }
+
+  /**
+   * Nome completo, como no ranking de destaque
+   */
+  static publicName(donation) {
+    if (DonorPrivacyPolicy.isAnonymous(donation) || !String(donation.donorName || '').trim()) {
+      return ANONYMOUS_DONOR_NAME;
+    }
+    return String(donation.donorName).trim();
+  }
+
+  /**
+   * Primeiro nome e inicial do último sobrenome: "Maria da Silva" => "Maria S."
+   */
+  static maskedName(donation) {
+    const name = DonorPrivacyPolicy.publicName(donation);
+    if (name === ANONYMOUS_DONOR_NAME) {
+      return name;
+    }
+    const parts = name.split(/\s+/);
+    if (parts.length === 1) {
+      return parts[0];
+    }
+    return `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.`;
+  }
+}
+
+DonorPrivacyPolicy.ANONYMOUS_DONOR_NAME = ANONYMOUS_DONOR_NAME;
+
+module.exports = DonorPrivacyPolicy;
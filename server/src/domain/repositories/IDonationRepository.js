@@ -105,6 +105,69 @@ class IDonationRepository {
     throw new Error('update method must be implemented');
   }
 
+  /**
+   * Altera o status de pagamento somente se o status atual for fromStatus
+   * e acrescenta a transição ao statusHistory
+   * @param {string} id - ID da doação
+   * @param {string} fromStatus - Status esperado no banco
+   * @param {string} toStatus - Novo status
+   * @param {Object} historyEntry - { from, to, source, timestamp, metadata }
+   * @returns {Promise<Object|null>} Doação atualizada ou null se o status mudou no meio tempo
+   */
+  async transitionStatus(id, fromStatus, toStatus, historyEntry) {
+    throw new Error('transitionStatus method must be implemented');
+  }
+
+  /**
+   * Acrescenta um estorno à doação e soma o valor em refundedAmount
+   * @param {string} id - ID da doação
+   * @param {Object} refund - { refundId, amount, reason, requestedBy, status, createdAt }
+   * @returns {Promise<Object|null>} Doação atualizada
+   */
+  async registerRefund(id, refund) {
+    throw new Error('registerRefund method must be implemented');
+  }
+
+  /**
+   * Busca doações em algum dos status informados criadas dentro da janela
+   * As menos recentemente reconciliadas vêm primeiro
+   * @param {Array<string>} statuses - Status de pagamento (ex: ['pending', 'in_process'])
+   * @param {Object} options - { createdBefore, createdAfter, limit }
+   * @returns {Promise<Array>} Doações encontradas
+   */
+  async findStaleByStatus(statuses, options = {}) {
+    throw new Error('findStaleByStatus method must be implemented');
+  }
+
+  /**
+   * Busca doações únicas aprovadas da organização criadas dentro da janela
+   * Estornos parciais mantêm a doação como aprovada (ver refundedAmount)
+   * @param {string} organizationId - ID da organização
+   * @param {Object} options - { createdAfter, createdBefore }
+   * @returns {Promise<Array>} Doações encontradas, das mais antigas para as mais recentes
+   */
+  async findApprovedSingleByOrganization(organizationId, options = {}) {
+    throw new Error('findApprovedSingleByOrganization method must be implemented');
+  }
+
+  /**
+   * Busca várias doações pelos IDs
+   * @param {Array<string>} ids - IDs das doações
+   * @returns {Promise<Array>} Doações encontradas
+   */
+  async findByIds(ids) {
+    throw new Error('findByIds method must be implemented');
+  }
+
+  /**
+   * Registra quando a doação foi verificada pela reconciliação
+   * @param {string} id - ID da doação
+   * @param {Date} reconciledAt - Momento da verificação
+   */
+  async markReconciled(id, reconciledAt = new Date()) {
+    throw new Error('markReconciled method must be implemented');
+  }
+
   /**
    * Remove uma doação
    * @param {string} id - ID da doação
@@ -134,6 +197,8 @@ class IDonationRepository {
 
   /**
    * Busca estatísticas de doações
+   * totalAmount considera apenas doações aprovadas, descontando estornos parciais
+   * Recorrentes contam por parcela cobrada (recurringDonations); subscriptions conta as doações-mãe
    * @param {string} organizationId - ID da organização
    * @param {Object} dateRange - Período para análise
    * @returns {Promise<Object>} Estatísticas
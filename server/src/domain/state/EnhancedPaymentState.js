@@ -13,13 +13,15 @@ class EnhancedPaymentState extends BaseState {
     REFUNDED: 'refunded',
     CHARGED_BACK: 'charged_back',
     IN_PROCESS: 'in_process',
+    PAUSED: 'paused',
     UNKNOWN: 'unknown',
   };
 
   static TRANSITIONS = {
     pending: ['approved', 'rejected', 'cancelled', 'in_process'],
     in_process: ['approved', 'rejected', 'cancelled'],
-    approved: ['refunded', 'charged_back', 'cancelled'],
+    approved: ['refunded', 'charged_back', 'cancelled', 'paused'],
+    paused: ['approved', 'cancelled'], // Assinaturas pausadas pelo doador
     rejected: ['pending'], // Permite retry
     cancelled: [], // Estado final
     refunded: ['charged_back'], // Pode ter chargeback depois de refund
@@ -167,6 +169,7 @@ class EnhancedPaymentState extends BaseState {
       canceled: EnhancedPaymentState.STATES.CANCELLED,
       refunded: EnhancedPaymentState.STATES.REFUNDED,
       charged_back: EnhancedPaymentState.STATES.CHARGED_BACK,
+      paused: EnhancedPaymentState.STATES.PAUSED,
     };
 
     return new EnhancedPaymentState(map[normalized] || EnhancedPaymentState.STATES.UNKNOWN);
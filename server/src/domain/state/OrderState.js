@@ -0,0 +1,110 @@
+const BaseState = require('./BaseState');
+const EnhancedPaymentState = require('./EnhancedPaymentState');
+
+/**
+ * Order State - Ciclo de vida dos pedidos do bazar
+ * O estoque é baixado ao entrar em paid e devolvido ao sair de paid/fulfilled
+ */
+class OrderState extends BaseState {
+  static STATES = {
+    PENDING_PAYMENT: 'pending_payment',
+    PAID: 'paid',
+    FULFILLED: 'fulfilled',
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded',
+  };
+
+  static TRANSITIONS = {
+    pending_payment: ['paid', 'cancelled'],
+    paid: ['fulfilled', 'refunded'],
+    fulfilled: ['refunded'],
+    cancelled: [], // Estado final
+    refunded: [], // Estado final
+  };
+
+  constructor(currentState = OrderState.STATES.PENDING_PAYMENT) {
+    super(currentState, OrderState.TRANSITIONS);
+  }
+
+  /**
+   * Pagamento aprovado pelo provedor
+   */
+  pay(paymentId, metadata = {}) {
+    return this.transitionTo(OrderState.STATES.PAID, {
+      action: 'pay',
+      paymentId,
+      paidAt: new Date().toISOString(),
+      ...metadata,
+    });
+  }
+
+  /**
+   * Pedido entregue ou retirado pelo comprador
+   */
+  fulfill(fulfilledBy, metadata = {}) {
+    return this.transitionTo(OrderState.STATES.FULFILLED, {
+      action: 'fulfill',
+      fulfilledBy,
+      ...metadata,
+    });
+  }
+
+  /**
+   * Cancela pedido ainda não pago
+   */
+  cancel(reason, cancelledBy, metadata = {}) {
+    return this.transitionTo(OrderState.STATES.CANCELLED, {
+      action: 'cancel',
+      reason,
+      cancelledBy,
+      ...metadata,
+    });
+  }
+
+  /**
+   * Estorno do pagamento (pela organização, pelo provedor ou por falta de estoque)
+   */
+  refund(reason, metadata = {}) {
+    return this.transitionTo(OrderState.STATES.REFUNDED, {
+      action: 'refund',
+      reason,
+      ...metadata,
+    });
+  }
+
+  /**
+   * Verifica se o pedido está com o estoque baixado
+   */
+  holdsStock() {
+    return this.isOneOf([OrderState.STATES.PAID, OrderState.STATES.FULFILLED]);
+  }
+
+  /**
+   * Estado do pedido correspondente ao status de pagamento do provedor
+   * Pagamentos recusados ou em análise não mudam o pedido: o comprador pode tentar de novo
+   * @param {string} providerStatus - Status do pagamento no provedor
+   * @returns {string|null}
+   */
+  static fromPaymentStatus(providerStatus) {
+    const paymentState = EnhancedPaymentState.fromMercadoPago(providerStatus).getState();
+    const map = {
+      approved: OrderState.STATES.PAID,
+      cancelled: OrderState.STATES.CANCELLED,
+      refunded: OrderState.STATES.REFUNDED,
+      charged_back: OrderState.STATES.REFUNDED,
+    };
+    return map[paymentState] || null;
+  }
+
+  /**
+   * Clona o estado
+   */
+  clone() {
+    const cloned = new OrderState(this.currentState);
+    cloned.history = [...this.history];
+    cloned.metadata = { ...this.metadata };
+    return cloned;
+  }
+}
+
+module.exports = OrderState;
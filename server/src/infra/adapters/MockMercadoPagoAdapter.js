@@ -7,9 +7,17 @@
 const { logger } = require('../logger');
 
 class MockMercadoPagoAdapter {
-  constructor() {
+  /**
+   * @param {Object} options - { accountId } da conta de organização simulada (OAuth)
+   */
+  constructor(options = {}) {
+    this.accountId = options.accountId || null;
     this.mockSubscriptions = new Map(); // Armazena assinaturas em memória
     this.mockPayments = new Map(); // Armazena pagamentos em memória
+    this.mockChargebacks = new Map(); // Armazena chargebacks em memória
+    this.mockAuthorizedPayments = new Map(); // Armazena cobranças de assinaturas em memória
+    this.mockOAuthCodes = new Map(); // code do OAuth -> conta simulada
+    this.mockRefreshTokens = new Map(); // refresh token válido -> conta simulada
     logger.info('[MOCK MP] MockMercadoPagoAdapter inicializado - MODO DE TESTE ATIVO');
   }
 
@@ -50,6 +58,141 @@ class MockMercadoPagoAdapter {
     }
   }
 
+  /**
+   * Cria uma preferência de pagamento (mock)
+   * Mesmo contrato do SimpleMercadoPagoAdapter, usado pelo DonationService
+   */
+  async createPaymentPreference(paymentData) {
+    return this.createSinglePayment(paymentData);
+  }
+
+  /**
+   * Cria um pagamento PIX (mock)
+   * O payload não é um BR Code válido; use mockApprove para simular o pagamento
+   */
+  async createPixPayment(paymentData) {
+    const mockPaymentId = `mock_pix_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    this.mockPayments.set(mockPaymentId, {
+      id: mockPaymentId,
+      status: 'pending',
+      amount: paymentData.amount,
+      currency: 'BRL',
+      payer: paymentData.payer,
+      externalReference: paymentData.externalReference,
+      createdAt: new Date().toISOString(),
+    });
+
+    logger.info('[MOCK MP] Pagamento PIX criado (mock)', { id: mockPaymentId });
+
+    return {
+      id: mockPaymentId,
+      status: 'pending',
+      qrCode: `00020101021226MOCKPIX${mockPaymentId}`,
+      qrCodeBase64: null,
+      ticketUrl: `http://localhost:3000/mock/payment/${mockPaymentId}`,
+      expiresAt: paymentData.expiresAt,
+      externalReference: paymentData.externalReference,
+    };
+  }
+
+  /**
+   * Consulta status de pagamento (mock)
+   */
+  async getPaymentStatus(paymentId) {
+    try {
+      logger.info('[MOCK MP] Consultando status do pagamento (mock)', { paymentId });
+
+      const payment = this.mockPayments.get(paymentId);
+
+      if (!payment) {
+        throw new Error('Pagamento não encontrado (mock)');
+      }
+
+      return {
+        id: payment.id,
+        status: payment.status,
+        amount: payment.amount,
+        externalReference: payment.externalReference,
+        dateCreated: payment.createdAt,
+      };
+    } catch (error) {
+      logger.error('[MOCK MP] Erro ao consultar pagamento (mock)', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca pagamentos por external_reference (mock), do mais recente para o mais antigo
+   */
+  async searchPayments(filters = {}) {
+    const results = [...this.mockPayments.values()]
+      .filter(
+        (payment) =>
+          !filters.externalReference || payment.externalReference === filters.externalReference
+      )
+      .reverse()
+      .map((payment) => ({
+        id: payment.id,
+        status: payment.status,
+        amount: payment.amount,
+        dateCreated: payment.createdAt,
+        externalReference: payment.externalReference,
+      }));
+
+    return { paging: { total: results.length }, results };
+  }
+
+  /**
+   * Estorna um pagamento aprovado (mock)
+   * Sem amount, estorna o saldo restante; estorno que zera o saldo muda o status para refunded
+   */
+  async refundPayment(paymentId, amount = null) {
+    try {
+      logger.info('[MOCK MP] Estornando pagamento (mock)', { paymentId, amount });
+
+      const payment = this.mockPayments.get(paymentId);
+
+      if (!payment) {
+        throw new Error('Pagamento não encontrado (mock)');
+      }
+
+      if (payment.status !== 'approved') {
+        throw new Error('Apenas pagamentos aprovados podem ser estornados (mock)');
+      }
+
+      const refunds = payment.refunds || [];
+      const refundedAmount = refunds.reduce((sum, r) => sum + r.amount, 0);
+      const remaining = Math.round((payment.amount - refundedAmount) * 100) / 100;
+      const refundAmount = amount === null || amount === undefined ? remaining : Number(amount);
+
+      if (refundAmount <= 0 || refundAmount > remaining) {
+        throw new Error('Valor de estorno inválido (mock)');
+      }
+
+      const refund = {
+        id: `mock_refund_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        paymentId,
+        amount: refundAmount,
+        status: 'approved',
+        dateCreated: new Date().toISOString(),
+      };
+
+      payment.refunds = [...refunds, refund];
+      if (refundAmount === remaining) {
+        payment.status = 'refunded';
+      }
+      this.mockPayments.set(paymentId, payment);
+
+      logger.info('[MOCK MP] Estorno criado (mock)', { id: refund.id, status: payment.status });
+
+      return refund;
+    } catch (error) {
+      logger.error('[MOCK MP] Erro ao estornar pagamento (mock)', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Cria uma assinatura recorrente (mock)
    */
@@ -199,15 +342,68 @@ class MockMercadoPagoAdapter {
 
   /**
    * Processa webhook (mock)
+   * Resolve o recurso nos dados em memória, no mesmo formato do adapter real
    */
   async processWebhook(webhookData) {
     try {
       logger.info('[MOCK MP] Processando webhook (mock)', webhookData);
 
-      // Simula processamento de webhook
+      const { type, data = {} } = webhookData;
+
+      if (type === 'payment') {
+        const payment = this.mockPayments.get(data.id);
+
+        return {
+          type: 'payment',
+          paymentId: data.id,
+          status: payment?.status || data.status || 'pending',
+          amount: payment?.amount,
+          externalReference: payment?.externalReference,
+        };
+      } else if (type === 'preapproval') {
+        const subscription = this.mockSubscriptions.get(data.id);
+
+        return {
+          type: 'subscription',
+          subscriptionId: data.id,
+          status: subscription?.status || data.status || 'pending',
+          amount: subscription?.amount,
+        };
+      } else if (type === 'subscription_authorized_payment' || type === 'authorized_payment') {
+        const charge = this.mockAuthorizedPayments.get(data.id);
+
+        if (!charge) {
+          throw new Error('Cobrança de assinatura não encontrada (mock)');
+        }
+
+        return {
+          type: 'authorized_payment',
+          authorizedPaymentId: charge.id,
+          subscriptionId: charge.subscriptionId,
+          paymentId: charge.paymentId,
+          status: charge.status,
+          amount: charge.amount,
+          retryAttempt: charge.retryAttempt,
+          debitDate: charge.debitDate,
+        };
+      } else if (type === 'chargebacks') {
+        const chargeback = this.mockChargebacks.get(data.id);
+
+        if (!chargeback) {
+          throw new Error('Chargeback não encontrado (mock)');
+        }
+
+        return {
+          type: 'chargeback',
+          chargebackId: chargeback.id,
+          paymentIds: chargeback.paymentIds,
+          amount: chargeback.amount,
+        };
+      }
+
       return {
-        success: true,
-        message: 'Webhook processado (mock)',
+        type: 'unknown',
+        data: webhookData,
       };
     } catch (error) {
       logger.error('[MOCK MP] Erro ao processar webhook (mock)', error.message);
@@ -262,12 +458,138 @@ class MockMercadoPagoAdapter {
     return false;
   }
 
+  /**
+   * Simula a abertura de um chargeback para um pagamento
+   * Retorna o payload de webhook que o Mercado Pago enviaria
+   */
+  async mockChargeback(paymentId) {
+    // Também aceita o pagamento de uma parcela de assinatura
+    const payment =
+      this.mockPayments.get(paymentId) ||
+      [...this.mockAuthorizedPayments.values()].find((charge) => charge.paymentId === paymentId);
+    if (!payment) {
+      return null;
+    }
+
+    const chargeback = {
+      id: `mock_chargeback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      paymentIds: [paymentId],
+      amount: payment.amount,
+    };
+
+    payment.status = 'charged_back';
+    this.mockChargebacks.set(chargeback.id, chargeback);
+    logger.info('[MOCK MP] Chargeback simulado (mock)', { id: chargeback.id, paymentId });
+
+    return { type: 'chargebacks', data: { id: chargeback.id } };
+  }
+
+  /**
+   * Simula a cobrança de uma parcela da assinatura
+   * Com authorizedPaymentId, registra nova tentativa da mesma parcela
+   * Retorna o payload de webhook que o Mercado Pago enviaria
+   */
+  async mockRecurringCharge(subscriptionId, { status = 'approved', authorizedPaymentId } = {}) {
+    const subscription = this.mockSubscriptions.get(subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    const previous = authorizedPaymentId && this.mockAuthorizedPayments.get(authorizedPaymentId);
+    const charge = {
+      id:
+        authorizedPaymentId ||
+        `mock_authorized_payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      subscriptionId,
+      paymentId: `mock_payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      status,
+      amount: subscription.amount,
+      retryAttempt: previous ? previous.retryAttempt + 1 : 0,
+      debitDate: previous ? previous.debitDate : new Date().toISOString(),
+    };
+
+    this.mockAuthorizedPayments.set(charge.id, charge);
+    logger.info('[MOCK MP] Cobrança de assinatura simulada (mock)', {
+      id: charge.id,
+      subscriptionId,
+      status,
+    });
+
+    return { type: 'subscription_authorized_payment', data: { id: charge.id } };
+  }
+
+  /**
+   * OAuth (mock): a página /mock/oauth/authorize devolve direto ao callback com um code
+   */
+  isOAuthConfigured() {
+    return true;
+  }
+
+  getOAuthAuthorizationUrl({ state, redirectUri }) {
+    const params = new URLSearchParams({ state, redirect_uri: redirectUri });
+    return `http://localhost:3000/mock/oauth/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Gera um code como o que o Mercado Pago anexa ao redirect_uri
+   * @param {string} userId - Conta simulada (padrão: uma nova)
+   */
+  mockAuthorize(userId = String(Math.floor(Math.random() * 1e9))) {
+    const code = `TG-mock-code-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.mockOAuthCodes.set(code, userId);
+    return code;
+  }
+
+  async exchangeOAuthCode(code) {
+    // Codes fora do mapa vêm da página mock (outro processo/reinício): aceita como conta nova
+    const userId =
+      this.mockOAuthCodes.get(code) || (code.startsWith('TG-mock-') && this.mockAuthorize());
+    if (!userId) {
+      throw new Error('MercadoPagoAdapter/exchangeOAuthCode failed: invalid_grant (mock)');
+    }
+
+    this.mockOAuthCodes.delete(code);
+    logger.info('[MOCK MP] Code OAuth trocado por tokens (mock)', { userId });
+    return this.issueMockTokens(userId);
+  }
+
+  async refreshOAuthToken(refreshToken) {
+    const userId = this.mockRefreshTokens.get(refreshToken);
+    if (!userId) {
+      throw new Error('MercadoPagoAdapter/refreshOAuthToken failed: invalid_grant (mock)');
+    }
+
+    // Rotação: o refresh token usado deixa de valer
+    this.mockRefreshTokens.delete(refreshToken);
+    return this.issueMockTokens(userId);
+  }
+
+  issueMockTokens(userId) {
+    const suffix = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const refreshToken = `TG-mock-refresh-${suffix}`;
+    this.mockRefreshTokens.set(refreshToken, userId);
+
+    return {
+      accessToken: `APP_USR-mock-${userId}-${suffix}`,
+      refreshToken,
+      publicKey: `APP_USR-mock-public-${userId}`,
+      userId,
+      expiresIn: 15552000,
+      liveMode: false,
+      scope: 'offline_access read write',
+    };
+  }
+
   /**
    * Limpa dados mock (útil para testes)
    */
   clearMockData() {
     this.mockSubscriptions.clear();
     this.mockPayments.clear();
+    this.mockChargebacks.clear();
+    this.mockAuthorizedPayments.clear();
+    this.mockOAuthCodes.clear();
+    this.mockRefreshTokens.clear();
     logger.info('[MOCK MP] Dados mock limpos');
   }
 }
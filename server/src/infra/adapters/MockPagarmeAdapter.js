@@ -0,0 +1,259 @@
+/**
+ * MOCK ADAPTER - Pagar.me para testes
+ * Guarda pedidos e assinaturas em memória (valores em centavos, como a API v5)
+ * Os helpers mock* retornam o payload de webhook que o Pagar.me enviaria
+ */
+
+const { logger } = require('../logger');
+const PagarmeAdapter = require('./PagarmeAdapter');
+
+const randomId = (prefix) =>
+  `${prefix}_mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+class MockPagarmeAdapter {
+  constructor() {
+    this.mockOrders = new Map();
+    this.mockSubscriptions = new Map();
+    this.mockInvoices = new Map();
+    logger.info('[MOCK PAGARME] MockPagarmeAdapter inicializado - MODO DE TESTE ATIVO');
+  }
+
+  async createPaymentPreference(paymentData) {
+    const order = this._createOrder(paymentData, 'checkout');
+
+    logger.info('[MOCK PAGARME] Pedido criado (mock)', { id: order.id });
+
+    return {
+      id: order.id,
+      paymentUrl: `http://localhost:3000/mock/pagarme/checkout/${order.id}`,
+      externalReference: order.code,
+      status: 'created',
+    };
+  }
+
+  async createPixPayment(paymentData) {
+    const order = this._createOrder(paymentData, 'pix');
+
+    return {
+      id: order.id,
+      status: 'pending',
+      qrCode: `00020101021226MOCKPAGARME${order.id}`,
+      qrCodeBase64: null,
+      ticketUrl: `http://localhost:3000/mock/pagarme/pix/${order.id}`,
+      expiresAt: paymentData.expiresAt,
+      externalReference: order.code,
+    };
+  }
+
+  async getPaymentStatus(paymentId) {
+    const order = this._getOrder(paymentId);
+
+    return {
+      id: order.id,
+      status: PagarmeAdapter.mapChargeStatus(order.chargeStatus),
+      amount: order.amount / 100,
+      paymentMethod: order.paymentMethod,
+      externalReference: order.code,
+      dateCreated: order.created_at,
+    };
+  }
+
+  /**
+   * Sem amount estorna o saldo; estorno que zera o saldo cancela o pedido
+   */
+  async refundPayment(paymentId, amount = null) {
+    const order = this._getOrder(paymentId);
+
+    if (order.chargeStatus !== 'paid') {
+      throw new Error('Apenas pedidos pagos podem ser estornados (mock)');
+    }
+
+    const remaining = order.amount - order.canceled_amount;
+    const refundAmount = amount === null || amount === undefined ? remaining : amount * 100;
+    if (refundAmount <= 0 || refundAmount > remaining) {
+      throw new Error('Valor de estorno inválido (mock)');
+    }
+
+    order.canceled_amount += refundAmount;
+    if (order.canceled_amount === order.amount) {
+      order.status = 'canceled';
+      order.chargeStatus = 'refunded';
+    }
+
+    return {
+      id: randomId('tran'),
+      paymentId,
+      amount: refundAmount / 100,
+      status: 'approved',
+      dateCreated: new Date().toISOString(),
+    };
+  }
+
+  async createSubscription(subscriptionData) {
+    const interval =
+      PagarmeAdapter.INTERVALS[subscriptionData.frequency] || PagarmeAdapter.INTERVALS.monthly;
+    const subscription = {
+      id: randomId('sub'),
+      code: subscriptionData.externalReference,
+      status: 'active',
+      payment_method: subscriptionData.cardToken ? 'credit_card' : 'boleto',
+      price: Math.round(subscriptionData.amount * 100),
+      ...interval,
+    };
+
+    this.mockSubscriptions.set(subscription.id, subscription);
+    logger.info('[MOCK PAGARME] Assinatura criada (mock)', { id: subscription.id });
+
+    return {
+      id: subscription.id,
+      status: 'authorized',
+      subscriptionUrl: null,
+      externalReference: subscription.code,
+    };
+  }
+
+  async getSubscriptionStatus(subscriptionId) {
+    const subscription = this._getSubscription(subscriptionId);
+
+    return {
+      id: subscription.id,
+      status: PagarmeAdapter.mapSubscriptionStatus(subscription.status),
+      amount: subscription.price / 100,
+    };
+  }
+
+  async updateSubscription(subscriptionId, options = {}) {
+    if (options.status || options.frequency) {
+      throw new Error('Pagar.me não permite pausar nem alterar a frequência da assinatura');
+    }
+
+    const subscription = this._getSubscription(subscriptionId);
+    if (options.amount) {
+      subscription.price = Math.round(options.amount * 100);
+    }
+
+    return { id: subscription.id, amount: subscription.price / 100, updated: true };
+  }
+
+  async cancelSubscription(subscriptionId) {
+    const subscription = this._getSubscription(subscriptionId);
+    subscription.status = 'canceled';
+
+    return { id: subscription.id, status: 'cancelled', cancelled: true };
+  }
+
+  async processWebhook(webhookData) {
+    logger.info('[MOCK PAGARME] Processando webhook (mock)', { type: webhookData?.type });
+    return PagarmeAdapter.confirmWebhookEvent(this, PagarmeAdapter.mapWebhookEvent(webhookData));
+  }
+
+  async getInvoice(invoiceId) {
+    const invoice = this.mockInvoices.get(invoiceId);
+    if (!invoice) {
+      throw new Error('Parcela não encontrada (mock)');
+    }
+    return { ...invoice };
+  }
+
+  /**
+   * Simula o pagamento de um pedido
+   */
+  async mockPay(orderId) {
+    const order = this.mockOrders.get(orderId);
+    if (!order) {
+      return null;
+    }
+
+    order.status = 'paid';
+    order.chargeStatus = 'paid';
+    return this._event('order.paid', order);
+  }
+
+  async mockChargeback(orderId) {
+    const order = this.mockOrders.get(orderId);
+    if (!order) {
+      return null;
+    }
+
+    order.chargeStatus = 'chargedback';
+    return this._event('charge.chargedback', {
+      id: randomId('ch'),
+      status: 'chargedback',
+      amount: order.amount,
+      order: { id: order.id },
+    });
+  }
+
+  /**
+   * Simula a cobrança de uma parcela (invoice) da assinatura
+   * Com invoiceId, registra nova tentativa da mesma parcela
+   */
+  async mockInvoice(subscriptionId, { status = 'paid', invoiceId } = {}) {
+    const subscription = this.mockSubscriptions.get(subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    const previous = invoiceId && this.mockInvoices.get(invoiceId);
+    const invoice = {
+      id: invoiceId || randomId('in'),
+      status,
+      amount: subscription.price,
+      subscription: { id: subscriptionId },
+      charge: { id: randomId('ch'), status },
+      total_attempts: previous ? previous.total_attempts + 1 : 1,
+      billing_at: previous ? previous.billing_at : new Date().toISOString(),
+    };
+
+    this.mockInvoices.set(invoice.id, invoice);
+    return this._event(status === 'paid' ? 'invoice.paid' : 'invoice.payment_failed', invoice);
+  }
+
+  getProviderName() {
+    return 'pagarme';
+  }
+
+  clearMockData() {
+    this.mockOrders.clear();
+    this.mockSubscriptions.clear();
+    this.mockInvoices.clear();
+  }
+
+  _createOrder(paymentData, paymentMethod) {
+    const order = {
+      id: randomId('or'),
+      code: paymentData.externalReference,
+      status: 'pending',
+      chargeStatus: 'pending',
+      amount: Math.round(paymentData.amount * 100),
+      canceled_amount: 0,
+      paymentMethod,
+      customer: paymentData.payer,
+      created_at: new Date().toISOString(),
+    };
+    this.mockOrders.set(order.id, order);
+    return order;
+  }
+
+  _getOrder(orderId) {
+    const order = this.mockOrders.get(orderId);
+    if (!order) {
+      throw new Error('Pedido não encontrado (mock)');
+    }
+    return order;
+  }
+
+  _getSubscription(subscriptionId) {
+    const subscription = this.mockSubscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new Error('Assinatura não encontrada (mock)');
+    }
+    return subscription;
+  }
+
+  _event(type, data) {
+    return { id: randomId('hook'), type, data: { ...data } };
+  }
+}
+
+module.exports = MockPagarmeAdapter;
@@ -0,0 +1,545 @@
+/**
+ * ADAPTER PATTERN - Implementação do Pagar.me (API v5)
+ * Chama a API REST diretamente: o SDK `pagarme` do package.json só fala com a API v4 (legada)
+ * Os status são traduzidos para o vocabulário do Mercado Pago, que é o que o DonationService
+ * e o EnhancedPaymentState.fromMercadoPago entendem
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentAdapter = require('../../domain/contracts/PaymentAdapter');
+const { logger } = require('../../infra/logger');
+
+// Status de order (pedido avulso)
+const ORDER_STATUS = {
+  pending: 'pending',
+  processing: 'in_process',
+  paid: 'approved',
+  canceled: 'cancelled',
+  failed: 'rejected',
+};
+
+// Status de charge (cobrança); só a charge informa estorno e chargeback
+const CHARGE_STATUS = {
+  pending: 'pending',
+  processing: 'in_process',
+  underpaid: 'in_process',
+  paid: 'approved',
+  overpaid: 'approved',
+  failed: 'rejected',
+  canceled: 'cancelled',
+  refunded: 'refunded',
+  chargedback: 'charged_back',
+};
+
+// Status de invoice (parcela da assinatura)
+const INVOICE_STATUS = {
+  scheduled: 'pending',
+  pending: 'pending',
+  paid: 'approved',
+  failed: 'rejected',
+  canceled: 'cancelled',
+};
+
+// Status de assinatura, no vocabulário do preapproval do Mercado Pago
+const SUBSCRIPTION_STATUS = {
+  future: 'pending',
+  active: 'authorized',
+  canceled: 'cancelled',
+  failed: 'cancelled',
+};
+
+const INTERVALS = {
+  weekly: { interval: 'week', interval_count: 1 },
+  monthly: { interval: 'month', interval_count: 1 },
+  quarterly: { interval: 'month', interval_count: 3 },
+  yearly: { interval: 'year', interval_count: 1 },
+};
+
+class PagarmeAdapter extends PaymentAdapter {
+  /**
+   * @param {string} secretKey - Chave secreta (sk_test_... ou sk_...)
+   * @param {Object} options - { backUrls, checkoutExpiresInMinutes }
+   */
+  constructor(secretKey, options = {}) {
+    super();
+
+    if (!secretKey) {
+      throw new Error('Pagar.me secret key is required');
+    }
+
+    this.secretKey = secretKey;
+    this.defaults = {
+      backUrls: options.backUrls || null,
+      checkoutExpiresInMinutes: options.checkoutExpiresInMinutes || 60 * 24,
+    };
+    this.baseURL = 'https://api.pagar.me/core/v5';
+
+    this.api = axios.create({
+      baseURL: this.baseURL,
+      auth: { username: secretKey, password: '' },
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+    });
+
+    logger.info('[PAGARME ADAPTER] Inicializado', {
+      mode: secretKey.startsWith('sk_test_') ? 'TESTE' : 'PRODUÇÃO',
+    });
+  }
+
+  /**
+   * Cria um pedido com checkout hospedado (cartão, PIX ou boleto)
+   * O id do pedido (or_...) é o identificador guardado na doação
+   */
+  async createPaymentPreference(paymentData) {
+    try {
+      logger.info('[PAGARME] Criando pedido com checkout', { amount: paymentData.amount });
+
+      const order = await this.createOrder(paymentData, {
+        payment_method: 'checkout',
+        checkout: {
+          expires_in: this.defaults.checkoutExpiresInMinutes,
+          accepted_payment_methods: ['credit_card', 'pix', 'boleto'],
+          success_url: paymentData.backUrls?.success || this.defaults.backUrls?.success,
+          customer_editable: true,
+          billing_address_editable: false,
+          skip_checkout_success_page: false,
+        },
+      });
+
+      logger.info('[PAGARME] Pedido criado', { id: order.id });
+
+      return {
+        id: order.id,
+        paymentUrl: order.checkouts?.[0]?.payment_url,
+        externalReference: order.code,
+        status: 'created',
+      };
+    } catch (error) {
+      throw this.wrapError('createPaymentPreference', error);
+    }
+  }
+
+  /**
+   * Cria um pedido pago via PIX (QR code dinâmico)
+   */
+  async createPixPayment(paymentData) {
+    try {
+      logger.info('[PAGARME] Criando pedido PIX', { amount: paymentData.amount });
+
+      const expiresIn = Math.max(
+        60,
+        Math.round((new Date(paymentData.expiresAt).getTime() - Date.now()) / 1000)
+      );
+      const order = await this.createOrder(paymentData, {
+        payment_method: 'pix',
+        pix: { expires_in: expiresIn },
+      });
+      const transaction = order.charges?.[0]?.last_transaction || {};
+
+      return {
+        id: order.id,
+        status: ORDER_STATUS[order.status] || 'pending',
+        qrCode: transaction.qr_code,
+        qrCodeBase64: null,
+        ticketUrl: transaction.qr_code_url,
+        expiresAt: transaction.expires_at || paymentData.expiresAt,
+        externalReference: order.code,
+      };
+    } catch (error) {
+      throw this.wrapError('createPixPayment', error);
+    }
+  }
+
+  async createOrder(paymentData, payment) {
+    const response = await this.api.post(
+      '/orders',
+      {
+        code: paymentData.externalReference || `donation-${Date.now()}`,
+        customer: this.buildCustomer(paymentData.payer),
+        items: [
+          {
+            code: 'donation',
+            description: paymentData.description || paymentData.title || 'Doação',
+            amount: this.toCents(paymentData.amount),
+            quantity: 1,
+          },
+        ],
+        payments: [payment],
+      },
+      { headers: { 'Idempotency-Key': crypto.randomUUID() } }
+    );
+    return response.data;
+  }
+
+  /**
+   * Cria uma assinatura
+   * Com cardToken (tokenizado no front pela chave pública) cobra no cartão; sem ele, boleto
+   */
+  async createSubscription(subscriptionData) {
+    try {
+      logger.info('[PAGARME] Criando assinatura', {
+        amount: subscriptionData.amount,
+        frequency: subscriptionData.frequency,
+      });
+
+      const interval = INTERVALS[subscriptionData.frequency] || INTERVALS.monthly;
+      const response = await this.api.post(
+        '/subscriptions',
+        {
+          code: subscriptionData.externalReference,
+          payment_method: subscriptionData.cardToken ? 'credit_card' : 'boleto',
+          card_token: subscriptionData.cardToken || undefined,
+          currency: 'BRL',
+          billing_type: 'prepaid',
+          ...interval,
+          customer: this.buildCustomer(subscriptionData.payer),
+          items: [
+            {
+              description: subscriptionData.description || subscriptionData.title || 'Doação',
+              quantity: 1,
+              pricing_scheme: {
+                scheme_type: 'unit',
+                price: this.toCents(subscriptionData.amount),
+              },
+            },
+          ],
+        },
+        { headers: { 'Idempotency-Key': crypto.randomUUID() } }
+      );
+      const result = response.data;
+
+      logger.info('[PAGARME] Assinatura criada', { id: result.id, status: result.status });
+
+      return {
+        id: result.id,
+        status: SUBSCRIPTION_STATUS[result.status] || 'pending',
+        // Sem checkout hospedado de assinatura: o cartão é informado na criação
+        subscriptionUrl: null,
+        externalReference: result.code,
+      };
+    } catch (error) {
+      throw this.wrapError('createSubscription', error);
+    }
+  }
+
+  /**
+   * Consulta um pedido; o status vem da cobrança quando houver (estorno/chargeback)
+   */
+  async getPaymentStatus(paymentId) {
+    try {
+      const response = await this.api.get(`/orders/${paymentId}`);
+      const order = response.data;
+      const charge = order.charges?.[0];
+
+      return {
+        id: order.id,
+        status: charge
+          ? CHARGE_STATUS[charge.status] || 'pending'
+          : ORDER_STATUS[order.status] || 'pending',
+        statusDetail: charge?.last_transaction?.acquirer_message || charge?.status || null,
+        amount: this.fromCents(order.amount),
+        paymentMethod: charge?.payment_method,
+        payer: {
+          email: order.customer?.email,
+          identification: order.customer?.document
+            ? { type: 'CPF', number: order.customer.document }
+            : undefined,
+        },
+        dateCreated: order.created_at,
+        dateApproved: charge?.paid_at || null,
+        externalReference: order.code,
+      };
+    } catch (error) {
+      throw this.wrapError('getPaymentStatus', error);
+    }
+  }
+
+  /**
+   * Estorna (cancela) a cobrança do pedido, total ou parcialmente
+   */
+  async refundPayment(paymentId, amount = null) {
+    try {
+      logger.info('[PAGARME] Estornando pedido', { paymentId, amount });
+
+      const order = (await this.api.get(`/orders/${paymentId}`)).data;
+      const charge = order.charges?.[0];
+      if (!charge) {
+        throw new Error('Pedido sem cobrança para estornar');
+      }
+
+      const body = amount ? { amount: this.toCents(amount) } : {};
+      const response = await this.api.delete(`/charges/${charge.id}`, {
+        data: body,
+        headers: { 'Idempotency-Key': crypto.randomUUID() },
+      });
+      const result = response.data;
+
+      return {
+        id: result.last_transaction?.id || result.id,
+        paymentId: order.id,
+        amount: amount ? Number(amount) : this.fromCents(result.canceled_amount || charge.amount),
+        status: 'approved',
+        dateCreated: result.canceled_at || new Date().toISOString(),
+      };
+    } catch (error) {
+      throw this.wrapError('refundPayment', error);
+    }
+  }
+
+  async getSubscriptionStatus(subscriptionId) {
+    try {
+      const response = await this.api.get(`/subscriptions/${subscriptionId}`);
+      const result = response.data;
+      const item = result.items?.[0];
+
+      return {
+        id: result.id,
+        status: SUBSCRIPTION_STATUS[result.status] || 'pending',
+        amount: item ? this.fromCents(item.pricing_scheme?.price) : undefined,
+        frequency: this.toFrequency(result.interval, result.interval_count),
+        nextBillingDate: result.next_billing_at,
+      };
+    } catch (error) {
+      throw this.wrapError('getSubscriptionStatus', error);
+    }
+  }
+
+  /**
+   * Altera o valor da assinatura (preço do item)
+   * O Pagar.me não pausa assinaturas nem muda a periodicidade de uma assinatura existente
+   */
+  async updateSubscription(subscriptionId, options = {}) {
+    if (options.status || options.frequency) {
+      throw new Error('Pagar.me não permite pausar nem alterar a frequência da assinatura');
+    }
+
+    try {
+      const subscription = (await this.api.get(`/subscriptions/${subscriptionId}`)).data;
+      const item = subscription.items?.[0];
+
+      if (options.amount && item) {
+        await this.api.put(`/subscriptions/${subscriptionId}/items/${item.id}`, {
+          description: item.description,
+          quantity: item.quantity || 1,
+          status: 'active',
+          pricing_scheme: { scheme_type: 'unit', price: this.toCents(options.amount) },
+        });
+      }
+
+      return {
+        id: subscriptionId,
+        status: SUBSCRIPTION_STATUS[subscription.status] || 'pending',
+        amount: options.amount || (item ? this.fromCents(item.pricing_scheme?.price) : undefined),
+        updated: true,
+      };
+    } catch (error) {
+      throw this.wrapError('updateSubscription', error);
+    }
+  }
+
+  async cancelSubscription(subscriptionId) {
+    try {
+      logger.info('[PAGARME] Cancelando assinatura', { subscriptionId });
+
+      await this.api.delete(`/subscriptions/${subscriptionId}`, {
+        data: { cancel_pending_invoices: true },
+      });
+
+      return { id: subscriptionId, status: 'cancelled', cancelled: true };
+    } catch (error) {
+      throw this.wrapError('cancelSubscription', error);
+    }
+  }
+
+  /**
+   * Parcela (invoice) de assinatura, no formato da API v5
+   */
+  async getInvoice(invoiceId) {
+    try {
+      const response = await this.api.get(`/invoices/${invoiceId}`);
+      return response.data;
+    } catch (error) {
+      throw this.wrapError('getInvoice', error);
+    }
+  }
+
+  /**
+   * Traduz o evento de webhook e confirma o status na API
+   */
+  async processWebhook(webhookData) {
+    logger.info('[PAGARME] Processando webhook', { type: webhookData?.type });
+    return PagarmeAdapter.confirmWebhookEvent(this, PagarmeAdapter.mapWebhookEvent(webhookData));
+  }
+
+  /**
+   * O corpo do webhook não é assinado e quem conhece o id do pedido poderia forjar um
+   * order.paid: o status usado é sempre o consultado na API, nunca o do POST
+   * @param {Object} adapter - Adapter com getPaymentStatus, getSubscriptionStatus e getInvoice
+   * @param {Object} event - Evento traduzido por mapWebhookEvent
+   */
+  static async confirmWebhookEvent(adapter, event) {
+    if (event.type === 'payment') {
+      const payment = await adapter.getPaymentStatus(event.paymentId);
+      return {
+        ...event,
+        status: payment.status,
+        amount: payment.amount,
+        externalReference: payment.externalReference,
+      };
+    }
+
+    if (event.type === 'chargeback') {
+      const paymentIds = [];
+      for (const paymentId of event.paymentIds) {
+        const payment = await adapter.getPaymentStatus(paymentId);
+        if (payment.status === CHARGE_STATUS.chargedback) {
+          paymentIds.push(paymentId);
+        }
+      }
+      return { ...event, paymentIds };
+    }
+
+    if (event.type === 'subscription') {
+      const subscription = await adapter.getSubscriptionStatus(event.subscriptionId);
+      return { ...event, status: subscription.status };
+    }
+
+    if (event.type === 'authorized_payment') {
+      const invoice = await adapter.getInvoice(event.authorizedPaymentId);
+      return PagarmeAdapter.mapWebhookEvent({ type: 'invoice.confirmed', data: invoice });
+    }
+
+    return event;
+  }
+
+  /**
+   * Evento do Pagar.me ({ id, type: 'order.paid', data }) no formato do PaymentAdapter
+   */
+  static mapWebhookEvent(event = {}) {
+    const { type = '', data = {} } = event;
+    const [resource] = type.split('.');
+
+    if (type === 'charge.chargedback') {
+      return {
+        type: 'chargeback',
+        chargebackId: data.id,
+        paymentIds: [data.order?.id].filter(Boolean),
+        amount: data.amount ? data.amount / 100 : undefined,
+      };
+    }
+
+    if (type === 'charge.refunded' && data.order?.id) {
+      // Estorno feito pelo painel do Pagar.me
+      return {
+        type: 'payment',
+        paymentId: data.order.id,
+        status: 'refunded',
+        amount: data.amount ? data.amount / 100 : undefined,
+      };
+    }
+
+    if (resource === 'order') {
+      return {
+        type: 'payment',
+        paymentId: data.id,
+        status: ORDER_STATUS[data.status] || 'pending',
+        amount: data.amount ? data.amount / 100 : undefined,
+        externalReference: data.code,
+      };
+    }
+
+    if (resource === 'invoice') {
+      return {
+        type: 'authorized_payment',
+        authorizedPaymentId: data.id,
+        subscriptionId: data.subscription?.id || data.subscription_id,
+        paymentId: data.charge?.id || null,
+        status: INVOICE_STATUS[data.status] || 'pending',
+        statusDetail: data.charge?.last_transaction?.acquirer_message || data.status,
+        amount: data.amount ? data.amount / 100 : undefined,
+        retryAttempt: Math.max(0, (data.total_attempts || data.charge?.attempts || 1) - 1),
+        debitDate: data.billing_at || data.created_at,
+      };
+    }
+
+    if (resource === 'subscription') {
+      return {
+        type: 'subscription',
+        subscriptionId: data.id,
+        status: SUBSCRIPTION_STATUS[data.status] || 'pending',
+      };
+    }
+
+    return { type: 'unknown', data: event };
+  }
+
+  buildCustomer(payer = {}) {
+    const document = payer.document ? String(payer.document).replace(/\D/g, '') : undefined;
+    const phone = payer.phone ? String(payer.phone).replace(/\D/g, '') : null;
+    const mobilePhone = phone && {
+      country_code: '55',
+      area_code: phone.substring(0, 2),
+      number: phone.substring(2),
+    };
+
+    return {
+      name: payer.name || 'Doador',
+      email: payer.email,
+      type: document && document.length === 14 ? 'company' : 'individual',
+      document,
+      document_type: document ? (document.length === 14 ? 'CNPJ' : 'CPF') : undefined,
+      phones: mobilePhone ? { mobile_phone: mobilePhone } : undefined,
+    };
+  }
+
+  toCents(amount) {
+    return Math.round(Number(amount) * 100);
+  }
+
+  fromCents(amount) {
+    return amount === undefined || amount === null ? undefined : amount / 100;
+  }
+
+  toFrequency(interval, count = 1) {
+    const entry = Object.entries(INTERVALS).find(
+      ([, value]) => value.interval === interval && value.interval_count === count
+    );
+    return entry ? entry[0] : undefined;
+  }
+
+  wrapError(operation, error) {
+    logger.error(`[PAGARME] Erro em ${operation}`, {
+      status: error.response?.status,
+      data: error.response?.data,
+      message: error.message,
+    });
+    return new Error(
+      `PagarmeAdapter/${operation} failed: ${error.response?.data?.message || error.message}`
+    );
+  }
+
+  validateConfiguration() {
+    return !!this.secretKey && this.secretKey.startsWith('sk_');
+  }
+
+  getProviderName() {
+    return 'pagarme';
+  }
+
+  async healthCheck() {
+    try {
+      await this.api.get('/orders', { params: { size: 1 } });
+      return { success: true, details: { provider: 'pagarme' } };
+    } catch (error) {
+      logger.warn('[PAGARME] Health check falhou', { status: error.response?.status });
+      return { success: false, details: error.response?.data || error.message };
+    }
+  }
+}
+
+PagarmeAdapter.INTERVALS = INTERVALS;
+PagarmeAdapter.mapChargeStatus = (status) => CHARGE_STATUS[status] || 'pending';
+PagarmeAdapter.mapSubscriptionStatus = (status) => SUBSCRIPTION_STATUS[status] || 'pending';
+
+module.exports = PagarmeAdapter;
@@ -3,10 +3,19 @@
  * Versão compatível que funciona independente da versão do SDK
  */
 
+const crypto = require('crypto');
 const PaymentAdapter = require('../../domain/contracts/PaymentAdapter');
 const axios = require('axios');
 const { logger } = require('../../infra/logger');
 
+// Status do authorized_payment quando a cobrança ainda não gerou pagamento
+const AUTHORIZED_PAYMENT_STATUS = {
+  scheduled: 'pending',
+  recycling: 'in_process',
+  processed: 'approved',
+  cancelled: 'cancelled',
+};
+
 class SimpleMercadoPagoAdapter extends PaymentAdapter {
   constructor(accessToken, options = {}) {
     super();
@@ -16,6 +25,8 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
     }
 
     this.accessToken = accessToken;
+    // Conta da organização conectada via OAuth (user_id no MP); null = conta da plataforma
+    this.accountId = options.accountId || null;
     this.defaults = {
       backUrls: options.backUrls || null,
       notificationUrl:
@@ -24,6 +35,12 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
         `${process.env.BACKEND_URL}/api/donations/webhook`,
     };
     this.baseURL = 'https://api.mercadopago.com';
+    // Credenciais da aplicação (marketplace) usadas no OAuth das organizações
+    this.oauth = {
+      clientId: options.clientId || null,
+      clientSecret: options.clientSecret || null,
+      authURL: 'https://auth.mercadopago.com/authorization',
+    };
 
     // Configurar axios com headers padrão
     this.api = axios.create({
@@ -36,6 +53,11 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
       timeout: 10000,
     });
 
+    if (this.accountId) {
+      logger.info('[SIMPLE MP ADAPTER] Adapter da conta conectada', { accountId: this.accountId });
+      return;
+    }
+
     // Validar tipo de token
     const tokenType = accessToken.startsWith('TEST-')
       ? 'TESTE'
@@ -144,6 +166,61 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
     }
   }
 
+  /**
+   * Cria um pagamento PIX (QR code dinâmico com expiração)
+   * Documentação: https://www.mercadopago.com.br/developers/pt/reference/payments/_payments/post
+   */
+  async createPixPayment(paymentData) {
+    try {
+      logger.info('[SIMPLE MP] Criando pagamento PIX', { amount: paymentData.amount });
+
+      const [firstName, ...lastName] = (paymentData.payer?.name || '').split(' ');
+      const body = {
+        transaction_amount: paymentData.amount,
+        description: paymentData.description || 'Doação',
+        payment_method_id: 'pix',
+        date_of_expiration: new Date(paymentData.expiresAt).toISOString(),
+        external_reference: paymentData.externalReference,
+        notification_url: this.defaults.notificationUrl,
+        payer: {
+          email: paymentData.payer?.email,
+          first_name: firstName || undefined,
+          last_name: lastName.join(' ') || undefined,
+          identification: paymentData.payer?.document
+            ? { type: 'CPF', number: paymentData.payer.document.replace(/\D/g, '') }
+            : undefined,
+        },
+      };
+
+      const response = await this.api.post('/v1/payments', body, {
+        headers: { 'X-Idempotency-Key': crypto.randomUUID() },
+      });
+      const result = response.data;
+      const transactionData = result.point_of_interaction?.transaction_data || {};
+
+      logger.info('[SIMPLE MP] Pagamento PIX criado', { id: result.id, status: result.status });
+
+      return {
+        id: String(result.id),
+        status: result.status,
+        qrCode: transactionData.qr_code,
+        qrCodeBase64: transactionData.qr_code_base64,
+        ticketUrl: transactionData.ticket_url,
+        expiresAt: result.date_of_expiration || paymentData.expiresAt,
+        externalReference: result.external_reference,
+      };
+    } catch (error) {
+      logger.error('[SIMPLE MP] Erro ao criar pagamento PIX', {
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message,
+      });
+      throw new Error(
+        `MercadoPagoAdapter/createPixPayment failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
   /**
    * Valida se o token está funcionando
    */
@@ -430,6 +507,143 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
     }
   }
 
+  /**
+   * Busca pagamentos com filtros, do mais recente para o mais antigo
+   * Documentação: https://www.mercadopago.com.br/developers/pt/reference/payments/_payments_search/get
+   */
+  async searchPayments(filters = {}) {
+    try {
+      logger.info('[SIMPLE MP] Buscando pagamentos');
+      logger.debug('[SIMPLE MP] Filtros:', filters);
+
+      const params = new URLSearchParams({ sort: 'date_created', criteria: 'desc' });
+
+      if (filters.externalReference) {
+        params.append('external_reference', filters.externalReference);
+      }
+      if (filters.limit) {
+        params.append('limit', filters.limit);
+      }
+
+      const response = await this.api.get(`/v1/payments/search?${params.toString()}`);
+      const result = response.data;
+
+      return {
+        paging: result.paging,
+        results: (result.results || []).map((payment) => ({
+          id: payment.id,
+          status: payment.status,
+          statusDetail: payment.status_detail,
+          amount: payment.transaction_amount,
+          dateCreated: payment.date_created,
+          dateApproved: payment.date_approved,
+          externalReference: payment.external_reference,
+        })),
+      };
+    } catch (error) {
+      logger.error('[SIMPLE MP] Erro ao buscar pagamentos', error.response?.data || error.message);
+      throw new Error(`MercadoPagoAdapter/searchPayments failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estorna um pagamento (total quando amount não é informado)
+   * Documentação: https://www.mercadopago.com.br/developers/pt/reference/chargebacks/_payments_id_refunds/post
+   */
+  async refundPayment(paymentId, amount = null) {
+    try {
+      logger.info('[SIMPLE MP] Estornando pagamento', { paymentId, amount });
+
+      const body = amount ? { amount: parseFloat(amount) } : {};
+      const response = await this.api.post(`/v1/payments/${paymentId}/refunds`, body, {
+        // Chave nova por estorno: a chave padrão do client é fixa por instância
+        headers: { 'X-Idempotency-Key': crypto.randomUUID() },
+      });
+      const result = response.data;
+
+      logger.info('[SIMPLE MP] Estorno criado', { id: result.id, status: result.status });
+
+      return {
+        id: String(result.id),
+        paymentId: String(result.payment_id || paymentId),
+        amount: result.amount,
+        status: result.status,
+        dateCreated: result.date_created,
+      };
+    } catch (error) {
+      logger.error('[SIMPLE MP] Erro ao estornar pagamento', {
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message,
+      });
+      throw new Error(
+        `MercadoPagoAdapter/refundPayment failed: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  /**
+   * Consulta um chargeback (contestação aberta pelo portador do cartão)
+   * Documentação: https://www.mercadopago.com.br/developers/pt/reference/chargebacks/_chargebacks_id/get
+   */
+  async getChargeback(chargebackId) {
+    try {
+      logger.info('[SIMPLE MP] Consultando chargeback', { chargebackId });
+
+      const response = await this.api.get(`/v1/chargebacks/${chargebackId}`);
+      const result = response.data;
+
+      return {
+        id: String(result.id),
+        paymentIds: (result.payments || []).map((id) => String(id)),
+        amount: result.amount,
+        coverageApplied: result.coverage_applied,
+        documentationStatus: result.documentation_status,
+        dateCreated: result.date_created,
+      };
+    } catch (error) {
+      logger.error(
+        '[SIMPLE MP] Erro ao consultar chargeback',
+        error.response?.data || error.message
+      );
+      throw new Error(`MercadoPagoAdapter/getChargeback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Consulta a cobrança de uma parcela de assinatura (authorized_payment)
+   * Documentação: https://www.mercadopago.com.br/developers/pt/reference/subscriptions/_authorized_payments_id/get
+   */
+  async getAuthorizedPayment(authorizedPaymentId) {
+    try {
+      logger.info('[SIMPLE MP] Consultando cobrança de assinatura', { authorizedPaymentId });
+
+      const response = await this.api.get(`/authorized_payments/${authorizedPaymentId}`);
+      const result = response.data;
+
+      return {
+        id: String(result.id),
+        subscriptionId: result.preapproval_id,
+        // scheduled, processed, recycling (nova tentativa) ou cancelled
+        status: result.status,
+        paymentId: result.payment?.id ? String(result.payment.id) : null,
+        paymentStatus: result.payment?.status || null,
+        paymentStatusDetail: result.payment?.status_detail || null,
+        amount: result.transaction_amount,
+        currency: result.currency_id,
+        retryAttempt: result.retry_attempt || 0,
+        debitDate: result.debit_date,
+        dateCreated: result.date_created,
+      };
+    } catch (error) {
+      logger.error(
+        '[SIMPLE MP] Erro ao consultar cobrança de assinatura',
+        error.response?.data || error.message
+      );
+      throw new Error(`MercadoPagoAdapter/getAuthorizedPayment failed: ${error.message}`);
+    }
+  }
+
   /**
    * Consulta status de uma assinatura
    * Documentação: https://www.mercadopago.com.br/developers/pt/reference/subscriptions/_preapproval_id/get
@@ -689,6 +903,31 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
           status: subscriptionInfo.status,
           amount: subscriptionInfo.amount,
         };
+      } else if (type === 'subscription_authorized_payment' || type === 'authorized_payment') {
+        // Cobrança de uma parcela da assinatura
+        const charge = await this.getAuthorizedPayment(data.id);
+
+        return {
+          type: 'authorized_payment',
+          authorizedPaymentId: charge.id,
+          subscriptionId: charge.subscriptionId,
+          paymentId: charge.paymentId,
+          status: charge.paymentStatus || AUTHORIZED_PAYMENT_STATUS[charge.status] || 'pending',
+          statusDetail: charge.paymentStatusDetail,
+          amount: charge.amount,
+          retryAttempt: charge.retryAttempt,
+          debitDate: charge.debitDate,
+        };
+      } else if (type === 'chargebacks') {
+        // Contestação: o MP informa os pagamentos afetados
+        const chargeback = await this.getChargeback(data.id);
+
+        return {
+          type: 'chargeback',
+          chargebackId: chargeback.id,
+          paymentIds: chargeback.paymentIds,
+          amount: chargeback.amount,
+        };
       }
 
       return {
@@ -701,6 +940,82 @@ class SimpleMercadoPagoAdapter extends PaymentAdapter {
     }
   }
 
+  /**
+   * URL para a organização autorizar a aplicação na própria conta do Mercado Pago
+   */
+  getOAuthAuthorizationUrl({ state, redirectUri }) {
+    this.assertOAuthConfigured();
+
+    const params = new URLSearchParams({
+      client_id: this.oauth.clientId,
+      response_type: 'code',
+      platform_id: 'mp',
+      state,
+      redirect_uri: redirectUri,
+    });
+    return `${this.oauth.authURL}?${params.toString()}`;
+  }
+
+  /**
+   * Troca o code do callback pelos tokens da conta da organização
+   */
+  async exchangeOAuthCode(code, redirectUri) {
+    return this.requestOAuthToken('exchangeOAuthCode', {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+    });
+  }
+
+  /**
+   * Renova o access token; o Mercado Pago devolve também um novo refresh token
+   */
+  async refreshOAuthToken(refreshToken) {
+    return this.requestOAuthToken('refreshOAuthToken', {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    });
+  }
+
+  async requestOAuthToken(operation, body) {
+    this.assertOAuthConfigured();
+
+    try {
+      // Sem o Authorization da plataforma: a aplicação se identifica pelo client_secret
+      const response = await axios.post(
+        `${this.baseURL}/oauth/token`,
+        { client_id: this.oauth.clientId, client_secret: this.oauth.clientSecret, ...body },
+        { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+      );
+      const token = response.data;
+
+      logger.info('[SIMPLE MP] Token OAuth obtido', { userId: token.user_id, operation });
+
+      return {
+        accessToken: token.access_token,
+        refreshToken: token.refresh_token,
+        publicKey: token.public_key,
+        userId: String(token.user_id),
+        expiresIn: token.expires_in,
+        liveMode: token.live_mode,
+        scope: token.scope,
+      };
+    } catch (error) {
+      logger.error('[SIMPLE MP] Erro no OAuth', error.response?.data || error.message);
+      throw new Error(`MercadoPagoAdapter/${operation} failed: ${error.message}`);
+    }
+  }
+
+  isOAuthConfigured() {
+    return !!(this.oauth.clientId && this.oauth.clientSecret);
+  }
+
+  assertOAuthConfigured() {
+    if (!this.isOAuthConfigured()) {
+      throw new Error('OAuth do Mercado Pago não configurado (client id/secret)');
+    }
+  }
+
   /**
    * Valida configuração do adapter
    */
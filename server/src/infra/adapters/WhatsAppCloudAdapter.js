@@ -0,0 +1,60 @@
+/**
+ * ADAPTER PATTERN - Envio de mensagens pela WhatsApp Cloud API (Meta)
+ * Usado pelo WhatsAppNotificationBridge
+ */
+
+const axios = require('axios');
+const { logger } = require('../logger');
+
+class WhatsAppCloudAdapter {
+  /**
+   * @param {Object} config - { accessToken, phoneNumberId, apiVersion }
+   */
+  constructor({ accessToken, phoneNumberId, apiVersion = 'v19.0' } = {}) {
+    if (!accessToken || !phoneNumberId) {
+      throw new Error('WhatsApp access token and phone number id are required');
+    }
+
+    this.phoneNumberId = phoneNumberId;
+    this.api = axios.create({
+      baseURL: `https://graph.facebook.com/${apiVersion}`,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: 10000,
+    });
+  }
+
+  /**
+   * Envia mensagem de texto
+   * @param {Object} messageData - { to, message } (to já formatado com DDI)
+   * @returns {Promise<{messageId: string}>}
+   */
+  async sendMessage(messageData) {
+    try {
+      const response = await this.api.post(`/${this.phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        to: messageData.to,
+        type: 'text',
+        text: { body: messageData.message, preview_url: true },
+      });
+
+      return { messageId: response.data?.messages?.[0]?.id };
+    } catch (error) {
+      logger.error(
+        '[WHATSAPP CLOUD] Erro ao enviar mensagem',
+        error.response?.data || error.message
+      );
+      throw new Error(
+        `WhatsAppCloudAdapter/sendMessage failed: ${error.response?.data?.error?.message || error.message}`
+      );
+    }
+  }
+
+  getProviderName() {
+    return 'whatsapp-cloud';
+  }
+}
+
+module.exports = WhatsAppCloudAdapter;
@@ -7,10 +7,11 @@ class WhatsAppUtils {
    * @param {string} phone - Número do telefone (apenas números)
    * @param {string} productName - Nome do produto
    * @param {string} organizationName - Nome da organização
-   * @param {number} price - Preço do produto
+   * @param {number} price - Preço do produto (ou da variação escolhida)
+   * @param {string|null} variantLabel - Variação escolhida, ex: "Tamanho: M, Cor: Azul"
    * @returns {string} Link do WhatsApp
    */
-  static generateProductLink(phone, productName, organizationName, price) {
+  static generateProductLink(phone, productName, organizationName, price, variantLabel = null) {
     // Remove caracteres não numéricos do telefone
     const cleanPhone = phone.replace(/\D/g, '');
 
@@ -21,8 +22,9 @@ class WhatsAppUtils {
     }).format(price);
 
     // Cria a mensagem personalizada
+    const itemName = variantLabel ? `${productName} (${variantLabel})` : productName;
     const message =
-      `Olá, tenho interesse no item ${productName} no valor de ${formattedPrice} ` +
+      `Olá, tenho interesse no item ${itemName} no valor de ${formattedPrice} ` +
       `anunciado no site da Rede Feminina de Combate ao Câncer. Ainda está disponível?`;
 
     // Codifica a mensagem para URL
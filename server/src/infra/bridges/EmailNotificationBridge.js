@@ -34,9 +34,10 @@ class EmailNotificationBridge extends INotificationBridge {
         from: options.from || process.env.EMAIL_FROM || 'noreply@marketplace-ongs.com',
       };
 
-      // Adiciona anexos se fornecidos
-      if (options.attachments) {
-        emailData.attachments = options.attachments;
+      // Adiciona anexos se fornecidos (anexos do destinatário permitem lote personalizado)
+      const attachments = [...(options.attachments || []), ...(recipient.attachments || [])];
+      if (attachments.length > 0) {
+        emailData.attachments = attachments;
       }
 
       const result = await this.adapter.sendEmail(emailData);
@@ -203,6 +204,10 @@ class EmailNotificationBridge extends INotificationBridge {
         return this.buildWelcomeTemplate(notification, recipient);
       case 'password_reset':
         return this.buildPasswordResetTemplate(notification, recipient);
+      case 'dunning':
+        return this.buildDunningTemplate(notification, recipient);
+      case 'annual_statement':
+        return this.buildAnnualStatementTemplate(notification, recipient);
       default:
         return this.buildDefaultTemplate(notification, recipient);
     }
@@ -373,6 +378,100 @@ class EmailNotificationBridge extends INotificationBridge {
     `;
   }
 
+  /**
+   * Template de cobrança recusada (dunning); a cor sobe com o nível do aviso
+   */
+  buildDunningTemplate(notification, recipient) {
+    const colors = {
+      grace: '#f0ad4e',
+      past_due: '#fd7e14',
+      final_notice: '#dc3545',
+      suspended: '#6c757d',
+    };
+    const color = colors[notification.level] || colors.grace;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${notification.title}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: ${color}; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          .button { display: inline-block; padding: 10px 20px; background: ${color}; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${notification.title}</h1>
+          </div>
+          <div class="content">
+            <p>Olá ${recipient.name || recipient.email},</p>
+            <p>${notification.message}</p>
+            <p><a href="${notification.actionUrl}" class="button">${notification.actionLabel || 'Atualizar cartão'}</a></p>
+            <p>Se o pagamento já foi regularizado, desconsidere este aviso.</p>
+          </div>
+          <div class="footer">
+            <p>Marketplace ONGs - Conectando causas e pessoas</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Template do informe anual de doações; o resumo vem em recipient.statement
+   */
+  buildAnnualStatementTemplate(notification, recipient) {
+    const statement = recipient.statement || {};
+    const total = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(
+      statement.totalAmount || 0
+    );
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${notification.title}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #28a745; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .summary { background: white; padding: 15px; border-radius: 5px; margin: 15px 0; }
+          .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${notification.title}</h1>
+          </div>
+          <div class="content">
+            <p>Olá ${recipient.name || recipient.email},</p>
+            <p>${notification.message}</p>
+            <div class="summary">
+              <p><strong>Doações no ano:</strong> ${statement.donationCount || 0}</p>
+              <p><strong>Total doado:</strong> ${total}</p>
+            </div>
+            <p>O informe completo segue em anexo, em PDF, para a sua declaração de imposto de renda.</p>
+          </div>
+          <div class="footer">
+            <p>Marketplace ONGs - Conectando causas e pessoas</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Verifica saúde do bridge
    * @returns {Promise<Object>} Status de saúde
@@ -248,6 +248,8 @@ class WhatsAppNotificationBridge extends INotificationBridge {
         return this.buildOrderUpdateMessage(notification, recipient);
       case 'payment_link':
         return this.buildPaymentLinkMessage(notification, recipient);
+      case 'dunning':
+        return this.buildDunningMessage(notification, recipient);
       default:
         return this.buildDefaultMessage(notification, recipient);
     }
@@ -294,6 +296,15 @@ class WhatsAppNotificationBridge extends INotificationBridge {
     return `💳 *Link de Pagamento*\n\nOlá ${name}!\n\nSeu link de pagamento está pronto:\n\n📦 *Produto:* ${notification.productName}\n💰 *Valor:* R$ ${notification.price}\n\n🔗 *Pagar via WhatsApp:*\n${notification.paymentUrl}\n\n_Clique no link para finalizar sua compra!_ 💚\n\n_Marketplace ONGs_`;
   }
 
+  /**
+   * Mensagem de cobrança recusada (dunning)
+   */
+  buildDunningMessage(notification, recipient) {
+    const name = recipient.name || 'Doador';
+    const icon = notification.level === 'final_notice' ? '🚨' : '⚠️';
+    return `${icon} *${notification.title}*\n\nOlá ${name}!\n\n${notification.message}\n\n💳 *Atualizar cartão:*\n${notification.actionUrl}\n\n_Marketplace ONGs_`;
+  }
+
   /**
    * Verifica saúde do bridge
    * @returns {Promise<Object>} Status de saúde
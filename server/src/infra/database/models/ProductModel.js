@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// Opção de variação (ex: Tamanho com P, M e G)
+const optionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    values: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// Variação vendável com SKU, preço opcional e estoque próprios
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  attributes: { type: Map, of: String, default: {} },
+  price: { type: Number, min: 0, default: null },
+  stock: { type: Number, min: 0, default: 0 },
+  reservedStock: { type: Number, min: 0, default: 0 },
+  imageUrls: { type: [String], default: [] },
+  isAvailable: { type: Boolean, default: true },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -50,15 +70,40 @@ const productSchema = new mongoose.Schema(
       min: 0,
       default: 1,
     },
+    // Soma das reservas ativas; nunca maior que stock
+    reservedStock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Com variações, stock e reservedStock do produto são as somas das variações
+    options: {
+      type: [optionSchema],
+      default: [],
+    },
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Index for better search performance
-productSchema.index({ name: 'text', description: 'text' });
+// Índice da busca do catálogo: português (stemming) e insensível a acentos (text index v3).
+// Só pode haver um índice de texto por coleção: bases antigas precisam remover
+// name_text_description_text antes de criar este.
+productSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  {
+    name: 'product_search_text',
+    weights: { name: 10, category: 5, description: 1 },
+    default_language: 'portuguese',
+  }
+);
 productSchema.index({ organizationId: 1 });
 productSchema.index({ isAvailable: 1 });
+productSchema.index({ isAvailable: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Product', productSchema);
@@ -14,7 +14,7 @@ const verificationCodeSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['email_verification', 'password_reset', 'registration'],
+      enum: ['email_verification', 'password_reset', 'registration', 'donor_login'],
       required: true,
     },
     expiresAt: {
@@ -25,6 +25,10 @@ const verificationCodeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
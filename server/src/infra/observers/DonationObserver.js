@@ -6,9 +6,18 @@ const { logger } = require('../logger');
  * Monitora criação, pagamento, cancelamento e recorrência
  */
 class DonationObserver extends IObserver {
-  constructor() {
+  /**
+   * @param {Object} dependencies - { topDonorService, dunningService, receiptService, matchingService,
+   *   transparencyFeedService } (opcionais)
+   */
+  constructor(dependencies = {}) {
     super();
     this.name = 'DonationObserver';
+    this.topDonorService = dependencies.topDonorService || null;
+    this.dunningService = dependencies.dunningService || null;
+    this.receiptService = dependencies.receiptService || null;
+    this.matchingService = dependencies.matchingService || null;
+    this.transparencyFeedService = dependencies.transparencyFeedService || null;
     this.eventTypes = [
       'donation.created',
       'donation.payment.approved',
@@ -17,7 +26,10 @@ class DonationObserver extends IObserver {
       'donation.cancelled',
       'donation.recurring.created',
       'donation.recurring.renewed',
+      'donation.recurring.charge_failed',
       'donation.recurring.cancelled',
+      'donation.refunded',
+      'donation.chargeback',
     ];
   }
 
@@ -51,9 +63,18 @@ class DonationObserver extends IObserver {
         case 'donation.recurring.renewed':
           await this.handleRecurringRenewed(event, context);
           break;
+        case 'donation.recurring.charge_failed':
+          await this.handleRecurringChargeFailed(event, context);
+          break;
         case 'donation.recurring.cancelled':
           await this.handleRecurringCancelled(event, context);
           break;
+        case 'donation.refunded':
+          await this.handleDonationRefunded(event, context);
+          break;
+        case 'donation.chargeback':
+          await this.handleDonationChargeback(event, context);
+          break;
         default:
           logger.warn(`[${this.name}] Tipo de evento não tratado: ${event.type}`);
       }
@@ -100,9 +121,24 @@ class DonationObserver extends IObserver {
       mercadoPagoId: event.data.mercadoPagoId,
     });
 
+    if (this.receiptService) {
+      await this.receiptService.handleDonationApproved(event.data.donationId);
+    }
+
+    if (this.topDonorService) {
+      await this.topDonorService.refreshForDonation(event.data.donationId);
+    }
+
+    // Empresas apoiadoras com regra de dobra ativa complementam a doação
+    if (this.matchingService) {
+      await this.matchingService.handleDonationApproved(event.data.donationId);
+    }
+
+    if (this.transparencyFeedService) {
+      await this.transparencyFeedService.publishPayment(event.data.donationId);
+    }
+
     // Lógica adicional:
-    // - Enviar email de agradecimento
-    // - Gerar recibo
     // - Atualizar estatísticas de arrecadação
     // - Notificar organização
   }
@@ -155,15 +191,66 @@ class DonationObserver extends IObserver {
 
   async handleRecurringRenewed(event, context) {
     logger.info(`[${this.name}] Doação recorrente renovada`, {
+      donationId: event.data.donationId,
+      chargeId: event.data.chargeId,
       subscriptionId: event.data.subscriptionId,
       amount: event.data.amount,
     });
 
+    // Parcela paga encerra eventual inadimplência da assinatura
+    if (this.dunningService) {
+      await this.dunningService.handleChargeRecovered({
+        subscriptionId: event.data.subscriptionId,
+        chargeId: event.data.chargeId,
+      });
+    }
+
+    if (this.receiptService) {
+      await this.receiptService.handleInstallmentPaid({
+        donationId: event.data.donationId,
+        chargeId: event.data.chargeId,
+        amount: event.data.amount,
+        chargedAt: event.data.chargedAt,
+      });
+    }
+
+    // Parcela conta no ranking do mês em que foi debitada
+    if (this.topDonorService) {
+      await this.topDonorService.refreshForDonation(event.data.donationId, event.data.chargedAt);
+    }
+
+    if (this.transparencyFeedService) {
+      await this.transparencyFeedService.publishPayment(event.data.donationId, {
+        paymentId: event.data.chargeId,
+        amount: event.data.amount,
+        paidAt: event.data.chargedAt,
+        type: 'recurring',
+      });
+    }
+
     // Lógica adicional:
-    // - Enviar recibo da cobrança mensal
     // - Atualizar estatísticas
   }
 
+  async handleRecurringChargeFailed(event, context) {
+    logger.warn(`[${this.name}] Cobrança recorrente recusada`, {
+      donationId: event.data.donationId,
+      chargeId: event.data.chargeId,
+      subscriptionId: event.data.subscriptionId,
+      retryAttempt: event.data.retryAttempt,
+      reason: event.data.reason,
+    });
+
+    if (this.dunningService) {
+      await this.dunningService.handleChargeFailed({
+        subscriptionId: event.data.subscriptionId,
+        chargeId: event.data.chargeId,
+        amount: event.data.amount,
+        reason: event.data.reason,
+      });
+    }
+  }
+
   async handleRecurringCancelled(event, context) {
     logger.info(`[${this.name}] Doação recorrente cancelada`, {
       subscriptionId: event.data.subscriptionId,
@@ -174,6 +261,57 @@ class DonationObserver extends IObserver {
     // - Pedir feedback
     // - Oferecer alternativas
   }
+
+  async handleDonationRefunded(event, context) {
+    logger.warn(`[${this.name}] Doação estornada`, {
+      donationId: event.data.donationId,
+      amount: event.data.amount,
+      refundedAmount: event.data.refundedAmount,
+      partial: event.data.partial,
+      origin: event.data.origin,
+    });
+
+    // Valor estornado deixa de contar no ranking de doadores
+    if (this.topDonorService) {
+      await this.topDonorService.applyDonationReversal({
+        donationId: event.data.donationId,
+        amount: event.data.amount,
+      });
+      await this.topDonorService.refreshForDonation(event.data.donationId);
+    }
+
+    if (this.matchingService) {
+      await this.matchingService.handleDonationReversed(event.data.donationId);
+    }
+
+    // Lógica adicional:
+    // - Avisar o doador sobre o estorno
+    // - Cancelar recibo emitido
+  }
+
+  async handleDonationChargeback(event, context) {
+    logger.warn(`[${this.name}] Chargeback recebido`, {
+      donationId: event.data.donationId,
+      amount: event.data.amount,
+      chargebackId: event.data.chargebackId,
+      organizationId: event.data.organizationId,
+    });
+
+    if (this.topDonorService) {
+      await this.topDonorService.applyDonationReversal({
+        donationId: event.data.donationId,
+        amount: event.data.amount,
+      });
+      await this.topDonorService.refreshForDonation(event.data.donationId);
+    }
+
+    if (this.matchingService) {
+      await this.matchingService.handleDonationReversed(event.data.donationId);
+    }
+
+    // Lógica adicional:
+    // - Notificar organização para enviar documentação da contestação
+  }
 }
 
 module.exports = DonationObserver;
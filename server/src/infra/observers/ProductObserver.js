@@ -111,9 +111,21 @@ class ProductObserver extends IObserver {
   }
 
   async handleStockLow(event, context) {
+    // Eventos antigos não trazem availableStock: sem reservas, disponível = estoque total
+    const availableStock = event.data.availableStock ?? event.data.currentStock;
+    if (availableStock >= event.data.threshold) {
+      return;
+    }
+
     logger.warn(`[${this.name}] Estoque baixo detectado`, {
       productId: event.data.productId,
       productName: event.data.productName,
+      // Em produtos com variações o alerta é da variação (números abaixo são dela)
+      variantId: event.data.variantId || null,
+      sku: event.data.sku || null,
+      variantLabel: event.data.variantLabel || null,
+      availableStock,
+      reservedStock: event.data.reservedStock || 0,
       currentStock: event.data.currentStock,
       threshold: event.data.threshold,
     });
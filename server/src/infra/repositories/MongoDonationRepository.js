@@ -10,8 +10,14 @@ const DonationSchema = new mongoose.Schema(
   {
     organizationId: { type: String, required: true },
     organizationName: { type: String, required: true },
+    // Campanha apoiada (Campaign, gravada via Prisma)
+    campaignId: { type: String, index: true, sparse: true },
+    // Página de arrecadação pessoal pela qual a doação foi feita (FundraisingPage)
+    fundraisingPageId: { type: String, index: true, sparse: true },
     donorEmail: { type: String, required: true },
     donorName: { type: String, required: true },
+    donorPhone: { type: String },
+    donorDocument: { type: String },
     amount: { type: Number, required: true },
     type: { type: String, enum: ['single', 'recurring'], required: true },
     status: {
@@ -19,12 +25,56 @@ const DonationSchema = new mongoose.Schema(
       enum: ['pending', 'approved', 'rejected', 'cancelled'],
       default: 'pending',
     },
-    paymentId: { type: String },
+    paymentStatus: { type: String, default: 'pending' },
+    statusHistory: {
+      type: [
+        {
+          _id: false,
+          from: { type: String, default: null },
+          to: { type: String, required: true },
+          source: { type: String },
+          timestamp: { type: Date, default: Date.now },
+          metadata: { type: Object, default: {} },
+        },
+      ],
+      default: [],
+    },
+    refundedAmount: { type: Number, default: 0 },
+    refunds: {
+      type: [
+        {
+          _id: false,
+          refundId: { type: String },
+          amount: { type: Number, required: true },
+          reason: { type: String },
+          requestedBy: { type: String },
+          status: { type: String },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    lastReconciledAt: { type: Date },
+    // Pagamento aprovado no provedor; no checkout o mercadoPagoId é a preferência
+    paymentId: { type: String, index: true, sparse: true },
+    // Id do pagamento/preferência no provedor (mantém o nome da época em que só havia Mercado Pago)
     mercadoPagoId: { type: String, sparse: true },
+    paymentProvider: { type: String, enum: ['mercadopago', 'pagarme'], default: 'mercadopago' },
+    paymentMethod: { type: String },
+    // Cobrança PIX: dinâmica (Mercado Pago) ou BR Code estático da chave da organização
+    pix: {
+      mode: { type: String, enum: ['mercadopago', 'static'] },
+      qrCode: { type: String },
+      qrCodeBase64: { type: String },
+      ticketUrl: { type: String },
+      txid: { type: String },
+      expiresAt: { type: Date },
+    },
     subscriptionId: { type: String },
     frequency: { type: String, enum: ['monthly', 'quarterly', 'yearly'] },
     message: { type: String },
     isAnonymous: { type: Boolean, default: false },
+    showInPublicList: { type: Boolean, default: true },
     metadata: { type: Object, default: {} },
   },
   {
@@ -34,6 +84,81 @@ const DonationSchema = new mongoose.Schema(
 
 const DonationModel = mongoose.model('Donation', DonationSchema);
 
+// Comparação de email sem diferenciar maiúsculas (doações antigas guardam o email como digitado)
+const DONOR_EMAIL_COLLATION = { locale: 'en', strength: 2 };
+
+const EMPTY_STATISTICS = {
+  count: 0,
+  approved: 0,
+  pending: 0,
+  refunded: 0,
+  anonymous: 0,
+  amount: 0,
+  refundedAmount: 0,
+};
+
+// Agrupamento comum a doações únicas e parcelas; valor líquido de estornos parciais
+function buildStatisticsGroup(statusExpr) {
+  return {
+    _id: null,
+    count: { $sum: 1 },
+    approved: { $sum: { $cond: [{ $eq: [statusExpr, 'approved'] }, 1, 0] } },
+    pending: { $sum: { $cond: [{ $eq: [statusExpr, 'pending'] }, 1, 0] } },
+    refunded: { $sum: { $cond: [{ $in: [statusExpr, ['refunded', 'charged_back']] }, 1, 0] } },
+    anonymous: { $sum: { $cond: ['$isAnonymous', 1, 0] } },
+    amount: {
+      $sum: {
+        $cond: [
+          { $eq: [statusExpr, 'approved'] },
+          { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] },
+          0,
+        ],
+      },
+    },
+    // Parcelas não têm refundedAmount: estornada conta pelo valor inteiro
+    refundedAmount: {
+      $sum: {
+        $ifNull: ['$refundedAmount', { $cond: [{ $eq: [statusExpr, 'refunded'] }, '$amount', 0] }],
+      },
+    },
+  };
+}
+
+/**
+ * Valor líquido aprovado por doador (e por `keyExpr`, quando informado), somando doações únicas
+ * e parcelas de recorrentes (coleção donation_charges)
+ */
+async function aggregateApprovedByDonor(match, keyExpr = null) {
+  const pipeline = (statusExpr) => [
+    { $match: { ...match, $expr: { $eq: [statusExpr, 'approved'] } } },
+    {
+      $group: {
+        _id: keyExpr ? { key: keyExpr, donor: '$donorEmail' } : { donor: '$donorEmail' },
+        amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+      },
+    },
+  ];
+
+  const [singles, charges] = await Promise.all([
+    DonationModel.aggregate([
+      { $match: { type: { $ne: 'recurring' } } },
+      ...pipeline({ $ifNull: ['$paymentStatus', '$status'] }),
+    ]),
+    mongoose.connection.collection('donation_charges').aggregate(pipeline('$status')).toArray(),
+  ]);
+  return [...singles, ...charges];
+}
+
+function summarizeDonors(rows) {
+  const donors = new Set();
+  let raisedAmount = 0;
+  for (const row of rows) {
+    donors.add(row._id.donor);
+    raisedAmount += row.amount;
+  }
+  return { raisedAmount: Math.round(raisedAmount * 100) / 100, donorCount: donors.size };
+}
+
 class MongoDonationRepository {
   constructor() {
     console.log('[MONGO DONATION REPOSITORY] Inicializado');
@@ -89,6 +214,38 @@ class MongoDonationRepository {
     }
   }
 
+  /**
+   * Doações do doador no portal; o email é comparado sem diferenciar maiúsculas
+   */
+  async findForDonor(donorEmail) {
+    try {
+      return await DonationModel.find({ donorEmail })
+        .collation(DONOR_EMAIL_COLLATION)
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao buscar doações do doador:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza nome/telefone em todas as doações do doador
+   */
+  async updateDonorContact(donorEmail, contact) {
+    try {
+      const result = await DonationModel.updateMany({ donorEmail }, { $set: contact }).collation(
+        DONOR_EMAIL_COLLATION
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao atualizar contato do doador:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
   async updateStatus(id, status) {
     try {
       const donation = await DonationModel.findByIdAndUpdate(
@@ -103,6 +260,52 @@ class MongoDonationRepository {
     }
   }
 
+  /**
+   * Troca o status apenas se ainda estiver em fromStatus (compare-and-set) e registra histórico
+   * @returns {Promise<Object|null>} Doação atualizada ou null se o status mudou concorrentemente
+   */
+  async transitionStatus(id, fromStatus, toStatus, historyEntry, data = {}) {
+    try {
+      // Documentos antigos podem não ter paymentStatus gravado (equivale a 'pending')
+      const statusFilter =
+        fromStatus === 'pending'
+          ? { $or: [{ paymentStatus: 'pending' }, { paymentStatus: { $exists: false } }] }
+          : { paymentStatus: fromStatus };
+
+      const donation = await DonationModel.findOneAndUpdate(
+        { _id: id, ...statusFilter },
+        {
+          $set: { ...data, paymentStatus: toStatus, updatedAt: new Date() },
+          $push: { statusHistory: historyEntry },
+        },
+        { new: true }
+      );
+      return donation;
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao transicionar status:', error.message);
+      throw error;
+    }
+  }
+
+  async registerRefund(id, refund) {
+    try {
+      const donation = await DonationModel.findByIdAndUpdate(
+        id,
+        {
+          $push: { refunds: refund },
+          $inc: { refundedAmount: refund.amount },
+          $set: { updatedAt: new Date() },
+        },
+        { new: true }
+      );
+      console.log('[MONGO DONATION REPOSITORY] Estorno registrado:', id, refund.amount);
+      return donation;
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao registrar estorno:', error.message);
+      throw error;
+    }
+  }
+
   async update(id, updateData) {
     try {
       const donation = await DonationModel.findByIdAndUpdate(
@@ -128,6 +331,312 @@ class MongoDonationRepository {
     }
   }
 
+  async findStaleByStatus(statuses, { createdBefore, createdAfter, limit = 50 } = {}) {
+    try {
+      const createdAt = { $lte: createdBefore };
+      if (createdAfter) {
+        createdAt.$gte = createdAfter;
+      }
+
+      // Menos verificadas primeiro, para que falhas recorrentes não travem o lote
+      return await DonationModel.find({
+        $or: [
+          { paymentStatus: { $in: statuses } },
+          { paymentStatus: { $exists: false }, status: { $in: statuses } },
+        ],
+        createdAt,
+      })
+        .sort({ lastReconciledAt: 1, createdAt: 1 })
+        .limit(limit);
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao buscar doações pendentes:', error.message);
+      throw error;
+    }
+  }
+
+  async findApprovedSingleByOrganization(organizationId, { createdAfter, createdBefore } = {}) {
+    try {
+      return await DonationModel.find({
+        organizationId,
+        type: 'single',
+        paymentStatus: 'approved',
+        createdAt: { $gte: createdAfter, $lte: createdBefore },
+      }).sort({ createdAt: 1 });
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao buscar doações aprovadas:', error.message);
+      throw error;
+    }
+  }
+
+  async findByIds(ids) {
+    try {
+      return await DonationModel.find({ _id: { $in: ids } });
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao buscar doações por IDs:', error.message);
+      throw error;
+    }
+  }
+
+  async markReconciled(id, reconciledAt = new Date()) {
+    try {
+      await DonationModel.updateOne({ _id: id }, { $set: { lastReconciledAt: reconciledAt } });
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao marcar reconciliação:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Estatísticas de arrecadação
+   * Doações recorrentes contam pelas parcelas cobradas (coleção donation_charges, gravada
+   * pelo PrismaDonationChargeRepository), não pela doação-mãe
+   */
+  async getStatistics(organizationId, dateRange = {}) {
+    try {
+      const match = {};
+      const chargeMatch = {};
+      if (organizationId) {
+        match.organizationId = organizationId;
+        chargeMatch.organizationId = organizationId;
+      }
+
+      if (dateRange.startDate || dateRange.endDate) {
+        match.createdAt = {};
+        chargeMatch.chargedAt = {};
+        if (dateRange.startDate) {
+          match.createdAt.$gte = new Date(dateRange.startDate);
+          chargeMatch.chargedAt.$gte = new Date(dateRange.startDate);
+        }
+        if (dateRange.endDate) {
+          match.createdAt.$lte = new Date(dateRange.endDate);
+          chargeMatch.chargedAt.$lte = new Date(dateRange.endDate);
+        }
+      }
+
+      // Documentos antigos só têm `status`
+      const [[singles], [charges], subscriptions] = await Promise.all([
+        DonationModel.aggregate([
+          { $match: { ...match, type: { $ne: 'recurring' } } },
+          { $group: buildStatisticsGroup({ $ifNull: ['$paymentStatus', '$status'] }) },
+        ]),
+        mongoose.connection
+          .collection('donation_charges')
+          .aggregate([{ $match: chargeMatch }, { $group: buildStatisticsGroup('$status') }])
+          .toArray(),
+        DonationModel.countDocuments({ ...match, type: 'recurring' }),
+      ]);
+
+      const single = singles || EMPTY_STATISTICS;
+      const recurring = charges || EMPTY_STATISTICS;
+      const totalDonations = single.count + recurring.count;
+      const approvedDonations = single.approved + recurring.approved;
+      const anonymousDonations = single.anonymous + recurring.anonymous;
+      const totalAmount = single.amount + recurring.amount;
+
+      return {
+        totalDonations,
+        singleDonations: single.count,
+        recurringDonations: recurring.count,
+        subscriptions,
+        approvedDonations,
+        pendingDonations: single.pending + recurring.pending,
+        refundedDonations: single.refunded + recurring.refunded,
+        anonymousDonations,
+        totalAmount,
+        refundedAmount: single.refundedAmount + recurring.refundedAmount,
+        avgAmount: approvedDonations > 0 ? totalAmount / approvedDonations : 0,
+        publicDonations: totalDonations - anonymousDonations,
+      };
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao obter estatísticas:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Arrecadação da campanha: doações únicas aprovadas (líquidas de estornos) mais as parcelas
+   * aprovadas das recorrentes. Doadores contados por e-mail, sem repetir entre os dois grupos.
+   * matchedAmount soma o que as empresas apoiadoras dobraram (coleção matched_donations).
+   */
+  async getCampaignTotals(campaignId) {
+    try {
+      const [rows, [matched]] = await Promise.all([
+        aggregateApprovedByDonor({ campaignId }),
+        mongoose.connection
+          .collection('matched_donations')
+          .aggregate([
+            { $match: { campaignId, status: 'matched' } },
+            { $group: { _id: null, amount: { $sum: '$matchedAmount' } } },
+          ])
+          .toArray(),
+      ]);
+      return {
+        ...summarizeDonors(rows),
+        matchedAmount: matched ? Math.round(matched.amount * 100) / 100 : 0,
+      };
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao somar arrecadação da campanha:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  async getFundraisingPageTotals(fundraisingPageId) {
+    try {
+      return summarizeDonors(await aggregateApprovedByDonor({ fundraisingPageId }));
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao somar arrecadação da página:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Arrecadação de cada página de arrecadação da campanha
+   * @returns {Promise<Array<{fundraisingPageId, raisedAmount, donorCount}>>}
+   */
+  async getFundraisingTotalsByPage(campaignId) {
+    try {
+      const rows = await aggregateApprovedByDonor(
+        { campaignId, fundraisingPageId: { $ne: null } },
+        '$fundraisingPageId'
+      );
+
+      const pages = new Map();
+      for (const row of rows) {
+        const pageId = row._id.key;
+        if (!pages.has(pageId)) {
+          pages.set(pageId, []);
+        }
+        pages.get(pageId).push(row);
+      }
+
+      return [...pages].map(([fundraisingPageId, pageRows]) => ({
+        fundraisingPageId,
+        ...summarizeDonors(pageRows),
+      }));
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao somar arrecadação das páginas:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Valores dobrados por empresas apoiadoras para as doações informadas
+   */
+  async findMatchedDonations(donationIds) {
+    try {
+      return await mongoose.connection
+        .collection('matched_donations')
+        .find({ donationId: { $in: donationIds.map(String) }, status: 'matched' })
+        .toArray();
+    } catch (error) {
+      console.error('[MONGO DONATION REPOSITORY] Erro ao buscar doações dobradas:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pagamentos aprovados no período (ranking de doadores e feed de transparência): doações
+   * únicas (líquidas de estornos parciais) e parcelas recorrentes, com doador e privacidade
+   * da doação-mãe
+   * @param {Object} params - { from, to, donorEmail, organizationId, campaignId }
+   *   (filtros opcionais)
+   */
+  async findApprovedPayments({
+    from,
+    to,
+    donorEmail = null,
+    organizationId = null,
+    campaignId = null,
+  }) {
+    try {
+      const donorFilter = donorEmail ? { donorEmail } : {};
+      const targetFilter = {};
+      if (organizationId) {
+        targetFilter.organizationId = String(organizationId);
+      }
+      if (campaignId) {
+        targetFilter.campaignId = String(campaignId);
+      }
+
+      const singles = await DonationModel.find({
+        ...donorFilter,
+        ...targetFilter,
+        type: { $ne: 'recurring' },
+        createdAt: { $gte: from, $lte: to },
+        $expr: { $eq: [{ $ifNull: ['$paymentStatus', '$status'] }, 'approved'] },
+      })
+        .collation(DONOR_EMAIL_COLLATION)
+        .lean();
+
+      const chargeFilter = {
+        ...targetFilter,
+        status: 'approved',
+        chargedAt: { $gte: from, $lte: to },
+      };
+      if (donorEmail) {
+        const parentIds = await DonationModel.find({ ...donorFilter, type: 'recurring' })
+          .collation(DONOR_EMAIL_COLLATION)
+          .distinct('_id');
+        chargeFilter.donationId = { $in: parentIds };
+      }
+      const charges = await mongoose.connection
+        .collection('donation_charges')
+        .find(chargeFilter)
+        .toArray();
+      const parents = charges.length
+        ? await DonationModel.find({ _id: { $in: charges.map((c) => c.donationId) } }).lean()
+        : [];
+      const parentsById = new Map(parents.map((p) => [String(p._id), p]));
+
+      const toPayment = (donation, amount, paidAt, type, paymentId) => ({
+        paymentId: String(paymentId),
+        donationId: String(donation._id),
+        donorEmail: donation.donorEmail,
+        donorName: donation.donorName,
+        organizationId: donation.organizationId,
+        organizationName: donation.organizationName,
+        campaignId: donation.campaignId || null,
+        isAnonymous: !!donation.isAnonymous,
+        showInPublicList: donation.showInPublicList !== false,
+        type,
+        amount: Math.round(amount * 100) / 100,
+        paidAt,
+      });
+
+      return [
+        ...singles.map((d) =>
+          toPayment(d, d.amount - (d.refundedAmount || 0), d.createdAt, 'single', d._id)
+        ),
+        ...charges
+          .filter((c) => parentsById.has(String(c.donationId)))
+          .map((c) =>
+            toPayment(
+              parentsById.get(String(c.donationId)),
+              c.amount,
+              c.chargedAt,
+              'recurring',
+              c._id
+            )
+          ),
+      ];
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao buscar pagamentos para o ranking:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
   async findByMercadoPagoId(mercadoPagoId) {
     try {
       const donation = await DonationModel.findOne({ mercadoPagoId });
@@ -138,6 +647,34 @@ class MongoDonationRepository {
     }
   }
 
+  async findByPaymentId(paymentId) {
+    try {
+      const donation = await DonationModel.findOne({ paymentId: String(paymentId) });
+      return donation;
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao buscar doação por pagamento:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  async findByExternalReference(externalReference) {
+    try {
+      const donation = await DonationModel.findOne({
+        'metadata.externalReference': String(externalReference),
+      });
+      return donation;
+    } catch (error) {
+      console.error(
+        '[MONGO DONATION REPOSITORY] Erro ao buscar doação por referência externa:',
+        error.message
+      );
+      throw error;
+    }
+  }
+
   async existsByMercadoPagoId(mercadoPagoId) {
     try {
       const donation = await DonationModel.findOne({ mercadoPagoId });
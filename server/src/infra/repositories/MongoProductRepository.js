@@ -1,7 +1,11 @@
 // Interface removida na limpeza
+const mongoose = require('mongoose');
 const ProductModel = require('../database/models/ProductModel');
 const Product = require('../../domain/entities/Product');
 
+// Faixas de preço da faceta: [0, 25), [25, 50), [50, 100), [100, 200) e 200 ou mais
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 200];
+
 class MongoProductRepository {
   async save(product) {
     try {
@@ -14,7 +18,9 @@ class MongoProductRepository {
         organizationName: product.organizationName,
         isAvailable: product.isAvailable,
         category: product.category,
-        stock: product.stock || 1,
+        stock: product.stock ?? 1,
+        options: product.options || [],
+        variants: this._toVariantDocs(product.variants),
         createdAt: product.createdAt || new Date(), // Explicitly set
         updatedAt: product.updatedAt || new Date(), // Explicitly set
       };
@@ -55,11 +61,11 @@ class MongoProductRepository {
 
   async update(id, productData) {
     try {
-      const updatedProduct = await ProductModel.findByIdAndUpdate(
-        id,
-        { ...productData, updatedAt: new Date() },
-        { new: true }
-      );
+      const data = { ...productData, updatedAt: new Date() };
+      if (productData.variants) {
+        data.variants = this._toVariantDocs(productData.variants);
+      }
+      const updatedProduct = await ProductModel.findByIdAndUpdate(id, data, { new: true });
       return updatedProduct ? this._mapToEntity(updatedProduct) : null;
     } catch (error) {
       throw new Error(`Error updating product: ${error.message}`);
@@ -84,18 +90,374 @@ class MongoProductRepository {
     }
   }
 
-  async searchByName(name) {
+  /**
+   * Busca do catálogo: texto (índice de texto em português, sem acentos), filtros, ordenação com
+   * cursor e contagens por faceta numa única agregação.
+   * Cada faceta conta com todos os filtros menos o dela, para o cliente mostrar as alternativas.
+   * @param {Object} criteria - { text, scope, filters, sort: { field, direction }, after, limit }
+   * @returns {Promise<{items: Product[], total: number, facets: Object, next: Object|null}>}
+   */
+  async search({ text = null, scope = {}, filters = {}, sort, after = null, limit = 20 }) {
     try {
-      const products = await ProductModel.find({
-        $text: { $search: name },
-        isAvailable: true,
-      });
-      return products.map((product) => this._mapToEntity(product));
+      const clauses = this._searchClauses(filters);
+      const matchExcept = (...keys) => {
+        const active = Object.entries(clauses)
+          .filter(([key]) => !keys.includes(key))
+          .map(([, clause]) => clause);
+        return { $match: active.length > 0 ? { $and: active } : {} };
+      };
+      const order = { [sort.field]: sort.direction, _id: sort.direction };
+
+      const [result] = await ProductModel.aggregate([
+        { $match: { ...(text ? { $text: { $search: text } } : {}), ...this._scopeMatch(scope) } },
+        ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        {
+          $facet: {
+            items: [
+              matchExcept(),
+              ...(after ? [{ $match: this._afterMatch(sort, after) }] : []),
+              { $sort: order },
+              { $limit: limit + 1 },
+            ],
+            total: [matchExcept(), { $count: 'count' }],
+            categories: [
+              matchExcept('categories'),
+              { $group: { _id: '$category', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+            ],
+            organizations: [
+              matchExcept('organizationId'),
+              {
+                $group: {
+                  _id: '$organizationId',
+                  name: { $first: '$organizationName' },
+                  count: { $sum: 1 },
+                },
+              },
+              { $sort: { count: -1, name: 1 } },
+            ],
+            priceRanges: [
+              matchExcept('price'),
+              {
+                $bucket: {
+                  groupBy: '$price',
+                  boundaries: PRICE_BOUNDARIES,
+                  default: 'above',
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+            availability: [
+              matchExcept('isAvailable', 'inStock'),
+              {
+                $group: {
+                  _id: null,
+                  available: { $sum: { $cond: ['$isAvailable', 1, 0] } },
+                  unavailable: { $sum: { $cond: ['$isAvailable', 0, 1] } },
+                  inStock: { $sum: { $cond: [this._inStockExpr(), 1, 0] } },
+                },
+              },
+            ],
+          },
+        },
+      ]);
+
+      const docs = result.items.slice(0, limit);
+      const last = docs[docs.length - 1];
+      return {
+        items: docs.map((doc) => this._mapToEntity(doc)),
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        facets: this._mapFacets(result),
+        next:
+          result.items.length > limit ? { value: last[sort.field], id: last._id.toString() } : null,
+      };
     } catch (error) {
       throw new Error(`Error searching products: ${error.message}`);
     }
   }
 
+  /**
+   * Baixa o estoque só se houver quantidade livre (fora de reservas) suficiente
+   * (operação atômica no documento). Com variantId, baixa a variação e a soma do produto.
+   * @returns {Promise<Product|null>} null se o estoque disponível não cobre a quantidade
+   */
+  async decrementStock(id, quantity, variantId = null) {
+    try {
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        { _id: id, ...this._availableAtLeast(quantity, variantId) },
+        this._stockChange({ stock: -quantity }, variantId),
+        this._updateOptions(variantId)
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error decrementing product stock: ${error.message}`);
+    }
+  }
+
+  async incrementStock(id, quantity, variantId = null) {
+    try {
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        { _id: id, ...this._hasVariant(variantId) },
+        this._stockChange({ stock: quantity }, variantId),
+        this._updateOptions(variantId)
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error incrementing product stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Define o estoque total sem deixá-lo abaixo do que já está reservado
+   * @returns {Promise<Product|null>} null se o produto não existe ou há mais unidades reservadas
+   */
+  async setStock(id, stock) {
+    try {
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        { _id: id, $expr: { $lte: [{ $ifNull: ['$reservedStock', 0] }, stock] } },
+        { $set: { stock, updatedAt: new Date() } },
+        { new: true }
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error setting product stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Define o estoque de uma variação e ajusta a soma do produto
+   * Só grava se a variação ainda tem o estoque lido (outra venda no meio invalida a conta)
+   * @returns {Promise<Product|null>} null se a variação mudou ou tem mais unidades reservadas
+   */
+  async setVariantStock(id, variantId, stock) {
+    try {
+      const current = await ProductModel.findById(id);
+      const variant = current ? current.variants.id(variantId) : null;
+      if (!variant || (variant.reservedStock || 0) > stock) {
+        return null;
+      }
+
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        {
+          _id: id,
+          variants: { $elemMatch: { _id: variant._id, stock: variant.stock } },
+        },
+        {
+          $inc: { stock: stock - variant.stock },
+          $set: { 'variants.$.stock': stock, updatedAt: new Date() },
+        },
+        { new: true }
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error setting variant stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reserva unidades do estoque disponível (stock - reservedStock) do produto ou da variação
+   * @returns {Promise<Product|null>} null se não há unidades livres suficientes
+   */
+  async reserveStock(id, quantity, variantId = null) {
+    try {
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        { _id: id, ...this._availableAtLeast(quantity, variantId) },
+        this._stockChange({ reservedStock: quantity }, variantId),
+        this._updateOptions(variantId)
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error reserving product stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Devolve unidades reservadas ao estoque disponível
+   */
+  async releaseReservedStock(id, quantity, variantId = null) {
+    try {
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        { _id: id, ...this._hasAtLeast({ reservedStock: quantity }, variantId) },
+        this._stockChange({ reservedStock: -quantity }, variantId),
+        this._updateOptions(variantId)
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error releasing reserved stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converte unidades reservadas em venda: saem da reserva e do estoque total
+   */
+  async convertReservedStock(id, quantity, variantId = null) {
+    try {
+      const updatedProduct = await ProductModel.findOneAndUpdate(
+        { _id: id, ...this._hasAtLeast({ reservedStock: quantity, stock: quantity }, variantId) },
+        this._stockChange({ stock: -quantity, reservedStock: -quantity }, variantId),
+        this._updateOptions(variantId)
+      );
+      return updatedProduct ? this._mapToEntity(updatedProduct) : null;
+    } catch (error) {
+      throw new Error(`Error converting reserved stock: ${error.message}`);
+    }
+  }
+
+  _availableAtLeast(quantity, variantId = null) {
+    const available = (path) => ({
+      $gte: [{ $subtract: [`${path}stock`, { $ifNull: [`${path}reservedStock`, 0] }] }, quantity],
+    });
+    if (!variantId) {
+      return { $expr: available('$') };
+    }
+    return {
+      $expr: {
+        $anyElementTrue: [
+          {
+            $map: {
+              input: { $ifNull: ['$variants', []] },
+              as: 'variant',
+              in: {
+                $and: [
+                  { $eq: ['$$variant._id', new mongoose.Types.ObjectId(String(variantId))] },
+                  available('$$variant.'),
+                ],
+              },
+            },
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Filtro "campo >= mínimo" no produto ou na variação
+   */
+  _hasAtLeast(minimums, variantId = null) {
+    const conditions = {};
+    Object.entries(minimums).forEach(([field, minimum]) => {
+      conditions[field] = { $gte: minimum };
+    });
+    if (!variantId) {
+      return conditions;
+    }
+    return { variants: { $elemMatch: { _id: variantId, ...conditions } } };
+  }
+
+  _hasVariant(variantId) {
+    return variantId ? { 'variants._id': variantId } : {};
+  }
+
+  /**
+   * $inc nos campos do produto e, com variantId, nos mesmos campos da variação
+   */
+  _stockChange(changes, variantId = null) {
+    const inc = { ...changes };
+    if (variantId) {
+      Object.entries(changes).forEach(([field, value]) => {
+        inc[`variants.$[variant].${field}`] = value;
+      });
+    }
+    return { $inc: inc, $set: { updatedAt: new Date() } };
+  }
+
+  _updateOptions(variantId = null) {
+    if (!variantId) {
+      return { new: true };
+    }
+    return {
+      new: true,
+      arrayFilters: [{ 'variant._id': new mongoose.Types.ObjectId(String(variantId)) }],
+    };
+  }
+
+  _scopeMatch({ organizationId, isAvailable } = {}) {
+    const match = {};
+    if (organizationId) {
+      match.organizationId = this._objectId(organizationId);
+    }
+    if (isAvailable !== undefined) {
+      match.isAvailable = isAvailable;
+    }
+    return match;
+  }
+
+  _searchClauses({ categories, organizationId, price, isAvailable, inStock } = {}) {
+    const clauses = {};
+    if (categories) {
+      clauses.categories = { category: { $in: categories } };
+    }
+    if (organizationId) {
+      clauses.organizationId = { organizationId: this._objectId(organizationId) };
+    }
+    if (price) {
+      const range = {};
+      if (price.min !== null) {
+        range.$gte = price.min;
+      }
+      if (price.max !== null) {
+        range.$lte = price.max;
+      }
+      clauses.price = { price: range };
+    }
+    if (isAvailable !== undefined) {
+      clauses.isAvailable = { isAvailable };
+    }
+    if (inStock) {
+      clauses.inStock = { $expr: this._inStockExpr() };
+    }
+    return clauses;
+  }
+
+  _inStockExpr() {
+    return { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, 0] };
+  }
+
+  /**
+   * Continua depois do último item da página anterior (desempate pelo _id)
+   */
+  _afterMatch({ field, direction }, { value, id }) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    const objectId = this._objectId(id);
+    return {
+      $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: objectId } }],
+    };
+  }
+
+  _objectId(id) {
+    if (!/^[a-f\d]{24}$/i.test(String(id))) {
+      throw new Error(`Invalid id: ${id}`);
+    }
+    return new mongoose.Types.ObjectId(String(id));
+  }
+
+  _mapFacets(result) {
+    const availability = result.availability[0] || { available: 0, unavailable: 0, inStock: 0 };
+    return {
+      categories: result.categories.map(({ _id, count }) => ({ value: _id || null, count })),
+      organizations: result.organizations.map(({ _id, name, count }) => ({
+        id: _id.toString(),
+        name,
+        count,
+      })),
+      priceRanges: result.priceRanges.map(({ _id, count }) => {
+        if (_id === 'above') {
+          return { min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1], max: null, count };
+        }
+        return { min: _id, max: PRICE_BOUNDARIES[PRICE_BOUNDARIES.indexOf(_id) + 1], count };
+      }),
+      availability: {
+        available: availability.available,
+        unavailable: availability.unavailable,
+        inStock: availability.inStock,
+      },
+    };
+  }
+
+  _toVariantDocs(variants = []) {
+    return (variants || []).map(({ id, ...variant }) => (id ? { _id: id, ...variant } : variant));
+  }
+
   _mapToEntity(productDoc) {
     return new Product(
       productDoc._id.toString(),
@@ -109,9 +471,32 @@ class MongoProductRepository {
       productDoc.createdAt,
       productDoc.updatedAt,
       productDoc.category,
-      productDoc.stock || 1
+      productDoc.stock ?? 1,
+      productDoc.reservedStock || 0,
+      (productDoc.options || []).map((option) => ({
+        name: option.name,
+        values: [...(option.values || [])],
+      })),
+      (productDoc.variants || []).map((variant) => this._mapVariant(variant))
     );
   }
+
+  _mapVariant(variantDoc) {
+    const attributes =
+      variantDoc.attributes instanceof Map
+        ? Object.fromEntries(variantDoc.attributes)
+        : { ...(variantDoc.attributes || {}) };
+    return {
+      id: variantDoc._id.toString(),
+      sku: variantDoc.sku,
+      attributes,
+      price: variantDoc.price ?? null,
+      stock: variantDoc.stock || 0,
+      reservedStock: variantDoc.reservedStock || 0,
+      imageUrls: [...(variantDoc.imageUrls || [])],
+      isAvailable: variantDoc.isAvailable !== false,
+    };
+  }
 }
 
 module.exports = MongoProductRepository;
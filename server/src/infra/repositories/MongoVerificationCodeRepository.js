@@ -110,6 +110,49 @@ class MongoVerificationCodeRepository {
     }
   }
 
+  /**
+   * Registrar uma tentativa incorreta no código ativo do email; ao atingir maxAttempts o
+   * código é invalidado
+   * @returns {Promise<number>} Tentativas incorretas do código (0 se não há código ativo)
+   */
+  async registerFailedAttempt(email, type, maxAttempts) {
+    try {
+      const verificationCode = await VerificationCodeModel.findOneAndUpdate(
+        {
+          email,
+          type,
+          used: false,
+          expiresAt: {
+            $gte: new Date(),
+          },
+        },
+        { $inc: { failedAttempts: 1 } },
+        { new: true, sort: { createdAt: -1 } }
+      );
+
+      if (!verificationCode) {
+        return 0;
+      }
+
+      if (verificationCode.failedAttempts >= maxAttempts) {
+        await VerificationCodeModel.updateOne({ _id: verificationCode._id }, { used: true });
+        logger.warn('Código de verificação invalidado por tentativas incorretas', {
+          id: verificationCode._id.toString(),
+          type,
+        });
+      }
+
+      return verificationCode.failedAttempts;
+    } catch (error) {
+      logger.error('Erro ao registrar tentativa incorreta', {
+        error: error.message,
+        email,
+        type,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Invalidar todos os códigos anteriores de um email e tipo
    */
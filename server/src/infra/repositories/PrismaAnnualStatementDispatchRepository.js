@@ -0,0 +1,47 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository dos envios em lote dos informes anuais de doação usando Prisma
+ * Um registro por organização e ano evita reenviar o informe a cada rodada do worker
+ */
+class PrismaAnnualStatementDispatchRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async findByOrganizationAndYear(organizationId, year) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.annualStatementDispatch.findUnique({
+        where: { organizationId_year: { organizationId, year } },
+      });
+    } catch (error) {
+      console.error('[PRISMA ANNUAL STATEMENT DISPATCH REPOSITORY] Erro ao buscar envio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grava o resultado do envio (reenvio forçado sobrescreve o anterior)
+   */
+  async save(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      const { organizationId, year } = data;
+      return await prisma.annualStatementDispatch.upsert({
+        where: { organizationId_year: { organizationId, year } },
+        create: data,
+        update: data,
+      });
+    } catch (error) {
+      console.error('[PRISMA ANNUAL STATEMENT DISPATCH REPOSITORY] Erro ao salvar envio:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaAnnualStatementDispatchRepository;
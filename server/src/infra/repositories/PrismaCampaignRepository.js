@@ -0,0 +1,79 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository das campanhas de arrecadação usando Prisma
+ */
+class PrismaCampaignRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.campaign.create({ data });
+    } catch (error) {
+      console.error('[PRISMA CAMPAIGN REPOSITORY] Erro ao criar campanha:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.campaign.findUnique({ where: { id } });
+    } catch (error) {
+      // Id fora do formato ObjectId
+      if (error.code === 'P2023') {
+        return null;
+      }
+      console.error('[PRISMA CAMPAIGN REPOSITORY] Erro ao buscar campanha:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.campaign.update({ where: { id }, data });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      console.error('[PRISMA CAMPAIGN REPOSITORY] Erro ao atualizar campanha:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} filters - { organizationId, statuses, skip, limit }
+   */
+  async findAll({ organizationId, statuses, skip = 0, limit = 20 } = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const where = {};
+      if (organizationId) {
+        where.organizationId = organizationId;
+      }
+      if (statuses && statuses.length > 0) {
+        where.status = { in: statuses };
+      }
+
+      const [data, total] = await Promise.all([
+        prisma.campaign.findMany({ where, orderBy: { createdAt: 'desc' }, skip, take: limit }),
+        prisma.campaign.count({ where }),
+      ]);
+
+      return { data, pagination: { total, pages: Math.ceil(total / limit) } };
+    } catch (error) {
+      console.error('[PRISMA CAMPAIGN REPOSITORY] Erro ao listar campanhas:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaCampaignRepository;
@@ -0,0 +1,56 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository dos carrinhos do bazar usando Prisma
+ */
+class PrismaCartRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.cart.create({ data });
+    } catch (error) {
+      console.error('[PRISMA CART REPOSITORY] Erro ao criar:', error);
+      throw error;
+    }
+  }
+
+  async findByToken(token) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.cart.findUnique({ where: { token } });
+    } catch (error) {
+      console.error('[PRISMA CART REPOSITORY] Erro ao buscar por token:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.cart.update({ where: { id }, data });
+    } catch (error) {
+      console.error('[PRISMA CART REPOSITORY] Erro ao atualizar:', error);
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.cart.delete({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA CART REPOSITORY] Erro ao remover:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaCartRepository;
@@ -0,0 +1,137 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository para o histórico de cobranças de doações recorrentes usando Prisma
+ * Uma parcela por authorized_payment do Mercado Pago, ligada à doação-mãe
+ */
+class PrismaDonationChargeRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * Registra uma nova parcela
+   */
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationCharge.create({ data });
+    } catch (error) {
+      console.error('[PRISMA DONATION CHARGE REPOSITORY] Erro ao criar parcela:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca parcela pelo ID do authorized_payment no Mercado Pago
+   */
+  async findByAuthorizedPaymentId(authorizedPaymentId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationCharge.findUnique({ where: { authorizedPaymentId } });
+    } catch (error) {
+      console.error('[PRISMA DONATION CHARGE REPOSITORY] Erro ao buscar parcela:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca parcela pelo pagamento gerado na cobrança (ex: chargeback de uma parcela)
+   */
+  async findByPaymentId(paymentId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationCharge.findFirst({ where: { paymentId: String(paymentId) } });
+    } catch (error) {
+      console.error(
+        '[PRISMA DONATION CHARGE REPOSITORY] Erro ao buscar parcela por pagamento:',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Troca o status da parcela somente se ainda estiver em fromStatus
+   * @returns {Promise<Object|null>} Parcela atualizada ou null se o status mudou antes
+   */
+  async transitionStatus(id, fromStatus, toStatus, historyEntry, data = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const current = await prisma.donationCharge.findUnique({ where: { id } });
+      if (!current || current.status !== fromStatus) {
+        return null;
+      }
+
+      const statusHistory = Array.isArray(current.statusHistory) ? current.statusHistory : [];
+      const result = await prisma.donationCharge.updateMany({
+        where: { id, status: fromStatus },
+        data: {
+          ...data,
+          status: toStatus,
+          statusHistory: [...statusHistory, historyEntry],
+        },
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      return await prisma.donationCharge.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA DONATION CHARGE REPOSITORY] Erro ao transicionar status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza dados da parcela sem mudar o status (ex: nova tentativa com outro paymentId)
+   */
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationCharge.update({ where: { id }, data });
+    } catch (error) {
+      console.error('[PRISMA DONATION CHARGE REPOSITORY] Erro ao atualizar parcela:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as parcelas de uma assinatura, da mais recente para a mais antiga
+   */
+  async findBySubscriptionId(subscriptionId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationCharge.findMany({
+        where: { subscriptionId },
+        orderBy: { chargedAt: 'desc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA DONATION CHARGE REPOSITORY] Erro ao listar parcelas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parcelas pagas para a organização no período (por data de cobrança)
+   */
+  async findApprovedByOrganization(organizationId, { from, to } = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationCharge.findMany({
+        where: { organizationId, status: 'approved', chargedAt: { gte: from, lte: to } },
+        orderBy: { chargedAt: 'asc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA DONATION CHARGE REPOSITORY] Erro ao listar parcelas pagas:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaDonationChargeRepository;
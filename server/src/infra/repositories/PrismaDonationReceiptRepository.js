@@ -0,0 +1,157 @@
+const PrismaService = require('../singletons/PrismaService');
+
+// Conflito de escrita entre transações concorrentes no MongoDB
+const WRITE_CONFLICT_CODE = 'P2034';
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * Repository para os recibos de doação usando Prisma
+ * A numeração é sequencial e sem lacunas por organização e ano: o contador
+ * só avança na mesma transação que grava o recibo
+ */
+class PrismaDonationReceiptRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * Emite o recibo com o próximo número da organização no ano
+   * Idempotente por sourceKey: um pagamento já recibado devolve o recibo existente
+   * @param {Object} data - Dados do recibo sem number/receiptNumber
+   */
+  async issue(data) {
+    const prisma = this._getPrismaClient();
+
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      try {
+        return await prisma.$transaction(async (tx) => {
+          const existing = await tx.donationReceipt.findUnique({
+            where: { sourceKey: data.sourceKey },
+          });
+          if (existing) {
+            return existing;
+          }
+
+          const counter = await tx.receiptCounter.upsert({
+            where: {
+              organizationId_year: { organizationId: data.organizationId, year: data.year },
+            },
+            create: { organizationId: data.organizationId, year: data.year, lastNumber: 1 },
+            update: { lastNumber: { increment: 1 } },
+          });
+
+          return await tx.donationReceipt.create({
+            data: {
+              ...data,
+              number: counter.lastNumber,
+              receiptNumber: `${data.year}/${String(counter.lastNumber).padStart(6, '0')}`,
+            },
+          });
+        });
+      } catch (error) {
+        if (error.code === WRITE_CONFLICT_CODE && attempt < MAX_TRANSACTION_ATTEMPTS) {
+          continue;
+        }
+        // Emissão concorrente do mesmo pagamento: a outra transação venceu
+        if (error.code === 'P2002') {
+          const existing = await this.findBySourceKey(data.sourceKey);
+          if (existing) {
+            return existing;
+          }
+        }
+        console.error('[PRISMA DONATION RECEIPT REPOSITORY] Erro ao emitir recibo:', error);
+        throw error;
+      }
+    }
+
+    return null;
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationReceipt.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA DONATION RECEIPT REPOSITORY] Erro ao buscar recibo:', error);
+      throw error;
+    }
+  }
+
+  async findBySourceKey(sourceKey) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationReceipt.findUnique({ where: { sourceKey } });
+    } catch (error) {
+      console.error('[PRISMA DONATION RECEIPT REPOSITORY] Erro ao buscar recibo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recibos da doação (um para doação única, um por parcela para recorrente)
+   */
+  async findByDonationId(donationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationReceipt.findMany({
+        where: { donationId },
+        orderBy: { paidAt: 'desc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA DONATION RECEIPT REPOSITORY] Erro ao listar recibos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recibos emitidos para o doador (portal do doador)
+   */
+  async findByDonorEmail(donorEmail) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationReceipt.findMany({
+        where: { donorEmail: { equals: donorEmail, mode: 'insensitive' } },
+        orderBy: { paidAt: 'desc' },
+      });
+    } catch (error) {
+      console.error(
+        '[PRISMA DONATION RECEIPT REPOSITORY] Erro ao listar recibos do doador:',
+        error
+      );
+      throw error;
+    }
+  }
+
+  async markEmailed(id, emailedAt = new Date()) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donationReceipt.update({ where: { id }, data: { emailedAt } });
+    } catch (error) {
+      console.error('[PRISMA DONATION RECEIPT REPOSITORY] Erro ao marcar envio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dados da organização emissora (modelo User), incluindo os campos que a
+   * entidade de domínio User não expõe
+   */
+  async findIssuerProfile(organizationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.findUnique({
+        where: { id: organizationId },
+        select: { id: true, name: true, email: true, address: true, cnpj: true, pixKey: true },
+      });
+    } catch (error) {
+      console.error('[PRISMA DONATION RECEIPT REPOSITORY] Erro ao buscar organização:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaDonationReceiptRepository;
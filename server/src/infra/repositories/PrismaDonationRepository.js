@@ -5,6 +5,9 @@
 
 // Interface removida na limpeza
 const PrismaService = require('../singletons/PrismaService');
+const DonorPrivacyPolicy = require('../../domain/policies/DonorPrivacyPolicy');
+
+const REFUND_WRITE_ATTEMPTS = 5;
 
 class PrismaDonationRepository {
   constructor() {
@@ -166,6 +169,41 @@ class PrismaDonationRepository {
     }
   }
 
+  async findByPaymentId(paymentId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donation.findFirst({ where: { paymentId: String(paymentId) } });
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao buscar doação por pagamento:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filtro por campo de Json exige consulta raw no MongoDB
+   */
+  async findByExternalReference(externalReference) {
+    try {
+      const prisma = this._getPrismaClient();
+      const docs = await prisma.donation.findRaw({
+        filter: { 'metadata.externalReference': String(externalReference) },
+        options: { projection: { _id: 1 }, limit: 1 },
+      });
+      if (docs.length === 0) {
+        return null;
+      }
+
+      const id = (docs[0]._id && docs[0]._id.$oid) || String(docs[0]._id);
+      return await prisma.donation.findUnique({ where: { id } });
+    } catch (error) {
+      console.error(
+        '[PRISMA DONATION REPOSITORY] Erro ao buscar doação por referência externa:',
+        error
+      );
+      throw error;
+    }
+  }
+
   async findBySubscriptionId(subscriptionId) {
     try {
       const prisma = this._getPrismaClient();
@@ -233,7 +271,11 @@ class PrismaDonationRepository {
       ]);
 
       return {
-        data: donations,
+        // Nome nunca sai para doações anônimas
+        data: donations.map((donation) => ({
+          ...donation,
+          donorName: DonorPrivacyPolicy.publicName(donation),
+        })),
         pagination: {
           page,
           limit,
@@ -262,6 +304,127 @@ class PrismaDonationRepository {
     }
   }
 
+  async transitionStatus(id, fromStatus, toStatus, historyEntry, data = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const current = await prisma.donation.findUnique({ where: { id } });
+      if (!current || current.paymentStatus !== fromStatus) {
+        return null;
+      }
+
+      const statusHistory = Array.isArray(current.statusHistory) ? current.statusHistory : [];
+      const result = await prisma.donation.updateMany({
+        where: { id, paymentStatus: fromStatus },
+        data: {
+          ...data,
+          paymentStatus: toStatus,
+          statusHistory: [...statusHistory, historyEntry],
+        },
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      return await prisma.donation.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao transicionar status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * refunds é Json (sem push atômico): grava só se refundedAmount não mudou desde a leitura,
+   * para que estornos parciais simultâneos não se sobrescrevam
+   */
+  async registerRefund(id, refund) {
+    try {
+      const prisma = this._getPrismaClient();
+
+      for (let attempt = 0; attempt < REFUND_WRITE_ATTEMPTS; attempt++) {
+        const current = await prisma.donation.findUnique({ where: { id } });
+        if (!current) {
+          return null;
+        }
+
+        const refunds = Array.isArray(current.refunds) ? current.refunds : [];
+        const result = await prisma.donation.updateMany({
+          where: { id, refundedAmount: current.refundedAmount },
+          data: {
+            refunds: [...refunds, refund],
+            refundedAmount: { increment: refund.amount },
+          },
+        });
+
+        if (result.count > 0) {
+          return await prisma.donation.findUnique({ where: { id } });
+        }
+      }
+
+      throw new Error(`Estorno da doação ${id} não registrado: atualizações concorrentes`);
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao registrar estorno:', error);
+      throw error;
+    }
+  }
+
+  async findStaleByStatus(statuses, { createdBefore, createdAfter, limit = 50 } = {}) {
+    try {
+      const createdAt = { lte: createdBefore };
+      if (createdAfter) {
+        createdAt.gte = createdAfter;
+      }
+
+      const prisma = this._getPrismaClient();
+      return await prisma.donation.findMany({
+        where: { paymentStatus: { in: statuses }, createdAt },
+        orderBy: [{ lastReconciledAt: 'asc' }, { createdAt: 'asc' }],
+        take: limit,
+      });
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao buscar doações pendentes:', error);
+      throw error;
+    }
+  }
+
+  async findApprovedSingleByOrganization(organizationId, { createdAfter, createdBefore } = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donation.findMany({
+        where: {
+          organizationId,
+          type: 'single',
+          paymentStatus: 'approved',
+          createdAt: { gte: createdAfter, lte: createdBefore },
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao buscar doações aprovadas:', error);
+      throw error;
+    }
+  }
+
+  async findByIds(ids) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donation.findMany({ where: { id: { in: ids } } });
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao buscar doações por IDs:', error);
+      throw error;
+    }
+  }
+
+  async markReconciled(id, reconciledAt = new Date()) {
+    try {
+      const prisma = this._getPrismaClient();
+      await prisma.donation.update({ where: { id }, data: { lastReconciledAt: reconciledAt } });
+    } catch (error) {
+      console.error('[PRISMA DONATION REPOSITORY] Erro ao marcar reconciliação:', error);
+      throw error;
+    }
+  }
+
   async findAll(options = {}) {
     try {
       const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = options;
@@ -313,54 +476,98 @@ class PrismaDonationRepository {
     }
   }
 
+  /**
+   * Estatísticas de arrecadação
+   * Doações recorrentes contam pelas parcelas cobradas (donation_charges), não pela doação-mãe
+   */
   async getStatistics(organizationId, dateRange = {}) {
     try {
       const where = {};
+      const chargeWhere = {};
       if (organizationId) {
         where.organizationId = organizationId;
+        chargeWhere.organizationId = organizationId;
       }
 
       if (dateRange.startDate || dateRange.endDate) {
         where.createdAt = {};
+        chargeWhere.chargedAt = {};
         if (dateRange.startDate) {
           where.createdAt.gte = new Date(dateRange.startDate);
+          chargeWhere.chargedAt.gte = new Date(dateRange.startDate);
         }
         if (dateRange.endDate) {
           where.createdAt.lte = new Date(dateRange.endDate);
+          chargeWhere.chargedAt.lte = new Date(dateRange.endDate);
         }
       }
 
+      const singleWhere = { ...where, NOT: { type: 'recurring' } };
+      const reversedStatuses = { in: ['refunded', 'charged_back'] };
+
       const prisma = this._getPrismaClient();
       const [
-        totalDonations,
-        totalAmount,
         singleDonations,
+        singleTotal,
+        singleApproved,
+        singlePending,
+        singleRefunded,
+        singleAnonymous,
+        refunds,
+        subscriptions,
         recurringDonations,
-        approvedDonations,
-        pendingDonations,
-        anonymousDonations,
+        chargeTotal,
+        chargesApproved,
+        chargesPending,
+        chargesRefunded,
+        chargesAnonymous,
+        chargeRefunds,
       ] = await Promise.all([
-        prisma.donation.count({ where }),
+        prisma.donation.count({ where: singleWhere }),
         prisma.donation.aggregate({
-          where: { ...where, paymentStatus: 'approved' },
-          _sum: { amount: true },
-          _avg: { amount: true },
+          where: { ...singleWhere, paymentStatus: 'approved' },
+          _sum: { amount: true, refundedAmount: true },
         }),
-        prisma.donation.count({ where: { ...where, type: 'single' } }),
+        prisma.donation.count({ where: { ...singleWhere, paymentStatus: 'approved' } }),
+        prisma.donation.count({ where: { ...singleWhere, paymentStatus: 'pending' } }),
+        prisma.donation.count({ where: { ...singleWhere, paymentStatus: reversedStatuses } }),
+        prisma.donation.count({ where: { ...singleWhere, isAnonymous: true } }),
+        prisma.donation.aggregate({ where: singleWhere, _sum: { refundedAmount: true } }),
         prisma.donation.count({ where: { ...where, type: 'recurring' } }),
-        prisma.donation.count({ where: { ...where, paymentStatus: 'approved' } }),
-        prisma.donation.count({ where: { ...where, paymentStatus: 'pending' } }),
-        prisma.donation.count({ where: { ...where, isAnonymous: true } }),
+        prisma.donationCharge.count({ where: chargeWhere }),
+        prisma.donationCharge.aggregate({
+          where: { ...chargeWhere, status: 'approved' },
+          _sum: { amount: true },
+        }),
+        prisma.donationCharge.count({ where: { ...chargeWhere, status: 'approved' } }),
+        prisma.donationCharge.count({ where: { ...chargeWhere, status: 'pending' } }),
+        prisma.donationCharge.count({ where: { ...chargeWhere, status: reversedStatuses } }),
+        prisma.donationCharge.count({ where: { ...chargeWhere, isAnonymous: true } }),
+        // Parcelas não têm refundedAmount: estornada conta pelo valor inteiro
+        prisma.donationCharge.aggregate({
+          where: { ...chargeWhere, status: 'refunded' },
+          _sum: { amount: true },
+        }),
       ]);
 
+      // Valor líquido: estornos parciais de doações aprovadas saem do total
+      const singleAmount = (singleTotal._sum.amount || 0) - (singleTotal._sum.refundedAmount || 0);
+      const totalAmount = singleAmount + (chargeTotal._sum.amount || 0);
+      const totalDonations = singleDonations + recurringDonations;
+      const approvedDonations = singleApproved + chargesApproved;
+      const anonymousDonations = singleAnonymous + chargesAnonymous;
+
       return {
         totalDonations,
-        totalAmount: totalAmount._sum.amount || 0,
-        avgAmount: totalAmount._avg.amount || 0,
+        totalAmount,
+        avgAmount: approvedDonations > 0 ? totalAmount / approvedDonations : 0,
+        refundedAmount: (refunds._sum.refundedAmount || 0) + (chargeRefunds._sum.amount || 0),
         singleDonations,
         recurringDonations,
+        subscriptions,
         approvedDonations,
-        pendingDonations,
+        pendingDonations: singlePending + chargesPending,
+        refundedDonations: singleRefunded + chargesRefunded,
         anonymousDonations,
         publicDonations: totalDonations - anonymousDonations,
       };
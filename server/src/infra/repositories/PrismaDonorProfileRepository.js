@@ -0,0 +1,45 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository dos perfis de doadores do portal (identidade chaveada pelo email) usando Prisma
+ */
+class PrismaDonorProfileRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async findByEmail(email) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donorProfile.findUnique({ where: { email } });
+    } catch (error) {
+      console.error('[PRISMA DONOR PROFILE REPOSITORY] Erro ao buscar perfil:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria o perfil no primeiro login ou atualiza os campos informados
+   * @param {Object} createData - Dados usados apenas na criação
+   * @param {Object} updateData - Dados aplicados quando o perfil já existe
+   */
+  async upsert(email, createData, updateData = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.donorProfile.upsert({
+        where: { email },
+        create: { ...createData, ...updateData, email },
+        update: updateData,
+      });
+    } catch (error) {
+      console.error('[PRISMA DONOR PROFILE REPOSITORY] Erro ao salvar perfil:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaDonorProfileRepository;
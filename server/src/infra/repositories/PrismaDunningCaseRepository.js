@@ -0,0 +1,88 @@
+const PrismaService = require('../singletons/PrismaService');
+
+const OPEN_STATUSES = ['grace', 'past_due'];
+
+/**
+ * Repository para os casos de inadimplência (dunning) de doações recorrentes usando Prisma
+ * No máximo um caso aberto (grace/past_due) por assinatura
+ */
+class PrismaDunningCaseRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.dunningCase.create({ data });
+    } catch (error) {
+      console.error('[PRISMA DUNNING CASE REPOSITORY] Erro ao criar caso:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.dunningCase.update({ where: { id }, data });
+    } catch (error) {
+      console.error('[PRISMA DUNNING CASE REPOSITORY] Erro ao atualizar caso:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Caso em andamento da assinatura (grace ou past_due)
+   */
+  async findOpenBySubscriptionId(subscriptionId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.dunningCase.findFirst({
+        where: { subscriptionId, status: { in: OPEN_STATUSES } },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA DUNNING CASE REPOSITORY] Erro ao buscar caso aberto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Caso mais recente da assinatura, em qualquer status
+   */
+  async findLatestBySubscriptionId(subscriptionId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.dunningCase.findFirst({
+        where: { subscriptionId },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA DUNNING CASE REPOSITORY] Erro ao buscar último caso:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Casos abertos cuja próxima escalada já venceu
+   */
+  async findDue(now = new Date(), limit = 50) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.dunningCase.findMany({
+        where: { status: { in: OPEN_STATUSES }, nextActionAt: { lte: now } },
+        orderBy: { nextActionAt: 'asc' },
+        take: limit,
+      });
+    } catch (error) {
+      console.error('[PRISMA DUNNING CASE REPOSITORY] Erro ao buscar casos vencidos:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaDunningCaseRepository;
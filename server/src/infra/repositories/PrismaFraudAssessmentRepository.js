@@ -0,0 +1,134 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository das avaliações antifraude usando Prisma
+ * O histórico recente por IP/email/documento alimenta as regras de velocidade
+ */
+class PrismaFraudAssessmentRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fraudAssessment.create({ data });
+    } catch (error) {
+      console.error('[PRISMA FRAUD ASSESSMENT REPOSITORY] Erro ao criar:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fraudAssessment.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA FRAUD ASSESSMENT REPOSITORY] Erro ao buscar por ID:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fraudAssessment.update({ where: { id }, data });
+    } catch (error) {
+      console.error('[PRISMA FRAUD ASSESSMENT REPOSITORY] Erro ao atualizar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza só se a avaliação ainda aguarda revisão (evita aprovar duas vezes)
+   * @returns {Promise<boolean>} true se a avaliação foi atualizada
+   */
+  async updateIfPending(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      const { count } = await prisma.fraudAssessment.updateMany({
+        where: { id, reviewStatus: 'pending' },
+        data,
+      });
+      return count > 0;
+    } catch (error) {
+      console.error('[PRISMA FRAUD ASSESSMENT REPOSITORY] Erro ao revisar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tentativas desde `since` que compartilham IP, email ou documento com a atual
+   * @param {Object} identity - { ip, donorEmail, donorDocument } (campos vazios são ignorados)
+   */
+  async findRecentByIdentity(identity, since) {
+    try {
+      const conditions = ['ip', 'donorEmail', 'donorDocument']
+        .filter((field) => identity[field])
+        .map((field) => ({ [field]: identity[field] }));
+      if (conditions.length === 0) {
+        return [];
+      }
+
+      const prisma = this._getPrismaClient();
+      return await prisma.fraudAssessment.findMany({
+        where: { createdAt: { gte: since }, OR: conditions },
+        orderBy: { createdAt: 'desc' },
+        take: 500,
+        select: {
+          id: true,
+          ip: true,
+          donorEmail: true,
+          donorDocument: true,
+          donorName: true,
+          amount: true,
+          createdAt: true,
+        },
+      });
+    } catch (error) {
+      console.error('[PRISMA FRAUD ASSESSMENT REPOSITORY] Erro ao buscar histórico:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fila de revisão paginada (mais antigas primeiro)
+   */
+  async findByReviewStatus(reviewStatus, options = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+      const where = { reviewStatus };
+
+      const [entries, total] = await Promise.all([
+        prisma.fraudAssessment.findMany({
+          where,
+          orderBy: { createdAt: reviewStatus === 'pending' ? 'asc' : 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.fraudAssessment.count({ where }),
+      ]);
+
+      return {
+        data: entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('[PRISMA FRAUD ASSESSMENT REPOSITORY] Erro ao listar fila de revisão:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaFraudAssessmentRepository;
@@ -0,0 +1,86 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository das páginas de arrecadação pessoais (peer-to-peer) usando Prisma
+ */
+class PrismaFundraisingPageRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fundraisingPage.create({ data });
+    } catch (error) {
+      console.error('[PRISMA FUNDRAISING PAGE REPOSITORY] Erro ao criar página:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fundraisingPage.findUnique({ where: { id } });
+    } catch (error) {
+      if (error.code === 'P2023') {
+        return null;
+      }
+      console.error('[PRISMA FUNDRAISING PAGE REPOSITORY] Erro ao buscar página:', error);
+      throw error;
+    }
+  }
+
+  async findBySlug(slug) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fundraisingPage.findUnique({ where: { slug } });
+    } catch (error) {
+      console.error('[PRISMA FUNDRAISING PAGE REPOSITORY] Erro ao buscar página por slug:', error);
+      throw error;
+    }
+  }
+
+  async existsBySlug(slug) {
+    try {
+      const prisma = this._getPrismaClient();
+      return (await prisma.fundraisingPage.count({ where: { slug } })) > 0;
+    } catch (error) {
+      console.error('[PRISMA FUNDRAISING PAGE REPOSITORY] Erro ao verificar slug:', error);
+      throw error;
+    }
+  }
+
+  async findByCampaignId(campaignId, { status } = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const where = { campaignId };
+      if (status) {
+        where.status = status;
+      }
+      return await prisma.fundraisingPage.findMany({ where, orderBy: { createdAt: 'asc' } });
+    } catch (error) {
+      console.error('[PRISMA FUNDRAISING PAGE REPOSITORY] Erro ao listar páginas:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.fundraisingPage.update({ where: { id }, data });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      console.error('[PRISMA FUNDRAISING PAGE REPOSITORY] Erro ao atualizar página:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaFundraisingPageRepository;
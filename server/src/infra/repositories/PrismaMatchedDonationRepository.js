@@ -0,0 +1,88 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository dos valores dobrados por empresas apoiadoras usando Prisma
+ * Um registro por regra e doação (índice único ruleId + donationId)
+ */
+class PrismaMatchedDonationRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * @returns {Promise<Object|null>} null se a doação já foi dobrada por esta regra
+   */
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchedDonation.create({ data });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+      console.error('[PRISMA MATCHED DONATION REPOSITORY] Erro ao registrar dobra:', error);
+      throw error;
+    }
+  }
+
+  async findByRuleAndDonation(ruleId, donationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchedDonation.findUnique({
+        where: { ruleId_donationId: { ruleId, donationId } },
+      });
+    } catch (error) {
+      console.error('[PRISMA MATCHED DONATION REPOSITORY] Erro ao buscar dobra:', error);
+      throw error;
+    }
+  }
+
+  async findByDonationId(donationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchedDonation.findMany({ where: { donationId } });
+    } catch (error) {
+      console.error('[PRISMA MATCHED DONATION REPOSITORY] Erro ao buscar dobras da doação:', error);
+      throw error;
+    }
+  }
+
+  async findByRuleId(ruleId, { skip = 0, limit = 50 } = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchedDonation.findMany({
+        where: { ruleId },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      });
+    } catch (error) {
+      console.error('[PRISMA MATCHED DONATION REPOSITORY] Erro ao listar dobras da regra:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca como estornada somente se ainda estiver ativa
+   * @returns {Promise<boolean>} false se outro processo já estornou
+   */
+  async markReversed(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      const result = await prisma.matchedDonation.updateMany({
+        where: { id, status: 'matched' },
+        data: { status: 'reversed', reversedAt: new Date() },
+      });
+      return result.count === 1;
+    } catch (error) {
+      console.error('[PRISMA MATCHED DONATION REPOSITORY] Erro ao estornar dobra:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaMatchedDonationRepository;
@@ -0,0 +1,115 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository das regras de dobra de doações (empresa apoiadora dobra a doação) usando Prisma
+ */
+class PrismaMatchingRuleRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchingRule.create({ data });
+    } catch (error) {
+      console.error('[PRISMA MATCHING RULE REPOSITORY] Erro ao criar regra:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchingRule.findUnique({ where: { id } });
+    } catch (error) {
+      if (error.code === 'P2023') {
+        return null;
+      }
+      console.error('[PRISMA MATCHING RULE REPOSITORY] Erro ao buscar regra:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} filters - { organizationId, supporterId, status }
+   */
+  async findAll({ organizationId, supporterId, status } = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const where = {};
+      if (organizationId) {
+        where.organizationId = organizationId;
+      }
+      if (supporterId) {
+        where.supporterId = supporterId;
+      }
+      if (status) {
+        where.status = status;
+      }
+      return await prisma.matchingRule.findMany({ where, orderBy: { createdAt: 'desc' } });
+    } catch (error) {
+      console.error('[PRISMA MATCHING RULE REPOSITORY] Erro ao listar regras:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Regras ativas da organização cujo período inclui a data informada
+   */
+  async findActiveFor(organizationId, at = new Date()) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchingRule.findMany({
+        where: {
+          organizationId,
+          status: 'active',
+          startDate: { lte: at },
+          endDate: { gte: at },
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA MATCHING RULE REPOSITORY] Erro ao buscar regras ativas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soma `amount` ao orçamento usado somente se ninguém o alterou desde a leitura
+   * (amount negativo devolve orçamento)
+   * @returns {Promise<boolean>} false quando outro processo reservou antes
+   */
+  async adjustUsedAmount(id, expectedUsedAmount, amount) {
+    try {
+      const prisma = this._getPrismaClient();
+      const result = await prisma.matchingRule.updateMany({
+        where: { id, usedAmount: expectedUsedAmount },
+        data: { usedAmount: { increment: amount } },
+      });
+      return result.count === 1;
+    } catch (error) {
+      console.error('[PRISMA MATCHING RULE REPOSITORY] Erro ao reservar orçamento:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.matchingRule.update({ where: { id }, data });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return null;
+      }
+      console.error('[PRISMA MATCHING RULE REPOSITORY] Erro ao atualizar regra:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaMatchingRuleRepository;
@@ -0,0 +1,163 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository dos pedidos do bazar usando Prisma
+ * Mudanças de status e de estoque são condicionais para que webhooks repetidos não as
+ * apliquem duas vezes
+ */
+class PrismaOrderRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.order.create({ data });
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao criar:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.order.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao buscar por ID:', error);
+      throw error;
+    }
+  }
+
+  async findByCode(code) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.order.findUnique({ where: { code } });
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao buscar por código:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pedido pelo ID do pagamento aprovado ou da preferência criada no checkout
+   */
+  async findByPaymentReference(reference) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.order.findFirst({
+        where: { OR: [{ paymentId: reference }, { preferenceId: reference }] },
+      });
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao buscar por pagamento:', error);
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.order.update({ where: { id }, data });
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao atualizar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Muda o status só se o pedido ainda estiver em `fromStatus`
+   * @returns {Promise<Object|null>} Pedido atualizado ou null se outro processo mudou antes
+   */
+  async transitionStatus(id, fromStatus, toStatus, historyEntry, data = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const current = await prisma.order.findUnique({ where: { id } });
+      if (!current || current.status !== fromStatus) {
+        return null;
+      }
+
+      const statusHistory = Array.isArray(current.statusHistory) ? current.statusHistory : [];
+      const result = await prisma.order.updateMany({
+        where: { id, status: fromStatus },
+        data: {
+          ...data,
+          status: toStatus,
+          statusHistory: [...statusHistory, historyEntry],
+        },
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      return await prisma.order.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao transicionar status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca o estoque como baixado (true) ou devolvido (false)
+   * @returns {Promise<boolean>} false se já estava na situação pedida
+   */
+  async setStockApplied(id, applied) {
+    try {
+      const prisma = this._getPrismaClient();
+      const { count } = await prisma.order.updateMany({
+        where: { id, stockApplied: !applied },
+        data: { stockApplied: applied },
+      });
+      return count > 0;
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao marcar estoque:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pedidos da organização, mais recentes primeiro
+   * @param {Object} options - { status, page, limit }
+   */
+  async findByOrganization(organizationId, options = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+      const where = { organizationId };
+      if (options.status) {
+        where.status = options.status;
+      }
+
+      const [orders, total] = await Promise.all([
+        prisma.order.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.order.count({ where }),
+      ]);
+
+      return {
+        data: orders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('[PRISMA ORDER REPOSITORY] Erro ao listar pedidos da organização:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaOrderRepository;
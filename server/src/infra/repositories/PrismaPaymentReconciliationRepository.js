@@ -0,0 +1,95 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository para os relatórios de reconciliação de pagamentos usando Prisma
+ * Cada execução (agendada ou manual) gera um registro com o que foi corrigido
+ */
+class PrismaPaymentReconciliationRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * Registra o início de uma execução
+   */
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.paymentReconciliation.create({ data });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT RECONCILIATION REPOSITORY] Erro ao criar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma execução (resultado final)
+   */
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.paymentReconciliation.update({ where: { id }, data });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT RECONCILIATION REPOSITORY] Erro ao atualizar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca execução por ID
+   */
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.paymentReconciliation.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT RECONCILIATION REPOSITORY] Erro ao buscar por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista execuções da mais recente para a mais antiga
+   */
+  async findAll(options = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+      const where = {};
+      if (options.trigger) {
+        where.trigger = options.trigger;
+      }
+
+      const [reports, total] = await Promise.all([
+        prisma.paymentReconciliation.findMany({
+          where,
+          orderBy: { startedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.paymentReconciliation.count({ where }),
+      ]);
+
+      return {
+        data: reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('[PRISMA PAYMENT RECONCILIATION REPOSITORY] Erro ao listar:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaPaymentReconciliationRepository;
@@ -0,0 +1,119 @@
+const PrismaService = require('../singletons/PrismaService');
+
+// Campos da conta do Mercado Pago conectada via OAuth (tokens cifrados)
+const MERCADO_PAGO_ACCOUNT_SELECT = {
+  id: true,
+  mercadoPagoAccessToken: true,
+  mercadoPagoRefreshToken: true,
+  mercadoPagoPublicKey: true,
+  mercadoPagoUserId: true,
+  mercadoPagoTokenExpiresAt: true,
+  mercadoPagoConnectedAt: true,
+};
+
+/**
+ * Repository das configurações de pagamento da organização usando Prisma
+ * O provedor escolhido e a conta do Mercado Pago ficam no próprio documento do usuário (organização)
+ */
+class PrismaPaymentSettingsRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async findByOrganizationId(organizationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.findUnique({
+        where: { id: organizationId },
+        select: { id: true, paymentProvider: true },
+      });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT SETTINGS REPOSITORY] Erro ao buscar configurações:', error);
+      throw error;
+    }
+  }
+
+  async updateProvider(organizationId, paymentProvider) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.update({
+        where: { id: organizationId },
+        data: { paymentProvider },
+        select: { id: true, paymentProvider: true },
+      });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT SETTINGS REPOSITORY] Erro ao atualizar provedor:', error);
+      throw error;
+    }
+  }
+
+  async findMercadoPagoAccount(organizationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.findUnique({
+        where: { id: organizationId },
+        select: MERCADO_PAGO_ACCOUNT_SELECT,
+      });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT SETTINGS REPOSITORY] Erro ao buscar conta MP:', error);
+      throw error;
+    }
+  }
+
+  async findByMercadoPagoUserId(mercadoPagoUserId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.findFirst({
+        where: { mercadoPagoUserId: String(mercadoPagoUserId) },
+        select: MERCADO_PAGO_ACCOUNT_SELECT,
+      });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT SETTINGS REPOSITORY] Erro ao buscar conta MP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Contas conectadas cujo access token vence antes da data informada
+   */
+  async findMercadoPagoAccountsExpiringBefore(date, limit = 50) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.findMany({
+        where: {
+          mercadoPagoRefreshToken: { not: null },
+          mercadoPagoTokenExpiresAt: { lt: date },
+        },
+        select: MERCADO_PAGO_ACCOUNT_SELECT,
+        orderBy: { mercadoPagoTokenExpiresAt: 'asc' },
+        take: limit,
+      });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT SETTINGS REPOSITORY] Erro ao buscar contas a renovar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grava (ou limpa, com campos null) a conta do Mercado Pago da organização
+   */
+  async saveMercadoPagoAccount(organizationId, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.user.update({
+        where: { id: organizationId },
+        data,
+        select: MERCADO_PAGO_ACCOUNT_SELECT,
+      });
+    } catch (error) {
+      console.error('[PRISMA PAYMENT SETTINGS REPOSITORY] Erro ao salvar conta MP:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaPaymentSettingsRepository;
@@ -0,0 +1,81 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository para notificações de webhook já processadas usando Prisma
+ * Usado para descartar reenvios (replay) de uma mesma notificação
+ */
+class PrismaProcessedWebhookRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * Busca notificação processada pelo ID do provedor
+   */
+  async findByNotificationId(notificationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.processedWebhook.findUnique({
+        where: { notificationId: String(notificationId) },
+      });
+    } catch (error) {
+      console.error('[PRISMA PROCESSED WEBHOOK REPOSITORY] Erro ao buscar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica se a notificação já foi processada
+   */
+  async existsByNotificationId(notificationId) {
+    const processed = await this.findByNotificationId(notificationId);
+    return !!processed;
+  }
+
+  /**
+   * Reserva a notificação antes do processamento (insert no índice único de notificationId)
+   * @returns {Promise<boolean>} false se outra entrega da mesma notificação já a reservou
+   */
+  async claim(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      await prisma.processedWebhook.create({
+        data: {
+          notificationId: String(data.notificationId),
+          provider: data.provider || 'mercadopago',
+          topic: data.topic || null,
+          resourceId: data.resourceId ? String(data.resourceId) : null,
+          requestId: data.requestId || null,
+        },
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return false;
+      }
+      console.error('[PRISMA PROCESSED WEBHOOK REPOSITORY] Erro ao reservar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Libera a reserva de uma notificação cujo processamento falhou, para aceitar o reenvio
+   */
+  async release(notificationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      await prisma.processedWebhook.deleteMany({
+        where: { notificationId: String(notificationId) },
+      });
+    } catch (error) {
+      console.error('[PRISMA PROCESSED WEBHOOK REPOSITORY] Erro ao liberar reserva:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaProcessedWebhookRepository;
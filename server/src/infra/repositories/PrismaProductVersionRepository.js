@@ -0,0 +1,102 @@
+const PrismaService = require('../singletons/PrismaService');
+
+// Duas alterações simultâneas podem disputar o mesmo número de versão
+const MAX_CREATE_ATTEMPTS = 3;
+
+/**
+ * Repository do histórico de versões de produtos usando Prisma
+ */
+class PrismaProductVersionRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * Grava a próxima versão do produto (última + 1)
+   * @param {Object} data - Campos da versão, sem o número
+   */
+  async createNext(data) {
+    const prisma = this._getPrismaClient();
+    for (let attempt = 1; attempt <= MAX_CREATE_ATTEMPTS; attempt++) {
+      try {
+        const latest = await this.findLatest(data.productId);
+        return await prisma.productVersion.create({
+          data: { ...data, version: latest ? latest.version + 1 : 1 },
+        });
+      } catch (error) {
+        if (error.code === 'P2002' && attempt < MAX_CREATE_ATTEMPTS) {
+          continue;
+        }
+        console.error('[PRISMA PRODUCT VERSION REPOSITORY] Erro ao gravar versão:', error);
+        throw error;
+      }
+    }
+    return null;
+  }
+
+  async findLatest(productId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.productVersion.findFirst({
+        where: { productId },
+        orderBy: { version: 'desc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA PRODUCT VERSION REPOSITORY] Erro ao buscar última versão:', error);
+      throw error;
+    }
+  }
+
+  async findByVersion(productId, version) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.productVersion.findUnique({
+        where: { productId_version: { productId, version } },
+      });
+    } catch (error) {
+      console.error('[PRISMA PRODUCT VERSION REPOSITORY] Erro ao buscar versão:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Versões do produto, mais recentes primeiro
+   */
+  async findByProduct(productId, options = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+      const where = { productId };
+
+      const [versions, total] = await Promise.all([
+        prisma.productVersion.findMany({
+          where,
+          orderBy: { version: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.productVersion.count({ where }),
+      ]);
+
+      return {
+        data: versions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('[PRISMA PRODUCT VERSION REPOSITORY] Erro ao listar versões:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaProductVersionRepository;
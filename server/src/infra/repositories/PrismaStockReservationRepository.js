@@ -0,0 +1,126 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository das reservas de estoque usando Prisma
+ * Mudanças de status são condicionais (active -> X) para que worker e requisições
+ * concorrentes não resolvam a mesma reserva duas vezes.
+ */
+class PrismaStockReservationRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.stockReservation.create({ data });
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao criar:', error);
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.stockReservation.findUnique({ where: { id } });
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao buscar por ID:', error);
+      throw error;
+    }
+  }
+
+  async findActiveByProduct(productId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.stockReservation.findMany({
+        where: { productId, status: 'active' },
+        orderBy: { expiresAt: 'asc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao listar por produto:', error);
+      throw error;
+    }
+  }
+
+  async findActiveByOrder(orderId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.stockReservation.findMany({ where: { orderId, status: 'active' } });
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao listar por pedido:', error);
+      throw error;
+    }
+  }
+
+  async findActiveByHolder(productId, source, holderKey, variantId = null) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.stockReservation.findFirst({
+        where: { productId, variantId, source, holderKey, status: 'active' },
+      });
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao buscar por solicitante:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reservas ativas com prazo vencido (opcionalmente de um produto)
+   */
+  async findExpired(now = new Date(), limit = 100, productId = null) {
+    try {
+      const prisma = this._getPrismaClient();
+      const where = { status: 'active', expiresAt: { lte: now } };
+      if (productId) {
+        where.productId = productId;
+      }
+      return await prisma.stockReservation.findMany({
+        where,
+        orderBy: { expiresAt: 'asc' },
+        take: limit,
+      });
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao buscar vencidas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encerra a reserva se ela ainda estiver ativa
+   * @returns {Promise<boolean>} false se outra chamada já a encerrou
+   */
+  async resolve(id, status) {
+    try {
+      const prisma = this._getPrismaClient();
+      const result = await prisma.stockReservation.updateMany({
+        where: { id, status: 'active' },
+        data: { status, resolvedAt: new Date() },
+      });
+      return result.count > 0;
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao encerrar:', error);
+      throw error;
+    }
+  }
+
+  async extend(id, expiresAt) {
+    try {
+      const prisma = this._getPrismaClient();
+      const result = await prisma.stockReservation.updateMany({
+        where: { id, status: 'active' },
+        data: { expiresAt },
+      });
+      return result.count > 0;
+    } catch (error) {
+      console.error('[PRISMA STOCK RESERVATION REPOSITORY] Erro ao prorrogar:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaStockReservationRepository;
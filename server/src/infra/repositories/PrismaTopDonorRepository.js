@@ -40,6 +40,8 @@ class PrismaTopDonorRepository {
         organizationName: data.organizationName || null,
         referenceMonth: data.referenceMonth,
         referenceYear: data.referenceYear,
+        source: data.source || 'manual',
+        donorKey: data.donorKey || null,
         metadata: data.metadata || {},
       };
 
@@ -225,6 +227,94 @@ class PrismaTopDonorRepository {
     }
   }
 
+  /**
+   * Busca registros vinculados a uma doação (metadata.donationId)
+   * Filtro por campo de Json exige consulta raw no MongoDB
+   */
+  async findByDonationId(donationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      const docs = await prisma.topDonor.findRaw({
+        filter: { 'metadata.donationId': String(donationId) },
+        options: { projection: { _id: 1 } },
+      });
+
+      const ids = docs.map((doc) => (doc._id && doc._id.$oid) || String(doc._id));
+      if (ids.length === 0) {
+        return [];
+      }
+
+      return await prisma.topDonor.findMany({ where: { id: { in: ids } } });
+    } catch (error) {
+      console.error('[PRISMA TOP DONOR REPOSITORY] Erro ao buscar por doação:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registros de um doador no período (manuais e automáticos)
+   */
+  async findByDonorKey(month, year, donorKey) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.topDonor.findMany({
+        where: { referenceMonth: Number(month), referenceYear: Number(year), donorKey },
+      });
+    } catch (error) {
+      console.error('[PRISMA TOP DONOR REPOSITORY] Erro ao buscar por doador:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registros do período com donorKey (automáticos e manuais vinculados a um doador)
+   */
+  async findKeyedByPeriod(month, year) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.topDonor.findMany({
+        where: {
+          referenceMonth: Number(month),
+          referenceYear: Number(year),
+          donorKey: { not: null },
+        },
+      });
+    } catch (error) {
+      console.error('[PRISMA TOP DONOR REPOSITORY] Erro ao buscar registros por doador:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registros usados nos rankings históricos (um ano ou todos os períodos)
+   * @param {Object} filters - { year }
+   */
+  async findForLeaderboard(filters = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.topDonor.findMany({
+        where: filters.year ? { referenceYear: Number(filters.year) } : {},
+        select: {
+          id: true,
+          donorName: true,
+          donorKey: true,
+          donatedAmount: true,
+          donationType: true,
+          donationDate: true,
+          topPosition: true,
+          referenceMonth: true,
+          referenceYear: true,
+          source: true,
+          metadata: true,
+        },
+        orderBy: [{ referenceYear: 'asc' }, { referenceMonth: 'asc' }],
+      });
+    } catch (error) {
+      console.error('[PRISMA TOP DONOR REPOSITORY] Erro ao buscar registros do ranking:', error);
+      throw error;
+    }
+  }
+
   /**
    * Busca doadores de destaque por organização
    */
@@ -283,6 +373,9 @@ class PrismaTopDonorRepository {
       if (data.referenceYear !== undefined) {
         updateData.referenceYear = data.referenceYear;
       }
+      if (data.donorKey !== undefined) {
+        updateData.donorKey = data.donorKey;
+      }
       if (data.metadata !== undefined) {
         updateData.metadata = data.metadata;
       }
@@ -0,0 +1,164 @@
+const PrismaService = require('../singletons/PrismaService');
+
+/**
+ * Repository para a caixa de entrada de webhooks usando Prisma
+ * Guarda cada notificação antes do processamento e mantém a fila de dead-letter
+ */
+class PrismaWebhookInboxRepository {
+  constructor() {
+    this.prismaService = PrismaService.getInstance();
+  }
+
+  _getPrismaClient() {
+    return this.prismaService.getClient();
+  }
+
+  /**
+   * Registra um webhook recebido
+   */
+  async create(data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.webhookInbox.create({
+        data,
+      });
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao criar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca entrada por ID
+   */
+  async findById(id) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.webhookInbox.findUnique({
+        where: { id },
+      });
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao buscar por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca a entrada mais recente de uma notificação do provedor
+   */
+  async findByNotificationId(notificationId) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.webhookInbox.findFirst({
+        where: { notificationId: String(notificationId) },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao buscar notificação:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista entradas prontas para (re)processamento
+   * Inclui entradas 'processing' cujo lease expirou (worker interrompido)
+   */
+  async findDue(limit = 10, now = new Date()) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.webhookInbox.findMany({
+        where: {
+          status: { in: ['pending', 'processing'] },
+          nextAttemptAt: { lte: now },
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: limit,
+      });
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao buscar pendentes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserva uma entrada para processamento (lock otimista)
+   * @returns {Promise<boolean>} true se esta instância obteve a reserva
+   */
+  async claim(entry, leaseUntil) {
+    try {
+      const prisma = this._getPrismaClient();
+      const result = await prisma.webhookInbox.updateMany({
+        where: {
+          id: entry.id,
+          status: entry.status,
+          nextAttemptAt: entry.nextAttemptAt,
+        },
+        data: {
+          status: 'processing',
+          nextAttemptAt: leaseUntil,
+        },
+      });
+      return result.count === 1;
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao reservar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma entrada
+   */
+  async update(id, data) {
+    try {
+      const prisma = this._getPrismaClient();
+      return await prisma.webhookInbox.update({
+        where: { id },
+        data,
+      });
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao atualizar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista entradas por status com paginação
+   */
+  async findByStatus(status, options = {}) {
+    try {
+      const prisma = this._getPrismaClient();
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+      const where = { status };
+      if (options.topic) {
+        where.topic = options.topic;
+      }
+
+      const [entries, total] = await Promise.all([
+        prisma.webhookInbox.findMany({
+          where,
+          orderBy: { updatedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.webhookInbox.count({ where }),
+      ]);
+
+      return {
+        data: entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('[PRISMA WEBHOOK INBOX REPOSITORY] Erro ao listar por status:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PrismaWebhookInboxRepository;
@@ -182,7 +182,7 @@ class EmailService {
   /**
    * Enviar email via SendGrid API (HTTP)
    */
-  async sendViaSendGridAPI(to, subject, html, fromAddress, fromName) {
+  async sendViaSendGridAPI(to, subject, html, fromAddress, fromName, attachments = []) {
     return new Promise((resolve, reject) => {
       // Aviso preventivo: gmail.com como FROM tende a falhar em entrega (DMARC)
       const fromDomain = String(fromAddress).split('@')[1] || '';
@@ -219,7 +219,17 @@ class EmailService {
         ],
       };
 
-      const data = JSON.stringify(payload);
+      // Anexos vão em base64 e ficam fora do log de debug abaixo
+      const sendgridAttachments = attachments.map((attachment) => ({
+        content: Buffer.from(attachment.content).toString('base64'),
+        filename: attachment.filename,
+        type: attachment.contentType,
+        disposition: 'attachment',
+      }));
+
+      const data = JSON.stringify(
+        sendgridAttachments.length > 0 ? { ...payload, attachments: sendgridAttachments } : payload
+      );
 
       // Debug log
       logger.info('🔍 SendGrid API Payload:', {
@@ -411,6 +421,43 @@ class EmailService {
     }
   }
 
+  /**
+   * Envia um email genérico (usado pelo EmailNotificationBridge)
+   * O remetente vem sempre de MAIL_FROM/EMAIL_FROM (domínio autenticado no provedor)
+   * @param {Object} emailData - { to, subject, html, text, attachments }
+   */
+  async sendEmail(emailData) {
+    await this.initialize();
+
+    const fromAddress =
+      process.env.MAIL_FROM || process.env.EMAIL_FROM || 'noreply@plataformaongs.com';
+    const fromName = process.env.EMAIL_FROM_NAME || 'Plataforma ONGs';
+
+    if (this.useSendGridAPI) {
+      return await this.sendViaSendGridAPI(
+        emailData.to,
+        emailData.subject,
+        emailData.html,
+        fromAddress,
+        fromName,
+        emailData.attachments || []
+      );
+    }
+
+    return await this.sendEmailWithRetry({
+      from: `"${fromName}" <${fromAddress}>`,
+      to: emailData.to,
+      subject: emailData.subject,
+      html: emailData.html,
+      text: emailData.text,
+      attachments: emailData.attachments,
+    });
+  }
+
+  getProviderName() {
+    return this.useSendGridAPI ? 'sendgrid' : 'smtp';
+  }
+
   /**
    * Template HTML para email de verificação
    */
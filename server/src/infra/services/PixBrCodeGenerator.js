@@ -0,0 +1,102 @@
+const QRCode = require('qrcode');
+
+// Tamanhos máximos do BR Code (Manual de Padrões para Iniciação do PIX - BCB)
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+const MAX_DESCRIPTION_LENGTH = 40;
+const MAX_FIELD_LENGTH = 99; // O tamanho de cada campo EMV tem 2 dígitos
+const GUI = 'br.gov.bcb.pix';
+const DEFAULT_NAME = 'ONG';
+const DEFAULT_CITY = 'BRASIL';
+
+/**
+ * Gera o BR Code estático do PIX (payload EMV "copia e cola") a partir da chave da organização
+ * e a imagem do QR code correspondente
+ */
+class PixBrCodeGenerator {
+  /**
+   * @param {Object} data - { key, name, city, amount, txid, description }
+   * @returns {string} Payload EMV com CRC16
+   */
+  buildPayload({ key, name, city, amount, txid, description }) {
+    if (!key) {
+      throw new Error('Chave PIX é obrigatória para gerar o BR Code');
+    }
+
+    const keyField = this.field('01', key.trim());
+    // Chaves longas (e-mail, aleatória) deixam menos espaço: a descrição é encurtada ou omitida
+    // 4 = id e tamanho do subcampo 02
+    const descriptionRoom = MAX_FIELD_LENGTH - this.field('00', GUI).length - keyField.length - 4;
+    const info = description
+      ? this.sanitize(description, Math.min(MAX_DESCRIPTION_LENGTH, descriptionRoom))
+      : '';
+    const accountInfo = this.field('00', GUI) + keyField + (info ? this.field('02', info) : '');
+
+    const payload =
+      this.field('00', '01') +
+      this.field('26', accountInfo) +
+      this.field('52', '0000') +
+      this.field('53', '986') +
+      (amount ? this.field('54', Number(amount).toFixed(2)) : '') +
+      this.field('58', 'BR') +
+      this.field('59', this.sanitize(name || '', MAX_NAME_LENGTH) || DEFAULT_NAME) +
+      this.field('60', this.sanitize(city || '', MAX_CITY_LENGTH) || DEFAULT_CITY) +
+      this.field('62', this.field('05', this.sanitizeTxid(txid))) +
+      '6304';
+
+    return payload + this.crc16(payload);
+  }
+
+  /**
+   * Imagem PNG do QR code em base64 (sem o prefixo data:), mesmo formato do Mercado Pago
+   */
+  async toBase64Image(payload) {
+    const dataUrl = await QRCode.toDataURL(payload, { errorCorrectionLevel: 'M', margin: 2 });
+    return dataUrl.replace(/^data:image\/png;base64,/, '');
+  }
+
+  field(id, value) {
+    if (value.length > MAX_FIELD_LENGTH) {
+      throw new Error(`Campo ${id} do BR Code excede ${MAX_FIELD_LENGTH} caracteres`);
+    }
+    return `${id}${String(value.length).padStart(2, '0')}${value}`;
+  }
+
+  /**
+   * Remove acentos e caracteres fora do conjunto aceito pelos bancos
+   */
+  sanitize(value, maxLength) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9 .,/@-]/g, '')
+      .trim()
+      .substring(0, maxLength)
+      .trim();
+  }
+
+  sanitizeTxid(txid) {
+    const value = String(txid || '')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .substring(0, MAX_TXID_LENGTH);
+    return value || '***';
+  }
+
+  /**
+   * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+   */
+  crc16(payload) {
+    let crc = 0xffff;
+    for (let i = 0; i < payload.length; i++) {
+      crc ^= payload.charCodeAt(i) << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+        crc &= 0xffff;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+}
+
+module.exports = PixBrCodeGenerator;
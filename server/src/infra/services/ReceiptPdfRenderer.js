@@ -0,0 +1,85 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Gera o PDF do recibo de doação (pdfkit)
+ */
+class ReceiptPdfRenderer {
+  /**
+   * @param {Object} receipt - DonationReceipt com issuer preenchido
+   * @returns {Promise<Buffer>}
+   */
+  render(receipt) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 56, info: this.buildInfo(receipt) });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const issuer = receipt.issuer || {};
+
+      doc.fontSize(18).font('Helvetica-Bold').text('RECIBO DE DOAÇÃO', { align: 'center' });
+      doc.moveDown(0.3);
+      doc.fontSize(11).font('Helvetica').text(`Nº ${receipt.receiptNumber}`, { align: 'center' });
+      doc.moveDown(1.5);
+
+      this.section(doc, 'Organização', [
+        issuer.name,
+        issuer.cnpj ? `CNPJ: ${issuer.cnpj}` : null,
+        issuer.address,
+        issuer.pixKey ? `Chave PIX: ${issuer.pixKey}` : null,
+        issuer.email,
+      ]);
+
+      this.section(doc, 'Doador', [
+        receipt.donorName,
+        receipt.donorDocument ? `CPF: ${receipt.donorDocument}` : null,
+        receipt.donorEmail,
+      ]);
+
+      const amount = this.formatCurrency(receipt.amount, receipt.currency);
+      const paidAt = this.formatDate(receipt.paidAt);
+      doc
+        .fontSize(11)
+        .font('Helvetica')
+        .text(
+          `Recebemos de ${receipt.donorName} a quantia de ${amount}, em ${paidAt}, ` +
+            `a título de doação${receipt.chargeId ? ' (parcela de doação recorrente)' : ''} ` +
+            `para ${issuer.name || 'a organização'}.`,
+          { align: 'justify' }
+        );
+
+      doc.moveDown(2);
+      doc.fontSize(9).fillColor('#666666');
+      doc.text(`Emitido em ${this.formatDate(receipt.createdAt || new Date())}.`);
+      doc.text(`Referência do pagamento: ${receipt.sourceKey}`);
+
+      doc.end();
+    });
+  }
+
+  section(doc, title, lines) {
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text(title);
+    doc.fontSize(10).font('Helvetica');
+    lines.filter(Boolean).forEach((line) => doc.text(line));
+    doc.moveDown(1);
+  }
+
+  buildInfo(receipt) {
+    return {
+      Title: `Recibo de doação ${receipt.receiptNumber}`,
+      Author: receipt.issuer?.name || 'Plataforma ONGs',
+    };
+  }
+
+  formatCurrency(value, currency = 'BRL') {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency }).format(value);
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+  }
+}
+
+module.exports = ReceiptPdfRenderer;
@@ -0,0 +1,101 @@
+const PDFDocument = require('pdfkit');
+
+const TYPE_LABELS = {
+  single: 'Doação única',
+  recurring: 'Parcela recorrente',
+};
+
+/**
+ * Gera o PDF do informe anual de doações de um doador (pdfkit)
+ */
+class StatementPdfRenderer {
+  /**
+   * @param {Object} data - { organization, year, statement }
+   * @returns {Promise<Buffer>}
+   */
+  render({ organization, year, statement }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 56,
+        info: {
+          Title: `Informe de doações ${year} - ${statement.donorName}`,
+          Author: organization.name || 'Plataforma ONGs',
+        },
+      });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(16).font('Helvetica-Bold').text('INFORME ANUAL DE DOAÇÕES', { align: 'center' });
+      doc.fontSize(11).font('Helvetica').text(`Ano-calendário ${year}`, { align: 'center' });
+      doc.moveDown(1.5);
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Organização');
+      doc.fontSize(10).font('Helvetica');
+      [
+        organization.name,
+        organization.cnpj ? `CNPJ: ${organization.cnpj}` : null,
+        organization.address,
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+      doc.moveDown(1);
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Doador');
+      doc.fontSize(10).font('Helvetica');
+      [
+        statement.donorName,
+        statement.donorDocument ? `CPF: ${this.formatDocument(statement.donorDocument)}` : null,
+        statement.donorEmail,
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+      doc.moveDown(1);
+
+      doc.fontSize(12).font('Helvetica-Bold').text('Doações no ano');
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      statement.donations.forEach((donation) => {
+        doc.text(
+          `${this.formatDate(donation.date)}   ${TYPE_LABELS[donation.type] || donation.type}   ${this.formatCurrency(donation.amount)}`
+        );
+      });
+
+      doc.moveDown(1);
+      doc
+        .fontSize(11)
+        .font('Helvetica-Bold')
+        .text(
+          `Total doado em ${year}: ${this.formatCurrency(statement.totalAmount)} (${statement.donationCount} doações)`
+        );
+
+      doc.moveDown(2);
+      doc.fontSize(9).font('Helvetica').fillColor('#666666');
+      doc.text(
+        `Emitido em ${this.formatDate(new Date())}. Os recibos individuais continuam válidos.`
+      );
+
+      doc.end();
+    });
+  }
+
+  formatDocument(document) {
+    const digits = String(document);
+    return digits.length === 11
+      ? digits.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4')
+      : digits;
+  }
+
+  formatCurrency(value) {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+  }
+}
+
+module.exports = StatementPdfRenderer;
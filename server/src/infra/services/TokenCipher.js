@@ -0,0 +1,74 @@
+/**
+ * Cifra simétrica (AES-256-GCM) para credenciais de terceiros guardadas no banco
+ * Formato: enc:v1:<iv>:<authTag>:<ciphertext> (base64)
+ */
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+class TokenCipher {
+  /**
+   * @param {string} key - 32 bytes em hex (64 caracteres) ou base64
+   */
+  constructor(key) {
+    this.key = TokenCipher.parseKey(key);
+  }
+
+  static parseKey(key) {
+    if (!key) {
+      throw new Error('Chave de criptografia dos tokens não configurada');
+    }
+
+    const buffer = /^[0-9a-f]{64}$/i.test(key)
+      ? Buffer.from(key, 'hex')
+      : Buffer.from(key, 'base64');
+    if (buffer.length !== 32) {
+      throw new Error('Chave de criptografia dos tokens deve ter 32 bytes (hex ou base64)');
+    }
+    return buffer;
+  }
+
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined) {
+      return null;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [
+      PREFIX.slice(0, -1),
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64'),
+    ].join(':');
+  }
+
+  /**
+   * Valores sem o prefixo são tokens antigos, colados à mão antes do OAuth
+   */
+  decrypt(value) {
+    if (!value) {
+      return null;
+    }
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+}
+
+module.exports = TokenCipher;
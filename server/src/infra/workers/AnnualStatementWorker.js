@@ -0,0 +1,74 @@
+const { logger } = require('../logger');
+
+/**
+ * Worker em background que envia, durante janeiro, os informes anuais do ano anterior
+ * Organizações já enviadas são ignoradas pelo DonorStatementService
+ */
+class AnnualStatementWorker {
+  /**
+   * @param {DonorStatementService} statementService
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(statementService, options = {}) {
+    this.statementService = statementService;
+    this.intervalMs = options.intervalMs || 24 * 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia o agendamento (idempotente)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    logger.info('[ANNUAL STATEMENT WORKER] Iniciado', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Interrompe o agendamento
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[ANNUAL STATEMENT WORKER] Parado');
+    }
+  }
+
+  async tick(now = new Date()) {
+    const [month, year] = new Intl.DateTimeFormat('en-US', {
+      month: 'numeric',
+      year: 'numeric',
+      timeZone: 'America/Sao_Paulo',
+    })
+      .format(now)
+      .split('/')
+      .map(Number);
+
+    if (month !== 1 || this.statementService.isRunning()) {
+      return null;
+    }
+
+    try {
+      return await this.statementService.sendAnnualStatements({ year: year - 1 });
+    } catch (error) {
+      logger.error('[ANNUAL STATEMENT WORKER] Erro no envio dos informes', {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = AnnualStatementWorker;
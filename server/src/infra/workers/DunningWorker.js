@@ -0,0 +1,62 @@
+const { logger } = require('../logger');
+
+/**
+ * Worker em background que escala os casos de inadimplência com etapa vencida
+ */
+class DunningWorker {
+  /**
+   * @param {DunningService} dunningService
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(dunningService, options = {}) {
+    this.dunningService = dunningService;
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia o agendamento (idempotente)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    logger.info('[DUNNING WORKER] Iniciado', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Interrompe o agendamento
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[DUNNING WORKER] Parado');
+    }
+  }
+
+  async tick() {
+    try {
+      const result = await this.dunningService.processDueCases();
+      if (result.processed > 0 || result.failed > 0) {
+        logger.info('[DUNNING WORKER] Rodada concluída', result);
+      }
+      return result;
+    } catch (error) {
+      logger.error('[DUNNING WORKER] Erro na rodada de inadimplência', { error: error.message });
+      return null;
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = DunningWorker;
@@ -0,0 +1,71 @@
+const { logger } = require('../logger');
+
+/**
+ * Worker em background que renova os tokens OAuth do Mercado Pago antes do vencimento
+ * Sem ele, uma organização sem doações por meses perderia a conexão
+ */
+class MercadoPagoTokenRefreshWorker {
+  /**
+   * @param {MercadoPagoAccountService} accountService
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(accountService, options = {}) {
+    this.accountService = accountService;
+    this.intervalMs = options.intervalMs || 24 * 60 * 60 * 1000;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Inicia o agendamento (idempotente)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    logger.info('[MP TOKEN REFRESH WORKER] Iniciado', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Interrompe o agendamento
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[MP TOKEN REFRESH WORKER] Parado');
+    }
+  }
+
+  async tick() {
+    if (this.ticking) {
+      return null;
+    }
+
+    this.ticking = true;
+    try {
+      const summary = await this.accountService.refreshExpiringAccounts();
+      if (summary.checked > 0) {
+        logger.info('[MP TOKEN REFRESH WORKER] Rodada concluída', summary);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('[MP TOKEN REFRESH WORKER] Erro ao renovar tokens', { error: error.message });
+      return null;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = MercadoPagoTokenRefreshWorker;
@@ -0,0 +1,75 @@
+const { logger } = require('../logger');
+
+/**
+ * Worker em background que dispara a reconciliação de pagamentos periodicamente
+ */
+class PaymentReconciliationWorker {
+  /**
+   * @param {PaymentReconciliationService} reconciliationService
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(reconciliationService, options = {}) {
+    this.reconciliationService = reconciliationService;
+    this.intervalMs = options.intervalMs || 15 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia o agendamento (idempotente)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    logger.info('[PAYMENT RECONCILIATION WORKER] Iniciado', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Interrompe o agendamento
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[PAYMENT RECONCILIATION WORKER] Parado');
+    }
+  }
+
+  /**
+   * Executa uma rodada; pula se uma execução (agendada ou manual) ainda estiver ativa
+   */
+  async tick() {
+    if (this.reconciliationService.isRunning()) {
+      return null;
+    }
+
+    try {
+      const report = await this.reconciliationService.run({ trigger: 'scheduled' });
+      if (report.checked > 0) {
+        logger.info('[PAYMENT RECONCILIATION WORKER] Rodada concluída', {
+          checked: report.checked,
+          updated: report.updated,
+          failed: report.failed,
+        });
+      }
+      return report;
+    } catch (error) {
+      logger.error('[PAYMENT RECONCILIATION WORKER] Erro na rodada de reconciliação', {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = PaymentReconciliationWorker;
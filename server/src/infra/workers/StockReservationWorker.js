@@ -0,0 +1,65 @@
+const { logger } = require('../logger');
+
+/**
+ * Worker em background que devolve ao estoque as reservas vencidas
+ * (checkout abandonado, conversa no WhatsApp que não virou venda)
+ */
+class StockReservationWorker {
+  /**
+   * @param {StockReservationService} stockReservationService
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(stockReservationService, options = {}) {
+    this.stockReservationService = stockReservationService;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia o agendamento (idempotente)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    logger.info('[STOCK RESERVATION WORKER] Iniciado', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Interrompe o agendamento
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[STOCK RESERVATION WORKER] Parado');
+    }
+  }
+
+  async tick() {
+    try {
+      const result = await this.stockReservationService.releaseExpired();
+      if (result.expired > 0) {
+        logger.info('[STOCK RESERVATION WORKER] Reservas vencidas liberadas', result);
+      }
+      return result;
+    } catch (error) {
+      logger.error('[STOCK RESERVATION WORKER] Erro ao liberar reservas vencidas', {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = StockReservationWorker;
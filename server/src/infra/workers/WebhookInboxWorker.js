@@ -0,0 +1,77 @@
+const { logger } = require('../logger');
+
+/**
+ * Worker em background que drena a caixa de entrada de webhooks
+ * Faz polling periódico e delega o processamento ao WebhookInboxService
+ */
+class WebhookInboxWorker {
+  /**
+   * @param {WebhookInboxService} webhookInboxService
+   * @param {Object} options - { intervalMs }
+   */
+  constructor(webhookInboxService, options = {}) {
+    this.webhookInboxService = webhookInboxService;
+    this.intervalMs = options.intervalMs || 5000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Inicia o polling (idempotente)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Não impedir o encerramento do processo
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    logger.info('[WEBHOOK INBOX WORKER] Iniciado', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Interrompe o polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('[WEBHOOK INBOX WORKER] Parado');
+    }
+  }
+
+  /**
+   * Executa um ciclo; ciclos não se sobrepõem
+   */
+  async tick() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const summary = await this.webhookInboxService.processDue();
+      if (summary.picked > 0) {
+        logger.info('[WEBHOOK INBOX WORKER] Lote processado', summary);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('[WEBHOOK INBOX WORKER] Erro no ciclo de processamento', {
+        error: error.message,
+      });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  isRunning() {
+    return !!this.timer;
+  }
+}
+
+module.exports = WebhookInboxWorker;
@@ -34,6 +34,11 @@ const options = {
           bearerFormat: 'JWT',
           description: 'JWT token obtido através do endpoint de login',
         },
+        basicAuth: {
+          type: 'http',
+          scheme: 'basic',
+          description: 'Credenciais do webhook cadastradas no painel do Pagar.me',
+        },
       },
       schemas: {
         User: {
@@ -500,6 +505,50 @@ const options = {
         name: 'Testimonials',
         description: '💬 Depoimentos',
       },
+      {
+        name: 'Webhooks',
+        description: '📨 Caixa de entrada de webhooks e dead-letter (Admin)',
+      },
+      {
+        name: 'Reconciliation',
+        description: '🔁 Reconciliação de status de pagamento com o Mercado Pago (Admin)',
+      },
+      {
+        name: 'Donor Statements',
+        description: '🧾 Informe anual de doações para o imposto de renda',
+      },
+      {
+        name: 'Payment Settings',
+        description: '💳 Provedor de pagamento da organização (Mercado Pago ou Pagar.me)',
+      },
+      {
+        name: 'Campaigns',
+        description: '🎯 Campanhas de arrecadação com meta e progresso',
+      },
+      {
+        name: 'Fundraisers',
+        description: '🏃 Páginas de arrecadação pessoais e ranking de arrecadadores',
+      },
+      {
+        name: 'Matching',
+        description: '🤝 Empresas apoiadoras que dobram as doações recebidas',
+      },
+      {
+        name: 'Donor Portal',
+        description: '🙋 Área do doador: histórico, recibos, assinaturas e privacidade',
+      },
+      {
+        name: 'Fraud Review',
+        description: '🛡️ Doações retidas pela análise antifraude (Admin)',
+      },
+      {
+        name: 'Transparency',
+        description: '🔎 Feed público de doações aprovadas e totais arrecadados',
+      },
+      {
+        name: 'Bazaar',
+        description: '🛍️ Carrinho, checkout e pedidos dos produtos do bazar',
+      },
       {
         name: 'Health',
         description: '🏥 Verificação de saúde do sistema',
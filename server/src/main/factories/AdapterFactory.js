@@ -1,7 +1,10 @@
 const CloudinaryAdapter = require('../../infra/adapters/CloudinaryAdapter');
 const SimpleMercadoPagoAdapter = require('../../infra/adapters/SimpleMercadoPagoAdapter');
 const MockMercadoPagoAdapter = require('../../infra/adapters/MockMercadoPagoAdapter');
+const PagarmeAdapter = require('../../infra/adapters/PagarmeAdapter');
+const MockPagarmeAdapter = require('../../infra/adapters/MockPagarmeAdapter');
 const WhatsAppUtils = require('../../infra/adapters/WhatsAppUtils');
+const WhatsAppCloudAdapter = require('../../infra/adapters/WhatsAppCloudAdapter');
 const { logger } = require('../../infra/logger');
 
 /**
@@ -66,6 +69,10 @@ class AdapterFactory {
    * @returns {PaymentAdapter} Instância do adapter
    */
   static createPaymentAdapter(provider = 'mercadopago', options = {}) {
+    if (provider.toLowerCase() === 'pagarme') {
+      return this.createPagarmeAdapter(options);
+    }
+
     const mode = this.getMercadoPagoMode();
 
     logger.info('[ADAPTER FACTORY] ====================================');
@@ -110,6 +117,8 @@ class AdapterFactory {
 
         const adapter = new SimpleMercadoPagoAdapter(credentials.accessToken, {
           ...options,
+          clientId: options.clientId || credentials.clientId,
+          clientSecret: options.clientSecret || credentials.clientSecret,
           publicKey: credentials.publicKey,
           mode: credentials.mode,
         });
@@ -127,6 +136,46 @@ class AdapterFactory {
     }
   }
 
+  /**
+   * Cria o adapter de uma organização conectada via OAuth (token da conta dela)
+   * @param {string} accessToken - Token da organização, já decifrado
+   * @param {string} accountId - user_id da conta no Mercado Pago
+   * @returns {PaymentAdapter} Instância do adapter
+   */
+  static createMercadoPagoAccountAdapter(accessToken, accountId, options = {}) {
+    if (this.getMercadoPagoMode() === 'mock') {
+      return new MockMercadoPagoAdapter({ accountId });
+    }
+    return new SimpleMercadoPagoAdapter(accessToken, { ...options, accountId });
+  }
+
+  /**
+   * Cria o adapter do Pagar.me (PAGARME_MODE=mock usa o adapter em memória)
+   * A mesma secret key vale para teste (sk_test_) e produção (sk_)
+   * @returns {PaymentAdapter} Instância do adapter
+   */
+  static createPagarmeAdapter(options = {}) {
+    if ((process.env.PAGARME_MODE || '').toLowerCase() === 'mock') {
+      logger.warn('[ADAPTER FACTORY] ⚠️  PAGAR.ME EM MODO MOCK - Nenhuma chamada real!');
+      return new MockPagarmeAdapter();
+    }
+
+    const secretKey = process.env.PAGARME_SECRET_KEY;
+    if (!secretKey) {
+      throw new Error('Pagar.me: Credenciais não configuradas');
+    }
+
+    const adapter = new PagarmeAdapter(secretKey, options);
+    if (!adapter.validateConfiguration()) {
+      logger.warn('[ADAPTER FACTORY] ⚠️  PAGARME_SECRET_KEY não parece uma secret key (sk_)');
+    }
+
+    logger.info('[ADAPTER FACTORY] Pagar.me configurado', {
+      mode: secretKey.startsWith('sk_test_') ? 'test' : 'prod',
+    });
+    return adapter;
+  }
+
   /**
    * Cria um adapter de storage baseado no provedor
    * @param {string} provider - Nome do provedor (padrão: 'cloudinary')
@@ -149,6 +198,22 @@ class AdapterFactory {
     return new WhatsAppUtils();
   }
 
+  /**
+   * Cria o adapter de envio de WhatsApp (Cloud API)
+   * @returns {WhatsAppCloudAdapter|null} null quando WHATSAPP_ACCESS_TOKEN/WHATSAPP_PHONE_NUMBER_ID não estão configurados
+   */
+  static createWhatsAppAdapter() {
+    if (!process.env.WHATSAPP_ACCESS_TOKEN || !process.env.WHATSAPP_PHONE_NUMBER_ID) {
+      return null;
+    }
+
+    return new WhatsAppCloudAdapter({
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      apiVersion: process.env.WHATSAPP_API_VERSION || undefined,
+    });
+  }
+
   /**
    * Cria um adapter de storage baseado em variável de ambiente
    * @returns {IStorageAdapter} Instância do adapter configurado
@@ -176,7 +241,7 @@ class AdapterFactory {
    * Lista provedores de pagamento disponíveis
    */
   static getAvailablePaymentProviders() {
-    return ['mercadopago'];
+    return ['mercadopago', 'pagarme'];
   }
 
   /**
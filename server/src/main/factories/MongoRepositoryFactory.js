@@ -12,6 +12,24 @@ const PrismaSupporterRepository = require('../../infra/repositories/PrismaSuppor
 const PrismaPrestacaoContasRepository = require('../../infra/repositories/PrismaPrestacaoContasRepository');
 const PrismaFAQRepository = require('../../infra/repositories/PrismaFAQRepository');
 const PrismaTestimonialRepository = require('../../infra/repositories/PrismaTestimonialRepository');
+const PrismaProcessedWebhookRepository = require('../../infra/repositories/PrismaProcessedWebhookRepository');
+const PrismaWebhookInboxRepository = require('../../infra/repositories/PrismaWebhookInboxRepository');
+const PrismaPaymentReconciliationRepository = require('../../infra/repositories/PrismaPaymentReconciliationRepository');
+const PrismaDonationChargeRepository = require('../../infra/repositories/PrismaDonationChargeRepository');
+const PrismaDunningCaseRepository = require('../../infra/repositories/PrismaDunningCaseRepository');
+const PrismaDonationReceiptRepository = require('../../infra/repositories/PrismaDonationReceiptRepository');
+const PrismaAnnualStatementDispatchRepository = require('../../infra/repositories/PrismaAnnualStatementDispatchRepository');
+const PrismaPaymentSettingsRepository = require('../../infra/repositories/PrismaPaymentSettingsRepository');
+const PrismaCampaignRepository = require('../../infra/repositories/PrismaCampaignRepository');
+const PrismaFundraisingPageRepository = require('../../infra/repositories/PrismaFundraisingPageRepository');
+const PrismaMatchingRuleRepository = require('../../infra/repositories/PrismaMatchingRuleRepository');
+const PrismaMatchedDonationRepository = require('../../infra/repositories/PrismaMatchedDonationRepository');
+const PrismaDonorProfileRepository = require('../../infra/repositories/PrismaDonorProfileRepository');
+const PrismaFraudAssessmentRepository = require('../../infra/repositories/PrismaFraudAssessmentRepository');
+const PrismaCartRepository = require('../../infra/repositories/PrismaCartRepository');
+const PrismaOrderRepository = require('../../infra/repositories/PrismaOrderRepository');
+const PrismaStockReservationRepository = require('../../infra/repositories/PrismaStockReservationRepository');
+const PrismaProductVersionRepository = require('../../infra/repositories/PrismaProductVersionRepository');
 // Prisma Service singleton (para garantir inicialização do cliente Prisma)
 const PrismaService = require('../../infra/singletons/PrismaService');
 
@@ -158,6 +176,222 @@ class MongoRepositoryFactory {
     return this.repositories.testimonial;
   }
 
+  /**
+   * Cria repository de webhooks processados (Prisma)
+   * @returns {PrismaProcessedWebhookRepository}
+   */
+  createProcessedWebhookRepository() {
+    if (!this.repositories.processedWebhook) {
+      this.repositories.processedWebhook = new PrismaProcessedWebhookRepository();
+      console.log('[MongoRepositoryFactory] PrismaProcessedWebhookRepository criado');
+    }
+    return this.repositories.processedWebhook;
+  }
+
+  /**
+   * Cria repository da caixa de entrada de webhooks (Prisma)
+   * @returns {PrismaWebhookInboxRepository}
+   */
+  createWebhookInboxRepository() {
+    if (!this.repositories.webhookInbox) {
+      this.repositories.webhookInbox = new PrismaWebhookInboxRepository();
+      console.log('[MongoRepositoryFactory] PrismaWebhookInboxRepository criado');
+    }
+    return this.repositories.webhookInbox;
+  }
+
+  /**
+   * Cria repository dos relatórios de reconciliação de pagamentos (Prisma)
+   * @returns {PrismaPaymentReconciliationRepository}
+   */
+  createPaymentReconciliationRepository() {
+    if (!this.repositories.paymentReconciliation) {
+      this.repositories.paymentReconciliation = new PrismaPaymentReconciliationRepository();
+      console.log('[MongoRepositoryFactory] PrismaPaymentReconciliationRepository criado');
+    }
+    return this.repositories.paymentReconciliation;
+  }
+
+  /**
+   * Cria repository do histórico de cobranças de doações recorrentes (Prisma)
+   * @returns {PrismaDonationChargeRepository}
+   */
+  createDonationChargeRepository() {
+    if (!this.repositories.donationCharge) {
+      this.repositories.donationCharge = new PrismaDonationChargeRepository();
+      console.log('[MongoRepositoryFactory] PrismaDonationChargeRepository criado');
+    }
+    return this.repositories.donationCharge;
+  }
+
+  /**
+   * Cria repository dos casos de inadimplência de doações recorrentes (Prisma)
+   * @returns {PrismaDunningCaseRepository}
+   */
+  createDunningCaseRepository() {
+    if (!this.repositories.dunningCase) {
+      this.repositories.dunningCase = new PrismaDunningCaseRepository();
+      console.log('[MongoRepositoryFactory] PrismaDunningCaseRepository criado');
+    }
+    return this.repositories.dunningCase;
+  }
+
+  /**
+   * Cria repository dos recibos de doação (Prisma)
+   * @returns {PrismaDonationReceiptRepository}
+   */
+  createDonationReceiptRepository() {
+    if (!this.repositories.donationReceipt) {
+      this.repositories.donationReceipt = new PrismaDonationReceiptRepository();
+      console.log('[MongoRepositoryFactory] PrismaDonationReceiptRepository criado');
+    }
+    return this.repositories.donationReceipt;
+  }
+
+  /**
+   * Cria repository dos envios anuais de informes de doação (Prisma)
+   * @returns {PrismaAnnualStatementDispatchRepository}
+   */
+  createAnnualStatementDispatchRepository() {
+    if (!this.repositories.annualStatementDispatch) {
+      this.repositories.annualStatementDispatch = new PrismaAnnualStatementDispatchRepository();
+      console.log('[MongoRepositoryFactory] PrismaAnnualStatementDispatchRepository criado');
+    }
+    return this.repositories.annualStatementDispatch;
+  }
+
+  /**
+   * Cria repository das configurações de pagamento das organizações (Prisma)
+   * @returns {PrismaPaymentSettingsRepository}
+   */
+  createPaymentSettingsRepository() {
+    if (!this.repositories.paymentSettings) {
+      this.repositories.paymentSettings = new PrismaPaymentSettingsRepository();
+      console.log('[MongoRepositoryFactory] PrismaPaymentSettingsRepository criado');
+    }
+    return this.repositories.paymentSettings;
+  }
+
+  /**
+   * Cria repository das campanhas de arrecadação (Prisma)
+   * @returns {PrismaCampaignRepository}
+   */
+  createCampaignRepository() {
+    if (!this.repositories.campaign) {
+      this.repositories.campaign = new PrismaCampaignRepository();
+      console.log('[MongoRepositoryFactory] PrismaCampaignRepository criado');
+    }
+    return this.repositories.campaign;
+  }
+
+  /**
+   * Cria repository das páginas de arrecadação pessoais (Prisma)
+   * @returns {PrismaFundraisingPageRepository}
+   */
+  createFundraisingPageRepository() {
+    if (!this.repositories.fundraisingPage) {
+      this.repositories.fundraisingPage = new PrismaFundraisingPageRepository();
+      console.log('[MongoRepositoryFactory] PrismaFundraisingPageRepository criado');
+    }
+    return this.repositories.fundraisingPage;
+  }
+
+  /**
+   * Cria repository das regras de dobra de doações (Prisma)
+   * @returns {PrismaMatchingRuleRepository}
+   */
+  createMatchingRuleRepository() {
+    if (!this.repositories.matchingRule) {
+      this.repositories.matchingRule = new PrismaMatchingRuleRepository();
+      console.log('[MongoRepositoryFactory] PrismaMatchingRuleRepository criado');
+    }
+    return this.repositories.matchingRule;
+  }
+
+  /**
+   * Cria repository dos valores dobrados pelas empresas apoiadoras (Prisma)
+   * @returns {PrismaMatchedDonationRepository}
+   */
+  createMatchedDonationRepository() {
+    if (!this.repositories.matchedDonation) {
+      this.repositories.matchedDonation = new PrismaMatchedDonationRepository();
+      console.log('[MongoRepositoryFactory] PrismaMatchedDonationRepository criado');
+    }
+    return this.repositories.matchedDonation;
+  }
+
+  /**
+   * Cria repository dos perfis do portal do doador (Prisma)
+   * @returns {PrismaDonorProfileRepository}
+   */
+  createDonorProfileRepository() {
+    if (!this.repositories.donorProfile) {
+      this.repositories.donorProfile = new PrismaDonorProfileRepository();
+      console.log('[MongoRepositoryFactory] PrismaDonorProfileRepository criado');
+    }
+    return this.repositories.donorProfile;
+  }
+
+  /**
+   * Cria repository das avaliações antifraude de doações (Prisma)
+   * @returns {PrismaFraudAssessmentRepository}
+   */
+  createFraudAssessmentRepository() {
+    if (!this.repositories.fraudAssessment) {
+      this.repositories.fraudAssessment = new PrismaFraudAssessmentRepository();
+      console.log('[MongoRepositoryFactory] PrismaFraudAssessmentRepository criado');
+    }
+    return this.repositories.fraudAssessment;
+  }
+
+  /**
+   * Cria repository dos carrinhos do bazar (Prisma)
+   * @returns {PrismaCartRepository}
+   */
+  createCartRepository() {
+    if (!this.repositories.cart) {
+      this.repositories.cart = new PrismaCartRepository();
+      console.log('[MongoRepositoryFactory] PrismaCartRepository criado');
+    }
+    return this.repositories.cart;
+  }
+
+  /**
+   * Cria repository dos pedidos do bazar (Prisma)
+   * @returns {PrismaOrderRepository}
+   */
+  createOrderRepository() {
+    if (!this.repositories.order) {
+      this.repositories.order = new PrismaOrderRepository();
+      console.log('[MongoRepositoryFactory] PrismaOrderRepository criado');
+    }
+    return this.repositories.order;
+  }
+
+  /**
+   * Cria repository das reservas de estoque (Prisma)
+   * @returns {PrismaStockReservationRepository}
+   */
+  createStockReservationRepository() {
+    if (!this.repositories.stockReservation) {
+      this.repositories.stockReservation = new PrismaStockReservationRepository();
+      console.log('[MongoRepositoryFactory] PrismaStockReservationRepository criado');
+    }
+    return this.repositories.stockReservation;
+  }
+
+  /**
+   * Cria repository do histórico de versões de produtos (Prisma)
+   * @returns {PrismaProductVersionRepository}
+   */
+  createProductVersionRepository() {
+    if (!this.repositories.productVersion) {
+      this.repositories.productVersion = new PrismaProductVersionRepository();
+      console.log('[MongoRepositoryFactory] PrismaProductVersionRepository criado');
+    }
+    return this.repositories.productVersion;
+  }
+
   /**
    * Obtém todos os repositories criados
    * @returns {Object} Objeto com todos os repositories
@@ -175,6 +409,24 @@ class MongoRepositoryFactory {
       prestacaoContasRepository: this.createPrestacaoContasRepository(),
       faqRepository: this.createFAQRepository(),
       testimonialRepository: this.createTestimonialRepository(),
+      processedWebhookRepository: this.createProcessedWebhookRepository(),
+      webhookInboxRepository: this.createWebhookInboxRepository(),
+      paymentReconciliationRepository: this.createPaymentReconciliationRepository(),
+      donationChargeRepository: this.createDonationChargeRepository(),
+      dunningCaseRepository: this.createDunningCaseRepository(),
+      donationReceiptRepository: this.createDonationReceiptRepository(),
+      annualStatementDispatchRepository: this.createAnnualStatementDispatchRepository(),
+      paymentSettingsRepository: this.createPaymentSettingsRepository(),
+      campaignRepository: this.createCampaignRepository(),
+      fundraisingPageRepository: this.createFundraisingPageRepository(),
+      matchingRuleRepository: this.createMatchingRuleRepository(),
+      matchedDonationRepository: this.createMatchedDonationRepository(),
+      donorProfileRepository: this.createDonorProfileRepository(),
+      fraudAssessmentRepository: this.createFraudAssessmentRepository(),
+      cartRepository: this.createCartRepository(),
+      orderRepository: this.createOrderRepository(),
+      stockReservationRepository: this.createStockReservationRepository(),
+      productVersionRepository: this.createProductVersionRepository(),
     };
   }
 
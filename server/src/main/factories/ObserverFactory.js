@@ -12,6 +12,15 @@ class ObserverFactory {
   constructor() {
     this.observers = new Map();
     this.eventManager = null;
+    this.dependencies = {};
+  }
+
+  /**
+   * Services usados por observers que aplicam regras de negócio
+   * Deve ser chamado antes de registerAllObservers
+   */
+  setDependencies(dependencies = {}) {
+    this.dependencies = { ...this.dependencies, ...dependencies };
   }
 
   setEventManager(eventManager) {
@@ -39,7 +48,13 @@ class ObserverFactory {
 
   createDonationObserver() {
     if (!this.observers.has('DonationObserver')) {
-      const observer = new DonationObserver();
+      const observer = new DonationObserver({
+        topDonorService: this.dependencies.topDonorService,
+        dunningService: this.dependencies.dunningService,
+        receiptService: this.dependencies.receiptService,
+        matchingService: this.dependencies.matchingService,
+        transparencyFeedService: this.dependencies.transparencyFeedService,
+      });
       this.observers.set('DonationObserver', observer);
       logger.info('[OBSERVER FACTORY] DonationObserver criado');
     }
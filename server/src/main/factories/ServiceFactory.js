@@ -2,11 +2,36 @@ const EnhancedJwtAuthService = require('../../infra/services/EnhancedJwtAuthServ
 const SimpleJwtAuthService = require('../../infra/services/SimpleJwtAuthService');
 const ProductService = require('../../application/services/ProductService');
 const DonationService = require('../../application/services/DonationService');
+const PaymentProviderService = require('../../application/services/PaymentProviderService');
+const MercadoPagoAccountService = require('../../application/services/MercadoPagoAccountService');
+const TokenCipher = require('../../infra/services/TokenCipher');
+const CampaignService = require('../../application/services/CampaignService');
+const FundraisingPageService = require('../../application/services/FundraisingPageService');
+const MatchingService = require('../../application/services/MatchingService');
 const TopDonorService = require('../../application/services/TopDonorService');
 const SupporterService = require('../../application/services/SupporterService');
 const PrestacaoContasService = require('../../application/services/PrestacaoContasService');
 const FAQService = require('../../application/services/FAQService');
 const TestimonialService = require('../../application/services/TestimonialService');
+const WebhookInboxService = require('../../application/services/WebhookInboxService');
+const PaymentReconciliationService = require('../../application/services/PaymentReconciliationService');
+const DunningService = require('../../application/services/DunningService');
+const DonationReceiptService = require('../../application/services/DonationReceiptService');
+const ReceiptPdfRenderer = require('../../infra/services/ReceiptPdfRenderer');
+const DonorStatementService = require('../../application/services/DonorStatementService');
+const DonorPortalService = require('../../application/services/DonorPortalService');
+const TransparencyFeedService = require('../../application/services/TransparencyFeedService');
+const FraudDetectionService = require('../../application/services/FraudDetectionService');
+const OrderService = require('../../application/services/OrderService');
+const StockReservationService = require('../../application/services/StockReservationService');
+const ProductVersionService = require('../../application/services/ProductVersionService');
+const StatementPdfRenderer = require('../../infra/services/StatementPdfRenderer');
+const PixPaymentService = require('../../application/services/PixPaymentService');
+const PixBrCodeGenerator = require('../../infra/services/PixBrCodeGenerator');
+const { getEmailService } = require('../../infra/services/EmailService');
+const {
+  MongoVerificationCodeRepository,
+} = require('../../infra/repositories/MongoVerificationCodeRepository');
 const AdapterFactory = require('./AdapterFactory');
 
 /**
@@ -102,7 +127,11 @@ class ServiceFactory {
         throw new Error('ProductRepository or UserRepository dependency not found');
       }
 
-      const productService = new ProductService(productRepository, userRepository);
+      const productService = new ProductService(
+        productRepository,
+        userRepository,
+        this.createProductVersionService()
+      );
 
       this.services.set('productService', productService);
       console.log('[SERVICE FACTORY] ProductService criado com sucesso');
@@ -111,6 +140,27 @@ class ServiceFactory {
     return this.services.get('productService');
   }
 
+  /**
+   * Cria ou retorna instância existente do ProductVersionService
+   * @returns {ProductVersionService|null} null sem o repository de versões
+   */
+  createProductVersionService() {
+    if (!this.services.has('productVersionService')) {
+      const productVersionRepository = this.dependencies.get('productVersionRepository');
+      if (!productVersionRepository) {
+        return null;
+      }
+
+      console.log('[SERVICE FACTORY] Criando ProductVersionService');
+      this.services.set(
+        'productVersionService',
+        new ProductVersionService(productVersionRepository)
+      );
+    }
+
+    return this.services.get('productVersionService');
+  }
+
   /**
    * Cria ou retorna instância existente do DonationService
    * @returns {DonationService}
@@ -134,24 +184,48 @@ class ServiceFactory {
         );
       }
 
-      const paymentAdapter = AdapterFactory.createPaymentAdapter('mercadopago', {
-        accessToken: mercadoPagoAccessToken || 'TEST-TOKEN',
-        backUrls: {
-          success: process.env.MP_BACK_SUCCESS || undefined,
-          failure: process.env.MP_BACK_FAILURE || undefined,
-          pending: process.env.MP_BACK_PENDING || undefined,
-        },
-        notificationUrl:
-          process.env.MP_NOTIFICATION_URL ||
-          (process.env.BACKEND_URL
-            ? `${process.env.BACKEND_URL}/api/donations/webhook`
-            : undefined),
-      });
+      let paymentAdapter = null;
+      try {
+        paymentAdapter = AdapterFactory.createPaymentAdapter('mercadopago', {
+          accessToken: mercadoPagoAccessToken || 'TEST-TOKEN',
+          clientId: process.env.MERCADO_PAGO_CLIENT_ID || undefined,
+          clientSecret: process.env.MERCADO_PAGO_CLIENT_SECRET || undefined,
+          backUrls: {
+            success: process.env.MP_BACK_SUCCESS || undefined,
+            failure: process.env.MP_BACK_FAILURE || undefined,
+            pending: process.env.MP_BACK_PENDING || undefined,
+          },
+          notificationUrl:
+            process.env.MP_NOTIFICATION_URL ||
+            (process.env.BACKEND_URL
+              ? `${process.env.BACKEND_URL}/api/donations/webhook`
+              : undefined),
+        });
+      } catch (error) {
+        if (!error.message.includes('Credenciais não configuradas')) {
+          throw error;
+        }
+        // Sem credenciais as doações seguem apenas pelo PIX estático (PixPaymentService)
+        console.warn('[SERVICE FACTORY] Mercado Pago sem credenciais - apenas PIX estático');
+      }
+
+      const paymentProviderService = this.buildPaymentProviderService(paymentAdapter);
+      this.services.set('paymentProviderService', paymentProviderService);
+
+      const orderService = this.buildOrderService(paymentAdapter, paymentProviderService);
+      if (orderService) {
+        this.services.set('orderService', orderService);
+      }
 
       const donationService = new DonationService(
         donationRepository,
         userRepository,
-        paymentAdapter
+        paymentAdapter,
+        this.dependencies.get('processedWebhookRepository') || null,
+        this.dependencies.get('donationChargeRepository') || null,
+        paymentProviderService,
+        this.dependencies.get('campaignRepository') ? this.createCampaignService() : null,
+        orderService
       );
 
       this.services.set('donationService', donationService);
@@ -161,6 +235,573 @@ class ServiceFactory {
     return this.services.get('donationService');
   }
 
+  /**
+   * Cria ou retorna instância existente do CampaignService
+   * A capa usa o storageBridge registrado pelo AppFactory (STORAGE_BRIDGE)
+   * @returns {CampaignService}
+   */
+  createCampaignService() {
+    if (!this.services.has('campaignService')) {
+      console.log('[SERVICE FACTORY] Criando CampaignService');
+
+      const campaignRepository = this.dependencies.get('campaignRepository');
+      const donationRepository = this.dependencies.get('donationRepository');
+      if (!campaignRepository || !donationRepository) {
+        throw new Error('CampaignRepository or DonationRepository dependency not found');
+      }
+
+      const campaignService = new CampaignService(
+        campaignRepository,
+        donationRepository,
+        this.dependencies.get('storageBridge') || null,
+        this.dependencies.get('fundraisingPageRepository') || null
+      );
+
+      this.services.set('campaignService', campaignService);
+      console.log('[SERVICE FACTORY] CampaignService criado com sucesso');
+    }
+
+    return this.services.get('campaignService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do FundraisingPageService
+   * @returns {FundraisingPageService}
+   */
+  createFundraisingPageService() {
+    if (!this.services.has('fundraisingPageService')) {
+      console.log('[SERVICE FACTORY] Criando FundraisingPageService');
+
+      const pageRepository = this.dependencies.get('fundraisingPageRepository');
+      if (!pageRepository) {
+        throw new Error('FundraisingPageRepository dependency not found');
+      }
+
+      const fundraisingPageService = new FundraisingPageService(
+        pageRepository,
+        this.createCampaignService(),
+        this.dependencies.get('donationRepository')
+      );
+
+      this.services.set('fundraisingPageService', fundraisingPageService);
+      console.log('[SERVICE FACTORY] FundraisingPageService criado com sucesso');
+    }
+
+    return this.services.get('fundraisingPageService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do MatchingService
+   * @returns {MatchingService}
+   */
+  createMatchingService() {
+    if (!this.services.has('matchingService')) {
+      console.log('[SERVICE FACTORY] Criando MatchingService');
+
+      const ruleRepository = this.dependencies.get('matchingRuleRepository');
+      const matchedDonationRepository = this.dependencies.get('matchedDonationRepository');
+      if (!ruleRepository || !matchedDonationRepository) {
+        throw new Error('MatchingRuleRepository or MatchedDonationRepository dependency not found');
+      }
+
+      const matchingService = new MatchingService(
+        ruleRepository,
+        matchedDonationRepository,
+        this.dependencies.get('donationRepository'),
+        this.dependencies.get('supporterRepository')
+      );
+
+      this.services.set('matchingService', matchingService);
+      console.log('[SERVICE FACTORY] MatchingService criado com sucesso');
+    }
+
+    return this.services.get('matchingService');
+  }
+
+  /**
+   * Monta o PaymentProviderService com os adapters que têm credenciais
+   * Pagar.me é opcional: sem PAGARME_SECRET_KEY (ou PAGARME_MODE=mock) fica indisponível
+   */
+  buildPaymentProviderService(mercadoPagoAdapter) {
+    let pagarmeAdapter = null;
+    try {
+      pagarmeAdapter = AdapterFactory.createPaymentAdapter('pagarme', {
+        backUrls: {
+          success: process.env.MP_BACK_SUCCESS || undefined,
+        },
+      });
+    } catch (error) {
+      if (!error.message.includes('Credenciais não configuradas')) {
+        throw error;
+      }
+      console.warn('[SERVICE FACTORY] Pagar.me sem credenciais - provedor indisponível');
+    }
+
+    const mercadoPagoAccountService = this.buildMercadoPagoAccountService(mercadoPagoAdapter);
+    this.services.set('mercadoPagoAccountService', mercadoPagoAccountService);
+
+    return new PaymentProviderService(
+      { mercadopago: mercadoPagoAdapter, pagarme: pagarmeAdapter },
+      this.dependencies.get('paymentSettingsRepository') || null,
+      {
+        defaultProvider:
+          process.env.DEFAULT_PAYMENT_PROVIDER ||
+          (mercadoPagoAdapter || !pagarmeAdapter ? 'mercadopago' : 'pagarme'),
+        accountResolvers: mercadoPagoAccountService
+          ? { mercadopago: mercadoPagoAccountService }
+          : {},
+      }
+    );
+  }
+
+  /**
+   * OAuth das organizações com o Mercado Pago; exige o app (client id/secret) e a chave
+   * PAYMENT_TOKEN_ENCRYPTION_KEY. Sem eles, todas as doações usam a conta da plataforma.
+   * @returns {MercadoPagoAccountService|null}
+   */
+  buildMercadoPagoAccountService(platformAdapter) {
+    const settingsRepository = this.dependencies.get('paymentSettingsRepository');
+    const encryptionKey = process.env.PAYMENT_TOKEN_ENCRYPTION_KEY;
+    const stateSecret = process.env.MP_OAUTH_STATE_SECRET || process.env.JWT_SECRET;
+    const redirectUri =
+      process.env.MP_OAUTH_REDIRECT_URI ||
+      (process.env.BACKEND_URL
+        ? `${process.env.BACKEND_URL}/api/payment-settings/mercadopago/callback`
+        : null);
+
+    if (
+      !platformAdapter ||
+      typeof platformAdapter.isOAuthConfigured !== 'function' ||
+      !platformAdapter.isOAuthConfigured()
+    ) {
+      return null;
+    }
+    if (!settingsRepository || !encryptionKey || !stateSecret || !redirectUri) {
+      console.warn(
+        '[SERVICE FACTORY] OAuth do Mercado Pago desativado - configure PAYMENT_TOKEN_ENCRYPTION_KEY, JWT_SECRET e BACKEND_URL'
+      );
+      return null;
+    }
+
+    const notificationUrl =
+      process.env.MP_NOTIFICATION_URL ||
+      (process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/api/donations/webhook` : undefined);
+
+    return new MercadoPagoAccountService(
+      settingsRepository,
+      platformAdapter,
+      new TokenCipher(encryptionKey),
+      (accessToken, accountId) =>
+        AdapterFactory.createMercadoPagoAccountAdapter(accessToken, accountId, {
+          backUrls: platformAdapter.defaults && platformAdapter.defaults.backUrls,
+          notificationUrl,
+        }),
+      {
+        redirectUri,
+        stateSecret,
+        refreshBeforeDays: parseInt(process.env.MP_OAUTH_REFRESH_BEFORE_DAYS, 10) || undefined,
+      }
+    );
+  }
+
+  /**
+   * Retorna o MercadoPagoAccountService (null quando o OAuth não está configurado)
+   * @returns {MercadoPagoAccountService|null}
+   */
+  createMercadoPagoAccountService() {
+    if (!this.services.has('mercadoPagoAccountService')) {
+      this.createDonationService();
+    }
+
+    return this.services.get('mercadoPagoAccountService') || null;
+  }
+
+  /**
+   * Retorna o PaymentProviderService (criado junto com o DonationService)
+   * @returns {PaymentProviderService}
+   */
+  createPaymentProviderService() {
+    if (!this.services.has('paymentProviderService')) {
+      this.createDonationService();
+    }
+
+    return this.services.get('paymentProviderService');
+  }
+
+  /**
+   * Retorna o OrderService do bazar (criado junto com o DonationService, que recebe os
+   * webhooks de pagamento dos pedidos)
+   * @returns {OrderService|null}
+   */
+  createOrderService() {
+    if (!this.services.has('orderService')) {
+      this.createDonationService();
+    }
+
+    return this.services.get('orderService') || null;
+  }
+
+  /**
+   * Pedidos do bazar usam os mesmos adapters das doações
+   * @returns {OrderService|null} null sem os repositories de carrinho/pedido
+   */
+  buildOrderService(paymentAdapter, paymentProviderService) {
+    const cartRepository = this.dependencies.get('cartRepository');
+    const orderRepository = this.dependencies.get('orderRepository');
+    const productRepository = this.dependencies.get('productRepository');
+    if (!cartRepository || !orderRepository || !productRepository) {
+      return null;
+    }
+
+    console.log('[SERVICE FACTORY] Criando OrderService');
+    return new OrderService(
+      cartRepository,
+      orderRepository,
+      productRepository,
+      paymentAdapter,
+      paymentProviderService,
+      { stockReservationService: this.createStockReservationService() }
+    );
+  }
+
+  /**
+   * Cria ou retorna instância existente do StockReservationService
+   * TTL das reservas em minutos: STOCK_HOLD_CHECKOUT_MINUTES e STOCK_HOLD_WHATSAPP_MINUTES
+   * @returns {StockReservationService|null} null sem o repository de reservas
+   */
+  createStockReservationService() {
+    if (!this.services.has('stockReservationService')) {
+      const reservationRepository = this.dependencies.get('stockReservationRepository');
+      const productRepository = this.dependencies.get('productRepository');
+      if (!reservationRepository || !productRepository) {
+        return null;
+      }
+
+      console.log('[SERVICE FACTORY] Criando StockReservationService');
+      const minutes = (value) => (parseInt(value, 10) || 0) * 60 * 1000 || undefined;
+      const stockReservationService = new StockReservationService(
+        reservationRepository,
+        productRepository,
+        {
+          ttlMs: {
+            checkout: minutes(process.env.STOCK_HOLD_CHECKOUT_MINUTES),
+            whatsapp: minutes(process.env.STOCK_HOLD_WHATSAPP_MINUTES),
+          },
+        }
+      );
+
+      this.services.set('stockReservationService', stockReservationService);
+      console.log('[SERVICE FACTORY] StockReservationService criado com sucesso');
+    }
+
+    return this.services.get('stockReservationService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do WebhookInboxService
+   * @returns {WebhookInboxService}
+   */
+  createWebhookInboxService() {
+    if (!this.services.has('webhookInboxService')) {
+      console.log('[SERVICE FACTORY] Criando WebhookInboxService');
+
+      const webhookInboxRepository = this.dependencies.get('webhookInboxRepository');
+
+      if (!webhookInboxRepository) {
+        throw new Error('WebhookInboxRepository dependency not found');
+      }
+
+      const webhookInboxService = new WebhookInboxService(
+        webhookInboxRepository,
+        this.createDonationService(),
+        {
+          maxAttempts: parseInt(process.env.WEBHOOK_INBOX_MAX_ATTEMPTS, 10) || undefined,
+          retryDelay: parseInt(process.env.WEBHOOK_INBOX_RETRY_DELAY_MS, 10) || undefined,
+        }
+      );
+
+      this.services.set('webhookInboxService', webhookInboxService);
+      console.log('[SERVICE FACTORY] WebhookInboxService criado com sucesso');
+    }
+
+    return this.services.get('webhookInboxService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do PaymentReconciliationService
+   * Usa o mesmo adapter de pagamento do DonationService
+   * @returns {PaymentReconciliationService}
+   */
+  createPaymentReconciliationService() {
+    if (!this.services.has('paymentReconciliationService')) {
+      console.log('[SERVICE FACTORY] Criando PaymentReconciliationService');
+
+      const donationService = this.createDonationService();
+
+      const paymentReconciliationService = new PaymentReconciliationService(
+        this.dependencies.get('donationRepository'),
+        donationService,
+        donationService.paymentAdapter,
+        this.dependencies.get('paymentReconciliationRepository') || null,
+        {
+          thresholdMinutes: parseInt(process.env.RECONCILIATION_THRESHOLD_MINUTES, 10) || undefined,
+          maxAgeDays: parseInt(process.env.RECONCILIATION_MAX_AGE_DAYS, 10) || undefined,
+          batchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE, 10) || undefined,
+        }
+      );
+
+      this.services.set('paymentReconciliationService', paymentReconciliationService);
+      console.log('[SERVICE FACTORY] PaymentReconciliationService criado com sucesso');
+    }
+
+    return this.services.get('paymentReconciliationService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do DunningService
+   * @param {Object} notificationBridges - { email, whatsapp } vindos do BridgeFactory
+   * @returns {DunningService}
+   */
+  createDunningService(notificationBridges = {}) {
+    if (!this.services.has('dunningService')) {
+      console.log('[SERVICE FACTORY] Criando DunningService');
+
+      const dunningCaseRepository = this.dependencies.get('dunningCaseRepository');
+      if (!dunningCaseRepository) {
+        throw new Error('DunningCaseRepository dependency not found');
+      }
+
+      const retryScheduleDays = (process.env.DUNNING_RETRY_SCHEDULE_DAYS || '')
+        .split(',')
+        .map((day) => parseInt(day, 10))
+        .filter((day) => day > 0);
+
+      const dunningService = new DunningService(
+        dunningCaseRepository,
+        this.createDonationService(),
+        notificationBridges,
+        {
+          retryScheduleDays,
+          updateCardUrl: process.env.DUNNING_UPDATE_CARD_URL || undefined,
+          batchSize: parseInt(process.env.DUNNING_BATCH_SIZE, 10) || undefined,
+        }
+      );
+
+      this.services.set('dunningService', dunningService);
+      console.log('[SERVICE FACTORY] DunningService criado com sucesso');
+    }
+
+    return this.services.get('dunningService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do DonationReceiptService
+   * @returns {DonationReceiptService}
+   */
+  createDonationReceiptService() {
+    if (!this.services.has('donationReceiptService')) {
+      console.log('[SERVICE FACTORY] Criando DonationReceiptService');
+
+      const donationReceiptRepository = this.dependencies.get('donationReceiptRepository');
+      const donationRepository = this.dependencies.get('donationRepository');
+      if (!donationReceiptRepository || !donationRepository) {
+        throw new Error('DonationReceiptRepository or DonationRepository dependency not found');
+      }
+
+      const donationReceiptService = new DonationReceiptService(
+        donationReceiptRepository,
+        donationRepository,
+        new ReceiptPdfRenderer(),
+        getEmailService()
+      );
+
+      this.services.set('donationReceiptService', donationReceiptService);
+      console.log('[SERVICE FACTORY] DonationReceiptService criado com sucesso');
+    }
+
+    return this.services.get('donationReceiptService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do PixPaymentService
+   * PIX dinâmico pelo adapter do DonationService; PIX_MODE=static ou ausência de
+   * credenciais do Mercado Pago ativam o BR Code estático
+   * @returns {PixPaymentService}
+   */
+  createPixPaymentService() {
+    if (!this.services.has('pixPaymentService')) {
+      console.log('[SERVICE FACTORY] Criando PixPaymentService');
+
+      const donationService = this.createDonationService();
+      const paymentAdapter = donationService.paymentAdapter;
+      const pixProvider =
+        process.env.PIX_MODE !== 'static' &&
+        paymentAdapter &&
+        typeof paymentAdapter.createPixPayment === 'function'
+          ? paymentAdapter
+          : null;
+
+      const pixPaymentService = new PixPaymentService(
+        donationService,
+        this.dependencies.get('donationReceiptRepository') || null,
+        new PixBrCodeGenerator(),
+        {
+          pixProvider,
+          expirationMinutes: parseInt(process.env.PIX_EXPIRATION_MINUTES, 10) || undefined,
+          merchantCity: process.env.PIX_MERCHANT_CITY || undefined,
+        }
+      );
+
+      this.services.set('pixPaymentService', pixPaymentService);
+      console.log('[SERVICE FACTORY] PixPaymentService criado com sucesso');
+    }
+
+    return this.services.get('pixPaymentService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do DonorStatementService
+   * @param {Object} emailBridge - EmailNotificationBridge para o envio anual em lote
+   * @returns {DonorStatementService}
+   */
+  createDonorStatementService(emailBridge = null) {
+    if (!this.services.has('donorStatementService')) {
+      console.log('[SERVICE FACTORY] Criando DonorStatementService');
+
+      const donationRepository = this.dependencies.get('donationRepository');
+      if (!donationRepository) {
+        throw new Error('DonationRepository dependency not found');
+      }
+
+      const donorStatementService = new DonorStatementService(
+        {
+          donationRepository,
+          chargeRepository: this.dependencies.get('donationChargeRepository') || null,
+          issuerRepository: this.dependencies.get('donationReceiptRepository') || null,
+          dispatchRepository: this.dependencies.get('annualStatementDispatchRepository') || null,
+          userRepository: this.dependencies.get('userRepository') || null,
+        },
+        new StatementPdfRenderer(),
+        emailBridge,
+        { batchSize: parseInt(process.env.ANNUAL_STATEMENT_BATCH_SIZE, 10) || undefined }
+      );
+
+      this.services.set('donorStatementService', donorStatementService);
+      console.log('[SERVICE FACTORY] DonorStatementService criado com sucesso');
+    }
+
+    return this.services.get('donorStatementService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do DonorPortalService
+   * O token de sessão do doador usa DONOR_PORTAL_SECRET (ou JWT_SECRET)
+   * @returns {DonorPortalService}
+   */
+  createDonorPortalService() {
+    if (!this.services.has('donorPortalService')) {
+      console.log('[SERVICE FACTORY] Criando DonorPortalService');
+
+      const donationRepository = this.dependencies.get('donationRepository');
+      const donorProfileRepository = this.dependencies.get('donorProfileRepository');
+      if (!donationRepository || !donorProfileRepository) {
+        throw new Error('DonationRepository or DonorProfileRepository dependency not found');
+      }
+
+      const sessionSecret = process.env.DONOR_PORTAL_SECRET || process.env.JWT_SECRET;
+      if (!sessionSecret) {
+        throw new Error('DONOR_PORTAL_SECRET ou JWT_SECRET deve estar definido');
+      }
+
+      const donorPortalService = new DonorPortalService(
+        new MongoVerificationCodeRepository(),
+        getEmailService(),
+        donationRepository,
+        donorProfileRepository,
+        this.createDonationReceiptService(),
+        { sessionSecret }
+      );
+
+      this.services.set('donorPortalService', donorPortalService);
+      console.log('[SERVICE FACTORY] DonorPortalService criado com sucesso');
+    }
+
+    return this.services.get('donorPortalService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do FraudDetectionService
+   * Limiares por FRAUD_FLAG_SCORE/FRAUD_HOLD_SCORE/FRAUD_BLOCK_SCORE; domínios descartáveis
+   * extras em FRAUD_DISPOSABLE_DOMAINS (separados por vírgula)
+   * @returns {FraudDetectionService}
+   */
+  createFraudDetectionService() {
+    if (!this.services.has('fraudDetectionService')) {
+      console.log('[SERVICE FACTORY] Criando FraudDetectionService');
+
+      const fraudAssessmentRepository = this.dependencies.get('fraudAssessmentRepository');
+      if (!fraudAssessmentRepository) {
+        throw new Error('FraudAssessmentRepository dependency not found');
+      }
+
+      const thresholds = {};
+      for (const [key, env] of [
+        ['flag', 'FRAUD_FLAG_SCORE'],
+        ['hold', 'FRAUD_HOLD_SCORE'],
+        ['block', 'FRAUD_BLOCK_SCORE'],
+      ]) {
+        const value = parseInt(process.env[env], 10);
+        if (value > 0) {
+          thresholds[key] = value;
+        }
+      }
+
+      const fraudDetectionService = new FraudDetectionService(
+        fraudAssessmentRepository,
+        this.createDonationService(),
+        this.createPixPaymentService(),
+        getEmailService(),
+        {
+          thresholds,
+          disposableDomains: (process.env.FRAUD_DISPOSABLE_DOMAINS || '')
+            .split(',')
+            .map((domain) => domain.trim().toLowerCase())
+            .filter(Boolean),
+        }
+      );
+
+      this.services.set('fraudDetectionService', fraudDetectionService);
+      console.log('[SERVICE FACTORY] FraudDetectionService criado com sucesso');
+    }
+
+    return this.services.get('fraudDetectionService');
+  }
+
+  /**
+   * Cria ou retorna instância existente do TransparencyFeedService
+   * Os ouvintes do stream ficam na instância: precisa ser única no processo
+   * @returns {TransparencyFeedService}
+   */
+  createTransparencyFeedService() {
+    if (!this.services.has('transparencyFeedService')) {
+      console.log('[SERVICE FACTORY] Criando TransparencyFeedService');
+
+      const donationRepository = this.dependencies.get('donationRepository');
+      if (!donationRepository) {
+        throw new Error('DonationRepository dependency not found');
+      }
+
+      const transparencyFeedService = new TransparencyFeedService(donationRepository, {
+        maxSubscribers: Number(process.env.TRANSPARENCY_FEED_MAX_CONNECTIONS) || undefined,
+      });
+
+      this.services.set('transparencyFeedService', transparencyFeedService);
+      console.log('[SERVICE FACTORY] TransparencyFeedService criado com sucesso');
+    }
+
+    return this.services.get('transparencyFeedService');
+  }
+
   /**
    * Cria ou retorna instância existente do TopDonorService
    * @returns {TopDonorService}
@@ -175,7 +816,19 @@ class ServiceFactory {
         throw new Error('TopDonorRepository dependency not found');
       }
 
-      const topDonorService = new TopDonorService(topDonorRepository);
+      const keySecret = process.env.TOP_DONOR_KEY_SECRET || process.env.JWT_SECRET;
+      if (!keySecret) {
+        throw new Error('TOP_DONOR_KEY_SECRET ou JWT_SECRET deve estar definido');
+      }
+
+      // TOP_DONOR_AUTO_RANKING=false mantém o ranking apenas manual
+      const topDonorService = new TopDonorService(
+        topDonorRepository,
+        process.env.TOP_DONOR_AUTO_RANKING === 'false'
+          ? null
+          : this.dependencies.get('donationRepository') || null,
+        { keySecret }
+      );
 
       this.services.set('topDonorService', topDonorService);
       console.log('[SERVICE FACTORY] TopDonorService criado com sucesso');
@@ -295,7 +948,24 @@ class ServiceFactory {
     const serviceMap = {
       authservice: () => this.createAuthService(),
       productservice: () => this.createProductService(),
+      productversionservice: () => this.createProductVersionService(),
       donationservice: () => this.createDonationService(),
+      pixpaymentservice: () => this.createPixPaymentService(),
+      paymentproviderservice: () => this.createPaymentProviderService(),
+      mercadopagoaccountservice: () => this.createMercadoPagoAccountService(),
+      campaignservice: () => this.createCampaignService(),
+      fundraisingpageservice: () => this.createFundraisingPageService(),
+      matchingservice: () => this.createMatchingService(),
+      webhookinboxservice: () => this.createWebhookInboxService(),
+      paymentreconciliationservice: () => this.createPaymentReconciliationService(),
+      dunningservice: () => this.createDunningService(),
+      donationreceiptservice: () => this.createDonationReceiptService(),
+      donorstatementservice: () => this.createDonorStatementService(),
+      donorportalservice: () => this.createDonorPortalService(),
+      transparencyfeedservice: () => this.createTransparencyFeedService(),
+      frauddetectionservice: () => this.createFraudDetectionService(),
+      orderservice: () => this.createOrderService(),
+      stockreservationservice: () => this.createStockReservationService(),
       topdonorservice: () => this.createTopDonorService(),
       supporterservice: () => this.createSupporterService(),
       prestacaocontasservice: () => this.createPrestacaoContasService(),
@@ -21,6 +21,24 @@ const createPrestacaoContasRoutes = require('../../presentation/routes/prestacao
 const createFAQRoutes = require('../../presentation/routes/faqRoutes');
 const createTestimonialRoutes = require('../../presentation/routes/testimonialRoutes');
 const createVerificationRoutes = require('../../presentation/routes/verificationRoutes');
+const createWebhookInboxRoutes = require('../../presentation/routes/webhookInboxRoutes');
+const WebhookInboxWorker = require('../../infra/workers/WebhookInboxWorker');
+const createPaymentReconciliationRoutes = require('../../presentation/routes/paymentReconciliationRoutes');
+const PaymentReconciliationWorker = require('../../infra/workers/PaymentReconciliationWorker');
+const DunningWorker = require('../../infra/workers/DunningWorker');
+const StockReservationWorker = require('../../infra/workers/StockReservationWorker');
+const createDonorStatementRoutes = require('../../presentation/routes/donorStatementRoutes');
+const AnnualStatementWorker = require('../../infra/workers/AnnualStatementWorker');
+const createPaymentSettingsRoutes = require('../../presentation/routes/paymentSettingsRoutes');
+const createCampaignRoutes = require('../../presentation/routes/campaignRoutes');
+const createFundraisingPageRoutes = require('../../presentation/routes/fundraisingPageRoutes');
+const createMatchingRoutes = require('../../presentation/routes/matchingRoutes');
+const createDonorPortalRoutes = require('../../presentation/routes/donorPortalRoutes');
+const createTransparencyRoutes = require('../../presentation/routes/transparencyRoutes');
+const createFraudReviewRoutes = require('../../presentation/routes/fraudReviewRoutes');
+const createBazaarRoutes = require('../../presentation/routes/bazaarRoutes');
+const MercadoPagoTokenRefreshWorker = require('../../infra/workers/MercadoPagoTokenRefreshWorker');
+const { getEmailService } = require('../../infra/services/EmailService');
 // Factories removidos na limpeza - não utilizados
 const AdapterFactory = require('./AdapterFactory');
 const BridgeFactory = require('./BridgeFactory');
@@ -68,7 +86,11 @@ class AppFactory {
     this.bridges = await BridgeFactory.initialize({
       cloudinaryAdapter: storageAdapter,
       localStoragePath: process.env.LOCAL_UPLOAD_PATH || './uploads',
+      emailAdapter: getEmailService(),
+      whatsappAdapter: AdapterFactory.createWhatsAppAdapter(),
     });
+    // Capas de campanha usam o mesmo storage dos uploads
+    this.serviceFactory.registerDependencies({ storageBridge: this.getStorageBridge() });
 
     this.initialized = true;
     console.log('[APP FACTORY] AppFactory inicializado com sucesso');
@@ -140,6 +162,120 @@ class AppFactory {
     return this.serviceFactory.createDonationService();
   }
 
+  createPixPaymentService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createPixPaymentService();
+  }
+
+  createPaymentProviderService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createPaymentProviderService();
+  }
+
+  createMercadoPagoAccountService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createMercadoPagoAccountService();
+  }
+
+  createCampaignService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createCampaignService();
+  }
+
+  createFundraisingPageService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createFundraisingPageService();
+  }
+
+  createMatchingService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createMatchingService();
+  }
+
+  createWebhookInboxService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createWebhookInboxService();
+  }
+
+  createPaymentReconciliationService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createPaymentReconciliationService();
+  }
+
+  createDunningService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createDunningService(this.bridges?.notification || {});
+  }
+
+  createDonationReceiptService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createDonationReceiptService();
+  }
+
+  createDonorStatementService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createDonorStatementService(
+      this.bridges?.notification?.email || null
+    );
+  }
+
+  createDonorPortalService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createDonorPortalService();
+  }
+
+  createFraudDetectionService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createFraudDetectionService();
+  }
+
+  createOrderService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createOrderService();
+  }
+
+  createStockReservationService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createStockReservationService();
+  }
+
+  createTransparencyFeedService() {
+    if (!this.initialized) {
+      throw new Error('AppFactory must be initialized before creating services');
+    }
+    return this.serviceFactory.createTransparencyFeedService();
+  }
+
   createTopDonorService() {
     if (!this.initialized) {
       throw new Error('AppFactory must be initialized before creating services');
@@ -191,20 +327,193 @@ class AppFactory {
   createProductRoutes() {
     const productService = this.createProductService();
     const authService = this.createSimpleAuthService(); // Usar o novo sistema simplificado
-    return createProductRoutes(productService, authService);
+    return createProductRoutes(productService, authService, this.createStockReservationService());
   }
 
   createDonationRoutes() {
     const donationService = this.createDonationService();
     const authService = this.createSimpleAuthService(); // Para autenticação nas rotas protegidas
-    return createDonationRoutes(donationService, authService);
+    const webhookInboxService = this.createWebhookInboxService();
+    const dunningService = this.createDunningService();
+    const receiptService = this.createDonationReceiptService();
+    const pixService = this.createPixPaymentService();
+    // FRAUD_DETECTION=false desliga a pontuação antifraude das rotas de doação
+    const fraudDetectionService =
+      process.env.FRAUD_DETECTION === 'false' ? null : this.createFraudDetectionService();
+    return createDonationRoutes(
+      donationService,
+      authService,
+      webhookInboxService,
+      dunningService,
+      receiptService,
+      pixService,
+      fraudDetectionService
+    );
   }
 
-  createUploadRoutes() {
-    // Seleciona bridge conforme preferência/env
+  createFraudReviewRoutes() {
+    return createFraudReviewRoutes(
+      this.createFraudDetectionService(),
+      this.createSimpleAuthService()
+    );
+  }
+
+  createWebhookInboxRoutes() {
+    const webhookInboxService = this.createWebhookInboxService();
+    const authService = this.createSimpleAuthService();
+    return createWebhookInboxRoutes(webhookInboxService, authService);
+  }
+
+  /**
+   * Inicia o worker que processa a caixa de entrada de webhooks
+   */
+  startWebhookInboxWorker() {
+    if (!this.webhookInboxWorker) {
+      this.webhookInboxWorker = new WebhookInboxWorker(this.createWebhookInboxService(), {
+        intervalMs: parseInt(process.env.WEBHOOK_INBOX_POLL_INTERVAL_MS, 10) || undefined,
+      });
+    }
+    this.webhookInboxWorker.start();
+    return this.webhookInboxWorker;
+  }
+
+  createPaymentReconciliationRoutes() {
+    const reconciliationService = this.createPaymentReconciliationService();
+    const authService = this.createSimpleAuthService();
+    return createPaymentReconciliationRoutes(reconciliationService, authService);
+  }
+
+  createPaymentSettingsRoutes() {
+    const paymentProviderService = this.createPaymentProviderService();
+    const authService = this.createSimpleAuthService();
+    return createPaymentSettingsRoutes(
+      paymentProviderService,
+      authService,
+      this.createMercadoPagoAccountService()
+    );
+  }
+
+  createCampaignRoutes() {
+    return createCampaignRoutes(this.createCampaignService(), this.createSimpleAuthService());
+  }
+
+  createFundraisingPageRoutes() {
+    return createFundraisingPageRoutes(
+      this.createFundraisingPageService(),
+      this.createSimpleAuthService()
+    );
+  }
+
+  createMatchingRoutes() {
+    return createMatchingRoutes(this.createMatchingService(), this.createSimpleAuthService());
+  }
+
+  /**
+   * Inicia a renovação dos tokens OAuth do Mercado Pago (apenas com OAuth configurado)
+   */
+  startMercadoPagoTokenRefreshWorker() {
+    const accountService = this.createMercadoPagoAccountService();
+    if (!accountService) {
+      return null;
+    }
+
+    if (!this.mercadoPagoTokenRefreshWorker) {
+      this.mercadoPagoTokenRefreshWorker = new MercadoPagoTokenRefreshWorker(accountService, {
+        intervalMs: parseInt(process.env.MP_TOKEN_REFRESH_INTERVAL_MS, 10) || undefined,
+      });
+    }
+    this.mercadoPagoTokenRefreshWorker.start();
+    return this.mercadoPagoTokenRefreshWorker;
+  }
+
+  /**
+   * Inicia a reconciliação periódica de pagamentos com o provedor
+   */
+  startPaymentReconciliationWorker() {
+    if (!this.paymentReconciliationWorker) {
+      this.paymentReconciliationWorker = new PaymentReconciliationWorker(
+        this.createPaymentReconciliationService(),
+        { intervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS, 10) || undefined }
+      );
+    }
+    this.paymentReconciliationWorker.start();
+    return this.paymentReconciliationWorker;
+  }
+
+  createDonorStatementRoutes() {
+    const statementService = this.createDonorStatementService();
+    const authService = this.createSimpleAuthService();
+    return createDonorStatementRoutes(statementService, authService);
+  }
+
+  createDonorPortalRoutes() {
+    return createDonorPortalRoutes(this.createDonorPortalService());
+  }
+
+  createTransparencyRoutes() {
+    return createTransparencyRoutes(this.createTransparencyFeedService());
+  }
+
+  createBazaarRoutes() {
+    return createBazaarRoutes(this.createOrderService(), this.createSimpleAuthService());
+  }
+
+  /**
+   * Inicia o envio dos informes anuais de doação (ativo apenas em janeiro)
+   */
+  startAnnualStatementWorker() {
+    if (!this.annualStatementWorker) {
+      this.annualStatementWorker = new AnnualStatementWorker(this.createDonorStatementService(), {
+        intervalMs: parseInt(process.env.ANNUAL_STATEMENT_INTERVAL_MS, 10) || undefined,
+      });
+    }
+    this.annualStatementWorker.start();
+    return this.annualStatementWorker;
+  }
+
+  /**
+   * Inicia o worker que escala os casos de inadimplência de doações recorrentes
+   */
+  startDunningWorker() {
+    if (!this.dunningWorker) {
+      this.dunningWorker = new DunningWorker(this.createDunningService(), {
+        intervalMs: parseInt(process.env.DUNNING_INTERVAL_MS, 10) || undefined,
+      });
+    }
+    this.dunningWorker.start();
+    return this.dunningWorker;
+  }
+
+  /**
+   * Inicia o worker que devolve ao estoque as reservas vencidas
+   * @returns {StockReservationWorker|null} null sem o StockReservationService
+   */
+  startStockReservationWorker() {
+    if (!this.stockReservationWorker) {
+      const stockReservationService = this.createStockReservationService();
+      if (!stockReservationService) {
+        return null;
+      }
+      this.stockReservationWorker = new StockReservationWorker(stockReservationService, {
+        intervalMs: parseInt(process.env.STOCK_RESERVATION_INTERVAL_MS, 10) || undefined,
+      });
+    }
+    this.stockReservationWorker.start();
+    return this.stockReservationWorker;
+  }
+
+  /**
+   * Storage bridge conforme preferência/env (STORAGE_BRIDGE=local|cloudinary)
+   */
+  getStorageBridge() {
     const preference = (process.env.STORAGE_BRIDGE || 'cloudinary').toLowerCase();
     const storageBridge =
       preference === 'local' ? this.bridges?.storage?.local : this.bridges?.storage?.cloudinary;
+    return storageBridge || null;
+  }
+
+  createUploadRoutes() {
+    const storageBridge = this.getStorageBridge();
 
     if (!storageBridge) {
       throw new Error('Storage bridge is not initialized');
@@ -359,6 +668,15 @@ class AppFactory {
    * Cria ou retorna ObserverFactory
    */
   createObserverFactory() {
+    if (this.initialized) {
+      this.observerFactory.setDependencies({
+        topDonorService: this.createTopDonorService(),
+        dunningService: this.createDunningService(),
+        receiptService: this.createDonationReceiptService(),
+        matchingService: this.createMatchingService(),
+        transparencyFeedService: this.createTransparencyFeedService(),
+      });
+    }
     return this.observerFactory;
   }
 
@@ -371,6 +689,30 @@ class AppFactory {
    */
   clearAll() {
     console.log('[APP FACTORY] Limpando todos os caches');
+    if (this.webhookInboxWorker) {
+      this.webhookInboxWorker.stop();
+      this.webhookInboxWorker = null;
+    }
+    if (this.paymentReconciliationWorker) {
+      this.paymentReconciliationWorker.stop();
+      this.paymentReconciliationWorker = null;
+    }
+    if (this.dunningWorker) {
+      this.dunningWorker.stop();
+      this.dunningWorker = null;
+    }
+    if (this.stockReservationWorker) {
+      this.stockReservationWorker.stop();
+      this.stockReservationWorker = null;
+    }
+    if (this.annualStatementWorker) {
+      this.annualStatementWorker.stop();
+      this.annualStatementWorker = null;
+    }
+    if (this.mercadoPagoTokenRefreshWorker) {
+      this.mercadoPagoTokenRefreshWorker.stop();
+      this.mercadoPagoTokenRefreshWorker = null;
+    }
     this.repositoryFactory.clearRepositories();
     this.serviceFactory.clearServices();
     this.eventManager = null;
@@ -167,6 +167,36 @@ const initializeApp = async () => {
       observerFactory.registerAllObservers();
       console.log('[Server] Observers registrados com sucesso');
 
+      // Worker da caixa de entrada de webhooks (processamento com retry/dead-letter)
+      if (process.env.WEBHOOK_INBOX_WORKER_ENABLED !== 'false') {
+        appFactory.startWebhookInboxWorker();
+      }
+
+      // Reconciliação periódica de doações pendentes com o Mercado Pago
+      if (process.env.RECONCILIATION_WORKER_ENABLED !== 'false') {
+        appFactory.startPaymentReconciliationWorker();
+      }
+
+      // Escalada dos casos de inadimplência de doações recorrentes
+      if (process.env.DUNNING_WORKER_ENABLED !== 'false') {
+        appFactory.startDunningWorker();
+      }
+
+      // Liberação das reservas de estoque vencidas (checkout abandonado, WhatsApp sem venda)
+      if (process.env.STOCK_RESERVATION_WORKER_ENABLED !== 'false') {
+        appFactory.startStockReservationWorker();
+      }
+
+      // Informes anuais de doação enviados aos doadores em janeiro
+      if (process.env.ANNUAL_STATEMENT_WORKER_ENABLED !== 'false') {
+        appFactory.startAnnualStatementWorker();
+      }
+
+      // Renovação dos tokens OAuth das contas do Mercado Pago conectadas pelas organizações
+      if (process.env.MP_TOKEN_REFRESH_WORKER_ENABLED !== 'false') {
+        appFactory.startMercadoPagoTokenRefreshWorker();
+      }
+
       // Emit system startup event
       await eventManager.emit('system.startup', {
         version: process.env.npm_package_version || '1.0.0',
@@ -352,6 +382,127 @@ app.use('/api/testimonials', (req, res, next) => {
   return appFactory.createTestimonialRoutes()(req, res, next);
 });
 
+// Rotas administrativas da caixa de entrada de webhooks (dead-letter/replay)
+app.use('/api/admin/webhooks', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createWebhookInboxRoutes()(req, res, next);
+});
+
+// Rotas administrativas da reconciliação de pagamentos
+app.use('/api/admin/reconciliation', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createPaymentReconciliationRoutes()(req, res, next);
+});
+
+// Fila de revisão das doações retidas pela análise antifraude (Admin)
+app.use('/api/admin/fraud', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createFraudReviewRoutes()(req, res, next);
+});
+
+// Informes anuais de doação (doador e organização)
+app.use('/api/statements', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createDonorStatementRoutes()(req, res, next);
+});
+
+// Portal do doador (login por código enviado ao email)
+app.use('/api/donor-portal', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createDonorPortalRoutes()(req, res, next);
+});
+
+// Feed público de transparência (JSON e stream SSE)
+app.use('/api/public/transparency', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createTransparencyRoutes()(req, res, next);
+});
+
+// Bazar: carrinho, checkout e pedidos dos produtos
+app.use('/api/bazaar', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createBazaarRoutes()(req, res, next);
+});
+
+// Provedor de pagamento da organização (Mercado Pago ou Pagar.me)
+app.use('/api/payment-settings', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createPaymentSettingsRoutes()(req, res, next);
+});
+
+// Campanhas de arrecadação (páginas públicas com progresso da meta)
+app.use('/api/campaigns', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createCampaignRoutes()(req, res, next);
+});
+
+// Páginas de arrecadação pessoais (peer-to-peer) dentro das campanhas
+app.use('/api/fundraisers', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createFundraisingPageRoutes()(req, res, next);
+});
+
+// Regras de dobra de doações por empresas apoiadoras
+app.use('/api/matching-rules', (req, res, next) => {
+  if (!appFactory || !appFactory.initialized) {
+    return res.status(503).json({
+      success: false,
+      message: 'Server is still initializing, please try again in a moment',
+    });
+  }
+  return appFactory.createMatchingRoutes()(req, res, next);
+});
+
 // Rotas do padrão Composite (hierarquias de organizações)
 app.use('/api/organizations', (req, res, next) => {
   if (!appFactory || !appFactory.initialized) {
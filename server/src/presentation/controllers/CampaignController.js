@@ -0,0 +1,207 @@
+/**
+ * CONTROLLER - Campanhas de arrecadação
+ * Rotas públicas mostram só campanhas publicadas, em andamento ou concluídas;
+ * a organização autenticada gerencia as próprias (inclusive rascunhos).
+ */
+
+class CampaignController {
+  constructor(campaignService) {
+    this.campaignService = campaignService;
+
+    this.listPublic = this.listPublic.bind(this);
+    this.getPublic = this.getPublic.bind(this);
+    this.getProgress = this.getProgress.bind(this);
+    this.listMine = this.listMine.bind(this);
+    this.create = this.create.bind(this);
+    this.update = this.update.bind(this);
+    this.changeStatus = this.changeStatus.bind(this);
+    this.uploadCover = this.uploadCover.bind(this);
+  }
+
+  /**
+   * GET /api/campaigns?organizationId=&status=&page=&limit=
+   */
+  async listPublic(req, res) {
+    try {
+      const { organizationId, status } = req.query;
+      const result = await this.campaignService.listPublicCampaigns({
+        organizationId,
+        status,
+        ...this.getPagination(req.query),
+      });
+      return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/campaigns/:id
+   */
+  async getPublic(req, res) {
+    try {
+      const campaign = await this.campaignService.getPublicCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Campanha não encontrada' });
+      }
+      return res.status(200).json({ success: true, data: campaign });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/campaigns/:id/progress
+   */
+  async getProgress(req, res) {
+    try {
+      const campaign = await this.campaignService.getPublicCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ success: false, message: 'Campanha não encontrada' });
+      }
+      return res.status(200).json({ success: true, data: campaign.progress });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/campaigns/organization/mine
+   */
+  async listMine(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const result = await this.campaignService.listOrganizationCampaigns(
+        this.getUserId(req.user),
+        {
+          statuses: req.query.status ? [req.query.status] : undefined,
+          ...this.getPagination(req.query),
+        }
+      );
+      return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/campaigns (criada como rascunho)
+   */
+  async create(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const campaign = await this.campaignService.createCampaign(
+        this.getUserId(req.user),
+        req.validatedBody || req.body
+      );
+      return res.status(201).json({ success: true, message: 'Campanha criada', data: campaign });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PUT /api/campaigns/:id
+   */
+  async update(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const campaign = await this.campaignService.updateCampaign(
+        req.params.id,
+        this.getUserId(req.user),
+        req.validatedBody || req.body
+      );
+      return res
+        .status(200)
+        .json({ success: true, message: 'Campanha atualizada', data: campaign });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/campaigns/:id/status { action, reason }
+   */
+  async changeStatus(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const { action, reason } = req.validatedBody || req.body;
+      const campaign = await this.campaignService.changeStatus(
+        req.params.id,
+        this.getUserId(req.user),
+        action,
+        { reason }
+      );
+      return res.status(200).json({ success: true, data: campaign });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/campaigns/:id/cover (multipart, campo "image")
+   */
+  async uploadCover(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const campaign = await this.campaignService.uploadCover(
+        req.params.id,
+        this.getUserId(req.user),
+        req.file
+      );
+      return res.status(200).json({ success: true, message: 'Capa atualizada', data: campaign });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  getPagination(query) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    return { skip: (page - 1) * limit, limit };
+  }
+
+  forbidden(res) {
+    return res.status(403).json({
+      success: false,
+      message: 'Apenas organizações podem gerenciar campanhas',
+    });
+  }
+
+  handleError(res, e) {
+    console.error('[CAMPAIGN CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro ao processar campanha';
+    let code = 500;
+    if (message.includes('não encontrada')) {
+      code = 404;
+    } else if (message.includes('outra organização')) {
+      code = 403;
+    } else if (message.includes('não configurado')) {
+      code = 503;
+    } else if (/obrigatóri|inválid|deve |não pode|Invalid transition/.test(message)) {
+      // Validações do service e transições recusadas pela FSM de ProjectState
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+
+  isOrganization(user) {
+    return user.userType === 'organization';
+  }
+
+  getUserId(user) {
+    return String(user.id || user._id || user.userId);
+  }
+}
+
+module.exports = CampaignController;
@@ -4,8 +4,18 @@
  */
 
 class DonationController {
-  constructor(donationService) {
+  constructor(
+    donationService,
+    webhookInboxService = null,
+    dunningService = null,
+    receiptService = null,
+    pixService = null
+  ) {
     this.donationService = donationService;
+    this.webhookInboxService = webhookInboxService;
+    this.dunningService = dunningService;
+    this.receiptService = receiptService;
+    this.pixService = pixService;
 
     // Bind methods para manter contexto
     this.createSingleDonation = this.createSingleDonation.bind(this);
@@ -15,6 +25,7 @@ class DonationController {
     this.getDonationById = this.getDonationById.bind(this);
     this.cancelRecurringDonation = this.cancelRecurringDonation.bind(this);
     this.getDonationStatistics = this.getDonationStatistics.bind(this);
+    this.refundDonation = this.refundDonation.bind(this);
 
     // Novos métodos com Template Method
     this.createSingleDonationWithTemplate = this.createSingleDonationWithTemplate.bind(this);
@@ -26,6 +37,14 @@ class DonationController {
     this.updateSubscriptionDetails = this.updateSubscriptionDetails.bind(this);
     this.reauthorizeSubscriptionForDonor = this.reauthorizeSubscriptionForDonor.bind(this);
     this.cancelSubscriptionAsOwner = this.cancelSubscriptionAsOwner.bind(this);
+    this.getSubscriptionCharges = this.getSubscriptionCharges.bind(this);
+    this.getDonationReceipts = this.getDonationReceipts.bind(this);
+    this.downloadReceipt = this.downloadReceipt.bind(this);
+
+    // Doações via PIX
+    this.createPixDonation = this.createPixDonation.bind(this);
+    this.getPixStatus = this.getPixStatus.bind(this);
+    this.confirmPixDonation = this.confirmPixDonation.bind(this);
 
     console.log('[DONATION CONTROLLER] Inicializado com sucesso');
   }
@@ -41,6 +60,8 @@ class DonationController {
       const {
         organizationId,
         organizationName,
+        campaignId,
+        fundraisingPageId,
         amount,
         donorName,
         donorEmail,
@@ -67,6 +88,8 @@ class DonationController {
       const result = await this.donationService.createSingleDonation({
         organizationId,
         organizationName,
+        campaignId,
+        fundraisingPageId,
         amount: parseFloat(amount),
         donorName,
         donorEmail,
@@ -112,6 +135,8 @@ class DonationController {
       const {
         organizationId,
         organizationName,
+        campaignId,
+        fundraisingPageId,
         amount,
         frequency,
         donorName,
@@ -125,6 +150,7 @@ class DonationController {
         message,
         isAnonymous,
         showInPublicList,
+        cardToken,
       } = req.body;
 
       // Validações básicas
@@ -139,6 +165,8 @@ class DonationController {
       const result = await this.donationService.createRecurringDonation({
         organizationId,
         organizationName,
+        campaignId,
+        fundraisingPageId,
         amount: parseFloat(amount),
         frequency: frequency || 'monthly',
         donorName,
@@ -152,6 +180,7 @@ class DonationController {
         message,
         isAnonymous,
         showInPublicList,
+        cardToken,
       });
 
       return res.status(201).json({
@@ -254,7 +283,15 @@ class DonationController {
 
       const webhookData = req.body;
 
-      const result = await this.donationService.processPaymentWebhook(webhookData);
+      // Com a caixa de entrada, apenas persiste e responde; o worker processa depois
+      if (this.webhookInboxService) {
+        return this.enqueueWebhook(webhookData, req, res);
+      }
+
+      const result = await this.donationService.processPaymentWebhook(
+        webhookData,
+        req.webhookDelivery
+      );
 
       console.log('[DONATION CONTROLLER] Webhook processado:', result);
 
@@ -275,6 +312,33 @@ class DonationController {
     }
   }
 
+  /**
+   * Guarda o webhook na caixa de entrada
+   * Se não for possível persistir, responde 500 para que o Mercado Pago reenvie
+   */
+  async enqueueWebhook(webhookData, req, res) {
+    try {
+      const { entry, duplicate } = await this.webhookInboxService.enqueue(
+        webhookData,
+        req.webhookDelivery || {}
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: duplicate ? 'Webhook já recebido' : 'Webhook recebido',
+        data: { inboxId: entry.id, status: entry.status, duplicate },
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao registrar webhook:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao registrar webhook',
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Lista doações de uma organização
    * GET /api/donations/organization/:organizationId
@@ -400,6 +464,46 @@ class DonationController {
     }
   }
 
+  /**
+   * Estorna uma doação aprovada (total ou parcial)
+   * POST /api/donations/:id/refund
+   */
+  async refundDonation(req, res) {
+    try {
+      const { id } = req.params;
+      const { amount, reason } = req.validatedBody || req.body || {};
+
+      const result = await this.donationService.refundDonation(id, {
+        amount,
+        reason,
+        requestedBy: req.user?.id || null,
+        organizationId: req.user?.id || null,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: result.partial
+          ? 'Estorno parcial realizado com sucesso'
+          : 'Doação estornada com sucesso',
+        data: result,
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao estornar doação:', error);
+
+      let status = 400;
+      if (error.message.includes('não encontrada')) {
+        status = 404;
+      } else if (error.message.includes('Não autorizado')) {
+        status = 403;
+      }
+
+      return res.status(status).json({
+        success: false,
+        message: error.message || 'Erro ao estornar doação',
+      });
+    }
+  }
+
   /**
    * Obtém estatísticas de doações
    * GET /api/donations/organization/:organizationId/statistics
@@ -627,10 +731,20 @@ class DonationController {
         });
       }
 
+      // Situação de inadimplência não impede a consulta da assinatura
+      let dunning = null;
+      if (this.dunningService) {
+        try {
+          dunning = await this.dunningService.getSubscriptionDunning(subscription.subscriptionId);
+        } catch (error) {
+          console.warn('[DONATION CONTROLLER] Erro ao buscar inadimplência:', error.message);
+        }
+      }
+
       return res.status(200).json({
         success: true,
         message: 'Assinatura encontrada',
-        data: subscription,
+        data: { ...subscription, dunning },
       });
     } catch (error) {
       console.error('[DONATION CONTROLLER] Erro ao buscar assinatura:', error);
@@ -786,6 +900,265 @@ class DonationController {
       });
     }
   }
+
+  /**
+   * Lista as cobranças (parcelas) de uma assinatura
+   * GET /api/donations/recurring/:subscriptionId/charges
+   * Acesso: doador dono da assinatura ou organização
+   */
+  async getSubscriptionCharges(req, res) {
+    try {
+      const { subscriptionId } = req.params;
+
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Usuário não autenticado',
+        });
+      }
+
+      const donation =
+        await this.donationService.donationRepository.findBySubscriptionId(subscriptionId);
+      if (!donation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assinatura não encontrada',
+        });
+      }
+
+      const isOwner = !!req.user.email && donation.donorEmail === req.user.email;
+      if (!isOwner && req.user.userType !== 'organization') {
+        return res.status(403).json({
+          success: false,
+          message: 'Você não tem permissão para visualizar estas cobranças',
+        });
+      }
+
+      const result = await this.donationService.getSubscriptionCharges(subscriptionId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Histórico de cobranças obtido com sucesso',
+        data: result,
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao listar cobranças da assinatura:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao listar cobranças da assinatura',
+      });
+    }
+  }
+
+  /**
+   * Lista os recibos da doação (um por parcela em doações recorrentes)
+   * GET /api/donations/:id/receipts
+   */
+  async getDonationReceipts(req, res) {
+    try {
+      if (!this.receiptService) {
+        return res.status(503).json({ success: false, message: 'Recibos indisponíveis' });
+      }
+
+      const donation = await this.donationService.donationRepository.findById(req.params.id);
+      if (!donation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doação não encontrada',
+        });
+      }
+
+      if (!this.canAccessReceipt(req.user, donation)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Você não tem permissão para visualizar estes recibos',
+        });
+      }
+
+      const receipts = await this.receiptService.listForDonation(String(donation.id));
+
+      return res.status(200).json({
+        success: true,
+        message: 'Recibos obtidos com sucesso',
+        data: receipts.map((receipt) => ({
+          id: receipt.id,
+          receiptNumber: receipt.receiptNumber,
+          amount: receipt.amount,
+          paidAt: receipt.paidAt,
+          chargeId: receipt.chargeId,
+          emailedAt: receipt.emailedAt,
+          downloadUrl: `/api/donations/receipts/${receipt.id}/pdf`,
+        })),
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao listar recibos:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao listar recibos',
+      });
+    }
+  }
+
+  /**
+   * Download do recibo em PDF
+   * GET /api/donations/receipts/:receiptId/pdf
+   */
+  async downloadReceipt(req, res) {
+    try {
+      if (!this.receiptService) {
+        return res.status(503).json({ success: false, message: 'Recibos indisponíveis' });
+      }
+
+      const receipt = await this.receiptService.getReceipt(req.params.receiptId);
+      if (!receipt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recibo não encontrado',
+        });
+      }
+
+      if (!this.canAccessReceipt(req.user, receipt)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Você não tem permissão para baixar este recibo',
+        });
+      }
+
+      const { filename, content } = await this.receiptService.renderReceipt(receipt);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(content);
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao gerar PDF do recibo:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Erro ao gerar recibo',
+      });
+    }
+  }
+
+  /**
+   * Cria uma doação única paga via PIX (QR code e código copia e cola)
+   * POST /api/donations/pix
+   */
+  async createPixDonation(req, res) {
+    try {
+      if (!this.pixService) {
+        return res.status(503).json({ success: false, message: 'PIX indisponível' });
+      }
+
+      const data = req.validatedBody || req.body;
+      const { donation, pix } = await this.pixService.createPixDonation({
+        ...data,
+        amount: parseFloat(data.amount),
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Doação PIX criada com sucesso',
+        data: {
+          donationId: donation.id,
+          amount: donation.amount,
+          mercadoPagoId: donation.mercadoPagoId || null,
+          pix: {
+            mode: pix.mode,
+            qrCode: pix.qrCode,
+            qrCodeBase64: pix.qrCodeBase64,
+            ticketUrl: pix.ticketUrl,
+            expiresAt: pix.expiresAt,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao criar doação PIX:', error);
+
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Erro ao criar doação PIX',
+      });
+    }
+  }
+
+  /**
+   * Consulta o status da cobrança PIX (polling da tela de pagamento)
+   * GET /api/donations/:id/pix
+   */
+  async getPixStatus(req, res) {
+    try {
+      if (!this.pixService) {
+        return res.status(503).json({ success: false, message: 'PIX indisponível' });
+      }
+
+      const status = await this.pixService.getPixStatus(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Status do PIX obtido com sucesso',
+        data: status,
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao consultar PIX:', error);
+
+      return res.status(error.message.includes('não encontrada') ? 404 : 500).json({
+        success: false,
+        message: error.message || 'Erro ao consultar PIX',
+      });
+    }
+  }
+
+  /**
+   * Organização confirma o recebimento de um PIX estático
+   * POST /api/donations/:id/pix/confirm
+   */
+  async confirmPixDonation(req, res) {
+    try {
+      if (!this.pixService) {
+        return res.status(503).json({ success: false, message: 'PIX indisponível' });
+      }
+
+      const status = await this.pixService.confirmStaticPix(
+        req.params.id,
+        req.user?.id || req.user?._id
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Recebimento do PIX confirmado',
+        data: status,
+      });
+    } catch (error) {
+      console.error('[DONATION CONTROLLER] Erro ao confirmar PIX:', error);
+
+      let status = 400;
+      if (error.message.includes('não encontrada')) {
+        status = 404;
+      } else if (error.message.includes('Não autorizado')) {
+        status = 403;
+      }
+
+      return res.status(status).json({
+        success: false,
+        message: error.message || 'Erro ao confirmar PIX',
+      });
+    }
+  }
+
+  /**
+   * Recibo traz CPF do doador: só o próprio doador ou a organização emissora
+   */
+  canAccessReceipt(user, { donorEmail, organizationId }) {
+    if (!user) {
+      return false;
+    }
+    const isDonor = !!user.email && donorEmail === user.email;
+    const isIssuer =
+      user.userType === 'organization' && String(user.id || user._id) === String(organizationId);
+    return isDonor || isIssuer;
+  }
 }
 
 module.exports = DonationController;
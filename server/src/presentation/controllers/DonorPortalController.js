@@ -0,0 +1,164 @@
+/**
+ * CONTROLLER - Portal do doador
+ * Login por código enviado ao email; as demais rotas usam o doador de req.donor.
+ */
+
+class DonorPortalController {
+  constructor(donorPortalService) {
+    this.donorPortalService = donorPortalService;
+
+    this.requestLogin = this.requestLogin.bind(this);
+    this.verifyLogin = this.verifyLogin.bind(this);
+    this.getProfile = this.getProfile.bind(this);
+    this.updateProfile = this.updateProfile.bind(this);
+    this.listDonations = this.listDonations.bind(this);
+    this.updatePrivacy = this.updatePrivacy.bind(this);
+    this.listReceipts = this.listReceipts.bind(this);
+    this.downloadReceipt = this.downloadReceipt.bind(this);
+    this.listSubscriptions = this.listSubscriptions.bind(this);
+  }
+
+  /**
+   * POST /api/donor-portal/login
+   */
+  async requestLogin(req, res) {
+    try {
+      const { email } = req.validatedBody || req.body;
+      const result = await this.donorPortalService.requestLogin(email);
+      return res.status(200).json({
+        success: true,
+        message: 'Se houver doações com este email, enviaremos um código de acesso',
+        data: result,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/donor-portal/verify
+   */
+  async verifyLogin(req, res) {
+    try {
+      const { email, code } = req.validatedBody || req.body;
+      const session = await this.donorPortalService.verifyLogin(email, code);
+      return res.status(200).json({ success: true, data: session });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/donor-portal/me
+   */
+  async getProfile(req, res) {
+    try {
+      const profile = await this.donorPortalService.getProfile(req.donor.email);
+      return res.status(200).json({ success: true, data: profile });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PUT /api/donor-portal/me
+   */
+  async updateProfile(req, res) {
+    try {
+      const profile = await this.donorPortalService.updateProfile(
+        req.donor.email,
+        req.validatedBody || req.body
+      );
+      return res.status(200).json({ success: true, message: 'Dados atualizados', data: profile });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/donor-portal/donations
+   */
+  async listDonations(req, res) {
+    try {
+      const donations = await this.donorPortalService.listDonations(req.donor.email);
+      return res.status(200).json({ success: true, data: donations });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PATCH /api/donor-portal/donations/:id/privacy
+   */
+  async updatePrivacy(req, res) {
+    try {
+      const donation = await this.donorPortalService.updatePrivacy(
+        req.donor.email,
+        req.params.id,
+        req.validatedBody || req.body
+      );
+      return res.status(200).json({ success: true, data: donation });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/donor-portal/receipts
+   */
+  async listReceipts(req, res) {
+    try {
+      const receipts = await this.donorPortalService.listReceipts(req.donor.email);
+      return res.status(200).json({ success: true, data: receipts });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/donor-portal/receipts/:id/pdf
+   */
+  async downloadReceipt(req, res) {
+    try {
+      const { filename, content } = await this.donorPortalService.renderReceipt(
+        req.donor.email,
+        req.params.id
+      );
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(content);
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/donor-portal/subscriptions
+   */
+  async listSubscriptions(req, res) {
+    try {
+      const subscriptions = await this.donorPortalService.listSubscriptions(req.donor.email);
+      return res.status(200).json({ success: true, data: subscriptions });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  handleError(res, e) {
+    console.error('[DONOR PORTAL CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro no portal do doador';
+    let code = 500;
+    if (message.includes('não encontrad')) {
+      code = 404;
+    } else if (message.includes('Muitas tentativas')) {
+      code = 429;
+    } else if (message.includes('Código inválido')) {
+      code = 401;
+    } else if (/inválid|deve |Informe /.test(message)) {
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+}
+
+module.exports = DonorPortalController;
@@ -0,0 +1,153 @@
+/**
+ * CONTROLLER - Informe anual de doações
+ */
+
+class DonorStatementController {
+  constructor(statementService) {
+    this.statementService = statementService;
+
+    this.getMyStatement = this.getMyStatement.bind(this);
+    this.getOrganizationStatements = this.getOrganizationStatements.bind(this);
+    this.sendOrganizationStatements = this.sendOrganizationStatements.bind(this);
+  }
+
+  /**
+   * Informe do doador autenticado em uma organização
+   * GET /api/statements/me/:year?organizationId=&format=pdf|csv|json
+   */
+  async getMyStatement(req, res) {
+    try {
+      const { organizationId, format = 'pdf' } = req.query;
+      if (!organizationId) {
+        return res.status(400).json({ success: false, message: 'organizationId é obrigatório' });
+      }
+
+      const report = await this.statementService.generate({
+        organizationId,
+        year: req.params.year,
+        format,
+        donorEmail: req.user.email,
+        requestedBy: this.getUserId(req.user),
+      });
+
+      if (report.statements.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Nenhuma doação aprovada encontrada no ano',
+        });
+      }
+
+      return this.respond(res, report, format);
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * Informes de todos os doadores da organização (ou de um, filtrando por email/CPF)
+   * GET /api/statements/organization/:organizationId/:year
+   */
+  async getOrganizationStatements(req, res) {
+    try {
+      const { organizationId, year } = req.params;
+      const { format = 'json', donorEmail, donorDocument } = req.query;
+
+      if (!this.isIssuer(req.user, organizationId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Apenas a própria organização pode consultar os informes',
+        });
+      }
+
+      if (format === 'pdf' && !donorEmail && !donorDocument) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe donorEmail ou donorDocument para baixar o PDF de um doador',
+        });
+      }
+
+      const report = await this.statementService.generate({
+        organizationId,
+        year,
+        format,
+        donorEmail,
+        donorDocument,
+        requestedBy: this.getUserId(req.user),
+      });
+
+      if (format === 'pdf' && report.statements.length === 0) {
+        return res.status(404).json({ success: false, message: 'Doador não encontrado no ano' });
+      }
+
+      return this.respond(res, report, format);
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * Envia por email os informes do ano aos doadores da organização
+   * POST /api/statements/organization/:organizationId/:year/send
+   */
+  async sendOrganizationStatements(req, res) {
+    try {
+      const { organizationId, year } = req.params;
+
+      if (!this.isIssuer(req.user, organizationId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Apenas a própria organização pode enviar os informes',
+        });
+      }
+
+      const summary = await this.statementService.sendAnnualStatements({
+        year: Number(year),
+        organizationId,
+        trigger: 'manual',
+        requestedBy: this.getUserId(req.user),
+        force: !!(req.body && req.body.force),
+      });
+
+      return res.status(200).json({
+        success: true,
+        message:
+          summary.skipped > 0 ? 'Informes do ano já haviam sido enviados' : 'Informes enviados',
+        data: summary,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  respond(res, report, format) {
+    if (format === 'json') {
+      return res.status(200).json({ success: true, data: report });
+    }
+
+    const [file] = report.files;
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.status(200).send(file.content);
+  }
+
+  handleError(res, e) {
+    console.error('[DONOR STATEMENT CONTROLLER] Erro:', e.message);
+    let code = 500;
+    if (e.message && (e.message.includes('inválido') || e.message.includes('obrigatório'))) {
+      code = 400;
+    } else if (e.message && e.message.includes('em andamento')) {
+      code = 409;
+    }
+    return res.status(code).json({ success: false, message: e.message });
+  }
+
+  isIssuer(user, organizationId) {
+    return user.userType === 'organization' && this.getUserId(user) === String(organizationId);
+  }
+
+  getUserId(user) {
+    return String(user.id || user._id || user.userId);
+  }
+}
+
+module.exports = DonorStatementController;
@@ -0,0 +1,86 @@
+/**
+ * CONTROLLER - Revisão das doações retidas pela análise antifraude (Admin)
+ */
+
+class FraudReviewController {
+  constructor(fraudDetectionService) {
+    this.fraudDetectionService = fraudDetectionService;
+
+    this.listReviews = this.listReviews.bind(this);
+    this.getReview = this.getReview.bind(this);
+    this.approve = this.approve.bind(this);
+    this.reject = this.reject.bind(this);
+  }
+
+  async listReviews(req, res) {
+    try {
+      const result = await this.fraudDetectionService.listReviewQueue({
+        status: req.query.status,
+        page: req.query.page,
+        limit: req.query.limit,
+      });
+      return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  async getReview(req, res) {
+    try {
+      const assessment = await this.fraudDetectionService.getAssessment(req.params.id);
+      return res.status(200).json({ success: true, data: assessment });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  async approve(req, res) {
+    try {
+      const { note } = req.validatedBody || req.body;
+      const result = await this.fraudDetectionService.approve(
+        req.params.id,
+        this.getReviewerId(req),
+        note
+      );
+      return res.status(200).json({
+        success: true,
+        message: 'Doação liberada; o link de pagamento foi enviado ao doador',
+        data: result,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  async reject(req, res) {
+    try {
+      const { note } = req.validatedBody || req.body;
+      const assessment = await this.fraudDetectionService.reject(
+        req.params.id,
+        this.getReviewerId(req),
+        note
+      );
+      return res.status(200).json({ success: true, message: 'Doação rejeitada', data: assessment });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  getReviewerId(req) {
+    return req.user ? req.user.id || req.user.userId : null;
+  }
+
+  handleError(res, e) {
+    console.error('[FRAUD REVIEW CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro na revisão antifraude';
+    let code = 500;
+    if (message.includes('não encontrad')) {
+      code = 404;
+    } else if (/inválid|Apenas |Não foi possível/.test(message)) {
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+}
+
+module.exports = FraudReviewController;
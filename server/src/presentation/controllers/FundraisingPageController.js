@@ -0,0 +1,124 @@
+/**
+ * CONTROLLER - Páginas de arrecadação pessoais
+ * Apoiadores criam e editam sem login (token de edição no header x-fundraiser-token);
+ * a organização dona da campanha encerra ou reabre páginas.
+ */
+
+class FundraisingPageController {
+  constructor(fundraisingPageService) {
+    this.fundraisingPageService = fundraisingPageService;
+
+    this.create = this.create.bind(this);
+    this.getPublic = this.getPublic.bind(this);
+    this.update = this.update.bind(this);
+    this.setStatus = this.setStatus.bind(this);
+    this.getLeaderboard = this.getLeaderboard.bind(this);
+  }
+
+  /**
+   * POST /api/fundraisers
+   */
+  async create(req, res) {
+    try {
+      const { page, manageToken } = await this.fundraisingPageService.createPage(
+        req.validatedBody || req.body
+      );
+      return res.status(201).json({
+        success: true,
+        message:
+          'Página de arrecadação criada. Guarde o token de edição: ele não será exibido novamente',
+        data: { ...page, manageToken },
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/fundraisers/:slug
+   */
+  async getPublic(req, res) {
+    try {
+      const page = await this.fundraisingPageService.getPublicPage(req.params.slug);
+      if (!page) {
+        return res
+          .status(404)
+          .json({ success: false, message: 'Página de arrecadação não encontrada' });
+      }
+      return res.status(200).json({ success: true, data: page });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PUT /api/fundraisers/:slug (header x-fundraiser-token)
+   */
+  async update(req, res) {
+    try {
+      const page = await this.fundraisingPageService.updatePage(
+        req.params.slug,
+        req.get('x-fundraiser-token'),
+        req.validatedBody || req.body
+      );
+      return res.status(200).json({ success: true, message: 'Página atualizada', data: page });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/fundraisers/:slug/status { status }
+   */
+  async setStatus(req, res) {
+    try {
+      if (req.user.userType !== 'organization') {
+        return res.status(403).json({
+          success: false,
+          message: 'Apenas organizações podem moderar páginas de arrecadação',
+        });
+      }
+      const page = await this.fundraisingPageService.setStatus(
+        req.params.slug,
+        String(req.user.id || req.user._id || req.user.userId),
+        (req.validatedBody || req.body).status
+      );
+      return res.status(200).json({ success: true, data: page });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/fundraisers/campaign/:campaignId/leaderboard?limit=
+   */
+  async getLeaderboard(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+      const leaderboard = await this.fundraisingPageService.getLeaderboard(req.params.campaignId, {
+        limit,
+      });
+      return res.status(200).json({ success: true, data: leaderboard });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  handleError(res, e) {
+    console.error('[FUNDRAISING PAGE CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro ao processar página de arrecadação';
+    let code = 500;
+    if (message.includes('não encontrada')) {
+      code = 404;
+    } else if (message.includes('Token de edição') || message.includes('outra organização')) {
+      code = 403;
+    } else if (message.includes('já está em uso')) {
+      code = 409;
+    } else if (/inválid|deve |não está recebendo/.test(message)) {
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+}
+
+module.exports = FundraisingPageController;
@@ -0,0 +1,125 @@
+/**
+ * CONTROLLER - Regras de dobra de doações
+ * A organização autenticada cadastra as empresas apoiadoras que dobram as doações recebidas.
+ */
+
+class MatchingRuleController {
+  constructor(matchingService) {
+    this.matchingService = matchingService;
+
+    this.list = this.list.bind(this);
+    this.create = this.create.bind(this);
+    this.update = this.update.bind(this);
+    this.listMatches = this.listMatches.bind(this);
+  }
+
+  /**
+   * GET /api/matching-rules?supporterId=&status=
+   */
+  async list(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const { supporterId, status } = req.query;
+      const rules = await this.matchingService.listRules(this.getUserId(req.user), {
+        supporterId,
+        status,
+      });
+      return res.status(200).json({ success: true, data: rules });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/matching-rules
+   */
+  async create(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const rule = await this.matchingService.createRule(
+        this.getUserId(req.user),
+        req.validatedBody || req.body
+      );
+      return res.status(201).json({ success: true, message: 'Regra de dobra criada', data: rule });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PATCH /api/matching-rules/:id
+   */
+  async update(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const rule = await this.matchingService.updateRule(
+        req.params.id,
+        this.getUserId(req.user),
+        req.validatedBody || req.body
+      );
+      return res.status(200).json({ success: true, data: rule });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/matching-rules/:id/matches?page=&limit=
+   */
+  async listMatches(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+      const matches = await this.matchingService.listMatches(
+        req.params.id,
+        this.getUserId(req.user),
+        { skip: (page - 1) * limit, limit }
+      );
+      return res.status(200).json({ success: true, data: matches });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  forbidden(res) {
+    return res.status(403).json({
+      success: false,
+      message: 'Apenas organizações podem gerenciar regras de dobra',
+    });
+  }
+
+  handleError(res, e) {
+    console.error('[MATCHING RULE CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro ao processar regra de dobra';
+    let code = 500;
+    if (message.includes('não encontrad')) {
+      code = 404;
+    } else if (message.includes('outra organização')) {
+      code = 403;
+    } else if (message.includes('concorrentemente')) {
+      code = 409;
+    } else if (/obrigatóri|inválid|deve |não pode/.test(message)) {
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+
+  isOrganization(user) {
+    return user.userType === 'organization';
+  }
+
+  getUserId(user) {
+    return String(user.id || user._id || user.userId);
+  }
+}
+
+module.exports = MatchingRuleController;
@@ -0,0 +1,262 @@
+/**
+ * CONTROLLER - Carrinho e pedidos do bazar
+ * Rotas do comprador são públicas (token do carrinho, código + email do pedido);
+ * a gestão de pedidos é da organização autenticada.
+ */
+
+// Erros de regra do carrinho/pedido que o comprador ou a organização podem corrigir
+const BAD_REQUEST_PATTERN =
+  /inválid|Quantidade|Estoque insuficiente|Escolha uma variação|não está disponível|carrinho|Não é possível|Apenas |indisponível|sem pagamento/;
+
+class OrderController {
+  constructor(orderService) {
+    this.orderService = orderService;
+
+    this.createCart = this.createCart.bind(this);
+    this.getCart = this.getCart.bind(this);
+    this.setCartItem = this.setCartItem.bind(this);
+    this.removeCartItem = this.removeCartItem.bind(this);
+    this.checkout = this.checkout.bind(this);
+    this.getOrderStatus = this.getOrderStatus.bind(this);
+    this.cancelByBuyer = this.cancelByBuyer.bind(this);
+    this.listOrganizationOrders = this.listOrganizationOrders.bind(this);
+    this.getOrganizationOrder = this.getOrganizationOrder.bind(this);
+    this.fulfillOrder = this.fulfillOrder.bind(this);
+    this.cancelOrder = this.cancelOrder.bind(this);
+    this.refundOrder = this.refundOrder.bind(this);
+  }
+
+  /**
+   * POST /api/bazaar/carts
+   */
+  async createCart(req, res) {
+    try {
+      const cart = await this.orderService.createCart();
+      return res.status(201).json({ success: true, data: cart });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/bazaar/carts/:token
+   */
+  async getCart(req, res) {
+    try {
+      const cart = await this.orderService.getCart(req.params.token);
+      return res.status(200).json({ success: true, data: cart });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PUT /api/bazaar/carts/:token/items
+   */
+  async setCartItem(req, res) {
+    try {
+      const { productId, variantId, quantity } = req.validatedBody || req.body;
+      const cart = await this.orderService.setItem(
+        req.params.token,
+        productId,
+        quantity,
+        variantId
+      );
+      return res.status(200).json({ success: true, data: cart });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * DELETE /api/bazaar/carts/:token/items/:productId?variantId=
+   */
+  async removeCartItem(req, res) {
+    try {
+      const cart = await this.orderService.removeItem(
+        req.params.token,
+        req.params.productId,
+        req.query.variantId || null
+      );
+      return res.status(200).json({ success: true, data: cart });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/bazaar/carts/:token/checkout
+   */
+  async checkout(req, res) {
+    try {
+      const result = await this.orderService.checkout(
+        req.params.token,
+        req.validatedBody || req.body
+      );
+      return res.status(201).json({
+        success: true,
+        message: 'Pedido criado. Conclua o pagamento pelo link',
+        data: result,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/bazaar/orders/:code?email=
+   */
+  async getOrderStatus(req, res) {
+    try {
+      const order = await this.orderService.getOrderStatus(req.params.code, req.query.email);
+      return res.status(200).json({ success: true, data: order });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/bazaar/orders/:code/cancel
+   */
+  async cancelByBuyer(req, res) {
+    try {
+      const { email } = req.validatedBody || req.body;
+      const order = await this.orderService.cancelByBuyer(req.params.code, email);
+      return res.status(200).json({ success: true, message: 'Pedido cancelado', data: order });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/bazaar/organization/orders?status=&page=&limit=
+   */
+  async listOrganizationOrders(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const { status, page, limit } = req.query;
+      const result = await this.orderService.listOrganizationOrders(this.getUserId(req.user), {
+        status,
+        page,
+        limit,
+      });
+      return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/bazaar/organization/orders/:id
+   */
+  async getOrganizationOrder(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const order = await this.orderService.getOrganizationOrder(
+        req.params.id,
+        this.getUserId(req.user)
+      );
+      return res.status(200).json({ success: true, data: order });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/bazaar/organization/orders/:id/fulfill
+   */
+  async fulfillOrder(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const order = await this.orderService.fulfillOrder(req.params.id, this.getUserId(req.user));
+      return res.status(200).json({ success: true, message: 'Pedido entregue', data: order });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/bazaar/organization/orders/:id/cancel
+   */
+  async cancelOrder(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const { reason } = req.validatedBody || req.body;
+      const order = await this.orderService.cancelOrder(
+        req.params.id,
+        this.getUserId(req.user),
+        reason
+      );
+      return res.status(200).json({ success: true, message: 'Pedido cancelado', data: order });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/bazaar/organization/orders/:id/refund
+   */
+  async refundOrder(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      const { reason } = req.validatedBody || req.body;
+      const order = await this.orderService.refundOrder(
+        req.params.id,
+        this.getUserId(req.user),
+        reason
+      );
+      return res.status(200).json({
+        success: true,
+        message: 'Pagamento estornado e itens devolvidos ao estoque',
+        data: order,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  forbidden(res) {
+    return res.status(403).json({
+      success: false,
+      message: 'Apenas organizações podem gerenciar pedidos do bazar',
+    });
+  }
+
+  handleError(res, e) {
+    console.error('[ORDER CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro ao processar pedido';
+    let code = 500;
+    if (message.includes('não encontrad')) {
+      code = 404;
+    } else if (message.includes('outra organização')) {
+      code = 403;
+    } else if (message.includes('alterado durante')) {
+      code = 409;
+    } else if (message.includes('Não foi possível iniciar o pagamento')) {
+      code = 502;
+    } else if (BAD_REQUEST_PATTERN.test(message)) {
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+
+  isOrganization(user) {
+    return user.userType === 'organization';
+  }
+
+  getUserId(user) {
+    return String(user.id || user._id || user.userId);
+  }
+}
+
+module.exports = OrderController;
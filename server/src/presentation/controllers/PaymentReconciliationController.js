@@ -0,0 +1,57 @@
+/**
+ * CONTROLLER - Reconciliação de pagamentos (Admin)
+ */
+
+class PaymentReconciliationController {
+  constructor(reconciliationService) {
+    this.reconciliationService = reconciliationService;
+
+    this.run = this.run.bind(this);
+    this.listReports = this.listReports.bind(this);
+    this.getReport = this.getReport.bind(this);
+  }
+
+  async run(req, res) {
+    try {
+      const requestedBy = req.user ? req.user.id || req.user.userId : null;
+      const report = await this.reconciliationService.run({
+        trigger: 'manual',
+        requestedBy,
+        thresholdMinutes: req.body && req.body.thresholdMinutes,
+      });
+      return res.status(200).json({
+        success: true,
+        message: 'Reconciliação executada',
+        data: report,
+      });
+    } catch (e) {
+      const code = e.message && e.message.includes('em andamento') ? 409 : 500;
+      return res.status(code).json({ success: false, message: e.message });
+    }
+  }
+
+  async listReports(req, res) {
+    try {
+      const result = await this.reconciliationService.listReports({
+        page: req.query.page,
+        limit: req.query.limit,
+        trigger: req.query.trigger,
+      });
+      return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      return res.status(500).json({ success: false, message: e.message });
+    }
+  }
+
+  async getReport(req, res) {
+    try {
+      const report = await this.reconciliationService.getReport(req.params.id);
+      return res.status(200).json({ success: true, data: report });
+    } catch (e) {
+      const code = e.message && e.message.includes('não encontrado') ? 404 : 400;
+      return res.status(code).json({ success: false, message: e.message });
+    }
+  }
+}
+
+module.exports = PaymentReconciliationController;
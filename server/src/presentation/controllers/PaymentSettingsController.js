@@ -0,0 +1,176 @@
+/**
+ * CONTROLLER - Configurações de pagamento da organização
+ */
+
+class PaymentSettingsController {
+  /**
+   * @param {PaymentProviderService} paymentProviderService
+   * @param {MercadoPagoAccountService|null} mercadoPagoAccountService - null sem OAuth configurado
+   * @param {Object} options - { frontendRedirectUrl } para onde o callback do OAuth devolve o usuário
+   */
+  constructor(paymentProviderService, mercadoPagoAccountService = null, options = {}) {
+    this.paymentProviderService = paymentProviderService;
+    this.mercadoPagoAccountService = mercadoPagoAccountService;
+    this.frontendRedirectUrl = options.frontendRedirectUrl || null;
+
+    this.getSettings = this.getSettings.bind(this);
+    this.updateSettings = this.updateSettings.bind(this);
+    this.connectMercadoPago = this.connectMercadoPago.bind(this);
+    this.mercadoPagoCallback = this.mercadoPagoCallback.bind(this);
+    this.disconnectMercadoPago = this.disconnectMercadoPago.bind(this);
+  }
+
+  /**
+   * GET /api/payment-settings
+   */
+  async getSettings(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+
+      const settings = await this.paymentProviderService.getSettings(this.getUserId(req.user));
+      return res.status(200).json({ success: true, data: settings });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * PUT /api/payment-settings
+   * Vale para as novas doações; as existentes seguem no provedor em que foram criadas
+   */
+  async updateSettings(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+
+      const settings = await this.paymentProviderService.setProvider(
+        this.getUserId(req.user),
+        req.body.paymentProvider
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Provedor de pagamento atualizado',
+        data: settings,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * POST /api/payment-settings/mercadopago/connect
+   * Retorna a URL de autorização do Mercado Pago para a organização autenticada
+   */
+  async connectMercadoPago(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      if (!this.mercadoPagoAccountService) {
+        return this.oauthUnavailable(res);
+      }
+
+      const authorizationUrl = this.mercadoPagoAccountService.getAuthorizationUrl(
+        this.getUserId(req.user)
+      );
+      return res.status(200).json({ success: true, data: { authorizationUrl } });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/payment-settings/mercadopago/callback?code=&state=
+   * Chamado pelo navegador ao voltar do Mercado Pago (sem JWT: a organização vem do state)
+   */
+  async mercadoPagoCallback(req, res) {
+    if (!this.mercadoPagoAccountService) {
+      return this.oauthUnavailable(res);
+    }
+
+    const { code, state, error } = req.query;
+    let result;
+    try {
+      if (error) {
+        throw new Error(`Autorização recusada no Mercado Pago (${error})`);
+      }
+      const account = await this.mercadoPagoAccountService.connect({ code, state });
+      result = { success: true, message: 'Conta do Mercado Pago conectada', data: account };
+    } catch (e) {
+      console.error('[PAYMENT SETTINGS CONTROLLER] Erro no callback do OAuth:', e.message);
+      result = { success: false, message: e.message };
+    }
+
+    if (this.frontendRedirectUrl) {
+      const url = new URL(this.frontendRedirectUrl);
+      url.searchParams.set('mercadopago', result.success ? 'connected' : 'error');
+      if (!result.success) {
+        url.searchParams.set('message', result.message);
+      }
+      return res.redirect(url.toString());
+    }
+
+    return res.status(result.success ? 200 : 400).json(result);
+  }
+
+  /**
+   * DELETE /api/payment-settings/mercadopago
+   * Novas doações voltam para a conta da plataforma
+   */
+  async disconnectMercadoPago(req, res) {
+    try {
+      if (!this.isOrganization(req.user)) {
+        return this.forbidden(res);
+      }
+      if (!this.mercadoPagoAccountService) {
+        return this.oauthUnavailable(res);
+      }
+
+      const account = await this.mercadoPagoAccountService.disconnect(this.getUserId(req.user));
+      return res.status(200).json({
+        success: true,
+        message: 'Conta do Mercado Pago desconectada',
+        data: account,
+      });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  oauthUnavailable(res) {
+    return res.status(503).json({
+      success: false,
+      message: 'Conexão de contas do Mercado Pago não configurada no servidor',
+    });
+  }
+
+  forbidden(res) {
+    return res.status(403).json({
+      success: false,
+      message: 'Apenas organizações podem configurar o provedor de pagamento',
+    });
+  }
+
+  handleError(res, e) {
+    console.error('[PAYMENT SETTINGS CONTROLLER] Erro:', e.message);
+    const code =
+      e.message && (e.message.includes('inválido') || e.message.includes('não configurado'))
+        ? 400
+        : 500;
+    return res.status(code).json({ success: false, message: e.message });
+  }
+
+  isOrganization(user) {
+    return user.userType === 'organization';
+  }
+
+  getUserId(user) {
+    return String(user.id || user._id || user.userId);
+  }
+}
+
+module.exports = PaymentSettingsController;
@@ -2,8 +2,9 @@ const WhatsAppUtils = require('../../infra/adapters/WhatsAppUtils');
 // Validators removidos na limpeza - usando validação direta
 
 class ProductController {
-  constructor(productService) {
+  constructor(productService, stockReservationService = null) {
     this.productService = productService;
+    this.stockReservationService = stockReservationService;
   }
 
   createProduct = async (req, res) => {
@@ -111,51 +112,40 @@ class ProductController {
     try {
       const organizationId = req.user.id;
 
-      const products = await this.productService.getProductsByOrganization(organizationId);
+      const result = await this.productService.getProductsByOrganization(organizationId, req.query);
 
       res.status(200).json({
         success: true,
-        data: products,
+        ...result,
       });
     } catch (error) {
-      res.status(400).json({
-        success: false,
-        message: error.message,
-      });
+      this.handleSearchError(res, error);
     }
   };
 
   getAllAvailableProducts = async (req, res) => {
     try {
-      const products = await this.productService.getAllAvailableProducts();
+      const result = await this.productService.getAllAvailableProducts(req.query);
 
       res.status(200).json({
         success: true,
-        data: products,
+        ...result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: error.message,
-      });
+      this.handleSearchError(res, error);
     }
   };
 
   searchProducts = async (req, res) => {
     try {
-      const { q } = req.query;
-
-      const products = await this.productService.searchProducts(q);
+      const result = await this.productService.searchProducts(req.query);
 
       res.status(200).json({
         success: true,
-        data: products,
+        ...result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: error.message,
-      });
+      this.handleSearchError(res, error);
     }
   };
 
@@ -218,10 +208,43 @@ class ProductController {
     }
   };
 
+  updateVariantStock = async (req, res) => {
+    try {
+      const { id, variantId } = req.params;
+      const { stock } = req.body;
+
+      if (!Number.isInteger(stock) || stock < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stock must be an integer greater than or equal to zero',
+        });
+      }
+
+      const product = await this.productService.updateVariantStock(
+        id,
+        variantId,
+        stock,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Variant stock updated successfully',
+        data: product,
+      });
+    } catch (error) {
+      res.status(error.message.includes('not found') ? 404 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  };
+
   getWhatsAppLink = async (req, res) => {
     try {
       const { id } = req.params;
-      const { phone } = req.query;
+      const { phone, variantId } = req.query;
 
       if (!phone) {
         return res.status(400).json({
@@ -239,11 +262,48 @@ class ProductController {
         });
       }
 
+      // Products with variants are sold per variant: the link is about the chosen one
+      let variant = null;
+      if (product.variants && product.variants.length > 0) {
+        if (!variantId) {
+          return res.status(400).json({
+            success: false,
+            message: 'variantId is required for products with variants',
+          });
+        }
+        variant = product.variants.find((item) => String(item.id) === String(variantId));
+        if (!variant) {
+          return res.status(404).json({
+            success: false,
+            message: 'Variant not found',
+          });
+        }
+      }
+
+      // Hold one unit while the buyer talks to the organization
+      let reservation = null;
+      if (this.stockReservationService) {
+        try {
+          reservation = await this.stockReservationService.hold(id, 1, {
+            source: 'whatsapp',
+            holderKey: req.ip,
+            variantId: variant ? variant.id : null,
+          });
+        } catch (error) {
+          return res.status(409).json({
+            success: false,
+            message: error.message,
+          });
+        }
+      }
+
+      const price = variant ? variant.price : product.price;
       const whatsappLink = WhatsAppUtils.generateProductLink(
         phone,
         product.name,
         product.organizationName,
-        product.price
+        price,
+        variant ? variant.label : null
       );
 
       res.status(200).json({
@@ -254,7 +314,18 @@ class ProductController {
             id: product.id,
             name: product.name,
             organizationName: product.organizationName,
-            price: product.price,
+            price,
+          },
+          variant: variant && {
+            id: variant.id,
+            sku: variant.sku,
+            label: variant.label,
+            availableStock: variant.availableStock,
+          },
+          reservation: reservation && {
+            id: reservation.id,
+            quantity: reservation.quantity,
+            expiresAt: reservation.expiresAt,
           },
         },
       });
@@ -265,6 +336,174 @@ class ProductController {
       });
     }
   };
+
+  getProductReservations = async (req, res) => {
+    try {
+      const reservations = await this.stockReservationService.listForProduct(
+        req.params.id,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: reservations,
+      });
+    } catch (error) {
+      this.handleReservationError(res, error);
+    }
+  };
+
+  confirmReservation = async (req, res) => {
+    try {
+      const reservation = await this.stockReservationService.resolveForProduct(
+        req.params.id,
+        req.params.reservationId,
+        req.user.id,
+        'confirm'
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Reservation confirmed as a sale',
+        data: reservation,
+      });
+    } catch (error) {
+      this.handleReservationError(res, error);
+    }
+  };
+
+  releaseReservation = async (req, res) => {
+    try {
+      const reservation = await this.stockReservationService.resolveForProduct(
+        req.params.id,
+        req.params.reservationId,
+        req.user.id,
+        'release'
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Reservation released',
+        data: reservation,
+      });
+    } catch (error) {
+      this.handleReservationError(res, error);
+    }
+  };
+
+  getProductVersions = async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const result = await this.productService.getProductVersions(req.params.id, req.user.id, {
+        page,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      this.handleHistoryError(res, error);
+    }
+  };
+
+  getProductVersionDiff = async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      if (!from || !to) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query parameters "from" and "to" are required',
+        });
+      }
+
+      const diff = await this.productService.getProductVersionDiff(
+        req.params.id,
+        from,
+        to,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: diff,
+      });
+    } catch (error) {
+      this.handleHistoryError(res, error);
+    }
+  };
+
+  getProductVersion = async (req, res) => {
+    try {
+      const version = await this.productService.getProductVersion(
+        req.params.id,
+        req.params.version,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: version,
+      });
+    } catch (error) {
+      this.handleHistoryError(res, error);
+    }
+  };
+
+  restoreProductVersion = async (req, res) => {
+    try {
+      const product = await this.productService.restoreProductVersion(
+        req.params.id,
+        req.params.version,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Product restored to version ${product.restoredFromVersion}`,
+        data: product,
+      });
+    } catch (error) {
+      this.handleHistoryError(res, error);
+    }
+  };
+
+  handleHistoryError(res, error) {
+    let status = 400;
+    if (error.message.includes('not found')) {
+      status = 404;
+    } else if (error.message.includes('your own products')) {
+      status = 403;
+    } else if (error.message.includes('not available')) {
+      status = 503;
+    }
+    res.status(status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  // Invalid filters, sort or cursor are client errors; anything else is a query failure
+  handleSearchError(res, error) {
+    res.status(error.message.includes('Invalid') ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  handleReservationError(res, error) {
+    let status = 400;
+    if (error.message.includes('não encontrad')) {
+      status = 404;
+    } else if (error.message.includes('outra organização')) {
+      status = 403;
+    }
+    res.status(status).json({
+      success: false,
+      message: error.message,
+    });
+  }
 }
 
 module.exports = ProductController;
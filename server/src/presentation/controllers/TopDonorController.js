@@ -14,9 +14,16 @@ class TopDonorController {
     this.getByPeriod = this.getByPeriod.bind(this);
     this.getByOrganization = this.getByOrganization.bind(this);
     this.getTopN = this.getTopN.bind(this);
+    this.getPublicByPeriod = this.getPublicByPeriod.bind(this);
+    this.getPublicTopN = this.getPublicTopN.bind(this);
     this.update = this.update.bind(this);
     this.delete = this.delete.bind(this);
     this.deleteByPeriod = this.deleteByPeriod.bind(this);
+    this.refreshAutomatic = this.refreshAutomatic.bind(this);
+    this.getMonthlyLeaderboard = this.getMonthlyLeaderboard.bind(this);
+    this.getYearlyLeaderboard = this.getYearlyLeaderboard.bind(this);
+    this.getAllTimeLeaderboard = this.getAllTimeLeaderboard.bind(this);
+    this.getStreaks = this.getStreaks.bind(this);
 
     console.log('[TOP DONOR CONTROLLER] Inicializado com sucesso');
   }
@@ -41,6 +48,7 @@ class TopDonorController {
         organizationName,
         referenceMonth,
         referenceYear,
+        donorEmail,
         metadata,
       } = req.body;
 
@@ -68,6 +76,7 @@ class TopDonorController {
         organizationName,
         referenceMonth,
         referenceYear,
+        donorEmail,
         metadata,
       });
 
@@ -237,6 +246,118 @@ class TopDonorController {
     }
   }
 
+  /**
+   * Doadores do período sem os campos internos
+   * GET /api/public/top-donors/period/:year/:month
+   */
+  async getPublicByPeriod(req, res) {
+    try {
+      const { year, month } = req.params;
+
+      const topDonors = await this.topDonorService.getPublicTopDonorsByPeriod(
+        Number(month),
+        Number(year)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Doadores de destaque encontrados',
+        data: topDonors,
+      });
+    } catch (error) {
+      console.error('[TOP DONOR CONTROLLER] Erro ao buscar por período:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Erro ao buscar doadores por período',
+      });
+    }
+  }
+
+  /**
+   * Top N do período sem os campos internos
+   * GET /api/public/top-donors/top/:year/:month/:limit
+   */
+  async getPublicTopN(req, res) {
+    try {
+      const { year, month, limit } = req.params;
+
+      const topDonors = await this.topDonorService.getPublicTopN(
+        Number(month),
+        Number(year),
+        Number(limit)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: `Top ${limit} doadores encontrados`,
+        data: topDonors,
+      });
+    } catch (error) {
+      console.error('[TOP DONOR CONTROLLER] Erro ao buscar top N:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Erro ao buscar top N doadores',
+      });
+    }
+  }
+
+  /**
+   * Ranking do mês com variação de posição
+   * GET /api/public/top-donors/leaderboard/month/:year/:month?limit=
+   */
+  async getMonthlyLeaderboard(req, res) {
+    return this.sendLeaderboard(res, () =>
+      this.topDonorService.getMonthlyLeaderboard(
+        Number(req.params.month),
+        Number(req.params.year),
+        this.getLimit(req)
+      )
+    );
+  }
+
+  /**
+   * GET /api/public/top-donors/leaderboard/year/:year?limit=
+   */
+  async getYearlyLeaderboard(req, res) {
+    return this.sendLeaderboard(res, () =>
+      this.topDonorService.getYearlyLeaderboard(Number(req.params.year), this.getLimit(req))
+    );
+  }
+
+  /**
+   * GET /api/public/top-donors/leaderboard/all-time?limit=
+   */
+  async getAllTimeLeaderboard(req, res) {
+    return this.sendLeaderboard(res, () =>
+      this.topDonorService.getAllTimeLeaderboard(this.getLimit(req))
+    );
+  }
+
+  /**
+   * GET /api/public/top-donors/streaks?limit=
+   */
+  async getStreaks(req, res) {
+    return this.sendLeaderboard(res, () =>
+      this.topDonorService.getSupportStreaks(this.getLimit(req))
+    );
+  }
+
+  async sendLeaderboard(res, load) {
+    try {
+      return res.status(200).json({ success: true, data: await load() });
+    } catch (error) {
+      console.error('[TOP DONOR CONTROLLER] Erro ao montar ranking:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Erro ao montar ranking',
+      });
+    }
+  }
+
+  getLimit(req) {
+    return req.query.limit !== undefined ? Number(req.query.limit) : 10;
+  }
+
   /**
    * Atualiza um doador de destaque
    * PUT /api/top-donors/:id
@@ -290,6 +411,33 @@ class TopDonorController {
     }
   }
 
+  /**
+   * Reconstrói o ranking automático do período a partir das doações aprovadas
+   * POST /api/top-donors/auto/:year/:month
+   */
+  async refreshAutomatic(req, res) {
+    try {
+      const { year, month } = req.params;
+      const result = await this.topDonorService.refreshAutomaticRanking(
+        Number(month),
+        Number(year)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Ranking automático atualizado',
+        data: result,
+      });
+    } catch (error) {
+      console.error('[TOP DONOR CONTROLLER] Erro ao atualizar ranking automático:', error);
+      const statusCode = error.message === 'Ranking automático não configurado' ? 503 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Erro ao atualizar ranking automático',
+      });
+    }
+  }
+
   /**
    * Deleta todos os doadores de um período
    * DELETE /api/top-donors/period/:year/:month
@@ -0,0 +1,97 @@
+/**
+ * CONTROLLER - Feed público de transparência
+ * Filtros de query comuns: organizationId, campaignId e bucket=true (valores em faixas).
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+class TransparencyController {
+  constructor(transparencyFeedService) {
+    this.transparencyFeedService = transparencyFeedService;
+
+    this.getFeed = this.getFeed.bind(this);
+    this.getTotals = this.getTotals.bind(this);
+    this.stream = this.stream.bind(this);
+  }
+
+  /**
+   * GET /api/public/transparency/feed?limit=&bucket=&organizationId=&campaignId=
+   */
+  async getFeed(req, res) {
+    try {
+      const feed = await this.transparencyFeedService.getFeed({
+        ...this.getFilters(req),
+        limit: req.query.limit !== undefined ? Number(req.query.limit) : 20,
+      });
+      return res.status(200).json({ success: true, data: feed });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/public/transparency/totals?organizationId=&campaignId=
+   */
+  async getTotals(req, res) {
+    try {
+      const { organizationId, campaignId } = this.getFilters(req);
+      const totals = await this.transparencyFeedService.getTotals({ organizationId, campaignId });
+      return res.status(200).json({ success: true, data: totals });
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+  }
+
+  /**
+   * GET /api/public/transparency/stream (text/event-stream)
+   */
+  stream(req, res) {
+    let unsubscribe;
+    try {
+      unsubscribe = this.transparencyFeedService.subscribe((item) => {
+        res.write(`event: donation\nid: ${item.id}\ndata: ${JSON.stringify(item)}\n\n`);
+      }, this.getFilters(req));
+    } catch (e) {
+      return this.handleError(res, e);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Evita que proxies (nginx) segurem os eventos
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    // Comentário periódico mantém a conexão aberta atrás de proxies com timeout
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  getFilters(req) {
+    return {
+      organizationId: req.query.organizationId || undefined,
+      campaignId: req.query.campaignId || undefined,
+      bucketAmounts: req.query.bucket === 'true' || req.query.bucket === '1',
+    };
+  }
+
+  handleError(res, e) {
+    console.error('[TRANSPARENCY CONTROLLER] Erro:', e.message);
+    const message = e.message || 'Erro ao consultar o feed de transparência';
+    let code = 500;
+    if (message.includes('Limite de conexões')) {
+      code = 503;
+    } else if (/inválid|deve /.test(message)) {
+      code = 400;
+    }
+    return res.status(code).json({ success: false, message });
+  }
+}
+
+module.exports = TransparencyController;
@@ -0,0 +1,53 @@
+/**
+ * CONTROLLER - Caixa de entrada de webhooks (Admin)
+ */
+
+class WebhookInboxController {
+  constructor(webhookInboxService) {
+    this.webhookInboxService = webhookInboxService;
+
+    this.listDeadLetters = this.listDeadLetters.bind(this);
+    this.getEntry = this.getEntry.bind(this);
+    this.replay = this.replay.bind(this);
+  }
+
+  async listDeadLetters(req, res) {
+    try {
+      const result = await this.webhookInboxService.listDeadLetters({
+        page: req.query.page,
+        limit: req.query.limit,
+        topic: req.query.topic,
+      });
+      return res.status(200).json({ success: true, ...result });
+    } catch (e) {
+      return res.status(500).json({ success: false, message: e.message });
+    }
+  }
+
+  async getEntry(req, res) {
+    try {
+      const entry = await this.webhookInboxService.getEntry(req.params.id);
+      return res.status(200).json({ success: true, data: entry });
+    } catch (e) {
+      const code = e.message && e.message.includes('não encontrado') ? 404 : 400;
+      return res.status(code).json({ success: false, message: e.message });
+    }
+  }
+
+  async replay(req, res) {
+    try {
+      const requestedBy = req.user ? req.user.id || req.user.userId : null;
+      const entry = await this.webhookInboxService.replay(req.params.id, requestedBy);
+      return res.status(200).json({
+        success: true,
+        message: 'Webhook reenfileirado para processamento',
+        data: entry,
+      });
+    } catch (e) {
+      const code = e.message && e.message.includes('não encontrado') ? 404 : 400;
+      return res.status(code).json({ success: false, message: e.message });
+    }
+  }
+}
+
+module.exports = WebhookInboxController;
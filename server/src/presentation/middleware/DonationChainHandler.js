@@ -230,6 +230,86 @@ class DonationRateLimitHandler extends BaseMiddleware {
   }
 }
 
+/**
+ * Handler antifraude: pontua a tentativa (histórico persistido por IP/email/documento) e
+ * segue, retém para revisão do admin ou bloqueia
+ */
+class DonationFraudHandler extends BaseMiddleware {
+  /**
+   * @param {FraudDetectionService} fraudDetectionService
+   * @param {string} kind - 'single', 'recurring' ou 'pix'
+   */
+  constructor(fraudDetectionService, kind = 'single') {
+    super('DonationFraud');
+    this.fraudDetectionService = fraudDetectionService;
+    this.kind = kind;
+  }
+
+  async handle(req, res, next) {
+    const requestLogger = req.logger || logger;
+
+    let assessment;
+    try {
+      assessment = await this.fraudDetectionService.assess({
+        kind: this.kind,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        donationData: req.validatedBody || req.body,
+      });
+    } catch (error) {
+      // Indisponibilidade da análise não impede doações legítimas
+      requestLogger.error('Avaliação antifraude falhou, seguindo sem pontuação', {
+        middleware: this.name,
+        error: error.message,
+      });
+      return next();
+    }
+
+    req.fraudAssessment = {
+      id: assessment.id,
+      score: assessment.score,
+      decision: assessment.decision,
+    };
+
+    if (assessment.decision === 'block') {
+      requestLogger.warn('Doação bloqueada pela análise antifraude', {
+        middleware: this.name,
+        assessmentId: assessment.id,
+        score: assessment.score,
+      });
+
+      // Sem detalhes das regras para não orientar quem testa cartões
+      this.sendError(
+        res,
+        403,
+        'Não foi possível processar a doação. Tente novamente mais tarde.',
+        'DONATION_BLOCKED'
+      );
+      return;
+    }
+
+    if (assessment.decision === 'hold') {
+      requestLogger.warn('Doação retida para revisão', {
+        middleware: this.name,
+        assessmentId: assessment.id,
+        score: assessment.score,
+      });
+
+      res.status(202).json({
+        success: true,
+        held: true,
+        message:
+          'Sua doação está em análise de segurança. Enviaremos o link de pagamento por email assim que for liberada.',
+        data: { reviewId: assessment.id },
+        requestId: req.requestId,
+      });
+      return;
+    }
+
+    next();
+  }
+}
+
 /**
  * Handler para enriquecimento de contexto da doação
  */
@@ -273,20 +353,29 @@ class DonationContextHandler extends BaseMiddleware {
  * Factory para criar cadeia de handlers de doação
  */
 class DonationChainFactory {
-  static createDonationChain() {
-    return [
+  /**
+   * @param {Object} options - { fraudDetectionService, kind } (sem o service, não há
+   *   análise antifraude)
+   */
+  static createDonationChain(options = {}) {
+    const { fraudDetectionService = null, kind = 'single' } = options;
+    const chain = [
       new DonationValidationHandler().toExpressMiddleware(),
       new DonationPolicyHandler().toExpressMiddleware(),
       new DonationRateLimitHandler().toExpressMiddleware(),
-      new DonationContextHandler().toExpressMiddleware(),
     ];
+    if (fraudDetectionService) {
+      chain.push(new DonationFraudHandler(fraudDetectionService, kind).toExpressMiddleware());
+    }
+    chain.push(new DonationContextHandler().toExpressMiddleware());
+    return chain;
   }
 
   /**
    * Cria cadeia específica para doações recorrentes
    */
-  static createRecurringDonationChain() {
-    const chain = this.createDonationChain();
+  static createRecurringDonationChain(options = {}) {
+    const chain = this.createDonationChain({ ...options, kind: 'recurring' });
 
     // Adicionar validação específica para recorrentes
     const recurringValidator = (req, res, next) => {
@@ -324,8 +413,8 @@ class DonationChainFactory {
       next();
     };
 
-    // Inserir validador específico antes do contexto
-    chain.splice(-1, 0, recurringValidator);
+    // Inserir validador específico logo após o rate limit (antes da análise antifraude)
+    chain.splice(3, 0, recurringValidator);
 
     return chain;
   }
@@ -335,6 +424,7 @@ module.exports = {
   DonationValidationHandler,
   DonationPolicyHandler,
   DonationRateLimitHandler,
+  DonationFraudHandler,
   DonationContextHandler,
   DonationChainFactory,
 };
@@ -0,0 +1,32 @@
+/**
+ * CHAIN OF RESPONSIBILITY - Autenticação do portal do doador
+ * Doadores não têm conta de usuário: o token vem do login por código e é validado
+ * pelo DonorPortalService. O doador da sessão fica em req.donor.
+ */
+
+const createDonorAuthMiddleware = (donorPortalService) => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    if (!authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Faça login no portal do doador para continuar',
+        error: 'MISSING_DONOR_TOKEN',
+      });
+    }
+
+    try {
+      req.donor = donorPortalService.verifySession(authHeader.substring(7));
+      return next();
+    } catch (error) {
+      console.warn('[DONOR AUTH MIDDLEWARE] Token rejeitado:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_DONOR_TOKEN',
+      });
+    }
+  };
+};
+
+module.exports = { createDonorAuthMiddleware };
@@ -36,8 +36,8 @@ class RequestDeduplicationMiddleware {
    * @param {Function} next - Função next do Express
    */
   middleware = (req, res, next) => {
-    // Pular deduplicação para rotas específicas
-    const skipRoutes = ['/health'];
+    // Pular deduplicação para rotas específicas (o stream SSE nunca chama res.send)
+    const skipRoutes = ['/health', '/transparency/stream'];
     if (skipRoutes.some((route) => req.originalUrl.includes(route))) {
       return next();
     }
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { BaseMiddleware } = require('./BaseMiddleware');
+const { logger } = require('../../infra/logger');
+const { getInstance: getEventManager } = require('../../infra/events/EventManager');
+
+/**
+ * CHAIN OF RESPONSIBILITY - Handler de autenticidade dos webhooks do Mercado Pago
+ * Valida a assinatura HMAC (x-signature) antes que a notificação chegue ao controller
+ */
+class MercadoPagoWebhookSignatureHandler extends BaseMiddleware {
+  /**
+   * @param {Object} options
+   * @param {string} [options.secret] - Chave secreta do webhook (painel do Mercado Pago)
+   * @param {number} [options.toleranceSeconds] - Diferença máxima aceita entre ts e o relógio local
+   * @param {boolean} [options.mockMode] - Aceita webhooks sem chave secreta
+   *   (padrão: MOCK_MERCADO_PAGO=true ou MERCADO_PAGO_MODE=mock)
+   */
+  constructor(options = {}) {
+    super('MercadoPagoWebhookSignature');
+    this.secret =
+      options.secret !== undefined ? options.secret : process.env.MERCADO_PAGO_WEBHOOK_SECRET;
+    this.toleranceSeconds =
+      options.toleranceSeconds ||
+      parseInt(process.env.MERCADO_PAGO_WEBHOOK_TOLERANCE_SECONDS, 10) ||
+      300;
+    this.mockMode =
+      options.mockMode !== undefined
+        ? options.mockMode
+        : process.env.MOCK_MERCADO_PAGO === 'true' ||
+          (process.env.MERCADO_PAGO_MODE || '').toLowerCase() === 'mock';
+    this.eventManager = options.eventManager || getEventManager();
+  }
+
+  /**
+   * Extrai ts e v1 do header x-signature ("ts=1704908010,v1=abc...")
+   * @param {string} header - Valor do header x-signature
+   * @returns {{ts: string, v1: string}|null}
+   */
+  static parseSignatureHeader(header) {
+    if (!header || typeof header !== 'string') {
+      return null;
+    }
+
+    const parts = {};
+    header.split(',').forEach((part) => {
+      const [key, value] = part.split('=').map((piece) => (piece || '').trim());
+      if (key && value) {
+        parts[key] = value;
+      }
+    });
+
+    if (!parts.ts || !parts.v1) {
+      return null;
+    }
+
+    return { ts: parts.ts, v1: parts.v1 };
+  }
+
+  /**
+   * Monta o manifest assinado pelo Mercado Pago
+   * IDs alfanuméricos são enviados em minúsculas no cálculo da assinatura
+   */
+  static buildManifest({ dataId, requestId, ts }) {
+    let manifest = '';
+    if (dataId) {
+      const id = String(dataId);
+      manifest += `id:${/^[a-z0-9]+$/i.test(id) ? id.toLowerCase() : id};`;
+    }
+    if (requestId) {
+      manifest += `request-id:${requestId};`;
+    }
+    manifest += `ts:${ts};`;
+    return manifest;
+  }
+
+  /**
+   * Verifica assinatura e janela de tempo de uma notificação
+   * @returns {{valid: boolean, reason?: string, ts?: number}}
+   */
+  static verifySignature({ signatureHeader, requestId, dataId, secret, toleranceSeconds, now }) {
+    const parsed = MercadoPagoWebhookSignatureHandler.parseSignatureHeader(signatureHeader);
+    if (!parsed) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    const tsNumber = Number(parsed.ts);
+    if (!Number.isFinite(tsNumber)) {
+      return { valid: false, reason: 'invalid_timestamp' };
+    }
+
+    // O Mercado Pago pode enviar ts em segundos ou milissegundos
+    const tsMs = tsNumber > 1e12 ? tsNumber : tsNumber * 1000;
+    const currentMs = now !== undefined ? now : Date.now();
+    if (Math.abs(currentMs - tsMs) > toleranceSeconds * 1000) {
+      return { valid: false, reason: 'timestamp_out_of_tolerance', ts: tsMs };
+    }
+
+    const manifest = MercadoPagoWebhookSignatureHandler.buildManifest({
+      dataId,
+      requestId,
+      ts: parsed.ts,
+    });
+    const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const receivedBuffer = Buffer.from(parsed.v1, 'utf8');
+    if (
+      expectedBuffer.length !== receivedBuffer.length ||
+      !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    ) {
+      return { valid: false, reason: 'signature_mismatch', ts: tsMs };
+    }
+
+    return { valid: true, ts: tsMs };
+  }
+
+  async handle(req, res, next) {
+    const requestLogger = req.logger || logger;
+    const body = req.body || {};
+    const dataId = (req.query && req.query['data.id']) || (body.data && body.data.id);
+    const requestId = req.get('x-request-id');
+
+    // Identificação da entrega usada pelo service para descartar replays
+    req.webhookDelivery = {
+      notificationId: body.id !== undefined && body.id !== null ? String(body.id) : requestId,
+      requestId,
+      topic: body.type || body.topic || (req.query && req.query.type),
+      resourceId: dataId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    };
+
+    if (!this.secret && this.mockMode) {
+      requestLogger.warn('Mercado Pago em modo mock - assinatura do webhook não verificada', {
+        middleware: this.name,
+      });
+      req.webhookDelivery.signatureVerified = false;
+      return next();
+    }
+
+    // Sem a chave secreta não há como verificar a assinatura: nenhum webhook é aceito
+    let result = { valid: false, reason: 'secret_not_configured' };
+    if (this.secret) {
+      result = MercadoPagoWebhookSignatureHandler.verifySignature({
+        signatureHeader: req.get('x-signature'),
+        requestId,
+        dataId,
+        secret: this.secret,
+        toleranceSeconds: this.toleranceSeconds,
+      });
+    }
+
+    if (!result.valid) {
+      requestLogger.warn('Webhook com assinatura inválida rejeitado', {
+        middleware: this.name,
+        reason: result.reason,
+        requestId,
+        dataId,
+      });
+
+      await this.eventManager.emit(
+        'system.security.alert',
+        {
+          alertType: 'webhook_signature_invalid',
+          severity: 'high',
+          details: {
+            provider: 'mercadopago',
+            reason: result.reason,
+            requestId,
+            dataId,
+            notificationId: req.webhookDelivery.notificationId,
+          },
+        },
+        {
+          source: this.name,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+        }
+      );
+
+      this.sendError(res, 401, 'Assinatura do webhook inválida', 'WEBHOOK_SIGNATURE_INVALID', {
+        reason: result.reason,
+      });
+      return;
+    }
+
+    req.webhookDelivery.signatureVerified = true;
+    next();
+  }
+}
+
+/**
+ * Handler de autenticidade dos webhooks do Pagar.me
+ * A API v5 não assina o corpo: o painel envia usuário e senha via Basic Auth
+ */
+class PagarmeWebhookAuthHandler extends BaseMiddleware {
+  /**
+   * @param {Object} options
+   * @param {string} [options.user] - Usuário configurado no webhook do painel do Pagar.me
+   * @param {string} [options.password] - Senha configurada no webhook
+   * @param {boolean} [options.mockMode] - Aceita webhooks sem credenciais (padrão: PAGARME_MODE=mock)
+   */
+  constructor(options = {}) {
+    super('PagarmeWebhookAuth');
+    this.user = options.user !== undefined ? options.user : process.env.PAGARME_WEBHOOK_USER;
+    this.password =
+      options.password !== undefined ? options.password : process.env.PAGARME_WEBHOOK_PASSWORD;
+    this.mockMode =
+      options.mockMode !== undefined
+        ? options.mockMode
+        : (process.env.PAGARME_MODE || '').toLowerCase() === 'mock';
+    this.eventManager = options.eventManager || getEventManager();
+  }
+
+  static verifyBasicAuth(header, user, password) {
+    if (!header || !header.startsWith('Basic ')) {
+      return false;
+    }
+
+    const expected = Buffer.from(`${user}:${password || ''}`, 'utf8');
+    const received = Buffer.from(header.slice(6).trim(), 'base64');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  async handle(req, res, next) {
+    const requestLogger = req.logger || logger;
+    const body = req.body || {};
+
+    // O id do evento (hook_...) é único por entrega e serve para descartar replays
+    req.webhookDelivery = {
+      provider: 'pagarme',
+      notificationId: body.id ? String(body.id) : null,
+      requestId: req.get('x-request-id'),
+      topic: body.type,
+      resourceId: body.data && body.data.id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    };
+
+    if (!this.user && this.mockMode) {
+      requestLogger.warn('Pagar.me em modo mock - autenticação do webhook não verificada', {
+        middleware: this.name,
+      });
+      req.webhookDelivery.signatureVerified = false;
+      return next();
+    }
+
+    // Sem credenciais configuradas nenhum webhook é aceito: o corpo não é assinado
+    const reason = this.user ? 'invalid_credentials' : 'credentials_not_configured';
+    if (
+      !this.user ||
+      !PagarmeWebhookAuthHandler.verifyBasicAuth(req.get('authorization'), this.user, this.password)
+    ) {
+      requestLogger.warn('Webhook do Pagar.me sem credenciais válidas rejeitado', {
+        middleware: this.name,
+        reason,
+        notificationId: req.webhookDelivery.notificationId,
+      });
+
+      await this.eventManager.emit(
+        'system.security.alert',
+        {
+          alertType: 'webhook_signature_invalid',
+          severity: 'high',
+          details: {
+            provider: 'pagarme',
+            reason,
+            notificationId: req.webhookDelivery.notificationId,
+          },
+        },
+        {
+          source: this.name,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+        }
+      );
+
+      this.sendError(res, 401, 'Credenciais do webhook inválidas', 'WEBHOOK_SIGNATURE_INVALID', {
+        reason,
+      });
+      return;
+    }
+
+    req.webhookDelivery.signatureVerified = true;
+    next();
+  }
+}
+
+module.exports = {
+  MercadoPagoWebhookSignatureHandler,
+  PagarmeWebhookAuthHandler,
+};
@@ -37,6 +37,7 @@ const {
   DonationValidationHandler,
   DonationPolicyHandler,
   DonationRateLimitHandler,
+  DonationFraudHandler,
   DonationContextHandler,
   DonationChainFactory,
 } = require('./DonationChainHandler');
@@ -144,6 +145,7 @@ module.exports = {
   DonationValidationHandler,
   DonationPolicyHandler,
   DonationRateLimitHandler,
+  DonationFraudHandler,
   DonationContextHandler,
   DonationChainFactory,
 
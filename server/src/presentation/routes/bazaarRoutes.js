@@ -0,0 +1,508 @@
+const express = require('express');
+const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const { donationLimiter } = require('../middleware/rateLimiter');
+const { validateBody } = require('../middleware/validationMiddleware');
+const {
+  cartItemSchema,
+  checkoutSchema,
+  buyerOrderSchema,
+  orderActionSchema,
+} = require('../../application/validators/orderSchemas');
+const OrderController = require('../controllers/OrderController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Identifica o carrinho nas próximas chamadas
+ *         organizationId:
+ *           type: string
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 nullable: true
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *               variantLabel:
+ *                 type: string
+ *                 nullable: true
+ *                 example: 'Tamanho: M, Cor: Azul'
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *               subtotal:
+ *                 type: number
+ *               available:
+ *                 type: boolean
+ *                 description: false se o produto saiu do ar ou o estoque não cobre a quantidade
+ *         total:
+ *           type: number
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *     OrderItem:
+ *       type: object
+ *       properties:
+ *         productId:
+ *           type: string
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *         variantLabel:
+ *           type: string
+ *           nullable: true
+ *         unitPrice:
+ *           type: number
+ *           description: Preço da variação quando ela tem preço próprio
+ *         quantity:
+ *           type: integer
+ *         subtotal:
+ *           type: number
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: 9F3A61C0B2
+ *         organizationId:
+ *           type: string
+ *         buyerName:
+ *           type: string
+ *         buyerEmail:
+ *           type: string
+ *         buyerPhone:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         total:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending_payment, paid, fulfilled, cancelled, refunded]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *         paymentProvider:
+ *           type: string
+ *         paymentUrl:
+ *           type: string
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         cancelReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Cria rotas do bazar: carrinho e acompanhamento do pedido (públicas) e gestão dos pedidos
+ * pela organização
+ */
+function createBazaarRoutes(orderService, authService) {
+  const router = express.Router();
+  const controller = new OrderController(orderService);
+  const auth = createSimpleAuthMiddleware(authService);
+
+  /**
+   * @swagger
+   * /api/bazaar/carts:
+   *   post:
+   *     tags: [Bazaar]
+   *     summary: Cria um carrinho vazio
+   *     description: O carrinho expira em 72 horas sem alterações.
+   *     responses:
+   *       201:
+   *         description: Carrinho criado
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Cart'
+   */
+  router.post('/carts', controller.createCart);
+
+  /**
+   * @swagger
+   * /api/bazaar/carts/{token}:
+   *   get:
+   *     tags: [Bazaar]
+   *     summary: Carrinho com preços e estoque atuais
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Carrinho
+   *       404:
+   *         description: Carrinho não encontrado ou expirado
+   */
+  router.get('/carts/:token', controller.getCart);
+
+  /**
+   * @swagger
+   * /api/bazaar/carts/{token}/items:
+   *   put:
+   *     tags: [Bazaar]
+   *     summary: Define a quantidade de um produto (0 remove)
+   *     description: |
+   *       Todos os produtos do carrinho precisam ser da mesma organização. Produtos com variações
+   *       (tamanho, cor) exigem variantId; cada variação é um item separado do carrinho.
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [productId, quantity]
+   *             properties:
+   *               productId:
+   *                 type: string
+   *               variantId:
+   *                 type: string
+   *                 description: Obrigatório para produtos com variações
+   *               quantity:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 10
+   *     responses:
+   *       200:
+   *         description: Carrinho atualizado
+   *       400:
+   *         description: Produto indisponível, sem estoque, sem variação escolhida ou de outra organização
+   */
+  router.put('/carts/:token/items', validateBody(cartItemSchema), controller.setCartItem);
+
+  /**
+   * @swagger
+   * /api/bazaar/carts/{token}/items/{productId}:
+   *   delete:
+   *     tags: [Bazaar]
+   *     summary: Remove um produto do carrinho
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: string
+   *         description: Variação a remover, para produtos com variações
+   *     responses:
+   *       200:
+   *         description: Carrinho atualizado
+   */
+  router.delete('/carts/:token/items/:productId', controller.removeCartItem);
+
+  /**
+   * @swagger
+   * /api/bazaar/carts/{token}/checkout:
+   *   post:
+   *     tags: [Bazaar]
+   *     summary: Fecha o carrinho e gera o pagamento do pedido
+   *     description: |
+   *       Cria o pedido com os preços atuais e o pagamento no provedor da organização.
+   *       Os itens ficam reservados enquanto o pagamento está pendente
+   *       (STOCK_HOLD_CHECKOUT_MINUTES); o estoque só é baixado quando o pagamento é aprovado.
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [buyerName, buyerEmail]
+   *             properties:
+   *               buyerName:
+   *                 type: string
+   *               buyerEmail:
+   *                 type: string
+   *               buyerPhone:
+   *                 type: string
+   *               buyerDocument:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Pedido criado com o link de pagamento (order.code acompanha o pedido)
+   *       400:
+   *         description: Carrinho vazio ou produto sem estoque
+   *       502:
+   *         description: Falha ao criar o pagamento no provedor
+   */
+  router.post(
+    '/carts/:token/checkout',
+    donationLimiter,
+    validateBody(checkoutSchema),
+    controller.checkout
+  );
+
+  /**
+   * @swagger
+   * /api/bazaar/orders/{code}:
+   *   get:
+   *     tags: [Bazaar]
+   *     summary: Status do pedido para o comprador
+   *     parameters:
+   *       - in: path
+   *         name: code
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: email
+   *         required: true
+   *         description: Email usado no checkout
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Pedido (o link de pagamento só aparece enquanto pendente)
+   *       404:
+   *         description: Pedido não encontrado
+   */
+  router.get('/orders/:code', controller.getOrderStatus);
+
+  /**
+   * @swagger
+   * /api/bazaar/orders/{code}/cancel:
+   *   post:
+   *     tags: [Bazaar]
+   *     summary: Comprador cancela um pedido ainda não pago
+   *     parameters:
+   *       - in: path
+   *         name: code
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email]
+   *             properties:
+   *               email:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Pedido cancelado
+   *       400:
+   *         description: Pedido já pago ou encerrado
+   */
+  router.post('/orders/:code/cancel', validateBody(buyerOrderSchema), controller.cancelByBuyer);
+
+  /**
+   * @swagger
+   * /api/bazaar/organization/orders:
+   *   get:
+   *     tags: [Bazaar]
+   *     summary: Pedidos recebidos pela organização
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending_payment, paid, fulfilled, cancelled, refunded]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Lista paginada, mais recentes primeiro
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Order'
+   *                 pagination:
+   *                   type: object
+   */
+  router.get('/organization/orders', auth, controller.listOrganizationOrders);
+
+  /**
+   * @swagger
+   * /api/bazaar/organization/orders/{id}:
+   *   get:
+   *     tags: [Bazaar]
+   *     summary: Detalha um pedido da organização
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Pedido com o histórico de status
+   *       403:
+   *         description: Pedido de outra organização
+   *       404:
+   *         description: Pedido não encontrado
+   */
+  router.get('/organization/orders/:id', auth, controller.getOrganizationOrder);
+
+  /**
+   * @swagger
+   * /api/bazaar/organization/orders/{id}/fulfill:
+   *   post:
+   *     tags: [Bazaar]
+   *     summary: Marca um pedido pago como entregue ou retirado
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Pedido entregue
+   *       400:
+   *         description: Pedido não está pago
+   */
+  router.post('/organization/orders/:id/fulfill', auth, controller.fulfillOrder);
+
+  /**
+   * @swagger
+   * /api/bazaar/organization/orders/{id}/cancel:
+   *   post:
+   *     tags: [Bazaar]
+   *     summary: Cancela um pedido aguardando pagamento
+   *     description: Pedidos já pagos são encerrados pelo estorno.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Pedido cancelado
+   *       400:
+   *         description: Pedido já pago ou encerrado
+   */
+  router.post(
+    '/organization/orders/:id/cancel',
+    auth,
+    validateBody(orderActionSchema),
+    controller.cancelOrder
+  );
+
+  /**
+   * @swagger
+   * /api/bazaar/organization/orders/{id}/refund:
+   *   post:
+   *     tags: [Bazaar]
+   *     summary: Estorna o pagamento e devolve os itens ao estoque
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Pedido estornado
+   *       400:
+   *         description: Pedido não está pago
+   */
+  router.post(
+    '/organization/orders/:id/refund',
+    auth,
+    validateBody(orderActionSchema),
+    controller.refundOrder
+  );
+
+  return router;
+}
+
+module.exports = createBazaarRoutes;
@@ -0,0 +1,324 @@
+const express = require('express');
+const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const upload = require('../middleware/UploadMiddleware');
+const {
+  createCampaignSchema,
+  updateCampaignSchema,
+  campaignStatusSchema,
+} = require('../../application/validators/campaignSchemas');
+const CampaignController = require('../controllers/CampaignController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Campaign:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         organizationId:
+ *           type: string
+ *         title:
+ *           type: string
+ *           example: "Reforma da cozinha comunitária"
+ *         story:
+ *           type: string
+ *         goalAmount:
+ *           type: number
+ *           example: 15000
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         coverImageUrl:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [draft, published, in_progress, on_hold, completed, archived, cancelled]
+ *         progress:
+ *           $ref: '#/components/schemas/CampaignProgress'
+ *     CampaignProgress:
+ *       type: object
+ *       description: Calculado das doações aprovadas (únicas e parcelas recorrentes, líquidas de estornos)
+ *       properties:
+ *         goalAmount:
+ *           type: number
+ *         raisedAmount:
+ *           type: number
+ *           description: Valor doado pelos doadores
+ *         matchedAmount:
+ *           type: number
+ *           description: Valor dobrado por empresas apoiadoras
+ *         totalAmount:
+ *           type: number
+ *           description: raisedAmount + matchedAmount (base do percentual da meta)
+ *         donorCount:
+ *           type: integer
+ *         percentage:
+ *           type: number
+ *           description: Percentual da meta (pode passar de 100)
+ *           example: 42.5
+ *         goalReached:
+ *           type: boolean
+ *         acceptingDonations:
+ *           type: boolean
+ *     CampaignRequest:
+ *       type: object
+ *       required: [title, story, goalAmount]
+ *       properties:
+ *         title:
+ *           type: string
+ *         story:
+ *           type: string
+ *         goalAmount:
+ *           type: number
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ */
+
+/**
+ * Cria rotas das campanhas de arrecadação
+ */
+function createCampaignRoutes(campaignService, authService) {
+  const router = express.Router();
+  const controller = new CampaignController(campaignService);
+  const auth = createSimpleAuthMiddleware(authService);
+
+  /**
+   * @swagger
+   * /api/campaigns:
+   *   get:
+   *     tags: [Campaigns]
+   *     summary: Lista campanhas públicas com o progresso da meta
+   *     parameters:
+   *       - in: query
+   *         name: organizationId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [published, in_progress, completed]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Campanhas e paginação
+   */
+  router.get('/', controller.listPublic);
+
+  /**
+   * @swagger
+   * /api/campaigns/organization/mine:
+   *   get:
+   *     tags: [Campaigns]
+   *     summary: Campanhas da organização autenticada (inclui rascunhos)
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Campanhas da organização
+   *       403:
+   *         description: Usuário não é uma organização
+   */
+  router.get('/organization/mine', auth, controller.listMine);
+
+  /**
+   * @swagger
+   * /api/campaigns/{id}:
+   *   get:
+   *     tags: [Campaigns]
+   *     summary: Página pública da campanha
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Campanha com progresso
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Campaign'
+   *       404:
+   *         description: Campanha não encontrada ou não pública
+   */
+  router.get('/:id', controller.getPublic);
+
+  /**
+   * @swagger
+   * /api/campaigns/{id}/progress:
+   *   get:
+   *     tags: [Campaigns]
+   *     summary: Valor arrecadado, doadores e percentual da meta
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Progresso da campanha
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/CampaignProgress'
+   *       404:
+   *         description: Campanha não encontrada ou não pública
+   */
+  router.get('/:id/progress', controller.getProgress);
+
+  /**
+   * @swagger
+   * /api/campaigns:
+   *   post:
+   *     tags: [Campaigns]
+   *     summary: Cria uma campanha (rascunho)
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CampaignRequest'
+   *     responses:
+   *       201:
+   *         description: Campanha criada
+   *       400:
+   *         description: Dados inválidos
+   */
+  router.post('/', auth, validateBody(createCampaignSchema), controller.create);
+
+  /**
+   * @swagger
+   * /api/campaigns/{id}:
+   *   put:
+   *     tags: [Campaigns]
+   *     summary: Atualiza a campanha (apenas em rascunho ou pausada)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/CampaignRequest'
+   *     responses:
+   *       200:
+   *         description: Campanha atualizada
+   *       400:
+   *         description: Dados inválidos ou campanha fora de edição
+   */
+  router.put('/:id', auth, validateBody(updateCampaignSchema), controller.update);
+
+  /**
+   * @swagger
+   * /api/campaigns/{id}/status:
+   *   post:
+   *     tags: [Campaigns]
+   *     summary: Avança o ciclo de vida da campanha
+   *     description: |
+   *       Transições de ProjectState: draft -> published -> in_progress -> completed -> archived,
+   *       com hold (pausa) e cancel. Doações são aceitas apenas em published e in_progress.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [action]
+   *             properties:
+   *               action:
+   *                 type: string
+   *                 enum: [publish, start, hold, complete, archive, cancel]
+   *               reason:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Status atualizado
+   *       400:
+   *         description: Transição não permitida a partir do status atual
+   */
+  router.post('/:id/status', auth, validateBody(campaignStatusSchema), controller.changeStatus);
+
+  /**
+   * @swagger
+   * /api/campaigns/{id}/cover:
+   *   post:
+   *     tags: [Campaigns]
+   *     summary: Envia a imagem de capa da campanha
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       200:
+   *         description: Capa atualizada
+   *       503:
+   *         description: Storage não configurado
+   */
+  router.post('/:id/cover', auth, upload.single('image'), controller.uploadCover);
+
+  return router;
+}
+
+module.exports = createCampaignRoutes;
@@ -1,12 +1,18 @@
 const express = require('express');
 const DonationController = require('../controllers/DonationController');
 const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const { adminMiddleware } = require('../middleware/AdminMiddleware');
 const { validateBody } = require('../middleware/validationMiddleware');
 const {
   singleDonationSchema,
   recurringDonationSchema,
+  refundDonationSchema,
 } = require('../../application/validators/donationSchemas');
 const { DonationChainFactory } = require('../middleware/DonationChainHandler');
+const {
+  MercadoPagoWebhookSignatureHandler,
+  PagarmeWebhookAuthHandler,
+} = require('../middleware/WebhookSignatureHandler');
 
 /**
  * @swagger
@@ -64,9 +70,49 @@ const { DonationChainFactory } = require('../middleware/DonationChainHandler');
  *           example: "12345678901"
  *         paymentStatus:
  *           type: string
- *           enum: [pending, approved, rejected, cancelled]
+ *           enum: [pending, in_process, approved, rejected, cancelled, refunded, charged_back, paused]
  *           description: Status do pagamento
  *           example: "pending"
+ *         statusHistory:
+ *           type: array
+ *           description: Transições de status aplicadas à doação
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "pending"
+ *               to:
+ *                 type: string
+ *                 example: "approved"
+ *               source:
+ *                 type: string
+ *                 example: "mercadopago_webhook"
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *         refundedAmount:
+ *           type: number
+ *           description: Soma dos estornos já realizados
+ *           example: 0
+ *         refunds:
+ *           type: array
+ *           description: Estornos totais ou parciais
+ *           items:
+ *             type: object
+ *             properties:
+ *               refundId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               requestedBy:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
  *         mercadoPagoId:
  *           type: string
  *           description: ID do pagamento no Mercado Pago
@@ -82,6 +128,26 @@ const { DonationChainFactory } = require('../middleware/DonationChainHandler');
  *           format: date-time
  *           description: Data de atualização
  *
+ *     PixCharge:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [mercadopago, static]
+ *         qrCode:
+ *           type: string
+ *           description: Código EMV "copia e cola"
+ *           example: "00020126330014br.gov.bcb.pix011112345678901520400005303986540550.005802BR..."
+ *         qrCodeBase64:
+ *           type: string
+ *           description: Imagem PNG do QR code em base64
+ *         ticketUrl:
+ *           type: string
+ *           description: Página do Mercado Pago com o QR code (somente modo mercadopago)
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *
  *     SingleDonationRequest:
  *       type: object
  *       required:
@@ -93,6 +159,12 @@ const { DonationChainFactory } = require('../middleware/DonationChainHandler');
  *           type: string
  *           description: ID da organização
  *           example: "507f1f77bcf86cd799439012"
+ *         campaignId:
+ *           type: string
+ *           description: Campanha apoiada (opcional; precisa estar recebendo doações)
+ *         fundraisingPageId:
+ *           type: string
+ *           description: Página de arrecadação pessoal (a doação conta também para a campanha dela)
  *         amount:
  *           type: number
  *           format: float
@@ -132,6 +204,12 @@ const { DonationChainFactory } = require('../middleware/DonationChainHandler');
  *           type: string
  *           description: ID da organização
  *           example: "507f1f77bcf86cd799439012"
+ *         campaignId:
+ *           type: string
+ *           description: Campanha apoiada (opcional; precisa estar recebendo doações)
+ *         fundraisingPageId:
+ *           type: string
+ *           description: Página de arrecadação pessoal (a doação conta também para a campanha dela)
  *         amount:
  *           type: number
  *           format: float
@@ -166,9 +244,23 @@ const { DonationChainFactory } = require('../middleware/DonationChainHandler');
  *           example: "Quero apoiar mensalmente!"
  */
 
-const createDonationRoutes = (donationService, authService) => {
+const createDonationRoutes = (
+  donationService,
+  authService,
+  webhookInboxService = null,
+  dunningService = null,
+  receiptService = null,
+  pixService = null,
+  fraudDetectionService = null
+) => {
   const router = express.Router();
-  const donationController = new DonationController(donationService);
+  const donationController = new DonationController(
+    donationService,
+    webhookInboxService,
+    dunningService,
+    receiptService,
+    pixService
+  );
 
   // Middleware de autenticação (opcional para algumas rotas)
   const auth = authService ? createSimpleAuthMiddleware(authService) : null;
@@ -220,18 +312,39 @@ const createDonationRoutes = (donationService, authService) => {
    *                     organizationName:
    *                       type: string
    *                       example: "ONG Esperança"
+   *       202:
+   *         description: |
+   *           Retida pela análise antifraude (vale também para /recurring e /pix). O link de
+   *           pagamento vai por email se o admin liberar a doação.
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 held:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     reviewId:
+   *                       type: string
    *       400:
    *         description: Dados inválidos
    *         content:
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       403:
+   *         description: Bloqueada pela análise antifraude (DONATION_BLOCKED)
    */
   // Usar cadeia de handlers coesos para doações únicas
   router.post(
     '/single',
     validateBody(singleDonationSchema),
-    ...DonationChainFactory.createDonationChain(),
+    ...DonationChainFactory.createDonationChain({ fraudDetectionService }),
     donationController.createSingleDonation
   );
 
@@ -239,10 +352,101 @@ const createDonationRoutes = (donationService, authService) => {
   router.post(
     '/donate',
     validateBody(singleDonationSchema),
-    ...DonationChainFactory.createDonationChain(),
+    ...DonationChainFactory.createDonationChain({ fraudDetectionService }),
     donationController.createSingleDonation
   );
 
+  /**
+   * @swagger
+   * /api/donations/pix:
+   *   post:
+   *     tags: [Donations]
+   *     summary: Criar doação via PIX
+   *     description: |
+   *       Cria uma doação única paga via PIX e retorna o código copia e cola (EMV) e o QR code.
+   *       Com Mercado Pago configurado a cobrança é dinâmica e confirmada pelo webhook.
+   *       Sem token (ou PIX_MODE=static) é gerado o BR Code estático da chave PIX da
+   *       organização, confirmado manualmente por ela. A cobrança expira em PIX_EXPIRATION_MINUTES.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/SingleDonationRequest'
+   *     responses:
+   *       201:
+   *         description: Doação PIX criada
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     donationId:
+   *                       type: string
+   *                     amount:
+   *                       type: number
+   *                       example: 50.00
+   *                     mercadoPagoId:
+   *                       type: string
+   *                       nullable: true
+   *                     pix:
+   *                       $ref: '#/components/schemas/PixCharge'
+   *       400:
+   *         description: Dados inválidos ou organização sem chave PIX
+   */
+  router.post(
+    '/pix',
+    validateBody(singleDonationSchema),
+    ...DonationChainFactory.createDonationChain({ fraudDetectionService, kind: 'pix' }),
+    donationController.createPixDonation
+  );
+
+  /**
+   * @swagger
+   * /api/donations/{id}/pix:
+   *   get:
+   *     tags: [Donations]
+   *     summary: Status da cobrança PIX
+   *     description: Usado pela tela de pagamento para saber se o PIX foi pago ou expirou
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Status da cobrança
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     donationId:
+   *                       type: string
+   *                     amount:
+   *                       type: number
+   *                     status:
+   *                       type: string
+   *                       example: "pending"
+   *                     pix:
+   *                       $ref: '#/components/schemas/PixCharge'
+   *       404:
+   *         description: Doação PIX não encontrada
+   */
+  router.get('/:id/pix', donationController.getPixStatus);
+
   // ==========================================
   // NOVAS ROTAS COM TEMPLATE METHOD PATTERN
   // ==========================================
@@ -294,7 +498,7 @@ const createDonationRoutes = (donationService, authService) => {
   router.post(
     '/single-template',
     validateBody(singleDonationSchema),
-    ...DonationChainFactory.createDonationChain(),
+    ...DonationChainFactory.createDonationChain({ fraudDetectionService }),
     donationController.createSingleDonationWithTemplate
   );
 
@@ -357,7 +561,7 @@ const createDonationRoutes = (donationService, authService) => {
   router.post(
     '/recurring',
     validateBody(recurringDonationSchema),
-    ...DonationChainFactory.createRecurringDonationChain(),
+    ...DonationChainFactory.createRecurringDonationChain({ fraudDetectionService }),
     donationController.createRecurringDonation
   );
 
@@ -410,7 +614,7 @@ const createDonationRoutes = (donationService, authService) => {
   router.post(
     '/recurring-template',
     validateBody(recurringDonationSchema),
-    ...DonationChainFactory.createRecurringDonationChain(),
+    ...DonationChainFactory.createRecurringDonationChain({ fraudDetectionService }),
     donationController.createRecurringDonationWithTemplate
   );
 
@@ -461,7 +665,10 @@ const createDonationRoutes = (donationService, authService) => {
      *   get:
      *     tags: [Donations - Self Service]
      *     summary: Obter assinatura ativa do doador
-     *     description: Retorna a assinatura ativa do doador autenticado
+     *     description: |
+     *       Retorna a assinatura ativa do doador autenticado.
+     *       O campo `dunning` traz a situação de inadimplência (grace, past_due ou suspended),
+     *       a data prevista de pausa e o link para atualizar o cartão; é `null` quando a assinatura está em dia.
      *     security:
      *       - bearerAuth: []
      *     responses:
@@ -533,6 +740,87 @@ const createDonationRoutes = (donationService, authService) => {
       donationController.reauthorizeSubscriptionForDonor
     );
 
+    /**
+     * @swagger
+     * /api/donations/recurring/{subscriptionId}/charges:
+     *   get:
+     *     tags: [Donations - Self Service]
+     *     summary: Histórico de cobranças da assinatura
+     *     description: |
+     *       Lista as parcelas cobradas de uma doação recorrente (uma por cobrança do Mercado Pago),
+     *       da mais recente para a mais antiga. Disponível para o doador dono da assinatura e
+     *       para a organização.
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: subscriptionId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Histórico de cobranças
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 success:
+     *                   type: boolean
+     *                 data:
+     *                   type: object
+     *                   properties:
+     *                     subscriptionId:
+     *                       type: string
+     *                     charges:
+     *                       type: array
+     *                       items:
+     *                         type: object
+     *                         properties:
+     *                           id:
+     *                             type: string
+     *                           donationId:
+     *                             type: string
+     *                           authorizedPaymentId:
+     *                             type: string
+     *                           paymentId:
+     *                             type: string
+     *                           amount:
+     *                             type: number
+     *                           status:
+     *                             type: string
+     *                             example: approved
+     *                           retryAttempt:
+     *                             type: integer
+     *                           chargedAt:
+     *                             type: string
+     *                             format: date-time
+     *                     summary:
+     *                       type: object
+     *                       properties:
+     *                         totalCharges:
+     *                           type: integer
+     *                         approvedCharges:
+     *                           type: integer
+     *                         failedCharges:
+     *                           type: integer
+     *                         totalPaid:
+     *                           type: number
+     *                         lastChargedAt:
+     *                           type: string
+     *                           format: date-time
+     *       403:
+     *         description: Sem permissão para visualizar a assinatura
+     *       404:
+     *         description: Assinatura não encontrada
+     */
+    router.get(
+      '/recurring/:subscriptionId/charges',
+      auth,
+      donationController.getSubscriptionCharges
+    );
+
     /**
      * @swagger
      * /api/donations/recurring/{subscriptionId}:
@@ -611,7 +899,21 @@ const createDonationRoutes = (donationService, authService) => {
    *   post:
    *     tags: [Donations]
    *     summary: Webhook do Mercado Pago
-   *     description: Endpoint para receber notificações do Mercado Pago
+   *     description: |
+   *       Endpoint para receber notificações do Mercado Pago.
+   *       Quando MERCADO_PAGO_WEBHOOK_SECRET está configurado, a assinatura HMAC do header
+   *       x-signature é validada e notificações já processadas são ignoradas.
+   *       A notificação é gravada na caixa de entrada e processada em background.
+   *     parameters:
+   *       - in: header
+   *         name: x-signature
+   *         schema:
+   *           type: string
+   *         example: "ts=1704908010,v1=618c85345248dd820d5fd456117c2ab2ef8eda45a0282ff693eac24131a5e839"
+   *       - in: header
+   *         name: x-request-id
+   *         schema:
+   *           type: string
    *     requestBody:
    *       required: true
    *       content:
@@ -621,6 +923,7 @@ const createDonationRoutes = (donationService, authService) => {
    *             properties:
    *               type:
    *                 type: string
+   *                 description: payment, preapproval, subscription_authorized_payment ou chargebacks
    *                 example: "payment"
    *               data:
    *                 type: object
@@ -642,11 +945,91 @@ const createDonationRoutes = (donationService, authService) => {
    *                 message:
    *                   type: string
    *                   example: "Webhook processado com sucesso"
+   *       401:
+   *         description: Assinatura inválida ou fora da janela de tolerância
+   *       500:
+   *         description: Falha ao registrar o webhook (o Mercado Pago reenviará)
+   */
+  router.post(
+    '/webhook',
+    new MercadoPagoWebhookSignatureHandler().toExpressMiddleware(),
+    donationController.processWebhook
+  );
+
+  /**
+   * @swagger
+   * /api/donations/webhook/pagarme:
+   *   post:
+   *     tags: [Donations]
+   *     summary: Webhook do Pagar.me
+   *     description: |
+   *       Endpoint para receber eventos da API v5 do Pagar.me (order.*, charge.*, invoice.*,
+   *       subscription.*). Quando PAGARME_WEBHOOK_USER está configurado, exige Basic Auth com
+   *       as credenciais cadastradas no painel. Segue a mesma caixa de entrada do Mercado Pago.
+   *     security:
+   *       - basicAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               id:
+   *                 type: string
+   *                 example: "hook_RyEKQO789TRpZjv5"
+   *               type:
+   *                 type: string
+   *                 example: "order.paid"
+   *               data:
+   *                 type: object
+   *                 properties:
+   *                   id:
+   *                     type: string
+   *                     example: "or_56GXnk6T0eU88qMm"
+   *     responses:
+   *       200:
+   *         description: Webhook processado
+   *       401:
+   *         description: Credenciais do webhook inválidas
+   *       500:
+   *         description: Falha ao registrar o webhook (o Pagar.me reenviará)
    */
-  router.post('/webhook', donationController.processWebhook);
+  router.post(
+    '/webhook/pagarme',
+    new PagarmeWebhookAuthHandler().toExpressMiddleware(),
+    donationController.processWebhook
+  );
 
   // Rotas protegidas (precisam de autenticação)
   if (auth) {
+    /**
+     * @swagger
+     * /api/donations/{id}/pix/confirm:
+     *   post:
+     *     tags: [Donations]
+     *     summary: Confirmar recebimento de PIX estático
+     *     description: A organização confirma que o PIX do BR Code estático caiu na conta
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Doação aprovada
+     *       400:
+     *         description: Cobrança expirada, já confirmada ou PIX do Mercado Pago
+     *       403:
+     *         description: Doação de outra organização
+     *       404:
+     *         description: Doação PIX não encontrada
+     */
+    router.post('/:id/pix/confirm', auth, donationController.confirmPixDonation);
+
     /**
      * @swagger
      * /api/donations/organization/{organizationId}:
@@ -724,6 +1107,95 @@ const createDonationRoutes = (donationService, authService) => {
      */
     router.get('/organization/:organizationId', auth, donationController.getDonations);
 
+    /**
+     * @swagger
+     * /api/donations/receipts/{receiptId}/pdf:
+     *   get:
+     *     tags: [Donations]
+     *     summary: Baixar recibo de doação em PDF
+     *     description: Disponível para o doador (mesmo email) ou para a organização emissora
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: receiptId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: PDF do recibo
+     *         content:
+     *           application/pdf:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       403:
+     *         description: Sem permissão para baixar o recibo
+     *       404:
+     *         description: Recibo não encontrado
+     */
+    router.get('/receipts/:receiptId/pdf', auth, donationController.downloadReceipt);
+
+    /**
+     * @swagger
+     * /api/donations/{id}/receipts:
+     *   get:
+     *     tags: [Donations]
+     *     summary: Listar recibos da doação
+     *     description: |
+     *       Recibos numerados em sequência por organização e ano. Doação única tem um recibo;
+     *       doação recorrente tem um recibo por parcela paga.
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: ID da doação
+     *     responses:
+     *       200:
+     *         description: Recibos da doação
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 success:
+     *                   type: boolean
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       id:
+     *                         type: string
+     *                       receiptNumber:
+     *                         type: string
+     *                         example: "2026/000042"
+     *                       amount:
+     *                         type: number
+     *                       paidAt:
+     *                         type: string
+     *                         format: date-time
+     *                       chargeId:
+     *                         type: string
+     *                         nullable: true
+     *                       emailedAt:
+     *                         type: string
+     *                         format: date-time
+     *                         nullable: true
+     *                       downloadUrl:
+     *                         type: string
+     *       403:
+     *         description: Sem permissão para visualizar os recibos
+     *       404:
+     *         description: Doação não encontrada
+     */
+    router.get('/:id/receipts', auth, donationController.getDonationReceipts);
+
     /**
      * @swagger
      * /api/donations/{id}:
@@ -803,6 +1275,76 @@ const createDonationRoutes = (donationService, authService) => {
      */
     router.delete('/:id/cancel', auth, donationController.cancelRecurringDonation);
 
+    /**
+     * @swagger
+     * /api/donations/{id}/refund:
+     *   post:
+     *     tags: [Donations]
+     *     summary: Estornar doação
+     *     description: |
+     *       Estorna uma doação aprovada da organização autenticada (requer privilégios de admin).
+     *       Sem `amount` estorna o saldo restante e a doação passa para `refunded`;
+     *       estornos parciais mantêm a doação `approved` e acumulam `refundedAmount`.
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: ID da doação
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               amount:
+     *                 type: number
+     *                 example: 25.00
+     *                 description: Valor a estornar (opcional)
+     *               reason:
+     *                 type: string
+     *                 example: "Doação em duplicidade"
+     *     responses:
+     *       200:
+     *         description: Estorno realizado
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 success:
+     *                   type: boolean
+     *                   example: true
+     *                 message:
+     *                   type: string
+     *                   example: "Doação estornada com sucesso"
+     *                 data:
+     *                   type: object
+     *                   properties:
+     *                     donation:
+     *                       $ref: '#/components/schemas/Donation'
+     *                     refund:
+     *                       type: object
+     *                     partial:
+     *                       type: boolean
+     *       400:
+     *         description: Doação não aprovada ou valor inválido
+     *       403:
+     *         description: Doação de outra organização
+     *       404:
+     *         description: Doação não encontrada
+     */
+    router.post(
+      '/:id/refund',
+      auth,
+      adminMiddleware(),
+      validateBody(refundDonationSchema),
+      donationController.refundDonation
+    );
+
     /**
      * @swagger
      * /api/donations/organization/{organizationId}/statistics:
@@ -860,7 +1402,12 @@ const createDonationRoutes = (donationService, authService) => {
      *                       example: 100
      *                     recurringDonations:
      *                       type: integer
+     *                       description: Parcelas cobradas de doações recorrentes no período
      *                       example: 50
+     *                     subscriptions:
+     *                       type: integer
+     *                       description: Doações recorrentes (assinaturas) criadas no período
+     *                       example: 8
      *                     approvedDonations:
      *                       type: integer
      *                       example: 140
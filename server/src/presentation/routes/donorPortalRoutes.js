@@ -0,0 +1,326 @@
+const express = require('express');
+const { createDonorAuthMiddleware } = require('../middleware/DonorAuthMiddleware');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { validateBody } = require('../middleware/validationMiddleware');
+const {
+  requestDonorLoginSchema,
+  verifyDonorLoginSchema,
+  updateDonorProfileSchema,
+  donationPrivacySchema,
+} = require('../../application/validators/donorPortalSchemas');
+const DonorPortalController = require('../controllers/DonorPortalController');
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     donorAuth:
+ *       type: http
+ *       scheme: bearer
+ *       description: Token retornado por POST /api/donor-portal/verify
+ *   schemas:
+ *     DonorProfile:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         city:
+ *           type: string
+ *           nullable: true
+ *         state:
+ *           type: string
+ *           nullable: true
+ *         zipCode:
+ *           type: string
+ *           nullable: true
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *     DonorDonation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         organizationName:
+ *           type: string
+ *         campaignId:
+ *           type: string
+ *           nullable: true
+ *         amount:
+ *           type: number
+ *         refundedAmount:
+ *           type: number
+ *         type:
+ *           type: string
+ *           enum: [single, recurring]
+ *         status:
+ *           type: string
+ *         isAnonymous:
+ *           type: boolean
+ *         showInPublicList:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Cria rotas do portal do doador
+ */
+function createDonorPortalRoutes(donorPortalService) {
+  const router = express.Router();
+  const controller = new DonorPortalController(donorPortalService);
+  const donorAuth = createDonorAuthMiddleware(donorPortalService);
+
+  /**
+   * @swagger
+   * /api/donor-portal/login:
+   *   post:
+   *     tags: [Donor Portal]
+   *     summary: Envia o código de acesso (e o link mágico) para o email do doador
+   *     description: A resposta é a mesma exista ou não doação com o email.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Solicitação registrada
+   *       429:
+   *         description: Muitas solicitações para o email
+   */
+  router.post('/login', validateBody(requestDonorLoginSchema), controller.requestLogin);
+
+  /**
+   * @swagger
+   * /api/donor-portal/verify:
+   *   post:
+   *     tags: [Donor Portal]
+   *     summary: Troca o código recebido por um token de sessão do doador
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [email, code]
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               code:
+   *                 type: string
+   *                 example: "482913"
+   *     responses:
+   *       200:
+   *         description: Sessão criada
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     token:
+   *                       type: string
+   *                     expiresAt:
+   *                       type: string
+   *                       format: date-time
+   *                     profile:
+   *                       $ref: '#/components/schemas/DonorProfile'
+   *       401:
+   *         description: Código inválido ou expirado
+   */
+  router.post('/verify', authLimiter, validateBody(verifyDonorLoginSchema), controller.verifyLogin);
+
+  /**
+   * @swagger
+   * /api/donor-portal/me:
+   *   get:
+   *     tags: [Donor Portal]
+   *     summary: Dados de contato do doador
+   *     security:
+   *       - donorAuth: []
+   *     responses:
+   *       200:
+   *         description: Perfil
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/DonorProfile'
+   *   put:
+   *     tags: [Donor Portal]
+   *     summary: Atualiza os dados de contato
+   *     description: Nome e telefone também são atualizados nas doações do email.
+   *     security:
+   *       - donorAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               phone:
+   *                 type: string
+   *               address:
+   *                 type: string
+   *               city:
+   *                 type: string
+   *               state:
+   *                 type: string
+   *               zipCode:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Perfil atualizado
+   */
+  router.get('/me', donorAuth, controller.getProfile);
+  router.put('/me', donorAuth, validateBody(updateDonorProfileSchema), controller.updateProfile);
+
+  /**
+   * @swagger
+   * /api/donor-portal/donations:
+   *   get:
+   *     tags: [Donor Portal]
+   *     summary: Histórico completo de doações do doador
+   *     security:
+   *       - donorAuth: []
+   *     responses:
+   *       200:
+   *         description: Doações, da mais recente para a mais antiga
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/DonorDonation'
+   */
+  router.get('/donations', donorAuth, controller.listDonations);
+
+  /**
+   * @swagger
+   * /api/donor-portal/donations/{id}/privacy:
+   *   patch:
+   *     tags: [Donor Portal]
+   *     summary: Define se a doação aparece anônima e/ou nas listas públicas
+   *     security:
+   *       - donorAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               isAnonymous:
+   *                 type: boolean
+   *               showInPublicList:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Doação atualizada
+   *       404:
+   *         description: Doação não encontrada para o doador
+   */
+  router.patch(
+    '/donations/:id/privacy',
+    donorAuth,
+    validateBody(donationPrivacySchema),
+    controller.updatePrivacy
+  );
+
+  /**
+   * @swagger
+   * /api/donor-portal/receipts:
+   *   get:
+   *     tags: [Donor Portal]
+   *     summary: Recibos emitidos para o doador
+   *     security:
+   *       - donorAuth: []
+   *     responses:
+   *       200:
+   *         description: Recibos com o link de download
+   */
+  router.get('/receipts', donorAuth, controller.listReceipts);
+
+  /**
+   * @swagger
+   * /api/donor-portal/receipts/{id}/pdf:
+   *   get:
+   *     tags: [Donor Portal]
+   *     summary: Baixa o PDF de um recibo do doador
+   *     security:
+   *       - donorAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: PDF do recibo
+   *         content:
+   *           application/pdf:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       404:
+   *         description: Recibo não encontrado
+   */
+  router.get('/receipts/:id/pdf', donorAuth, controller.downloadReceipt);
+
+  /**
+   * @swagger
+   * /api/donor-portal/subscriptions:
+   *   get:
+   *     tags: [Donor Portal]
+   *     summary: Assinaturas recorrentes ativas do doador
+   *     security:
+   *       - donorAuth: []
+   *     responses:
+   *       200:
+   *         description: Assinaturas não canceladas
+   */
+  router.get('/subscriptions', donorAuth, controller.listSubscriptions);
+
+  return router;
+}
+
+module.exports = createDonorPortalRoutes;
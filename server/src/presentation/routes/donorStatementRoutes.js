@@ -0,0 +1,201 @@
+const express = require('express');
+const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const DonorStatementController = require('../controllers/DonorStatementController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DonorAnnualStatement:
+ *       type: object
+ *       properties:
+ *         donorKey:
+ *           type: string
+ *           description: CPF (somente dígitos) ou, sem CPF, o email do doador
+ *         donorName:
+ *           type: string
+ *         donorEmail:
+ *           type: string
+ *         donorDocument:
+ *           type: string
+ *           nullable: true
+ *         donationCount:
+ *           type: integer
+ *         totalAmount:
+ *           type: number
+ *         donations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               amount:
+ *                 type: number
+ *               type:
+ *                 type: string
+ *                 enum: [single, recurring]
+ *               reference:
+ *                 type: string
+ *                 description: ID da doação única ou da parcela recorrente
+ */
+
+/**
+ * Cria rotas dos informes anuais de doação
+ */
+function createDonorStatementRoutes(statementService, authService) {
+  const router = express.Router();
+  const controller = new DonorStatementController(statementService);
+
+  router.use(createSimpleAuthMiddleware(authService));
+
+  /**
+   * @swagger
+   * /api/statements/me/{year}:
+   *   get:
+   *     tags: [Donor Statements]
+   *     summary: Informe anual do doador autenticado
+   *     description: Doações aprovadas no ano para a organização, identificadas pelo email do doador e pelo CPF usado com ele
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: year
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           example: 2025
+   *       - in: query
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [pdf, csv, json]
+   *           default: pdf
+   *     responses:
+   *       200:
+   *         description: Informe no formato pedido
+   *       400:
+   *         description: Ano, formato ou organização inválidos
+   *       404:
+   *         description: Nenhuma doação aprovada no ano
+   */
+  router.get('/me/:year', controller.getMyStatement);
+
+  /**
+   * @swagger
+   * /api/statements/organization/{organizationId}/{year}:
+   *   get:
+   *     tags: [Donor Statements]
+   *     summary: Informes anuais dos doadores da organização
+   *     description: |
+   *       Consolida por doador (CPF ou email) as doações aprovadas no ano.
+   *       CSV traz uma linha por doação; PDF exige filtrar um doador.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: year
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv, pdf]
+   *           default: json
+   *       - in: query
+   *         name: donorEmail
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: donorDocument
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Informes gerados
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     year:
+   *                       type: integer
+   *                     totals:
+   *                       type: object
+   *                       properties:
+   *                         donors:
+   *                           type: integer
+   *                         donations:
+   *                           type: integer
+   *                         totalAmount:
+   *                           type: number
+   *                     statements:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/DonorAnnualStatement'
+   *       403:
+   *         description: Apenas a própria organização
+   */
+  router.get('/organization/:organizationId/:year', controller.getOrganizationStatements);
+
+  /**
+   * @swagger
+   * /api/statements/organization/{organizationId}/{year}/send:
+   *   post:
+   *     tags: [Donor Statements]
+   *     summary: Envia os informes do ano por email a todos os doadores
+   *     description: |
+   *       Cada organização recebe um único envio por ano; use force para reenviar.
+   *       O mesmo envio acontece automaticamente em janeiro para o ano anterior.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: year
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               force:
+   *                 type: boolean
+   *                 default: false
+   *     responses:
+   *       200:
+   *         description: Resumo do envio
+   *       409:
+   *         description: Já existe um envio em andamento
+   */
+  router.post('/organization/:organizationId/:year/send', controller.sendOrganizationStatements);
+
+  return router;
+}
+
+module.exports = createDonorStatementRoutes;
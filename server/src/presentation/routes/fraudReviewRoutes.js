@@ -0,0 +1,204 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/AuthMiddleware');
+const { adminMiddleware } = require('../middleware/AdminMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { fraudReviewSchema } = require('../../application/validators/fraudReviewSchemas');
+const FraudReviewController = require('../controllers/FraudReviewController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FraudAssessment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [single, recurring, pix]
+ *         ip:
+ *           type: string
+ *         donorEmail:
+ *           type: string
+ *         donorDocument:
+ *           type: string
+ *         donorName:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         organizationId:
+ *           type: string
+ *         score:
+ *           type: integer
+ *         decision:
+ *           type: string
+ *           enum: [allow, flag, hold, block]
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 enum: [ip_velocity, email_velocity, document_velocity, tiny_amount_burst,
+ *                   name_mismatch, disposable_email]
+ *               points:
+ *                 type: integer
+ *               detail:
+ *                 type: string
+ *         reviewStatus:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         donationData:
+ *           type: object
+ *           description: Dados enviados pelo doador, usados para criar a doação na aprovação
+ *         donationId:
+ *           type: string
+ *           nullable: true
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNote:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Cria rotas administrativas da fila de revisão antifraude
+ */
+function createFraudReviewRoutes(fraudDetectionService, authService) {
+  const router = express.Router();
+  const controller = new FraudReviewController(fraudDetectionService);
+
+  router.use(authMiddleware(authService), adminMiddleware());
+
+  /**
+   * @swagger
+   * /api/admin/fraud/reviews:
+   *   get:
+   *     tags: [Fraud Review]
+   *     summary: Lista as doações retidas (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, approved, rejected]
+   *           default: pending
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Lista paginada; pendentes das mais antigas para as mais novas
+   */
+  router.get('/reviews', controller.listReviews);
+
+  /**
+   * @swagger
+   * /api/admin/fraud/reviews/{id}:
+   *   get:
+   *     tags: [Fraud Review]
+   *     summary: Detalha uma avaliação antifraude (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Avaliação com as regras que pontuaram
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/FraudAssessment'
+   *       404:
+   *         description: Avaliação não encontrada
+   */
+  router.get('/reviews/:id', controller.getReview);
+
+  /**
+   * @swagger
+   * /api/admin/fraud/reviews/{id}/approve:
+   *   post:
+   *     tags: [Fraud Review]
+   *     summary: Libera a doação retida (Admin)
+   *     description: Cria a doação com os dados guardados e envia o link de pagamento ao doador.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               note:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Doação criada (donationId e paymentLink)
+   *       400:
+   *         description: Avaliação não está pendente ou a doação não pôde ser criada
+   */
+  router.post('/reviews/:id/approve', validateBody(fraudReviewSchema), controller.approve);
+
+  /**
+   * @swagger
+   * /api/admin/fraud/reviews/{id}/reject:
+   *   post:
+   *     tags: [Fraud Review]
+   *     summary: Rejeita a doação retida (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               note:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Avaliação rejeitada
+   *       400:
+   *         description: Avaliação não está pendente
+   */
+  router.post('/reviews/:id/reject', validateBody(fraudReviewSchema), controller.reject);
+
+  return router;
+}
+
+module.exports = createFraudReviewRoutes;
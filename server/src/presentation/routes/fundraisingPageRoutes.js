@@ -0,0 +1,208 @@
+const express = require('express');
+const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const {
+  createFundraisingPageSchema,
+  updateFundraisingPageSchema,
+  fundraisingPageStatusSchema,
+} = require('../../application/validators/campaignSchemas');
+const FundraisingPageController = require('../controllers/FundraisingPageController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FundraisingPage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         campaignId:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           example: "aniversario-da-ana"
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         goalAmount:
+ *           type: number
+ *           example: 500
+ *         ownerName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, closed]
+ *     FundraisingPageRequest:
+ *       type: object
+ *       required: [campaignId, title, message, goalAmount, ownerName, ownerEmail]
+ *       properties:
+ *         campaignId:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Opcional; sem ele o slug é gerado a partir do título
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         goalAmount:
+ *           type: number
+ *         ownerName:
+ *           type: string
+ *         ownerEmail:
+ *           type: string
+ *           format: email
+ */
+
+/**
+ * Cria rotas das páginas de arrecadação pessoais
+ */
+function createFundraisingPageRoutes(fundraisingPageService, authService) {
+  const router = express.Router();
+  const controller = new FundraisingPageController(fundraisingPageService);
+  const auth = createSimpleAuthMiddleware(authService);
+
+  /**
+   * @swagger
+   * /api/fundraisers:
+   *   post:
+   *     tags: [Fundraisers]
+   *     summary: Cria uma página de arrecadação dentro de uma campanha
+   *     description: A resposta traz o manageToken, exigido para editar a página depois.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/FundraisingPageRequest'
+   *     responses:
+   *       201:
+   *         description: Página criada
+   *       400:
+   *         description: Dados inválidos ou campanha sem receber doações
+   *       409:
+   *         description: Slug já em uso
+   */
+  router.post('/', validateBody(createFundraisingPageSchema), controller.create);
+
+  /**
+   * @swagger
+   * /api/fundraisers/campaign/{campaignId}/leaderboard:
+   *   get:
+   *     tags: [Fundraisers]
+   *     summary: Ranking dos arrecadadores da campanha
+   *     parameters:
+   *       - in: path
+   *         name: campaignId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Páginas ordenadas pelo valor arrecadado (position, raisedAmount, donorCount)
+   */
+  router.get('/campaign/:campaignId/leaderboard', controller.getLeaderboard);
+
+  /**
+   * @swagger
+   * /api/fundraisers/{slug}:
+   *   get:
+   *     tags: [Fundraisers]
+   *     summary: Página pública com a campanha e o progresso da meta pessoal
+   *     parameters:
+   *       - in: path
+   *         name: slug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Página de arrecadação
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/FundraisingPage'
+   *       404:
+   *         description: Página não encontrada ou campanha não pública
+   */
+  router.get('/:slug', controller.getPublic);
+
+  /**
+   * @swagger
+   * /api/fundraisers/{slug}:
+   *   put:
+   *     tags: [Fundraisers]
+   *     summary: Edita título, mensagem e meta da página
+   *     parameters:
+   *       - in: path
+   *         name: slug
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: header
+   *         name: x-fundraiser-token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Página atualizada
+   *       403:
+   *         description: Token de edição inválido
+   */
+  router.put('/:slug', validateBody(updateFundraisingPageSchema), controller.update);
+
+  /**
+   * @swagger
+   * /api/fundraisers/{slug}/status:
+   *   post:
+   *     tags: [Fundraisers]
+   *     summary: Encerra ou reabre a página (organização dona da campanha)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: slug
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [status]
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [active, closed]
+   *     responses:
+   *       200:
+   *         description: Status atualizado
+   *       403:
+   *         description: Página de outra organização
+   */
+  router.post(
+    '/:slug/status',
+    auth,
+    validateBody(fundraisingPageStatusSchema),
+    controller.setStatus
+  );
+
+  return router;
+}
+
+module.exports = createFundraisingPageRoutes;
@@ -0,0 +1,240 @@
+const express = require('express');
+const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const {
+  createMatchingRuleSchema,
+  updateMatchingRuleSchema,
+} = require('../../application/validators/matchingSchemas');
+const MatchingRuleController = require('../controllers/MatchingRuleController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MatchingRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         supporterId:
+ *           type: string
+ *         organizationId:
+ *           type: string
+ *         campaignId:
+ *           type: string
+ *           nullable: true
+ *           description: Sem campanha, vale para todas as doações da organização
+ *         ratio:
+ *           type: number
+ *           example: 1
+ *           description: 1 dobra o valor; 0.5 complementa com metade
+ *         perDonationCap:
+ *           type: number
+ *           nullable: true
+ *           example: 200
+ *         totalBudget:
+ *           type: number
+ *           example: 10000
+ *         usedAmount:
+ *           type: number
+ *         remainingBudget:
+ *           type: number
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [active, paused]
+ *     MatchingRuleRequest:
+ *       type: object
+ *       required: [supporterId, ratio, totalBudget, startDate, endDate]
+ *       properties:
+ *         supporterId:
+ *           type: string
+ *         campaignId:
+ *           type: string
+ *         ratio:
+ *           type: number
+ *         perDonationCap:
+ *           type: number
+ *         totalBudget:
+ *           type: number
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *     MatchedDonation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         ruleId:
+ *           type: string
+ *         supporterId:
+ *           type: string
+ *         donationId:
+ *           type: string
+ *         campaignId:
+ *           type: string
+ *           nullable: true
+ *         sourceAmount:
+ *           type: number
+ *         matchedAmount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [matched, reversed]
+ */
+
+/**
+ * Cria rotas das regras de dobra de doações (organização autenticada)
+ */
+function createMatchingRoutes(matchingService, authService) {
+  const router = express.Router();
+  const controller = new MatchingRuleController(matchingService);
+
+  router.use(createSimpleAuthMiddleware(authService));
+
+  /**
+   * @swagger
+   * /api/matching-rules:
+   *   get:
+   *     tags: [Matching]
+   *     summary: Regras de dobra da organização, com o orçamento restante
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: supporterId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, paused]
+   *     responses:
+   *       200:
+   *         description: Regras de dobra
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/MatchingRule'
+   */
+  router.get('/', controller.list);
+
+  /**
+   * @swagger
+   * /api/matching-rules:
+   *   post:
+   *     tags: [Matching]
+   *     summary: Cadastra uma empresa apoiadora que dobra as doações no período
+   *     description: |
+   *       Cada doação aprovada no período gera um registro de dobra de
+   *       valor líquido × ratio, limitado a perDonationCap e ao orçamento restante.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/MatchingRuleRequest'
+   *     responses:
+   *       201:
+   *         description: Regra criada
+   *       400:
+   *         description: Dados inválidos
+   *       404:
+   *         description: Apoiador não encontrado
+   */
+  router.post('/', validateBody(createMatchingRuleSchema), controller.create);
+
+  /**
+   * @swagger
+   * /api/matching-rules/{id}:
+   *   patch:
+   *     tags: [Matching]
+   *     summary: Ajusta os termos ou pausa/reativa a regra
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             allOf:
+   *               - $ref: '#/components/schemas/MatchingRuleRequest'
+   *               - type: object
+   *                 properties:
+   *                   status:
+   *                     type: string
+   *                     enum: [active, paused]
+   *     responses:
+   *       200:
+   *         description: Regra atualizada
+   *       400:
+   *         description: Orçamento menor que o já dobrado ou dados inválidos
+   */
+  router.patch('/:id', validateBody(updateMatchingRuleSchema), controller.update);
+
+  /**
+   * @swagger
+   * /api/matching-rules/{id}/matches:
+   *   get:
+   *     tags: [Matching]
+   *     summary: Doações dobradas pela regra
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Registros de dobra
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/MatchedDonation'
+   */
+  router.get('/:id/matches', controller.listMatches);
+
+  return router;
+}
+
+module.exports = createMatchingRoutes;
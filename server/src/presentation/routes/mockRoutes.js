@@ -395,6 +395,22 @@ const createMockRoutes = () => {
     `);
   });
 
+  /**
+   * Autorização OAuth mock: a organização "aceita" na hora e volta ao callback com um code
+   */
+  router.get('/oauth/authorize', (req, res) => {
+    const { state, redirect_uri: redirectUri } = req.query;
+    if (!state || !redirectUri) {
+      return res.status(400).send('state e redirect_uri são obrigatórios');
+    }
+
+    const code = `TG-mock-code-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    url.searchParams.set('state', state);
+    return res.redirect(url.toString());
+  });
+
   return router;
 };
 
@@ -0,0 +1,173 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/AuthMiddleware');
+const { adminMiddleware } = require('../middleware/AdminMiddleware');
+const PaymentReconciliationController = require('../controllers/PaymentReconciliationController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentReconciliationReport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [scheduled, manual]
+ *         requestedBy:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         thresholdMinutes:
+ *           type: integer
+ *           example: 30
+ *         checked:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         markFailed:
+ *           type: integer
+ *           description: Doações que não puderam ser marcadas como reconciliadas
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               donationId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 example: "single"
+ *               from:
+ *                 type: string
+ *                 example: "pending"
+ *               to:
+ *                 type: string
+ *                 example: "approved"
+ *               providerStatus:
+ *                 type: string
+ *                 example: "approved"
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               donationId:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Cria rotas administrativas da reconciliação de pagamentos
+ */
+function createPaymentReconciliationRoutes(reconciliationService, authService) {
+  const router = express.Router();
+  const controller = new PaymentReconciliationController(reconciliationService);
+
+  router.use(authMiddleware(authService), adminMiddleware());
+
+  /**
+   * @swagger
+   * /api/admin/reconciliation/run:
+   *   post:
+   *     tags: [Reconciliation]
+   *     summary: Executa a reconciliação agora (Admin)
+   *     description: |
+   *       Consulta no Mercado Pago as doações em pending/in_process mais antigas que o limite
+   *       e corrige os status divergentes.
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               thresholdMinutes:
+   *                 type: integer
+   *                 example: 30
+   *                 description: Idade mínima das doações verificadas
+   *     responses:
+   *       200:
+   *         description: Relatório da execução
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/PaymentReconciliationReport'
+   *       409:
+   *         description: Já existe uma reconciliação em andamento
+   */
+  router.post('/run', controller.run);
+
+  /**
+   * @swagger
+   * /api/admin/reconciliation:
+   *   get:
+   *     tags: [Reconciliation]
+   *     summary: Lista relatórios de reconciliação (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: trigger
+   *         schema:
+   *           type: string
+   *           enum: [scheduled, manual]
+   *     responses:
+   *       200:
+   *         description: Lista paginada de execuções
+   */
+  router.get('/', controller.listReports);
+
+  /**
+   * @swagger
+   * /api/admin/reconciliation/{id}:
+   *   get:
+   *     tags: [Reconciliation]
+   *     summary: Detalha um relatório de reconciliação (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Relatório com as mudanças aplicadas
+   *       404:
+   *         description: Relatório não encontrado
+   */
+  router.get('/:id', controller.getReport);
+
+  return router;
+}
+
+module.exports = createPaymentReconciliationRoutes;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { paymentSettingsSchema } = require('../../application/validators/donationSchemas');
+const PaymentSettingsController = require('../controllers/PaymentSettingsController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentSettings:
+ *       type: object
+ *       properties:
+ *         paymentProvider:
+ *           type: string
+ *           enum: [mercadopago, pagarme]
+ *           description: Provedor usado nas novas doações da organização
+ *         availableProviders:
+ *           type: array
+ *           description: Provedores com credenciais configuradas no servidor
+ *           items:
+ *             type: string
+ *         mercadoPagoAccount:
+ *           $ref: '#/components/schemas/MercadoPagoAccount'
+ *     MercadoPagoAccount:
+ *       type: object
+ *       nullable: true
+ *       description: Conta própria conectada via OAuth (null quando o OAuth não está configurado)
+ *       properties:
+ *         connected:
+ *           type: boolean
+ *         mercadoPagoUserId:
+ *           type: string
+ *           nullable: true
+ *         publicKey:
+ *           type: string
+ *           nullable: true
+ *         tokenExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         connectedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * Cria rotas das configurações de pagamento da organização
+ */
+function createPaymentSettingsRoutes(
+  paymentProviderService,
+  authService,
+  mercadoPagoAccountService = null
+) {
+  const router = express.Router();
+  const controller = new PaymentSettingsController(
+    paymentProviderService,
+    mercadoPagoAccountService,
+    { frontendRedirectUrl: process.env.MP_OAUTH_FRONTEND_REDIRECT || process.env.FRONTEND_URL }
+  );
+
+  /**
+   * @swagger
+   * /api/payment-settings/mercadopago/callback:
+   *   get:
+   *     tags: [Payment Settings]
+   *     summary: Retorno do OAuth do Mercado Pago
+   *     description: |
+   *       Redirect do Mercado Pago após a organização autorizar a aplicação. Troca o code pelos
+   *       tokens (gravados cifrados) e devolve o navegador ao front com ?mercadopago=connected|error.
+   *     parameters:
+   *       - in: query
+   *         name: code
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: state
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       302:
+   *         description: Redireciona ao front (FRONTEND_URL ou MP_OAUTH_FRONTEND_REDIRECT)
+   *       503:
+   *         description: OAuth do Mercado Pago não configurado
+   */
+  router.get('/mercadopago/callback', controller.mercadoPagoCallback);
+
+  router.use(createSimpleAuthMiddleware(authService));
+
+  /**
+   * @swagger
+   * /api/payment-settings:
+   *   get:
+   *     tags: [Payment Settings]
+   *     summary: Provedor de pagamento da organização autenticada
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Configurações de pagamento
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/PaymentSettings'
+   *       403:
+   *         description: Usuário não é uma organização
+   */
+  router.get('/', controller.getSettings);
+
+  /**
+   * @swagger
+   * /api/payment-settings:
+   *   put:
+   *     tags: [Payment Settings]
+   *     summary: Escolhe o provedor de pagamento das novas doações
+   *     description: Doações já criadas continuam no provedor de origem (estornos, assinaturas e webhooks)
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [paymentProvider]
+   *             properties:
+   *               paymentProvider:
+   *                 type: string
+   *                 enum: [mercadopago, pagarme]
+   *     responses:
+   *       200:
+   *         description: Provedor atualizado
+   *       400:
+   *         description: Provedor inválido ou sem credenciais no servidor
+   *       403:
+   *         description: Usuário não é uma organização
+   */
+  router.put('/', validateBody(paymentSettingsSchema), controller.updateSettings);
+
+  /**
+   * @swagger
+   * /api/payment-settings/mercadopago/connect:
+   *   post:
+   *     tags: [Payment Settings]
+   *     summary: Inicia a conexão da conta do Mercado Pago da organização
+   *     description: Retorna a URL de autorização; as doações seguintes caem na conta da organização
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: URL de autorização
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     authorizationUrl:
+   *                       type: string
+   *       403:
+   *         description: Usuário não é uma organização
+   *       503:
+   *         description: OAuth do Mercado Pago não configurado
+   */
+  router.post('/mercadopago/connect', controller.connectMercadoPago);
+
+  /**
+   * @swagger
+   * /api/payment-settings/mercadopago:
+   *   delete:
+   *     tags: [Payment Settings]
+   *     summary: Desconecta a conta do Mercado Pago da organização
+   *     description: Remove os tokens; novas doações voltam para a conta da plataforma
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Conta desconectada
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/MercadoPagoAccount'
+   */
+  router.delete('/mercadopago', controller.disconnectMercadoPago);
+
+  return router;
+}
+
+module.exports = createPaymentSettingsRoutes;
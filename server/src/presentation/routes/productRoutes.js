@@ -6,7 +6,132 @@ const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddlewa
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     ProductSearchQuery:
+ *       in: query
+ *       name: q
+ *       description: Texto buscado em nome, categoria e descrição (português, sem diferenciar acentos)
+ *       schema:
+ *         type: string
+ *         maxLength: 100
+ *       example: "cesta basica"
+ *     ProductSearchCategory:
+ *       in: query
+ *       name: category
+ *       description: Uma ou mais categorias separadas por vírgula
+ *       schema:
+ *         type: string
+ *       example: "Alimentação,Vestuário"
+ *     ProductSearchMinPrice:
+ *       in: query
+ *       name: minPrice
+ *       schema:
+ *         type: number
+ *     ProductSearchMaxPrice:
+ *       in: query
+ *       name: maxPrice
+ *       schema:
+ *         type: number
+ *     ProductSearchInStock:
+ *       in: query
+ *       name: inStock
+ *       description: Só produtos com estoque disponível (fora de reservas)
+ *       schema:
+ *         type: boolean
+ *     ProductSearchSort:
+ *       in: query
+ *       name: sort
+ *       description: Padrão relevance com q, newest sem q
+ *       schema:
+ *         type: string
+ *         enum: [relevance, newest, price_asc, price_desc, name]
+ *     ProductSearchCursor:
+ *       in: query
+ *       name: cursor
+ *       description: nextCursor da página anterior (vale só para a mesma ordenação)
+ *       schema:
+ *         type: string
+ *     ProductSearchLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
  *   schemas:
+ *     ProductSearchResult:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ *         facets:
+ *           type: object
+ *           description: Cada faceta conta com todos os filtros aplicados, menos o dela
+ *           properties:
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   value:
+ *                     type: string
+ *                     nullable: true
+ *                   count:
+ *                     type: integer
+ *             organizations:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *             priceRanges:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   min:
+ *                     type: number
+ *                   max:
+ *                     type: number
+ *                     nullable: true
+ *                   count:
+ *                     type: integer
+ *               example: [{ min: 0, max: 25, count: 4 }, { min: 200, max: null, count: 1 }]
+ *             availability:
+ *               type: object
+ *               properties:
+ *                 available:
+ *                   type: integer
+ *                 unavailable:
+ *                   type: integer
+ *                 inStock:
+ *                   type: integer
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             limit:
+ *               type: integer
+ *             total:
+ *               type: integer
+ *             sort:
+ *               type: string
+ *             hasMore:
+ *               type: boolean
+ *             nextCursor:
+ *               type: string
+ *               nullable: true
+ *
  *     Product:
  *       type: object
  *       properties:
@@ -35,10 +160,28 @@ const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddlewa
  *           type: integer
  *           description: Quantidade em estoque
  *           example: 25
+ *         reservedStock:
+ *           type: integer
+ *           description: Unidades em reservas ativas (checkout ou WhatsApp)
+ *           example: 2
+ *         availableStock:
+ *           type: integer
+ *           description: Unidades que ainda podem ser vendidas (stock - reservedStock)
+ *           example: 23
  *         isAvailable:
  *           type: boolean
  *           description: Se o produto está disponível
  *           example: true
+ *         options:
+ *           type: array
+ *           description: Opções que formam as variações (até 3)
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
+ *         variants:
+ *           type: array
+ *           description: Variações com SKU, preço e estoque próprios; stock e reservedStock do produto são a soma delas
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *         organizationId:
  *           type: string
  *           description: ID da organização responsável
@@ -62,6 +205,108 @@ const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddlewa
  *           format: date-time
  *           description: Data de última atualização
  *
+ *     ProductOption:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Tamanho"
+ *         values:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["P", "M", "G"]
+ *
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         sku:
+ *           type: string
+ *           example: "CAMISETA-M-AZUL"
+ *         attributes:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { "Tamanho": "M", "Cor": "Azul" }
+ *         label:
+ *           type: string
+ *           example: "Tamanho: M, Cor: Azul"
+ *         price:
+ *           type: number
+ *           description: Preço efetivo (priceOverride ou o preço do produto)
+ *         priceOverride:
+ *           type: number
+ *           nullable: true
+ *         stock:
+ *           type: integer
+ *         reservedStock:
+ *           type: integer
+ *         availableStock:
+ *           type: integer
+ *         inStock:
+ *           type: boolean
+ *         imageUrls:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isAvailable:
+ *           type: boolean
+ *
+ *     StockReservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         productId:
+ *           type: string
+ *         variantId:
+ *           type: string
+ *           nullable: true
+ *         quantity:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [checkout, whatsapp]
+ *         orderId:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, converted, released, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ProductVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         productId:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           example: 3
+ *         action:
+ *           type: string
+ *           enum: [create, update, toggle, stock, restore]
+ *         snapshot:
+ *           type: object
+ *           description: Campos do produto após a alteração
+ *         changes:
+ *           type: object
+ *           description: "Diferença para a versão anterior: { campo: { from, to } }"
+ *         actorId:
+ *           type: string
+ *         restoredFromVersion:
+ *           type: integer
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
  *     ProductCreateRequest:
  *       type: object
  *       required:
@@ -93,6 +338,40 @@ const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddlewa
  *           minimum: 0
  *           description: Quantidade em estoque
  *           example: 25
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
+ *         variants:
+ *           type: array
+ *           description: Com variações, o estoque do produto é a soma do estoque delas
+ *           items:
+ *             type: object
+ *             required: [attributes]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Variação existente (na edição)
+ *               sku:
+ *                 type: string
+ *                 description: Gerado a partir do nome e dos atributos quando omitido
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "Tamanho": "M" }
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *               imageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isAvailable:
+ *                 type: boolean
  *         images:
  *           type: array
  *           items:
@@ -121,6 +400,40 @@ const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddlewa
  *           type: integer
  *           minimum: 0
  *           description: Quantidade em estoque
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
+ *         variants:
+ *           type: array
+ *           description: Com variações, o estoque do produto é a soma do estoque delas
+ *           items:
+ *             type: object
+ *             required: [attributes]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Variação existente (na edição)
+ *               sku:
+ *                 type: string
+ *                 description: Gerado a partir do nome e dos atributos quando omitido
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "Tamanho": "M" }
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *               imageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isAvailable:
+ *                 type: boolean
  *         images:
  *           type: array
  *           items:
@@ -128,9 +441,9 @@ const { createSimpleAuthMiddleware } = require('../middleware/SimpleAuthMiddlewa
  *           description: URLs das imagens do produto
  */
 
-const createProductRoutes = (productService, authService) => {
+const createProductRoutes = (productService, authService, stockReservationService = null) => {
   const router = express.Router();
-  const productController = new ProductController(productService);
+  const productController = new ProductController(productService, stockReservationService);
 
   // Public routes
 
@@ -140,22 +453,28 @@ const createProductRoutes = (productService, authService) => {
    *   get:
    *     tags: [Products]
    *     summary: Listar produtos disponíveis
-   *     description: Retorna todos os produtos disponíveis para compra
+   *     description: Vitrine paginada dos produtos disponíveis, com os mesmos filtros da busca
+   *     parameters:
+   *       - $ref: '#/components/parameters/ProductSearchCategory'
+   *       - in: query
+   *         name: organizationId
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ProductSearchMinPrice'
+   *       - $ref: '#/components/parameters/ProductSearchMaxPrice'
+   *       - $ref: '#/components/parameters/ProductSearchInStock'
+   *       - $ref: '#/components/parameters/ProductSearchSort'
+   *       - $ref: '#/components/parameters/ProductSearchCursor'
+   *       - $ref: '#/components/parameters/ProductSearchLimit'
    *     responses:
    *       200:
    *         description: Lista de produtos obtida com sucesso
    *         content:
    *           application/json:
    *             schema:
-   *               type: object
-   *               properties:
-   *                 success:
-   *                   type: boolean
-   *                   example: true
-   *                 data:
-   *                   type: array
-   *                   items:
-   *                     $ref: '#/components/schemas/Product'
+   *               $ref: '#/components/schemas/ProductSearchResult'
+   *       400:
+   *         description: Filtro, ordenação ou cursor inválido
    */
   router.get('/products', productController.getAllAvailableProducts);
 
@@ -165,45 +484,31 @@ const createProductRoutes = (productService, authService) => {
    *   get:
    *     tags: [Products]
    *     summary: Buscar produtos
-   *     description: Busca produtos por nome, categoria ou descrição
+   *     description: |
+   *       Busca por texto em nome, categoria e descrição, com ranking por relevância, facetas
+   *       (categoria, organização, faixa de preço, disponibilidade) e paginação por cursor.
    *     parameters:
+   *       - $ref: '#/components/parameters/ProductSearchQuery'
+   *       - $ref: '#/components/parameters/ProductSearchCategory'
    *       - in: query
-   *         name: q
-   *         schema:
-   *           type: string
-   *         description: Termo de busca
-   *         example: "cesta básica"
-   *       - in: query
-   *         name: category
+   *         name: organizationId
    *         schema:
    *           type: string
-   *         description: Filtrar por categoria
-   *         example: "Alimentação"
-   *       - in: query
-   *         name: minPrice
-   *         schema:
-   *           type: number
-   *         description: Preço mínimo
-   *       - in: query
-   *         name: maxPrice
-   *         schema:
-   *           type: number
-   *         description: Preço máximo
+   *       - $ref: '#/components/parameters/ProductSearchMinPrice'
+   *       - $ref: '#/components/parameters/ProductSearchMaxPrice'
+   *       - $ref: '#/components/parameters/ProductSearchInStock'
+   *       - $ref: '#/components/parameters/ProductSearchSort'
+   *       - $ref: '#/components/parameters/ProductSearchCursor'
+   *       - $ref: '#/components/parameters/ProductSearchLimit'
    *     responses:
    *       200:
    *         description: Resultados da busca
    *         content:
    *           application/json:
    *             schema:
-   *               type: object
-   *               properties:
-   *                 success:
-   *                   type: boolean
-   *                   example: true
-   *                 data:
-   *                   type: array
-   *                   items:
-   *                     $ref: '#/components/schemas/Product'
+   *               $ref: '#/components/schemas/ProductSearchResult'
+   *       400:
+   *         description: Filtro, ordenação ou cursor inválido
    */
   router.get('/products/search', productController.searchProducts);
 
@@ -250,7 +555,9 @@ const createProductRoutes = (productService, authService) => {
    *   get:
    *     tags: [Products]
    *     summary: Obter link do WhatsApp
-   *     description: Gera link do WhatsApp para contato sobre o produto
+   *     description: |
+   *       Gera link do WhatsApp para contato sobre o produto e reserva 1 unidade enquanto a
+   *       conversa acontece (pedidos repetidos do mesmo cliente renovam a reserva).
    *     parameters:
    *       - in: path
    *         name: id
@@ -259,6 +566,11 @@ const createProductRoutes = (productService, authService) => {
    *           type: string
    *         description: ID do produto
    *         example: "507f1f77bcf86cd799439011"
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: string
+   *         description: Variação escolhida (obrigatória para produtos com variações)
    *     responses:
    *       200:
    *         description: Link do WhatsApp gerado
@@ -276,6 +588,10 @@ const createProductRoutes = (productService, authService) => {
    *                     whatsappLink:
    *                       type: string
    *                       example: "https://wa.me/5511999999999?text=Olá..."
+   *                     reservation:
+   *                       $ref: '#/components/schemas/StockReservation'
+   *       409:
+   *         description: Sem unidades disponíveis para reservar
    */
   router.get('/products/:id/whatsapp', productController.getWhatsAppLink);
 
@@ -342,8 +658,331 @@ const createProductRoutes = (productService, authService) => {
     productController.toggleProductAvailability
   );
   router.patch('/products/:id/stock', auth, organization, productController.updateProductStock);
+
+  /**
+   * @swagger
+   * /api/products/{id}/variants/{variantId}/stock:
+   *   patch:
+   *     tags: [Products]
+   *     summary: Atualizar o estoque de uma variação
+   *     description: O estoque do produto é recalculado como a soma das variações.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: variantId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [stock]
+   *             properties:
+   *               stock:
+   *                 type: integer
+   *                 minimum: 0
+   *     responses:
+   *       200:
+   *         description: Estoque da variação atualizado
+   *       400:
+   *         description: Estoque inválido ou menor que as unidades reservadas
+   *       404:
+   *         description: Produto ou variação não encontrada
+   */
+  router.patch(
+    '/products/:id/variants/:variantId/stock',
+    auth,
+    organization,
+    productController.updateVariantStock
+  );
+
+  /**
+   * @swagger
+   * /api/my-products:
+   *   get:
+   *     tags: [Products]
+   *     summary: Produtos da organização
+   *     description: Inclui produtos indisponíveis; aceita os mesmos filtros da busca.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/ProductSearchQuery'
+   *       - $ref: '#/components/parameters/ProductSearchCategory'
+   *       - in: query
+   *         name: available
+   *         description: Filtra por disponibilidade
+   *         schema:
+   *           type: boolean
+   *       - $ref: '#/components/parameters/ProductSearchMinPrice'
+   *       - $ref: '#/components/parameters/ProductSearchMaxPrice'
+   *       - $ref: '#/components/parameters/ProductSearchInStock'
+   *       - $ref: '#/components/parameters/ProductSearchSort'
+   *       - $ref: '#/components/parameters/ProductSearchCursor'
+   *       - $ref: '#/components/parameters/ProductSearchLimit'
+   *     responses:
+   *       200:
+   *         description: Produtos da organização
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ProductSearchResult'
+   *       400:
+   *         description: Filtro, ordenação ou cursor inválido
+   */
   router.get('/my-products', auth, organization, productController.getProductsByOrganization);
 
+  /**
+   * @swagger
+   * /api/products/{id}/versions:
+   *   get:
+   *     tags: [Products]
+   *     summary: Histórico de versões do produto
+   *     description: Uma versão por criação, edição, mudança de disponibilidade/estoque ou restauração.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Versões mais recentes primeiro
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductVersion'
+   *                 pagination:
+   *                   type: object
+   *       403:
+   *         description: Produto de outra organização
+   */
+  router.get('/products/:id/versions', auth, organization, productController.getProductVersions);
+
+  /**
+   * @swagger
+   * /api/products/{id}/versions/diff:
+   *   get:
+   *     tags: [Products]
+   *     summary: Diferença entre duas versões
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: to
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: "Campos alterados: { campo: { from, to } }"
+   *       404:
+   *         description: Versão não encontrada
+   */
+  router.get(
+    '/products/:id/versions/diff',
+    auth,
+    organization,
+    productController.getProductVersionDiff
+  );
+
+  /**
+   * @swagger
+   * /api/products/{id}/versions/{version}:
+   *   get:
+   *     tags: [Products]
+   *     summary: Detalha uma versão do produto
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Snapshot e diferença para a versão anterior
+   *       404:
+   *         description: Versão não encontrada
+   */
+  router.get(
+    '/products/:id/versions/:version',
+    auth,
+    organization,
+    productController.getProductVersion
+  );
+
+  /**
+   * @swagger
+   * /api/products/{id}/versions/{version}/restore:
+   *   post:
+   *     tags: [Products]
+   *     summary: Restaura o produto para uma versão anterior
+   *     description: |
+   *       Volta nome, descrição, preço, imagens, categoria e disponibilidade. O estoque atual é
+   *       mantido. A restauração gera uma nova versão.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Produto restaurado
+   *       403:
+   *         description: Produto de outra organização
+   *       404:
+   *         description: Versão não encontrada
+   */
+  router.post(
+    '/products/:id/versions/:version/restore',
+    auth,
+    organization,
+    productController.restoreProductVersion
+  );
+
+  if (stockReservationService) {
+    /**
+     * @swagger
+     * /api/products/{id}/reservations:
+     *   get:
+     *     tags: [Products]
+     *     summary: Reservas ativas do produto
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Reservas que ainda seguram estoque, as que vencem antes primeiro
+     *       403:
+     *         description: Produto de outra organização
+     */
+    router.get(
+      '/products/:id/reservations',
+      auth,
+      organization,
+      productController.getProductReservations
+    );
+
+    /**
+     * @swagger
+     * /api/products/{id}/reservations/{reservationId}/confirm:
+     *   post:
+     *     tags: [Products]
+     *     summary: Confirma a venda reservada (baixa o estoque)
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: path
+     *         name: reservationId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Reserva convertida em venda
+     *       400:
+     *         description: Reserva já encerrada
+     */
+    router.post(
+      '/products/:id/reservations/:reservationId/confirm',
+      auth,
+      organization,
+      productController.confirmReservation
+    );
+
+    /**
+     * @swagger
+     * /api/products/{id}/reservations/{reservationId}/release:
+     *   post:
+     *     tags: [Products]
+     *     summary: Libera a reserva (venda não aconteceu)
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: path
+     *         name: reservationId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Unidades devolvidas ao estoque disponível
+     *       400:
+     *         description: Reserva já encerrada
+     */
+    router.post(
+      '/products/:id/reservations/:reservationId/release',
+      auth,
+      organization,
+      productController.releaseReservation
+    );
+  }
+
   return router;
 };
 
@@ -57,7 +57,19 @@ const { adminMiddleware } = require('../middleware/AdminMiddleware');
  *           example: 2025
  *         metadata:
  *           type: object
- *           description: Metadados adicionais
+ *           description: |
+ *             Metadados adicionais. Com `donationId`, estornos e chargebacks dessa doação
+ *             são descontados automaticamente do valor e do ranking.
+ *         source:
+ *           type: string
+ *           enum: [manual, auto]
+ *           description: |
+ *             `auto` = calculado das doações aprovadas do mês (um registro por doador; tipo
+ *             `total` quando o doador fez doações únicas e recorrentes)
+ *         donorKey:
+ *           type: string
+ *           nullable: true
+ *           description: HMAC do email do doador (não exposto nas rotas públicas)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -119,9 +131,17 @@ const { adminMiddleware } = require('../middleware/AdminMiddleware');
  *           minimum: 2000
  *           description: Ano de referência
  *           example: 2025
+ *         donorEmail:
+ *           type: string
+ *           format: email
+ *           description: |
+ *             Opcional. Vincula o registro ao doador e substitui o registro automático
+ *             dele no mesmo mês.
  *         metadata:
  *           type: object
- *           description: Metadados adicionais
+ *           description: |
+ *             Metadados adicionais. Com `donationId`, estornos e chargebacks dessa doação
+ *             são descontados automaticamente do valor e do ranking.
  *
  *     TopDonorUpdate:
  *       type: object
@@ -155,6 +175,11 @@ const { adminMiddleware } = require('../middleware/AdminMiddleware');
  *         referenceYear:
  *           type: integer
  *           minimum: 2000
+ *         donorEmail:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Apenas registros manuais; null desvincula do doador
  *         metadata:
  *           type: object
  *
@@ -618,6 +643,58 @@ function createTopDonorRoutes(topDonorController) {
    */
   router.delete('/period/:year/:month', topDonorController.deleteByPeriod);
 
+  /**
+   * @swagger
+   * /api/top-donors/auto/{year}/{month}:
+   *   post:
+   *     tags: [TopDonors]
+   *     summary: Reconstrói o ranking automático do mês
+   *     description: |
+   *       Agrega as doações aprovadas do mês por doador (email), ignorando as que estão fora
+   *       das listas públicas e exibindo como anônimo quem pediu anonimato. Doadores com
+   *       registro manual vinculado (donorEmail) mantêm o registro manual. Aprovações,
+   *       parcelas e estornos já atualizam o doador afetado automaticamente.
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: year
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: month
+   *         required: true
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 12
+   *     responses:
+   *       200:
+   *         description: Ranking atualizado
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     donors:
+   *                       type: integer
+   *                     overridden:
+   *                       type: integer
+   *                     removed:
+   *                       type: integer
+   *       400:
+   *         description: Período inválido
+   *       503:
+   *         description: Ranking automático desativado (TOP_DONOR_AUTO_RANKING=false)
+   */
+  router.post('/auto/:year/:month', topDonorController.refreshAutomatic);
+
   return router;
 }
 
@@ -651,8 +728,130 @@ module.exports = {
   createPublicTopDonorRoutes: function (topDonorController) {
     const router = express.Router();
     // Expor apenas consultas públicas
-    router.get('/top/:year/:month/:limit', topDonorController.getTopN);
-    router.get('/period/:year/:month', topDonorController.getByPeriod);
+    // Sem donorKey, source e metadata (ver TopDonorService.toPublicEntry)
+    router.get('/top/:year/:month/:limit', topDonorController.getPublicTopN);
+    router.get('/period/:year/:month', topDonorController.getPublicByPeriod);
+
+    /**
+     * @swagger
+     * /api/public/top-donors/leaderboard/month/{year}/{month}:
+     *   get:
+     *     tags: [TopDonors]
+     *     summary: Ranking do mês com a variação de posição em relação ao mês anterior
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: month
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *     responses:
+     *       200:
+     *         description: Ranking do mês
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 success:
+     *                   type: boolean
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       position:
+     *                         type: integer
+     *                       donorName:
+     *                         type: string
+     *                       donatedAmount:
+     *                         type: number
+     *                       donationType:
+     *                         type: string
+     *                       previousPosition:
+     *                         type: integer
+     *                         nullable: true
+     *                       positionChange:
+     *                         type: string
+     *                         enum: [up, down, same, new]
+     *                       positionDelta:
+     *                         type: integer
+     *                         nullable: true
+     *                         description: Positivo quando subiu
+     */
+    router.get('/leaderboard/month/:year/:month', topDonorController.getMonthlyLeaderboard);
+
+    /**
+     * @swagger
+     * /api/public/top-donors/leaderboard/year/{year}:
+     *   get:
+     *     tags: [TopDonors]
+     *     summary: Soma dos meses do ano por doador
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *     responses:
+     *       200:
+     *         description: Itens com position, donorName, totalAmount, monthsRanked e lastDonationDate
+     */
+    router.get('/leaderboard/year/:year', topDonorController.getYearlyLeaderboard);
+
+    /**
+     * @swagger
+     * /api/public/top-donors/leaderboard/all-time:
+     *   get:
+     *     tags: [TopDonors]
+     *     summary: Soma de todos os meses por doador
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *     responses:
+     *       200:
+     *         description: Itens com position, donorName, totalAmount, monthsRanked e lastDonationDate
+     */
+    router.get('/leaderboard/all-time', topDonorController.getAllTimeLeaderboard);
+
+    /**
+     * @swagger
+     * /api/public/top-donors/streaks:
+     *   get:
+     *     tags: [TopDonors]
+     *     summary: Meses consecutivos de apoio dos doadores recorrentes
+     *     description: |
+     *       A sequência atual só conta se o último mês de apoio for o mês corrente ou o
+     *       anterior. Ordenado pela sequência atual e, no empate, pela maior sequência.
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *     responses:
+     *       200:
+     *         description: Itens com position, donorName, currentStreak, longestStreak,
+     *           monthsSupported e lastMonth
+     */
+    router.get('/streaks', topDonorController.getStreaks);
     return router;
   },
 };
@@ -0,0 +1,152 @@
+const express = require('express');
+const TransparencyController = require('../controllers/TransparencyController');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     TransparencyOrganization:
+ *       in: query
+ *       name: organizationId
+ *       schema:
+ *         type: string
+ *     TransparencyCampaign:
+ *       in: query
+ *       name: campaignId
+ *       description: Usado pelas páginas de campanha
+ *       schema:
+ *         type: string
+ *     TransparencyBucket:
+ *       in: query
+ *       name: bucket
+ *       description: Troca o valor exato (amount) pela faixa (amountRange)
+ *       schema:
+ *         type: boolean
+ *   schemas:
+ *     TransparencyFeedItem:
+ *       type: object
+ *       description: |
+ *         Doações com showInPublicList=false não aparecem. Anônimas aparecem como
+ *         "Doador anônimo" e, quando consecutivas, num único item com count > 1.
+ *       properties:
+ *         id:
+ *           type: string
+ *         donorName:
+ *           type: string
+ *           example: Maria S.
+ *         anonymous:
+ *           type: boolean
+ *         count:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *         amountRange:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: number
+ *             max:
+ *               type: number
+ *               nullable: true
+ *             label:
+ *               type: string
+ *               example: R$ 50 a R$ 100
+ *         type:
+ *           type: string
+ *           enum: [single, recurring]
+ *           nullable: true
+ *         organizationName:
+ *           type: string
+ *           nullable: true
+ *         campaignId:
+ *           type: string
+ *           nullable: true
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         firstPaidAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Cria rotas públicas do feed de transparência
+ */
+function createTransparencyRoutes(transparencyFeedService) {
+  const router = express.Router();
+  const controller = new TransparencyController(transparencyFeedService);
+
+  /**
+   * @swagger
+   * /api/public/transparency/feed:
+   *   get:
+   *     tags: [Transparency]
+   *     summary: Doações aprovadas mais recentes (últimos 30 dias)
+   *     parameters:
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 50
+   *       - $ref: '#/components/parameters/TransparencyOrganization'
+   *       - $ref: '#/components/parameters/TransparencyCampaign'
+   *       - $ref: '#/components/parameters/TransparencyBucket'
+   *     responses:
+   *       200:
+   *         description: Itens do mais recente para o mais antigo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/TransparencyFeedItem'
+   */
+  router.get('/feed', controller.getFeed);
+
+  /**
+   * @swagger
+   * /api/public/transparency/totals:
+   *   get:
+   *     tags: [Transparency]
+   *     summary: Total arrecadado hoje, na semana (desde segunda) e no mês
+   *     description: Horário de Brasília. Inclui as doações fora das listas públicas.
+   *     parameters:
+   *       - $ref: '#/components/parameters/TransparencyOrganization'
+   *       - $ref: '#/components/parameters/TransparencyCampaign'
+   *     responses:
+   *       200:
+   *         description: Objetos day, week e month com since, count e amount
+   */
+  router.get('/totals', controller.getTotals);
+
+  /**
+   * @swagger
+   * /api/public/transparency/stream:
+   *   get:
+   *     tags: [Transparency]
+   *     summary: Stream (server-sent events) das doações aprovadas
+   *     description: |
+   *       Cada doação chega como evento "donation" com um TransparencyFeedItem (count = 1;
+   *       o agrupamento de anônimos fica a cargo do cliente).
+   *     parameters:
+   *       - $ref: '#/components/parameters/TransparencyOrganization'
+   *       - $ref: '#/components/parameters/TransparencyCampaign'
+   *       - $ref: '#/components/parameters/TransparencyBucket'
+   *     responses:
+   *       200:
+   *         description: text/event-stream
+   *       503:
+   *         description: Limite de conexões atingido
+   */
+  router.get('/stream', controller.stream);
+
+  return router;
+}
+
+module.exports = createTransparencyRoutes;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/AuthMiddleware');
+const { adminMiddleware } = require('../middleware/AdminMiddleware');
+const WebhookInboxController = require('../controllers/WebhookInboxController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookInboxEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: "mercadopago"
+ *         notificationId:
+ *           type: string
+ *         topic:
+ *           type: string
+ *           example: "payment"
+ *         resourceId:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, processed, dead_letter]
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         errorHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *         replayCount:
+ *           type: integer
+ *         deadLetteredAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Cria rotas administrativas da caixa de entrada de webhooks
+ */
+function createWebhookInboxRoutes(webhookInboxService, authService) {
+  const router = express.Router();
+  const controller = new WebhookInboxController(webhookInboxService);
+
+  router.use(authMiddleware(authService), adminMiddleware());
+
+  /**
+   * @swagger
+   * /api/admin/webhooks/dead-letter:
+   *   get:
+   *     tags: [Webhooks]
+   *     summary: Lista webhooks na dead-letter (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: topic
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Lista paginada de webhooks que esgotaram as tentativas
+   */
+  router.get('/dead-letter', controller.listDeadLetters);
+
+  /**
+   * @swagger
+   * /api/admin/webhooks/{id}:
+   *   get:
+   *     tags: [Webhooks]
+   *     summary: Detalha um webhook da caixa de entrada (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhook com payload e histórico de erros
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/WebhookInboxEntry'
+   *       404:
+   *         description: Webhook não encontrado
+   */
+  router.get('/:id', controller.getEntry);
+
+  /**
+   * @swagger
+   * /api/admin/webhooks/{id}/replay:
+   *   post:
+   *     tags: [Webhooks]
+   *     summary: Reprocessa um webhook da dead-letter (Admin)
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhook devolvido à fila
+   *       400:
+   *         description: Webhook não está na dead-letter
+   *       404:
+   *         description: Webhook não encontrado
+   */
+  router.post('/:id/replay', controller.replay);
+
+  return router;
+}
+
+module.exports = createWebhookInboxRoutes;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const {
+  MercadoPagoWebhookSignatureHandler,
+  PagarmeWebhookAuthHandler,
+} = require('../../../src/presentation/middleware/WebhookSignatureHandler');
+
+const SECRET = 'test-webhook-secret';
+
+function sign({ dataId, requestId, ts }) {
+  const manifest = MercadoPagoWebhookSignatureHandler.buildManifest({ dataId, requestId, ts });
+  const v1 = crypto.createHmac('sha256', SECRET).update(manifest).digest('hex');
+  return `ts=${ts},v1=${v1}`;
+}
+
+function createRequest(headers = {}, body = {}) {
+  return { body, query: {}, ip: '10.0.0.1', get: (name) => headers[name.toLowerCase()] };
+}
+
+function createResponse() {
+  const res = { headersSent: false };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('MercadoPagoWebhookSignatureHandler', () => {
+  const now = 1704908010 * 1000;
+  const base = { requestId: 'req-123', dataId: '987654', secret: SECRET, toleranceSeconds: 300 };
+
+  it('deve aceitar assinatura válida dentro da tolerância', () => {
+    const signatureHeader = sign({ dataId: '987654', requestId: 'req-123', ts: 1704908010 });
+
+    const result = MercadoPagoWebhookSignatureHandler.verifySignature({
+      ...base,
+      signatureHeader,
+      now,
+    });
+
+    expect(result.valid).toBe(true);
+  });
+
+  it('deve rejeitar assinatura calculada com outro data.id', () => {
+    const signatureHeader = sign({ dataId: '111', requestId: 'req-123', ts: 1704908010 });
+
+    const result = MercadoPagoWebhookSignatureHandler.verifySignature({
+      ...base,
+      signatureHeader,
+      now,
+    });
+
+    expect(result).toMatchObject({ valid: false, reason: 'signature_mismatch' });
+  });
+
+  it('deve rejeitar timestamp fora da janela de tolerância', () => {
+    const signatureHeader = sign({ dataId: '987654', requestId: 'req-123', ts: 1704908010 });
+
+    const result = MercadoPagoWebhookSignatureHandler.verifySignature({
+      ...base,
+      signatureHeader,
+      now: now + 301 * 1000,
+    });
+
+    expect(result).toMatchObject({ valid: false, reason: 'timestamp_out_of_tolerance' });
+  });
+
+  it('deve rejeitar header ausente ou malformado', () => {
+    expect(
+      MercadoPagoWebhookSignatureHandler.verifySignature({
+        ...base,
+        signatureHeader: undefined,
+        now,
+      }).reason
+    ).toBe('missing_signature');
+    expect(
+      MercadoPagoWebhookSignatureHandler.verifySignature({ ...base, signatureHeader: 'ts=1', now })
+        .reason
+    ).toBe('missing_signature');
+  });
+
+  it('deve usar data.id alfanumérico em minúsculas no manifest', () => {
+    expect(
+      MercadoPagoWebhookSignatureHandler.buildManifest({ dataId: 'ABC123', requestId: 'r', ts: 1 })
+    ).toBe('id:abc123;request-id:r;ts:1;');
+  });
+
+  it('deve recusar webhooks sem chave secreta configurada, exceto em modo mock', async () => {
+    const eventManager = { emit: jest.fn() };
+    const body = { id: 123, type: 'payment', data: { id: '987654' } };
+    const headers = { 'x-request-id': 'req-123' };
+    const handler = new MercadoPagoWebhookSignatureHandler({
+      secret: '',
+      mockMode: false,
+      eventManager,
+    });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await handler.handle(createRequest(headers, body), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(eventManager.emit).toHaveBeenCalledWith(
+      'system.security.alert',
+      expect.objectContaining({
+        details: expect.objectContaining({
+          provider: 'mercadopago',
+          reason: 'secret_not_configured',
+        }),
+      }),
+      expect.any(Object)
+    );
+
+    const mock = new MercadoPagoWebhookSignatureHandler({
+      secret: '',
+      mockMode: true,
+      eventManager,
+    });
+    const req = createRequest(headers, body);
+    await mock.handle(req, createResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.webhookDelivery.signatureVerified).toBe(false);
+  });
+});
+
+describe('PagarmeWebhookAuthHandler', () => {
+  const body = { id: 'hook_1', type: 'order.paid', data: { id: 'or_1' } };
+  let eventManager;
+
+  beforeEach(() => {
+    eventManager = { emit: jest.fn() };
+  });
+
+  it('deve recusar webhooks quando as credenciais não estão configuradas', async () => {
+    const handler = new PagarmeWebhookAuthHandler({ user: '', mockMode: false, eventManager });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await handler.handle(createRequest({}, body), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(eventManager.emit).toHaveBeenCalledWith(
+      'system.security.alert',
+      expect.objectContaining({
+        details: expect.objectContaining({ reason: 'credentials_not_configured' }),
+      }),
+      expect.any(Object)
+    );
+  });
+
+  it('deve aceitar Basic Auth válido e, sem credenciais, só em modo mock', async () => {
+    const authorization = `Basic ${Buffer.from('hook:senha').toString('base64')}`;
+    const handler = new PagarmeWebhookAuthHandler({
+      user: 'hook',
+      password: 'senha',
+      eventManager,
+    });
+    const req = createRequest({ authorization }, body);
+    const next = jest.fn();
+
+    await handler.handle(req, createResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.webhookDelivery.signatureVerified).toBe(true);
+
+    const mock = new PagarmeWebhookAuthHandler({ user: '', mockMode: true, eventManager });
+    await mock.handle(createRequest({}, body), createResponse(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,131 @@
+const CampaignService = require('../../../src/application/services/CampaignService');
+const DonationService = require('../../../src/application/services/DonationService');
+
+function createCampaignRepository() {
+  const campaigns = new Map();
+  return {
+    campaigns,
+    create: jest.fn(async (data) => {
+      const campaign = { id: `c${campaigns.size + 1}`, ...data };
+      campaigns.set(campaign.id, campaign);
+      return campaign;
+    }),
+    findById: jest.fn(async (id) => campaigns.get(id) || null),
+    update: jest.fn(async (id, data) => {
+      const campaign = { ...campaigns.get(id), ...data };
+      campaigns.set(id, campaign);
+      return campaign;
+    }),
+  };
+}
+
+describe('CampaignService - campanhas de arrecadação', () => {
+  const campaignData = { title: 'Cozinha comunitária', story: 'Reforma', goalAmount: '2000' };
+
+  let repository;
+  let donationRepository;
+  let service;
+
+  beforeEach(() => {
+    repository = createCampaignRepository();
+    donationRepository = {
+      create: jest.fn(async (data) => ({ id: 'd1', ...data })),
+      getCampaignTotals: jest.fn(async () => ({ raisedAmount: 850, donorCount: 3 })),
+    };
+    service = new CampaignService(repository, donationRepository);
+  });
+
+  it('deve aceitar doações apenas enquanto o ciclo de vida permitir', async () => {
+    const paymentAdapter = {
+      createPaymentPreference: jest.fn(async () => ({ id: 'mp-1', paymentUrl: 'https://mp' })),
+    };
+    const donations = new DonationService(
+      donationRepository,
+      {},
+      paymentAdapter,
+      null,
+      null,
+      null,
+      service
+    );
+    const campaign = await service.createCampaign('org-1', campaignData);
+    const donationData = {
+      organizationId: 'org-1',
+      organizationName: 'ONG',
+      campaignId: campaign.id,
+      amount: 50,
+      donorName: 'Ana',
+      donorEmail: 'ana@email.com',
+    };
+
+    await expect(donations.createSingleDonation(donationData)).rejects.toThrow(
+      'Campanha não está recebendo doações'
+    );
+    await expect(service.changeStatus(campaign.id, 'org-1', 'complete')).rejects.toThrow(
+      'Invalid transition: draft -> completed'
+    );
+
+    await service.changeStatus(campaign.id, 'org-1', 'publish');
+    const { donation } = await donations.createSingleDonation(donationData);
+    expect(donation.campaignId).toBe(campaign.id);
+    await expect(
+      donations.createSingleDonation({ ...donationData, organizationId: 'org-2' })
+    ).rejects.toThrow('Campanha não encontrada para esta organização');
+    await expect(service.updateCampaign(campaign.id, 'org-1', { goalAmount: 10 })).rejects.toThrow(
+      'não pode ser editada'
+    );
+
+    await service.changeStatus(campaign.id, 'org-1', 'start');
+    const completed = await service.changeStatus(campaign.id, 'org-1', 'complete');
+    expect(completed.statusHistory.map((entry) => entry.to)).toEqual([
+      'published',
+      'in_progress',
+      'completed',
+    ]);
+    await expect(donations.createSingleDonation(donationData)).rejects.toThrow(
+      'Campanha não está recebendo doações'
+    );
+    expect(paymentAdapter.createPaymentPreference).toHaveBeenCalledTimes(1);
+  });
+
+  it('deve expor o progresso só de campanhas públicas e trocar a capa no storage', async () => {
+    const campaign = await service.createCampaign('org-1', {
+      ...campaignData,
+      endDate: '2020-01-31',
+    });
+    expect(await service.getPublicCampaign(campaign.id)).toBeNull();
+
+    await service.changeStatus(campaign.id, 'org-1', 'publish');
+    const published = await service.getPublicCampaign(campaign.id);
+    expect(published.progress).toEqual({
+      goalAmount: 2000,
+      raisedAmount: 850,
+      matchedAmount: 0,
+      totalAmount: 850,
+      donorCount: 3,
+      percentage: 42.5,
+      goalReached: false,
+      acceptingDonations: false, // período encerrado
+    });
+    expect(donationRepository.getCampaignTotals).toHaveBeenCalledWith(campaign.id);
+
+    const storageBridge = {
+      uploadFile: jest
+        .fn()
+        .mockResolvedValueOnce({ success: true, fileId: 'capa-1', url: '/uploads/capa-1' })
+        .mockResolvedValueOnce({ success: true, fileId: 'capa-2', url: '/uploads/capa-2' }),
+      deleteFile: jest.fn(async () => ({ success: true })),
+    };
+    service.storageBridge = storageBridge;
+    const file = { originalname: 'capa.png', buffer: Buffer.from('x') };
+
+    await service.uploadCover(campaign.id, 'org-1', file);
+    const updated = await service.uploadCover(campaign.id, 'org-1', file);
+
+    expect(updated.coverImageUrl).toBe('/uploads/capa-2');
+    expect(storageBridge.deleteFile).toHaveBeenCalledWith('capa-1');
+    await expect(service.uploadCover(campaign.id, 'org-2', file)).rejects.toThrow(
+      'outra organização'
+    );
+  });
+});
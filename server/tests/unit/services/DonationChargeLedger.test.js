@@ -0,0 +1,123 @@
+const DonationService = require('../../../src/application/services/DonationService');
+const MockMercadoPagoAdapter = require('../../../src/infra/adapters/MockMercadoPagoAdapter');
+
+function createChargeRepository() {
+  const charges = [];
+
+  return {
+    charges,
+    create: jest.fn(async (data) => {
+      const charge = { id: `c${charges.length + 1}`, ...data };
+      charges.push(charge);
+      return charge;
+    }),
+    findByPaymentId: jest.fn(
+      async (paymentId) => charges.find((c) => c.paymentId === paymentId) || null
+    ),
+    findByAuthorizedPaymentId: jest.fn(
+      async (authorizedPaymentId) =>
+        charges.find((c) => c.authorizedPaymentId === authorizedPaymentId) || null
+    ),
+    transitionStatus: jest.fn(async (id, from, to, historyEntry, data) => {
+      const charge = charges.find((c) => c.id === id);
+      if (charge.status !== from) {
+        return null;
+      }
+      Object.assign(charge, data, { status: to });
+      charge.statusHistory = [...charge.statusHistory, historyEntry];
+      return charge;
+    }),
+    update: jest.fn(async (id, data) =>
+      Object.assign(
+        charges.find((c) => c.id === id),
+        data
+      )
+    ),
+    findBySubscriptionId: jest.fn(async (subscriptionId) =>
+      charges.filter((c) => c.subscriptionId === subscriptionId).reverse()
+    ),
+  };
+}
+
+describe('DonationService - histórico de cobranças recorrentes', () => {
+  let adapter;
+  let chargeRepository;
+  let subscriptionId;
+  let service;
+
+  beforeEach(async () => {
+    adapter = new MockMercadoPagoAdapter();
+    const subscription = await adapter.createSubscription({ amount: 25 });
+    subscriptionId = subscription.id;
+
+    const donation = {
+      id: 'd1',
+      type: 'recurring',
+      organizationId: 'org-1',
+      donorEmail: 'doador@email.com',
+      amount: 25,
+      subscriptionId,
+      paymentStatus: 'approved',
+    };
+    const donationRepository = {
+      findBySubscriptionId: jest.fn(async (id) => (id === subscriptionId ? donation : null)),
+      findById: jest.fn(async () => donation),
+      findByMercadoPagoId: jest.fn(async () => null),
+    };
+
+    chargeRepository = createChargeRepository();
+    service = new DonationService(donationRepository, {}, adapter, null, chargeRepository);
+    jest.spyOn(service.eventManager, 'emit');
+  });
+
+  it('deve registrar uma parcela por cobrança e resumir o que foi pago', async () => {
+    await service.processPaymentWebhook(await adapter.mockRecurringCharge(subscriptionId));
+    await service.processPaymentWebhook(await adapter.mockRecurringCharge(subscriptionId));
+
+    expect(chargeRepository.charges).toHaveLength(2);
+    expect(chargeRepository.charges[0]).toMatchObject({
+      donationId: 'd1',
+      organizationId: 'org-1',
+      amount: 25,
+      status: 'approved',
+    });
+    expect(service.eventManager.emit).toHaveBeenCalledWith(
+      'donation.recurring.renewed',
+      expect.objectContaining({ donationId: 'd1', chargeId: 'c1', amount: 25 }),
+      expect.any(Object)
+    );
+
+    const history = await service.getSubscriptionCharges(subscriptionId);
+    expect(history.summary).toMatchObject({ totalCharges: 2, approvedCharges: 2, totalPaid: 50 });
+  });
+
+  it('deve aprovar a nova tentativa de uma parcela recusada sem duplicá-la', async () => {
+    const webhook = await adapter.mockRecurringCharge(subscriptionId, { status: 'rejected' });
+    await service.processPaymentWebhook(webhook);
+
+    await service.processPaymentWebhook(
+      await adapter.mockRecurringCharge(subscriptionId, { authorizedPaymentId: webhook.data.id })
+    );
+
+    expect(chargeRepository.charges).toHaveLength(1);
+    expect(chargeRepository.charges[0]).toMatchObject({ status: 'approved', retryAttempt: 1 });
+    expect(chargeRepository.charges[0].statusHistory.map((h) => h.to)).toEqual([
+      'rejected',
+      'approved',
+    ]);
+  });
+
+  it('deve marcar charged_back a parcela contestada pelo pagamento dela', async () => {
+    await service.processPaymentWebhook(await adapter.mockRecurringCharge(subscriptionId));
+    const [charge] = chargeRepository.charges;
+
+    await service.processPaymentWebhook(await adapter.mockChargeback(charge.paymentId));
+
+    expect(charge.status).toBe('charged_back');
+    expect(service.eventManager.emit).toHaveBeenCalledWith(
+      'donation.chargeback',
+      expect.objectContaining({ donationId: 'd1', chargeId: charge.id, amount: 25 }),
+      expect.any(Object)
+    );
+  });
+});
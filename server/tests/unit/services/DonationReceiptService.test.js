@@ -0,0 +1,122 @@
+const DonationReceiptService = require('../../../src/application/services/DonationReceiptService');
+const ReceiptPdfRenderer = require('../../../src/infra/services/ReceiptPdfRenderer');
+
+function createReceiptRepository() {
+  const receipts = [];
+  const counters = {};
+
+  return {
+    receipts,
+    issue: jest.fn(async (data) => {
+      const existing = receipts.find((r) => r.sourceKey === data.sourceKey);
+      if (existing) {
+        return existing;
+      }
+      const key = `${data.organizationId}:${data.year}`;
+      counters[key] = (counters[key] || 0) + 1;
+      const receipt = {
+        id: `r${receipts.length + 1}`,
+        ...data,
+        number: counters[key],
+        receiptNumber: `${data.year}/${String(counters[key]).padStart(6, '0')}`,
+        emailedAt: null,
+      };
+      receipts.push(receipt);
+      return receipt;
+    }),
+    markEmailed: jest.fn(async (id) =>
+      Object.assign(
+        receipts.find((r) => r.id === id),
+        { emailedAt: new Date() }
+      )
+    ),
+    findByDonationId: jest.fn(async (donationId) =>
+      receipts.filter((r) => r.donationId === donationId)
+    ),
+    findIssuerProfile: jest.fn(async () => ({
+      name: 'ONG Teste',
+      address: 'Rua das Flores, 10',
+      cnpj: '12.345.678/0001-90',
+    })),
+  };
+}
+
+describe('DonationReceiptService', () => {
+  let repository;
+  let emailService;
+  let service;
+  const donations = {
+    d1: {
+      id: 'd1',
+      type: 'single',
+      organizationId: 'org-1',
+      organizationName: 'ONG Teste',
+      donorName: 'Maria Doadora',
+      donorEmail: 'maria@email.com',
+      donorDocument: '123.456.789-09',
+      amount: 50,
+      paymentStatus: 'approved',
+      statusHistory: [{ from: 'pending', to: 'approved', timestamp: '2026-03-10T12:00:00Z' }],
+    },
+    d2: {
+      id: 'd2',
+      type: 'recurring',
+      organizationId: 'org-1',
+      organizationName: 'ONG Teste',
+      donorName: 'João Doador',
+      donorEmail: 'joao@email.com',
+      amount: 20,
+      paymentStatus: 'approved',
+    },
+  };
+
+  beforeEach(() => {
+    repository = createReceiptRepository();
+    emailService = { sendEmail: jest.fn(async () => ({ success: true })) };
+    service = new DonationReceiptService(
+      repository,
+      { findById: jest.fn(async (id) => donations[id] || null) },
+      new ReceiptPdfRenderer(),
+      emailService
+    );
+  });
+
+  it('deve emitir recibo numerado e enviar o PDF por email uma única vez', async () => {
+    const receipt = await service.handleDonationApproved('d1');
+
+    expect(receipt.receiptNumber).toBe('2026/000001');
+    expect(receipt.issuer.cnpj).toBe('12.345.678/0001-90');
+    expect(receipt.donorDocument).toBe('123.456.789-09');
+    expect(receipt.emailedAt).toBeInstanceOf(Date);
+
+    const [email] = emailService.sendEmail.mock.calls[0];
+    expect(email.to).toBe('maria@email.com');
+    expect(email.attachments[0].filename).toBe('recibo-2026-000001.pdf');
+    expect(email.attachments[0].content.subarray(0, 4).toString()).toBe('%PDF');
+
+    await service.handleDonationApproved('d1');
+    expect(repository.receipts).toHaveLength(1);
+    expect(emailService.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('deve emitir recibo por parcela e não pela doação recorrente mãe', async () => {
+    expect(await service.handleDonationApproved('d2')).toBeNull();
+
+    await service.handleInstallmentPaid({
+      donationId: 'd2',
+      chargeId: 'c1',
+      amount: 20,
+      chargedAt: '2026-04-05T10:00:00Z',
+    });
+    await service.handleInstallmentPaid({
+      donationId: 'd2',
+      chargeId: 'c2',
+      amount: 20,
+      chargedAt: '2026-05-05T10:00:00Z',
+    });
+
+    const receipts = await service.listForDonation('d2');
+    expect(receipts.map((r) => r.receiptNumber)).toEqual(['2026/000001', '2026/000002']);
+    expect(receipts.map((r) => r.sourceKey)).toEqual(['charge:c1', 'charge:c2']);
+  });
+});
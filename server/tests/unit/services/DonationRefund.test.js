@@ -0,0 +1,117 @@
+const DonationService = require('../../../src/application/services/DonationService');
+const MockMercadoPagoAdapter = require('../../../src/infra/adapters/MockMercadoPagoAdapter');
+
+function createDonationRepository(donation) {
+  return {
+    findById: jest.fn(async () => donation),
+    findByMercadoPagoId: jest.fn(async (id) => (donation.mercadoPagoId === id ? donation : null)),
+    findByPaymentId: jest.fn(async (id) => (donation.paymentId === id ? donation : null)),
+    findByExternalReference: jest.fn(async (reference) =>
+      donation.metadata && donation.metadata.externalReference === reference ? donation : null
+    ),
+    update: jest.fn(async (id, data) => Object.assign(donation, data)),
+    registerRefund: jest.fn(async (id, refund) => {
+      donation.refunds = [...(donation.refunds || []), refund];
+      donation.refundedAmount = (donation.refundedAmount || 0) + refund.amount;
+      return donation;
+    }),
+    transitionStatus: jest.fn(async (id, from, to, historyEntry, data) => {
+      if (donation.paymentStatus !== from) {
+        return null;
+      }
+      Object.assign(donation, data);
+      donation.paymentStatus = to;
+      donation.statusHistory = [...(donation.statusHistory || []), historyEntry];
+      return donation;
+    }),
+  };
+}
+
+describe('DonationService - estornos e chargebacks', () => {
+  let adapter;
+  let donation;
+  let service;
+
+  beforeEach(async () => {
+    adapter = new MockMercadoPagoAdapter();
+    const payment = await adapter.createPaymentPreference({ amount: 100 });
+    await adapter.mockApprove(payment.id);
+
+    donation = {
+      id: 'd1',
+      organizationId: 'org-1',
+      amount: 100,
+      mercadoPagoId: 'pref-1',
+      paymentId: payment.id,
+      paymentStatus: 'approved',
+      statusHistory: [],
+    };
+    service = new DonationService(createDonationRepository(donation), {}, adapter);
+    jest.spyOn(service.eventManager, 'emit');
+  });
+
+  it('deve acumular estornos parciais e mudar para refunded quando o saldo zera', async () => {
+    const partial = await service.refundDonation('d1', { amount: 30, organizationId: 'org-1' });
+
+    expect(partial.partial).toBe(true);
+    expect(donation).toMatchObject({ paymentStatus: 'approved', refundedAmount: 30 });
+
+    const full = await service.refundDonation('d1', { organizationId: 'org-1' });
+
+    expect(full.partial).toBe(false);
+    expect(full.refund.amount).toBe(70);
+    expect(donation).toMatchObject({ paymentStatus: 'refunded', refundedAmount: 100 });
+    expect(service.eventManager.emit).toHaveBeenCalledWith(
+      'donation.refunded',
+      expect.objectContaining({ donationId: 'd1', amount: 70, partial: false }),
+      expect.any(Object)
+    );
+  });
+
+  it('deve recusar estorno acima do saldo ou de outra organização', async () => {
+    await expect(
+      service.refundDonation('d1', { amount: 150, organizationId: 'org-1' })
+    ).rejects.toThrow('excede o saldo disponível');
+    await expect(service.refundDonation('d1', { organizationId: 'org-2' })).rejects.toThrow(
+      'Não autorizado a estornar esta doação'
+    );
+  });
+
+  it('deve marcar charged_back a partir do webhook de chargeback', async () => {
+    const webhook = await adapter.mockChargeback(donation.paymentId);
+
+    await service.processPaymentWebhook(webhook);
+
+    expect(donation.paymentStatus).toBe('charged_back');
+    expect(service.eventManager.emit).toHaveBeenCalledWith(
+      'donation.chargeback',
+      expect.objectContaining({ donationId: 'd1', amount: 100 }),
+      expect.any(Object)
+    );
+  });
+
+  it('deve gravar o pagamento aprovado pelo webhook e estornar por ele, não pela preferência', async () => {
+    const payment = await adapter.createSinglePayment({
+      amount: 50,
+      externalReference: 'donation-42',
+    });
+    await adapter.mockApprove(payment.id);
+    Object.assign(donation, {
+      amount: 50,
+      mercadoPagoId: 'pref-42',
+      paymentId: undefined,
+      paymentStatus: 'pending',
+      metadata: { externalReference: 'donation-42' },
+    });
+    jest.spyOn(adapter, 'refundPayment');
+
+    await service.processPaymentWebhook({ type: 'payment', data: { id: payment.id } });
+
+    expect(donation).toMatchObject({ paymentStatus: 'approved', paymentId: payment.id });
+
+    await service.refundDonation('d1', { organizationId: 'org-1' });
+
+    expect(adapter.refundPayment).toHaveBeenCalledWith(payment.id, null);
+    expect(donation.paymentStatus).toBe('refunded');
+  });
+});
@@ -0,0 +1,65 @@
+const DonationService = require('../../../src/application/services/DonationService');
+
+function createDonationRepository(donation) {
+  return {
+    findByMercadoPagoId: jest.fn(async () => donation),
+    transitionStatus: jest.fn(async (id, from, to, historyEntry) => {
+      if (donation.paymentStatus !== from) {
+        return null;
+      }
+      donation.paymentStatus = to;
+      donation.statusHistory = [...(donation.statusHistory || []), historyEntry];
+      return donation;
+    }),
+  };
+}
+
+describe('DonationService - transições de status', () => {
+  it('deve aplicar transição válida e registrar histórico', async () => {
+    const donation = { id: 'd1', amount: 50, paymentStatus: 'pending', statusHistory: [] };
+    const repository = createDonationRepository(donation);
+    const service = new DonationService(repository, {}, {});
+
+    const result = await service.updateDonationStatus('mp-1', 'approved');
+
+    expect(result).toMatchObject({ changed: true, from: 'pending', to: 'approved' });
+    expect(donation.paymentStatus).toBe('approved');
+    expect(donation.statusHistory[0]).toMatchObject({
+      from: 'pending',
+      to: 'approved',
+      source: 'mercadopago_webhook',
+    });
+    expect(donation.statusHistory[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  it('deve ignorar webhook fora de ordem que voltaria approved para pending', async () => {
+    const donation = { id: 'd2', paymentStatus: 'approved', statusHistory: [] };
+    const repository = createDonationRepository(donation);
+    const service = new DonationService(repository, {}, {});
+
+    const result = await service.updateDonationStatus('mp-2', 'pending');
+
+    expect(result).toMatchObject({ changed: false, rejected: true });
+    expect(repository.transitionStatus).not.toHaveBeenCalled();
+    expect(donation.paymentStatus).toBe('approved');
+  });
+
+  it('deve impedir que doação estornada volte a approved', () => {
+    const service = new DonationService(createDonationRepository({}), {}, {});
+
+    expect(() =>
+      service.assertCanTransition({ id: 'd3', paymentStatus: 'refunded' }, 'approved')
+    ).toThrow('Não é possível alterar o status da doação de refunded para approved');
+  });
+
+  it('deve falhar quando o status muda entre leitura e escrita', async () => {
+    const donation = { id: 'd4', paymentStatus: 'pending' };
+    const repository = createDonationRepository(donation);
+    repository.transitionStatus.mockResolvedValueOnce(null);
+    const service = new DonationService(repository, {}, {});
+
+    await expect(service.transitionDonationStatus(donation, 'approved')).rejects.toThrow(
+      'foi alterado durante a atualização'
+    );
+  });
+});
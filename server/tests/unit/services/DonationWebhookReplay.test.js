@@ -0,0 +1,84 @@
+const DonationService = require('../../../src/application/services/DonationService');
+const MockMercadoPagoAdapter = require('../../../src/infra/adapters/MockMercadoPagoAdapter');
+
+// Mesmo contrato do índice único de notificationId em processed_webhooks
+function createProcessedWebhookRepository() {
+  const claimed = new Set();
+
+  return {
+    claimed,
+    claim: jest.fn(async ({ notificationId }) => {
+      if (claimed.has(notificationId)) {
+        return false;
+      }
+      claimed.add(notificationId);
+      return true;
+    }),
+    release: jest.fn(async (notificationId) => {
+      claimed.delete(notificationId);
+    }),
+  };
+}
+
+describe('DonationService - reenvio de webhooks', () => {
+  let adapter;
+  let donation;
+  let donationRepository;
+  let processedWebhooks;
+  let service;
+  let webhook;
+
+  beforeEach(async () => {
+    adapter = new MockMercadoPagoAdapter();
+    const payment = await adapter.createPaymentPreference({ amount: 40 });
+    await adapter.mockApprove(payment.id);
+    webhook = { type: 'payment', data: { id: payment.id } };
+
+    donation = { id: 'd1', amount: 40, paymentStatus: 'pending', statusHistory: [] };
+    donationRepository = {
+      findByMercadoPagoId: jest.fn(async () => donation),
+      transitionStatus: jest.fn(async (id, from, to) => {
+        if (donation.paymentStatus !== from) {
+          return null;
+        }
+        donation.paymentStatus = to;
+        return donation;
+      }),
+    };
+    processedWebhooks = createProcessedWebhookRepository();
+    service = new DonationService(donationRepository, {}, adapter, processedWebhooks);
+    jest.spyOn(service.eventManager, 'emit');
+  });
+
+  it('deve processar uma só vez entregas simultâneas da mesma notificação', async () => {
+    const delivery = { notificationId: 'n-1', resourceId: webhook.data.id };
+
+    const results = await Promise.all([
+      service.processPaymentWebhook(webhook, delivery),
+      service.processPaymentWebhook(webhook, delivery),
+    ]);
+
+    expect(results.filter((result) => result.duplicate)).toHaveLength(1);
+    expect(donationRepository.transitionStatus).toHaveBeenCalledTimes(1);
+    expect(service.eventManager.emit).toHaveBeenCalledWith(
+      'system.security.alert',
+      expect.objectContaining({ alertType: 'webhook_replay' }),
+      expect.any(Object)
+    );
+  });
+
+  it('deve liberar a notificação quando o processamento falha para aceitar o reenvio', async () => {
+    donationRepository.transitionStatus.mockRejectedValueOnce(new Error('banco indisponível'));
+
+    await expect(service.processPaymentWebhook(webhook, { notificationId: 'n-2' })).rejects.toThrow(
+      'banco indisponível'
+    );
+    expect(processedWebhooks.claimed.has('n-2')).toBe(false);
+
+    const retry = await service.processPaymentWebhook(webhook, { notificationId: 'n-2' });
+
+    expect(retry.duplicate).toBeUndefined();
+    expect(donation.paymentStatus).toBe('approved');
+    expect(processedWebhooks.claimed.has('n-2')).toBe(true);
+  });
+});
@@ -0,0 +1,179 @@
+const DonorPortalService = require('../../../src/application/services/DonorPortalService');
+
+function createVerificationCodeRepository() {
+  const codes = [];
+  return {
+    codes,
+    create: jest.fn(async (data) => {
+      const code = { id: `c${codes.length + 1}`, used: false, ...data };
+      codes.push(code);
+      return code;
+    }),
+    findValidCode: jest.fn(
+      async (email, code, type) =>
+        codes.find(
+          (c) =>
+            c.email === email &&
+            c.code === code &&
+            c.type === type &&
+            !c.used &&
+            c.expiresAt > new Date()
+        ) || null
+    ),
+    markAsUsed: jest.fn(async (id) => {
+      codes.find((c) => c.id === id).used = true;
+    }),
+    invalidatePreviousCodes: jest.fn(async (email, type) => {
+      codes.filter((c) => c.email === email && c.type === type).forEach((c) => (c.used = true));
+    }),
+    countRecentAttempts: jest.fn(async () => 0),
+    registerFailedAttempt: jest.fn(async (email, type, maxAttempts) => {
+      const active = codes.find(
+        (c) => c.email === email && c.type === type && !c.used && c.expiresAt > new Date()
+      );
+      if (!active) {
+        return 0;
+      }
+      active.failedAttempts = (active.failedAttempts || 0) + 1;
+      active.used = active.failedAttempts >= maxAttempts;
+      return active.failedAttempts;
+    }),
+  };
+}
+
+describe('DonorPortalService - portal do doador', () => {
+  let codeRepository;
+  let emailService;
+  let donations;
+  let donationRepository;
+  let profiles;
+  let service;
+
+  beforeEach(() => {
+    codeRepository = createVerificationCodeRepository();
+    emailService = { sendEmail: jest.fn(async () => ({ success: true })) };
+    donations = [
+      {
+        id: 'd1',
+        donorEmail: 'Ana@Exemplo.com',
+        donorName: 'Ana',
+        organizationId: 'org-1',
+        type: 'single',
+        paymentStatus: 'approved',
+        amount: 50,
+      },
+      {
+        id: 'd2',
+        donorEmail: 'bia@exemplo.com',
+        donorName: 'Bia',
+        organizationId: 'org-1',
+        type: 'single',
+        paymentStatus: 'approved',
+        amount: 80,
+      },
+    ];
+    const ownedBy = (email) => donations.filter((d) => d.donorEmail.toLowerCase() === email);
+    donationRepository = {
+      findForDonor: jest.fn(async (email) => ownedBy(email)),
+      findById: jest.fn(async (id) => donations.find((d) => d.id === id) || null),
+      update: jest.fn(async (id, data) =>
+        Object.assign(
+          donations.find((d) => d.id === id),
+          data
+        )
+      ),
+      updateDonorContact: jest.fn(async (email, contact) => {
+        ownedBy(email).forEach((d) => Object.assign(d, contact));
+        return ownedBy(email).length;
+      }),
+    };
+    profiles = new Map();
+    const donorProfileRepository = {
+      findByEmail: jest.fn(async (email) => profiles.get(email) || null),
+      upsert: jest.fn(async (email, createData, updateData) => {
+        const profile = profiles.has(email)
+          ? { ...profiles.get(email), ...updateData }
+          : { ...createData, ...updateData, email };
+        profiles.set(email, profile);
+        return profile;
+      }),
+    };
+    service = new DonorPortalService(
+      codeRepository,
+      emailService,
+      donationRepository,
+      donorProfileRepository,
+      null,
+      { sessionSecret: 'segredo-de-teste' }
+    );
+  });
+
+  it('deve trocar o código enviado por email por uma sessão, uma única vez', async () => {
+    await service.requestLogin('desconhecido@exemplo.com');
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+
+    await service.requestLogin(' ANA@exemplo.com ');
+    expect(emailService.sendEmail).toHaveBeenCalledTimes(1);
+    const [{ code, email }] = codeRepository.codes;
+    expect(email).toBe('ana@exemplo.com');
+    expect(emailService.sendEmail.mock.calls[0][0].html).toContain(`code=${code}`);
+
+    await expect(service.verifyLogin('ana@exemplo.com', '000000')).rejects.toThrow(
+      'Código inválido'
+    );
+    const session = await service.verifyLogin('Ana@exemplo.com', code);
+    expect(session.profile).toMatchObject({ email: 'ana@exemplo.com', name: 'Ana' });
+    expect(service.verifySession(session.token)).toEqual({ email: 'ana@exemplo.com' });
+    await expect(service.verifyLogin('ana@exemplo.com', code)).rejects.toThrow('Código inválido');
+
+    const [payload, signature] = session.token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+        sub: 'bia@exemplo.com',
+      })
+    ).toString('base64url');
+    expect(() => service.verifySession(`${forged}.${signature}`)).toThrow('Sessão inválida');
+  });
+
+  it('deve invalidar o código após 5 tentativas incorretas', async () => {
+    await service.requestLogin('ana@exemplo.com');
+    const [{ code }] = codeRepository.codes;
+    const wrong = code === '999999' ? '999998' : '999999';
+
+    for (let i = 0; i < DonorPortalService.MAX_FAILED_ATTEMPTS; i++) {
+      await expect(service.verifyLogin('ana@exemplo.com', wrong)).rejects.toThrow(
+        'Código inválido'
+      );
+    }
+
+    await expect(service.verifyLogin('ana@exemplo.com', code)).rejects.toThrow('Código inválido');
+  });
+
+  it('deve escapar o nome do doador no email de acesso', async () => {
+    donations[0].donorName = '<a href="https://golpe.example">Ana</a>';
+
+    await service.requestLogin('ana@exemplo.com');
+
+    const { html } = emailService.sendEmail.mock.calls[0][0];
+    expect(html).toContain('Olá, &lt;a href=&quot;https://golpe.example&quot;&gt;Ana&lt;/a&gt;!');
+    expect(html).not.toContain('golpe.example">');
+  });
+
+  it('deve alterar privacidade e contato apenas das doações do próprio doador', async () => {
+    const updated = await service.updatePrivacy('ana@exemplo.com', 'd1', {
+      isAnonymous: true,
+      showInPublicList: false,
+    });
+    expect(updated).toMatchObject({ id: 'd1', isAnonymous: true, showInPublicList: false });
+    await expect(
+      service.updatePrivacy('ana@exemplo.com', 'd2', { isAnonymous: true })
+    ).rejects.toThrow('Doação não encontrada');
+    expect(donations[1].isAnonymous).toBeUndefined();
+
+    await service.updateProfile('ana@exemplo.com', { name: 'Ana Souza', phone: '11999990000' });
+    expect(donations[0]).toMatchObject({ donorName: 'Ana Souza', donorPhone: '11999990000' });
+    expect(donations[1].donorName).toBe('Bia');
+    expect(profiles.get('ana@exemplo.com').name).toBe('Ana Souza');
+  });
+});
@@ -0,0 +1,120 @@
+const DonorStatementService = require('../../../src/application/services/DonorStatementService');
+const StatementPdfRenderer = require('../../../src/infra/services/StatementPdfRenderer');
+
+describe('DonorStatementService - informe anual', () => {
+  const approvedAt = (timestamp) => [{ from: 'pending', to: 'approved', timestamp }];
+  const donations = [
+    {
+      id: 'd1',
+      organizationId: 'org-1',
+      organizationName: 'ONG Teste',
+      donorName: 'Maria',
+      donorEmail: 'maria@email.com',
+      donorDocument: '123.456.789-09',
+      amount: 100,
+      refundedAmount: 30,
+      createdAt: new Date('2025-03-01T12:00:00Z'),
+      statusHistory: approvedAt('2025-03-01T12:05:00Z'),
+    },
+    {
+      // Criada em dezembro e aprovada em janeiro: entra no ano seguinte
+      id: 'd2',
+      organizationId: 'org-1',
+      donorName: 'Maria',
+      donorEmail: 'maria@email.com',
+      amount: 40,
+      createdAt: new Date('2024-12-31T20:00:00Z'),
+      statusHistory: approvedAt('2025-01-02T10:00:00Z'),
+    },
+    {
+      id: 'd3',
+      organizationId: 'org-1',
+      donorName: 'João',
+      donorEmail: 'joao@email.com',
+      amount: 25,
+      createdAt: new Date('2024-12-20T12:00:00Z'),
+      statusHistory: approvedAt('2024-12-20T12:01:00Z'),
+    },
+  ];
+  const recurringParent = {
+    id: 'sub-donation',
+    donorName: 'Maria',
+    donorEmail: 'MARIA@email.com',
+    donorDocument: '12345678909',
+  };
+
+  let emailBridge;
+  let dispatchRepository;
+  let service;
+
+  beforeEach(() => {
+    emailBridge = {
+      sendBulkNotification: jest.fn(async (notification, recipients) => ({
+        successful: recipients.length,
+        failed: 0,
+        validRecipients: recipients.length,
+        results: recipients.map((r) => ({ success: true, recipient: r.email })),
+      })),
+    };
+    dispatchRepository = {
+      dispatches: [],
+      findByOrganizationAndYear: jest.fn(
+        async (organizationId, year) =>
+          dispatchRepository.dispatches.find(
+            (d) => d.organizationId === organizationId && d.year === year
+          ) || null
+      ),
+      save: jest.fn(async (data) => {
+        dispatchRepository.dispatches.push(data);
+        return data;
+      }),
+    };
+
+    service = new DonorStatementService(
+      {
+        donationRepository: {
+          findApprovedSingleByOrganization: jest.fn(async () => donations),
+          findByIds: jest.fn(async () => [recurringParent]),
+        },
+        chargeRepository: {
+          findApprovedByOrganization: jest.fn(async () => [
+            { id: 'c1', donationId: 'sub-donation', amount: 20, chargedAt: '2025-05-05T10:00:00Z' },
+          ]),
+        },
+        dispatchRepository,
+      },
+      new StatementPdfRenderer(),
+      emailBridge
+    );
+  });
+
+  it('deve consolidar por CPF as doações aprovadas no ano, líquidas de estorno, em CSV', async () => {
+    const report = await service.generate({ organizationId: 'org-1', year: 2025, format: 'csv' });
+
+    expect(report.statements).toHaveLength(1);
+    const [maria] = report.statements;
+    expect(maria.donorDocument).toBe('12345678909');
+    expect(maria.donationCount).toBe(3);
+    expect(maria.totalAmount).toBe(130);
+    expect(maria.donations.map((d) => d.reference)).toEqual(['d2', 'd1', 'c1']);
+
+    const csv = report.files[0].content.split('\n');
+    expect(csv[0]).toBe('Doador;Email;CPF;Data;Tipo;Valor;Referência');
+    expect(csv[2]).toContain('Doação única;70,00;d1');
+    expect(csv[3]).toContain('Parcela recorrente;20,00;c1');
+  });
+
+  it('deve enviar o informe em PDF a cada doador uma única vez por ano', async () => {
+    const first = await service.sendAnnualStatements({ year: 2025, organizationId: 'org-1' });
+    expect(first.sent).toBe(1);
+
+    const [, recipients, options] = emailBridge.sendBulkNotification.mock.calls[0];
+    expect(options).toEqual({ template: 'annual_statement' });
+    expect(recipients[0].email).toBe('maria@email.com');
+    expect(recipients[0].attachments[0].content.subarray(0, 4).toString()).toBe('%PDF');
+
+    const second = await service.sendAnnualStatements({ year: 2025, organizationId: 'org-1' });
+    expect(second.skipped).toBe(1);
+    expect(emailBridge.sendBulkNotification).toHaveBeenCalledTimes(1);
+  });
+});
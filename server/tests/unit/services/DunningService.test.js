@@ -0,0 +1,116 @@
+const DunningService = require('../../../src/application/services/DunningService');
+
+function createDunningRepository() {
+  const cases = [];
+  const open = ['grace', 'past_due'];
+
+  return {
+    cases,
+    create: jest.fn(async (data) => {
+      const dunningCase = {
+        id: `dc${cases.length + 1}`,
+        notifications: [],
+        createdAt: new Date(),
+        ...data,
+      };
+      cases.push(dunningCase);
+      return dunningCase;
+    }),
+    update: jest.fn(async (id, data) =>
+      Object.assign(
+        cases.find((c) => c.id === id),
+        data
+      )
+    ),
+    findOpenBySubscriptionId: jest.fn(
+      async (subscriptionId) =>
+        cases.find((c) => c.subscriptionId === subscriptionId && open.includes(c.status)) || null
+    ),
+    findLatestBySubscriptionId: jest.fn(
+      async (subscriptionId) =>
+        cases.filter((c) => c.subscriptionId === subscriptionId).pop() || null
+    ),
+    findDue: jest.fn(async (now) =>
+      cases.filter((c) => open.includes(c.status) && c.nextActionAt <= now)
+    ),
+  };
+}
+
+describe('DunningService', () => {
+  let repository;
+  let donationService;
+  let bridges;
+  let service;
+
+  beforeEach(() => {
+    const donation = {
+      id: 'd1',
+      subscriptionId: 'sub-1',
+      organizationId: 'org-1',
+      organizationName: 'ONG Teste',
+      donorEmail: 'doador@email.com',
+      donorName: 'Doador',
+      donorPhone: '11999999999',
+      amount: 30,
+    };
+
+    repository = createDunningRepository();
+    donationService = {
+      donationRepository: { findBySubscriptionId: jest.fn(async () => donation) },
+      updateSubscription: jest.fn(async () => ({ success: true })),
+    };
+    bridges = {
+      email: { sendNotification: jest.fn(async () => ({ success: true })) },
+      whatsapp: { sendNotification: jest.fn(async () => ({ success: true })) },
+    };
+    service = new DunningService(repository, donationService, bridges, {
+      retryScheduleDays: [3, 7],
+    });
+  });
+
+  it('deve abrir caso em carência e avisar apenas por email na primeira recusa', async () => {
+    const dunningCase = await service.handleChargeFailed({
+      subscriptionId: 'sub-1',
+      chargeId: 'c1',
+      reason: 'cc_rejected_insufficient_amount',
+    });
+
+    expect(dunningCase.status).toBe('grace');
+    expect(dunningCase.amount).toBe(30);
+    expect(bridges.email.sendNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ level: 'grace' }),
+      expect.objectContaining({ email: 'doador@email.com' }),
+      { template: 'dunning' }
+    );
+    expect(bridges.whatsapp.sendNotification).not.toHaveBeenCalled();
+
+    await service.handleChargeFailed({ subscriptionId: 'sub-1', chargeId: 'c1' });
+    expect(repository.cases).toHaveLength(1);
+    expect(repository.cases[0].failedAttempts).toBe(2);
+  });
+
+  it('deve escalar pelo cronograma e pausar a assinatura na última etapa', async () => {
+    const dunningCase = await service.handleChargeFailed({ subscriptionId: 'sub-1' });
+    const later = new Date(dunningCase.firstFailedAt.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    await service.processDueCases(later);
+    expect(repository.cases[0].status).toBe('past_due');
+    expect(bridges.whatsapp.sendNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ level: 'final_notice' }),
+      expect.any(Object),
+      { template: 'dunning' }
+    );
+
+    const result = await service.processDueCases(later);
+    expect(result).toEqual({ processed: 1, suspended: 1, failed: 0 });
+    expect(repository.cases[0].status).toBe('suspended');
+    expect(donationService.updateSubscription).toHaveBeenCalledWith('sub-1', {
+      action: 'pause',
+      source: 'dunning',
+    });
+
+    const status = await service.getSubscriptionDunning('sub-1');
+    expect(status.status).toBe('suspended');
+    expect(status.updateCardUrl).toContain('subscriptionId=sub-1');
+  });
+});
@@ -0,0 +1,124 @@
+const FraudDetectionService = require('../../../src/application/services/FraudDetectionService');
+
+describe('FraudDetectionService - pontuação e revisão', () => {
+  let assessments;
+  let repository;
+  let eventManager;
+  let donationService;
+  let emailService;
+  let service;
+
+  beforeEach(() => {
+    assessments = [];
+    repository = {
+      create: jest.fn(async (data) => {
+        const entry = { id: `a${assessments.length + 1}`, createdAt: new Date(), ...data };
+        assessments.push(entry);
+        return entry;
+      }),
+      findById: jest.fn(async (id) => assessments.find((a) => a.id === id) || null),
+      update: jest.fn(async (id, data) =>
+        Object.assign(
+          assessments.find((a) => a.id === id),
+          data
+        )
+      ),
+      updateIfPending: jest.fn(async (id, data) => {
+        const entry = assessments.find((a) => a.id === id);
+        if (!entry || entry.reviewStatus !== 'pending') {
+          return false;
+        }
+        Object.assign(entry, data);
+        return true;
+      }),
+      findRecentByIdentity: jest.fn(async (identity, since) =>
+        assessments.filter(
+          (a) =>
+            a.createdAt >= since &&
+            ['ip', 'donorEmail', 'donorDocument'].some((f) => identity[f] && a[f] === identity[f])
+        )
+      ),
+    };
+    eventManager = { emit: jest.fn() };
+    donationService = {
+      createSingleDonation: jest.fn(async () => ({
+        donation: { id: 'd1' },
+        paymentUrl: 'https://pay.example/d1',
+      })),
+    };
+    emailService = { sendEmail: jest.fn() };
+    service = new FraudDetectionService(repository, donationService, null, emailService, {
+      eventManager,
+    });
+  });
+
+  const attempt = (donationData, ip = '10.0.0.1') =>
+    service.assess({
+      kind: 'single',
+      ip,
+      userAgent: 'jest',
+      donationData: { organizationId: 'org1', amount: 1, ...donationData },
+    });
+
+  it('deve escalar rajadas de valores pequenos até o bloqueio e emitir alerta', async () => {
+    const decisions = [];
+    for (let i = 0; i < 6; i++) {
+      const result = await attempt({ donorEmail: `card${i}@mail.com`, donorName: 'Teste' });
+      decisions.push(result.decision);
+    }
+    // 4ª tentativa: rajada (40); 6ª: rajada + velocidade por IP (70)
+    expect(decisions).toEqual(['allow', 'allow', 'allow', 'flag', 'flag', 'hold']);
+    expect(assessments[5].reviewStatus).toBe('pending');
+
+    const blocked = await attempt({
+      donorEmail: 'card0@MAILINATOR.com',
+      donorName: 'Outro Nome',
+      cardToken: 'tok_x',
+    });
+    expect(blocked.reasons.map((r) => r.rule).sort()).toEqual([
+      'disposable_email',
+      'ip_velocity',
+      'tiny_amount_burst',
+    ]);
+    expect(blocked.decision).toBe('block');
+
+    const mismatch = await attempt(
+      { donorEmail: 'card1@mail.com', donorName: 'Fulano', amount: 50 },
+      '10.0.0.2'
+    );
+    expect(mismatch.reasons).toEqual([expect.objectContaining({ rule: 'name_mismatch' })]);
+
+    expect(eventManager.emit).toHaveBeenLastCalledWith(
+      'system.security.alert',
+      expect.objectContaining({ alertType: 'donation_fraud_suspected', severity: 'high' }),
+      expect.objectContaining({ ip: '10.0.0.1' })
+    );
+    expect(FraudDetectionService.heldData({ amount: 1, cardToken: 'tok' })).toEqual({ amount: 1 });
+  });
+
+  it('deve criar a doação retida na aprovação e impedir revisão em dobro', async () => {
+    service.thresholds.hold = 20;
+    const held = await attempt({ donorEmail: 'ana@yopmail.com', donorName: 'Ana' });
+    expect(held.decision).toBe('hold');
+
+    const result = await service.approve(held.id, 'admin1', 'conferido');
+    expect(donationService.createSingleDonation).toHaveBeenCalledWith(
+      expect.objectContaining({ donorEmail: 'ana@yopmail.com', amount: 1 })
+    );
+    expect(result).toMatchObject({ donationId: 'd1', paymentLink: 'https://pay.example/d1' });
+    expect(result.assessment).toMatchObject({ reviewStatus: 'approved', reviewedBy: 'admin1' });
+    expect(emailService.sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'ana@yopmail.com' })
+    );
+
+    await expect(service.approve(held.id, 'admin2')).rejects.toThrow('Apenas doações retidas');
+    await expect(service.reject(held.id, 'admin2')).rejects.toThrow('Apenas doações retidas');
+    expect(donationService.createSingleDonation).toHaveBeenCalledTimes(1);
+
+    donationService.createSingleDonation.mockRejectedValueOnce(new Error('gateway fora'));
+    const second = await attempt({ donorEmail: 'bia@yopmail.com', donorName: 'Bia' }, '10.0.0.9');
+    await expect(service.approve(second.id, 'admin1')).rejects.toThrow('Não foi possível');
+    expect(assessments.find((a) => a.id === second.id).reviewStatus).toBe('pending');
+    await expect(service.getAssessment('nope')).rejects.toThrow('não encontrada');
+  });
+});
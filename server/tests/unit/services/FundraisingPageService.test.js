@@ -0,0 +1,142 @@
+const CampaignService = require('../../../src/application/services/CampaignService');
+const DonationService = require('../../../src/application/services/DonationService');
+const FundraisingPageService = require('../../../src/application/services/FundraisingPageService');
+
+function createMemoryRepository(prefix) {
+  const items = new Map();
+  return {
+    items,
+    create: jest.fn(async (data) => {
+      const item = { id: `${prefix}${items.size + 1}`, ...data };
+      items.set(item.id, item);
+      return item;
+    }),
+    findById: jest.fn(async (id) => items.get(id) || null),
+    findBySlug: jest.fn(async (slug) => [...items.values()].find((i) => i.slug === slug) || null),
+    existsBySlug: jest.fn(async (slug) => [...items.values()].some((i) => i.slug === slug)),
+    findByCampaignId: jest.fn(async (campaignId) =>
+      [...items.values()].filter((i) => i.campaignId === campaignId)
+    ),
+    update: jest.fn(async (id, data) => {
+      const item = { ...items.get(id), ...data };
+      items.set(id, item);
+      return item;
+    }),
+  };
+}
+
+describe('FundraisingPageService - páginas de arrecadação pessoais', () => {
+  const pageData = {
+    title: 'Aniversário da Ana',
+    message: 'Em vez de presente, ajude a cozinha',
+    goalAmount: '500',
+    ownerName: 'Ana',
+    ownerEmail: 'Ana@Email.com',
+  };
+
+  let campaignRepository;
+  let pageRepository;
+  let donationRepository;
+  let campaignService;
+  let service;
+  let campaign;
+
+  beforeEach(async () => {
+    campaignRepository = createMemoryRepository('c');
+    pageRepository = createMemoryRepository('p');
+    donationRepository = {
+      create: jest.fn(async (data) => ({ id: 'd1', ...data })),
+      getFundraisingTotalsByPage: jest.fn(async () => []),
+    };
+    campaignService = new CampaignService(
+      campaignRepository,
+      donationRepository,
+      null,
+      pageRepository
+    );
+    service = new FundraisingPageService(pageRepository, campaignService, donationRepository);
+
+    campaign = await campaignService.createCampaign('org-1', {
+      title: 'Cozinha comunitária',
+      story: 'Reforma',
+      goalAmount: 2000,
+    });
+    await campaignService.changeStatus(campaign.id, 'org-1', 'publish');
+  });
+
+  it('deve atribuir a doação à página e à campanha e recusar páginas encerradas', async () => {
+    const donations = new DonationService(
+      donationRepository,
+      {},
+      { createPaymentPreference: jest.fn(async () => ({ id: 'mp-1', paymentUrl: 'https://mp' })) },
+      null,
+      null,
+      null,
+      campaignService
+    );
+    const { page } = await service.createPage({ ...pageData, campaignId: campaign.id });
+    expect(page.slug).toBe('aniversario-da-ana');
+    expect(page).not.toHaveProperty('manageTokenHash');
+    expect(page).not.toHaveProperty('ownerEmail');
+
+    const donationData = {
+      organizationId: 'org-1',
+      organizationName: 'ONG',
+      fundraisingPageId: page.id,
+      amount: 50,
+      donorName: 'Bia',
+      donorEmail: 'bia@email.com',
+    };
+    const { donation } = await donations.createSingleDonation(donationData);
+    expect(donation.campaignId).toBe(campaign.id);
+    expect(donation.fundraisingPageId).toBe(page.id);
+
+    await expect(
+      donations.createSingleDonation({ ...donationData, campaignId: 'c99' })
+    ).rejects.toThrow('não pertence à campanha informada');
+
+    await service.setStatus(page.slug, 'org-1', 'closed');
+    await expect(donations.createSingleDonation(donationData)).rejects.toThrow(
+      'Página de arrecadação não está recebendo doações'
+    );
+    await expect(service.setStatus(page.slug, 'org-2', 'active')).rejects.toThrow(
+      'outra organização'
+    );
+  });
+
+  it('deve ranquear os arrecadadores e exigir o token para editar a página', async () => {
+    const first = await service.createPage({ ...pageData, campaignId: campaign.id });
+    const second = await service.createPage({
+      ...pageData,
+      title: 'Corrida do Beto',
+      ownerName: 'Beto',
+      campaignId: campaign.id,
+    });
+    const third = await service.createPage({ ...pageData, campaignId: campaign.id });
+    expect(third.page.slug).toMatch(/^aniversario-da-ana-[0-9a-f]{6}$/);
+    await expect(
+      service.createPage({ ...pageData, slug: 'aniversario-da-ana', campaignId: campaign.id })
+    ).rejects.toThrow('Slug já está em uso');
+
+    donationRepository.getFundraisingTotalsByPage.mockResolvedValue([
+      { fundraisingPageId: first.page.id, raisedAmount: 120, donorCount: 2 },
+      { fundraisingPageId: second.page.id, raisedAmount: 300, donorCount: 5 },
+    ]);
+    const leaderboard = await service.getLeaderboard(campaign.id);
+    expect(
+      leaderboard.map((entry) => [entry.position, entry.ownerName, entry.raisedAmount])
+    ).toEqual([
+      [1, 'Beto', 300],
+      [2, 'Ana', 120],
+      [3, 'Ana', 0],
+    ]);
+
+    await expect(
+      service.updatePage(first.page.slug, 'token-errado', { goalAmount: 800 })
+    ).rejects.toThrow('Token de edição inválido');
+    const updated = await service.updatePage(first.page.slug, first.manageToken, {
+      goalAmount: 800,
+    });
+    expect(updated.goalAmount).toBe(800);
+  });
+});
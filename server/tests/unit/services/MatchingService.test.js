@@ -0,0 +1,177 @@
+const MatchingService = require('../../../src/application/services/MatchingService');
+const { DonationReportTemplate } = require('../../../src/application/templates/ReportTemplate');
+
+function createRuleRepository() {
+  const rules = new Map();
+  return {
+    rules,
+    create: jest.fn(async (data) => {
+      const rule = { id: `r${rules.size + 1}`, ...data };
+      rules.set(rule.id, rule);
+      return rule;
+    }),
+    findById: jest.fn(async (id) => (rules.has(id) ? { ...rules.get(id) } : null)),
+    findAll: jest.fn(async () => [...rules.values()]),
+    findActiveFor: jest.fn(async (organizationId) =>
+      [...rules.values()].filter(
+        (r) => r.organizationId === organizationId && r.status === 'active'
+      )
+    ),
+    adjustUsedAmount: jest.fn(async (id, expected, amount) => {
+      const rule = rules.get(id);
+      if (rule.usedAmount !== expected) {
+        return false;
+      }
+      rule.usedAmount = Math.round((rule.usedAmount + amount) * 100) / 100;
+      return true;
+    }),
+    update: jest.fn(async (id, data) => {
+      rules.set(id, { ...rules.get(id), ...data });
+      return rules.get(id);
+    }),
+  };
+}
+
+function createMatchedDonationRepository() {
+  const matches = [];
+  return {
+    matches,
+    create: jest.fn(async (data) => {
+      const match = { id: `m${matches.length + 1}`, ...data };
+      matches.push(match);
+      return match;
+    }),
+    findByRuleAndDonation: jest.fn(
+      async (ruleId, donationId) =>
+        matches.find((m) => m.ruleId === ruleId && m.donationId === donationId) || null
+    ),
+    findByDonationId: jest.fn(async (donationId) =>
+      matches.filter((m) => m.donationId === donationId)
+    ),
+    markReversed: jest.fn(async (id) => {
+      const match = matches.find((m) => m.id === id);
+      match.status = 'reversed';
+      return true;
+    }),
+  };
+}
+
+describe('MatchingService - empresa dobra a doação', () => {
+  const period = { startDate: '2026-01-01', endDate: '2026-12-31' };
+
+  let ruleRepository;
+  let matchedRepository;
+  let donations;
+  let service;
+
+  beforeEach(() => {
+    ruleRepository = createRuleRepository();
+    matchedRepository = createMatchedDonationRepository();
+    donations = new Map();
+    service = new MatchingService(
+      ruleRepository,
+      matchedRepository,
+      { findById: jest.fn(async (id) => donations.get(id) || null) },
+      {
+        findById: jest.fn(async (id) =>
+          id === 'sup-1' ? { id, name: 'Padaria Pão Quente' } : null
+        ),
+      }
+    );
+  });
+
+  function addDonation(id, amount, extra = {}) {
+    donations.set(id, {
+      id,
+      organizationId: 'org-1',
+      type: 'single',
+      paymentStatus: 'approved',
+      amount,
+      refundedAmount: 0,
+      ...extra,
+    });
+  }
+
+  it('deve dobrar respeitando proporção, teto por doação e orçamento total', async () => {
+    const rule = await service.createRule('org-1', {
+      supporterId: 'sup-1',
+      ratio: 1,
+      perDonationCap: 100,
+      totalBudget: 250,
+      ...period,
+    });
+    expect(rule.remainingBudget).toBe(250);
+    await service.createRule('org-1', {
+      supporterId: 'sup-1',
+      campaignId: 'camp-9',
+      ratio: 2,
+      totalBudget: 1000,
+      ...period,
+    });
+    await expect(
+      service.createRule('org-1', { supporterId: 'sup-x', ratio: 1, totalBudget: 10, ...period })
+    ).rejects.toThrow('Apoiador não encontrado');
+
+    addDonation('d1', 60);
+    addDonation('d2', 300);
+    addDonation('d3', 500);
+    addDonation('d4', 80);
+
+    const [first] = await service.handleDonationApproved('d1');
+    expect(first).toMatchObject({ donationId: 'd1', sourceAmount: 60, matchedAmount: 60 });
+    // Evento reentregue não dobra de novo
+    expect(await service.handleDonationApproved('d1')).toEqual([]);
+
+    expect((await service.handleDonationApproved('d2'))[0].matchedAmount).toBe(100); // teto
+    expect((await service.handleDonationApproved('d3'))[0].matchedAmount).toBe(90); // saldo
+    expect(await service.handleDonationApproved('d4')).toEqual([]);
+
+    const [updated] = await service.listRules('org-1');
+    expect(updated.remainingBudget).toBe(0);
+    expect(matchedRepository.matches.every((m) => m.ruleId === rule.id)).toBe(true);
+    await expect(service.updateRule(rule.id, 'org-1', { totalBudget: 200 })).rejects.toThrow(
+      'não pode ser menor'
+    );
+  });
+
+  it('deve devolver o orçamento em estornos totais e somar a dobra no relatório', async () => {
+    const rule = await service.createRule('org-1', {
+      supporterId: 'sup-1',
+      ratio: 0.5,
+      totalBudget: 1000,
+      ...period,
+    });
+    addDonation('d1', 200, { campaignId: 'camp-1', donorName: 'Ana', createdAt: new Date() });
+    addDonation('d2', 100, { donorName: 'Bia', createdAt: new Date() });
+    await service.handleDonationApproved('d1');
+    await service.handleDonationApproved('d2');
+    expect(ruleRepository.rules.get(rule.id).usedAmount).toBe(150);
+
+    const report = await new DonationReportTemplate({
+      donationRepository: {
+        find: jest.fn(async () => [...donations.values()]),
+        findMatchedDonations: jest.fn(async () =>
+          matchedRepository.matches.filter((m) => m.status === 'matched')
+        ),
+      },
+    }).execute({ organizationId: 'org-1' });
+    expect(report.data.report.summary.statistics).toMatchObject({
+      totalAmount: 300,
+      matchedDonations: 2,
+      matchedAmount: 150,
+    });
+    expect(report.data.report.summary.matchingBySupporter).toEqual([
+      { supporterId: 'sup-1', count: 2, amount: 150 },
+    ]);
+
+    donations.get('d2').refundedAmount = 40; // parcial: dobra mantida
+    expect(await service.handleDonationReversed('d2')).toEqual([]);
+
+    donations.get('d1').refundedAmount = 200;
+    donations.get('d1').paymentStatus = 'refunded';
+    const [reversed] = await service.handleDonationReversed('d1');
+    expect(reversed.donationId).toBe('d1');
+    expect(ruleRepository.rules.get(rule.id).usedAmount).toBe(50);
+    expect(await service.handleDonationReversed('d1')).toEqual([]);
+  });
+});
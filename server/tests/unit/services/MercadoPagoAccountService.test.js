@@ -0,0 +1,106 @@
+const MercadoPagoAccountService = require('../../../src/application/services/MercadoPagoAccountService');
+const PaymentProviderService = require('../../../src/application/services/PaymentProviderService');
+const DonationService = require('../../../src/application/services/DonationService');
+const MockMercadoPagoAdapter = require('../../../src/infra/adapters/MockMercadoPagoAdapter');
+const TokenCipher = require('../../../src/infra/services/TokenCipher');
+
+function createSettingsRepository(accounts = {}) {
+  const users = new Map(Object.entries(accounts).map(([id, data]) => [id, { id, ...data }]));
+  return {
+    users,
+    findMercadoPagoAccount: jest.fn(async (id) => users.get(id) || null),
+    findByMercadoPagoUserId: jest.fn(
+      async (userId) =>
+        [...users.values()].find((u) => u.mercadoPagoUserId === String(userId)) || null
+    ),
+    saveMercadoPagoAccount: jest.fn(async (id, data) => {
+      const user = { ...(users.get(id) || { id }), ...data };
+      users.set(id, user);
+      return user;
+    }),
+  };
+}
+
+describe('MercadoPagoAccountService - OAuth das organizações', () => {
+  const cipher = new TokenCipher('a'.repeat(64));
+  let platform;
+
+  const createService = (repository) =>
+    new MercadoPagoAccountService(
+      repository,
+      platform,
+      cipher,
+      (accessToken, accountId) => new MockMercadoPagoAdapter({ accountId }),
+      { redirectUri: 'http://api/callback', stateSecret: 'segredo' }
+    );
+
+  beforeEach(() => {
+    platform = new MockMercadoPagoAdapter();
+  });
+
+  it('deve conectar a conta via OAuth, cifrar os tokens e criar a doação na conta da ONG', async () => {
+    const repository = createSettingsRepository({ 'org-1': {}, 'org-2': {} });
+    const accounts = createService(repository);
+
+    const state = new URL(accounts.getAuthorizationUrl('org-1')).searchParams.get('state');
+    await expect(
+      accounts.connect({ code: platform.mockAuthorize('555'), state: `${state}x` })
+    ).rejects.toThrow('State do OAuth inválido');
+
+    const status = await accounts.connect({ code: platform.mockAuthorize('555'), state });
+    expect(status).toMatchObject({ connected: true, mercadoPagoUserId: '555' });
+
+    const stored = repository.users.get('org-1');
+    expect(stored.mercadoPagoAccessToken).toMatch(/^enc:v1:/);
+    expect(cipher.decrypt(stored.mercadoPagoAccessToken)).toMatch(/^APP_USR-mock-555-/);
+
+    const donationRepository = {
+      create: jest.fn(async (data) => ({ id: `d-${data.organizationId}`, ...data })),
+    };
+    const providers = new PaymentProviderService({ mercadopago: platform }, null, {
+      accountResolvers: { mercadopago: accounts },
+    });
+    const service = new DonationService(donationRepository, {}, platform, null, null, providers);
+    const donationData = { amount: 10, donorName: 'Ana', donorEmail: 'ana@email.com' };
+
+    const own = await service.createSingleDonation({ ...donationData, organizationId: 'org-1' });
+    const shared = await service.createSingleDonation({ ...donationData, organizationId: 'org-2' });
+
+    expect(own.donation.metadata.paymentAccountId).toBe('555');
+    expect(shared.donation.metadata.paymentAccountId).toBeUndefined();
+    expect(platform.mockPayments.has(own.mercadoPagoId)).toBe(false);
+    expect(platform.mockPayments.has(shared.mercadoPagoId)).toBe(true);
+    expect((await service.getDonationAdapter(own.donation)).accountId).toBe('555');
+  });
+
+  it('deve rotacionar o refresh token uma única vez e cifrar tokens legados', async () => {
+    const tokens = platform.issueMockTokens('777');
+    const repository = createSettingsRepository({
+      'org-1': {
+        mercadoPagoAccessToken: cipher.encrypt(tokens.accessToken),
+        mercadoPagoRefreshToken: cipher.encrypt(tokens.refreshToken),
+        mercadoPagoUserId: '777',
+        mercadoPagoTokenExpiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      },
+      'org-legacy': { mercadoPagoAccessToken: 'APP_USR-colado-a-mao', mercadoPagoUserId: '888' },
+    });
+    const accounts = createService(repository);
+    const refresh = jest.spyOn(platform, 'refreshOAuthToken');
+
+    const [first, second] = await Promise.all([
+      accounts.getAdapterForOrganization('org-1'),
+      accounts.getAdapterForOrganization('org-1'),
+    ]);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    const rotated = repository.users.get('org-1');
+    expect(cipher.decrypt(rotated.mercadoPagoRefreshToken)).not.toBe(tokens.refreshToken);
+    expect(rotated.mercadoPagoTokenExpiresAt.getTime()).toBeGreaterThan(Date.now() + 1e10);
+    await expect(platform.refreshOAuthToken(tokens.refreshToken)).rejects.toThrow('invalid_grant');
+
+    const legacy = await accounts.getAdapterForAccount('888');
+    expect(legacy.accountId).toBe('888');
+    expect(repository.users.get('org-legacy').mercadoPagoAccessToken).toMatch(/^enc:v1:/);
+  });
+});
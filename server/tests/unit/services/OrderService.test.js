@@ -0,0 +1,225 @@
+const OrderService = require('../../../src/application/services/OrderService');
+
+describe('OrderService - carrinho e pedidos do bazar', () => {
+  let products;
+  let orders;
+  let carts;
+  let adapter;
+  let eventManager;
+  let service;
+
+  beforeEach(() => {
+    products = new Map([
+      [
+        'p1',
+        {
+          id: 'p1',
+          name: 'Caneca',
+          price: 25,
+          stock: 5,
+          isAvailable: true,
+          organizationId: 'org1',
+          organizationName: 'ONG Esperança',
+        },
+      ],
+      [
+        'p2',
+        {
+          id: 'p2',
+          name: 'Camiseta',
+          price: 40.5,
+          stock: 1,
+          isAvailable: true,
+          organizationId: 'org1',
+          organizationName: 'ONG Esperança',
+        },
+      ],
+      [
+        'p3',
+        {
+          id: 'p3',
+          name: 'Livro',
+          price: 30,
+          stock: 3,
+          isAvailable: true,
+          organizationId: 'org2',
+          organizationName: 'Outra ONG',
+        },
+      ],
+    ]);
+    orders = [];
+    carts = [];
+
+    const cartRepository = {
+      create: jest.fn(async (data) => {
+        const cart = { id: `c${carts.length + 1}`, ...data };
+        carts.push(cart);
+        return cart;
+      }),
+      findByToken: jest.fn(async (token) => carts.find((c) => c.token === token) || null),
+      update: jest.fn(async (id, data) =>
+        Object.assign(
+          carts.find((c) => c.id === id),
+          data
+        )
+      ),
+      delete: jest.fn(async (id) => {
+        carts = carts.filter((c) => c.id !== id);
+      }),
+    };
+    const orderRepository = {
+      create: jest.fn(async (data) => {
+        const order = {
+          id: `o${orders.length + 1}`,
+          stockApplied: false,
+          createdAt: new Date(),
+          ...data,
+        };
+        orders.push(order);
+        return { ...order };
+      }),
+      findById: jest.fn(async (id) => {
+        const order = orders.find((o) => o.id === id);
+        return order ? { ...order } : null;
+      }),
+      findByCode: jest.fn(async (code) => orders.find((o) => o.code === code) || null),
+      findByPaymentReference: jest.fn(
+        async (ref) => orders.find((o) => o.paymentId === ref || o.preferenceId === ref) || null
+      ),
+      update: jest.fn(async (id, data) => ({
+        ...Object.assign(
+          orders.find((o) => o.id === id),
+          data
+        ),
+      })),
+      transitionStatus: jest.fn(async (id, from, to, entry, data) => {
+        const order = orders.find((o) => o.id === id);
+        if (!order || order.status !== from) {
+          return null;
+        }
+        Object.assign(order, data, { status: to, statusHistory: [...order.statusHistory, entry] });
+        return { ...order };
+      }),
+      setStockApplied: jest.fn(async (id, applied) => {
+        const order = orders.find((o) => o.id === id);
+        if (order.stockApplied === applied) {
+          return false;
+        }
+        order.stockApplied = applied;
+        return true;
+      }),
+    };
+    const productRepository = {
+      findById: jest.fn(async (id) => (products.has(id) ? { ...products.get(id) } : null)),
+      decrementStock: jest.fn(async (id, quantity) => {
+        const product = products.get(id);
+        if (product.stock < quantity) {
+          return null;
+        }
+        product.stock -= quantity;
+        return { ...product };
+      }),
+      incrementStock: jest.fn(async (id, quantity) => {
+        products.get(id).stock += quantity;
+        return { ...products.get(id) };
+      }),
+    };
+    adapter = {
+      createPaymentPreference: jest.fn(async (data) => ({
+        id: 'pref-1',
+        paymentUrl: 'https://pay.example/pref-1',
+        externalReference: data.externalReference,
+      })),
+      refundPayment: jest.fn(async (paymentId) => ({ id: `rf-${paymentId}`, status: 'approved' })),
+    };
+    eventManager = { emit: jest.fn() };
+    service = new OrderService(cartRepository, orderRepository, productRepository, adapter, null, {
+      eventManager,
+    });
+  });
+
+  const webhook = (order, paymentId, status) =>
+    service.applyPaymentStatus({ paymentId, status, externalReference: `order-${order.id}` });
+
+  it('deve baixar o estoque uma vez na aprovação e devolver no estorno', async () => {
+    const { token } = await service.createCart();
+    await service.setItem(token, 'p1', 2);
+    const cart = await service.setItem(token, 'p2', 1);
+    expect(cart.total).toBe(90.5);
+    await expect(service.setItem(token, 'p3', 1)).rejects.toThrow('uma organização');
+    await expect(service.setItem(token, 'p2', 2)).rejects.toThrow('Estoque insuficiente');
+
+    const { order, paymentUrl } = await service.checkout(token, {
+      buyerName: ' Maria ',
+      buyerEmail: 'Maria@Email.com',
+    });
+    expect(paymentUrl).toBe('https://pay.example/pref-1');
+    expect(order).toMatchObject({ status: 'pending_payment', total: 90.5 });
+    expect(adapter.createPaymentPreference).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 90.5, externalReference: 'order-o1' })
+    );
+    await expect(service.getCart(token)).rejects.toThrow('não encontrado');
+    // Pagamento recusado não muda o pedido; o estoque só sai na aprovação
+    await webhook(orders[0], 'pay-1', 'rejected');
+    expect(orders[0].status).toBe('pending_payment');
+    expect(products.get('p1').stock).toBe(5);
+
+    await webhook(orders[0], 'pay-1', 'approved');
+    await webhook(orders[0], 'pay-1', 'approved');
+    expect(orders[0]).toMatchObject({ status: 'paid', paymentId: 'pay-1', stockApplied: true });
+    expect([products.get('p1').stock, products.get('p2').stock]).toEqual([3, 0]);
+    expect(eventManager.emit).toHaveBeenCalledWith(
+      'product.stock.low',
+      expect.objectContaining({ productId: 'p1', currentStock: 3 }),
+      expect.anything()
+    );
+
+    const status = await service.getOrderStatus(order.code.toLowerCase(), 'maria@email.com');
+    expect(status).toMatchObject({ status: 'paid', paymentUrl: null });
+    await expect(service.getOrderStatus(order.code, 'outra@email.com')).rejects.toThrow(
+      'não encontrado'
+    );
+    await expect(service.cancelByBuyer(order.code, 'maria@email.com')).rejects.toThrow(
+      'Não é possível'
+    );
+
+    await expect(service.refundOrder('o1', 'org2')).rejects.toThrow('outra organização');
+    const refunded = await service.refundOrder('o1', 'org1', 'Desistência');
+    expect(adapter.refundPayment).toHaveBeenCalledWith('pay-1');
+    expect(refunded).toMatchObject({ status: 'refunded', stockApplied: false });
+    // O aviso de estorno do provedor chega depois e não devolve o estoque de novo
+    await webhook(orders[0], 'pay-1', 'refunded');
+    expect([products.get('p1').stock, products.get('p2').stock]).toEqual([5, 1]);
+  });
+
+  it('deve estornar automaticamente o pedido pago sem estoque', async () => {
+    const first = await service.createCart();
+    await service.setItem(first.token, 'p2', 1);
+    const second = await service.createCart();
+    await service.setItem(second.token, 'p1', 1);
+    await service.setItem(second.token, 'p2', 1);
+
+    const buyer = { buyerName: 'Ana', buyerEmail: 'ana@email.com' };
+    await service.checkout(first.token, buyer);
+    await service.checkout(second.token, buyer);
+
+    await webhook(orders[0], 'pay-a', 'approved');
+    await webhook(orders[1], 'pay-b', 'approved');
+
+    expect(orders[0].status).toBe('paid');
+    expect(orders[1]).toMatchObject({ status: 'refunded', cancelReason: 'Estoque insuficiente' });
+    expect(adapter.refundPayment).toHaveBeenCalledWith('pay-b');
+    // A caneca baixada antes da camiseta faltar voltou ao estoque
+    expect([products.get('p1').stock, products.get('p2').stock]).toEqual([5, 0]);
+
+    const pending = await service.createCart();
+    await service.setItem(pending.token, 'p1', 1);
+    await service.checkout(pending.token, buyer);
+    await webhook(orders[2], 'pay-c', 'cancelled');
+    expect(orders[2].status).toBe('cancelled');
+    await expect(service.fulfillOrder('o3', 'org1')).rejects.toThrow('Não é possível');
+    expect(
+      await service.applyPaymentStatus({ paymentId: 'x', externalReference: 'donation-1' })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+const DonationService = require('../../../src/application/services/DonationService');
+const PaymentProviderService = require('../../../src/application/services/PaymentProviderService');
+const MockPagarmeAdapter = require('../../../src/infra/adapters/MockPagarmeAdapter');
+
+function createDonationRepository() {
+  const donations = new Map();
+  const findBy = (field) =>
+    jest.fn(async (value) => [...donations.values()].find((d) => d[field] === value) || null);
+
+  return {
+    donations,
+    create: jest.fn(async (data) => {
+      const donation = { id: `d${donations.size + 1}`, ...data };
+      donations.set(donation.id, donation);
+      return donation;
+    }),
+    findById: jest.fn(async (id) => donations.get(id) || null),
+    findByMercadoPagoId: findBy('mercadoPagoId'),
+    findBySubscriptionId: findBy('subscriptionId'),
+    transitionStatus: jest.fn(async (id, from, to, historyEntry) => {
+      const donation = donations.get(id);
+      if (donation.paymentStatus !== from) {
+        return null;
+      }
+      donation.paymentStatus = to;
+      donation.statusHistory.push(historyEntry);
+      return donation;
+    }),
+  };
+}
+
+describe('PaymentProviderService - provedor de pagamento por organização', () => {
+  const donationData = {
+    organizationId: 'org-pagarme',
+    organizationName: 'ONG Esperança',
+    amount: 40,
+    donorName: 'Maria',
+    donorEmail: 'maria@email.com',
+  };
+
+  let repository;
+  let mercadoPago;
+  let pagarme;
+  let service;
+
+  beforeEach(() => {
+    repository = createDonationRepository();
+    mercadoPago = {
+      createPaymentPreference: jest.fn(async () => ({ id: 'mp-1', paymentUrl: 'https://mp' })),
+      cancelSubscription: jest.fn(),
+      processWebhook: jest.fn(),
+    };
+    pagarme = new MockPagarmeAdapter();
+
+    const providers = new PaymentProviderService(
+      { mercadopago: mercadoPago, pagarme },
+      {
+        findByOrganizationId: jest.fn(async (id) =>
+          id === 'org-pagarme' ? { id, paymentProvider: 'pagarme' } : { id, paymentProvider: null }
+        ),
+      }
+    );
+    service = new DonationService(repository, {}, mercadoPago, null, null, providers);
+  });
+
+  it('deve criar a doação no provedor escolhido e aprovar pelo webhook do Pagar.me', async () => {
+    const { donation } = await service.createSingleDonation(donationData);
+    const other = await service.createSingleDonation({ ...donationData, organizationId: 'org-2' });
+
+    expect(donation.paymentProvider).toBe('pagarme');
+    expect(donation.mercadoPagoId).toMatch(/^or_mock_/);
+    expect(other.donation).toMatchObject({ paymentProvider: 'mercadopago', mercadoPagoId: 'mp-1' });
+    expect(mercadoPago.createPaymentPreference).toHaveBeenCalledTimes(1);
+
+    const event = await pagarme.mockPay(donation.mercadoPagoId);
+    const result = await service.processPaymentWebhook(event, { provider: 'pagarme' });
+
+    expect(result).toMatchObject({ type: 'payment', status: 'approved' });
+    expect(mercadoPago.processWebhook).not.toHaveBeenCalled();
+    expect(repository.donations.get(donation.id).statusHistory[1]).toMatchObject({
+      to: 'approved',
+      source: 'pagarme_webhook',
+    });
+  });
+
+  it('deve manter a assinatura no provedor de origem e mapear as parcelas do Pagar.me', async () => {
+    const { donation, subscriptionId } = await service.createRecurringDonation({
+      ...donationData,
+      frequency: 'monthly',
+      cardToken: 'token_abc',
+    });
+    expect(donation.paymentProvider).toBe('pagarme');
+
+    const failed = await pagarme.mockInvoice(subscriptionId, { status: 'failed' });
+    const retry = await pagarme.mockInvoice(subscriptionId, { invoiceId: failed.data.id });
+    expect(await pagarme.processWebhook(retry)).toMatchObject({
+      type: 'authorized_payment',
+      authorizedPaymentId: failed.data.id,
+      subscriptionId,
+      status: 'approved',
+      retryAttempt: 1,
+    });
+
+    await service.cancelSubscription(subscriptionId);
+    expect(mercadoPago.cancelSubscription).not.toHaveBeenCalled();
+    expect((await pagarme.getSubscriptionStatus(subscriptionId)).status).toBe('cancelled');
+  });
+
+  it('deve usar o status do pedido na API e ignorar order.paid forjado no corpo', async () => {
+    const { donation } = await service.createSingleDonation(donationData);
+
+    // Quem conhece o id do pedido monta o evento, mas o pedido segue pendente no Pagar.me
+    const forged = {
+      id: 'hook_forjado',
+      type: 'order.paid',
+      data: { id: donation.mercadoPagoId, status: 'paid' },
+    };
+    const result = await service.processPaymentWebhook(forged, { provider: 'pagarme' });
+
+    expect(result).toMatchObject({ type: 'payment', status: 'pending' });
+    expect(repository.donations.get(donation.id).paymentStatus).toBe('pending');
+
+    const chargeback = {
+      type: 'charge.chargedback',
+      data: { id: 'ch_forjado', order: { id: donation.mercadoPagoId } },
+    };
+    expect(await pagarme.processWebhook(chargeback)).toMatchObject({ paymentIds: [] });
+  });
+});
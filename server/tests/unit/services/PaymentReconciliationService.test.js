@@ -0,0 +1,125 @@
+const DonationService = require('../../../src/application/services/DonationService');
+const PaymentReconciliationService = require('../../../src/application/services/PaymentReconciliationService');
+const MockMercadoPagoAdapter = require('../../../src/infra/adapters/MockMercadoPagoAdapter');
+
+function createDonationRepository(donations) {
+  return {
+    findStaleByStatus: jest.fn(async (statuses) =>
+      donations.filter((d) => statuses.includes(d.paymentStatus))
+    ),
+    markReconciled: jest.fn(async () => {}),
+    transitionStatus: jest.fn(async (id, from, to, historyEntry, data) => {
+      const donation = donations.find((d) => d.id === id);
+      if (donation.paymentStatus !== from) {
+        return null;
+      }
+      Object.assign(donation, data);
+      donation.paymentStatus = to;
+      donation.statusHistory = [...(donation.statusHistory || []), historyEntry];
+      return donation;
+    }),
+  };
+}
+
+describe('PaymentReconciliationService', () => {
+  let adapter;
+  let donations;
+  let paymentId;
+  let repository;
+  let service;
+
+  beforeEach(async () => {
+    adapter = new MockMercadoPagoAdapter();
+    const paid = await adapter.createPaymentPreference({ amount: 50, externalReference: 'ref-1' });
+    await adapter.createPaymentPreference({ amount: 20, externalReference: 'ref-2' });
+    const subscription = await adapter.createSubscription({ amount: 30 });
+
+    // Webhook perdido: o pagamento foi aprovado no provedor, mas a doação segue pending
+    await adapter.mockApprove(paid.id);
+
+    paymentId = paid.id;
+
+    // No checkout o mercadoPagoId é a preferência; o pagamento é achado pela external_reference
+    donations = [
+      {
+        id: 'd1',
+        type: 'single',
+        amount: 50,
+        mercadoPagoId: 'pref-1',
+        metadata: { externalReference: 'ref-1' },
+        paymentStatus: 'pending',
+      },
+      {
+        id: 'd2',
+        type: 'single',
+        amount: 20,
+        mercadoPagoId: 'pref-2',
+        metadata: { externalReference: 'ref-2' },
+        paymentStatus: 'pending',
+      },
+      {
+        id: 'd3',
+        type: 'recurring',
+        amount: 30,
+        subscriptionId: subscription.id,
+        paymentStatus: 'pending',
+      },
+      {
+        id: 'd4',
+        type: 'single',
+        amount: 10,
+        mercadoPagoId: 'inexistente',
+        paymentStatus: 'pending',
+      },
+    ];
+    repository = createDonationRepository(donations);
+    const donationService = new DonationService(repository, {}, adapter);
+    service = new PaymentReconciliationService(repository, donationService, adapter);
+  });
+
+  it('deve corrigir status divergentes e relatar o que mudou', async () => {
+    const report = await service.run({ trigger: 'manual', requestedBy: 'admin-1' });
+
+    expect(report).toMatchObject({
+      status: 'completed',
+      trigger: 'manual',
+      checked: 4,
+      updated: 2,
+      unchanged: 1,
+      failed: 1,
+    });
+    expect(report.changes).toEqual([
+      expect.objectContaining({ donationId: 'd1', from: 'pending', to: 'approved' }),
+      expect.objectContaining({ donationId: 'd3', from: 'pending', to: 'approved' }),
+    ]);
+    expect(report.errors[0]).toMatchObject({ donationId: 'd4' });
+    expect(donations[0].statusHistory[0].source).toBe('reconciliation');
+    expect(donations[0].paymentId).toBe(paymentId);
+    expect(repository.markReconciled).toHaveBeenCalledTimes(4);
+  });
+
+  it('deve registrar no relatório a doação que não pôde ser marcada como reconciliada', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    repository.markReconciled.mockRejectedValueOnce(new Error('conexão perdida'));
+
+    const report = await service.run();
+
+    expect(report).toMatchObject({ status: 'completed', checked: 4, markFailed: 1 });
+    expect(report.errors).toContainEqual({
+      donationId: 'd1',
+      error: 'Falha ao marcar reconciliação: conexão perdida',
+    });
+    expect(console.error).toHaveBeenCalledWith(
+      '[PAYMENT RECONCILIATION SERVICE] Erro ao marcar doação como reconciliada:',
+      'conexão perdida'
+    );
+    console.error.mockRestore();
+  });
+
+  it('deve recusar execução concorrente', async () => {
+    const first = service.run();
+
+    await expect(service.run()).rejects.toThrow('Reconciliação já em andamento');
+    await first;
+  });
+});
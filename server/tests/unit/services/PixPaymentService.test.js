@@ -0,0 +1,142 @@
+const DonationService = require('../../../src/application/services/DonationService');
+const PixPaymentService = require('../../../src/application/services/PixPaymentService');
+const PixBrCodeGenerator = require('../../../src/infra/services/PixBrCodeGenerator');
+
+function createDonationRepository() {
+  const donations = new Map();
+  return {
+    donations,
+    create: jest.fn(async (data) => {
+      const donation = { id: `d${donations.size + 1}`, ...data };
+      donations.set(donation.id, donation);
+      return donation;
+    }),
+    findById: jest.fn(async (id) => donations.get(id) || null),
+    transitionStatus: jest.fn(async (id, from, to, historyEntry) => {
+      const donation = donations.get(id);
+      if (donation.paymentStatus !== from) {
+        return null;
+      }
+      donation.paymentStatus = to;
+      donation.statusHistory.push(historyEntry);
+      return donation;
+    }),
+  };
+}
+
+describe('PixPaymentService - doações via PIX', () => {
+  const donationData = {
+    organizationId: 'org-1',
+    organizationName: 'ONG Esperança',
+    amount: 25,
+    donorName: 'Maria',
+    donorEmail: 'maria@email.com',
+  };
+
+  it('deve gerar BR Code estático da chave da organização e aprovar na confirmação', async () => {
+    const repository = createDonationRepository();
+    const service = new PixPaymentService(
+      new DonationService(repository, {}, null),
+      {
+        findIssuerProfile: jest.fn(async () => ({
+          name: 'ONG Esperança',
+          pixKey: 'ong@email.com',
+        })),
+      },
+      new PixBrCodeGenerator()
+    );
+
+    const { donation, pix } = await service.createPixDonation(donationData);
+
+    expect(service.getMode()).toBe('static');
+    expect(donation).toMatchObject({ paymentMethod: 'pix', mercadoPagoId: null });
+    expect(pix.qrCode).toContain('0014br.gov.bcb.pix0113ong@email.com');
+    expect(pix.qrCode).toContain('540525.00');
+    expect(pix.qrCode.slice(-4)).toBe(new PixBrCodeGenerator().crc16(pix.qrCode.slice(0, -4)));
+    expect(Buffer.from(pix.qrCodeBase64, 'base64').subarray(1, 4).toString()).toBe('PNG');
+
+    await expect(service.confirmStaticPix(donation.id, 'org-2')).rejects.toThrow('Não autorizado');
+    const confirmed = await service.confirmStaticPix(donation.id, 'org-1');
+    expect(confirmed.status).toBe('approved');
+    expect(repository.donations.get(donation.id).statusHistory[1]).toMatchObject({
+      to: 'approved',
+      source: 'pix_manual_confirmation',
+    });
+  });
+
+  it('deve usar o PIX do Mercado Pago quando configurado e expirar só o BR Code estático', async () => {
+    const repository = createDonationRepository();
+    const pixProvider = {
+      createPixPayment: jest.fn(async ({ expiresAt }) => ({
+        id: '987',
+        status: 'pending',
+        qrCode: '000201...mp',
+        qrCodeBase64: 'iVBOR',
+        expiresAt,
+      })),
+    };
+    const donationService = new DonationService(repository, {}, pixProvider);
+    const dynamic = new PixPaymentService(donationService, null, new PixBrCodeGenerator(), {
+      pixProvider,
+      expirationMinutes: 10,
+    });
+
+    const { donation } = await dynamic.createPixDonation(donationData);
+    expect(donation.mercadoPagoId).toBe('987');
+    expect(donation.pix).toMatchObject({ mode: 'mercadopago', qrCode: '000201...mp' });
+
+    // Vencido, mas o PIX dinâmico só muda de status pelo Mercado Pago
+    donation.pix.expiresAt = new Date(Date.now() - 1000);
+    expect((await dynamic.getPixStatus(donation.id)).status).toBe('pending');
+
+    const staticService = new PixPaymentService(
+      donationService,
+      { findIssuerProfile: jest.fn(async () => ({ name: 'ONG', pixKey: '12345678901' })) },
+      new PixBrCodeGenerator(),
+      { expirationMinutes: 10 }
+    );
+    const created = await staticService.createPixDonation(donationData);
+    created.donation.pix.expiresAt = new Date(Date.now() - 1000);
+
+    await expect(staticService.confirmStaticPix(created.donation.id, 'org-1')).rejects.toThrow(
+      'Cobrança PIX expirada'
+    );
+    expect((await staticService.getPixStatus(created.donation.id)).status).toBe('cancelled');
+  });
+
+  it('deve manter o campo 26 do BR Code em até 99 caracteres e o nome nunca vazio', () => {
+    const generator = new PixBrCodeGenerator();
+    const readField = (payload, id) => {
+      for (let i = 0; i < payload.length; ) {
+        const length = Number(payload.slice(i + 2, i + 4));
+        if (payload.slice(i, i + 2) === id) {
+          return payload.slice(i + 4, i + 4 + length);
+        }
+        i += 4 + length;
+      }
+      return null;
+    };
+    const description = 'Doação para a campanha de inverno de 2026';
+
+    // Chave aleatória (EVP): a descrição é encurtada para caber
+    const evp = generator.buildPayload({
+      key: '123e4567-e89b-12d3-a456-426614174000',
+      name: '***',
+      description,
+    });
+    const evpAccount = readField(evp, '26');
+    expect(evpAccount.length).toBeLessThanOrEqual(99);
+    expect(readField(evpAccount, '02')).toBe('Doacao para a campanha de inverno de');
+    expect(readField(evp, '59')).toBe('ONG');
+
+    // E-mail longo: não sobra espaço e a descrição é omitida
+    const email = generator.buildPayload({
+      key: `${'contato.financeiro'.repeat(3)}@ongesperanca.org.br`,
+      name: 'ONG Esperança',
+      description,
+    });
+    expect(readField(email, '26').length).toBeLessThanOrEqual(99);
+    expect(readField(readField(email, '26'), '02')).toBeNull();
+    expect(email.slice(-4)).toBe(generator.crc16(email.slice(0, -4)));
+  });
+});
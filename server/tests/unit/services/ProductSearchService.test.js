@@ -0,0 +1,109 @@
+const ProductService = require('../../../src/application/services/ProductService');
+
+describe('ProductSearchService - busca do catálogo', () => {
+  let productRepository;
+  let service;
+
+  const product = (id, price) => ({
+    id,
+    name: `Produto ${id}`,
+    price,
+    organizationId: 'org1',
+    isAvailable: true,
+    stock: 3,
+    reservedStock: 1,
+    options: [],
+    variants: [],
+  });
+
+  beforeEach(() => {
+    productRepository = {
+      search: jest.fn(async ({ after }) => ({
+        items: after ? [product('p3', 40)] : [product('p1', 10), product('p2', 25)],
+        total: 3,
+        facets: { categories: [{ value: 'Vestuário', count: 3 }] },
+        next: after ? null : { value: 25, id: '64b000000000000000000002' },
+      })),
+    };
+    service = new ProductService(productRepository, {}, null, {
+      eventManager: { emit: jest.fn() },
+    });
+  });
+
+  it('deve paginar a busca por cursor mantendo texto, filtros e ordenação', async () => {
+    const first = await service.searchProducts({
+      q: '  camiseta ',
+      category: 'Vestuário,Acessórios',
+      minPrice: '10',
+      inStock: 'true',
+      sort: 'price_asc',
+      limit: '2',
+    });
+
+    expect(productRepository.search).toHaveBeenCalledWith({
+      text: 'camiseta',
+      scope: { isAvailable: true },
+      filters: {
+        categories: ['Vestuário', 'Acessórios'],
+        price: { min: 10, max: null },
+        inStock: true,
+      },
+      sort: { field: 'price', direction: 1 },
+      sortKey: 'price_asc',
+      after: null,
+      limit: 2,
+    });
+    expect(first.data.map((item) => [item.id, item.availableStock])).toEqual([
+      ['p1', 2],
+      ['p2', 2],
+    ]);
+    expect(first.facets.categories).toEqual([{ value: 'Vestuário', count: 3 }]);
+    expect(first.pagination).toMatchObject({ total: 3, hasMore: true, sort: 'price_asc' });
+
+    const second = await service.searchProducts({
+      q: 'camiseta',
+      sort: 'price_asc',
+      cursor: first.pagination.nextCursor,
+    });
+    expect(productRepository.search.mock.calls[1][0].after).toEqual({
+      value: 25,
+      id: '64b000000000000000000002',
+    });
+    expect(second.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+
+    // O cursor só vale para a ordenação em que foi criado
+    await expect(
+      service.searchProducts({ q: 'camiseta', sort: 'newest', cursor: first.pagination.nextCursor })
+    ).rejects.toThrow('Invalid cursor: it was created for a different sort');
+  });
+
+  it('deve reaproveitar o motor na vitrine e nos produtos da organização', async () => {
+    await service.getAllAvailableProducts({ available: 'false' });
+    await service.getProductsByOrganization('org1', { available: 'false' });
+
+    const [showcase, own] = productRepository.search.mock.calls.map(([criteria]) => criteria);
+    // A vitrine ignora o filtro de disponibilidade; sem texto, abre pelos mais recentes
+    expect(showcase).toMatchObject({
+      text: null,
+      scope: { isAvailable: true },
+      filters: {},
+      sortKey: 'newest',
+      limit: 20,
+    });
+    expect(own).toMatchObject({
+      scope: { organizationId: 'org1' },
+      filters: { isAvailable: false },
+    });
+
+    await expect(service.searchProducts({ sort: 'relevance' })).rejects.toThrow(
+      'relevance requires q'
+    );
+    await expect(service.searchProducts({ minPrice: '50', maxPrice: '10' })).rejects.toThrow(
+      'Invalid price range'
+    );
+    await expect(service.searchProducts({ limit: '500' })).rejects.toThrow('Invalid limit');
+    await expect(service.searchProducts({ cursor: 'nao-e-um-cursor' })).rejects.toThrow(
+      'Invalid cursor'
+    );
+  });
+});
@@ -0,0 +1,165 @@
+const ProductService = require('../../../src/application/services/ProductService');
+const OrderService = require('../../../src/application/services/OrderService');
+
+describe('Variações de produto (tamanho, cor)', () => {
+  let products;
+  let eventManager;
+
+  // Repositório em memória: o produto guarda a soma das variações, como no Mongo
+  const productRepository = {
+    save: jest.fn(async (product) => {
+      const saved = {
+        ...product,
+        id: `p${products.size + 1}`,
+        variants: product.variants.map((variant, index) => ({ id: `v${index + 1}`, ...variant })),
+      };
+      products.set(saved.id, saved);
+      return structuredClone(saved);
+    }),
+    findById: jest.fn(async (id) => (products.has(id) ? structuredClone(products.get(id)) : null)),
+    setVariantStock: jest.fn(async (id, variantId, stock) => {
+      const product = products.get(id);
+      const variant = product.variants.find((item) => item.id === variantId);
+      product.stock += stock - variant.stock;
+      variant.stock = stock;
+      return structuredClone(product);
+    }),
+    decrementStock: jest.fn(async (id, quantity, variantId = null) => {
+      const product = products.get(id);
+      const holder = variantId ? product.variants.find((item) => item.id === variantId) : product;
+      if (holder.stock - (holder.reservedStock || 0) < quantity) {
+        return null;
+      }
+      holder.stock -= quantity;
+      if (variantId) {
+        product.stock -= quantity;
+      }
+      return structuredClone(product);
+    }),
+    incrementStock: jest.fn(),
+  };
+
+  beforeEach(() => {
+    products = new Map();
+    eventManager = { emit: jest.fn().mockResolvedValue(undefined) };
+  });
+
+  const productService = () =>
+    new ProductService(
+      productRepository,
+      {
+        findById: jest.fn(async (id) => ({ id, name: 'ONG Esperança', userType: 'organization' })),
+      },
+      null,
+      { eventManager }
+    );
+
+  const camiseta = {
+    name: 'Camiseta Rede',
+    description: 'Camiseta da campanha',
+    price: 40,
+    imageUrls: ['https://example.com/camiseta.jpg'],
+    category: 'Vestuário',
+    options: [
+      { name: 'Tamanho', values: ['P', 'M', 'G'] },
+      { name: 'Cor', values: ['Azul'] },
+    ],
+    variants: [
+      { attributes: { Tamanho: 'M', Cor: 'Azul' }, stock: 6 },
+      { attributes: { Tamanho: 'G', Cor: 'Azul' }, stock: 2, price: 45, sku: 'cam-g' },
+    ],
+  };
+
+  it('deve somar o estoque das variações e alertar estoque baixo da variação', async () => {
+    const service = productService();
+    const created = await service.createProduct(camiseta, 'org1');
+
+    expect(created.stock).toBe(8);
+    expect(created.variants).toEqual([
+      expect.objectContaining({
+        id: 'v1',
+        sku: 'CAMISETA-REDE-M-AZUL',
+        label: 'Tamanho: M, Cor: Azul',
+        price: 40,
+        availableStock: 6,
+      }),
+      expect.objectContaining({ id: 'v2', sku: 'CAM-G', price: 45, priceOverride: 45 }),
+    ]);
+    await expect(
+      service.createProduct(
+        {
+          ...camiseta,
+          variants: [...camiseta.variants, { attributes: { Tamanho: 'M', Cor: 'Azul' } }],
+        },
+        'org1'
+      )
+    ).rejects.toThrow('Duplicate variant: Tamanho: M, Cor: Azul');
+    await expect(service.updateProductStock(created.id, 3, 'org1', 'organization')).rejects.toThrow(
+      'update the stock of each variant'
+    );
+
+    const updated = await service.updateVariantStock(created.id, 'v1', 3, 'org1', 'organization');
+    expect(updated).toMatchObject({ stock: 5, variant: { id: 'v1', stock: 3 } });
+    expect(eventManager.emit).toHaveBeenCalledWith(
+      'product.stock.low',
+      expect.objectContaining({
+        productId: created.id,
+        variantId: 'v1',
+        sku: 'CAMISETA-REDE-M-AZUL',
+        variantLabel: 'Tamanho: M, Cor: Azul',
+        availableStock: 3,
+      }),
+      expect.anything()
+    );
+  });
+
+  it('deve vender a variação escolhida com o preço dela e baixar o estoque dela', async () => {
+    const { id } = await productService().createProduct(camiseta, 'org1');
+    const carts = [];
+    const orders = [];
+    const service = new OrderService(
+      {
+        create: jest.fn(async (data) => carts[carts.push({ id: 'c1', ...data }) - 1]),
+        findByToken: jest.fn(async (token) => carts.find((c) => c.token === token) || null),
+        update: jest.fn(async (cartId, data) => Object.assign(carts[0], data)),
+        delete: jest.fn(),
+      },
+      {
+        create: jest.fn(async (data) => orders[orders.push({ id: 'o1', ...data }) - 1]),
+        update: jest.fn(async (orderId, data) => Object.assign(orders[0], data)),
+        setStockApplied: jest.fn(async () => true),
+      },
+      productRepository,
+      {
+        createPaymentPreference: jest.fn(async () => ({ id: 'pref-1', paymentUrl: 'https://x' })),
+      },
+      null,
+      { eventManager }
+    );
+
+    const { token } = await service.createCart();
+    await expect(service.setItem(token, id, 1)).rejects.toThrow(
+      'Escolha uma variação de "Camiseta Rede"'
+    );
+    await expect(service.setItem(token, id, 3, 'v2')).rejects.toThrow(
+      'Estoque insuficiente para "Camiseta Rede (Tamanho: G, Cor: Azul)" (disponível: 2)'
+    );
+    await service.setItem(token, id, 1, 'v1');
+    const cart = await service.setItem(token, id, 2, 'v2');
+    expect(cart.items).toHaveLength(2);
+    expect(cart.total).toBe(130);
+
+    const { order } = await service.checkout(token, { buyerName: 'Ana', buyerEmail: 'a@a.com' });
+    expect(order.items[1]).toMatchObject({
+      variantId: 'v2',
+      sku: 'CAM-G',
+      variantLabel: 'Tamanho: G, Cor: Azul',
+      unitPrice: 45,
+      subtotal: 90,
+    });
+
+    await expect(service.applyStock(order)).resolves.toBe(true);
+    const stored = products.get(id);
+    expect([stored.stock, stored.variants[0].stock, stored.variants[1].stock]).toEqual([5, 5, 0]);
+  });
+});
@@ -0,0 +1,124 @@
+const ProductService = require('../../../src/application/services/ProductService');
+const ProductVersionService = require('../../../src/application/services/ProductVersionService');
+
+describe('ProductVersionService - histórico persistido de produtos', () => {
+  let products;
+  let versions;
+  let service;
+
+  beforeEach(() => {
+    products = new Map();
+    versions = [];
+
+    const productRepository = {
+      save: jest.fn(async (product) => {
+        const saved = { ...product, id: `p${products.size + 1}`, reservedStock: 0 };
+        products.set(saved.id, saved);
+        return { ...saved };
+      }),
+      findById: jest.fn(async (id) => (products.has(id) ? { ...products.get(id) } : null)),
+      update: jest.fn(async (id, data) => {
+        products.set(id, { ...products.get(id), ...data });
+        return { ...products.get(id) };
+      }),
+      setStock: jest.fn(async (id, stock) => {
+        products.set(id, { ...products.get(id), stock });
+        return { ...products.get(id) };
+      }),
+    };
+    const userRepository = {
+      findById: jest.fn(async (id) => ({ id, name: `ONG ${id}`, userType: 'organization' })),
+    };
+    const productVersionRepository = {
+      findLatest: jest.fn(
+        async (productId) =>
+          versions
+            .filter((v) => v.productId === productId)
+            .sort((a, b) => b.version - a.version)[0] || null
+      ),
+      createNext: jest.fn(async (data) => {
+        const count = versions.filter((v) => v.productId === data.productId).length;
+        const version = { id: `v${versions.length + 1}`, ...data, version: count + 1 };
+        versions.push(version);
+        return version;
+      }),
+      findByVersion: jest.fn(
+        async (productId, version) =>
+          versions.find((v) => v.productId === productId && v.version === version) || null
+      ),
+      findByProduct: jest.fn(async (productId) => ({
+        data: versions.filter((v) => v.productId === productId).reverse(),
+        pagination: { page: 1, limit: 20 },
+      })),
+    };
+
+    service = new ProductService(
+      productRepository,
+      userRepository,
+      new ProductVersionService(productVersionRepository),
+      { eventManager: { emit: jest.fn().mockResolvedValue(undefined) } }
+    );
+  });
+
+  const productData = {
+    name: 'Caneca',
+    description: 'Caneca de cerâmica',
+    price: 25,
+    imageUrls: ['https://example.com/caneca.jpg'],
+    category: 'Cozinha',
+    stock: 10,
+  };
+
+  it('deve gravar uma versão por alteração com a diferença e o autor', async () => {
+    const product = await service.createProduct(productData, 'org1');
+    await service.updateProduct(product.id, { ...productData, price: 30 }, 'org1', 'organization');
+    // Edição sem mudança não gera versão
+    await service.updateProduct(product.id, { ...productData, price: 30 }, 'org1', 'organization');
+    await service.updateProductStock(product.id, 7, 'org1', 'organization');
+
+    expect(versions.map((v) => [v.version, v.action, v.actorId])).toEqual([
+      [1, 'create', 'org1'],
+      [2, 'update', 'org1'],
+      [3, 'stock', 'org1'],
+    ]);
+    expect(versions[1].changes).toEqual({ price: { from: 25, to: 30 } });
+
+    const diff = await service.getProductVersionDiff(product.id, '1', '3', 'org1');
+    expect(diff.changes).toEqual({ price: { from: 25, to: 30 }, stock: { from: 10, to: 7 } });
+    await expect(service.getProductVersions(product.id, 'org2')).rejects.toThrow(
+      'your own products'
+    );
+  });
+
+  it('deve restaurar os dados de uma versão anterior sem voltar o estoque', async () => {
+    const product = await service.createProduct(productData, 'org1');
+    await service.updateProduct(
+      product.id,
+      { ...productData, name: 'Caneca grande', price: 35 },
+      'org1',
+      'organization'
+    );
+    await service.updateProductStock(product.id, 4, 'org1', 'organization');
+
+    const restored = await service.restoreProductVersion(product.id, '1', 'org1');
+
+    expect(restored).toMatchObject({
+      name: 'Caneca',
+      price: 25,
+      stock: 4,
+      restoredFromVersion: 1,
+    });
+    expect(versions[3]).toMatchObject({
+      version: 4,
+      action: 'restore',
+      restoredFromVersion: 1,
+      changes: { name: { from: 'Caneca grande', to: 'Caneca' }, price: { from: 35, to: 25 } },
+    });
+    await expect(service.restoreProductVersion(product.id, '9', 'org1')).rejects.toThrow(
+      'Version 9 not found'
+    );
+    await expect(service.restoreProductVersion(product.id, '1', 'org2')).rejects.toThrow(
+      'your own products'
+    );
+  });
+});
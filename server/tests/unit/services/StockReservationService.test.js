@@ -0,0 +1,171 @@
+const StockReservationService = require('../../../src/application/services/StockReservationService');
+
+describe('StockReservationService - reservas de estoque', () => {
+  let products;
+  let reservations;
+  let eventManager;
+  let service;
+
+  beforeEach(() => {
+    products = new Map([
+      [
+        'p1',
+        {
+          id: 'p1',
+          name: 'Quadro pintado',
+          stock: 1,
+          reservedStock: 0,
+          isAvailable: true,
+          organizationId: 'org1',
+        },
+      ],
+      [
+        'p2',
+        {
+          id: 'p2',
+          name: 'Caneca',
+          stock: 4,
+          reservedStock: 0,
+          isAvailable: true,
+          organizationId: 'org1',
+        },
+      ],
+    ]);
+    reservations = [];
+
+    const available = (product) => product.stock - product.reservedStock;
+    const productRepository = {
+      findById: jest.fn(async (id) => {
+        const product = products.get(id);
+        return product ? { ...product } : null;
+      }),
+      reserveStock: jest.fn(async (id, quantity) => {
+        const product = products.get(id);
+        if (available(product) < quantity) {
+          return null;
+        }
+        product.reservedStock += quantity;
+        return { ...product };
+      }),
+      releaseReservedStock: jest.fn(async (id, quantity) => {
+        products.get(id).reservedStock -= quantity;
+        return { ...products.get(id) };
+      }),
+      convertReservedStock: jest.fn(async (id, quantity) => {
+        const product = products.get(id);
+        product.reservedStock -= quantity;
+        product.stock -= quantity;
+        return { ...product };
+      }),
+    };
+
+    const reservationRepository = {
+      create: jest.fn(async (data) => {
+        const reservation = { id: `r${reservations.length + 1}`, ...data };
+        reservations.push(reservation);
+        return { ...reservation };
+      }),
+      findById: jest.fn(async (id) => {
+        const reservation = reservations.find((r) => r.id === id);
+        return reservation ? { ...reservation } : null;
+      }),
+      findActiveByProduct: jest.fn(async (productId) =>
+        reservations.filter((r) => r.productId === productId && r.status === 'active')
+      ),
+      findActiveByOrder: jest.fn(async (orderId) =>
+        reservations.filter((r) => r.orderId === orderId && r.status === 'active')
+      ),
+      findActiveByHolder: jest.fn(
+        async (productId, source, holderKey) =>
+          reservations.find(
+            (r) =>
+              r.productId === productId &&
+              r.source === source &&
+              r.holderKey === holderKey &&
+              r.status === 'active'
+          ) || null
+      ),
+      findExpired: jest.fn(async (now, limit, productId) =>
+        reservations.filter(
+          (r) =>
+            r.status === 'active' && r.expiresAt <= now && (!productId || r.productId === productId)
+        )
+      ),
+      resolve: jest.fn(async (id, status) => {
+        const reservation = reservations.find((r) => r.id === id);
+        if (reservation.status !== 'active') {
+          return false;
+        }
+        reservation.status = status;
+        return true;
+      }),
+      extend: jest.fn(async (id, expiresAt) => {
+        reservations.find((r) => r.id === id).expiresAt = expiresAt;
+        return true;
+      }),
+    };
+
+    eventManager = { emit: jest.fn().mockResolvedValue(undefined) };
+    service = new StockReservationService(reservationRepository, productRepository, {
+      eventManager,
+    });
+  });
+
+  it('deve segurar a última unidade para um comprador do WhatsApp até a reserva vencer', async () => {
+    const first = await service.hold('p1', 1, { source: 'whatsapp', holderKey: '10.0.0.1' });
+    expect(products.get('p1')).toMatchObject({ stock: 1, reservedStock: 1 });
+
+    // O mesmo cliente pedindo o link de novo renova a reserva em vez de criar outra
+    const renewed = await service.hold('p1', 1, { source: 'whatsapp', holderKey: '10.0.0.1' });
+    expect(renewed.id).toBe(first.id);
+    await expect(
+      service.hold('p1', 1, { source: 'whatsapp', holderKey: '10.0.0.2' })
+    ).rejects.toThrow('Estoque insuficiente para "Quadro pintado" (disponível: 0)');
+
+    reservations[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(service.releaseExpired()).resolves.toEqual({ expired: 1 });
+    expect(reservations[0].status).toBe('expired');
+    expect(products.get('p1').reservedStock).toBe(0);
+
+    await service.hold('p1', 1, { source: 'whatsapp', holderKey: '10.0.0.2' });
+    expect(products.get('p1')).toMatchObject({ stock: 1, reservedStock: 1 });
+  });
+
+  it('deve reservar o checkout inteiro ou nada e baixar o estoque na confirmação', async () => {
+    await expect(
+      service.holdMany(
+        [
+          { productId: 'p2', quantity: 2 },
+          { productId: 'p1', quantity: 2 },
+        ],
+        { source: 'checkout', orderId: 'o1' }
+      )
+    ).rejects.toThrow('Estoque insuficiente');
+    expect(products.get('p2').reservedStock).toBe(0);
+    expect(reservations.map((r) => r.status)).toEqual(['released']);
+
+    await service.holdMany([{ productId: 'p2', quantity: 2 }], {
+      source: 'checkout',
+      orderId: 'o2',
+    });
+    // Alerta pelo disponível: 4 em estoque, 2 reservadas
+    expect(eventManager.emit).toHaveBeenCalledWith(
+      'product.stock.low',
+      expect.objectContaining({ productId: 'p2', currentStock: 4, availableStock: 2 }),
+      expect.anything()
+    );
+
+    await expect(service.confirmForOrder('o2')).resolves.toEqual([
+      { productId: 'p2', quantity: 2 },
+    ]);
+    await expect(service.confirmForOrder('o2')).resolves.toEqual([]);
+    expect(products.get('p2')).toMatchObject({ stock: 2, reservedStock: 0 });
+
+    await expect(service.resolveForProduct('p2', 'r2', 'org2', 'release')).rejects.toThrow(
+      'outra organização'
+    );
+    await expect(service.resolveForProduct('p2', 'r2', 'org1', 'release')).rejects.toThrow(
+      'Reserva já encerrada'
+    );
+  });
+});
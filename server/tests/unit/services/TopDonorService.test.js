@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const TopDonorService = require('../../../src/application/services/TopDonorService');
+
+const KEY_SECRET = 'segredo-do-ranking';
+
+function createTopDonorRepository() {
+  const entries = new Map();
+  let sequence = 0;
+  const inPeriod = (month, year) =>
+    [...entries.values()].filter((e) => e.referenceMonth === month && e.referenceYear === year);
+
+  return {
+    entries,
+    create: jest.fn(async (data) => {
+      const entry = { id: `t${++sequence}`, source: 'manual', donorKey: null, ...data };
+      entries.set(entry.id, entry);
+      return entry;
+    }),
+    findById: jest.fn(async (id) => entries.get(id) || null),
+    update: jest.fn(async (id, data) => Object.assign(entries.get(id), data)),
+    delete: jest.fn(async (id) => entries.delete(id)),
+    updatePosition: jest.fn(async (id, topPosition) => {
+      entries.get(id).topPosition = topPosition;
+    }),
+    findByPeriodOrderByAmount: jest.fn(async (month, year) =>
+      inPeriod(month, year).sort((a, b) => b.donatedAmount - a.donatedAmount)
+    ),
+    findByDonorKey: jest.fn(async (month, year, donorKey) =>
+      inPeriod(month, year).filter((e) => e.donorKey === donorKey)
+    ),
+    findKeyedByPeriod: jest.fn(async (month, year) =>
+      inPeriod(month, year).filter((e) => e.donorKey)
+    ),
+    findByDonationId: jest.fn(async () => []),
+    findTopN: jest.fn(async (month, year, limit) =>
+      inPeriod(month, year)
+        .sort((a, b) => a.topPosition - b.topPosition)
+        .slice(0, limit)
+    ),
+    findByPeriod: jest.fn(async (month, year) => inPeriod(month, year)),
+    findForLeaderboard: jest.fn(async ({ year } = {}) =>
+      [...entries.values()]
+        .filter((e) => !year || e.referenceYear === year)
+        .sort((a, b) => a.referenceYear - b.referenceYear || a.referenceMonth - b.referenceMonth)
+    ),
+  };
+}
+
+describe('TopDonorService - ranking automático', () => {
+  let repository;
+  let payments;
+  let donations;
+  let service;
+
+  const ranking = () =>
+    [...repository.entries.values()]
+      .sort((a, b) => a.topPosition - b.topPosition)
+      .map((e) => [e.topPosition, e.donorName, e.donatedAmount, e.donationType, e.source]);
+
+  beforeEach(() => {
+    repository = createTopDonorRepository();
+    payments = [];
+    donations = new Map();
+    service = new TopDonorService(
+      repository,
+      {
+        findById: jest.fn(async (id) => donations.get(id) || null),
+        findApprovedPayments: jest.fn(async ({ from, to, donorEmail }) =>
+          payments.filter(
+            (p) =>
+              p.paidAt >= from &&
+              p.paidAt <= to &&
+              (!donorEmail || p.donorEmail.toLowerCase() === donorEmail)
+          )
+        ),
+      },
+      { keySecret: KEY_SECRET }
+    );
+  });
+
+  function pay(donorEmail, donorName, amount, extra = {}) {
+    payments.push({
+      donorEmail,
+      donorName,
+      amount,
+      type: 'single',
+      organizationId: 'org-1',
+      organizationName: 'ONG Esperança',
+      isAnonymous: false,
+      showInPublicList: true,
+      paidAt: new Date('2026-03-10T15:00:00Z'),
+      ...extra,
+    });
+  }
+
+  it('deve agregar por doador respeitando privacidade, tipos e registros manuais', async () => {
+    pay('ana@exemplo.com', 'Ana', 100);
+    pay('ANA@exemplo.com', 'Ana Souza', 50, { type: 'recurring', organizationId: 'org-2' });
+    pay('bia@exemplo.com', 'Bia', 120, { isAnonymous: true });
+    pay('caio@exemplo.com', 'Caio', 500, { showInPublicList: false });
+    pay('duda@exemplo.com', 'Duda', 90, { type: 'recurring' });
+    pay('eva@exemplo.com', 'Eva', 70);
+    // Virada do mês no fuso de Brasília: 1º de abril, 01h UTC ainda é março
+    pay('eva@exemplo.com', 'Eva', 10, { paidAt: new Date('2026-04-01T01:00:00Z') });
+    pay('eva@exemplo.com', 'Eva', 999, { paidAt: new Date('2026-04-01T04:00:00Z') });
+
+    await service.createTopDonor({
+      donorName: 'Duda (evento presencial)',
+      donatedAmount: 300,
+      donationType: 'total',
+      donationDate: '2026-03-20',
+      referenceMonth: 3,
+      referenceYear: 2026,
+      donorEmail: 'Duda@Exemplo.com',
+    });
+
+    const result = await service.refreshAutomaticRanking(3, 2026);
+    expect(result).toMatchObject({ donors: 3, overridden: 1, removed: 0 });
+    expect(ranking()).toEqual([
+      [1, 'Duda (evento presencial)', 300, 'total', 'manual'],
+      [2, 'Ana Souza', 150, 'total', 'auto'],
+      [3, 'Doador anônimo', 120, 'single', 'auto'],
+      [4, 'Eva', 80, 'single', 'auto'],
+    ]);
+    const ana = [...repository.entries.values()].find((e) => e.donorName === 'Ana Souza');
+    expect(ana.organizationId).toBeNull();
+    expect(ana.donorKey).toBe(TopDonorService.donorKeyOf('ana@exemplo.com', KEY_SECRET));
+    expect(JSON.stringify(ana)).not.toContain('ana@exemplo.com');
+
+    // Sem o segredo do servidor, o hash de um email conhecido não bate com a chave
+    const plainHash = crypto.createHash('sha256').update('ana@exemplo.com').digest('hex');
+    expect(ana.donorKey).not.toBe(plainHash);
+    expect(() => TopDonorService.donorKeyOf('ana@exemplo.com')).toThrow('Segredo');
+
+    // Rodar de novo atualiza sem duplicar
+    await service.refreshAutomaticRanking(3, 2026);
+    expect(repository.entries.size).toBe(4);
+  });
+
+  it('deve atualizar só o doador afetado em aprovações e estornos', async () => {
+    donations.set('d1', {
+      id: 'd1',
+      donorEmail: 'Ana@exemplo.com',
+      createdAt: new Date('2026-03-05'),
+    });
+    donations.set('d2', {
+      id: 'd2',
+      donorEmail: 'bia@exemplo.com',
+      createdAt: new Date('2026-03-06'),
+    });
+    pay('bia@exemplo.com', 'Bia', 80);
+    await service.refreshForDonation('d2');
+
+    pay('ana@exemplo.com', 'Ana', 100);
+    const entry = await service.refreshForDonation('d1');
+    expect(entry).toMatchObject({ donorName: 'Ana', donatedAmount: 100, source: 'auto' });
+    expect(ranking().map(([position, name]) => [position, name])).toEqual([
+      [1, 'Ana'],
+      [2, 'Bia'],
+    ]);
+    expect(repository.findKeyedByPeriod).not.toHaveBeenCalled();
+
+    // Estorno total: a doação deixa de ser aprovada e o registro sai do ranking
+    payments = payments.filter((p) => p.donorEmail !== 'ana@exemplo.com');
+    await service.refreshForDonation('d1');
+    expect(ranking()).toEqual([[1, 'Bia', 80, 'single', 'auto']]);
+
+    expect(await service.refreshForDonation('inexistente')).toBeNull();
+  });
+
+  it('deve omitir chave, origem e metadados nas consultas públicas do período', async () => {
+    pay('ana@exemplo.com', 'Ana Souza', 150);
+    await service.refreshAutomaticRanking(3, 2026);
+    await service.createTopDonor({
+      donorName: 'Caio',
+      donatedAmount: 120,
+      donationType: 'single',
+      donationDate: '2026-03-12',
+      referenceMonth: 3,
+      referenceYear: 2026,
+      donorEmail: 'caio@exemplo.com',
+      metadata: { anonymous: true },
+    });
+
+    const period = await service.getPublicTopDonorsByPeriod(3, 2026);
+    const top = await service.getPublicTopN(3, 2026, 1);
+
+    expect(top).toEqual([expect.objectContaining({ topPosition: 1, donorName: 'Ana Souza' })]);
+    expect(period.map((e) => e.donorName).sort()).toEqual(['Ana Souza', 'Doador anônimo']);
+    for (const entry of [...period, ...top]) {
+      expect(entry).not.toHaveProperty('donorKey');
+      expect(entry).not.toHaveProperty('source');
+      expect(entry).not.toHaveProperty('metadata');
+    }
+  });
+});
+
+describe('TopDonorService - rankings históricos', () => {
+  let repository;
+  let service;
+
+  beforeEach(() => {
+    repository = createTopDonorRepository();
+    service = new TopDonorService(repository, null, { keySecret: KEY_SECRET });
+  });
+
+  function entry(donorName, month, year, donatedAmount, extra = {}) {
+    return service.createTopDonor({
+      donorName,
+      donatedAmount,
+      donationType: 'recurring',
+      donationDate: `${year}-${String(month).padStart(2, '0')}-10`,
+      referenceMonth: month,
+      referenceYear: year,
+      ...extra,
+    });
+  }
+
+  it('deve somar por doador no ano e em todos os tempos, mantendo anônimos e sequências', async () => {
+    await entry('Ana', 11, 2025, 200, { donorEmail: 'ana@exemplo.com' });
+    await entry('Ana Souza', 1, 2026, 100, { donorEmail: 'ana@exemplo.com' });
+    await entry('Bia', 1, 2026, 150, { metadata: { anonymous: true } });
+    await entry('Bia', 2, 2026, 120, { donationType: 'single' });
+    await entry('Caio', 2, 2026, 90);
+
+    expect(await service.getYearlyLeaderboard(2026)).toMatchObject([
+      { position: 1, donorName: 'Doador anônimo', totalAmount: 270, monthsRanked: 2 },
+      { position: 2, donorName: 'Ana Souza', totalAmount: 100, monthsRanked: 1 },
+      { position: 3, donorName: 'Caio', totalAmount: 90 },
+    ]);
+    expect((await service.getAllTimeLeaderboard(1))[0]).toMatchObject({
+      donorName: 'Ana Souza',
+      totalAmount: 300,
+      monthsRanked: 2,
+    });
+    await expect(service.getAllTimeLeaderboard(0)).rejects.toThrow('Limite');
+
+    // Sequências relativas ao mês corrente
+    repository.entries.clear();
+    const now = TopDonorService.periodOf(new Date());
+    const monthsAgo = (n) => {
+      const index = TopDonorService.monthIndex(now.month, now.year) - n;
+      return [(index % 12) + 1, Math.floor(index / 12)];
+    };
+    for (const n of [4, 2, 1, 0]) await entry('Duda', ...monthsAgo(n), 50);
+    for (const n of [7, 6, 5, 4]) await entry('Eva', ...monthsAgo(n), 50);
+    await entry('Fábio', ...monthsAgo(1), 500, { donationType: 'single' });
+
+    expect(await service.getSupportStreaks()).toMatchObject([
+      { position: 1, donorName: 'Duda', currentStreak: 3, longestStreak: 3, monthsSupported: 4 },
+      { position: 2, donorName: 'Eva', currentStreak: 0, longestStreak: 4 },
+    ]);
+  });
+
+  it('deve indicar a variação de posição e descartar o cache quando o ranking muda', async () => {
+    await entry('Ana', 1, 2026, 300);
+    await entry('Bia', 1, 2026, 200);
+    await entry('Caio', 1, 2026, 100);
+    await entry('Caio', 2, 2026, 400);
+    await entry('Ana', 2, 2026, 250);
+    await entry('Duda', 2, 2026, 220);
+    await entry('Bia', 2, 2026, 210);
+
+    const leaderboard = await service.getMonthlyLeaderboard(2, 2026);
+    expect(
+      leaderboard.map((e) => [e.position, e.donorName, e.positionChange, e.positionDelta])
+    ).toEqual([
+      [1, 'Caio', 'up', 2],
+      [2, 'Ana', 'down', -1],
+      [3, 'Duda', 'new', null],
+      [4, 'Bia', 'down', -2],
+    ]);
+
+    await service.getMonthlyLeaderboard(2, 2026);
+    expect(repository.findTopN).toHaveBeenCalledTimes(1);
+
+    await entry('Eva', 2, 2026, 1000);
+    const refreshed = await service.getMonthlyLeaderboard(2, 2026);
+    expect(repository.findTopN).toHaveBeenCalledTimes(2);
+    expect(refreshed[0]).toMatchObject({ donorName: 'Eva', positionChange: 'new' });
+    expect(refreshed[1]).toMatchObject({
+      donorName: 'Caio',
+      positionChange: 'up',
+      positionDelta: 1,
+    });
+  });
+});
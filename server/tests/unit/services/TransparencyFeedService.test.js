@@ -0,0 +1,120 @@
+const TransparencyFeedService = require('../../../src/application/services/TransparencyFeedService');
+
+describe('TransparencyFeedService - feed público', () => {
+  let payments;
+  let donations;
+  let service;
+
+  beforeEach(() => {
+    payments = [];
+    donations = new Map();
+    service = new TransparencyFeedService(
+      {
+        findById: jest.fn(async (id) => donations.get(id) || null),
+        findApprovedPayments: jest.fn(async ({ from, to, campaignId }) =>
+          payments.filter(
+            (p) =>
+              p.paidAt >= from && p.paidAt <= to && (!campaignId || p.campaignId === campaignId)
+          )
+        ),
+      },
+      { maxSubscribers: 2 }
+    );
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function pay(paymentId, donorName, amount, paidAt, extra = {}) {
+    payments.push({
+      paymentId,
+      donorName,
+      amount,
+      type: 'single',
+      organizationName: 'ONG Esperança',
+      campaignId: null,
+      isAnonymous: false,
+      showInPublicList: true,
+      paidAt: new Date(paidAt),
+      ...extra,
+    });
+  }
+
+  it('deve mascarar nomes, agrupar anônimos e somar dia, semana e mês', async () => {
+    // Quarta-feira, 18/03/2026, 00h30 em Brasília
+    jest.useFakeTimers({ now: new Date('2026-03-18T03:30:00Z') });
+
+    pay('p1', 'Maria da Silva', 80, '2026-03-18T03:00:00Z');
+    pay('p2', 'Oculto', 500, '2026-03-18T02:00:00Z', { showInPublicList: false });
+    pay('p3', 'Bia', 30, '2026-03-17T20:00:00Z', { isAnonymous: true });
+    pay('p4', 'Caio', 20, '2026-03-16T12:00:00Z', { isAnonymous: true, type: 'recurring' });
+    pay('p5', 'João', 1500, '2026-03-15T12:00:00Z');
+    pay('p6', 'Ana', 10, '2026-03-01T02:00:00Z');
+
+    const feed = await service.getFeed();
+    expect(feed.map((i) => [i.id, i.donorName, i.count, i.amount, i.type])).toEqual([
+      ['p1', 'Maria S.', 1, 80, 'single'],
+      ['p3', 'Doador anônimo', 2, 50, null],
+      ['p5', 'João', 1, 1500, 'single'],
+      ['p6', 'Ana', 1, 10, 'single'],
+    ]);
+    expect(JSON.stringify(feed)).not.toMatch(/Bia|Caio|Oculto/);
+
+    const bucketed = await service.getFeed({ limit: 3, bucketAmounts: true });
+    expect(bucketed).toHaveLength(3);
+    expect(bucketed[0].amount).toBeUndefined();
+    expect(bucketed.map((i) => i.amountRange.label)).toEqual([
+      'R$ 50 a R$ 100',
+      'R$ 50 a R$ 100',
+      'acima de R$ 1.000',
+    ]);
+    await expect(service.getFeed({ limit: 0 })).rejects.toThrow('Limite');
+
+    const totals = await service.getTotals();
+    // p2 (fora das listas) conta; p6 ainda é fevereiro no horário de Brasília
+    expect(totals.day).toMatchObject({ count: 1, amount: 80 });
+    expect(totals.week).toMatchObject({ count: 4, amount: 630 });
+    expect(totals.month).toMatchObject({ count: 5, amount: 2130 });
+    expect(totals.week.since).toEqual(new Date('2026-03-16T03:00:00Z'));
+  });
+
+  it('deve transmitir só doações públicas aos ouvintes do filtro', async () => {
+    donations.set('d1', {
+      id: 'd1',
+      donorName: 'Maria da Silva',
+      amount: 40,
+      campaignId: 'c1',
+      organizationName: 'ONG Esperança',
+    });
+    donations.set('d2', { id: 'd2', donorName: 'Bia', amount: 60, showInPublicList: false });
+    donations.set('d3', { id: 'd3', donorName: 'Caio', amount: 70, isAnonymous: true });
+
+    const all = [];
+    const campaign = [];
+    const stopAll = service.subscribe((item) => all.push(item));
+    service.subscribe((item) => campaign.push(item), { campaignId: 'c1', bucketAmounts: true });
+    expect(() => service.subscribe(() => {})).toThrow('Limite de conexões');
+
+    await service.publishPayment('d1');
+    await service.publishPayment('d2');
+    await service.publishPayment('d3', {
+      paymentId: 'ch1',
+      amount: 25,
+      paidAt: '2026-03-10T12:00:00Z',
+      type: 'recurring',
+    });
+
+    expect(all.map((i) => [i.id, i.donorName, i.amount, i.type])).toEqual([
+      ['d1', 'Maria S.', 40, 'single'],
+      ['ch1', 'Doador anônimo', 25, 'recurring'],
+    ]);
+    expect(campaign).toHaveLength(1);
+    expect(campaign[0]).toMatchObject({ donorName: 'Maria S.', amountRange: { min: 25, max: 50 } });
+
+    stopAll();
+    await service.publishPayment('d1');
+    expect(all).toHaveLength(2);
+    expect(campaign).toHaveLength(2);
+  });
+});
@@ -0,0 +1,121 @@
+const WebhookInboxService = require('../../../src/application/services/WebhookInboxService');
+
+function createInMemoryRepository() {
+  const entries = new Map();
+  let sequence = 0;
+
+  return {
+    entries,
+    async create(data) {
+      const entry = { id: `inbox-${++sequence}`, attempts: 0, errorHistory: [], ...data };
+      entries.set(entry.id, entry);
+      return entry;
+    },
+    async findById(id) {
+      return entries.get(id) || null;
+    },
+    async findByNotificationId(notificationId) {
+      return [...entries.values()].find((e) => e.notificationId === notificationId) || null;
+    },
+    async findDue(limit, now) {
+      return [...entries.values()]
+        .filter((e) => ['pending', 'processing'].includes(e.status) && e.nextAttemptAt <= now)
+        .slice(0, limit);
+    },
+    async claim(entry, leaseUntil) {
+      const current = entries.get(entry.id);
+      if (current.status !== entry.status) {
+        return false;
+      }
+      Object.assign(current, { status: 'processing', nextAttemptAt: leaseUntil });
+      return true;
+    },
+    async update(id, data) {
+      return Object.assign(entries.get(id), data);
+    },
+    async findByStatus(status) {
+      return { data: [...entries.values()].filter((e) => e.status === status) };
+    },
+  };
+}
+
+describe('WebhookInboxService', () => {
+  let repository;
+  let donationService;
+  let service;
+
+  beforeEach(() => {
+    repository = createInMemoryRepository();
+    donationService = { processPaymentWebhook: jest.fn() };
+    service = new WebhookInboxService(repository, donationService, {
+      maxAttempts: 3,
+      retryDelay: 1000,
+    });
+  });
+
+  it('deve registrar o webhook e não duplicar a mesma notificação', async () => {
+    const first = await service.enqueue({ type: 'payment' }, { notificationId: '42' });
+    const second = await service.enqueue({ type: 'payment' }, { notificationId: '42' });
+
+    expect(first.duplicate).toBe(false);
+    expect(second.duplicate).toBe(true);
+    expect(repository.entries.size).toBe(1);
+  });
+
+  it('deve marcar como processado quando o service aplica o webhook', async () => {
+    donationService.processPaymentWebhook.mockResolvedValue({
+      type: 'payment',
+      status: 'approved',
+    });
+    const { entry } = await service.enqueue({ type: 'payment' }, { notificationId: '1' });
+
+    const summary = await service.processDue();
+
+    expect(summary.processed).toBe(1);
+    expect(repository.entries.get(entry.id)).toMatchObject({ status: 'processed', attempts: 1 });
+    expect(donationService.processPaymentWebhook).toHaveBeenCalledWith(
+      { type: 'payment' },
+      expect.objectContaining({ notificationId: '1' })
+    );
+  });
+
+  it('deve agendar nova tentativa com backoff após falha', async () => {
+    donationService.processPaymentWebhook.mockRejectedValue(new Error('Prisma indisponível'));
+    const { entry } = await service.enqueue({ type: 'payment' }, { notificationId: '2' });
+
+    const before = Date.now();
+    const summary = await service.processDue();
+    const stored = repository.entries.get(entry.id);
+
+    expect(summary.retried).toBe(1);
+    expect(stored.status).toBe('pending');
+    expect(stored.lastError).toBe('Prisma indisponível');
+    // retryDelay 1000ms com jitter de ±25%
+    expect(stored.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 750);
+  });
+
+  it('deve mover para a dead-letter ao esgotar as tentativas e permitir replay', async () => {
+    donationService.processPaymentWebhook.mockRejectedValue(new Error('payload inválido'));
+    const { entry } = await service.enqueue({ type: 'payment' }, { notificationId: '3' });
+
+    for (let i = 0; i < 3; i++) {
+      repository.entries.get(entry.id).nextAttemptAt = new Date(0);
+      await service.processDue();
+    }
+
+    const stored = repository.entries.get(entry.id);
+    expect(stored.status).toBe('dead_letter');
+    expect(stored.errorHistory).toHaveLength(3);
+
+    const replayed = await service.replay(entry.id);
+    expect(replayed).toMatchObject({ status: 'pending', attempts: 0, replayCount: 1 });
+  });
+
+  it('deve recusar replay de webhook fora da dead-letter', async () => {
+    const { entry } = await service.enqueue({ type: 'payment' }, { notificationId: '4' });
+
+    await expect(service.replay(entry.id)).rejects.toThrow(
+      'Apenas webhooks na dead-letter podem ser reprocessados'
+    );
+  });
+});